@@ -0,0 +1,24 @@
+/**
+ * Backup settings
+ * A backup is one .tar.gz archive with a consistent database snapshot, the stored
+ * photos and a manifest of SHA-256 checksums used to verify it before a restore.
+ */
+
+const path = require('path');
+
+module.exports = {
+    directory: process.env.BACKUP_DIR || path.join(__dirname, '..', 'backups'),
+
+    // Stored photos are bundled unless disabled (e.g. when the S3 bucket has its own backups)
+    includePhotos: process.env.BACKUP_INCLUDE_PHOTOS !== 'false',
+
+    // Rotation: newest backup of each of the last N days, weeks and months is kept
+    keep: {
+        daily: parseInt(process.env.BACKUP_KEEP_DAILY, 10) || 7,
+        weekly: parseInt(process.env.BACKUP_KEEP_WEEKLY, 10) || 4,
+        monthly: parseInt(process.env.BACKUP_KEEP_MONTHLY, 10) || 6
+    },
+
+    // Bots cannot upload documents larger than this
+    maxDocumentBytes: 50 * 1024 * 1024
+};
\ No newline at end of file
@@ -0,0 +1,24 @@
+/**
+ * Bot transport configuration
+ * BOT_MODE selects how updates are received: long polling or webhook
+ */
+
+const BOT_MODES = ['polling', 'webhook'];
+
+const mode = (process.env.BOT_MODE || 'polling').toLowerCase();
+
+module.exports = {
+    BOT_MODES,
+    mode,
+
+    // Webhook settings (used only when BOT_MODE=webhook)
+    webhook: {
+        // Public HTTPS URL of the reverse proxy, e.g. https://bot.example.com
+        url: process.env.WEBHOOK_URL || '',
+        path: process.env.WEBHOOK_PATH || '/telegram/webhook',
+        host: process.env.HOST || '0.0.0.0',
+        port: parseInt(process.env.PORT, 10) || 3000,
+        // Sent by Telegram in the X-Telegram-Bot-Api-Secret-Token header
+        secretToken: process.env.WEBHOOK_SECRET || ''
+    }
+};
\ No newline at end of file
@@ -0,0 +1,62 @@
+/**
+ * Bot texts editable by admins
+ * Each entry is a catalog key (src/i18n/locales) with a title for the editor
+ * and sample values for the preview. Texts marked html are sent with
+ * parse_mode HTML: admins may use Telegram tags there and substituted
+ * values are escaped.
+ */
+
+const EDITABLE_TEXTS = {
+    'menu.admin.text': {
+        title: 'Меню администратора',
+        html: true,
+        sample: {}
+    },
+    'menu.user.text': {
+        title: 'Меню пользователя',
+        html: true,
+        sample: { name: 'Иван', last_seen: '05.03.2026' }
+    },
+    'menu.guest.text': {
+        title: 'Меню гостя',
+        html: true,
+        sample: { status: '⏳ Ваша заявка на рассмотрении' }
+    },
+    'menu.profile.text': {
+        title: 'Профиль',
+        html: true,
+        sample: { name: 'Иван Петров', telegram_id: 123456789, registered: '01.02.2026', language: '🇷🇺 Русский' }
+    },
+    'auth.approved': {
+        title: 'Заявка на авторизацию одобрена',
+        html: false,
+        sample: {}
+    },
+    'auth.rejected': {
+        title: 'Заявка на авторизацию отклонена',
+        html: false,
+        sample: { reason: 'Никнейм не в формате Имя_Фамилия' }
+    },
+    'garage_request.approved': {
+        title: 'Заявка гаража одобрена',
+        html: false,
+        sample: { car: 'Infernus', amount: '$1,000', id: 42 }
+    },
+    'garage_request.rejected': {
+        title: 'Заявка гаража отклонена',
+        html: false,
+        sample: { car: 'Infernus', id: 42, comment: 'На фото не видно уровень масла' }
+    }
+};
+
+// Tags Telegram accepts with parse_mode HTML
+const HTML_TAGS = ['b', 'strong', 'i', 'em', 'u', 'ins', 's', 'strike', 'del', 'a', 'code', 'pre', 'tg-spoiler', 'blockquote'];
+
+module.exports = {
+    EDITABLE_TEXTS,
+    HTML_TAGS,
+
+    // Telegram rejects messages over 4096 characters; the rest is left
+    // for substituted values and the editor card
+    maxTextLength: 3500
+};
\ No newline at end of file
@@ -0,0 +1,16 @@
+/**
+ * Broadcast settings
+ * Announcements are delivered through the outbound message queue,
+ * so the rate limits come from config/outbound.js
+ */
+
+module.exports = {
+    // Attempts per recipient before a delivery is marked as failed
+    maxAttempts: 3,
+
+    // Telegram limits a message to 4096 characters; the rest is left for the header
+    maxTextLength: 4000,
+
+    // Posts per page in the News menu
+    newsPageSize: 5
+};
\ No newline at end of file
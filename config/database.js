@@ -37,7 +37,7 @@ module.exports = {
     
     // Migration settings
     migrations: {
-        directory: path.join(__dirname, '../database/migrations'),
+        directory: path.join(__dirname, '../src/database/migrations'),
         tableName: 'migrations'
     },
     
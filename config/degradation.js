@@ -0,0 +1,13 @@
+/**
+ * Garage car condition degradation settings
+ * A car loses condition as days pass since its last maintenance.
+ * Per-car intervals stored in the garage table override these defaults.
+ */
+
+module.exports = {
+    // Days since last maintenance before 'Хорошее' becomes 'Среднее'
+    mediumAfterDays: parseInt(process.env.DEGRADE_MEDIUM_AFTER_DAYS, 10) || 30,
+
+    // Days since last maintenance before the car becomes 'Плохое'
+    badAfterDays: parseInt(process.env.DEGRADE_BAD_AFTER_DAYS, 10) || 60
+};
\ No newline at end of file
@@ -0,0 +1,10 @@
+/**
+ * Duplicate photo detection settings
+ * Every garage and authorization photo is fingerprinted with SHA-256
+ * and a 64-bit perceptual hash, then compared with earlier submissions.
+ */
+
+module.exports = {
+    // Max differing bits between perceptual hashes to flag a likely duplicate
+    maxDistance: parseInt(process.env.DUPLICATE_PHOTO_MAX_DISTANCE, 10) || 6
+};
\ No newline at end of file
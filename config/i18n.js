@@ -0,0 +1,21 @@
+/**
+ * Localization settings
+ * Bundles live in src/i18n/locales and must define the same keys.
+ * A locale chosen with /language wins over the Telegram language_code;
+ * users with neither get the default locale.
+ */
+
+const LOCALES = ['ru', 'en'];
+
+const LOCALE_TITLES = {
+    ru: '🇷🇺 Русский',
+    en: '🇬🇧 English'
+};
+
+module.exports = {
+    LOCALES,
+    LOCALE_TITLES,
+
+    // Locale for users without a supported language and for admin-wide texts
+    defaultLocale: process.env.DEFAULT_LOCALE || 'ru'
+};
\ No newline at end of file
@@ -0,0 +1,37 @@
+/**
+ * User notification preferences
+ * Every personal notification belongs to a category the user can switch off.
+ * Enabled notifications are delivered at once or collected into a daily digest;
+ * during quiet hours (server time) instant notifications wait until the end.
+ */
+
+const NOTIFICATION_CATEGORIES = ['request_decisions', 'payouts', 'car_service', 'announcements'];
+
+const NOTIFICATION_TITLES = {
+    request_decisions: 'Решения по заявкам',
+    payouts: 'Выплаты',
+    car_service: 'Обслуживание автомобилей',
+    announcements: 'Объявления'
+};
+
+const NOTIFICATION_ICONS = {
+    request_decisions: '📋',
+    payouts: '💸',
+    car_service: '🔧',
+    announcements: '📢'
+};
+
+const DELIVERY_MODES = ['instant', 'digest'];
+
+module.exports = {
+    NOTIFICATION_CATEGORIES,
+    NOTIFICATION_TITLES,
+    NOTIFICATION_ICONS,
+    DELIVERY_MODES,
+
+    // Quiet hours offered as buttons: [start, end] in whole hours
+    quietHoursPresets: [[22, 8], [23, 7], [0, 9]],
+
+    // Telegram limits a message to 4096 characters; longer digests are split
+    digestMaxLength: 4000
+};
\ No newline at end of file
@@ -0,0 +1,22 @@
+/**
+ * Outbound message queue settings
+ * Telegram allows a bot about 30 messages per second overall and one message
+ * per second to the same chat; over the limit it answers 429 with retry_after.
+ */
+
+module.exports = {
+    // Messages per second across all chats
+    messagesPerSecond: parseInt(process.env.OUTBOUND_MESSAGES_PER_SECOND, 10) || 25,
+
+    // Minimum pause between two messages to the same chat
+    chatIntervalMs: 1000,
+
+    // Attempts before a notification is given up (429 responses are not counted)
+    maxAttempts: 5,
+
+    // Failed attempts are retried with exponential backoff starting from this delay
+    retryDelayMs: 5 * 1000,
+
+    // Days to keep notifications that could not be delivered
+    retentionDays: 7
+};
\ No newline at end of file
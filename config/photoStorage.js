@@ -0,0 +1,36 @@
+/**
+ * Photo storage settings
+ * Photos are stored under content-addressed keys: <category>/<sha256>.jpg
+ * Backends: 'local' (files under rootDir) or 's3' (any S3-compatible service)
+ */
+
+const os = require('os');
+const path = require('path');
+
+module.exports = {
+    backend: process.env.PHOTO_STORAGE_BACKEND || 'local',
+
+    local: {
+        rootDir: process.env.PHOTO_STORAGE_DIR || path.join(__dirname, '..', 'photos')
+    },
+
+    s3: {
+        endpoint: process.env.S3_ENDPOINT || 'https://s3.amazonaws.com',
+        region: process.env.S3_REGION || 'us-east-1',
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    },
+
+    // Local copies of remote photos (Telegram uploads need a file path) and incoming downloads
+    cacheDir: process.env.PHOTO_CACHE_DIR || path.join(os.tmpdir(), 'tgai-photos'),
+
+    // Days to keep photos of processed requests; pending requests always keep theirs
+    retentionDays: {
+        garage_requests: parseInt(process.env.PHOTO_RETENTION_GARAGE_DAYS, 10) || 90,
+        auth_requests: parseInt(process.env.PHOTO_RETENTION_AUTH_DAYS, 10) || 180
+    },
+
+    // Unreferenced files younger than this are kept: their request may not be saved yet
+    orphanGraceMs: 24 * 60 * 60 * 1000
+};
\ No newline at end of file
@@ -0,0 +1,41 @@
+/**
+ * Authorization questionnaire definition
+ * Steps are asked in order; answers are stored in auth_request_answers
+ *
+ * Step fields:
+ *   key          - unique answer key
+ *   type         - 'text' | 'photo' | 'choice' | 'number'
+ *   label        - short title shown to admins
+ *   prompt       - i18n key of the question sent to the user
+ *   optional     - user may skip the step with the skip button
+ *   pattern      - (text) regular expression the answer must match
+ *   options      - (choice) list of button captions
+ *   min, max     - (number) allowed range
+ *   integer      - (number) only whole numbers are accepted
+ *   error        - i18n key of the message sent when the answer is invalid
+ *   requestField - auth_requests column filled from this answer (nickname, photo_path)
+ */
+
+const QUESTIONNAIRE_STEPS = [
+    {
+        key: 'nickname',
+        type: 'text',
+        label: 'Никнейм',
+        prompt: 'questionnaire.steps.nickname.prompt',
+        pattern: '^[A-Za-zА-Яа-я]+_[A-Za-zА-Яа-я]+$',
+        error: 'questionnaire.steps.nickname.error',
+        requestField: 'nickname'
+    },
+    {
+        key: 'screenshot',
+        type: 'photo',
+        label: 'Скриншот /fam и /time',
+        prompt: 'questionnaire.steps.screenshot.prompt',
+        error: 'questionnaire.errors.photo',
+        requestField: 'photo_path'
+    }
+];
+
+module.exports = {
+    QUESTIONNAIRE_STEPS
+};
\ No newline at end of file
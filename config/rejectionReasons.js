@@ -0,0 +1,15 @@
+/**
+ * Preset reasons offered to admins when rejecting an authorization request
+ * The admin can pick one of them or type a custom reason.
+ * Entries are i18n keys: the admin sees them in their language, the applicant in theirs
+ */
+
+const AUTH_REJECTION_REASONS = [
+    'auth.reasons.unreadable_screenshot',
+    'auth.reasons.nickname_format',
+    'auth.reasons.not_in_family'
+];
+
+module.exports = {
+    AUTH_REJECTION_REASONS
+};
\ No newline at end of file
@@ -0,0 +1,101 @@
+/**
+ * Role definitions for the family hierarchy
+ * Roles are ordered from the lowest to the highest rank
+ */
+
+const ROLES = ['guest', 'member', 'moderator', 'deputy', 'leader'];
+
+// Roles that moderate the bot and receive admin notifications
+const STAFF_ROLES = ['moderator', 'deputy', 'leader'];
+
+const ROLE_TITLES = {
+    leader: 'Лидер',
+    deputy: 'Заместитель',
+    moderator: 'Модератор',
+    member: 'Участник',
+    guest: 'Гость'
+};
+
+const ROLE_ICONS = {
+    leader: '👑',
+    deputy: '🎖️',
+    moderator: '🛡️',
+    member: '✅',
+    guest: '🔒'
+};
+
+const ROLE_PERMISSIONS = {
+    leader: {
+        canViewAdminPanel: true,
+        canManageUsers: true,
+        canViewStatistics: true,
+        canChangeSettings: true,
+        canAccessBackup: true,
+        canViewAllRequests: true,
+        canApproveRequests: true,
+        canBlockUsers: true,
+        canManageGarage: true,
+        canManageRoles: true,
+        canManagePayouts: true
+    },
+    deputy: {
+        canViewAdminPanel: true,
+        canManageUsers: true,
+        canViewStatistics: true,
+        canChangeSettings: true,
+        canAccessBackup: false,
+        canViewAllRequests: true,
+        canApproveRequests: true,
+        canBlockUsers: true,
+        canManageGarage: true,
+        canManageRoles: true,
+        canManagePayouts: true
+    },
+    moderator: {
+        canViewAdminPanel: true,
+        canManageUsers: false,
+        canViewStatistics: true,
+        canChangeSettings: false,
+        canAccessBackup: false,
+        canViewAllRequests: true,
+        canApproveRequests: true,
+        canBlockUsers: false,
+        canManageGarage: false,
+        canManageRoles: false,
+        canManagePayouts: false
+    },
+    member: {
+        canViewAdminPanel: false,
+        canManageUsers: false,
+        canViewStatistics: false,
+        canChangeSettings: false,
+        canAccessBackup: false,
+        canViewAllRequests: false,
+        canApproveRequests: false,
+        canBlockUsers: false,
+        canManageGarage: false,
+        canManageRoles: false,
+        canManagePayouts: false
+    },
+    guest: {
+        canViewAdminPanel: false,
+        canManageUsers: false,
+        canViewStatistics: false,
+        canChangeSettings: false,
+        canAccessBackup: false,
+        canViewAllRequests: false,
+        canApproveRequests: false,
+        canBlockUsers: false,
+        canManageGarage: false,
+        canManageRoles: false,
+        canManagePayouts: false
+    }
+};
+
+module.exports = {
+    ROLES,
+    STAFF_ROLES,
+    ROLE_TITLES,
+    ROLE_ICONS,
+    ROLE_PERMISSIONS
+};
\ No newline at end of file
@@ -0,0 +1,31 @@
+/**
+ * Background job scheduler settings
+ * Schedules use the five-field cron format: minute hour day-of-month month day-of-week
+ * (server local time). Supported syntax: *, numbers, ranges (1-5), lists (1,15) and steps.
+ */
+
+module.exports = {
+    // How often the scheduler looks for due jobs
+    tickMs: 30 * 1000,
+
+    // Failed jobs are retried with exponential backoff starting from this delay
+    retryDelayMs: 60 * 1000,
+
+    // Retries before a failing job waits for its next regular run
+    maxRetries: 3,
+
+    // Job schedules
+    jobs: {
+        session_cleanup: '*/5 * * * *',
+        reservation_reminders: '*/5 * * * *',
+        broadcast_dispatch: '* * * * *',
+        outbound_cleanup: '15 4 * * *',
+        notification_digest: process.env.NOTIFICATION_DIGEST_SCHEDULE || '0 19 * * *',
+        status_degradation: process.env.DEGRADATION_SCHEDULE || '0 * * * *',
+        help_metrics_cleanup: '30 3 * * *',
+        garage_requests_cleanup: '0 4 * * *',
+        photo_storage_sweep: '30 4 * * *',
+        database_backup: process.env.BACKUP_SCHEDULE || '0 3 * * *',
+        audit_log_archive: '0 5 * * 1'
+    }
+};
\ No newline at end of file
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+/**
+ * Backup CLI
+ * Creates, lists, verifies and restores backups of the database and stored photos
+ */
+
+require('dotenv').config();
+const database = require('../src/database/connection');
+const { Migrator } = require('../src/database/migrator');
+const BackupService = require('../src/components/BackupService');
+
+class BackupRunner {
+    constructor() {
+        this.service = new BackupService();
+    }
+
+    /**
+     * Run an action with the database connected, reporting failures
+     * @param {string} title - Action name for the error message
+     * @param {Function} fn - Async action
+     * @returns {Promise<void>}
+     */
+    async withDatabase(title, fn) {
+        try {
+            await database.connect();
+            await fn();
+        } catch (error) {
+            console.error(`\n💥 ${title} failed:`, error.message);
+            process.exitCode = 1;
+        } finally {
+            await database.close();
+        }
+    }
+
+    /**
+     * Create a backup and rotate old ones
+     * @param {Object} options - { includePhotos }
+     * @returns {Promise<void>}
+     */
+    async create(options = {}) {
+        await this.withDatabase('Backup', async () => {
+            console.log('💾 Creating backup...');
+            const backup = await this.service.create(options);
+            console.log(`✅ ${backup.path} (${backup.size} bytes, ${backup.photos} photos)`);
+
+            const removed = await this.service.rotate();
+            if (removed > 0) {
+                console.log(`🧹 Removed ${removed} old backup(s)`);
+            }
+        });
+    }
+
+    /**
+     * List backups, newest first
+     * @returns {Promise<void>}
+     */
+    async list() {
+        const backups = await this.service.list();
+        if (backups.length === 0) {
+            console.log(`📭 No backups in ${this.service.directory}`);
+            return;
+        }
+
+        console.log(`\n📦 Backups in ${this.service.directory}:`);
+        for (const backup of backups) {
+            console.log(`${backup.file} | ${backup.createdAt.toISOString()} | ${backup.size} bytes`);
+        }
+    }
+
+    /**
+     * Verify checksums and database integrity of a backup
+     * @param {string} ref - File name or path; the latest backup by default
+     * @returns {Promise<void>}
+     */
+    async verify(ref) {
+        try {
+            const target = ref || (await this.latestFile());
+            const result = await this.service.verify(target);
+            console.log(`✅ ${target} is intact: ${result.files} files, ${result.photos} photos, created ${result.createdAt.toISOString()}`);
+        } catch (error) {
+            console.error('\n💥 Verification failed:', error.message);
+            process.exitCode = 1;
+        }
+    }
+
+    /**
+     * Restore a backup and bring the schema up to date
+     * @param {string} ref - File name or path
+     * @param {Object} options - { photos }
+     * @returns {Promise<void>}
+     */
+    async restore(ref, options = {}) {
+        await this.withDatabase('Restore', async () => {
+            console.log(`♻️ Restoring ${ref}...`);
+            const result = await this.service.restore(ref, options);
+            console.log(`✅ Database restored to ${result.createdAt.toISOString()}, ${result.photos} photo(s) put back`);
+
+            // A backup made by an older version may miss later migrations
+            const steps = await new Migrator(database).migrate();
+            if (steps.length > 0) {
+                console.log(`🔄 Applied ${steps.length} pending migration(s)`);
+            }
+        });
+    }
+
+    /**
+     * Delete backups outside the rotation
+     * @returns {Promise<void>}
+     */
+    async rotate() {
+        const removed = await this.service.rotate();
+        console.log(`🧹 Removed ${removed} old backup(s)`);
+    }
+
+    /**
+     * File name of the latest backup
+     * @returns {Promise<string>}
+     */
+    async latestFile() {
+        const latest = await this.service.latest();
+        if (!latest) {
+            throw new Error('No backups found');
+        }
+        return latest.file;
+    }
+}
+
+// CLI interface
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+    const runner = new BackupRunner();
+    const target = args.find(arg => !arg.startsWith('--'));
+
+    switch (command) {
+    case 'create':
+        await runner.create({ includePhotos: args.includes('--no-photos') ? false : undefined });
+        break;
+
+    case 'list':
+        await runner.list();
+        break;
+
+    case 'verify':
+        await runner.verify(target);
+        break;
+
+    case 'restore':
+        if (!target || !args.includes('--yes')) {
+            console.error('Usage: node scripts/backup.js restore <file> --yes [--no-photos]');
+            console.error('Stop the bot first: the current database is replaced.');
+            process.exitCode = 1;
+            break;
+        }
+        await runner.restore(target, { photos: !args.includes('--no-photos') });
+        break;
+
+    case 'rotate':
+        await runner.rotate();
+        break;
+
+    default:
+        console.log(`
+💾 Backup CLI
+
+Usage:
+  node scripts/backup.js <command> [options]
+
+Commands:
+  create              Create a backup now and rotate old ones (--no-photos skips photos)
+  list                List backups, newest first
+  verify [file]       Check checksums and database integrity (latest backup by default)
+  restore <file> --yes
+                      Verify and restore a backup, then run pending migrations
+                      (--no-photos restores only the database)
+  rotate              Delete backups outside the daily/weekly/monthly rotation
+
+Examples:
+  node scripts/backup.js create
+  node scripts/backup.js verify backup-20240101-030000.tar.gz
+  node scripts/backup.js restore backup-20240101-030000.tar.gz --yes
+        `);
+        break;
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Backup CLI error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = BackupRunner;
\ No newline at end of file
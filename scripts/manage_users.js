@@ -7,6 +7,8 @@ require('dotenv').config();
 const database = require('../src/database/connection');
 const User = require('../src/database/models/user');
 const TelegramModel = require('../src/database/models/telegram');
+const MembershipEvent = require('../src/database/models/membershipEvent');
+const MembershipManager = require('../src/components/MembershipManager');
 
 /**
  * Display help information
@@ -22,7 +24,8 @@ Commands:
   list-users              List all users with their authorization status
   list-admins             List all admin data from telegram table
   authorize <telegram_id> Authorize a user by their Telegram ID
-  unauthorize <telegram_id> Remove authorization from a user
+  unauthorize <telegram_id> [reason]
+                          Remove authorization from a user (recorded as kicked)
   user-info <telegram_id> Show detailed information about a user
   help                    Show this help message
 
@@ -109,6 +112,7 @@ async function authorizeUser(telegramId) {
         }
         
         await user.setAuthorized(1);
+        await MembershipManager.recordAdmission(user);
         console.log(`✅ User ${user.getFullName()} has been authorized.`);
         
     } catch (error) {
@@ -119,7 +123,7 @@ async function authorizeUser(telegramId) {
 /**
  * Remove authorization from a user
  */
-async function unauthorizeUser(telegramId) {
+async function unauthorizeUser(telegramId, reason) {
     try {
         const user = await User.findByTelegramId(parseInt(telegramId));
         
@@ -133,8 +137,14 @@ async function unauthorizeUser(telegramId) {
             return;
         }
         
-        await user.setAuthorized(0);
+        const result = await MembershipManager.revokeMembership(user, {
+            event: 'kicked',
+            reason: reason || 'Removed via manage_users script'
+        });
         console.log(`❌ Authorization removed from user ${user.getFullName()}.`);
+        if (result.invalidatedRequests > 0) {
+            console.log(`🔧 Invalidated pending garage requests: ${result.invalidatedRequests}`);
+        }
         
     } catch (error) {
         console.error('Error unauthorizing user:', error.message);
@@ -166,6 +176,15 @@ async function showUserInfo(telegramId) {
         console.log(`Created: ${user.created_at}`);
         console.log(`Updated: ${user.updated_at}`);
         
+        const history = await MembershipEvent.findByUserId(user.id);
+        console.log('\n📜 Membership History\n');
+        if (history.length === 0) {
+            console.log('No membership events recorded.');
+        }
+        for (const entry of history) {
+            console.log(`${entry.created_at}  ${entry.event.padEnd(12)}${entry.reason || ''}`);
+        }
+        
     } catch (error) {
         console.error('Error showing user info:', error.message);
     }
@@ -203,10 +222,10 @@ async function main() {
             case 'unauthorize':
                 if (!arg) {
                     console.log('❌ Please provide a Telegram ID');
-                    console.log('Usage: node scripts/manage_users.js unauthorize <telegram_id>');
+                    console.log('Usage: node scripts/manage_users.js unauthorize <telegram_id> [reason]');
                     return;
                 }
-                await unauthorizeUser(arg);
+                await unauthorizeUser(arg, process.argv.slice(4).join(' '));
                 break;
                 
             case 'user-info':
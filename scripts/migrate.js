@@ -6,139 +6,70 @@
  */
 
 require('dotenv').config();
-const fs = require('fs');
-const path = require('path');
 const database = require('../src/database/connection');
+const { Migrator } = require('../src/database/migrator');
 
 class MigrationRunner {
     constructor() {
-        this.migrationsDir = path.join(__dirname, '../src/database/migrations');
+        this.migrator = new Migrator(database);
     }
 
     /**
-     * Get list of migration files
-     * @returns {Array<string>}
+     * Print executed or planned steps
+     * @param {Array<Object>} steps - { migration, direction }
+     * @param {boolean} dryRun - Whether changes were rolled back
      */
-    getMigrationFiles() {
-        try {
-            return fs.readdirSync(this.migrationsDir)
-                .filter(file => file.endsWith('.js'))
-                .sort();
-        } catch (error) {
-            console.error('Error reading migrations directory:', error.message);
-            return [];
+    report(steps, dryRun) {
+        if (steps.length === 0) {
+            console.log('\n✨ Database is up to date! No migrations to run.');
+            return;
         }
-    }
 
-    /**
-     * Get applied migrations from database
-     * @returns {Promise<Array<string>>}
-     */
-    async getAppliedMigrations() {
-        try {
-            const rows = await database.all('SELECT version FROM migrations ORDER BY version');
-            return rows.map(row => row.version);
-        } catch (error) {
-            // Migrations table might not exist yet
-            return [];
+        if (dryRun) {
+            console.log(`\n🧪 Dry run: ${steps.length} migration(s) executed and rolled back, nothing was changed`);
+        } else {
+            console.log(`\n🎉 Successfully ran ${steps.length} migration(s)`);
         }
     }
 
     /**
-     * Run pending migrations
+     * Run pending migrations, or migrate up or down to a version
+     * @param {Object} options - { target, dryRun }
      * @returns {Promise<void>}
      */
-    async migrate() {
+    async migrate(options = {}) {
         try {
             await database.connect();
-            
-            const migrationFiles = this.getMigrationFiles();
-            const appliedMigrations = await this.getAppliedMigrations();
-            
+
             console.log('🔄 Starting database migration...');
-            console.log(`Found ${migrationFiles.length} migration files`);
-            console.log(`${appliedMigrations.length} migrations already applied`);
-            
-            let migrationsRun = 0;
-            
-            for (const file of migrationFiles) {
-                const migrationPath = path.join(this.migrationsDir, file);
-                const migration = require(migrationPath);
-                
-                if (!appliedMigrations.includes(migration.version)) {
-                    console.log(`\n📦 Running migration: ${migration.version} - ${migration.description}`);
-                    
-                    try {
-                        await migration.up();
-                        migrationsRun++;
-                        console.log(`✅ Migration ${migration.version} completed`);
-                    } catch (error) {
-                        console.error(`❌ Migration ${migration.version} failed:`, error.message);
-                        throw error;
-                    }
-                } else {
-                    console.log(`⏭️  Skipping already applied migration: ${migration.version}`);
-                }
-            }
-            
-            if (migrationsRun === 0) {
-                console.log('\n✨ Database is up to date! No migrations to run.');
-            } else {
-                console.log(`\n🎉 Successfully ran ${migrationsRun} migration(s)`);
-            }
-            
+            const steps = await this.migrator.migrate(options);
+            this.report(steps, options.dryRun);
         } catch (error) {
             console.error('\n💥 Migration failed:', error.message);
-            process.exit(1);
+            process.exitCode = 1;
         } finally {
             await database.close();
         }
     }
 
     /**
-     * Rollback last migration
+     * Rollback the last migrations
+     * @param {Object} options - { steps, dryRun }
      * @returns {Promise<void>}
      */
-    async rollback() {
+    async rollback(options = {}) {
         try {
             await database.connect();
-            
-            const appliedMigrations = await this.getAppliedMigrations();
-            
-            if (appliedMigrations.length === 0) {
+
+            const steps = await this.migrator.rollback(options);
+            if (steps.length === 0) {
                 console.log('📭 No migrations to rollback');
                 return;
             }
-            
-            const lastMigration = appliedMigrations[appliedMigrations.length - 1];
-            const migrationFiles = this.getMigrationFiles();
-            
-            const migrationFile = migrationFiles.find(file => {
-                const migration = require(path.join(this.migrationsDir, file));
-                return migration.version === lastMigration;
-            });
-            
-            if (!migrationFile) {
-                console.error(`❌ Migration file not found for version: ${lastMigration}`);
-                return;
-            }
-            
-            const migrationPath = path.join(this.migrationsDir, migrationFile);
-            const migration = require(migrationPath);
-            
-            console.log(`🔄 Rolling back migration: ${migration.version} - ${migration.description}`);
-            
-            try {
-                await migration.down();
-                console.log(`✅ Migration ${migration.version} rolled back successfully`);
-            } catch (error) {
-                console.error(`❌ Rollback failed:`, error.message);
-                throw error;
-            }
-            
+            this.report(steps, options.dryRun);
         } catch (error) {
             console.error('\n💥 Rollback failed:', error.message);
-            process.exit(1);
+            process.exitCode = 1;
         } finally {
             await database.close();
         }
@@ -151,76 +82,109 @@ class MigrationRunner {
     async status() {
         try {
             await database.connect();
-            
-            const migrationFiles = this.getMigrationFiles();
-            const appliedMigrations = await this.getAppliedMigrations();
-            
+
+            const rows = await this.migrator.status();
+
             console.log('\n📊 Migration Status:');
             console.log('==================');
-            
-            if (migrationFiles.length === 0) {
+
+            if (rows.length === 0) {
                 console.log('📭 No migration files found');
                 return;
             }
-            
-            for (const file of migrationFiles) {
-                const migrationPath = path.join(this.migrationsDir, file);
-                const migration = require(migrationPath);
-                const status = appliedMigrations.includes(migration.version) ? '✅ Applied' : '⏳ Pending';
-                
-                console.log(`${status} | ${migration.version} | ${migration.description}`);
+
+            for (const row of rows) {
+                let status = row.applied ? '✅ Applied' : '⏳ Pending';
+                if (row.modified) {
+                    status = '⚠️  Modified';
+                } else if (row.missing) {
+                    status = '❓ Missing';
+                }
+
+                console.log(`${status} | ${row.version} | ${row.description}`);
             }
-            
-            console.log(`\nTotal: ${migrationFiles.length} migrations`);
-            console.log(`Applied: ${appliedMigrations.length}`);
-            console.log(`Pending: ${migrationFiles.length - appliedMigrations.length}`);
-            
+
+            const applied = rows.filter(row => row.applied).length;
+            console.log(`\nTotal: ${rows.length} migrations`);
+            console.log(`Applied: ${applied}`);
+            console.log(`Pending: ${rows.length - applied}`);
         } catch (error) {
             console.error('Error getting migration status:', error.message);
+            process.exitCode = 1;
         } finally {
             await database.close();
         }
     }
 }
 
+/**
+ * Read --name value or --name=value from the arguments
+ * @param {Array<string>} args - CLI arguments
+ * @param {string} name - Option name
+ * @returns {string|undefined}
+ */
+function readOption(args, name) {
+    const index = args.findIndex(arg => arg === `--${name}` || arg.startsWith(`--${name}=`));
+    if (index === -1) {
+        return undefined;
+    }
+    return args[index].includes('=') ? args[index].split('=')[1] : args[index + 1];
+}
+
 // CLI interface
 async function main() {
-    const command = process.argv[2];
+    const [command, ...args] = process.argv.slice(2);
     const runner = new MigrationRunner();
-    
+    const dryRun = args.includes('--dry-run');
+
     switch (command) {
-        case 'migrate':
-        case 'up':
-            await runner.migrate();
-            break;
-            
-        case 'rollback':
-        case 'down':
-            await runner.rollback();
-            break;
-            
-        case 'status':
-            await runner.status();
+    case 'migrate':
+    case 'up':
+        await runner.migrate({ target: readOption(args, 'to'), dryRun });
+        break;
+
+    case 'to':
+        if (!args[0] || args[0].startsWith('--')) {
+            console.error('Usage: node scripts/migrate.js to <version> [--dry-run]');
+            process.exitCode = 1;
             break;
-            
-        default:
-            console.log(`
+        }
+        await runner.migrate({ target: args[0], dryRun });
+        break;
+
+    case 'rollback':
+    case 'down':
+        await runner.rollback({ steps: parseInt(readOption(args, 'steps'), 10) || 1, dryRun });
+        break;
+
+    case 'status':
+        await runner.status();
+        break;
+
+    default:
+        console.log(`
 📚 Database Migration Runner
 
 Usage:
-  node scripts/migrate.js <command>
+  node scripts/migrate.js <command> [options]
 
 Commands:
-  migrate, up     Run pending migrations
-  rollback, down  Rollback last migration
+  migrate, up     Run pending migrations (--to <version> stops at a version)
+  to <version>    Migrate up or down to a version (000 rolls back everything)
+  rollback, down  Rollback the last migration (--steps <n> for more)
   status          Show migration status
 
+Options:
+  --dry-run       Execute inside a transaction and roll it back
+
 Examples:
   node scripts/migrate.js migrate
+  node scripts/migrate.js migrate --dry-run
+  node scripts/migrate.js to 010
+  node scripts/migrate.js rollback --steps 2
   node scripts/migrate.js status
-  node scripts/migrate.js rollback
-            `);
-            break;
+        `);
+        break;
     }
 }
 
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * Fake Telegram update poster
+ * Sends a Telegram-like update to the local webhook server for manual testing
+ */
+
+require('dotenv').config();
+const http = require('http');
+const botConfig = require('../config/bot');
+
+/**
+ * Display help information
+ */
+function showHelp() {
+    console.log(`
+📮 Fake Telegram Update Poster
+
+Usage:
+  node scripts/post_fake_update.js <command> [options]
+
+Commands:
+  message <text>          Post a text message update (e.g. "/start")
+  callback <data>         Post a callback query update (e.g. "garage_page_1")
+  health                  Request /healthz and print the result
+  help                    Show this help message
+
+Options:
+  --from <telegram_id>    Sender Telegram ID (default: ADMIN_ID)
+  --port <port>           Webhook server port (default: PORT or 3000)
+  --secret <token>        Secret token (default: WEBHOOK_SECRET)
+
+Examples:
+  node scripts/post_fake_update.js message /start
+  node scripts/post_fake_update.js callback help_main --from 123456789
+  node scripts/post_fake_update.js health
+    `);
+}
+
+/**
+ * Build a fake message update
+ * @param {string} text - Message text
+ * @param {number} fromId - Sender Telegram ID
+ * @returns {Object}
+ */
+function buildMessageUpdate(text, fromId) {
+    const now = Math.floor(Date.now() / 1000);
+    const update = {
+        update_id: now,
+        message: {
+            message_id: now,
+            date: now,
+            from: { id: fromId, is_bot: false, first_name: 'Test', username: 'test_user' },
+            chat: { id: fromId, type: 'private' },
+            text
+        }
+    };
+
+    if (text.startsWith('/')) {
+        update.message.entities = [{ type: 'bot_command', offset: 0, length: text.split(' ')[0].length }];
+    }
+
+    return update;
+}
+
+/**
+ * Build a fake callback query update
+ * @param {string} data - Callback data
+ * @param {number} fromId - Sender Telegram ID
+ * @returns {Object}
+ */
+function buildCallbackUpdate(data, fromId) {
+    const now = Math.floor(Date.now() / 1000);
+    return {
+        update_id: now,
+        callback_query: {
+            id: String(now),
+            from: { id: fromId, is_bot: false, first_name: 'Test', username: 'test_user' },
+            chat_instance: String(fromId),
+            message: {
+                message_id: now,
+                date: now,
+                chat: { id: fromId, type: 'private' },
+                text: 'Fake message'
+            },
+            data
+        }
+    };
+}
+
+/**
+ * Send HTTP request to the local server
+ * @param {Object} options - http.request options
+ * @param {string} body - Request body
+ * @returns {Promise<Object>} { statusCode, body }
+ */
+function request(options, body = null) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(options, (res) => {
+            let data = '';
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => resolve({ statusCode: res.statusCode, body: data }));
+        });
+        req.on('error', reject);
+        req.setTimeout(10000, () => req.destroy(new Error('Request timed out')));
+        if (body) {
+            req.write(body);
+        }
+        req.end();
+    });
+}
+
+/**
+ * Parse --option value pairs
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object}
+ */
+function parseOptions(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            options[args[i].slice(2)] = args[i + 1];
+            i++;
+        }
+    }
+    return options;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+    const args = process.argv.slice(2);
+    const command = args[0];
+    const options = parseOptions(args.slice(2));
+
+    const port = parseInt(options.port, 10) || botConfig.webhook.port;
+    const secret = options.secret || botConfig.webhook.secretToken;
+    const fromId = parseInt(options.from, 10) || parseInt(process.env.ADMIN_ID, 10) || 123456789;
+
+    try {
+        if (command === 'health') {
+            const response = await request({ host: '127.0.0.1', port, path: '/healthz', method: 'GET' });
+            console.log(`HTTP ${response.statusCode}`);
+            console.log(response.body);
+            return;
+        }
+
+        if (!['message', 'callback'].includes(command) || !args[1]) {
+            showHelp();
+            return;
+        }
+
+        const update = command === 'message'
+            ? buildMessageUpdate(args[1], fromId)
+            : buildCallbackUpdate(args[1], fromId);
+        const body = JSON.stringify(update);
+
+        const response = await request({
+            host: '127.0.0.1',
+            port,
+            path: botConfig.webhook.path,
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'X-Telegram-Bot-Api-Secret-Token': secret
+            }
+        }, body);
+
+        console.log(`📮 Posted ${command} update ${update.update_id}: HTTP ${response.statusCode} ${response.body}`);
+    } catch (error) {
+        console.error('❌ Error posting update:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    main();
+}
+
+module.exports = { buildMessageUpdate, buildCallbackUpdate };
@@ -14,10 +14,10 @@ const database = require('../src/database/connection');
 
 class VehicleStatusUpdateScript {
     constructor() {
-        this.statusUpdater = new StatusUpdaterService();
+        this.auditLogger = new AuditLogger();
+        this.statusUpdater = new StatusUpdaterService(this.auditLogger);
         this.vehicleMatcher = new VehicleMatchingService();
         this.validator = new ValidationService();
-        this.auditLogger = new AuditLogger();
         this.batchId = this.auditLogger.generateBatchId();
     }
 
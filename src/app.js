@@ -7,13 +7,19 @@ require('dotenv').config();
 const TelegramBot = require('node-telegram-bot-api');
 const path = require('path');
 const fs = require('fs');
+const botConfig = require('../config/bot');
+const schedulerConfig = require('../config/scheduler');
+const { AUTH_REJECTION_REASONS } = require('../config/rejectionReasons');
 
 // Import database connection and models
 const database = require('./database/connection');
 const User = require('./database/models/user');
 const TelegramModel = require('./database/models/telegram');
 const AuthRequest = require('./database/models/authRequest');
+const AuthRequestAnswer = require('./database/models/authRequestAnswer');
 const HelpMetrics = require('./database/models/helpMetrics');
+const { photoStorage } = require('./storage/photoStorage');
+const { i18n } = require('./i18n');
 
 // Import help components
 const MenuBuilder = require('./components/MenuBuilder');
@@ -21,11 +27,37 @@ const UserTypeDetector = require('./components/UserTypeDetector');
 const ContentProvider = require('./components/ContentProvider');
 const NavigationManager = require('./components/NavigationManager');
 const ProfileHandler = require('./components/ProfileHandler');
+const RoleManager = require('./components/RoleManager');
+const BanManager = require('./components/BanManager');
+const MembershipManager = require('./components/MembershipManager');
+const SessionStore = require('./components/SessionStore');
+const Router = require('./components/Router');
+const WebhookServer = require('./components/WebhookServer');
+const Questionnaire = require('./components/Questionnaire');
+const JobScheduler = require('./components/JobScheduler');
+const OutboundQueue = require('./components/OutboundQueue');
+const NotificationService = require('./components/NotificationService');
+const NotificationSettingsManager = require('./components/NotificationSettingsManager');
+const LanguageManager = require('./components/LanguageManager');
+const TextTemplateManager = require('./components/TextTemplateManager');
 
 // Import garage components
 const GarageManager = require('./components/GarageManager');
 const AdminNotifier = require('./components/AdminNotifier');
+const RequestQueueManager = require('./components/RequestQueueManager');
 const CarManager = require('./components/CarManager');
+const PayoutManager = require('./components/PayoutManager');
+const RewardManager = require('./components/RewardManager');
+const ReservationManager = require('./components/ReservationManager');
+const RequestProcessor = require('./components/RequestProcessor');
+const RequestHistoryManager = require('./components/RequestHistoryManager');
+const StatusDegradationService = require('./components/StatusDegradationService');
+const DuplicatePhotoDetector = require('./components/DuplicatePhotoDetector');
+const PhotoRetentionService = require('./components/PhotoRetentionService');
+const BackupService = require('./components/BackupService');
+const BackupManager = require('./components/BackupManager');
+const BroadcastService = require('./components/BroadcastService');
+const BroadcastManager = require('./components/BroadcastManager');
 
 // Bot configuration
 const BOT_TOKEN = process.env.BOT_TOKEN;
@@ -41,34 +73,94 @@ if (!ADMIN_ID) {
     process.exit(1);
 }
 
-// Create bot instance
-const bot = new TelegramBot(BOT_TOKEN, { polling: true });
+if (!botConfig.BOT_MODES.includes(botConfig.mode)) {
+    console.error(`BOT_MODE must be one of: ${botConfig.BOT_MODES.join(', ')}`);
+    process.exit(1);
+}
+
+if (botConfig.mode === 'webhook' && (!botConfig.webhook.url || !botConfig.webhook.secretToken)) {
+    console.error('WEBHOOK_URL and WEBHOOK_SECRET are required in webhook mode');
+    process.exit(1);
+}
+
+// Create bot instance (updates come from polling or from the webhook server)
+const bot = new TelegramBot(BOT_TOKEN, { polling: botConfig.mode === 'polling' });
+
+// HTTP server for webhook mode
+let webhookServer = null;
+
+// Rate-limited queue for notifications and broadcasts
+const outboundQueue = new OutboundQueue(bot);
+
+// Personal notifications honor each user's categories, digest mode and quiet hours
+const notificationService = new NotificationService(outboundQueue);
+const notificationSettings = new NotificationSettingsManager(bot);
+
+// Interface language chosen with /language
+const languageManager = new LanguageManager(bot);
+
+// Bot texts edited by admins with /texts
+const textTemplates = new TextTemplateManager(bot);
+
+// Initialize role system (ADMIN_ID is the family leader)
+const roleManager = new RoleManager(bot, ADMIN_ID, outboundQueue);
+const banManager = new BanManager(bot, roleManager);
+const membershipManager = new MembershipManager(bot, roleManager, outboundQueue);
 
 // Initialize help components
 const menuBuilder = new MenuBuilder();
-const userTypeDetector = new UserTypeDetector(ADMIN_ID);
+const userTypeDetector = new UserTypeDetector(ADMIN_ID, roleManager);
 const contentProvider = new ContentProvider();
-const navigationManager = new NavigationManager(menuBuilder, userTypeDetector, contentProvider);
-const profileHandler = new ProfileHandler(ADMIN_ID);
+const requestHistoryManager = new RequestHistoryManager(bot);
+const backupService = new BackupService();
+const backupManager = new BackupManager(bot, backupService);
+const broadcastService = new BroadcastService(bot, roleManager, { outbound: outboundQueue, notifications: notificationService });
+const broadcastManager = new BroadcastManager(bot, broadcastService);
+const navigationManager = new NavigationManager(menuBuilder, userTypeDetector, contentProvider, requestHistoryManager, backupManager, broadcastManager, notificationSettings, textTemplates);
+const profileHandler = new ProfileHandler(ADMIN_ID, roleManager);
 
 // Initialize garage components
-const garageManager = new GarageManager(bot, ADMIN_ID);
-const adminNotifier = new AdminNotifier(bot, ADMIN_ID);
-const carManager = new CarManager(bot, ADMIN_ID);
+const duplicateDetector = new DuplicatePhotoDetector(bot);
+const garageManager = new GarageManager(bot, ADMIN_ID, roleManager, duplicateDetector, outboundQueue);
+const adminNotifier = new AdminNotifier(bot, ADMIN_ID, roleManager, outboundQueue, notificationService);
+const requestQueueManager = new RequestQueueManager(bot, adminNotifier);
+const carManager = new CarManager(bot, ADMIN_ID, roleManager);
+const payoutManager = new PayoutManager(bot, roleManager, outboundQueue, notificationService);
+const rewardManager = new RewardManager(bot, roleManager);
+const reservationManager = new ReservationManager(bot, roleManager, outboundQueue);
+const statusDegradation = new StatusDegradationService(bot, undefined, outboundQueue, notificationService);
+const requestProcessor = new RequestProcessor();
+const photoRetention = new PhotoRetentionService();
+
+// Background maintenance jobs
+const jobScheduler = new JobScheduler(bot);
+
+// Command and callback router
+const router = new Router(bot, { roleManager });
 
 // Conversation states for authorization flow
 const CONVERSATION_STATES = {
-    AWAITING_NICKNAME: 'awaiting_nickname',
-    AWAITING_PHOTO: 'awaiting_photo',
+    AWAITING_ANSWER: 'awaiting_answer',
     PROCESSING: 'processing'
 };
 
-// Temporary session storage for user conversations
-const userSessions = new Map();
+// Authorization questionnaire (steps are defined in config/questionnaire.js)
+const questionnaire = new Questionnaire();
 
 // Session timeout (30 minutes)
 const SESSION_TIMEOUT = 30 * 60 * 1000;
 
+// Persistent session storage for user conversations
+const userSessions = new SessionStore('auth', {
+    ttl: SESSION_TIMEOUT,
+    transitions: {
+        [CONVERSATION_STATES.AWAITING_ANSWER]: [CONVERSATION_STATES.AWAITING_ANSWER, CONVERSATION_STATES.PROCESSING]
+    }
+});
+
+// Admins typing a rejection reason for an authorization request
+const authRejectionSessions = new SessionStore('auth_rejection', { ttl: 10 * 60 * 1000 });
+
 // Image paths
 const IMAGES = {
     LEADER: path.join(__dirname, '..', 'лидер.png'),
@@ -93,7 +185,28 @@ async function initializeDatabase() {
         console.log('Database connected successfully');
         
         // Ensure admin user exists in users table for foreign key references
-        await ensureAdminUser();
+        const adminUser = await ensureAdminUser();
+        
+        // Load assigned roles and register the leader
+        await roleManager.load();
+        await roleManager.ensureLeader(adminUser);
+        
+        // Load active bans before any update is processed
+        await banManager.load();
+        
+        // Load interface languages chosen by users
+        const localizedUsers = await i18n.load();
+        console.log(`Loaded interface language of ${localizedUsers} users`);
+        const editedTexts = await i18n.loadTexts();
+        console.log(`Loaded ${editedTexts} bot texts edited by admins`);
+        
+        // Restore unfinished conversations of all flows
+        const restoredSessions = await SessionStore.restoreAll();
+        console.log(`Restored ${restoredSessions} conversation sessions`);
+        
+        // Resume notifications that were not delivered before the restart
+        const restoredMessages = await outboundQueue.start();
+        console.log(`Restored ${restoredMessages} queued notifications`);
     } catch (error) {
         console.error('Failed to connect to database:', error);
         process.exit(1);
@@ -136,55 +249,49 @@ async function ensureAdminUser() {
 }
 
 /**
- * Clean up expired sessions
+ * Register background maintenance jobs with the scheduler
  */
-function cleanupExpiredSessions() {
-    const now = Date.now();
-    for (const [telegramId, session] of userSessions.entries()) {
-        if (now - session.startTime > SESSION_TIMEOUT) {
-            userSessions.delete(telegramId);
-            console.log(`Cleaned up expired session for user ${telegramId}`);
-        }
-    }
-}
-
-/**
- * Set up session cleanup interval
- */
-setInterval(cleanupExpiredSessions, 5 * 60 * 1000); // Clean up every 5 minutes
-
-/**
- * Validate nickname format (Name_Surname)
- * @param {string} nickname - Nickname to validate
- * @returns {boolean}
- */
-function validateNickname(nickname) {
-    const nicknameRegex = /^[A-Za-zА-Яа-я]+_[A-Za-zА-Яа-я]+$/;
-    return nicknameRegex.test(nickname);
+function setupScheduledJobs() {
+    const { jobs } = schedulerConfig;
+    
+    jobScheduler
+        .register('session_cleanup', jobs.session_cleanup, () => SessionStore.cleanupAll(),
+            'Очистка истекших диалогов')
+        .register('reservation_reminders', jobs.reservation_reminders, () => reservationManager.remindOverdue(),
+            'Напоминания о просроченном возврате авто')
+        .register('broadcast_dispatch', jobs.broadcast_dispatch, () => broadcastService.dispatch(),
+            'Отправка запланированных и прерванных рассылок')
+        .register('status_degradation', jobs.status_degradation, () => statusDegradation.run(),
+            'Износ автомобилей гаража')
+        .register('notification_digest', jobs.notification_digest, () => notificationService.sendDigests(),
+            'Отправка сводок уведомлений')
+        .register('outbound_cleanup', jobs.outbound_cleanup, () => outboundQueue.cleanup(),
+            'Удаление записей о недоставленных уведомлениях старше 7 дней')
+        .register('help_metrics_cleanup', jobs.help_metrics_cleanup, () => HelpMetrics.cleanup(),
+            'Удаление метрик справки старше 90 дней')
+        .register('garage_requests_cleanup', jobs.garage_requests_cleanup, () => requestProcessor.cleanupOldRequests(),
+            'Удаление обработанных заявок без выплат старше 30 дней')
+        .register('photo_storage_sweep', jobs.photo_storage_sweep, () => photoRetention.sweep(),
+            'Удаление фото с истекшим сроком хранения и файлов без заявок')
+        .register('database_backup', jobs.database_backup, () => backupService.run(),
+            'Резервная копия базы и фото с ротацией')
+        .register('audit_log_archive', jobs.audit_log_archive, async () => {
+            for (const auditLogger of [statusDegradation.auditLogger, banManager.auditLogger]) {
+                if (!(await auditLogger.archiveOldLogs())) {
+                    throw new Error(`Failed to archive ${auditLogger.logFile}`);
+                }
+            }
+        }, 'Архивирование журналов аудита');
 }
 
 /**
  * Save photo file from Telegram
  * @param {string} fileId - Telegram file ID
- * @param {number} telegramId - User's Telegram ID
- * @returns {Promise<string>} - Path to saved file
+ * @returns {Promise<string>} - Photo storage reference
  */
-async function savePhotoFile(fileId, telegramId) {
+async function savePhotoFile(fileId) {
     try {
-        const file = await bot.getFile(fileId);
-        const timestamp = Date.now();
-        const fileName = `${timestamp}_${telegramId}.jpg`;
-        const photoPath = path.join(__dirname, '..', 'photos', 'auth_requests', fileName);
-        
-        await bot.downloadFile(fileId, path.dirname(photoPath));
-        
-        // Rename the file to our desired name
-        const downloadedPath = path.join(path.dirname(photoPath), file.file_path.split('/').pop());
-        if (downloadedPath !== photoPath) {
-            fs.renameSync(downloadedPath, photoPath);
-        }
-        
-        return photoPath;
+        return await photoStorage.saveFromTelegram(bot, fileId, 'auth_requests');
     } catch (error) {
         throw new Error(`Failed to save photo: ${error.message}`);
     }
@@ -202,224 +309,369 @@ async function handleAuthorizationStart(callbackQuery) {
         const existingRequest = await AuthRequest.findByTelegramId(telegramId, 'pending');
         if (existingRequest) {
             await bot.answerCallbackQuery(callbackQuery.id, {
-                text: 'У вас уже есть ожидающая заявка',
+                text: i18n.translator(callbackQuery.from)('auth.pending_exists'),
                 show_alert: true
             });
             return;
         }
         
-        // Start authorization process
+        // Start authorization questionnaire
         userSessions.set(telegramId, {
-            state: CONVERSATION_STATES.AWAITING_NICKNAME,
+            state: CONVERSATION_STATES.AWAITING_ANSWER,
+            stepIndex: 0,
+            answers: {},
             startTime: Date.now()
         });
         
         await bot.answerCallbackQuery(callbackQuery.id);
-        await bot.sendMessage(chatId, '📝 Введите ваш никнейм в формате Name_Surname\n\nПример: Ivan_Petrov');
+        await askQuestion(chatId, callbackQuery.from, 0);
         
         console.log(`User ${telegramId} started authorization process`);
     } catch (error) {
         console.error('Error starting authorization:', error);
         await bot.answerCallbackQuery(callbackQuery.id, {
-            text: 'Произошла ошибка. Попробуйте позже',
+            text: i18n.translator(callbackQuery.from)('common.error'),
             show_alert: true
         });
     }
 }
 
 /**
- * Handle nickname input
+ * Send questionnaire step prompt in the user's language
+ * @param {number} chatId - Chat ID
+ * @param {Object} from - Telegram user
+ * @param {number} stepIndex - Questionnaire step index
+ */
+async function askQuestion(chatId, from, stepIndex) {
+    const { text, options } = questionnaire.buildPrompt(stepIndex, i18n.translator(from));
+    await bot.sendMessage(chatId, text, options);
+}
+
+/**
+ * Handle questionnaire answer sent as a message (text, number or photo)
  */
-async function handleNicknameInput(msg) {
+async function handleQuestionnaireAnswer(msg) {
     const chatId = msg.chat.id;
     const telegramId = msg.from.id;
-    const nickname = msg.text.trim();
     
     try {
-        if (!validateNickname(nickname)) {
-            await bot.sendMessage(chatId, '❌ Неверный формат никнейма!\n\nИспользуйте формат: Name_Surname\nПример: Ivan_Petrov');
+        const session = userSessions.get(telegramId);
+        const step = questionnaire.getStep(session.stepIndex);
+        const result = questionnaire.parseMessage(session.stepIndex, msg, i18n.translator(msg.from));
+        
+        if (!result.valid) {
+            await bot.sendMessage(chatId, result.error);
             return;
         }
         
-        // Update session with nickname
-        const session = userSessions.get(telegramId);
-        session.nickname = nickname;
-        session.state = CONVERSATION_STATES.AWAITING_PHOTO;
-        userSessions.set(telegramId, session);
-        
-        await bot.sendMessage(chatId, '✅ Никнейм принят!\n\n📷 Теперь отправьте фотографию (сжатую для Telegram)\n\n📝 Инструкция: напишите /fam, затем /time и отправьте скриншот боту');
+        const value = step.type === 'photo'
+            ? await savePhotoFile(result.fileId)
+            : result.value;
         
-        console.log(`User ${telegramId} provided nickname: ${nickname}`);
+        console.log(`User ${telegramId} answered questionnaire step ${step.key}`);
+        await advanceQuestionnaire(chatId, msg.from, session, value);
     } catch (error) {
-        console.error('Error handling nickname:', error);
-        await bot.sendMessage(chatId, 'Произошла ошибка. Попробуйте позже.');
+        console.error('Error handling questionnaire answer:', error);
+        await bot.sendMessage(chatId, i18n.translator(msg.from)('common.error'));
     }
 }
 
 /**
- * Handle photo upload
+ * Handle questionnaire choice button
  */
-async function handlePhotoUpload(msg) {
-    const chatId = msg.chat.id;
-    const telegramId = msg.from.id;
+async function handleQuestionnaireChoice(callbackQuery, optionIndex) {
+    const telegramId = callbackQuery.from.id;
+    const session = userSessions.get(telegramId);
+    
+    if (!session) {
+        await bot.answerCallbackQuery(callbackQuery.id, {
+            text: i18n.translator(callbackQuery.from)('auth.questionnaire_missing'),
+            show_alert: true
+        });
+        return;
+    }
+    
+    const result = questionnaire.parseChoice(session.stepIndex, optionIndex, i18n.translator(callbackQuery.from));
+    if (!result.valid) {
+        await bot.answerCallbackQuery(callbackQuery.id, { text: result.error, show_alert: true });
+        return;
+    }
+    
+    await bot.answerCallbackQuery(callbackQuery.id, { text: `✅ ${result.value}` });
+    await advanceQuestionnaire(callbackQuery.message.chat.id, callbackQuery.from, session, result.value);
+}
+
+/**
+ * Handle skipping an optional questionnaire step
+ */
+async function handleQuestionnaireSkip(callbackQuery) {
+    const telegramId = callbackQuery.from.id;
+    const session = userSessions.get(telegramId);
+    
+    if (!session || !questionnaire.canSkip(session.stepIndex)) {
+        await bot.answerCallbackQuery(callbackQuery.id, {
+            text: i18n.translator(callbackQuery.from)('auth.step_required'),
+            show_alert: true
+        });
+        return;
+    }
+    
+    await bot.answerCallbackQuery(callbackQuery.id);
+    await advanceQuestionnaire(callbackQuery.message.chat.id, callbackQuery.from, session, null);
+}
+
+/**
+ * Store the answer and ask the next question or submit the application
+ * @param {number} chatId - Chat ID
+ * @param {Object} from - Telegram user object
+ * @param {Object} session - Current session
+ * @param {*} value - Answer value (null when the step was skipped)
+ */
+async function advanceQuestionnaire(chatId, from, session, value) {
+    const step = questionnaire.getStep(session.stepIndex);
+    const answers = { ...session.answers, [step.key]: value };
+    
+    if (questionnaire.isLastStep(session.stepIndex)) {
+        userSessions.transition(from.id, CONVERSATION_STATES.PROCESSING, { answers });
+        await submitAuthRequest(chatId, from, answers);
+        return;
+    }
+    
+    const nextIndex = session.stepIndex + 1;
+    userSessions.transition(from.id, CONVERSATION_STATES.AWAITING_ANSWER, { answers, stepIndex: nextIndex });
+    await askQuestion(chatId, from, nextIndex);
+}
+
+/**
+ * Create authorization request from questionnaire answers
+ * @param {number} chatId - Chat ID
+ * @param {Object} from - Telegram user object
+ * @param {Object} answers - Answers keyed by step key
+ */
+async function submitAuthRequest(chatId, from, answers) {
+    const telegramId = from.id;
+    const t = i18n.translator(from);
     
     try {
-        const session = userSessions.get(telegramId);
-        const nickname = session.nickname;
-        
-        // Get the largest photo size
-        const photo = msg.photo[msg.photo.length - 1];
-        const photoPath = await savePhotoFile(photo.file_id, telegramId);
-        
         // Get or create user
         const userData = {
             telegram_id: telegramId,
-            username: msg.from.username,
-            first_name: msg.from.first_name,
-            last_name: msg.from.last_name,
-            language_code: msg.from.language_code,
-            is_bot: msg.from.is_bot || false
+            username: from.username,
+            first_name: from.first_name,
+            last_name: from.last_name,
+            language_code: from.language_code,
+            is_bot: from.is_bot || false
         };
         
         const user = await User.findOrCreate(userData);
         
         // Create authorization request
+        const requestFields = questionnaire.getRequestFields(answers);
         const authRequest = await AuthRequest.create({
             user_id: user.id,
             telegram_id: telegramId,
-            nickname: nickname,
-            photo_path: photoPath,
+            nickname: requestFields.nickname,
+            photo_path: requestFields.photo_path,
             status: 'pending'
         });
         
-        // Update session state
-        session.state = CONVERSATION_STATES.PROCESSING;
-        userSessions.set(telegramId, session);
+        // Store questionnaire answers
+        await AuthRequestAnswer.createMany(authRequest.id, questionnaire.buildAnswerRecords(answers));
         
-        // Send notification to admin
-        await sendAdminNotification(authRequest);
+        // Compare the photo with earlier submissions and notify admins
+        const duplicate = authRequest.photo_path
+            ? await duplicateDetector.registerPhoto('auth', {
+                requestId: authRequest.id,
+                telegramId,
+                photoPath: authRequest.photo_path
+            })
+            : null;
+        await sendAdminNotification(authRequest, duplicate);
         
         // Confirm to user
-        await bot.sendMessage(chatId, '✅ Данные отправлены на проверку!\n\n🕰️ Ожидайте решения администратора...');
+        await bot.sendMessage(chatId, t('auth.submitted'));
         
         // Clean up session
         userSessions.delete(telegramId);
         
         console.log(`User ${telegramId} submitted authorization request with ID ${authRequest.id}`);
     } catch (error) {
-        console.error('Error handling photo upload:', error);
-        await bot.sendMessage(chatId, 'Произошла ошибка при сохранении фотографии. Попробуйте позже.');
+        console.error('Error submitting authorization request:', error);
+        userSessions.delete(telegramId);
+        await bot.sendMessage(chatId, t('auth.submit_failed'));
     }
 }
 
 /**
- * Send notification to admin about new authorization request
+ * Send notification to every admin allowed to approve authorization requests
+ * @param {AuthRequest} authRequest - Authorization request
+ * @param {Object|null} duplicate - Earlier submission of the same photo, if any
  */
-async function sendAdminNotification(authRequest) {
+async function sendAdminNotification(authRequest, duplicate = null) {
     try {
         const user = await authRequest.getUser();
-        const photoBuffer = fs.readFileSync(authRequest.photo_path);
+        const photoPath = await authRequest.getPhotoPath();
+        const answers = await AuthRequestAnswer.findByAuthRequestId(authRequest.id);
+        const answersText = Questionnaire.formatAnswers(answers);
         
-        const keyboard = {
-            inline_keyboard: [[
-                { text: 'Принять', callback_data: `approve_${authRequest.id}` },
-                { text: 'Отказать', callback_data: `reject_${authRequest.id}` }
-            ]]
-        };
+        const submittedAt = new Date();
         
-        const caption = `📝 Новая заявка от ${authRequest.nickname}\n\n` +
-                       `🆔 Telegram ID: ${authRequest.telegram_id}\n` +
-                       `👤 Username: ${user.username ? '@' + user.username : 'Не указан'}\n` +
-                       `📅 Дата: ${new Date().toLocaleString('ru-RU')}`;
+        const recipients = roleManager.getRecipients('canApproveRequests');
+        let queued = 0;
         
-        await bot.sendPhoto(ADMIN_ID, photoBuffer, {
-            caption: caption,
-            reply_markup: keyboard
-        });
+        for (const adminId of recipients) {
+            // Caption and buttons in each admin's language
+            const t = i18n.translator({ id: adminId });
+            const keyboard = {
+                inline_keyboard: [[
+                    { text: t('auth.admin.approve_button'), callback_data: `approve_${authRequest.id}` },
+                    { text: t('auth.admin.reject_button'), callback_data: `reject_${authRequest.id}` }
+                ]]
+            };
+            
+            if (duplicate) {
+                keyboard.inline_keyboard.push([duplicateDetector.buildButton(duplicate)]);
+            }
+            
+            const caption = t('auth.admin.new_request', {
+                nickname: authRequest.nickname,
+                telegram_id: authRequest.telegram_id,
+                username: user.username ? '@' + user.username : t('common.not_specified'),
+                date: submittedAt.toLocaleString(t('common.date_locale'))
+            }) +
+                (duplicate ? `\n\n${duplicateDetector.formatWarning(duplicate)}` : '') +
+                (answersText ? `\n\n${t('auth.admin.answers', { answers: answersText })}` : '');
+            
+            try {
+                const sent = photoPath
+                    ? await outboundQueue.sendPhoto(adminId, photoPath, {
+                        caption: caption,
+                        reply_markup: keyboard
+                    })
+                    : await outboundQueue.sendMessage(adminId, caption, { reply_markup: keyboard });
+                if (sent) {
+                    queued++;
+                }
+            } catch (sendError) {
+                console.error(`Error queueing admin notification to ${adminId}:`, sendError);
+            }
+        }
         
-        console.log(`Admin notification sent for request ID ${authRequest.id}`);
+        if (queued === 0) {
+            throw new Error('Notification was not queued for any admin');
+        }
+        
+        console.log(`Admin notification queued for request ID ${authRequest.id} to ${queued} admin(s)`);
     } catch (error) {
         console.error('Error sending admin notification:', error);
         throw error;
     }
 }
 
+/**
+ * Prefix the admin notification with the decision and remove its buttons
+ * Notifications without a photo are plain text messages
+ * @param {Object} message - Admin notification message
+ * @param {string} label - Decision label
+ */
+async function markAdminMessage(message, label) {
+    const options = {
+        chat_id: message.chat.id,
+        message_id: message.message_id,
+        reply_markup: { inline_keyboard: [] }
+    };
+    
+    if (message.caption !== undefined) {
+        await bot.editMessageCaption(`${label}\n\n${message.caption}`, options);
+    } else {
+        await bot.editMessageText(`${label}\n\n${message.text}`, options);
+    }
+}
+
 /**
  * Handle admin approval
  */
-async function handleApproval(callbackQuery) {
-    const requestId = parseInt(callbackQuery.data.split('_')[1]);
+async function handleApproval(callbackQuery, requestId) {
+    const t = i18n.translator(callbackQuery.from);
     
     try {
         const authRequest = await AuthRequest.findById(requestId);
         if (!authRequest) {
             await bot.answerCallbackQuery(callbackQuery.id, {
-                text: 'Заявка не найдена',
-                show_alert: true
-            });
-            return;
-        }
-        
-        if (authRequest.status !== 'pending') {
-            await bot.answerCallbackQuery(callbackQuery.id, {
-                text: 'Заявка уже обработана',
+                text: t('auth.admin.not_found'),
                 show_alert: true
             });
             return;
         }
         
         // Get admin user database ID (not Telegram ID)
-        const adminUser = await User.findByTelegramId(ADMIN_ID);
+        const adminUser = await User.findByTelegramId(callbackQuery.from.id);
         if (!adminUser) {
             throw new Error('Admin user not found in database');
         }
         
-        // Update request status with admin user's database ID
-        await authRequest.updateStatus('approved', adminUser.id);
-        
-        // Update user authorization status
-        const user = await User.findById(authRequest.user_id);
-        await user.setAuthorized(1);
+        // Request status, authorization and membership history change together;
+        // the status is checked inside so two admins cannot approve the same request twice
+        const approved = await database.withTransaction(async () => {
+            const current = await AuthRequest.findById(requestId);
+            if (current.status !== 'pending') {
+                return false;
+            }
+
+            // Update request status with admin user's database ID
+            await authRequest.updateStatus('approved', adminUser.id);
+
+            // Update user authorization status
+            const user = await User.findById(authRequest.user_id);
+            await user.setAuthorized(1);
+
+            // Record joining or re-admission in the membership history
+            await MembershipManager.recordAdmission(user, adminUser.id);
+            return true;
+        });
+
+        if (!approved) {
+            await bot.answerCallbackQuery(callbackQuery.id, {
+                text: t('auth.admin.already_processed'),
+                show_alert: true
+            });
+            return;
+        }
         
-        // Notify user about approval
-        await bot.sendMessage(authRequest.telegram_id, 
-            '✅ Поздравляем! Ваша заявка одобрена!\n\n🎉 Теперь вы авторизованы в системе!');
+        // Notify user about approval in their language
+        const applicant = await User.findByTelegramId(authRequest.telegram_id);
+        await notificationService.notify(authRequest.telegram_id, 'request_decisions',
+            i18n.translator(applicant)('auth.approved'));
         
         // Update admin message
-        await bot.editMessageCaption(
-            `✅ ОДОБРЕНО\n\n${callbackQuery.message.caption}`,
-            {
-                chat_id: callbackQuery.message.chat.id,
-                message_id: callbackQuery.message.message_id,
-                reply_markup: { inline_keyboard: [] }
-            }
-        );
+        await markAdminMessage(callbackQuery.message, t('auth.admin.approved_label'));
         
         await bot.answerCallbackQuery(callbackQuery.id, {
-            text: 'Заявка одобрена!'
+            text: t('auth.admin.approved')
         });
         
         console.log(`Admin approved request ID ${requestId}`);
     } catch (error) {
         console.error('Error approving request:', error);
         await bot.answerCallbackQuery(callbackQuery.id, {
-            text: 'Ошибка при одобрении',
+            text: t('auth.admin.approve_failed'),
             show_alert: true
         });
     }
 }
 
 /**
- * Handle admin rejection
+ * Handle admin rejection: ask for a reason with preset quick-picks
  */
-async function handleRejection(callbackQuery) {
-    const requestId = parseInt(callbackQuery.data.split('_')[1]);
+async function handleRejection(callbackQuery, requestId) {
+    const adminTelegramId = callbackQuery.from.id;
+    const t = i18n.translator(callbackQuery.from);
     
     try {
         const authRequest = await AuthRequest.findById(requestId);
         if (!authRequest) {
             await bot.answerCallbackQuery(callbackQuery.id, {
-                text: 'Заявка не найдена',
+                text: t('auth.admin.not_found'),
                 show_alert: true
             });
             return;
@@ -427,54 +679,154 @@ async function handleRejection(callbackQuery) {
         
         if (authRequest.status !== 'pending') {
             await bot.answerCallbackQuery(callbackQuery.id, {
-                text: 'Заявка уже обработана',
+                text: t('auth.admin.already_processed'),
                 show_alert: true
             });
             return;
         }
         
+        // Remember the notification so it can be marked after the reason is given
+        const { message } = callbackQuery;
+        authRejectionSessions.set(adminTelegramId, {
+            state: 'awaiting_auth_rejection_reason',
+            requestId,
+            originalMessage: {
+                chat: { id: message.chat.id },
+                message_id: message.message_id,
+                caption: message.caption,
+                text: message.text
+            }
+        });
+        
+        const keyboard = {
+            inline_keyboard: [
+                ...AUTH_REJECTION_REASONS.map((reason, index) => ([
+                    { text: t(reason), callback_data: `auth_reason_${requestId}_${index}` }
+                ])),
+                [{ text: t('auth.admin.reject_cancel_button'), callback_data: `auth_reason_cancel_${requestId}` }]
+            ]
+        };
+        
+        await bot.answerCallbackQuery(callbackQuery.id);
+        await bot.sendMessage(message.chat.id,
+            t('auth.admin.reject_prompt', { nickname: authRequest.nickname }),
+            { reply_markup: keyboard }
+        );
+    } catch (error) {
+        console.error('Error starting rejection:', error);
+        await bot.answerCallbackQuery(callbackQuery.id, {
+            text: t('auth.admin.reject_failed'),
+            show_alert: true
+        });
+    }
+}
+
+/**
+ * Handle preset rejection reason button
+ */
+async function handleRejectionPreset(callbackQuery, requestId, reasonIndex) {
+    const reasonKey = AUTH_REJECTION_REASONS[reasonIndex];
+    const session = authRejectionSessions.get(callbackQuery.from.id);
+    
+    if (!reasonKey || !session || session.requestId !== requestId) {
+        await bot.answerCallbackQuery(callbackQuery.id, {
+            text: i18n.translator(callbackQuery.from)('auth.admin.rejection_not_found'),
+            show_alert: true
+        });
+        return;
+    }
+    
+    await bot.answerCallbackQuery(callbackQuery.id);
+    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+        chat_id: callbackQuery.message.chat.id,
+        message_id: callbackQuery.message.message_id
+    });
+    await completeRejection(callbackQuery.from.id, callbackQuery.message.chat.id, session, { key: reasonKey });
+}
+
+/**
+ * Handle cancel button of the rejection reason prompt
+ */
+async function handleRejectionCancel(callbackQuery) {
+    authRejectionSessions.delete(callbackQuery.from.id);
+    
+    const t = i18n.translator(callbackQuery.from);
+    await bot.answerCallbackQuery(callbackQuery.id, { text: t('auth.admin.rejection_cancelled') });
+    await bot.editMessageText(t('auth.admin.rejection_cancelled_message'), {
+        chat_id: callbackQuery.message.chat.id,
+        message_id: callbackQuery.message.message_id
+    });
+}
+
+/**
+ * Handle custom rejection reason typed by the admin
+ */
+async function handleRejectionReasonInput(msg) {
+    const session = authRejectionSessions.get(msg.from.id);
+    const reason = msg.text.trim();
+    
+    if (!reason) {
+        await bot.sendMessage(msg.chat.id, i18n.translator(msg.from)('auth.admin.enter_reason'));
+        return;
+    }
+    
+    await completeRejection(msg.from.id, msg.chat.id, session, { text: reason });
+}
+
+/**
+ * Reject the authorization request and notify the applicant
+ * @param {number} adminTelegramId - Admin Telegram ID
+ * @param {number} chatId - Admin chat ID for the confirmation
+ * @param {Object} session - Rejection session
+ * @param {Object} reason - { text } typed by the admin or { key } of a preset reason
+ */
+async function completeRejection(adminTelegramId, chatId, session, reason) {
+    const { requestId } = session;
+    const adminT = i18n.translator({ id: adminTelegramId });
+    // Preset reasons are shown in each reader's language and stored in the default one
+    const reasonIn = (t) => (reason.key ? t(reason.key) : reason.text);
+    
+    try {
+        authRejectionSessions.delete(adminTelegramId);
+        
+        const authRequest = await AuthRequest.findById(requestId);
+        if (!authRequest || authRequest.status !== 'pending') {
+            await bot.sendMessage(chatId, adminT('auth.admin.processed_by_other'));
+            return;
+        }
+        
         // Get admin user database ID (not Telegram ID)
-        const adminUser = await User.findByTelegramId(ADMIN_ID);
+        const adminUser = await User.findByTelegramId(adminTelegramId);
         if (!adminUser) {
             throw new Error('Admin user not found in database');
         }
         
-        // Update request status with admin user's database ID
-        await authRequest.updateStatus('rejected', adminUser.id);
+        // Store rejection with its reason
+        await authRequest.reject(adminUser.id, reasonIn(i18n.translator(null)));
         
-        // Notify user about rejection with option to reapply
+        // Notify user about rejection with option to reapply in their language
+        const t = i18n.translator(await User.findByTelegramId(authRequest.telegram_id));
         const keyboard = {
             inline_keyboard: [[
-                { text: 'Подать заявку повторно', callback_data: 'start_authorization' }
+                { text: t('auth.reapply'), callback_data: 'start_authorization' }
             ]]
         };
         
-        await bot.sendMessage(authRequest.telegram_id, 
-            '❌ К сожалению, ваша заявка отклонена.\n\nВы можете подать заявку повторно.',
+        await notificationService.notify(authRequest.telegram_id, 'request_decisions',
+            t('auth.rejected', { reason: reasonIn(t) }),
             { reply_markup: keyboard }
         );
         
         // Update admin message
-        await bot.editMessageCaption(
-            `❌ ОТКЛОНЕНО\n\n${callbackQuery.message.caption}`,
-            {
-                chat_id: callbackQuery.message.chat.id,
-                message_id: callbackQuery.message.message_id,
-                reply_markup: { inline_keyboard: [] }
-            }
-        );
+        const adminReason = reasonIn(adminT);
+        await markAdminMessage(session.originalMessage, adminT('auth.admin.rejected_label', { reason: adminReason }));
         
-        await bot.answerCallbackQuery(callbackQuery.id, {
-            text: 'Заявка отклонена'
-        });
+        await bot.sendMessage(chatId, adminT('auth.admin.rejected', { nickname: authRequest.nickname, reason: adminReason }));
         
-        console.log(`Admin rejected request ID ${requestId}`);
+        console.log(`Admin rejected request ID ${requestId}: ${reason.key || reason.text}`);
     } catch (error) {
         console.error('Error rejecting request:', error);
-        await bot.answerCallbackQuery(callbackQuery.id, {
-            text: 'Ошибка при отклонении',
-            show_alert: true
-        });
+        await bot.sendMessage(chatId, adminT('auth.admin.reject_error', { error: error.message }));
     }
 }
 
@@ -535,7 +887,7 @@ async function handleHelpCommand(msg) {
         }
 
         // Add motivational message
-        const motivationalMessage = contentProvider.getMotivationalMessage(userType);
+        const motivationalMessage = contentProvider.getMotivationalMessage(userType, i18n.resolveLocale(user));
         menuData.text += `\n\n${motivationalMessage}`;
 
         // Send menu with typing effect
@@ -569,7 +921,7 @@ async function handleHelpCommand(msg) {
         console.error('Error handling /help command:', error);
         
         // Send fallback message
-        const fallbackMessage = contentProvider.getErrorMessage('general', error.message);
+        const fallbackMessage = contentProvider.getErrorMessage('general', error.message, i18n.resolveLocale(msg.from));
         await bot.sendMessage(chatId, fallbackMessage);
         
         // Record error metric
@@ -598,9 +950,10 @@ async function handleStartCommand(msg) {
     };
 
     try {
-        // Check if user is admin
-        if (telegramId === ADMIN_ID) {
-            console.log(`Admin ${telegramId} used /start command`);
+        // Check if user is admin (leader, deputy or moderator)
+        if (userTypeDetector.isAdmin(telegramId)) {
+            const role = roleManager.getRole(telegramId);
+            console.log(`Admin ${telegramId} (${role}) used /start command`);
             
             // Save admin data to telegram table
             await TelegramModel.createOrUpdate({
@@ -613,31 +966,33 @@ async function handleStartCommand(msg) {
             });
             
             // Send leader image to admin
+            const t = i18n.translator(msg.from);
             await bot.sendPhoto(chatId, IMAGES.LEADER, {
-                caption: 'Добро пожаловать, лидер! 👑'
+                caption: t('start.admin', { role: t(`roles.${role}`).toLowerCase(), icon: roleManager.getRoleIcon(role) })
             });
             
             console.log('Admin data saved and leader image sent');
         } else {
             // Handle regular user
             const user = await User.findOrCreate(userData);
+            const t = i18n.translator(user);
             
             if (user.isAuthorized()) {
                 // User is authorized - send authorized image
                 await bot.sendPhoto(chatId, IMAGES.AUTHORIZED, {
-                    caption: 'Добро пожаловать обратно! Вы авторизованы ✅'
+                    caption: t('start.authorized')
                 });
                 console.log(`Authorized user ${telegramId} used /start command`);
             } else {
                 // User is not authorized - send newcomers image with authorization button
                 const keyboard = {
                     inline_keyboard: [[
-                        { text: 'Авторизация', callback_data: 'start_authorization' }
+                        { text: t('start.authorize_button'), callback_data: 'start_authorization' }
                     ]]
                 };
                 
                 await bot.sendPhoto(chatId, IMAGES.NEWCOMERS, {
-                    caption: 'Добро пожаловать! Вы пока не авторизованы 🔒',
+                    caption: t('start.guest'),
                     reply_markup: keyboard
                 });
                 console.log(`Unauthorized user ${telegramId} used /start command`);
@@ -645,7 +1000,7 @@ async function handleStartCommand(msg) {
         }
     } catch (error) {
         console.error('Error handling /start command:', error);
-        await bot.sendMessage(chatId, 'Произошла ошибка. Попробуйте позже.');
+        await bot.sendMessage(chatId, i18n.translator(msg.from)('common.error'));
     }
 }
 
@@ -653,123 +1008,68 @@ async function handleStartCommand(msg) {
  * Set up bot event handlers
  */
 function setupBotHandlers() {
-    // Handle /start command
-    bot.onText(/\/start/, handleStartCommand);
+    // Shared middleware for all commands and callbacks
+    router
+        .use(Router.errorHandler())
+        .use(Router.metrics())
+        .use(Router.rateLimit({ limit: 20, windowMs: 10 * 1000 }));
     
-    // Handle /help command
-    bot.onText(/\/help/, handleHelpCommand);
+    // Core commands
+    router
+        .command('start', (ctx) => handleStartCommand(ctx.msg))
+        .command('help', (ctx) => handleHelpCommand(ctx.msg));
     
-    // Handle /profile command
-    bot.onText(/\/profile/, async (msg) => {
-        try {
-            await profileHandler.handleProfileCommand(msg, bot);
-        } catch (error) {
-            console.error('Error handling /profile command:', error);
-            await bot.sendMessage(msg.chat.id, 'Произошла ошибка при загрузке профиля. Попробуйте позже.');
-        }
-    });
+    // Authorization callbacks
+    router
+        .callback('start_authorization', (ctx) => handleAuthorizationStart(ctx.callbackQuery))
+        .callback(`${Questionnaire.CHOICE_CALLBACK_PREFIX}:optionIndex(int)`, (ctx) => handleQuestionnaireChoice(ctx.callbackQuery, ctx.params.optionIndex))
+        .callback(Questionnaire.SKIP_CALLBACK, (ctx) => handleQuestionnaireSkip(ctx.callbackQuery))
+        .callback('approve_:requestId(int)', (ctx) => handleApproval(ctx.callbackQuery, ctx.params.requestId), {
+            guard: 'canApproveRequests'
+        })
+        .callback('reject_:requestId(int)', (ctx) => handleRejection(ctx.callbackQuery, ctx.params.requestId), {
+            guard: 'canApproveRequests'
+        })
+        .callback('auth_reason_:requestId(int)_:reasonIndex(int)', (ctx) => handleRejectionPreset(ctx.callbackQuery, ctx.params.requestId, ctx.params.reasonIndex), {
+            guard: 'canApproveRequests'
+        })
+        .callback('auth_reason_cancel_:requestId(int)', (ctx) => handleRejectionCancel(ctx.callbackQuery), {
+            guard: 'canApproveRequests'
+        })
+        .callback('back_to_main', async (ctx) => {
+            // Handle return to main menu
+            await bot.answerCallbackQuery(ctx.callbackQuery.id);
+            await handleStartCommand({ chat: { id: ctx.chatId }, from: ctx.callbackQuery.from });
+        });
     
-    // Handle /takecar command (garage system)
-    bot.onText(/\/takecar/, async (msg) => {
-        try {
-            await garageManager.handleTakeCarCommand(msg);
-        } catch (error) {
-            console.error('Error handling /takecar command:', error);
-            await bot.sendMessage(msg.chat.id, 'Произошла ошибка при загрузке гаража. Попробуйте позже.');
-        }
-    });
+    // Component routes
+    navigationManager.registerRoutes(router);
+    profileHandler.registerRoutes(router);
+    garageManager.registerRoutes(router);
+    adminNotifier.registerRoutes(router);
+    requestQueueManager.registerRoutes(router);
+    carManager.registerRoutes(router);
+    payoutManager.registerRoutes(router);
+    rewardManager.registerRoutes(router);
+    reservationManager.registerRoutes(router);
+    requestHistoryManager.registerRoutes(router);
+    duplicateDetector.registerRoutes(router);
+    jobScheduler.registerRoutes(router);
+    roleManager.registerRoutes(router);
+    banManager.registerRoutes(router);
+    membershipManager.registerRoutes(router);
+    backupManager.registerRoutes(router);
+    broadcastManager.registerRoutes(router);
+    notificationSettings.registerRoutes(router);
+    languageManager.registerRoutes(router);
+    textTemplates.registerRoutes(router);
     
-    // Handle /garage_admin command (car management for admins)
-    bot.onText(/\/garage_admin/, async (msg) => {
-        try {
-            await carManager.handleGarageAdminCommand(msg);
-        } catch (error) {
-            console.error('Error handling /garage_admin command:', error);
-            await bot.sendMessage(msg.chat.id, 'Произошла ошибка при загрузке панели администрирования. Попробуйте позже.');
-        }
-    });
+    // Drop updates from banned users before they reach any handler
+    banManager.attach();
+    router.attach();
     
-    // Handle callback queries (inline buttons)
-    bot.on('callback_query', async (callbackQuery) => {
-        const data = callbackQuery.data;
-        const telegramId = callbackQuery.from.id;
-        
-        try {
-            // Handle help-related callbacks
-            if (data.startsWith('help_')) {
-                // Get user for help navigation
-                const user = await User.findByTelegramId(telegramId);
-                
-                // Record navigation metric
-                const userType = userTypeDetector.detectUserType(telegramId, user);
-                await HelpMetrics.record({
-                    telegram_id: telegramId,
-                    user_type: userType,
-                    menu_section: data,
-                    action: 'click'
-                });
-                
-                // Handle navigation
-                await navigationManager.handleCallback(callbackQuery, user, bot);
-                return;
-            }
-            
-            // Handle profile-related callbacks
-            const profileCallbacks = [
-                'refresh_profile', 'edit_profile', 'my_stats', 'notifications',
-                'admin_users', 'admin_analytics', 'admin_settings',
-                'submit_auth_request', 'check_auth_status'
-            ];
-            
-            if (profileCallbacks.includes(data)) {
-                const handled = await profileHandler.handleProfileCallback(callbackQuery, bot);
-                if (handled) {
-                    return;
-                }
-            }
-            
-            // Handle existing authorization callbacks
-            if (data === 'start_authorization') {
-                await handleAuthorizationStart(callbackQuery);
-            } else if (data.startsWith('approve_')) {
-                await handleApproval(callbackQuery);
-            } else if (data.startsWith('reject_')) {
-                await handleRejection(callbackQuery);
-            }
-            // Handle garage-related callbacks
-            else if (data.startsWith('select_car_')) {
-                await garageManager.handleCarSelection(callbackQuery);
-            } else if (data.startsWith('garage_page_')) {
-                await garageManager.handlePageNavigation(callbackQuery);
-            } else if (data.startsWith('garage_approve_')) {
-                await adminNotifier.handleAdminApproval(callbackQuery);
-            } else if (data.startsWith('garage_reject_')) {
-                await adminNotifier.handleAdminRejection(callbackQuery);
-            } else if (data.startsWith('garage_details_')) {
-                await adminNotifier.handleRequestDetails(callbackQuery);
-            }
-            // Handle car management admin callbacks
-            else if (data.startsWith('admin_')) {
-                await carManager.handleAdminCallback(callbackQuery);
-            } else if (data === 'back_to_main') {
-                // Handle return to main menu
-                await bot.answerCallbackQuery(callbackQuery.id);
-                await handleStartCommand({ chat: { id: callbackQuery.message.chat.id }, from: callbackQuery.from });
-            } else {
-                // Unknown callback
-                await bot.answerCallbackQuery(callbackQuery.id, {
-                    text: '❓ Неизвестная команда',
-                    show_alert: true
-                });
-            }
-        } catch (error) {
-            console.error('Error handling callback query:', error);
-            await bot.answerCallbackQuery(callbackQuery.id, {
-                text: 'Произошла ошибка',
-                show_alert: true
-            });
-        }
-    });
+    // Track users who block the bot or start writing to it again
+    outboundQueue.attach();
     
     // Handle general messages (for authorization flow and future expansion)
     bot.on('message', async (msg) => {
@@ -800,6 +1100,48 @@ function setupBotHandlers() {
                 }
             }
             
+            // Handle rejection reasons typed from the request queue
+            if (msg.text && requestQueueManager.getRejectSession(telegramId)) {
+                await requestQueueManager.handleRejectReason(msg);
+                return;
+            }
+            
+            // Handle kick reasons typed by admins
+            if (msg.text && membershipManager.getKickSession(telegramId)) {
+                await membershipManager.handleKickReason(msg);
+                return;
+            }
+            
+            // Handle custom reasons for authorization rejections
+            if (msg.text && authRejectionSessions.get(telegramId)) {
+                await handleRejectionReasonInput(msg);
+                return;
+            }
+            
+            // Handle broadcast texts and send times typed by admins
+            if (msg.text && broadcastManager.getSession(telegramId)) {
+                await broadcastManager.handleTextInput(msg);
+                return;
+            }
+            
+            // Handle bot texts typed by admins in the text editor
+            if (msg.text && textTemplates.getSession(telegramId)) {
+                await textTemplates.handleTextInput(msg);
+                return;
+            }
+            
+            // Handle custom quiet hours typed in notification settings
+            if (msg.text && notificationSettings.getSession(telegramId)) {
+                await notificationSettings.handleTextInput(msg);
+                return;
+            }
+            
+            // Handle reward rule values typed by admins
+            if (msg.text && rewardManager.getEditSession(telegramId)) {
+                await rewardManager.handleTextInput(msg);
+                return;
+            }
+            
             // Handle car manager admin sessions
             if (msg.text) {
                 const adminSession = carManager.getAdminSession(telegramId);
@@ -807,18 +1149,16 @@ function setupBotHandlers() {
                     await carManager.processNewCarName(msg);
                     return;
                 }
+                if (adminSession && adminSession.state === carManager.ADMIN_STATES.AWAITING_INTERVALS) {
+                    await carManager.processIntervalsInput(msg);
+                    return;
+                }
             }
             
             // Handle authorization flow
             if (session) {
-                if (session.state === CONVERSATION_STATES.AWAITING_NICKNAME && msg.text) {
-                    await handleNicknameInput(msg);
-                } else if (session.state === CONVERSATION_STATES.AWAITING_PHOTO && msg.photo) {
-                    await handlePhotoUpload(msg);
-                } else if (session.state === CONVERSATION_STATES.AWAITING_PHOTO && !msg.photo) {
-                    await bot.sendMessage(msg.chat.id, '📷 Пожалуйста, отправьте фотографию.');
-                } else if (session.state === CONVERSATION_STATES.AWAITING_NICKNAME && !msg.text) {
-                    await bot.sendMessage(msg.chat.id, '📝 Пожалуйста, введите ваш никнейм.');
+                if (session.state === CONVERSATION_STATES.AWAITING_ANSWER) {
+                    await handleQuestionnaireAnswer(msg);
                 }
             } else {
                 // Log all non-session messages for debugging
@@ -826,7 +1166,7 @@ function setupBotHandlers() {
             }
         } catch (error) {
             console.error('Error handling message:', error);
-            await bot.sendMessage(msg.chat.id, 'Произошла ошибка. Попробуйте позже.');
+            await bot.sendMessage(msg.chat.id, i18n.translator(msg.from)('common.error'));
         }
     });
     
@@ -846,9 +1186,23 @@ function setupGracefulShutdown() {
         console.log(`\nReceived ${signal}. Shutting down gracefully...`);
         
         try {
-            // Stop bot polling
-            await bot.stopPolling();
-            console.log('Bot polling stopped');
+            // Stop receiving updates
+            if (webhookServer) {
+                await webhookServer.stop();
+                console.log('Webhook server stopped');
+            } else {
+                await bot.stopPolling();
+                console.log('Bot polling stopped');
+            }
+            
+            // Stop background jobs
+            jobScheduler.stop();
+            
+            // Stop sending; queued notifications are kept in the database
+            outboundQueue.stop();
+            
+            // Finish pending session writes
+            await SessionStore.flushAll();
             
             // Close database connection
             await database.close();
@@ -865,6 +1219,43 @@ function setupGracefulShutdown() {
     process.on('SIGTERM', () => shutdown('SIGTERM'));
 }
 
+/**
+ * Start the webhook HTTP server and register the webhook URL in Telegram
+ */
+async function startWebhook() {
+    const { url, path: webhookPath, host, port, secretToken } = botConfig.webhook;
+    
+    webhookServer = new WebhookServer({
+        path: webhookPath,
+        secretToken,
+        onUpdate: (update) => bot.processUpdate(update),
+        healthChecks: {
+            database: checkDatabaseHealth,
+            images: () => profileHandler.imageSelector.getHealthCheck(),
+            profile: () => profileHandler.getHealthStatus()
+        }
+    });
+    
+    await webhookServer.start(port, host);
+    
+    const webhookUrl = `${url.replace(/\/$/, '')}${webhookPath}`;
+    await bot.setWebHook(webhookUrl, { secret_token: secretToken });
+    console.log(`Webhook registered: ${webhookUrl}`);
+}
+
+/**
+ * Check database connectivity for /healthz
+ * @returns {Promise<boolean>}
+ */
+async function checkDatabaseHealth() {
+    if (!database.isConnected()) {
+        return false;
+    }
+    
+    await database.get('SELECT 1');
+    return true;
+}
+
 /**
  * Main application startup
  */
@@ -878,10 +1269,19 @@ async function main() {
         // Set up bot handlers
         setupBotHandlers();
         
+        // Start background jobs
+        setupScheduledJobs();
+        await jobScheduler.start();
+        
+        // Start receiving updates through the webhook server
+        if (botConfig.mode === 'webhook') {
+            await startWebhook();
+        }
+        
         // Set up graceful shutdown
         setupGracefulShutdown();
         
-        console.log(`Bot started successfully! Admin ID: ${ADMIN_ID}`);
+        console.log(`Bot started successfully in ${botConfig.mode} mode! Admin ID: ${ADMIN_ID}`);
         console.log('Bot is now listening for messages...');
         
     } catch (error) {
@@ -1,26 +1,55 @@
 const GarageRequest = require('../database/models/garageRequest');
+const Payout = require('../database/models/payout');
 const RequestProcessor = require('./RequestProcessor');
+const SessionStore = require('./SessionStore');
+const NotificationService = require('./NotificationService');
+const { i18n } = require('../i18n');
 
 /**
  * AdminNotifier - компонент для уведомления администраторов
  * Обрабатывает уведомления о новых заявках и действия администраторов
  */
 class AdminNotifier {
-    constructor(bot, adminId) {
+    constructor(bot, adminId, roleManager = null, outbound = null, notifications = null) {
         this.bot = bot;
+        this.outbound = outbound || bot; // Очередь исходящих сообщений для уведомлений
+        this.notifications = notifications || NotificationService.direct(this.outbound); // Уведомления с учетом настроек пользователя
         this.adminId = adminId;
+        this.roleManager = roleManager;
         this.requestProcessor = new RequestProcessor();
         
         // Состояния для обработки причин отклонения
-        this.adminSessions = new Map();
         this.SESSION_TIMEOUT = 10 * 60 * 1000; // 10 минут
+        this.adminSessions = new SessionStore('admin_requests', { ttl: this.SESSION_TIMEOUT });
+    }
+
+    /**
+     * Получить список администраторов, которые могут обрабатывать заявки
+     * @returns {Array<number>} Telegram ID администраторов
+     */
+    getAdminRecipients() {
+        if (this.roleManager) {
+            return this.roleManager.getRecipients('canApproveRequests');
+        }
+
+        return [this.adminId];
+    }
+
+    /**
+     * Проверить, может ли пользователь обрабатывать заявки
+     * @param {number} telegramId - Telegram ID пользователя
+     * @returns {boolean}
+     */
+    canProcessRequests(telegramId) {
+        if (this.roleManager) {
+            return this.roleManager.hasPermission(telegramId, 'canApproveRequests');
+        }
 
-        // Настройка автоочистки сессий
-        setInterval(() => this.cleanupExpiredSessions(), 2 * 60 * 1000);
+        return telegramId === this.adminId;
     }
 
     /**
-     * Уведомить администратора о новой заявке
+     * Уведомить администраторов о новой заявке
      * @param {GarageRequest} request - Новая заявка
      */
     async notifyNewRequest(request) {
@@ -33,66 +62,89 @@ class AdminNotifier {
             const userName = user.first_name + (user.last_name ? ` ${user.last_name}` : '');
             const username = user.username ? `@${user.username}` : '';
 
-            const messageText = 
-                `🚨 НОВАЯ ЗАЯВКА #${request.id}\n\n` +
-                `👤 Пользователь: ${userName} ${username}\n` +
-                `🚗 Автомобиль: ${car.car_name}\n` +
-                `📊 Статус масла: ${car.getDisplayName()}\n` +
-                `⏰ Подано: ${request.getFormattedSubmissionDate()}\n` +
-                `💰 Вознаграждение: 3 млн`;
-
-            const keyboard = [
-                [
-                    {
-                        text: '✅ Принять',
-                        callback_data: `garage_approve_${request.id}`
-                    },
-                    {
-                        text: '❌ Отклонить',
-                        callback_data: `garage_reject_${request.id}`
-                    }
-                ],
-                [
-                    {
-                        text: '📊 Подробности',
-                        callback_data: `garage_details_${request.id}`
-                    }
-                ]
-            ];
-
-            // Отправляем фото с кнопками
-            if (request.photoExists()) {
-                await this.bot.sendPhoto(this.adminId, request.photo_path, {
-                    caption: messageText,
-                    reply_markup: {
-                        inline_keyboard: keyboard
+            const params = {
+                id: request.id,
+                user: `${userName} ${username}`,
+                car: car.car_name,
+                status: car.getDisplayName(),
+                submitted: request.getFormattedSubmissionDate(),
+                reward: Payout.formatAmount(this.requestProcessor.getRewardAmount(request))
+            };
+
+            // Отправляем фото с кнопками каждому администратору на его языке
+            const photoPath = await request.getPhotoPath();
+            for (const adminId of this.getAdminRecipients()) {
+                const t = i18n.translator({ id: adminId });
+                const messageText = t('garage_request.new_request', params);
+                const keyboard = [
+                    [
+                        {
+                            text: t('garage_request.approve'),
+                            callback_data: `garage_approve_${request.id}`
+                        },
+                        {
+                            text: t('garage_request.reject'),
+                            callback_data: `garage_reject_${request.id}`
+                        }
+                    ],
+                    [
+                        {
+                            text: t('garage_request.details'),
+                            callback_data: `garage_details_${request.id}`
+                        }
+                    ]
+                ];
+
+                try {
+                    if (photoPath) {
+                        await this.outbound.sendPhoto(adminId, photoPath, {
+                            caption: messageText,
+                            reply_markup: {
+                                inline_keyboard: keyboard
+                            }
+                        });
+                    } else {
+                        await this.outbound.sendMessage(adminId, `${messageText}\n\n${t('garage_request.photo_unavailable')}`, {
+                            reply_markup: {
+                                inline_keyboard: keyboard
+                            }
+                        });
                     }
-                });
-            } else {
-                await this.bot.sendMessage(this.adminId, messageText + '\n\n❌ Фото недоступно', {
-                    reply_markup: {
-                        inline_keyboard: keyboard
-                    }
-                });
+                } catch (sendError) {
+                    console.error(`❌ Ошибка уведомления администратора ${adminId}:`, sendError);
+                }
             }
 
-            console.log(`📢 Администратор уведомлен о новой заявке #${request.id}`);
+            console.log(`📢 Администраторы уведомлены о новой заявке #${request.id}`);
 
         } catch (error) {
             console.error('❌ Ошибка уведомления администратора:', error);
             
             // Отправляем базовое уведомление, если основное не удалось
-            try {
-                await this.bot.sendMessage(this.adminId, 
-                    `🚨 Новая заявка #${request.id}\n` +
-                    `❌ Ошибка загрузки деталей: ${error.message}`
-                );
-            } catch (fallbackError) {
-                console.error('❌ Ошибка отправки резервного уведомления:', fallbackError);
+            for (const adminId of this.getAdminRecipients()) {
+                try {
+                    await this.bot.sendMessage(adminId, 
+                        `🚨 Новая заявка #${request.id}\n` +
+                        `❌ Ошибка загрузки деталей: ${error.message}`
+                    );
+                } catch (fallbackError) {
+                    console.error('❌ Ошибка отправки резервного уведомления:', fallbackError);
+                }
             }
         }
     }
 
+    /**
+     * Зарегистрировать маршруты обработки заявок гаража
+     * @param {Router} router - Маршрутизатор бота
+     */
+    registerRoutes(router) {
+        router
+            .callback('garage_approve_:requestId(int)', (ctx) => this.handleAdminApproval(ctx.callbackQuery))
+            .callback('garage_reject_:requestId(int)', (ctx) => this.handleAdminRejection(ctx.callbackQuery))
+            .callback('garage_details_:requestId(int)', (ctx) => this.handleRequestDetails(ctx.callbackQuery));
+    }
+
     /**
      * Обработать одобрение заявки администратором
      * @param {Object} callbackQuery - Callback query от Telegram
@@ -103,7 +155,7 @@ class AdminNotifier {
 
         try {
             // Проверяем права администратора
-            if (adminTelegramId !== this.adminId) {
+            if (!this.canProcessRequests(adminTelegramId)) {
                 await this.bot.answerCallbackQuery(callbackQuery.id, {
                     text: 'У вас нет прав для выполнения этого действия',
                     show_alert: true
@@ -156,7 +208,7 @@ class AdminNotifier {
 
         try {
             // Проверяем права администратора
-            if (adminTelegramId !== this.adminId) {
+            if (!this.canProcessRequests(adminTelegramId)) {
                 await this.bot.answerCallbackQuery(callbackQuery.id, {
                     text: 'У вас нет прав для выполнения этого действия',
                     show_alert: true
@@ -168,12 +220,13 @@ class AdminNotifier {
             this.setAdminSession(adminTelegramId, {
                 state: 'awaiting_rejection_reason',
                 requestId: requestId,
+                originalChatId: callbackQuery.message.chat.id,
                 originalMessageId: callbackQuery.message.message_id
             });
 
             await this.bot.answerCallbackQuery(callbackQuery.id);
             
-            await this.bot.sendMessage(this.adminId, 
+            await this.bot.sendMessage(callbackQuery.message.chat.id, 
                 `❌ Отклонение заявки #${requestId}\n\n` +
                 `📝 Введите причину отклонения (она будет отправлена пользователю):`,
                 {
@@ -198,6 +251,7 @@ class AdminNotifier {
      * @param {Object} msg - Сообщение с причиной отклонения
      */
     async handleRejectionReason(msg) {
+        const chatId = msg.chat.id;
         const adminTelegramId = msg.from.id;
         const reason = msg.text;
 
@@ -214,7 +268,7 @@ class AdminNotifier {
             const User = require('../database/models/user');
             const admin = await User.findByTelegramId(adminTelegramId);
             if (!admin) {
-                await this.bot.sendMessage(this.adminId, '❌ Администратор не найден в базе данных');
+                await this.bot.sendMessage(chatId, '❌ Администратор не найден в базе данных');
                 this.clearAdminSession(adminTelegramId);
                 return;
             }
@@ -226,12 +280,12 @@ class AdminNotifier {
             this.clearAdminSession(adminTelegramId);
 
             // Обновляем исходное сообщение
-            await this.updateAdminMessageForRejection(session.originalMessageId, result);
+            await this.updateAdminMessageForRejection(session.originalChatId, session.originalMessageId, result);
 
             // Уведомляем пользователя об отклонении
             await this.notifyUserRejection(result);
 
-            await this.bot.sendMessage(this.adminId, 
+            await this.bot.sendMessage(chatId, 
                 `✅ Заявка #${requestId} отклонена.\n` +
                 `📝 Причина: ${reason}`
             );
@@ -239,7 +293,7 @@ class AdminNotifier {
         } catch (error) {
             console.error('❌ Ошибка обработки причины отклонения:', error);
             
-            await this.bot.sendMessage(this.adminId, 
+            await this.bot.sendMessage(chatId, 
                 `❌ Ошибка обработки отклонения: ${error.message}`
             );
             
@@ -284,10 +338,10 @@ class AdminNotifier {
                 `📋 Заявка:\n` +
                 `   • Статус: ${request.getFormattedStatus()}\n` +
                 `   • Подана: ${request.getFormattedSubmissionDate()}\n` +
-                `   • Фото: ${request.photoExists() ? '✅ Доступно' : '❌ Недоступно'}`;
+                `   • Фото: ${await request.photoExists() ? '✅ Доступно' : '❌ Недоступно'}`;
 
             await this.bot.answerCallbackQuery(callbackQuery.id);
-            await this.bot.sendMessage(this.adminId, detailsText);
+            await this.bot.sendMessage(callbackQuery.message.chat.id, detailsText);
 
         } catch (error) {
             console.error('❌ Ошибка получения подробностей заявки:', error);
@@ -306,7 +360,7 @@ class AdminNotifier {
      */
     async updateAdminMessage(callbackQuery, result, action) {
         try {
-            const { request, car, user } = result;
+            const { request, car, user, payout } = result;
             const userName = user.first_name + (user.last_name ? ` ${user.last_name}` : '');
             const username = user.username ? `@${user.username}` : '';
 
@@ -320,12 +374,17 @@ class AdminNotifier {
                 `📊 Статус масла: ${car.getDisplayName()}\n` +
                 `⏰ Подано: ${request.getFormattedSubmissionDate()}\n` +
                 `✅ Обработано: ${new Date().toLocaleString('ru-RU')}\n` +
-                `💰 Вознаграждение: 3 млн`;
+                `💰 Вознаграждение: ${payout ? payout.getFormattedAmount() : '—'}`;
+
+            // Казначей отмечает перевод кнопкой под одобренной заявкой
+            const keyboard = payout && payout.isPending()
+                ? [[{ text: '💸 Отметить выплату', callback_data: `garage_payout_paid_${payout.id}` }]]
+                : [];
 
             await this.bot.editMessageCaption(updatedText, {
                 chat_id: callbackQuery.message.chat.id,
                 message_id: callbackQuery.message.message_id,
-                reply_markup: { inline_keyboard: [] }
+                reply_markup: { inline_keyboard: keyboard }
             });
 
         } catch (error) {
@@ -335,10 +394,11 @@ class AdminNotifier {
 
     /**
      * Обновить сообщение для отклоненной заявки
+     * @param {number} chatId - ID чата администратора
      * @param {number} messageId - ID сообщения
      * @param {Object} result - Результат отклонения
      */
-    async updateAdminMessageForRejection(messageId, result) {
+    async updateAdminMessageForRejection(chatId, messageId, result) {
         try {
             const { request, car, user, comment } = result;
             const userName = user.first_name + (user.last_name ? ` ${user.last_name}` : '');
@@ -354,7 +414,7 @@ class AdminNotifier {
                 `📝 Причина: ${comment}`;
 
             await this.bot.editMessageCaption(updatedText, {
-                chat_id: this.adminId,
+                chat_id: chatId || this.adminId,
                 message_id: messageId,
                 reply_markup: { inline_keyboard: [] }
             });
@@ -370,17 +430,15 @@ class AdminNotifier {
      */
     async notifyUserApproval(result) {
         try {
-            const { request, car, user } = result;
+            const { request, car, user, payout } = result;
 
-            const messageText = 
-                `✅ ЗАЯВКА ОДОБРЕНА!\n\n` +
-                `🚗 Автомобиль: ${car.car_name}\n` +
-                `💰 Вознаграждение: 3 млн игровой валюты\n` +
-                `📋 Номер заявки: #${request.id}\n\n` +
-                `💸 Производится оплата...\n` +
-                `Средства будут зачислены в ближайшее время.`;
+            const messageText = i18n.translator(user)('garage_request.approved', {
+                car: car.car_name,
+                amount: payout.getFormattedAmount(),
+                id: request.id
+            });
 
-            await this.bot.sendMessage(user.telegram_id, messageText);
+            await this.notifications.notify(user.telegram_id, 'request_decisions', messageText);
 
         } catch (error) {
             console.error('❌ Ошибка уведомления пользователя об одобрении:', error);
@@ -395,14 +453,13 @@ class AdminNotifier {
         try {
             const { request, car, user, comment } = result;
 
-            const messageText = 
-                `❌ ЗАЯВКА ОТКЛОНЕНА\n\n` +
-                `🚗 Автомобиль: ${car.car_name}\n` +
-                `📋 Номер заявки: #${request.id}\n\n` +
-                `📝 Причина отклонения:\n${comment}\n\n` +
-                `💡 Вы можете подать новую заявку с учетом замечаний.`;
+            const messageText = i18n.translator(user)('garage_request.rejected', {
+                car: car.car_name,
+                id: request.id,
+                comment
+            });
 
-            await this.bot.sendMessage(user.telegram_id, messageText);
+            await this.notifications.notify(user.telegram_id, 'request_decisions', messageText);
 
         } catch (error) {
             console.error('❌ Ошибка уведомления пользователя об отклонении:', error);
@@ -442,12 +499,8 @@ class AdminNotifier {
      * Очистить истекшие сессии администраторов
      */
     cleanupExpiredSessions() {
-        const now = Date.now();
-        for (const [adminId, session] of this.adminSessions.entries()) {
-            if (now - session.startTime > this.SESSION_TIMEOUT) {
-                this.adminSessions.delete(adminId);
-                console.log(`Очищена истекшая админ-сессия для ${adminId}`);
-            }
+        for (const adminId of this.adminSessions.cleanupExpired()) {
+            console.log(`Очищена истекшая админ-сессия для ${adminId}`);
         }
     }
 }
@@ -4,13 +4,17 @@ const path = require('path');
 
 /**
  * AuditLogger - Служба для ведения аудита изменений статусов автомобилей
+ * и действий модерации (блокировки пользователей)
  * Обеспечивает полное логирование всех операций для последующего анализа
  */
 class AuditLogger {
-    constructor() {
+    /**
+     * @param {string} logName - Имя файлов журнала в директории logs
+     */
+    constructor(logName = 'status_updates') {
         this.logDir = path.join(process.cwd(), 'logs');
-        this.logFile = path.join(this.logDir, 'status_updates.log');
-        this.jsonLogFile = path.join(this.logDir, 'status_updates.json');
+        this.logFile = path.join(this.logDir, `${logName}.log`);
+        this.jsonLogFile = path.join(this.logDir, `${logName}.json`);
         this.setupPromise = this.ensureLogDirectory();
     }
 
@@ -192,6 +196,35 @@ class AuditLogger {
         return auditEntry;
     }
 
+    /**
+     * Логирование действия модерации (блокировка, разблокировка)
+     * @param {Object} actionData - Данные о действии
+     * @param {string} actionData.action - Тип действия: 'user_ban' | 'user_unban'
+     * @param {number} actionData.targetTelegramId - Telegram ID пользователя
+     * @param {string} actionData.reason - Причина
+     * @param {string} actionData.expiresAt - Срок окончания блокировки
+     * @param {string} actionData.operator - Инициатор
+     * @returns {Promise<Object>} Запись аудита
+     */
+    async logModerationAction(actionData) {
+        await this.setupPromise;
+
+        const auditEntry = this.createAuditEntry({
+            updateReason: actionData.reason || 'Без причины',
+            source: actionData.source || 'BanManager',
+            operator: actionData.operator
+        });
+
+        auditEntry.event = actionData.action;
+        auditEntry.targetTelegramId = actionData.targetTelegramId;
+        auditEntry.expiresAt = actionData.expiresAt || null;
+
+        await this.writeToLogs(auditEntry);
+        console.log(`🚫 [AUDIT] ${auditEntry.timestamp}: ${actionData.action} ${actionData.targetTelegramId} (инициатор ${auditEntry.operator})`);
+
+        return auditEntry;
+    }
+
     /**
      * Запись в файлы логов
      * @param {Object} auditEntry - Запись аудита
@@ -231,6 +264,16 @@ class AuditLogger {
             details.push(`Status: ${auditEntry.oldStatus} → ${auditEntry.newStatus}`);
         }
         
+        if (auditEntry.targetTelegramId) {
+            details.push(`User: ${auditEntry.targetTelegramId}`);
+            details.push(`Reason: ${auditEntry.updateReason}`);
+            details.push(`Operator: ${auditEntry.operator}`);
+        }
+        
+        if (auditEntry.expiresAt) {
+            details.push(`Expires: ${auditEntry.expiresAt}`);
+        }
+        
         if (auditEntry.batchId) {
             details.push(`Batch: ${auditEntry.batchId}`);
         }
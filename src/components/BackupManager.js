@@ -0,0 +1,174 @@
+const BackupService = require('./BackupService');
+const backupConfig = require('../../config/backup');
+const schedulerConfig = require('../../config/scheduler');
+
+/**
+ * Размер файла для людей
+ * @param {number} bytes - Размер в байтах
+ * @returns {string}
+ */
+function formatSize(bytes) {
+    if (bytes >= 1024 * 1024) {
+        return `${(bytes / 1024 / 1024).toFixed(1)} МБ`;
+    }
+    return `${Math.max(1, Math.round(bytes / 1024))} КБ`;
+}
+
+/**
+ * BackupManager - резервные копии из бота
+ * Панель в меню помощи и команда /backup: список копий, создание копии
+ * и отправка последней копии документом. Восстановление - только через
+ * scripts/backup.js, при остановленном боте
+ */
+class BackupManager {
+    /**
+     * @param {TelegramBot} bot - Экземпляр бота
+     * @param {BackupService} backupService - Сервис резервных копий
+     * @param {Object} options - Настройки (по умолчанию из config/backup)
+     */
+    constructor(bot, backupService = new BackupService(), options = backupConfig) {
+        this.bot = bot;
+        this.backupService = backupService;
+        this.maxDocumentBytes = options.maxDocumentBytes;
+    }
+
+    /**
+     * Зарегистрировать маршруты резервного копирования
+     * @param {Router} router - Маршрутизатор бота
+     */
+    registerRoutes(router) {
+        const options = {
+            guard: 'canAccessBackup',
+            deniedMessage: '❌ Доступ запрещен! Резервные копии доступны только лидеру.'
+        };
+
+        router
+            .command('backup', (ctx) => this.handleBackupCommand(ctx.msg), options)
+            .callback('backup_create', (ctx) => this.handleCreate(ctx.callbackQuery), options)
+            .callback('backup_send_latest', (ctx) => this.handleSendLatest(ctx.callbackQuery), options);
+    }
+
+    /**
+     * Обработать команду /backup
+     * @param {Object} msg - Сообщение от Telegram
+     */
+    async handleBackupCommand(msg) {
+        const panel = await this.buildPanel();
+        await this.bot.sendMessage(msg.chat.id, panel.text, { reply_markup: { inline_keyboard: panel.keyboard } });
+    }
+
+    /**
+     * Создать копию сейчас и прислать ее
+     * @param {Object} callbackQuery - Callback query от Telegram
+     */
+    async handleCreate(callbackQuery) {
+        const chatId = callbackQuery.message.chat.id;
+        await this.bot.answerCallbackQuery(callbackQuery.id, { text: '⏳ Создаю резервную копию...' });
+
+        try {
+            const backup = await this.backupService.create();
+            await this.backupService.rotate();
+            console.log(`💾 Резервная копия ${backup.file} создана вручную пользователем ${callbackQuery.from.id}`);
+
+            await this.sendBackup(chatId, backup);
+            await this.refreshPanel(callbackQuery.message);
+        } catch (error) {
+            console.error('Error creating backup:', error);
+            await this.bot.sendMessage(chatId, `❌ ${error.message}`);
+        }
+    }
+
+    /**
+     * Прислать последнюю копию документом
+     * @param {Object} callbackQuery - Callback query от Telegram
+     */
+    async handleSendLatest(callbackQuery) {
+        const backup = await this.backupService.latest();
+        if (!backup) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, {
+                text: 'Резервных копий пока нет',
+                show_alert: true
+            });
+            return;
+        }
+
+        await this.bot.answerCallbackQuery(callbackQuery.id, { text: '📤 Отправляю...' });
+        await this.sendBackup(callbackQuery.message.chat.id, backup);
+    }
+
+    /**
+     * Отправить архив копии документом
+     * @param {number} chatId - ID чата
+     * @param {Object} backup - Копия из BackupService
+     */
+    async sendBackup(chatId, backup) {
+        const caption = `💾 Резервная копия от ${backup.createdAt.toLocaleString('ru-RU')}\n` +
+            `📦 Размер: ${formatSize(backup.size)}`;
+
+        if (backup.size > this.maxDocumentBytes) {
+            await this.bot.sendMessage(chatId,
+                `${caption}\n\n⚠️ Файл больше ${formatSize(this.maxDocumentBytes)} - Telegram не позволит его отправить.\n` +
+                `Копия лежит на сервере: ${backup.path}`);
+            return;
+        }
+
+        await this.bot.sendDocument(chatId, backup.path, { caption }, {
+            filename: backup.file,
+            contentType: 'application/gzip'
+        });
+    }
+
+    /**
+     * Перерисовать панель в сообщении
+     * @param {Object} message - Сообщение с панелью
+     */
+    async refreshPanel(message) {
+        const panel = await this.buildPanel();
+        await this.bot.editMessageText(panel.text, {
+            chat_id: message.chat.id,
+            message_id: message.message_id,
+            reply_markup: { inline_keyboard: panel.keyboard }
+        }).catch(() => {
+            // Текст не изменился - Telegram возвращает ошибку, ее можно игнорировать
+        });
+    }
+
+    /**
+     * Сформировать панель резервного копирования
+     * @returns {Promise<Object>} { text, keyboard }
+     */
+    async buildPanel() {
+        const backups = await this.backupService.list();
+        const { keep } = this.backupService;
+
+        const lines = [
+            '💾 РЕЗЕРВНОЕ КОПИРОВАНИЕ',
+            '',
+            `⏱️ Расписание: ${schedulerConfig.jobs.database_backup}`,
+            `🗂️ Хранится: ${keep.daily} дн., ${keep.weekly} нед., ${keep.monthly} мес.`,
+            ''
+        ];
+
+        if (backups.length === 0) {
+            lines.push('Резервных копий пока нет');
+        } else {
+            const total = backups.reduce((sum, backup) => sum + backup.size, 0);
+            lines.push(`📦 Копий: ${backups.length} (${formatSize(total)})`);
+            lines.push('');
+            for (const backup of backups.slice(0, 5)) {
+                lines.push(`• ${backup.createdAt.toLocaleString('ru-RU')} - ${formatSize(backup.size)}`);
+            }
+        }
+
+        return {
+            text: lines.join('\n'),
+            keyboard: [
+                [{ text: '💾 Создать сейчас', callback_data: 'backup_create' }],
+                [{ text: '📤 Прислать последнюю', callback_data: 'backup_send_latest' }],
+                [{ text: '🔙 Назад в меню', callback_data: 'help_main' }]
+            ]
+        };
+    }
+}
+
+module.exports = BackupManager;
\ No newline at end of file
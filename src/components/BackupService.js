@@ -0,0 +1,473 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const database = require('../database/connection');
+const { photoStorage, CATEGORIES } = require('../storage/photoStorage');
+const { TarWriter, readArchive } = require('../storage/tarArchive');
+const backupConfig = require('../../config/backup');
+
+const MANIFEST_NAME = 'manifest.json';
+const DATABASE_NAME = 'database.sqlite';
+const FORMAT_VERSION = 1;
+const FILE_PATTERN = /^backup-(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})\.tar\.gz$/;
+const PHOTO_ENTRY = new RegExp(`^photos/(${CATEGORIES.join('|')})/[^/]+$`);
+
+/**
+ * SHA-256 содержимого в hex
+ * @param {Buffer} buffer - Данные
+ * @returns {string}
+ */
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * BackupService - резервные копии базы данных и фотографий
+ * Копия - один архив .tar.gz: снимок базы через SQLite backup API (бот при этом
+ * продолжает работать), фото из хранилища и manifest.json с контрольными суммами.
+ * Старые копии удаляются по схеме дни/недели/месяцы, перед восстановлением архив
+ * проверяется целиком
+ */
+class BackupService {
+    /**
+     * @param {Object} db - Подключение к базе
+     * @param {PhotoStorage} storage - Хранилище фотографий
+     * @param {Object} options - Настройки (по умолчанию из config/backup)
+     */
+    constructor(db = database, storage = photoStorage, options = backupConfig) {
+        this.db = db;
+        this.storage = storage;
+        this.directory = options.directory;
+        this.includePhotos = options.includePhotos;
+        this.keep = options.keep;
+        this.creating = null;
+    }
+
+    /**
+     * Имя файла копии для момента времени (UTC)
+     * @param {Date} date - Время создания
+     * @returns {string}
+     */
+    static buildFileName(date) {
+        const stamp = date.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+        return `backup-${stamp}.tar.gz`;
+    }
+
+    /**
+     * Время создания копии по имени файла
+     * @param {string} fileName - Имя файла
+     * @returns {Date|null} Null, если файл не похож на копию
+     */
+    static parseFileName(fileName) {
+        const match = FILE_PATTERN.exec(fileName);
+        if (!match) {
+            return null;
+        }
+
+        const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+        return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+    }
+
+    /**
+     * Создать резервную копию
+     * Одновременно создается только одна копия: повторный вызов получает ту же
+     * @param {Object} options - { now, includePhotos }
+     * @returns {Promise<Object>} { file, path, size, createdAt, photos }
+     */
+    async create(options = {}) {
+        if (!this.creating) {
+            this.creating = this.writeBackup(options).finally(() => {
+                this.creating = null;
+            });
+        }
+        return this.creating;
+    }
+
+    /**
+     * Записать архив копии
+     * @param {Object} options - { now, includePhotos }
+     * @returns {Promise<Object>}
+     */
+    async writeBackup({ now = new Date(), includePhotos = this.includePhotos } = {}) {
+        const file = BackupService.buildFileName(now);
+        const archivePath = path.join(this.directory, file);
+        const tempPath = `${archivePath}.tmp`;
+        const snapshotPath = path.join(this.directory, `${file}.sqlite.tmp`);
+        let photos = 0;
+
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        try {
+            await this.snapshotDatabase(snapshotPath);
+
+            const writer = new TarWriter(tempPath);
+            const files = [];
+            const addEntry = async (name, buffer) => {
+                await writer.add(name, buffer, now);
+                files.push({ name, size: buffer.length, sha256: sha256(buffer) });
+            };
+
+            try {
+                await addEntry(DATABASE_NAME, await fs.promises.readFile(snapshotPath));
+
+                if (includePhotos) {
+                    for (const category of CATEGORIES) {
+                        for (const object of await this.storage.backend.list(category)) {
+                            const buffer = await this.storage.backend.get(object.key);
+                            if (buffer) {
+                                await addEntry(`photos/${object.key}`, buffer);
+                                photos++;
+                            }
+                        }
+                    }
+                }
+
+                const manifest = {
+                    format: FORMAT_VERSION,
+                    createdAt: now.toISOString(),
+                    database: DATABASE_NAME,
+                    files
+                };
+                await writer.add(MANIFEST_NAME, Buffer.from(JSON.stringify(manifest, null, 2)), now);
+            } finally {
+                await writer.finish();
+            }
+
+            await fs.promises.rename(tempPath, archivePath);
+        } catch (error) {
+            await fs.promises.rm(tempPath, { force: true });
+            throw new Error(`Ошибка создания резервной копии: ${error.message}`);
+        } finally {
+            await fs.promises.rm(snapshotPath, { force: true });
+        }
+
+        const { size } = await fs.promises.stat(archivePath);
+        return { file, path: archivePath, size, createdAt: now, photos };
+    }
+
+    /**
+     * Снять согласованную копию базы через SQLite backup API
+     * Запросы бота не блокируются: изменения, сделанные во время копирования, попадают в снимок
+     * @param {string} targetPath - Путь файла снимка
+     * @returns {Promise<void>}
+     */
+    async snapshotDatabase(targetPath) {
+        await this.db.waitForTransaction();
+        await this.copyDatabase(targetPath, true);
+    }
+
+    /**
+     * Скопировать базу через backup API
+     * @param {string} filePath - Файл копии
+     * @param {boolean} toFile - true: база -> файл, false: файл -> база
+     * @returns {Promise<void>}
+     */
+    copyDatabase(filePath, toFile) {
+        return new Promise((resolve, reject) => {
+            const backup = this.db.getDatabase().backup(filePath, 'main', 'main', toFile, (error) => {
+                if (error) {
+                    reject(error);
+                    return;
+                }
+
+                backup.step(-1, (stepError) => {
+                    backup.finish(() => {
+                        if (stepError) {
+                            reject(stepError);
+                        } else if (!backup.completed) {
+                            reject(new Error('копирование базы не завершено'));
+                        } else {
+                            resolve();
+                        }
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * Список копий, новые первыми
+     * @returns {Promise<Array<Object>>} { file, path, size, createdAt }
+     */
+    async list() {
+        let names;
+        try {
+            names = await fs.promises.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const backups = [];
+        for (const file of names) {
+            const createdAt = BackupService.parseFileName(file);
+            if (!createdAt) {
+                continue;
+            }
+
+            const filePath = path.join(this.directory, file);
+            const { size } = await fs.promises.stat(filePath);
+            backups.push({ file, path: filePath, size, createdAt });
+        }
+
+        return backups.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Последняя копия
+     * @returns {Promise<Object|null>}
+     */
+    async latest() {
+        const [backup] = await this.list();
+        return backup || null;
+    }
+
+    /**
+     * Найти копию по имени файла или пути
+     * @param {string} ref - Имя файла в каталоге копий или путь к архиву
+     * @returns {string} Путь к архиву
+     */
+    resolve(ref) {
+        const candidate = path.isAbsolute(ref) || ref.includes(path.sep) ? ref : path.join(this.directory, ref);
+        if (!fs.existsSync(candidate)) {
+            throw new Error(`Резервная копия не найдена: ${ref}`);
+        }
+        return candidate;
+    }
+
+    /**
+     * Выбрать копии, которые остаются после ротации
+     * Для каждого из последних N дней, недель (с понедельника) и месяцев остается самая новая копия
+     * @param {Array<Object>} backups - Копии, новые первыми
+     * @param {Object} keep - { daily, weekly, monthly }
+     * @returns {Set<string>} Имена файлов
+     */
+    static selectToKeep(backups, keep) {
+        const periods = {
+            daily: date => date.toISOString().slice(0, 10),
+            weekly: date => {
+                const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - (date.getUTCDay() + 6) % 7));
+                return monday.toISOString().slice(0, 10);
+            },
+            monthly: date => date.toISOString().slice(0, 7)
+        };
+
+        const kept = new Set();
+        for (const [period, bucketOf] of Object.entries(periods)) {
+            const buckets = new Set();
+            for (const backup of backups) {
+                const bucket = bucketOf(backup.createdAt);
+                if (buckets.has(bucket)) {
+                    continue;
+                }
+                if (buckets.size >= (keep[period] || 0)) {
+                    break;
+                }
+                buckets.add(bucket);
+                kept.add(backup.file);
+            }
+        }
+
+        return kept;
+    }
+
+    /**
+     * Удалить копии, не попавшие в ротацию
+     * @returns {Promise<number>} Число удаленных копий
+     */
+    async rotate() {
+        const backups = await this.list();
+        const kept = BackupService.selectToKeep(backups, this.keep);
+
+        let removed = 0;
+        for (const backup of backups) {
+            if (!kept.has(backup.file)) {
+                await fs.promises.rm(backup.path, { force: true });
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Плановая копия: создать и применить ротацию
+     * @returns {Promise<Object>} Созданная копия
+     */
+    async run() {
+        const backup = await this.create();
+        const removed = await this.rotate();
+
+        console.log(`💾 Резервная копия ${backup.file} (${backup.size} байт, фото: ${backup.photos}), удалено старых: ${removed}`);
+        return backup;
+    }
+
+    /**
+     * Распаковать архив в каталог, посчитав контрольные суммы
+     * @param {string} archivePath - Путь к архиву
+     * @param {string} targetDir - Каталог распаковки
+     * @returns {Promise<Object>} { manifest, files: Map<имя, { size, sha256 }> }
+     */
+    async extract(archivePath, targetDir) {
+        const files = new Map();
+        let manifest = null;
+
+        for await (const entry of readArchive(archivePath)) {
+            if (entry.name === MANIFEST_NAME) {
+                manifest = JSON.parse(entry.buffer.toString('utf8'));
+                continue;
+            }
+            if (entry.name !== DATABASE_NAME && !PHOTO_ENTRY.test(entry.name)) {
+                throw new Error(`неизвестный файл в архиве: ${entry.name}`);
+            }
+
+            const filePath = path.join(targetDir, ...entry.name.split('/'));
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, entry.buffer);
+            files.set(entry.name, { size: entry.size, sha256: sha256(entry.buffer) });
+        }
+
+        if (!manifest) {
+            throw new Error('в архиве нет manifest.json');
+        }
+        return { manifest, files };
+    }
+
+    /**
+     * Сверить распакованные файлы с manifest.json
+     * @param {Object} manifest - Манифест архива
+     * @param {Map} files - Распакованные файлы
+     */
+    static checkContents(manifest, files) {
+        if (manifest.format !== FORMAT_VERSION) {
+            throw new Error(`неподдерживаемый формат копии: ${manifest.format}`);
+        }
+
+        const listed = new Set();
+        for (const expected of manifest.files) {
+            const actual = files.get(expected.name);
+            if (!actual) {
+                throw new Error(`в архиве не хватает файла ${expected.name}`);
+            }
+            if (actual.size !== expected.size || actual.sha256 !== expected.sha256) {
+                throw new Error(`контрольная сумма не совпадает: ${expected.name}`);
+            }
+            listed.add(expected.name);
+        }
+
+        for (const name of files.keys()) {
+            if (!listed.has(name)) {
+                throw new Error(`файл не указан в manifest.json: ${name}`);
+            }
+        }
+        if (!listed.has(DATABASE_NAME)) {
+            throw new Error('в архиве нет базы данных');
+        }
+    }
+
+    /**
+     * Проверить целостность файла базы (PRAGMA integrity_check)
+     * @param {string} dbPath - Путь к файлу базы
+     * @returns {Promise<void>}
+     */
+    static checkDatabase(dbPath) {
+        return new Promise((resolve, reject) => {
+            const snapshot = new sqlite3.Database(dbPath, sqlite3.OPEN_READONLY, (openError) => {
+                if (openError) {
+                    reject(openError);
+                    return;
+                }
+
+                snapshot.all('PRAGMA integrity_check', (error, rows) => {
+                    snapshot.close(() => {
+                        if (error) {
+                            reject(error);
+                        } else if (rows.length !== 1 || rows[0].integrity_check !== 'ok') {
+                            reject(new Error(`база в копии повреждена: ${rows.map(row => row.integrity_check).join('; ')}`));
+                        } else {
+                            resolve();
+                        }
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * Распаковать и проверить архив во временном каталоге
+     * @param {string} archivePath - Путь к архиву
+     * @param {Function} fn - Что сделать с проверенным содержимым: (dir, manifest) => Promise
+     * @returns {Promise<*>} Результат fn
+     */
+    async withVerifiedArchive(archivePath, fn) {
+        const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tgai-restore-'));
+        try {
+            const { manifest, files } = await this.extract(archivePath, tempDir);
+            BackupService.checkContents(manifest, files);
+            await BackupService.checkDatabase(path.join(tempDir, DATABASE_NAME));
+            return await fn(tempDir, manifest);
+        } finally {
+            await fs.promises.rm(tempDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Проверить копию: контрольные суммы всех файлов и целостность базы
+     * @param {string} ref - Имя файла или путь к архиву
+     * @returns {Promise<Object>} { createdAt, files, photos }
+     */
+    async verify(ref) {
+        const archivePath = this.resolve(ref);
+        try {
+            return await this.withVerifiedArchive(archivePath, async (dir, manifest) => ({
+                createdAt: new Date(manifest.createdAt),
+                files: manifest.files.length,
+                photos: manifest.files.filter(entry => PHOTO_ENTRY.test(entry.name)).length
+            }));
+        } catch (error) {
+            throw new Error(`Ошибка проверки резервной копии: ${error.message}`);
+        }
+    }
+
+    /**
+     * Восстановить базу и фото из копии
+     * Архив проверяется до того, как что-либо будет изменено. База заменяется целиком
+     * на открытом подключении; фото только добавляются - ключи хранилища зависят от
+     * содержимого, так что уже имеющиеся файлы совпадают с копией
+     * @param {string} ref - Имя файла или путь к архиву
+     * @param {Object} options - { photos } - восстанавливать ли фото
+     * @returns {Promise<Object>} { createdAt, photos } - photos: число добавленных фото
+     */
+    async restore(ref, { photos = true } = {}) {
+        const archivePath = this.resolve(ref);
+        try {
+            return await this.withVerifiedArchive(archivePath, async (dir, manifest) => {
+                await this.db.waitForTransaction();
+                await this.copyDatabase(path.join(dir, DATABASE_NAME), false);
+
+                let restored = 0;
+                if (photos) {
+                    for (const entry of manifest.files) {
+                        if (!PHOTO_ENTRY.test(entry.name)) {
+                            continue;
+                        }
+                        const key = entry.name.slice('photos/'.length);
+                        if (!(await this.storage.backend.exists(key))) {
+                            await this.storage.backend.put(key, await fs.promises.readFile(path.join(dir, ...entry.name.split('/'))));
+                            restored++;
+                        }
+                    }
+                }
+
+                return { createdAt: new Date(manifest.createdAt), photos: restored };
+            });
+        } catch (error) {
+            throw new Error(`Ошибка восстановления из резервной копии: ${error.message}`);
+        }
+    }
+}
+
+module.exports = BackupService;
\ No newline at end of file
@@ -0,0 +1,432 @@
+const User = require('../database/models/user');
+const UserBan = require('../database/models/userBan');
+const AuditLogger = require('./AuditLogger');
+const MembershipManager = require('./MembershipManager');
+
+// Единицы срока блокировки: 30m, 12h, 7d, 2w
+const DURATION_UNITS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+// Типы обновлений Telegram, в которых есть отправитель
+const UPDATE_TYPES = [
+    'message',
+    'edited_message',
+    'callback_query',
+    'inline_query',
+    'chosen_inline_result',
+    'shipping_query',
+    'pre_checkout_query'
+];
+
+/**
+ * BanManager - блокировка пользователей
+ * Хранит блокировки в таблице user_bans, отсекает обновления заблокированных
+ * пользователей до маршрутизации и обрабатывает команды /ban, /unban, /bans
+ */
+class BanManager {
+    /**
+     * @param {TelegramBot} bot - Экземпляр бота
+     * @param {RoleManager} roleManager - Менеджер ролей
+     * @param {AuditLogger} auditLogger - Журнал аудита действий модерации
+     */
+    constructor(bot, roleManager, auditLogger = new AuditLogger('moderation')) {
+        this.bot = bot;
+        this.roleManager = roleManager;
+        this.auditLogger = auditLogger;
+
+        // Кэш активных блокировок: telegramId -> UserBan
+        this.bans = new Map();
+    }
+
+    /**
+     * Загрузить активные блокировки из базы данных
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const activeBans = await UserBan.findActive();
+
+        this.bans.clear();
+        activeBans.forEach(ban => {
+            if (!this.bans.has(Number(ban.telegram_id))) {
+                this.bans.set(Number(ban.telegram_id), ban);
+            }
+        });
+
+        console.log(`🚫 Загружено блокировок: ${this.bans.size}`);
+    }
+
+    /**
+     * Получить активную блокировку пользователя
+     * Истекшие блокировки удаляются из кэша
+     * @param {number} telegramId - Telegram ID пользователя
+     * @returns {UserBan|null}
+     */
+    getActiveBan(telegramId) {
+        const ban = this.bans.get(Number(telegramId));
+        if (!ban) {
+            return null;
+        }
+
+        if (!ban.isActive()) {
+            this.bans.delete(Number(telegramId));
+            return null;
+        }
+
+        return ban;
+    }
+
+    /**
+     * Заблокирован ли пользователь
+     * @param {number} telegramId - Telegram ID пользователя
+     * @returns {boolean}
+     */
+    isBanned(telegramId) {
+        return this.getActiveBan(telegramId) !== null;
+    }
+
+    /**
+     * Разобрать срок блокировки
+     * @param {string} value - Срок: 30m, 12h, 7d, 2w
+     * @returns {number|null} Длительность в миллисекундах или null, если это не срок
+     */
+    static parseDuration(value) {
+        const match = /^(\d+)([mhdw])$/i.exec(value || '');
+        if (!match || parseInt(match[1]) === 0) {
+            return null;
+        }
+        return parseInt(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+    }
+
+    /**
+     * Получить отправителя обновления
+     * @param {Object} update - Обновление Telegram
+     * @returns {Object|null} Объект from
+     */
+    static getUpdateSender(update) {
+        const type = UPDATE_TYPES.find(updateType => update[updateType]);
+        return type && update[type].from ? update[type].from : null;
+    }
+
+    /**
+     * Заблокировать пользователя
+     * @param {Object} target - { telegramId, user }
+     * @param {number} actorTelegramId - Telegram ID инициатора
+     * @param {Object} options - { reason, duration }
+     * @returns {Promise<UserBan>}
+     */
+    async ban(target, actorTelegramId, { reason = null, duration = null } = {}) {
+        if (!this.roleManager.hasPermission(actorTelegramId, 'canBlockUsers')) {
+            throw new Error('У вас нет прав для блокировки пользователей');
+        }
+
+        const targetTelegramId = Number(target.telegramId);
+        if (targetTelegramId === actorTelegramId) {
+            throw new Error('Нельзя заблокировать самого себя');
+        }
+
+        const targetRole = this.roleManager.getRole(targetTelegramId, target.user);
+        const actorRole = this.roleManager.getRole(actorTelegramId);
+        if (this.roleManager.getRoleRank(targetRole) >= this.roleManager.getRoleRank(actorRole)) {
+            throw new Error('Нельзя заблокировать пользователя с равным или более высоким рангом');
+        }
+
+        if (this.isBanned(targetTelegramId)) {
+            throw new Error('Пользователь уже заблокирован');
+        }
+
+        const actor = await User.findByTelegramId(actorTelegramId);
+        const ban = await UserBan.create({
+            telegram_id: targetTelegramId,
+            user_id: target.user ? target.user.id : null,
+            reason,
+            banned_by: actor ? actor.id : null,
+            expires_at: duration ? new Date(Date.now() + duration).toISOString() : null
+        });
+        this.bans.set(targetTelegramId, ban);
+
+        await this.auditLogger.logModerationAction({
+            action: 'user_ban',
+            targetTelegramId,
+            reason,
+            expiresAt: ban.expires_at,
+            operator: String(actorTelegramId)
+        });
+
+        // Заблокированный не может вернуть автомобиль - его брони закрываются.
+        // Блокировка уже действует, поэтому ошибка здесь только логируется
+        try {
+            const closedReservations = await MembershipManager.closeReservations(targetTelegramId);
+            if (closedReservations > 0) {
+                console.log(`🔑 Закрыто броней заблокированного ${targetTelegramId}: ${closedReservations}`);
+            }
+        } catch (error) {
+            console.error(`Ошибка закрытия броней заблокированного ${targetTelegramId}:`, error);
+        }
+
+        return ban;
+    }
+
+    /**
+     * Снять блокировку с пользователя
+     * @param {number} targetTelegramId - Telegram ID пользователя
+     * @param {number} actorTelegramId - Telegram ID инициатора
+     * @returns {Promise<boolean>} Была ли активная блокировка
+     */
+    async unban(targetTelegramId, actorTelegramId) {
+        if (!this.roleManager.hasPermission(actorTelegramId, 'canBlockUsers')) {
+            throw new Error('У вас нет прав для блокировки пользователей');
+        }
+
+        const actor = await User.findByTelegramId(actorTelegramId);
+        const revoked = await UserBan.revoke(Number(targetTelegramId), actor ? actor.id : null);
+        this.bans.delete(Number(targetTelegramId));
+
+        if (revoked) {
+            await this.auditLogger.logModerationAction({
+                action: 'user_unban',
+                targetTelegramId: Number(targetTelegramId),
+                operator: String(actorTelegramId)
+            });
+        }
+
+        return revoked;
+    }
+
+    /**
+     * Подключить проверку блокировок к конвейеру обновлений бота
+     * Обновления заблокированных пользователей не доходят до обработчиков
+     */
+    attach() {
+        const processUpdate = this.bot.processUpdate.bind(this.bot);
+
+        this.bot.processUpdate = (update) => {
+            const sender = BanManager.getUpdateSender(update);
+            const ban = sender ? this.getActiveBan(sender.id) : null;
+
+            if (!ban) {
+                return processUpdate(update);
+            }
+
+            this.notifyBanned(sender.id, ban).catch(error => {
+                console.error('Ошибка уведомления заблокированного пользователя:', error);
+            });
+        };
+    }
+
+    /**
+     * Один раз сообщить пользователю о блокировке
+     * @param {number} telegramId - Telegram ID пользователя
+     * @param {UserBan} ban - Блокировка
+     * @returns {Promise<void>}
+     */
+    async notifyBanned(telegramId, ban) {
+        if (ban.notified_at) {
+            return;
+        }
+
+        // Отмечаем сразу, чтобы несколько обновлений подряд не дали повторных уведомлений
+        ban.notified_at = new Date().toISOString();
+
+        await this.bot.sendMessage(telegramId, this.formatBanNotice(ban));
+        await ban.markNotified();
+    }
+
+    /**
+     * Сформировать уведомление о блокировке
+     * @param {UserBan} ban - Блокировка
+     * @returns {string}
+     */
+    formatBanNotice(ban) {
+        let text = '🚫 Вы заблокированы в боте.';
+
+        if (ban.reason) {
+            text += `\n\n📝 Причина: ${ban.reason}`;
+        }
+
+        text += ban.isPermanent()
+            ? '\n⏳ Срок: бессрочно'
+            : `\n⏳ До: ${new Date(ban.expires_at).toLocaleString('ru-RU')}`;
+
+        return text;
+    }
+
+    /**
+     * Найти пользователя по аргументу команды или ответу на сообщение
+     * Числовой ID принимается, даже если пользователя нет в базе
+     * @param {Object} msg - Сообщение от Telegram
+     * @param {string} arg - @username или Telegram ID
+     * @returns {Promise<Object|null>} { telegramId, user }
+     */
+    async resolveTarget(msg, arg) {
+        if (arg && arg.startsWith('@')) {
+            const user = await User.findByUsername(arg.slice(1));
+            return user ? { telegramId: Number(user.telegram_id), user } : null;
+        }
+
+        if (arg && /^\d+$/.test(arg)) {
+            const telegramId = parseInt(arg);
+            return { telegramId, user: await User.findByTelegramId(telegramId) };
+        }
+
+        if (msg.reply_to_message && msg.reply_to_message.from) {
+            const telegramId = msg.reply_to_message.from.id;
+            return { telegramId, user: await User.findByTelegramId(telegramId) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Получить имя пользователя для сообщений
+     * @param {Object} target - { telegramId, user }
+     * @returns {string}
+     */
+    getTargetName(target) {
+        return target.user ? target.user.getDisplayName() : `ID ${target.telegramId}`;
+    }
+
+    /**
+     * Зарегистрировать команды блокировки
+     * @param {Router} router - Маршрутизатор бота
+     */
+    registerRoutes(router) {
+        const options = {
+            guard: 'canBlockUsers',
+            deniedMessage: '❌ У вас нет прав для блокировки пользователей.'
+        };
+
+        router
+            .command('ban', (ctx) => this.handleBanCommand(ctx.msg), options)
+            .command('unban', (ctx) => this.handleUnbanCommand(ctx.msg), options)
+            .command('bans', (ctx) => this.handleBansCommand(ctx.msg), options);
+    }
+
+    /**
+     * Обработать команду /ban <@username|ID> [срок] [причина]
+     * Без аргумента цели используется ответ на сообщение пользователя
+     * @param {Object} msg - Сообщение от Telegram
+     */
+    async handleBanCommand(msg) {
+        const chatId = msg.chat.id;
+        const args = (msg.text || '').trim().split(/\s+/).slice(1);
+
+        try {
+            const hasTargetArg = args.length > 0 && (args[0].startsWith('@') || /^\d+$/.test(args[0]));
+            const target = await this.resolveTarget(msg, hasTargetArg ? args[0] : null);
+            if (!target) {
+                await this.bot.sendMessage(chatId,
+                    '❌ Пользователь не найден.\n\n' +
+                    'Использование: /ban <@username|ID> [срок: 30m, 12h, 7d, 2w] [причина]'
+                );
+                return;
+            }
+
+            const rest = hasTargetArg ? args.slice(1) : args;
+            const duration = BanManager.parseDuration(rest[0]);
+            const reason = (duration ? rest.slice(1) : rest).join(' ') || null;
+
+            const ban = await this.ban(target, msg.from.id, { reason, duration });
+
+            const until = ban.isPermanent()
+                ? 'бессрочно'
+                : `до ${new Date(ban.expires_at).toLocaleString('ru-RU')}`;
+            await this.bot.sendMessage(chatId,
+                `🚫 ${this.getTargetName(target)} заблокирован ${until}` +
+                (reason ? `\n📝 Причина: ${reason}` : '')
+            );
+
+        } catch (error) {
+            console.error('Ошибка обработки команды /ban:', error);
+            await this.bot.sendMessage(chatId, `❌ ${error.message}`);
+        }
+    }
+
+    /**
+     * Обработать команду /unban <@username|ID>
+     * @param {Object} msg - Сообщение от Telegram
+     */
+    async handleUnbanCommand(msg) {
+        const chatId = msg.chat.id;
+        const [, targetArg] = (msg.text || '').trim().split(/\s+/);
+
+        try {
+            const target = await this.resolveTarget(msg, targetArg);
+            if (!target) {
+                await this.bot.sendMessage(chatId,
+                    '❌ Пользователь не найден.\n\n' +
+                    'Использование: /unban <@username|ID>'
+                );
+                return;
+            }
+
+            const revoked = await this.unban(target.telegramId, msg.from.id);
+            if (!revoked) {
+                await this.bot.sendMessage(chatId, `ℹ️ ${this.getTargetName(target)} не заблокирован.`);
+                return;
+            }
+
+            await this.bot.sendMessage(chatId, `✅ ${this.getTargetName(target)} разблокирован.`);
+            await this.bot.sendMessage(target.telegramId, '✅ Ваша блокировка в боте снята.').catch(error => {
+                console.error('Не удалось уведомить пользователя о разблокировке:', error.message);
+            });
+
+        } catch (error) {
+            console.error('Ошибка обработки команды /unban:', error);
+            await this.bot.sendMessage(chatId, `❌ ${error.message}`);
+        }
+    }
+
+    /**
+     * Обработать команду /bans - список активных блокировок
+     * @param {Object} msg - Сообщение от Telegram
+     */
+    async handleBansCommand(msg) {
+        const chatId = msg.chat.id;
+
+        try {
+            const bans = await UserBan.findActive();
+            const text = await this.formatBansList(bans);
+            await this.bot.sendMessage(chatId, text);
+
+        } catch (error) {
+            console.error('Ошибка обработки команды /bans:', error);
+            await this.bot.sendMessage(chatId, '❌ Ошибка загрузки списка блокировок.');
+        }
+    }
+
+    /**
+     * Сформировать список активных блокировок
+     * @param {Array<UserBan>} bans - Активные блокировки
+     * @returns {Promise<string>}
+     */
+    async formatBansList(bans) {
+        let text = `🚫 ЗАБЛОКИРОВАННЫЕ (${bans.length})\n\n`;
+
+        if (bans.length === 0) {
+            return text + '✅ Нет заблокированных пользователей';
+        }
+
+        for (const ban of bans) {
+            const user = ban.user_id ? await User.findById(ban.user_id) : null;
+            const name = user ? user.getDisplayName() : `ID ${ban.telegram_id}`;
+            const until = ban.isPermanent()
+                ? 'бессрочно'
+                : `до ${new Date(ban.expires_at).toLocaleString('ru-RU')}`;
+
+            text += `• ${name} (${ban.telegram_id}) - ${until}\n`;
+            if (ban.reason) {
+                text += `   📝 ${ban.reason}\n`;
+            }
+        }
+
+        return text.trim();
+    }
+}
+
+BanManager.DURATION_UNITS = DURATION_UNITS;
+
+module.exports = BanManager;
\ No newline at end of file
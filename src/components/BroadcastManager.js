@@ -0,0 +1,512 @@
+const Broadcast = require('../database/models/broadcast');
+const BroadcastDelivery = require('../database/models/broadcastDelivery');
+const User = require('../database/models/user');
+const BroadcastService = require('./BroadcastService');
+const SessionStore = require('./SessionStore');
+const { ROLES, ROLE_TITLES } = require('../../config/roles');
+const broadcastConfig = require('../../config/broadcast');
+
+const BROADCAST_STATES = {
+    AWAITING_TEXT: 'awaiting_broadcast_text',
+    CONFIRM: 'confirm_broadcast',
+    AWAITING_TIME: 'awaiting_broadcast_time'
+};
+
+const STATUS_ICONS = {
+    scheduled: '🕒',
+    sending: '📤',
+    sent: '✅',
+    cancelled: '🚫'
+};
+
+const CANCEL_BUTTON = { text: '❌ Отмена', callback_data: 'bc_cancel' };
+
+/**
+ * BroadcastManager - рассылки администраторов из бота
+ * /broadcast: выбор аудитории, ввод текста, предпросмотр и подтверждение
+ * (сейчас или в указанное время). /broadcasts - последние рассылки с итогами
+ * доставки. Отправленные рассылки читаются в разделе «Новости» меню помощи
+ */
+class BroadcastManager {
+    /**
+     * @param {TelegramBot} bot - Экземпляр бота
+     * @param {BroadcastService} broadcastService - Сервис доставки рассылок
+     * @param {Object} options - Настройки (по умолчанию из config/broadcast)
+     */
+    constructor(bot, broadcastService, options = broadcastConfig) {
+        this.bot = bot;
+        this.broadcastService = broadcastService;
+        this.maxTextLength = options.maxTextLength;
+        this.newsPageSize = options.newsPageSize;
+        this.STATES = BROADCAST_STATES;
+
+        // Администраторы, готовящие рассылку
+        this.sessions = new SessionStore('broadcast', { ttl: 30 * 60 * 1000 });
+    }
+
+    /**
+     * Зарегистрировать маршруты рассылок и новостей
+     * @param {Router} router - Маршрутизатор бота
+     */
+    registerRoutes(router) {
+        const options = {
+            guard: 'canManageUsers',
+            deniedMessage: '❌ Доступ запрещен! Рассылки доступны только руководству.'
+        };
+
+        router
+            .command('broadcast', (ctx) => this.handleBroadcastCommand(ctx.msg), options)
+            .command('broadcasts', (ctx) => this.handleBroadcastsCommand(ctx.msg), options)
+            .callback('bc_roles', (ctx) => this.handleRolesCallback(ctx.callbackQuery), options)
+            .callback('bc_audience_:audience(any)', (ctx) => this.handleAudienceCallback(ctx.callbackQuery, ctx.params.audience), options)
+            .callback('bc_send', (ctx) => this.handleSendCallback(ctx.callbackQuery), options)
+            .callback('bc_schedule', (ctx) => this.handleScheduleCallback(ctx.callbackQuery), options)
+            .callback('bc_edit', (ctx) => this.handleEditCallback(ctx.callbackQuery), options)
+            .callback('bc_cancel', (ctx) => this.handleCancelCallback(ctx.callbackQuery), options)
+            .callback('bc_stop_:broadcastId(int)', (ctx) => this.handleStopCallback(ctx.callbackQuery, ctx.params.broadcastId), options)
+            .callback('news_page_:page(int)', (ctx) => this.handleNewsPage(ctx.callbackQuery, ctx.params.page));
+    }
+
+    /**
+     * Получить сессию подготовки рассылки
+     * @param {number} telegramId - Telegram ID администратора
+     * @returns {Object|null}
+     */
+    getSession(telegramId) {
+        return this.sessions.get(telegramId) || null;
+    }
+
+    /**
+     * Обработать команду /broadcast - выбор аудитории
+     * @param {Object} msg - Сообщение от Telegram
+     */
+    async handleBroadcastCommand(msg) {
+        this.sessions.delete(msg.from.id);
+
+        await this.bot.sendMessage(msg.chat.id, '📢 НОВАЯ РАССЫЛКА\n\n👥 Кому отправить сообщение?', {
+            reply_markup: {
+                inline_keyboard: [
+                    [{ text: `👥 ${BroadcastService.AUDIENCE_TITLES.all}`, callback_data: 'bc_audience_all' }],
+                    [{ text: `✅ ${BroadcastService.AUDIENCE_TITLES.authorized}`, callback_data: 'bc_audience_authorized' }],
+                    [{ text: `🔒 ${BroadcastService.AUDIENCE_TITLES.unauthorized}`, callback_data: 'bc_audience_unauthorized' }],
+                    [{ text: '🎖️ По роли', callback_data: 'bc_roles' }],
+                    [CANCEL_BUTTON]
+                ]
+            }
+        });
+    }
+
+    /**
+     * Показать выбор роли
+     * @param {Object} callbackQuery - Callback query от Telegram
+     */
+    async handleRolesCallback(callbackQuery) {
+        const keyboard = [...ROLES].reverse().map(role => [{
+            text: ROLE_TITLES[role],
+            callback_data: `bc_audience_${BroadcastService.ROLE_AUDIENCE_PREFIX}${role}`
+        }]);
+        keyboard.push([CANCEL_BUTTON]);
+
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.bot.editMessageText('📢 НОВАЯ РАССЫЛКА\n\n🎖️ Выберите роль получателей:', {
+            chat_id: callbackQuery.message.chat.id,
+            message_id: callbackQuery.message.message_id,
+            reply_markup: { inline_keyboard: keyboard }
+        });
+    }
+
+    /**
+     * Запомнить аудиторию и запросить текст
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {string} audience - Аудитория
+     */
+    async handleAudienceCallback(callbackQuery, audience) {
+        if (!BroadcastService.isValidAudience(audience)) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: 'Неизвестная аудитория', show_alert: true });
+            return;
+        }
+
+        this.sessions.set(callbackQuery.from.id, { state: BROADCAST_STATES.AWAITING_TEXT, audience });
+
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.bot.editMessageText(
+            `📢 НОВАЯ РАССЫЛКА\n\n👥 Аудитория: ${BroadcastService.getAudienceTitle(audience)}\n\n` +
+            '📝 Отправьте текст сообщения:',
+            {
+                chat_id: callbackQuery.message.chat.id,
+                message_id: callbackQuery.message.message_id,
+                reply_markup: { inline_keyboard: [[CANCEL_BUTTON]] }
+            }
+        );
+    }
+
+    /**
+     * Обработать текст, введенный администратором: текст рассылки или время отправки
+     * @param {Object} msg - Сообщение от Telegram
+     */
+    async handleTextInput(msg) {
+        const session = this.getSession(msg.from.id);
+        const text = (msg.text || '').trim();
+
+        if (session.state === BROADCAST_STATES.AWAITING_TEXT) {
+            await this.handleBroadcastText(msg, session, text);
+        } else if (session.state === BROADCAST_STATES.AWAITING_TIME) {
+            await this.handleScheduleTime(msg, session, text);
+        } else {
+            await this.bot.sendMessage(msg.chat.id, '👆 Подтвердите или отмените рассылку кнопками выше.');
+        }
+    }
+
+    /**
+     * Принять текст рассылки и показать предпросмотр
+     * @param {Object} msg - Сообщение от Telegram
+     * @param {Object} session - Сессия рассылки
+     * @param {string} text - Текст рассылки
+     */
+    async handleBroadcastText(msg, session, text) {
+        if (!text) {
+            await this.bot.sendMessage(msg.chat.id, '📝 Отправьте текст сообщения.');
+            return;
+        }
+        if (text.length > this.maxTextLength) {
+            await this.bot.sendMessage(msg.chat.id,
+                `❌ Сообщение слишком длинное: ${text.length} символов, максимум ${this.maxTextLength}.`);
+            return;
+        }
+
+        this.sessions.set(msg.from.id, { ...session, state: BROADCAST_STATES.CONFIRM, text });
+        await this.sendPreview(msg.chat.id, session.audience, text);
+    }
+
+    /**
+     * Показать рассылку так, как ее увидят получатели, и кнопки подтверждения
+     * @param {number} chatId - ID чата администратора
+     * @param {string} audience - Аудитория
+     * @param {string} text - Текст рассылки
+     */
+    async sendPreview(chatId, audience, text) {
+        const recipients = await this.broadcastService.resolveRecipients(audience);
+
+        await this.bot.sendMessage(chatId, BroadcastService.formatPost(text));
+        await this.bot.sendMessage(chatId,
+            '👁️ ПРЕДПРОСМОТР\n\n' +
+            'Сообщение выше получат пользователи в таком виде.\n\n' +
+            `👥 Аудитория: ${BroadcastService.getAudienceTitle(audience)}\n` +
+            `📬 Получателей сейчас: ${recipients.length}`,
+            {
+                reply_markup: {
+                    inline_keyboard: [
+                        [{ text: '✅ Отправить сейчас', callback_data: 'bc_send' }],
+                        [{ text: '🕒 Запланировать', callback_data: 'bc_schedule' }],
+                        [{ text: '✏️ Изменить текст', callback_data: 'bc_edit' }],
+                        [CANCEL_BUTTON]
+                    ]
+                }
+            }
+        );
+    }
+
+    /**
+     * Отправить рассылку сейчас
+     * @param {Object} callbackQuery - Callback query от Telegram
+     */
+    async handleSendCallback(callbackQuery) {
+        const session = this.getSession(callbackQuery.from.id);
+        if (!session || session.state !== BROADCAST_STATES.CONFIRM) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: 'Рассылка уже отправлена или отменена', show_alert: true });
+            return;
+        }
+
+        const broadcast = await this.createBroadcast(callbackQuery.from.id, session, new Date());
+        await this.bot.answerCallbackQuery(callbackQuery.id, { text: '📤 Рассылка запущена' });
+        await this.bot.editMessageText(
+            `📤 Рассылка #${broadcast.id} запущена\n\nИтог доставки придет отдельным сообщением.`,
+            { chat_id: callbackQuery.message.chat.id, message_id: callbackQuery.message.message_id }
+        );
+
+        // Доставка идет в фоне: большая рассылка занимает больше времени, чем ответ на нажатие
+        this.broadcastService.dispatch().catch(error => {
+            console.error('Error dispatching broadcasts:', error);
+        });
+    }
+
+    /**
+     * Запросить время отправки
+     * @param {Object} callbackQuery - Callback query от Telegram
+     */
+    async handleScheduleCallback(callbackQuery) {
+        const session = this.getSession(callbackQuery.from.id);
+        if (!session || session.state !== BROADCAST_STATES.CONFIRM) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: 'Рассылка уже отправлена или отменена', show_alert: true });
+            return;
+        }
+
+        this.sessions.set(callbackQuery.from.id, { ...session, state: BROADCAST_STATES.AWAITING_TIME });
+
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.bot.editMessageText(
+            '🕒 Когда отправить рассылку?\n\n' +
+            'Введите время в формате:\n' +
+            '• ЧЧ:ММ - сегодня (или завтра, если время прошло)\n' +
+            '• ДД.ММ ЧЧ:ММ\n' +
+            '• ДД.ММ.ГГГГ ЧЧ:ММ',
+            {
+                chat_id: callbackQuery.message.chat.id,
+                message_id: callbackQuery.message.message_id,
+                reply_markup: { inline_keyboard: [[CANCEL_BUTTON]] }
+            }
+        );
+    }
+
+    /**
+     * Принять время отправки и запланировать рассылку
+     * @param {Object} msg - Сообщение от Telegram
+     * @param {Object} session - Сессия рассылки
+     * @param {string} text - Введенное время
+     */
+    async handleScheduleTime(msg, session, text) {
+        const now = new Date();
+        const scheduledAt = BroadcastManager.parseScheduleTime(text, now);
+
+        if (!scheduledAt) {
+            await this.bot.sendMessage(msg.chat.id, '❌ Не удалось разобрать время. Пример: 18:30 или 25.12 10:00');
+            return;
+        }
+        if (scheduledAt <= now) {
+            await this.bot.sendMessage(msg.chat.id, '❌ Это время уже прошло. Укажите время в будущем.');
+            return;
+        }
+
+        const broadcast = await this.createBroadcast(msg.from.id, session, scheduledAt);
+        await this.bot.sendMessage(msg.chat.id,
+            `🕒 Рассылка #${broadcast.id} запланирована на ${scheduledAt.toLocaleString('ru-RU')}\n\n` +
+            'Отменить ее можно в /broadcasts до начала отправки.');
+    }
+
+    /**
+     * Сохранить рассылку и завершить диалог
+     * @param {number} telegramId - Telegram ID автора
+     * @param {Object} session - Сессия рассылки
+     * @param {Date} scheduledAt - Время отправки
+     * @returns {Promise<Broadcast>}
+     */
+    async createBroadcast(telegramId, session, scheduledAt) {
+        const author = await User.findByTelegramId(telegramId);
+        this.sessions.delete(telegramId);
+
+        const broadcast = await this.broadcastService.schedule({
+            authorId: author ? author.id : null,
+            text: session.text,
+            audience: session.audience,
+            scheduledAt
+        });
+
+        console.log(`📢 Рассылка #${broadcast.id} (${broadcast.audience}) создана пользователем ${telegramId} на ${broadcast.scheduled_at}`);
+        return broadcast;
+    }
+
+    /**
+     * Вернуться к вводу текста
+     * @param {Object} callbackQuery - Callback query от Telegram
+     */
+    async handleEditCallback(callbackQuery) {
+        const session = this.getSession(callbackQuery.from.id);
+        if (!session) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: 'Рассылка уже отправлена или отменена', show_alert: true });
+            return;
+        }
+
+        this.sessions.set(callbackQuery.from.id, { ...session, state: BROADCAST_STATES.AWAITING_TEXT });
+
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.bot.editMessageText('✏️ Отправьте новый текст сообщения:', {
+            chat_id: callbackQuery.message.chat.id,
+            message_id: callbackQuery.message.message_id,
+            reply_markup: { inline_keyboard: [[CANCEL_BUTTON]] }
+        });
+    }
+
+    /**
+     * Отменить подготовку рассылки
+     * @param {Object} callbackQuery - Callback query от Telegram
+     */
+    async handleCancelCallback(callbackQuery) {
+        this.sessions.delete(callbackQuery.from.id);
+
+        await this.bot.answerCallbackQuery(callbackQuery.id, { text: 'Рассылка отменена' });
+        await this.bot.editMessageText('↩️ Рассылка отменена', {
+            chat_id: callbackQuery.message.chat.id,
+            message_id: callbackQuery.message.message_id
+        });
+    }
+
+    /**
+     * Отменить запланированную рассылку
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} broadcastId - ID рассылки
+     */
+    async handleStopCallback(callbackQuery, broadcastId) {
+        const broadcast = await Broadcast.findById(broadcastId);
+        const cancelled = broadcast ? await broadcast.cancel() : false;
+
+        await this.bot.answerCallbackQuery(callbackQuery.id, cancelled
+            ? { text: `🚫 Рассылка #${broadcastId} отменена` }
+            : { text: 'Рассылка уже отправляется или отменена', show_alert: true });
+
+        if (cancelled) {
+            console.log(`🚫 Рассылка #${broadcastId} отменена пользователем ${callbackQuery.from.id}`);
+            const list = await this.buildList();
+            await this.bot.editMessageText(list.text, {
+                chat_id: callbackQuery.message.chat.id,
+                message_id: callbackQuery.message.message_id,
+                reply_markup: { inline_keyboard: list.keyboard }
+            });
+        }
+    }
+
+    /**
+     * Обработать команду /broadcasts - последние рассылки
+     * @param {Object} msg - Сообщение от Telegram
+     */
+    async handleBroadcastsCommand(msg) {
+        const list = await this.buildList();
+        await this.bot.sendMessage(msg.chat.id, list.text, { reply_markup: { inline_keyboard: list.keyboard } });
+    }
+
+    /**
+     * Сформировать список последних рассылок с итогами доставки
+     * @returns {Promise<Object>} { text, keyboard }
+     */
+    async buildList() {
+        const broadcasts = await Broadcast.findRecent(10);
+        const keyboard = [];
+
+        const blocks = [];
+        for (const broadcast of broadcasts) {
+            const lines = [
+                `${STATUS_ICONS[broadcast.status]} #${broadcast.id} - ${BroadcastService.getAudienceTitle(broadcast.audience)}`,
+                `   ${BroadcastManager.truncate(broadcast.text, 60)}`
+            ];
+
+            if (broadcast.isScheduled()) {
+                lines.push(`   Отправка: ${new Date(broadcast.scheduled_at).toLocaleString('ru-RU')}`);
+                keyboard.push([{ text: `🚫 Отменить #${broadcast.id}`, callback_data: `bc_stop_${broadcast.id}` }]);
+            } else if (broadcast.status !== 'cancelled') {
+                const counts = await BroadcastDelivery.countByStatus(broadcast.id);
+                lines.push(`   Доставлено ${counts.sent} из ${counts.total}` +
+                    (counts.blocked ? `, заблокировали бота: ${counts.blocked}` : '') +
+                    (counts.failed ? `, ошибок: ${counts.failed}` : '') +
+                    (counts.pending ? `, в очереди: ${counts.pending}` : ''));
+            }
+
+            blocks.push(lines.join('\n'));
+        }
+
+        return {
+            text: `📢 РАССЫЛКИ\n\n${blocks.length > 0 ? blocks.join('\n\n') : 'Рассылок пока нет. Создать: /broadcast'}`,
+            keyboard
+        };
+    }
+
+    /**
+     * Сформировать страницу новостей для пользователя
+     * @param {number} telegramId - Telegram ID читателя
+     * @param {User|null} user - Читатель
+     * @param {number} page - Номер страницы (с нуля)
+     * @returns {Promise<Object>} { text, keyboard }
+     */
+    async buildNewsPage(telegramId, user, page = 0) {
+        const audiences = this.broadcastService.getAudiencesFor(telegramId, user);
+        const total = await Broadcast.countPublished(audiences);
+        const pages = Math.max(1, Math.ceil(total / this.newsPageSize));
+        const current = Math.min(Math.max(page, 0), pages - 1);
+
+        const posts = await Broadcast.findPublished(audiences, {
+            limit: this.newsPageSize,
+            offset: current * this.newsPageSize
+        });
+
+        const blocks = posts.map(post => `📅 ${new Date(post.completed_at).toLocaleDateString('ru-RU')}\n` +
+            BroadcastManager.truncate(post.text, 600));
+
+        const navigation = [];
+        if (current > 0) {
+            navigation.push({ text: '◀️ Новее', callback_data: `news_page_${current - 1}` });
+        }
+        if (current < pages - 1) {
+            navigation.push({ text: 'Старше ▶️', callback_data: `news_page_${current + 1}` });
+        }
+
+        const keyboard = navigation.length > 0 ? [navigation] : [];
+        keyboard.push([{ text: '🏠 Главное меню', callback_data: 'help_main' }]);
+
+        return {
+            text: total > 0
+                ? `📰 НОВОСТИ (${current + 1}/${pages})\n\n${blocks.join('\n\n')}`
+                : '📰 НОВОСТИ\n\nОбъявлений пока нет.',
+            keyboard
+        };
+    }
+
+    /**
+     * Перелистнуть новости
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} page - Номер страницы
+     */
+    async handleNewsPage(callbackQuery, page) {
+        const user = await User.findByTelegramId(callbackQuery.from.id);
+        const news = await this.buildNewsPage(callbackQuery.from.id, user, page);
+
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.bot.editMessageText(news.text, {
+            chat_id: callbackQuery.message.chat.id,
+            message_id: callbackQuery.message.message_id,
+            reply_markup: { inline_keyboard: news.keyboard }
+        });
+    }
+
+    /**
+     * Разобрать время отправки (местное время сервера)
+     * @param {string} text - ЧЧ:ММ, ДД.ММ ЧЧ:ММ или ДД.ММ.ГГГГ ЧЧ:ММ
+     * @param {Date} now - Текущий момент
+     * @returns {Date|null} Null, если формат не распознан
+     */
+    static parseScheduleTime(text, now = new Date()) {
+        const match = /^(?:(\d{1,2})\.(\d{1,2})(?:\.(\d{4}))?\s+)?(\d{1,2}):(\d{2})$/.exec(String(text).trim());
+        if (!match) {
+            return null;
+        }
+
+        const [, day, month, year, hours, minutes] = match;
+        if (Number(hours) > 23 || Number(minutes) > 59) {
+            return null;
+        }
+
+        if (!day) {
+            const date = new Date(now.getFullYear(), now.getMonth(), now.getDate(), Number(hours), Number(minutes));
+            if (date <= now) {
+                date.setDate(date.getDate() + 1);
+            }
+            return date;
+        }
+
+        const date = new Date(year ? Number(year) : now.getFullYear(), Number(month) - 1, Number(day), Number(hours), Number(minutes));
+        // Отсеиваем несуществующие даты вроде 31.02
+        if (date.getDate() !== Number(day) || date.getMonth() !== Number(month) - 1) {
+            return null;
+        }
+        return date;
+    }
+
+    /**
+     * Обрезать текст для списков
+     * @param {string} text - Текст
+     * @param {number} length - Максимальная длина
+     * @returns {string}
+     */
+    static truncate(text, length) {
+        return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+    }
+}
+
+module.exports = BroadcastManager;
\ No newline at end of file
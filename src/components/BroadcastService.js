@@ -0,0 +1,275 @@
+const Broadcast = require('../database/models/broadcast');
+const BroadcastDelivery = require('../database/models/broadcastDelivery');
+const User = require('../database/models/user');
+const OutboundQueue = require('./OutboundQueue');
+const { ROLES, ROLE_TITLES } = require('../../config/roles');
+const broadcastConfig = require('../../config/broadcast');
+
+const AUDIENCE_TITLES = {
+    all: 'Все пользователи',
+    authorized: 'Участники семьи',
+    unauthorized: 'Неавторизованные'
+};
+
+const ROLE_AUDIENCE_PREFIX = 'role:';
+
+/**
+ * BroadcastService - доставка рассылок администраторов
+ * Получатели определяются в момент отправки и записываются в broadcast_deliveries,
+ * сообщения уходят через общую очередь исходящих сообщений с ее лимитами.
+ * Пользователи, заблокировавшие бота, отмечаются отдельно.
+ * Прерванная рассылка продолжается с неотправленных получателей
+ */
+class BroadcastService {
+    /**
+     * @param {TelegramBot} bot - Экземпляр бота
+     * @param {RoleManager} roleManager - Менеджер ролей (аудитория по роли)
+     * @param {Object} options - Настройки (по умолчанию из config/broadcast)
+     * @param {OutboundQueue} options.outbound - Общая очередь исходящих сообщений;
+     *   без нее создается собственная с остальными настройками из options
+     * @param {NotificationService} options.notifications - Настройки уведомлений получателей;
+     *   без него объявления получают все пользователи аудитории сразу
+     */
+    constructor(bot, roleManager, options = {}) {
+        this.bot = bot;
+        this.roleManager = roleManager;
+        this.outbound = options.outbound || new OutboundQueue(bot, options);
+        this.notifications = options.notifications || null;
+        this.maxAttempts = options.maxAttempts || broadcastConfig.maxAttempts;
+        this.dispatching = null;
+    }
+
+    /**
+     * Проверить аудиторию рассылки
+     * @param {string} audience - all, authorized, unauthorized или role:<роль>
+     * @returns {boolean}
+     */
+    static isValidAudience(audience) {
+        if (AUDIENCE_TITLES[audience]) {
+            return true;
+        }
+        return audience.startsWith(ROLE_AUDIENCE_PREFIX) && ROLES.includes(audience.slice(ROLE_AUDIENCE_PREFIX.length));
+    }
+
+    /**
+     * Название аудитории для администраторов
+     * @param {string} audience - Аудитория
+     * @returns {string}
+     */
+    static getAudienceTitle(audience) {
+        if (audience.startsWith(ROLE_AUDIENCE_PREFIX)) {
+            return `Роль: ${ROLE_TITLES[audience.slice(ROLE_AUDIENCE_PREFIX.length)] || audience}`;
+        }
+        return AUDIENCE_TITLES[audience] || audience;
+    }
+
+    /**
+     * Текст рассылки в том виде, в котором его получат пользователи
+     * @param {string} text - Текст администратора
+     * @returns {string}
+     */
+    static formatPost(text) {
+        return `📢 Объявление\n\n${text}`;
+    }
+
+    /**
+     * Аудитории, в которые входит пользователь (для раздела «Новости»)
+     * @param {number} telegramId - Telegram ID
+     * @param {User|null} user - Пользователь
+     * @returns {Array<string>}
+     */
+    getAudiencesFor(telegramId, user) {
+        const authorized = Boolean(user && user.isAuthorized());
+        return [
+            'all',
+            authorized ? 'authorized' : 'unauthorized',
+            `${ROLE_AUDIENCE_PREFIX}${this.roleManager.getRole(Number(telegramId), user)}`
+        ];
+    }
+
+    /**
+     * Получатели рассылки (без отключивших объявления)
+     * @param {string} audience - Аудитория
+     * @returns {Promise<Array<User>>}
+     */
+    async resolveRecipients(audience) {
+        if (!BroadcastService.isValidAudience(audience)) {
+            throw new Error(`Неизвестная аудитория рассылки: ${audience}`);
+        }
+
+        let users = (await User.findAll()).filter(user => user.telegram_id && !user.is_bot);
+        if (this.notifications) {
+            users = await this.notifications.filterSubscribed(users, 'announcements');
+        }
+
+        switch (audience) {
+        case 'all':
+            return users;
+        case 'authorized':
+            return users.filter(user => user.isAuthorized());
+        case 'unauthorized':
+            return users.filter(user => !user.isAuthorized());
+        default: {
+            const role = audience.slice(ROLE_AUDIENCE_PREFIX.length);
+            return users.filter(user => this.roleManager.getRole(Number(user.telegram_id), user) === role);
+        }
+        }
+    }
+
+    /**
+     * Запланировать рассылку
+     * @param {Object} data - { authorId, text, audience, scheduledAt }
+     * @returns {Promise<Broadcast>}
+     */
+    async schedule({ authorId = null, text, audience, scheduledAt = new Date() }) {
+        if (!BroadcastService.isValidAudience(audience)) {
+            throw new Error(`Неизвестная аудитория рассылки: ${audience}`);
+        }
+
+        return Broadcast.create({
+            author_id: authorId,
+            text,
+            audience,
+            scheduled_at: scheduledAt.toISOString()
+        });
+    }
+
+    /**
+     * Отправить все рассылки, время которых пришло
+     * Повторный вызов во время отправки получает тот же промис
+     * @returns {Promise<number>} Число завершенных рассылок
+     */
+    async dispatch() {
+        if (!this.dispatching) {
+            this.dispatching = this.dispatchDue().finally(() => {
+                this.dispatching = null;
+            });
+        }
+        return this.dispatching;
+    }
+
+    /**
+     * Отправлять рассылки, пока есть готовые к отправке
+     * @returns {Promise<number>}
+     */
+    async dispatchDue() {
+        const processed = new Set();
+
+        for (;;) {
+            const due = (await Broadcast.findDue(new Date().toISOString()))
+                .filter(broadcast => !processed.has(broadcast.id));
+            if (due.length === 0) {
+                return processed.size;
+            }
+
+            for (const broadcast of due) {
+                processed.add(broadcast.id);
+                try {
+                    await this.deliver(broadcast);
+                } catch (error) {
+                    console.error(`Error delivering broadcast ${broadcast.id}:`, error);
+                }
+            }
+        }
+    }
+
+    /**
+     * Доставить рассылку всем получателям
+     * @param {Broadcast} broadcast - Рассылка
+     * @returns {Promise<Object>} Итог по статусам доставки
+     */
+    async deliver(broadcast) {
+        if (!(await broadcast.markSending())) {
+            return BroadcastDelivery.countByStatus(broadcast.id);
+        }
+
+        // Получатели записываются один раз: после перезапуска продолжаем с того же списка
+        if ((await BroadcastDelivery.countByStatus(broadcast.id)).total === 0) {
+            const recipients = await this.resolveRecipients(broadcast.audience);
+            await BroadcastDelivery.addRecipients(broadcast.id, recipients.map(user => user.telegram_id));
+        }
+
+        const text = BroadcastService.formatPost(broadcast.text);
+        let batch;
+        while ((batch = await BroadcastDelivery.findPending(broadcast.id)).length > 0) {
+            for (const delivery of batch) {
+                await this.deliverOne(delivery, text);
+            }
+        }
+
+        await broadcast.markSent();
+        const counts = await BroadcastDelivery.countByStatus(broadcast.id);
+        console.log(`📢 Рассылка #${broadcast.id} отправлена: ${counts.sent} из ${counts.total}, заблокировали бота ${counts.blocked}, ошибок ${counts.failed}`);
+
+        await this.notifyAuthor(broadcast, counts);
+        return counts;
+    }
+
+    /**
+     * Доставить сообщение одному получателю
+     * В режиме сводки и в тихие часы получателя объявление передается сервису уведомлений
+     * и считается доставленным
+     * @param {BroadcastDelivery} delivery - Доставка
+     * @param {string} text - Текст сообщения
+     * @returns {Promise<void>}
+     */
+    async deliverOne(delivery, text) {
+        try {
+            if (this.notifications) {
+                const preferences = await this.notifications.getPreferences(delivery.telegram_id);
+                const plan = this.notifications.plan(preferences, 'announcements');
+                if (plan === 'disabled') {
+                    await delivery.record('failed', 'Объявления отключены получателем');
+                    return;
+                }
+                if (plan !== 'instant') {
+                    await this.notifications.notify(delivery.telegram_id, 'announcements', text);
+                    await delivery.record('sent');
+                    return;
+                }
+            }
+
+            await this.outbound.deliver('sendMessage', delivery.telegram_id, text);
+            await delivery.record('sent');
+        } catch (error) {
+            const description = OutboundQueue.describeError(error);
+            if (OutboundQueue.isUnreachable(error)) {
+                await delivery.record('blocked', description);
+            } else {
+                await delivery.record(delivery.attempts + 1 >= this.maxAttempts ? 'failed' : 'pending', description);
+            }
+        }
+    }
+
+    /**
+     * Сообщить автору итог рассылки
+     * @param {Broadcast} broadcast - Рассылка
+     * @param {Object} counts - Итог по статусам доставки
+     */
+    async notifyAuthor(broadcast, counts) {
+        if (!broadcast.author_id) {
+            return;
+        }
+
+        try {
+            const author = await User.findById(broadcast.author_id);
+            if (!author) {
+                return;
+            }
+
+            await this.outbound.sendMessage(author.telegram_id,
+                `📢 Рассылка #${broadcast.id} отправлена\n\n` +
+                `👥 Аудитория: ${BroadcastService.getAudienceTitle(broadcast.audience)}\n` +
+                `✅ Доставлено: ${counts.sent} из ${counts.total}\n` +
+                `🚫 Заблокировали бота: ${counts.blocked}\n` +
+                `❌ Ошибок: ${counts.failed}`);
+        } catch (error) {
+            console.error(`Error notifying author of broadcast ${broadcast.id}:`, error.message);
+        }
+    }
+}
+
+BroadcastService.AUDIENCE_TITLES = AUDIENCE_TITLES;
+BroadcastService.ROLE_AUDIENCE_PREFIX = ROLE_AUDIENCE_PREFIX;
+
+module.exports = BroadcastService;
\ No newline at end of file
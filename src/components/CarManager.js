@@ -1,43 +1,54 @@
 const Garage = require('../database/models/garage');
 const User = require('../database/models/user');
 const GarageRequest = require('../database/models/garageRequest');
+const SessionStore = require('./SessionStore');
+const StatusDegradationService = require('./StatusDegradationService');
+const { i18n } = require('../i18n');
+
+// Сообщения интерфейса: ключ ADMIN_MESSAGES -> ключ каталога car_manager
+const MESSAGE_KEYS = [
+    'ACCESS_DENIED', 'MAIN_MENU', 'CAR_ADDED', 'CAR_DELETED', 'STATUS_UPDATED', 'NAME_UPDATED',
+    'ENTER_CAR_NAME', 'SELECT_STATUS', 'CONFIRM_DELETE', 'ENTER_NEW_NAME', 'ENTER_INTERVALS',
+    'INTERVALS_UPDATED', 'INVALID_INTERVALS', 'CAR_NOT_FOUND', 'ERROR_OCCURRED'
+];
 
 /**
  * CarManager - компонент для административного управления автомобилями в гараже
  * Обрабатывает команду /garage_admin и предоставляет удобный интерфейс управления
  */
 class CarManager {
-    constructor(bot, adminIds) {
+    constructor(bot, adminIds, roleManager = null) {
         this.bot = bot;
         this.adminIds = Array.isArray(adminIds) ? adminIds : [adminIds];
-        this.adminSessions = new Map(); // Хранилище состояний администраторов
+        this.roleManager = roleManager;
         this.SESSION_TIMEOUT = 30 * 60 * 1000; // 30 минут
+        this.adminSessions = new SessionStore('garage_admin', { ttl: this.SESSION_TIMEOUT }); // Хранилище состояний администраторов
         
         // Состояния администраторского интерфейса
         this.ADMIN_STATES = {
             AWAITING_CAR_NAME: 'admin_awaiting_car_name',
             AWAITING_NEW_CAR_NAME: 'admin_awaiting_new_car_name',
-            CONFIRMING_DELETE: 'admin_confirming_delete'
+            CONFIRMING_DELETE: 'admin_confirming_delete',
+            AWAITING_INTERVALS: 'admin_awaiting_intervals'
         };
 
-        // Сообщения интерфейса
-        this.ADMIN_MESSAGES = {
-            ACCESS_DENIED: '❌ Доступ запрещен! Эта команда доступна только администраторам.',
-            MAIN_MENU: '🔧 АДМИН ПАНЕЛЬ ГАРАЖА',
-            CAR_ADDED: '✅ Автомобиль "{name}" успешно добавлен!',
-            CAR_DELETED: '🗑️ Автомобиль "{name}" успешно удален!',
-            STATUS_UPDATED: '✅ Статус автомобиля "{name}" изменен на {status}',
-            NAME_UPDATED: '✅ Название автомобиля изменено на "{name}"',
-            ENTER_CAR_NAME: '📝 Введите название нового автомобиля:',
-            SELECT_STATUS: '🎨 Выберите начальный статус автомобиля:',
-            CONFIRM_DELETE: '⚠️ Вы уверены, что хотите удалить автомобиль "{name}"?',
-            ENTER_NEW_NAME: '📝 Введите новое название для автомобиля "{name}":',
-            CAR_NOT_FOUND: '❌ Автомобиль не найден',
-            ERROR_OCCURRED: '❌ Произошла ошибка: {error}'
-        };
+        // Сообщения интерфейса на основном языке бота (ответы маршрутизатора)
+        this.ADMIN_MESSAGES = this.getMessages(null);
+    }
 
-        // Настройка автоочистки сессий
-        setInterval(() => this.cleanupExpiredSessions(), 5 * 60 * 1000);
+    /**
+     * Сообщения интерфейса на языке администратора
+     * Подстановки {name}, {status} и т.п. остаются в тексте
+     * @param {Object|null} subject - Отправитель (from) или { id }; null - основной язык бота
+     * @returns {Object} Сообщения по ключам ADMIN_MESSAGES и TRY_LATER
+     */
+    getMessages(subject) {
+        const locale = i18n.resolveLocale(subject);
+        const messages = { TRY_LATER: i18n.t(locale, 'common.try_later') };
+        for (const key of MESSAGE_KEYS) {
+            messages[key] = i18n.t(locale, `car_manager.${key.toLowerCase()}`);
+        }
+        return messages;
     }
 
     /**
@@ -46,21 +57,62 @@ class CarManager {
      * @returns {boolean}
      */
     isAdmin(telegramId) {
+        if (this.roleManager) {
+            return this.roleManager.hasPermission(telegramId, 'canManageGarage');
+        }
+
         return this.adminIds.includes(telegramId);
     }
 
+    /**
+     * Зарегистрировать маршруты админ-панели гаража
+     * @param {Router} router - Маршрутизатор бота
+     */
+    registerRoutes(router) {
+        const adminOnly = {
+            guard: (ctx) => this.isAdmin(ctx.telegramId),
+            deniedMessage: this.ADMIN_MESSAGES.ACCESS_DENIED,
+            errorMessage: this.ADMIN_MESSAGES.ERROR_OCCURRED.replace('{error}', this.ADMIN_MESSAGES.TRY_LATER)
+        };
+
+        router
+            .command('garage_admin', (ctx) => this.handleGarageAdminCommand(ctx.msg), {
+                errorMessage: 'Произошла ошибка при загрузке панели администрирования. Попробуйте позже.'
+            })
+            .callback('admin_menu', async (ctx) => {
+                await this.bot.answerCallbackQuery(ctx.callbackQuery.id);
+                await this.showAdminMenu(ctx.chatId);
+            }, adminOnly)
+            .callback('admin_manage', async (ctx) => {
+                await this.bot.answerCallbackQuery(ctx.callbackQuery.id);
+                await this.showCarManagement(ctx.chatId, 0, ctx.callbackQuery.message.message_id);
+            }, adminOnly)
+            .callback('admin_manage_page_:page(int)', async (ctx) => {
+                await this.bot.answerCallbackQuery(ctx.callbackQuery.id);
+                await this.showCarManagement(ctx.chatId, ctx.params.page, ctx.callbackQuery.message.message_id);
+            }, adminOnly)
+            .callback('admin_edit_:carId(int)', (ctx) => this.handleCarEdit(ctx.callbackQuery), adminOnly)
+            .callback('admin_status_:carId(int)', (ctx) => this.handleStatusChange(ctx.callbackQuery), adminOnly)
+            .callback('admin_set_status_:carId(int)_:status', (ctx) => this.handleSetStatus(ctx.callbackQuery), adminOnly)
+            .callback('admin_intervals_:carId(int)', (ctx) => this.handleIntervalsEdit(ctx.callbackQuery, ctx.params.carId), adminOnly)
+            .callback('admin_add_car', (ctx) => this.handleAddCar(ctx.callbackQuery), adminOnly)
+            .callback('admin_create_car_:status', (ctx) => this.handleCreateCar(ctx.callbackQuery), adminOnly)
+            .callback('admin_stats', (ctx) => this.bot.answerCallbackQuery(ctx.callbackQuery.id), adminOnly);
+    }
+
     /**
      * Обработать команду /garage_admin
      * @param {Object} msg - Сообщение от Telegram
      */
     async handleGarageAdminCommand(msg) {
+        const messages = this.getMessages(msg.from);
         const chatId = msg.chat.id;
         const telegramId = msg.from.id;
 
         try {
             // Проверяем права администратора
             if (!this.isAdmin(telegramId)) {
-                await this.bot.sendMessage(chatId, this.ADMIN_MESSAGES.ACCESS_DENIED);
+                await this.bot.sendMessage(chatId, messages.ACCESS_DENIED);
                 return;
             }
 
@@ -70,7 +122,7 @@ class CarManager {
         } catch (error) {
             console.error('Ошибка обработки команды /garage_admin:', error);
             await this.bot.sendMessage(chatId, 
-                this.ADMIN_MESSAGES.ERROR_OCCURRED.replace('{error}', 'Попробуйте позже')
+                messages.ERROR_OCCURRED.replace('{error}', messages.TRY_LATER)
             );
         }
     }
@@ -80,13 +132,14 @@ class CarManager {
      * @param {number} chatId - ID чата
      */
     async showAdminMenu(chatId) {
+        const messages = this.getMessages({ id: chatId });
         try {
             // Получаем статистику
             const stats = await Garage.getStatistics();
             const pendingRequests = await GarageRequest.countByStatus('Не выплачено');
 
             const messageText = 
-                `${this.ADMIN_MESSAGES.MAIN_MENU}\n\n` +
+                `${messages.MAIN_MENU}\n\n` +
                 `📊 Статистика: ${stats.total} машин\n` +
                 `🟢 Хорошее: ${stats['Хорошее']} автомобилей\n` +
                 `🟡 Среднее: ${stats['Среднее']} автомобилей\n` +
@@ -126,6 +179,9 @@ class CarManager {
                 { text: '➕ Добавить авто', callback_data: 'admin_add_car' },
                 { text: requestText, callback_data: 'admin_requests' }
             ],
+            [
+                { text: '💰 Вознаграждения', callback_data: 'admin_rewards' }
+            ],
             [
                 { text: '🏠 Главное меню', callback_data: 'back_to_main' }
             ]
@@ -257,6 +313,7 @@ class CarManager {
      * @param {Object} callbackQuery - Callback query от Telegram
      */
     async handleCarEdit(callbackQuery) {
+        const messages = this.getMessages(callbackQuery.from);
         const chatId = callbackQuery.message.chat.id;
         const carId = parseInt(callbackQuery.data.split('_')[2]);
 
@@ -264,7 +321,7 @@ class CarManager {
             const car = await Garage.findById(carId);
             if (!car) {
                 await this.bot.answerCallbackQuery(callbackQuery.id, {
-                    text: this.ADMIN_MESSAGES.CAR_NOT_FOUND,
+                    text: messages.CAR_NOT_FOUND,
                     show_alert: true
                 });
                 return;
@@ -274,7 +331,8 @@ class CarManager {
                 `🚗 РЕДАКТИРОВАНИЕ АВТОМОБИЛЯ\n\n` +
                 `📛 Название: ${car.car_name}\n` +
                 `📊 Статус: ${car.getDisplayName()}\n` +
-                `🔧 Последнее ТО: ${car.last_maintenance ? new Date(car.last_maintenance).toLocaleDateString() : 'Не указано'}`;
+                `🔧 Последнее ТО: ${car.last_maintenance ? new Date(car.last_maintenance).toLocaleDateString() : 'Не указано'}\n` +
+                `⏳ Износ: ${this.formatIntervals(car)}`;
 
             const keyboard = [
                 [
@@ -282,6 +340,7 @@ class CarManager {
                     { text: '✏️ Изменить название', callback_data: `admin_name_${carId}` }
                 ],
                 [
+                    { text: '⏳ Интервалы износа', callback_data: `admin_intervals_${carId}` },
                     { text: '🗑️ Удалить авто', callback_data: `admin_delete_${carId}` }
                 ],
                 [
@@ -299,7 +358,7 @@ class CarManager {
         } catch (error) {
             console.error('Ошибка редактирования автомобиля:', error);
             await this.bot.answerCallbackQuery(callbackQuery.id, {
-                text: this.ADMIN_MESSAGES.ERROR_OCCURRED.replace('{error}', 'Попробуйте позже'),
+                text: messages.ERROR_OCCURRED.replace('{error}', messages.TRY_LATER),
                 show_alert: true
             });
         }
@@ -310,6 +369,7 @@ class CarManager {
      * @param {Object} callbackQuery - Callback query от Telegram
      */
     async handleStatusChange(callbackQuery) {
+        const messages = this.getMessages(callbackQuery.from);
         const chatId = callbackQuery.message.chat.id;
         const carId = parseInt(callbackQuery.data.split('_')[2]);
 
@@ -317,7 +377,7 @@ class CarManager {
             const car = await Garage.findById(carId);
             if (!car) {
                 await this.bot.answerCallbackQuery(callbackQuery.id, {
-                    text: this.ADMIN_MESSAGES.CAR_NOT_FOUND,
+                    text: messages.CAR_NOT_FOUND,
                     show_alert: true
                 });
                 return;
@@ -341,7 +401,7 @@ class CarManager {
         } catch (error) {
             console.error('Ошибка изменения статуса:', error);
             await this.bot.answerCallbackQuery(callbackQuery.id, {
-                text: this.ADMIN_MESSAGES.ERROR_OCCURRED.replace('{error}', 'Попробуйте позже'),
+                text: messages.ERROR_OCCURRED.replace('{error}', messages.TRY_LATER),
                 show_alert: true
             });
         }
@@ -374,6 +434,7 @@ class CarManager {
      * @param {Object} callbackQuery - Callback query от Telegram
      */
     async handleSetStatus(callbackQuery) {
+        const messages = this.getMessages(callbackQuery.from);
         const chatId = callbackQuery.message.chat.id;
         const parts = callbackQuery.data.split('_');
         const carId = parseInt(parts[3]);
@@ -383,7 +444,7 @@ class CarManager {
             const car = await Garage.findById(carId);
             if (!car) {
                 await this.bot.answerCallbackQuery(callbackQuery.id, {
-                    text: this.ADMIN_MESSAGES.CAR_NOT_FOUND,
+                    text: messages.CAR_NOT_FOUND,
                     show_alert: true
                 });
                 return;
@@ -391,7 +452,7 @@ class CarManager {
 
             await Garage.updateStatus(carId, newStatus);
 
-            const successMessage = this.ADMIN_MESSAGES.STATUS_UPDATED
+            const successMessage = messages.STATUS_UPDATED
                 .replace('{name}', car.car_name)
                 .replace('{status}', newStatus);
 
@@ -406,7 +467,8 @@ class CarManager {
                 `🚗 РЕДАКТИРОВАНИЕ АВТОМОБИЛЯ\n\n` +
                 `📛 Название: ${updatedCar.car_name}\n` +
                 `📊 Статус: ${updatedCar.getDisplayName()}\n` +
-                `🔧 Последнее ТО: ${updatedCar.last_maintenance ? new Date(updatedCar.last_maintenance).toLocaleDateString() : 'Не указано'}`;
+                `🔧 Последнее ТО: ${updatedCar.last_maintenance ? new Date(updatedCar.last_maintenance).toLocaleDateString() : 'Не указано'}\n` +
+                `⏳ Износ: ${this.formatIntervals(updatedCar)}`;
 
             const keyboard = [
                 [
@@ -414,6 +476,7 @@ class CarManager {
                     { text: '✏️ Изменить название', callback_data: `admin_name_${carId}` }
                 ],
                 [
+                    { text: '⏳ Интервалы износа', callback_data: `admin_intervals_${carId}` },
                     { text: '🗑️ Удалить авто', callback_data: `admin_delete_${carId}` }
                 ],
                 [
@@ -430,9 +493,88 @@ class CarManager {
         } catch (error) {
             console.error('Ошибка установки статуса:', error);
             await this.bot.answerCallbackQuery(callbackQuery.id, {
-                text: this.ADMIN_MESSAGES.ERROR_OCCURRED.replace('{error}', error.message),
+                text: messages.ERROR_OCCURRED.replace('{error}', error.message),
+                show_alert: true
+            });
+        }
+    }
+
+    /**
+     * Описание интервалов износа автомобиля для экрана редактирования
+     * @param {Garage} car - Автомобиль
+     * @returns {string}
+     */
+    formatIntervals(car) {
+        const intervals = StatusDegradationService.getIntervals(car);
+        const text = `🟡 через ${intervals.mediumDays} дн., 🔴 через ${intervals.badDays} дн.`;
+        return intervals.custom ? text : `${text} (по умолчанию)`;
+    }
+
+    /**
+     * Запросить у администратора интервалы износа автомобиля
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} carId - ID автомобиля
+     */
+    async handleIntervalsEdit(callbackQuery, carId) {
+        const messages = this.getMessages(callbackQuery.from);
+        const car = await Garage.findById(carId);
+        if (!car) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, {
+                text: messages.CAR_NOT_FOUND,
                 show_alert: true
             });
+            return;
+        }
+
+        this.setAdminSession(callbackQuery.from.id, {
+            state: this.ADMIN_STATES.AWAITING_INTERVALS,
+            carId,
+            carName: car.car_name
+        });
+
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.bot.sendMessage(callbackQuery.message.chat.id,
+            `${messages.ENTER_INTERVALS.replace('{name}', car.car_name)}\n\n` +
+            `Сейчас: ${this.formatIntervals(car)}`,
+            { reply_markup: { inline_keyboard: [[{ text: '❌ Отмена', callback_data: `admin_edit_${carId}` }]] } }
+        );
+    }
+
+    /**
+     * Обработать ввод интервалов износа
+     * @param {Object} msg - Сообщение от Telegram
+     */
+    async processIntervalsInput(msg) {
+        const messages = this.getMessages(msg.from);
+        const chatId = msg.chat.id;
+        const telegramId = msg.from.id;
+        const session = this.getAdminSession(telegramId);
+
+        if (!session || session.state !== this.ADMIN_STATES.AWAITING_INTERVALS) {
+            return;
+        }
+
+        const intervals = StatusDegradationService.parseIntervals(msg.text);
+        if (!intervals) {
+            await this.bot.sendMessage(chatId, messages.INVALID_INTERVALS);
+            return;
+        }
+
+        try {
+            await Garage.updateDegradationIntervals(session.carId, intervals.mediumDays, intervals.badDays);
+            this.clearAdminSession(telegramId);
+
+            const car = await Garage.findById(session.carId);
+            await this.bot.sendMessage(chatId,
+                messages.INTERVALS_UPDATED
+                    .replace('{name}', session.carName)
+                    .replace('{intervals}', this.formatIntervals(car)),
+                { reply_markup: { inline_keyboard: [[{ text: '⬅️ К автомобилю', callback_data: `admin_edit_${session.carId}` }]] } }
+            );
+        } catch (error) {
+            console.error('Ошибка обновления интервалов износа:', error);
+            this.clearAdminSession(telegramId);
+            await this.bot.sendMessage(chatId, messages.ERROR_OCCURRED.replace('{error}', error.message));
         }
     }
 
@@ -441,6 +583,7 @@ class CarManager {
      * @param {Object} callbackQuery - Callback query от Telegram
      */
     async handleAddCar(callbackQuery) {
+        const messages = this.getMessages(callbackQuery.from);
         const chatId = callbackQuery.message.chat.id;
         const telegramId = callbackQuery.from.id;
 
@@ -452,7 +595,7 @@ class CarManager {
             });
 
             await this.bot.answerCallbackQuery(callbackQuery.id);
-            await this.bot.editMessageText(this.ADMIN_MESSAGES.ENTER_CAR_NAME, {
+            await this.bot.editMessageText(messages.ENTER_CAR_NAME, {
                 chat_id: chatId,
                 message_id: callbackQuery.message.message_id,
                 reply_markup: {
@@ -465,7 +608,7 @@ class CarManager {
         } catch (error) {
             console.error('Ошибка начала добавления автомобиля:', error);
             await this.bot.answerCallbackQuery(callbackQuery.id, {
-                text: this.ADMIN_MESSAGES.ERROR_OCCURRED.replace('{error}', 'Попробуйте позже'),
+                text: messages.ERROR_OCCURRED.replace('{error}', messages.TRY_LATER),
                 show_alert: true
             });
         }
@@ -476,6 +619,7 @@ class CarManager {
      * @param {Object} msg - Сообщение от Telegram
      */
     async processNewCarName(msg) {
+        const messages = this.getMessages(msg.from);
         const chatId = msg.chat.id;
         const telegramId = msg.from.id;
         const carName = msg.text.trim();
@@ -506,7 +650,7 @@ class CarManager {
 
             // Показываем выбор статуса
             const messageText = 
-                `${this.ADMIN_MESSAGES.SELECT_STATUS}\n\n` +
+                `${messages.SELECT_STATUS}\n\n` +
                 `🚗 Название: ${carName}`;
 
             const keyboard = [
@@ -545,7 +689,7 @@ class CarManager {
         } catch (error) {
             console.error('Ошибка обработки названия автомобиля:', error);
             await this.bot.sendMessage(chatId, 
-                this.ADMIN_MESSAGES.ERROR_OCCURRED.replace('{error}', 'Попробуйте позже')
+                messages.ERROR_OCCURRED.replace('{error}', messages.TRY_LATER)
             );
             this.clearAdminSession(telegramId);
         }
@@ -556,6 +700,7 @@ class CarManager {
      * @param {Object} callbackQuery - Callback query от Telegram
      */
     async handleCreateCar(callbackQuery) {
+        const messages = this.getMessages(callbackQuery.from);
         const chatId = callbackQuery.message.chat.id;
         const telegramId = callbackQuery.from.id;
         const status = callbackQuery.data.split('_')[3];
@@ -576,7 +721,7 @@ class CarManager {
             // Очищаем сессию
             this.clearAdminSession(telegramId);
 
-            const successMessage = this.ADMIN_MESSAGES.CAR_ADDED.replace('{name}', session.carName);
+            const successMessage = messages.CAR_ADDED.replace('{name}', session.carName);
 
             await this.bot.answerCallbackQuery(callbackQuery.id, {
                 text: successMessage,
@@ -589,7 +734,7 @@ class CarManager {
         } catch (error) {
             console.error('Ошибка создания автомобиля:', error);
             await this.bot.answerCallbackQuery(callbackQuery.id, {
-                text: this.ADMIN_MESSAGES.ERROR_OCCURRED.replace('{error}', error.message),
+                text: messages.ERROR_OCCURRED.replace('{error}', error.message),
                 show_alert: true
             });
             this.clearAdminSession(telegramId);
@@ -601,13 +746,14 @@ class CarManager {
      * @param {Object} callbackQuery - Callback query от Telegram
      */
     async handleAdminCallback(callbackQuery) {
+        const messages = this.getMessages(callbackQuery.from);
         const data = callbackQuery.data;
         const telegramId = callbackQuery.from.id;
 
         // Проверяем права администратора
         if (!this.isAdmin(telegramId)) {
             await this.bot.answerCallbackQuery(callbackQuery.id, {
-                text: this.ADMIN_MESSAGES.ACCESS_DENIED,
+                text: messages.ACCESS_DENIED,
                 show_alert: true
             });
             return;
@@ -643,7 +789,7 @@ class CarManager {
         } catch (error) {
             console.error('Ошибка обработки admin callback:', error);
             await this.bot.answerCallbackQuery(callbackQuery.id, {
-                text: this.ADMIN_MESSAGES.ERROR_OCCURRED.replace('{error}', 'Попробуйте позже'),
+                text: messages.ERROR_OCCURRED.replace('{error}', messages.TRY_LATER),
                 show_alert: true
             });
         }
@@ -682,12 +828,8 @@ class CarManager {
      * Очистить истекшие сессии
      */
     cleanupExpiredSessions() {
-        const now = Date.now();
-        for (const [telegramId, session] of this.adminSessions.entries()) {
-            if (now - session.startTime > this.SESSION_TIMEOUT) {
-                this.adminSessions.delete(telegramId);
-                console.log(`Очищена истекшая админ-сессия для пользователя ${telegramId}`);
-            }
+        for (const telegramId of this.adminSessions.cleanupExpired()) {
+            console.log(`Очищена истекшая админ-сессия для пользователя ${telegramId}`);
         }
     }
 }
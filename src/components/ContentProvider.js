@@ -3,36 +3,25 @@
  * Управляет шаблонами сообщений и их персонализацией
  */
 
-class ContentProvider {
-    constructor() {
-        this.templates = {
-            // Базовые приветствия
-            welcome_admin: '🏛️ ПАНЕЛЬ АДМИНИСТРАТОРА 👑',
-            welcome_user: '🎯 ДОБРО ПОЖАЛОВАТЬ! ✨',
-            welcome_guest: '🚪 ДОБРО ПОЖАЛОВАТЬ В СИСТЕМУ! 🌟',
-
-            // Персонализированные элементы
-            user_greeting: 'Привет, {first_name}!',
-            last_seen: 'Последний вход: {formatted_date}',
-            member_since: 'С нами с {registration_date}',
-            
-            // Статусные сообщения
-            auth_pending: '⏳ Ваша заявка находится на рассмотрении',
-            auth_rejected: '❌ Ваша заявка была отклонена',
-            auth_approved: '✅ Вы успешно авторизованы',
+const { i18n } = require('../i18n');
 
-            // Системные сообщения
-            error_db: '⚠️ Временные технические работы',
-            error_general: '🔄 Попробуем еще раз...',
-            loading: '📝 Инициализация профиля...',
-            timeout: '⚡ Быстрое меню помощи'
-        };
+class ContentProvider {
+    /**
+     * @param {I18n} localizer - Каталог текстов (по умолчанию общий)
+     */
+    constructor(localizer = i18n) {
+        this.i18n = localizer;
+    }
 
-        this.fallbackMessages = {
-            admin: 'Добро пожаловать, администратор!',
-            user: 'Добро пожаловать, пользователь!',
-            guest: 'Добро пожаловать! Пройдите авторизацию для полного доступа.'
-        };
+    /**
+     * Получить текст каталога
+     * @param {string} locale - Язык
+     * @param {string} key - Ключ внутри раздела content
+     * @param {Object} params - Подстановки
+     * @returns {string|Array<string>}
+     */
+    text(locale, key, params) {
+        return this.i18n.t(locale, `content.${key}`, params);
     }
 
     /**
@@ -42,21 +31,22 @@ class ContentProvider {
      * @returns {string} - Персонализированное приветствие
      */
     getPersonalizedGreeting(userType, user) {
+        const locale = this.i18n.resolveLocale(user);
         if (!user) {
-            return this.templates.welcome_guest;
+            return this.text(locale, 'welcome_guest');
         }
 
-        const firstName = user.first_name || 'пользователь';
+        const firstName = user.first_name || this.i18n.t(locale, 'common.user');
         
         switch (userType) {
             case 'admin':
-                return `${this.templates.welcome_admin}\n\nДобро пожаловать обратно, ${firstName}!`;
+                return `${this.text(locale, 'welcome_admin')}\n\n${this.text(locale, 'admin_greeting', { first_name: firstName })}`;
             case 'authorized':
-                return `${this.templates.welcome_user}\n\n${this.formatTemplate(this.templates.user_greeting, { first_name: firstName })}`;
+                return `${this.text(locale, 'welcome_user')}\n\n${this.text(locale, 'user_greeting', { first_name: firstName })}`;
             case 'unauthorized':
-                return this.templates.welcome_guest;
+                return this.text(locale, 'welcome_guest');
             default:
-                return this.fallbackMessages.guest;
+                return this.text(locale, 'fallback.guest');
         }
     }
 
@@ -66,14 +56,15 @@ class ContentProvider {
      * @returns {string} - Информация о последней активности
      */
     getLastActivityInfo(user) {
+        const locale = this.i18n.resolveLocale(user);
         if (!user || !user.updated_at) {
-            return 'Последний вход: неизвестно';
+            return this.text(locale, 'last_seen', { formatted_date: this.i18n.t(locale, 'common.unknown') });
         }
 
         const lastSeen = new Date(user.updated_at);
-        const formatted = this.formatDate(lastSeen);
+        const formatted = this.formatDate(lastSeen, locale);
         
-        return this.formatTemplate(this.templates.last_seen, { formatted_date: formatted });
+        return this.text(locale, 'last_seen', { formatted_date: formatted });
     }
 
     /**
@@ -86,29 +77,31 @@ class ContentProvider {
             return '';
         }
 
+        const locale = this.i18n.resolveLocale(user);
         const registrationDate = new Date(user.created_at);
-        const formatted = this.formatDate(registrationDate);
+        const formatted = this.formatDate(registrationDate, locale);
         
-        return this.formatTemplate(this.templates.member_since, { registration_date: formatted });
+        return this.text(locale, 'member_since', { registration_date: formatted });
     }
 
     /**
      * Получить статус заявки на авторизацию
      * @param {Object} authRequest - Объект заявки
+     * @param {string} locale - Язык (по умолчанию основной язык бота)
      * @returns {string} - Статус заявки
      */
-    getAuthRequestStatus(authRequest) {
+    getAuthRequestStatus(authRequest, locale = this.i18n.defaultLocale) {
         if (!authRequest) {
             return '';
         }
 
         switch (authRequest.status) {
             case 'pending':
-                return `${this.templates.auth_pending}\n📅 Подана: ${authRequest.getFormattedSubmissionDate()}`;
+                return `${this.text(locale, 'auth_pending')}\n${this.text(locale, 'auth_submitted', { date: authRequest.getFormattedSubmissionDate() })}`;
             case 'rejected':
-                return `${this.templates.auth_rejected}\n💡 Вы можете подать новую заявку`;
+                return `${this.text(locale, 'auth_rejected')}\n${this.text(locale, 'auth_rejected_hint')}`;
             case 'approved':
-                return this.templates.auth_approved;
+                return this.text(locale, 'auth_approved');
             default:
                 return '';
         }
@@ -118,22 +111,21 @@ class ContentProvider {
      * Получить статистическую информацию
      * @param {string} userType - Тип пользователя
      * @param {Object} stats - Объект статистики
+     * @param {string} locale - Язык (по умолчанию основной язык бота)
      * @returns {string} - Форматированная статистика
      */
-    getStatsInfo(userType, stats = {}) {
+    getStatsInfo(userType, stats = {}, locale = this.i18n.defaultLocale) {
         if (userType === 'admin') {
-            return `📊 Статистика системы:
-• Всего пользователей: ${stats.total_users || 0}
-• Авторизованных: ${stats.authorized_users || 0}
-• Ожидающих заявок: ${stats.pending_requests || 0}
-• Активных сегодня: ${stats.active_today || 0}`;
+            return this.text(locale, 'stats.admin', {
+                total_users: stats.total_users || 0,
+                authorized_users: stats.authorized_users || 0,
+                pending_requests: stats.pending_requests || 0,
+                active_today: stats.active_today || 0
+            });
         }
 
         if (userType === 'unauthorized') {
-            return `📈 Информация о системе:
-⏱️ Среднее время рассмотрения: 24 часа
-✅ Процент одобренных заявок: 85%
-👥 Активных пользователей: ${stats.active_users || 100}+`;
+            return this.text(locale, 'stats.unauthorized', { active_users: stats.active_users || 100 });
         }
 
         return '';
@@ -143,68 +135,67 @@ class ContentProvider {
      * Получить сообщение об ошибке
      * @param {string} errorType - Тип ошибки
      * @param {string} context - Контекст ошибки
+     * @param {string} locale - Язык (по умолчанию основной язык бота)
      * @returns {string} - Сообщение об ошибке
      */
-    getErrorMessage(errorType, context = '') {
+    getErrorMessage(errorType, context = '', locale = this.i18n.defaultLocale) {
         const errorMessages = {
-            database: `${this.templates.error_db}\n\nПопробуйте позже или обратитесь к администратору.`,
-            network: `${this.templates.error_general}\n\nПроверьте подключение к интернету.`,
-            timeout: `${this.templates.timeout}\n\nСистема перегружена, показываем базовое меню.`,
-            permission: '🚫 У вас нет доступа к этой функции.\n\nОбратитесь к администратору за помощью.',
-            not_found: '❓ Запрашиваемая информация не найдена.\n\nВозможно, данные были удалены.',
-            general: `${this.templates.error_general}\n\nЕсли проблема повторяется, обратитесь к администратору.`
+            database: `${this.text(locale, 'error_db')}\n\n${this.text(locale, 'errors.database')}`,
+            network: `${this.text(locale, 'error_general')}\n\n${this.text(locale, 'errors.network')}`,
+            timeout: `${this.text(locale, 'timeout')}\n\n${this.text(locale, 'errors.timeout')}`,
+            permission: this.text(locale, 'errors.permission'),
+            not_found: this.text(locale, 'errors.not_found'),
+            general: `${this.text(locale, 'error_general')}\n\n${this.text(locale, 'errors.general')}`
         };
 
         const message = errorMessages[errorType] || errorMessages.general;
-        return context ? `${message}\n\nКонтекст: ${context}` : message;
+        return context ? `${message}\n\n${this.text(locale, 'errors.context', { context })}` : message;
     }
 
     /**
      * Получить help-сообщения для различных команд
      * @param {string} command - Команда
      * @param {string} userType - Тип пользователя
+     * @param {string} locale - Язык (по умолчанию основной язык бота)
      * @returns {string} - Help-сообщение
      */
-    getCommandHelp(command, userType) {
-        const helpMessages = {
-            '/start': 'Начать работу с ботом и пройти авторизацию',
-            '/help': 'Показать это меню помощи',
-            '/emergency': 'Экстренная связь с администратором (только для критических ситуаций)'
-        };
-
+    getCommandHelp(command, userType, locale = this.i18n.defaultLocale) {
+        const commands = ['start', 'help', 'notifications', 'language', 'emergency'];
         if (userType === 'admin') {
-            helpMessages['/admin'] = 'Панель администратора';
-            helpMessages['/stats'] = 'Статистика системы';
-            helpMessages['/backup'] = 'Создать резервную копию';
+            commands.push('admin', 'stats', 'backup', 'broadcast', 'broadcasts', 'texts');
         }
 
-        return helpMessages[command] || 'Команда не найдена';
+        const name = command.replace(/^\//, '');
+        return commands.includes(name)
+            ? this.text(locale, `commands.${name}`)
+            : this.text(locale, 'commands.not_found');
     }
 
     /**
      * Получить списки полезных ссылок
      * @param {string} userType - Тип пользователя
+     * @param {string} locale - Язык (по умолчанию основной язык бота)
      * @returns {Array} - Массив ссылок
      */
-    getUsefulLinks(userType) {
+    getUsefulLinks(userType, locale = this.i18n.defaultLocale) {
         const baseLinks = [
-            { text: 'Официальный канал', url: 'https://t.me/example_channel' },
-            { text: 'Техподдержка', url: 'https://t.me/admin_username' }
+            { text: this.text(locale, 'links.channel'), url: 'https://t.me/example_channel' },
+            { text: this.text(locale, 'links.support'), url: 'https://t.me/admin_username' }
         ];
 
         if (userType === 'admin') {
             return [
                 ...baseLinks,
-                { text: 'Панель мониторинга', url: 'https://monitoring.example.com' },
-                { text: 'Логи системы', url: 'https://logs.example.com' }
+                { text: this.text(locale, 'links.monitoring'), url: 'https://monitoring.example.com' },
+                { text: this.text(locale, 'links.logs'), url: 'https://logs.example.com' }
             ];
         }
 
         if (userType === 'authorized') {
             return [
                 ...baseLinks,
-                { text: 'Документация', url: 'https://docs.example.com' },
-                { text: 'FAQ', url: 'https://faq.example.com' }
+                { text: this.text(locale, 'links.docs'), url: 'https://docs.example.com' },
+                { text: this.text(locale, 'links.faq'), url: 'https://faq.example.com' }
             ];
         }
 
@@ -231,78 +222,47 @@ class ContentProvider {
     /**
      * Форматировать дату для отображения
      * @param {Date} date - Дата для форматирования
+     * @param {string} locale - Язык (по умолчанию основной язык бота)
      * @returns {string} - Форматированная дата
      */
-    formatDate(date) {
-        if (!date) return 'неизвестно';
+    formatDate(date, locale = this.i18n.defaultLocale) {
+        if (!date) return this.i18n.t(locale, 'common.unknown');
         
         const now = new Date();
         const diffInHours = Math.abs(now - date) / 36e5;
         
         if (diffInHours < 1) {
-            return 'только что';
+            return this.i18n.t(locale, 'time.just_now');
         } else if (diffInHours < 24) {
-            return `${Math.floor(diffInHours)} ч. назад`;
+            return this.i18n.t(locale, 'time.hours_ago', { count: Math.floor(diffInHours) });
         } else if (diffInHours < 48) {
-            return 'вчера';
+            return this.i18n.t(locale, 'time.yesterday');
         } else {
-            return date.toLocaleDateString('ru-RU');
+            return date.toLocaleDateString(this.i18n.t(locale, 'common.date_locale'));
         }
     }
 
     /**
      * Получить мотивационное сообщение
      * @param {string} userType - Тип пользователя
+     * @param {string} locale - Язык (по умолчанию основной язык бота)
      * @returns {string} - Мотивационное сообщение
      */
-    getMotivationalMessage(userType) {
-        const messages = {
-            admin: [
-                '🌟 Отличная работа в управлении сообществом!',
-                '💪 Ваше лидерство делает систему лучше!',
-                '🎯 Продолжайте развивать проект!'
-            ],
-            authorized: [
-                '🎉 Рады видеть вас в нашем сообществе!',
-                '✨ Используйте все возможности системы!',
-                '🚀 Развивайтесь вместе с нами!'
-            ],
-            unauthorized: [
-                '🌟 Присоединяйтесь к нашему сообществу!',
-                '🔓 Авторизация откроет новые возможности!',
-                '💫 Мы ждем вас в нашей команде!'
-            ]
-        };
-
-        const userMessages = messages[userType] || messages.unauthorized;
+    getMotivationalMessage(userType, locale = this.i18n.defaultLocale) {
+        const type = ['admin', 'authorized'].includes(userType) ? userType : 'unauthorized';
+        const userMessages = this.text(locale, `motivation.${type}`);
         return userMessages[Math.floor(Math.random() * userMessages.length)];
     }
 
     /**
      * Получить подсказки по использованию
      * @param {string} userType - Тип пользователя
+     * @param {string} locale - Язык (по умолчанию основной язык бота)
      * @returns {Array} - Массив подсказок
      */
-    getUsageTips(userType) {
-        const tips = {
-            admin: [
-                '💡 Используйте /stats для быстрого просмотра статистики',
-                '🔔 Настройте уведомления о новых заявках',
-                '💾 Регулярно создавайте резервные копии'
-            ],
-            authorized: [
-                '📱 Настройте уведомления в разделе "Настройки"',
-                '👤 Обновите информацию в профиле',
-                '📋 Изучите раздел FAQ для ответов на вопросы'
-            ],
-            unauthorized: [
-                '📝 Подготовьте никнейм в формате Name_Surname',
-                '📷 Сделайте скриншот команд /fam и /time',
-                '⏰ Заявки рассматриваются в течение 24 часов'
-            ]
-        };
-
-        return tips[userType] || tips.unauthorized;
+    getUsageTips(userType, locale = this.i18n.defaultLocale) {
+        const type = ['admin', 'authorized'].includes(userType) ? userType : 'unauthorized';
+        return this.text(locale, `tips.${type}`);
     }
 }
 
@@ -0,0 +1,201 @@
+const PhotoFingerprint = require('../database/models/photoFingerprint');
+const GarageRequest = require('../database/models/garageRequest');
+const AuthRequest = require('../database/models/authRequest');
+const Garage = require('../database/models/garage');
+const PhotoHasher = require('./PhotoHasher');
+const { photoStorage } = require('../storage/photoStorage');
+const duplicateConfig = require('../../config/duplicatePhotos');
+
+const SOURCE_LABELS = {
+    garage: 'заявка гаража',
+    auth: 'заявка на вступление'
+};
+
+const AUTH_STATUSES = {
+    pending: '⏳ На рассмотрении',
+    approved: '✅ Одобрена',
+    rejected: '❌ Отклонена'
+};
+
+/**
+ * DuplicatePhotoDetector - поиск повторно отправленных фотографий
+ * Каждое фото заявки гаража или авторизации получает отпечатки PhotoHasher
+ * и сравнивается со всеми прежними отправками, независимо от участника и автомобиля.
+ * Найденный дубликат выводится в уведомлении администраторам со ссылкой на оригинал
+ */
+class DuplicatePhotoDetector {
+    /**
+     * @param {TelegramBot} bot - Экземпляр бота
+     * @param {Object} options - Настройки (maxDistance)
+     */
+    constructor(bot, options = duplicateConfig) {
+        this.bot = bot;
+        this.maxDistance = options.maxDistance;
+    }
+
+    /**
+     * Зарегистрировать маршруты просмотра оригинала
+     * @param {Router} router - Маршрутизатор бота
+     */
+    registerRoutes(router) {
+        router
+            .callback('dup_photo_:fingerprintId(int)', (ctx) => this.handleShowOriginal(ctx.callbackQuery, ctx.params.fingerprintId), {
+                guard: 'canApproveRequests',
+                deniedMessage: 'У вас нет прав для просмотра заявок'
+            });
+    }
+
+    /**
+     * Сохранить отпечаток фото заявки и найти его прежнюю отправку
+     * Ошибки не прерывают подачу заявки: фото просто остается без проверки
+     * @param {string} source - Источник ('garage' или 'auth')
+     * @param {Object} submission - { requestId, telegramId, carId, photoPath } - photoPath: ссылка в хранилище
+     * @returns {Promise<Object|null>} { original, distance, exact } или null
+     */
+    async registerPhoto(source, submission) {
+        try {
+            const buffer = await photoStorage.read(submission.photoPath);
+            if (!buffer) {
+                throw new Error(`фото ${submission.photoPath} не найдено в хранилище`);
+            }
+            const sha256 = PhotoHasher.sha256(buffer);
+
+            let phash = null;
+            try {
+                phash = PhotoHasher.perceptualHash(buffer);
+            } catch (error) {
+                console.error(`❌ Ошибка перцептивного хэша фото ${submission.photoPath}:`, error.message);
+            }
+
+            const duplicate = await this.findDuplicate(sha256, phash);
+
+            await PhotoFingerprint.create({
+                source,
+                request_id: submission.requestId,
+                telegram_id: submission.telegramId,
+                car_id: submission.carId,
+                file_path: submission.photoPath,
+                sha256,
+                phash
+            });
+
+            if (duplicate) {
+                console.log(`⚠️ Фото заявки ${source} #${submission.requestId} похоже на ${duplicate.original.source} #${duplicate.original.request_id} (отличие ${duplicate.distance})`);
+            }
+
+            return duplicate;
+        } catch (error) {
+            console.error('❌ Ошибка проверки фото на дубликат:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Найти прежнюю отправку: сначала точную копию, затем ближайшее похожее фото
+     * @param {string} sha256 - Точный отпечаток
+     * @param {string|null} phash - Перцептивный хэш
+     * @returns {Promise<Object|null>} { original, distance, exact }
+     */
+    async findDuplicate(sha256, phash) {
+        const exact = await PhotoFingerprint.findFirstBySha256(sha256);
+        if (exact) {
+            return { original: exact, distance: 0, exact: true };
+        }
+
+        if (!phash) {
+            return null;
+        }
+
+        let best = null;
+        for (const candidate of await PhotoFingerprint.findWithPerceptualHash()) {
+            const distance = PhotoHasher.hammingDistance(phash, candidate.phash);
+            if (distance <= this.maxDistance && (!best || distance < best.distance)) {
+                best = { original: candidate, distance, exact: false };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Строка предупреждения для уведомления администраторам
+     * @param {Object} duplicate - Результат registerPhoto
+     * @returns {string}
+     */
+    formatWarning(duplicate) {
+        const { original } = duplicate;
+        const match = duplicate.exact ? 'точная копия' : `похожее фото, отличие ${duplicate.distance} из 64`;
+        return `⚠️ Возможный дубликат: ${SOURCE_LABELS[original.source]} #${original.request_id} ` +
+            `от ${original.telegram_id} (${match})`;
+    }
+
+    /**
+     * Кнопка перехода к оригиналу
+     * @param {Object} duplicate - Результат registerPhoto
+     * @returns {Object} Кнопка inline-клавиатуры
+     */
+    buildButton(duplicate) {
+        return {
+            text: `🔍 Оригинал #${duplicate.original.request_id}`,
+            callback_data: `dup_photo_${duplicate.original.id}`
+        };
+    }
+
+    /**
+     * Показать оригинальную отправку фото
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} fingerprintId - ID отпечатка оригинала
+     */
+    async handleShowOriginal(callbackQuery, fingerprintId) {
+        const original = await PhotoFingerprint.findById(fingerprintId);
+        if (!original) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: '❌ Оригинал не найден', show_alert: true });
+            return;
+        }
+
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+
+        const caption = await this.buildOriginalCaption(original);
+        const chatId = callbackQuery.message.chat.id;
+        const photoPath = await photoStorage.getLocalPath(original.file_path);
+        if (photoPath) {
+            await this.bot.sendPhoto(chatId, photoPath, { caption });
+        } else {
+            await this.bot.sendMessage(chatId, `${caption}\n\n❌ Фото уже удалено`);
+        }
+    }
+
+    /**
+     * Сформировать описание оригинальной отправки
+     * @param {PhotoFingerprint} original - Отпечаток оригинала
+     * @returns {Promise<string>}
+     */
+    async buildOriginalCaption(original) {
+        const lines = [
+            `🔍 ОРИГИНАЛ: ${SOURCE_LABELS[original.source]} #${original.request_id}`,
+            '',
+            `🆔 Telegram ID: ${original.telegram_id}`
+        ];
+
+        if (original.source === 'garage') {
+            const [request, car] = await Promise.all([
+                GarageRequest.findById(original.request_id),
+                original.car_id ? Garage.findById(original.car_id) : null
+            ]);
+            if (car) {
+                lines.push(`🚗 Автомобиль: ${car.car_name}`);
+            }
+            lines.push(`📊 Статус: ${request ? request.getFormattedStatus() : 'заявка удалена'}`);
+        } else {
+            const request = await AuthRequest.findById(original.request_id);
+            lines.push(`📊 Статус: ${request ? AUTH_STATUSES[request.status] || request.status : 'заявка удалена'}`);
+        }
+
+        if (original.created_at) {
+            lines.push(`📅 Отправлено: ${new Date(original.created_at).toLocaleString('ru-RU')}`);
+        }
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = DuplicatePhotoDetector;
\ No newline at end of file
@@ -1,28 +1,45 @@
 const Garage = require('../database/models/garage');
 const GarageRequest = require('../database/models/garageRequest');
 const User = require('../database/models/user');
-const path = require('path');
-const fs = require('fs');
+const Payout = require('../database/models/payout');
+const CarReservation = require('../database/models/carReservation');
+const SessionStore = require('./SessionStore');
+const RewardCalculator = require('./RewardCalculator');
+const { photoStorage } = require('../storage/photoStorage');
 
 /**
  * GarageManager - основной контроллер системы управления гаражом
  * Обрабатывает команду /takecar и взаимодействие с пользователями
  */
 class GarageManager {
-    constructor(bot, adminId) {
+    constructor(bot, adminId, roleManager = null, duplicateDetector = null, outbound = null) {
         this.bot = bot;
+        this.outbound = outbound || bot; // Очередь исходящих сообщений для уведомлений
         this.adminId = adminId;
-        this.userSessions = new Map(); // Хранилище состояний пользователей
+        this.roleManager = roleManager;
+        this.duplicateDetector = duplicateDetector;
         this.SESSION_TIMEOUT = 30 * 60 * 1000; // 30 минут
+        this.userSessions = new SessionStore('garage', { ttl: this.SESSION_TIMEOUT }); // Хранилище состояний пользователей
+        this.rewardCalculator = new RewardCalculator();
         
         // Состояния разговора
         this.STATES = {
             AWAITING_PHOTO: 'garage_awaiting_photo',
             AWAITING_REJECTION_REASON: 'garage_awaiting_rejection_reason'
         };
+    }
 
-        // Настройка автоочистки сессий
-        setInterval(() => this.cleanupExpiredSessions(), 5 * 60 * 1000);
+    /**
+     * Зарегистрировать маршруты гаража
+     * @param {Router} router - Маршрутизатор бота
+     */
+    registerRoutes(router) {
+        router
+            .command('takecar', (ctx) => this.handleTakeCarCommand(ctx.msg), {
+                errorMessage: 'Произошла ошибка при загрузке гаража. Попробуйте позже.'
+            })
+            .callback('select_car_:carId(int)', (ctx) => this.handleCarSelection(ctx.callbackQuery))
+            .callback('garage_page_:page(int)', (ctx) => this.handlePageNavigation(ctx.callbackQuery));
     }
 
     /**
@@ -75,12 +92,13 @@ class GarageManager {
             // Формируем текст сообщения
             let messageText = `🚗 ГАРАЖ СЕМЬИ | АВТОМОБИЛИ (${pagination.currentPage + 1}/${pagination.totalPages})\n\n`;
             
+            const reservedCarIds = await this.getReservedCarIds();
             cars.forEach(car => {
-                messageText += `${car.getDisplayName()}\n`;
+                messageText += `${car.getDisplayName()}${reservedCarIds.has(car.car_id) ? ' 🔒 на руках' : ''}\n`;
             });
 
             // Формируем клавиатуру
-            const keyboard = this.buildGarageKeyboard(cars, pagination);
+            const keyboard = this.buildGarageKeyboard(cars, pagination, reservedCarIds);
 
             const options = {
                 reply_markup: {
@@ -96,13 +114,23 @@ class GarageManager {
         }
     }
 
+    /**
+     * Получить ID автомобилей, которые сейчас на руках
+     * @returns {Promise<Set<number>>}
+     */
+    async getReservedCarIds() {
+        const reservations = await CarReservation.findCurrent();
+        return new Set(reservations.map(reservation => reservation.car_id));
+    }
+
     /**
      * Построить клавиатуру для гаража
      * @param {Array} cars - Список автомобилей
      * @param {Object} pagination - Информация о пагинации
+     * @param {Set<number>} reservedCarIds - ID забронированных автомобилей
      * @returns {Array} Клавиатура
      */
-    buildGarageKeyboard(cars, pagination) {
+    buildGarageKeyboard(cars, pagination, reservedCarIds = new Set()) {
         const keyboard = [];
 
         // Кнопки автомобилей (по 2 в ряду)
@@ -112,7 +140,7 @@ class GarageManager {
             // Первая кнопка в ряду
             const car1 = cars[i];
             row.push({
-                text: `🚗 ${car1.car_name}`,
+                text: `${reservedCarIds.has(car1.car_id) ? '🔒' : '🚗'} ${car1.car_name}`,
                 callback_data: `select_car_${car1.car_id}`
             });
 
@@ -120,7 +148,7 @@ class GarageManager {
             if (i + 1 < cars.length) {
                 const car2 = cars[i + 1];
                 row.push({
-                    text: `🚗 ${car2.car_name}`,
+                    text: `${reservedCarIds.has(car2.car_id) ? '🔒' : '🚗'} ${car2.car_name}`,
                     callback_data: `select_car_${car2.car_id}`
                 });
             }
@@ -198,20 +226,30 @@ class GarageManager {
                 return;
             }
 
+            // Рассчитываем вознаграждение: пользователь получит сумму, показанную сейчас
+            const reward = await this.rewardCalculator.calculate(car);
+
             // Устанавливаем состояние ожидания фото
             this.setUserSession(telegramId, {
                 state: this.STATES.AWAITING_PHOTO,
                 carId: carId,
-                carName: car.car_name
+                carName: car.car_name,
+                rewardAmount: reward.amount
             });
 
             await this.bot.answerCallbackQuery(callbackQuery.id);
             await this.bot.sendMessage(chatId, 
                 `📷 Отправьте фото замены масла для *${car.car_name}*\n\n` +
                 `Текущий статус: ${car.getDisplayName()}\n` +
-                `Вознаграждение: 3 млн игровой валюты\n\n` +
+                `Вознаграждение: ${Payout.formatAmount(reward.amount)} игровой валюты\n` +
+                `${reward.breakdown.map(line => `   ${line}`).join('\n')}\n\n` +
                 `⏱️ У вас есть 30 минут для отправки фото.`,
-                { parse_mode: 'Markdown' }
+                {
+                    parse_mode: 'Markdown',
+                    reply_markup: {
+                        inline_keyboard: [[{ text: '🔑 Взять авто', callback_data: `reserve_car_${carId}` }]]
+                    }
+                }
             );
 
         } catch (error) {
@@ -261,12 +299,13 @@ class GarageManager {
             // Формируем новый текст
             let messageText = `🚗 ГАРАЖ СЕМЬИ | АВТОМОБИЛИ (${pagination.currentPage + 1}/${pagination.totalPages})\n\n`;
             
+            const reservedCarIds = await this.getReservedCarIds();
             cars.forEach(car => {
-                messageText += `${car.getDisplayName()}\n`;
+                messageText += `${car.getDisplayName()}${reservedCarIds.has(car.car_id) ? ' 🔒 на руках' : ''}\n`;
             });
 
             // Формируем новую клавиатуру
-            const keyboard = this.buildGarageKeyboard(cars, pagination);
+            const keyboard = this.buildGarageKeyboard(cars, pagination, reservedCarIds);
 
             await this.bot.editMessageText(messageText, {
                 chat_id: chatId,
@@ -306,7 +345,10 @@ class GarageManager {
             }
 
             // Сохраняем фото
-            const photoPath = await this.savePhotoFile(msg.photo[msg.photo.length - 1].file_id, telegramId, session.carId);
+            const photoPath = await this.savePhotoFile(msg.photo[msg.photo.length - 1].file_id);
+
+            // Сессии, начатые до появления правил, получают сумму по умолчанию
+            const rewardAmount = session.rewardAmount || RewardCalculator.DEFAULT_AMOUNT;
 
             // Создаем заявку
             const requestData = {
@@ -314,7 +356,8 @@ class GarageManager {
                 user_id: user.id,
                 telegram_id: telegramId.toString(),
                 photo_path: photoPath,
-                payment_status: 'Не выплачено'
+                payment_status: 'Не выплачено',
+                reward_amount: rewardAmount
             };
 
             const newRequest = await GarageRequest.create(requestData);
@@ -327,12 +370,21 @@ class GarageManager {
                 `✅ Заявка подана!\n\n` +
                 `🚗 Автомобиль: ${session.carName}\n` +
                 `📷 Фото получено\n` +
-                `💰 Вознаграждение: 3 млн\n\n` +
-                `⏳ Ожидайте решения администратора...`
+                `💰 Вознаграждение: ${Payout.formatAmount(rewardAmount)}\n\n` +
+                `⏳ Ожидайте решения администратора...\n` +
+                '📋 Статус заявки: /myrequests'
             );
 
-            // Уведомляем администраторов
-            await this.notifyAdmins(newRequest);
+            // Сверяем фото с прежними отправками и уведомляем администраторов
+            const duplicate = this.duplicateDetector
+                ? await this.duplicateDetector.registerPhoto('garage', {
+                    requestId: newRequest.id,
+                    telegramId,
+                    carId: session.carId,
+                    photoPath
+                })
+                : null;
+            await this.notifyAdmins(newRequest, duplicate);
 
         } catch (error) {
             console.error('Ошибка обработки фото:', error);
@@ -341,11 +393,24 @@ class GarageManager {
         }
     }
 
+    /**
+     * Получить список администраторов, которые могут обрабатывать заявки
+     * @returns {Array<number>} Telegram ID администраторов
+     */
+    getAdminRecipients() {
+        if (this.roleManager) {
+            return this.roleManager.getRecipients('canApproveRequests');
+        }
+
+        return [this.adminId];
+    }
+
     /**
      * Уведомить администраторов о новой заявке
      * @param {GarageRequest} request - Заявка
+     * @param {Object|null} duplicate - Прежняя отправка того же фото (DuplicatePhotoDetector)
      */
-    async notifyAdmins(request) {
+    async notifyAdmins(request, duplicate = null) {
         try {
             const [car, user] = await Promise.all([
                 request.getCar(),
@@ -355,7 +420,7 @@ class GarageManager {
             const userName = user.first_name + (user.last_name ? ` ${user.last_name}` : '');
             const username = user.username ? `@${user.username}` : '';
 
-            const messageText = 
+            let messageText = 
                 `🚨 НОВАЯ ЗАЯВКА #${request.id}\n\n` +
                 `👤 Пользователь: ${userName} ${username}\n` +
                 `🚗 Автомобиль: ${car.car_name}\n` +
@@ -375,20 +440,32 @@ class GarageManager {
                 ]
             ];
 
-            // Отправляем фото с кнопками администратору
-            if (request.photoExists()) {
-                await this.bot.sendPhoto(this.adminId, request.photo_path, {
-                    caption: messageText,
-                    reply_markup: {
-                        inline_keyboard: keyboard
-                    }
-                });
-            } else {
-                await this.bot.sendMessage(this.adminId, messageText, {
-                    reply_markup: {
-                        inline_keyboard: keyboard
+            if (duplicate) {
+                messageText += `\n\n${this.duplicateDetector.formatWarning(duplicate)}`;
+                keyboard.push([this.duplicateDetector.buildButton(duplicate)]);
+            }
+
+            // Отправляем фото с кнопками каждому администратору
+            const photoPath = await request.getPhotoPath();
+            for (const adminId of this.getAdminRecipients()) {
+                try {
+                    if (photoPath) {
+                        await this.outbound.sendPhoto(adminId, photoPath, {
+                            caption: messageText,
+                            reply_markup: {
+                                inline_keyboard: keyboard
+                            }
+                        });
+                    } else {
+                        await this.outbound.sendMessage(adminId, messageText, {
+                            reply_markup: {
+                                inline_keyboard: keyboard
+                            }
+                        });
                     }
-                });
+                } catch (sendError) {
+                    console.error(`Ошибка уведомления администратора ${adminId}:`, sendError);
+                }
             }
 
         } catch (error) {
@@ -397,35 +474,13 @@ class GarageManager {
     }
 
     /**
-     * Сохранить файл фотографии
+     * Сохранить фотографию заявки в хранилище
      * @param {string} fileId - ID файла в Telegram
-     * @param {number} telegramId - ID пользователя
-     * @param {number} carId - ID автомобиля
-     * @returns {Promise<string>} Путь к сохраненному файлу
+     * @returns {Promise<string>} Ссылка на фото в хранилище
      */
-    async savePhotoFile(fileId, telegramId, carId) {
+    async savePhotoFile(fileId) {
         try {
-            const file = await this.bot.getFile(fileId);
-            const timestamp = Date.now();
-            const fileName = `${timestamp}_${telegramId}_car${carId}.jpg`;
-            
-            // Создаем директорию, если она не существует
-            const photosDir = path.join(__dirname, '..', '..', 'photos', 'garage_requests');
-            if (!fs.existsSync(photosDir)) {
-                fs.mkdirSync(photosDir, { recursive: true });
-            }
-            
-            const photoPath = path.join(photosDir, fileName);
-            
-            await this.bot.downloadFile(fileId, photosDir);
-            
-            // Переименовываем файл
-            const downloadedPath = path.join(photosDir, file.file_path.split('/').pop());
-            if (downloadedPath !== photoPath) {
-                fs.renameSync(downloadedPath, photoPath);
-            }
-            
-            return photoPath;
+            return await photoStorage.saveFromTelegram(this.bot, fileId, 'garage_requests');
         } catch (error) {
             throw new Error(`Ошибка сохранения фото: ${error.message}`);
         }
@@ -464,12 +519,8 @@ class GarageManager {
      * Очистить истекшие сессии
      */
     cleanupExpiredSessions() {
-        const now = Date.now();
-        for (const [telegramId, session] of this.userSessions.entries()) {
-            if (now - session.startTime > this.SESSION_TIMEOUT) {
-                this.userSessions.delete(telegramId);
-                console.log(`Очищена истекшая сессия для пользователя ${telegramId}`);
-            }
+        for (const telegramId of this.userSessions.cleanupExpired()) {
+            console.log(`Очищена истекшая сессия для пользователя ${telegramId}`);
         }
     }
 }
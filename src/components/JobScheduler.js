@@ -0,0 +1,408 @@
+const ScheduledJob = require('../database/models/scheduledJob');
+const schedulerConfig = require('../../config/scheduler');
+
+// Поля cron-выражения: [минимум, максимум]
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Дальше этого горизонта ближайший запуск не ищем
+const MAX_LOOKAHEAD_MINUTES = 366 * 24 * 60;
+
+const STATUS_ICONS = {
+    success: '✅',
+    failed: '❌'
+};
+
+/**
+ * JobScheduler - планировщик фоновых задач бота
+ * Задачи запускаются по cron-расписанию внутри процесса, время последнего
+ * и следующего запуска хранится в таблице scheduled_jobs, упавшие задачи
+ * повторяются с нарастающей задержкой. Администраторы видят задачи в /jobs
+ */
+class JobScheduler {
+    /**
+     * @param {TelegramBot} bot - Экземпляр бота
+     * @param {Object} options - Настройки (по умолчанию из config/scheduler)
+     * @param {number} options.tickMs - Период проверки задач
+     * @param {number} options.retryDelayMs - Задержка первого повтора после ошибки
+     * @param {number} options.maxRetries - Число повторов до следующего запуска по расписанию
+     */
+    constructor(bot, options = {}) {
+        this.bot = bot;
+        this.tickMs = options.tickMs || schedulerConfig.tickMs;
+        this.retryDelayMs = options.retryDelayMs || schedulerConfig.retryDelayMs;
+        this.maxRetries = options.maxRetries === undefined ? schedulerConfig.maxRetries : options.maxRetries;
+        this.jobs = new Map();
+        this.running = new Set();
+        this.timer = null;
+
+        // Текущая проверка задач: задачи идут по очереди и могут выполняться
+        // дольше периода проверки, поэтому новая проверка ждет окончания предыдущей
+        this.ticking = null;
+    }
+
+    /**
+     * Зарегистрировать задачу
+     * @param {string} name - Уникальное имя задачи
+     * @param {string} schedule - Cron-расписание
+     * @param {Function} handler - Асинхронный обработчик
+     * @param {string} description - Описание для администраторов
+     * @returns {JobScheduler}
+     */
+    register(name, schedule, handler, description = '') {
+        JobScheduler.parseCron(schedule);
+        this.jobs.set(name, { name, schedule, handler, description });
+        return this;
+    }
+
+    /**
+     * Сохранить задачи в базе и запустить периодическую проверку
+     * @returns {Promise<void>}
+     */
+    async start() {
+        const now = new Date();
+        for (const job of this.jobs.values()) {
+            await ScheduledJob.register(job.name, job.schedule, JobScheduler.getNextRun(job.schedule, now).toISOString());
+        }
+
+        this.timer = setInterval(() => this.tick(), this.tickMs);
+        console.log(`⏱️ Планировщик запущен: ${this.jobs.size} задач`);
+        await this.tick();
+    }
+
+    /**
+     * Остановить периодическую проверку
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Запустить задачи, время которых подошло
+     * Пропускается, пока не закончена предыдущая проверка: иначе задачи
+     * из ее устаревшего списка запустились бы повторно
+     * @param {Date} now - Текущий момент
+     * @returns {Promise<number>} Число запущенных задач
+     */
+    async tick(now = new Date()) {
+        if (this.ticking) {
+            return 0;
+        }
+
+        this.ticking = this.runDueJobs(now);
+        try {
+            return await this.ticking;
+        } finally {
+            this.ticking = null;
+        }
+    }
+
+    /**
+     * Выполнить по очереди задачи, время которых подошло
+     * @param {Date} now - Текущий момент
+     * @returns {Promise<number>} Число запущенных задач
+     */
+    async runDueJobs(now) {
+        let started = 0;
+
+        try {
+            const states = await ScheduledJob.findAll();
+            for (const state of states) {
+                if (this.jobs.has(state.name) && !this.running.has(state.name) && state.isDue(now)) {
+                    await this.runJob(state.name, state);
+                    started++;
+                }
+            }
+        } catch (error) {
+            console.error('❌ Ошибка проверки задач планировщика:', error);
+        }
+
+        return started;
+    }
+
+    /**
+     * Выполнить задачу и записать результат
+     * @param {string} name - Имя задачи
+     * @param {ScheduledJob} state - Сохраненное состояние задачи
+     * @returns {Promise<Object>} { success, error }
+     */
+    async runJob(name, state = null) {
+        const job = this.jobs.get(name);
+        if (!job) {
+            throw new Error(`Задача ${name} не найдена`);
+        }
+        if (this.running.has(name)) {
+            throw new Error(`Задача ${name} уже выполняется`);
+        }
+
+        const jobState = state || await ScheduledJob.findByName(name);
+        const startTime = Date.now();
+        this.running.add(name);
+
+        try {
+            await job.handler();
+            const nextRunAt = JobScheduler.getNextRun(job.schedule, new Date());
+            await jobState.recordSuccess(Date.now() - startTime, nextRunAt.toISOString());
+            return { success: true };
+        } catch (error) {
+            console.error(`❌ Ошибка задачи ${name}:`, error);
+            const nextRunAt = this.getRetryTime(job, jobState.failure_count + 1);
+            await jobState.recordFailure(error.message, Date.now() - startTime, nextRunAt.toISOString());
+            return { success: false, error: error.message };
+        } finally {
+            this.running.delete(name);
+        }
+    }
+
+    /**
+     * Время следующей попытки после ошибки
+     * Повторы идут с удвоением задержки, после maxRetries - ждем запуска по расписанию
+     * @param {Object} job - Задача
+     * @param {number} failures - Число ошибок подряд
+     * @returns {Date}
+     */
+    getRetryTime(job, failures) {
+        const now = new Date();
+        if (failures > this.maxRetries) {
+            return JobScheduler.getNextRun(job.schedule, now);
+        }
+        return new Date(now.getTime() + this.retryDelayMs * Math.pow(2, failures - 1));
+    }
+
+    /**
+     * Зарегистрировать маршруты администрирования задач
+     * @param {Router} router - Маршрутизатор бота
+     */
+    registerRoutes(router) {
+        const options = {
+            guard: 'canChangeSettings',
+            deniedMessage: '❌ Доступ запрещен! Эта команда доступна только руководству.'
+        };
+
+        router
+            .command('jobs', (ctx) => this.handleJobsCommand(ctx.msg), options)
+            .callback('jobs_refresh', (ctx) => this.handleRefresh(ctx.callbackQuery), options)
+            .callback('job_run_:name(any)', (ctx) => this.handleRunCallback(ctx.callbackQuery, ctx.params.name), options)
+            .callback('job_toggle_:name(any)', (ctx) => this.handleToggleCallback(ctx.callbackQuery, ctx.params.name), options);
+    }
+
+    /**
+     * Обработать команду /jobs
+     * @param {Object} msg - Сообщение от Telegram
+     */
+    async handleJobsCommand(msg) {
+        const board = await this.buildBoard();
+        await this.bot.sendMessage(msg.chat.id, board.text, { reply_markup: { inline_keyboard: board.keyboard } });
+    }
+
+    /**
+     * Обновить список задач
+     * @param {Object} callbackQuery - Callback query от Telegram
+     */
+    async handleRefresh(callbackQuery) {
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.refreshBoard(callbackQuery.message);
+    }
+
+    /**
+     * Запустить задачу вручную
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {string} name - Имя задачи
+     */
+    async handleRunCallback(callbackQuery, name) {
+        try {
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: `▶️ Запуск ${name}...` });
+            const result = await this.runJob(name);
+            console.log(`▶️ Задача ${name} запущена вручную пользователем ${callbackQuery.from.id}`);
+
+            await this.bot.sendMessage(callbackQuery.message.chat.id, result.success
+                ? `✅ Задача ${name} выполнена`
+                : `❌ Задача ${name} завершилась с ошибкой: ${result.error}`);
+            await this.refreshBoard(callbackQuery.message);
+        } catch (error) {
+            await this.bot.sendMessage(callbackQuery.message.chat.id, `❌ ${error.message}`);
+        }
+    }
+
+    /**
+     * Приостановить или возобновить задачу
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {string} name - Имя задачи
+     */
+    async handleToggleCallback(callbackQuery, name) {
+        const state = await ScheduledJob.findByName(name);
+        if (!state) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: 'Задача не найдена', show_alert: true });
+            return;
+        }
+
+        await state.setEnabled(!state.isEnabled());
+        await this.bot.answerCallbackQuery(callbackQuery.id, {
+            text: state.isEnabled() ? `▶️ ${name} возобновлена` : `⏸️ ${name} приостановлена`
+        });
+        await this.refreshBoard(callbackQuery.message);
+    }
+
+    /**
+     * Перерисовать список задач в сообщении
+     * @param {Object} message - Сообщение со списком
+     */
+    async refreshBoard(message) {
+        const board = await this.buildBoard();
+        await this.bot.editMessageText(board.text, {
+            chat_id: message.chat.id,
+            message_id: message.message_id,
+            reply_markup: { inline_keyboard: board.keyboard }
+        }).catch(() => {
+            // Текст не изменился - Telegram возвращает ошибку, ее можно игнорировать
+        });
+    }
+
+    /**
+     * Сформировать список задач для администраторов
+     * @returns {Promise<Object>} { text, keyboard }
+     */
+    async buildBoard() {
+        const states = (await ScheduledJob.findAll()).filter(state => this.jobs.has(state.name));
+        const format = (value) => (value ? new Date(value).toLocaleString('ru-RU') : '—');
+
+        const blocks = states.map(state => {
+            const job = this.jobs.get(state.name);
+            const icon = state.isEnabled() ? (STATUS_ICONS[state.last_status] || '🕒') : '⏸️';
+            const lines = [
+                `${icon} ${state.name} (${state.schedule})`,
+                job.description ? `   ${job.description}` : null,
+                `   Последний запуск: ${format(state.last_run_at)}` +
+                    (state.last_duration_ms !== null ? ` (${state.last_duration_ms} мс)` : ''),
+                `   Следующий: ${state.isEnabled() ? format(state.next_run_at) : 'приостановлена'}`,
+                state.last_status === 'failed' ? `   Ошибка (${state.failure_count} подряд): ${state.last_error}` : null
+            ];
+            return lines.filter(Boolean).join('\n');
+        });
+
+        const keyboard = states.map(state => [
+            { text: `▶️ ${state.name}`, callback_data: `job_run_${state.name}` },
+            { text: state.isEnabled() ? '⏸️' : '🔄', callback_data: `job_toggle_${state.name}` }
+        ]);
+        keyboard.push([{ text: '🔄 Обновить', callback_data: 'jobs_refresh' }]);
+
+        return {
+            text: `⏱️ ФОНОВЫЕ ЗАДАЧИ\n\n${blocks.length > 0 ? blocks.join('\n\n') : 'Задач нет'}`,
+            keyboard
+        };
+    }
+
+    /**
+     * Разобрать cron-выражение из пяти полей
+     * @param {string} expression - Например, '0 4 * * *'
+     * @returns {Object} Множества допустимых значений полей и признаки ограничения дней
+     */
+    static parseCron(expression) {
+        const parts = String(expression).trim().split(/\s+/);
+        if (parts.length !== CRON_FIELDS.length) {
+            throw new Error(`Неверное расписание "${expression}": ожидается 5 полей`);
+        }
+
+        const parsed = {};
+        CRON_FIELDS.forEach((field, index) => {
+            parsed[field.name] = JobScheduler.parseCronField(parts[index], field, expression);
+        });
+
+        // Воскресенье можно записать как 0 или 7
+        if (parsed.dayOfWeek.has(7)) {
+            parsed.dayOfWeek.add(0);
+        }
+        parsed.dayOfMonthRestricted = parts[2] !== '*';
+        parsed.dayOfWeekRestricted = parts[4] !== '*';
+
+        return parsed;
+    }
+
+    /**
+     * Разобрать одно поле cron-выражения
+     * @param {string} value - Значение поля
+     * @param {Object} field - Описание поля
+     * @param {string} expression - Исходное выражение (для текста ошибки)
+     * @returns {Set<number>}
+     */
+    static parseCronField(value, field, expression) {
+        const values = new Set();
+
+        for (const part of value.split(',')) {
+            const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+            if (!match) {
+                throw new Error(`Неверное расписание "${expression}": поле ${field.name}`);
+            }
+
+            const step = match[4] ? parseInt(match[4], 10) : 1;
+            let from = field.min;
+            let to = field.max;
+
+            if (match[1] !== '*') {
+                from = parseInt(match[2], 10);
+                to = match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? field.max : from);
+            }
+
+            if (from < field.min || to > field.max || from > to || step < 1) {
+                throw new Error(`Неверное расписание "${expression}": поле ${field.name}`);
+            }
+
+            for (let current = from; current <= to; current += step) {
+                values.add(current);
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Найти ближайший момент запуска строго после from
+     * @param {string} expression - Cron-расписание
+     * @param {Date} from - Момент отсчета
+     * @returns {Date}
+     */
+    static getNextRun(expression, from = new Date()) {
+        const cron = JobScheduler.parseCron(expression);
+        const candidate = new Date(from.getTime());
+        candidate.setSeconds(0, 0);
+        candidate.setMinutes(candidate.getMinutes() + 1);
+
+        const dayMatches = (date) => {
+            const byMonthDay = cron.dayOfMonth.has(date.getDate());
+            const byWeekDay = cron.dayOfWeek.has(date.getDay());
+            // Как в cron: если заданы оба поля дней, достаточно совпадения любого
+            if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+                return byMonthDay || byWeekDay;
+            }
+            return byMonthDay && byWeekDay;
+        };
+
+        for (let step = 0; step < MAX_LOOKAHEAD_MINUTES; step++) {
+            if (!cron.month.has(candidate.getMonth() + 1)) {
+                candidate.setMonth(candidate.getMonth() + 1, 1);
+                candidate.setHours(0, 0);
+            } else if (!dayMatches(candidate)) {
+                candidate.setDate(candidate.getDate() + 1);
+                candidate.setHours(0, 0);
+            } else if (!cron.hour.has(candidate.getHours())) {
+                candidate.setHours(candidate.getHours() + 1, 0);
+            } else if (!cron.minute.has(candidate.getMinutes())) {
+                candidate.setMinutes(candidate.getMinutes() + 1);
+            } else {
+                return candidate;
+            }
+        }
+
+        throw new Error(`Расписание "${expression}" не дает запусков в ближайший год`);
+    }
+}
+
+module.exports = JobScheduler;
\ No newline at end of file
@@ -0,0 +1,142 @@
+const { i18n } = require('../i18n');
+const { LOCALES, LOCALE_TITLES } = require('../../config/i18n');
+
+/**
+ * LanguageManager - выбор языка интерфейса
+ * /language и кнопка «Язык интерфейса» в профиле: выбранный язык заменяет
+ * язык Telegram (language_code) во всех сообщениях бота
+ */
+class LanguageManager {
+    /**
+     * @param {TelegramBot} bot - Экземпляр бота
+     * @param {I18n} localizer - Каталог сообщений
+     */
+    constructor(bot, localizer = i18n) {
+        this.bot = bot;
+        this.i18n = localizer;
+    }
+
+    /**
+     * Зарегистрировать маршруты выбора языка
+     * @param {Router} router - Маршрутизатор бота
+     */
+    registerRoutes(router) {
+        const options = {
+            errorMessage: '❌ Не удалось сменить язык. Попробуйте позже.'
+        };
+
+        router
+            .command('language', (ctx) => this.handleCommand(ctx.msg), options)
+            .callback('language', (ctx) => this.handleProfileCallback(ctx.callbackQuery), options)
+            .callback('lang_set_:locale(string)', (ctx) => this.handleSetCallback(ctx.callbackQuery, ctx.params.locale), options)
+            .callback('lang_auto', (ctx) => this.handleAutoCallback(ctx.callbackQuery), options);
+    }
+
+    /**
+     * Панель выбора языка на языке пользователя
+     * @param {Object} from - Пользователь Telegram
+     * @returns {{text: string, keyboard: Array}}
+     */
+    buildPanel(from) {
+        const locale = this.i18n.resolveLocale(from);
+        const t = (key, params) => this.i18n.t(locale, key, params);
+        const chosen = this.i18n.getChosenLocale(from.id);
+        const telegramLocale = this.i18n.fromLanguageCode(from.language_code) || this.i18n.defaultLocale;
+
+        const current = chosen
+            ? LOCALE_TITLES[chosen]
+            : t('language.auto', { language: LOCALE_TITLES[telegramLocale] });
+        const text = `${t('language.title')}\n\n` +
+            `${t('language.current', { language: current })}\n\n` +
+            t('language.choose');
+
+        const keyboard = LOCALES.map(code => [{
+            text: `${code === chosen ? '✅ ' : ''}${LOCALE_TITLES[code]}`,
+            callback_data: `lang_set_${code}`
+        }]);
+        keyboard.push([{ text: `${chosen ? '' : '✅ '}${t('language.auto_button')}`, callback_data: 'lang_auto' }]);
+        keyboard.push([{ text: `🏠 ${t('menu.buttons.home')}`, callback_data: 'help_main' }]);
+
+        return { text, keyboard };
+    }
+
+    /**
+     * Обработать команду /language
+     * @param {Object} msg - Сообщение от Telegram
+     */
+    async handleCommand(msg) {
+        const panel = this.buildPanel(msg.from);
+        await this.bot.sendMessage(msg.chat.id, panel.text, {
+            reply_markup: { inline_keyboard: panel.keyboard }
+        });
+    }
+
+    /**
+     * Открыть выбор языка из профиля
+     * @param {Object} callbackQuery - Callback query от Telegram
+     */
+    async handleProfileCallback(callbackQuery) {
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        const panel = this.buildPanel(callbackQuery.from);
+        await this.bot.sendMessage(callbackQuery.message.chat.id, panel.text, {
+            reply_markup: { inline_keyboard: panel.keyboard }
+        });
+    }
+
+    /**
+     * Выбрать язык интерфейса
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {string} locale - Код языка
+     */
+    async handleSetCallback(callbackQuery, locale) {
+        if (!this.i18n.isSupported(locale)) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, {
+                text: this.i18n.translator(callbackQuery.from)('language.unsupported'),
+                show_alert: true
+            });
+            return;
+        }
+
+        await this.applyLocale(callbackQuery, locale, 'language.changed');
+    }
+
+    /**
+     * Вернуть язык Telegram
+     * @param {Object} callbackQuery - Callback query от Telegram
+     */
+    async handleAutoCallback(callbackQuery) {
+        await this.applyLocale(callbackQuery, null, 'language.reset');
+    }
+
+    /**
+     * Сохранить язык и ответить уже на нем
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {string|null} locale - Код языка; null - как в Telegram
+     * @param {string} confirmationKey - Ключ текста подтверждения
+     */
+    async applyLocale(callbackQuery, locale, confirmationKey) {
+        const from = callbackQuery.from;
+        const updated = await this.i18n.setLocale(from.id, locale);
+        if (!updated) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, {
+                text: this.i18n.translator(from)('language.unknown_user'),
+                show_alert: true
+            });
+            return;
+        }
+
+        const t = this.i18n.translator(from);
+        await this.bot.answerCallbackQuery(callbackQuery.id, {
+            text: t(confirmationKey, { language: LOCALE_TITLES[this.i18n.resolveLocale(from)] })
+        });
+
+        const panel = this.buildPanel(from);
+        await this.bot.editMessageText(panel.text, {
+            chat_id: callbackQuery.message.chat.id,
+            message_id: callbackQuery.message.message_id,
+            reply_markup: { inline_keyboard: panel.keyboard }
+        });
+    }
+}
+
+module.exports = LanguageManager;
\ No newline at end of file
@@ -0,0 +1,362 @@
+const database = require('../database/connection');
+const User = require('../database/models/user');
+const UserRole = require('../database/models/userRole');
+const MembershipEvent = require('../database/models/membershipEvent');
+const GarageRequest = require('../database/models/garageRequest');
+const CarReservation = require('../database/models/carReservation');
+const SessionStore = require('./SessionStore');
+
+// Комментарий к заявкам гаража, отклоненным при потере доступа
+const GARAGE_INVALIDATION_COMMENT = 'Заявка аннулирована: пользователь больше не состоит в семье';
+
+const KICK_STATES = {
+    AWAITING_REASON: 'awaiting_kick_reason'
+};
+
+/**
+ * MembershipManager - жизненный цикл участия в семье
+ * Исключение (кик) администратором, добровольный выход и повторный прием.
+ * Каждое событие пишется в membership_events
+ */
+class MembershipManager {
+    /**
+     * @param {TelegramBot} bot - Экземпляр бота
+     * @param {RoleManager} roleManager - Менеджер ролей
+     * @param {OutboundQueue} outbound - Очередь уведомлений (по умолчанию сообщения отправляет бот)
+     */
+    constructor(bot, roleManager, outbound = null) {
+        this.bot = bot;
+        this.outbound = outbound || bot;
+        this.roleManager = roleManager;
+        this.KICK_STATES = KICK_STATES;
+
+        // Администраторы, вводящие причину исключения
+        this.kickSessions = new SessionStore('membership_kick', { ttl: 10 * 60 * 1000 });
+    }
+
+    /**
+     * Записать прием пользователя: первое вступление или повторный прием
+     * @param {User} user - Пользователь
+     * @param {number|null} actorId - ID администратора в БД
+     * @returns {Promise<MembershipEvent>}
+     */
+    static async recordAdmission(user, actorId = null) {
+        const lastEvent = await MembershipEvent.findLastByUserId(user.id);
+
+        return MembershipEvent.create({
+            user_id: user.id,
+            telegram_id: user.telegram_id,
+            event: lastEvent ? 'readmitted' : 'joined',
+            actor_id: actorId
+        });
+    }
+
+    /**
+     * Закрыть действующие брони пользователя, потерявшего доступ:
+     * иначе автомобиль остался бы «на руках» у того, кто не может его вернуть
+     * @param {number|string} telegramId - Telegram ID пользователя
+     * @returns {Promise<number>} Число закрытых броней
+     */
+    static async closeReservations(telegramId) {
+        const reservations = await CarReservation.findActiveByTelegramId(telegramId);
+        for (const reservation of reservations) {
+            await reservation.close();
+        }
+        return reservations.length;
+    }
+
+    /**
+     * Лишить пользователя доступа: снять авторизацию и роль, записать событие,
+     * аннулировать ожидающие заявки гаража и закрыть брони автомобилей
+     * @param {User} user - Пользователь
+     * @param {Object} options - { event: 'kicked' | 'left', reason, actorId }
+     * @returns {Promise<Object>} { event, invalidatedRequests, closedReservations }
+     */
+    static async revokeMembership(user, { event, reason = null, actorId = null }) {
+        return database.withTransaction(async () => {
+            await user.setAuthorized(0);
+            await UserRole.remove(user.telegram_id);
+
+            const membershipEvent = await MembershipEvent.create({
+                user_id: user.id,
+                telegram_id: user.telegram_id,
+                event,
+                reason,
+                actor_id: actorId
+            });
+
+            const invalidatedRequests = await GarageRequest.rejectPendingByTelegramId(
+                String(user.telegram_id),
+                actorId,
+                GARAGE_INVALIDATION_COMMENT
+            );
+
+            const closedReservations = await MembershipManager.closeReservations(user.telegram_id);
+
+            return { event: membershipEvent, invalidatedRequests, closedReservations };
+        });
+    }
+
+    /**
+     * Исключить пользователя из семьи
+     * @param {User} targetUser - Пользователь
+     * @param {number} actorTelegramId - Telegram ID администратора
+     * @param {string} reason - Причина исключения
+     * @returns {Promise<Object>} { event, invalidatedRequests, closedReservations }
+     */
+    async kick(targetUser, actorTelegramId, reason) {
+        if (!this.roleManager.hasPermission(actorTelegramId, 'canManageUsers')) {
+            throw new Error('У вас нет прав для управления пользователями');
+        }
+
+        const targetTelegramId = Number(targetUser.telegram_id);
+        if (targetTelegramId === actorTelegramId) {
+            throw new Error('Нельзя исключить самого себя. Используйте /leave');
+        }
+
+        const targetRole = this.roleManager.getRole(targetTelegramId, targetUser);
+        const actorRole = this.roleManager.getRole(actorTelegramId);
+        if (this.roleManager.getRoleRank(targetRole) >= this.roleManager.getRoleRank(actorRole)) {
+            throw new Error('Нельзя исключить пользователя с равным или более высоким рангом');
+        }
+
+        if (!targetUser.isAuthorized()) {
+            throw new Error('Пользователь не состоит в семье');
+        }
+
+        const actor = await User.findByTelegramId(actorTelegramId);
+        const result = await MembershipManager.revokeMembership(targetUser, {
+            event: 'kicked',
+            reason,
+            actorId: actor ? actor.id : null
+        });
+        this.roleManager.roles.delete(targetTelegramId);
+
+        console.log(`🚪 Пользователь ${targetTelegramId} исключен (инициатор ${actorTelegramId}): ${reason}`);
+
+        await this.notifyUser(targetTelegramId,
+            `🚪 Вы исключены из семьи.\n\n📝 Причина: ${reason}\n\nВы можете подать заявку повторно.`,
+            { reply_markup: { inline_keyboard: [[{ text: 'Подать заявку повторно', callback_data: 'start_authorization' }]] } }
+        );
+
+        return result;
+    }
+
+    /**
+     * Добровольно выйти из семьи
+     * @param {User} user - Пользователь
+     * @returns {Promise<Object>} { event, invalidatedRequests, closedReservations }
+     */
+    async leave(user) {
+        const telegramId = Number(user.telegram_id);
+
+        if (!user.isAuthorized()) {
+            throw new Error('Вы не состоите в семье');
+        }
+
+        if (this.roleManager.getRole(telegramId, user) === 'leader') {
+            throw new Error('Лидер не может покинуть семью');
+        }
+
+        const result = await MembershipManager.revokeMembership(user, { event: 'left', actorId: user.id });
+        this.roleManager.roles.delete(telegramId);
+
+        console.log(`🚪 Пользователь ${telegramId} покинул семью`);
+
+        return result;
+    }
+
+    /**
+     * Отправить уведомление пользователю, не прерывая операцию при ошибке
+     * @param {number} telegramId - Telegram ID пользователя
+     * @param {string} text - Текст уведомления
+     * @param {Object} options - Параметры сообщения
+     */
+    async notifyUser(telegramId, text, options = {}) {
+        try {
+            await this.outbound.sendMessage(telegramId, text, options);
+        } catch (error) {
+            console.error(`Не удалось уведомить пользователя ${telegramId}:`, error.message);
+        }
+    }
+
+    /**
+     * Получить сессию ввода причины исключения
+     * @param {number} telegramId - Telegram ID администратора
+     * @returns {Object|null}
+     */
+    getKickSession(telegramId) {
+        return this.kickSessions.get(telegramId) || null;
+    }
+
+    /**
+     * Зарегистрировать маршруты исключения и выхода
+     * @param {Router} router - Маршрутизатор бота
+     */
+    registerRoutes(router) {
+        const adminOptions = {
+            guard: 'canManageUsers',
+            deniedMessage: 'У вас нет прав для управления пользователями'
+        };
+
+        router
+            .callback('member_kick_:telegramId(int)', (ctx) => this.handleKickCallback(ctx.callbackQuery, ctx.params.telegramId), adminOptions)
+            .callback('member_kick_cancel', (ctx) => this.handleKickCancel(ctx.callbackQuery), adminOptions)
+            .callback('member_leave_confirm', (ctx) => this.handleLeaveConfirm(ctx.callbackQuery))
+            .callback('member_leave_cancel', (ctx) => this.handleLeaveCancel(ctx.callbackQuery))
+            .command('leave', (ctx) => this.handleLeaveCommand(ctx.msg));
+    }
+
+    /**
+     * Начать исключение: запросить причину у администратора
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} targetTelegramId - Telegram ID исключаемого
+     */
+    async handleKickCallback(callbackQuery, targetTelegramId) {
+        const targetUser = await User.findByTelegramId(targetTelegramId);
+        if (!targetUser || !targetUser.isAuthorized()) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, {
+                text: 'Пользователь не состоит в семье',
+                show_alert: true
+            });
+            return;
+        }
+
+        this.kickSessions.set(callbackQuery.from.id, {
+            state: KICK_STATES.AWAITING_REASON,
+            targetTelegramId
+        });
+
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.bot.sendMessage(callbackQuery.message.chat.id,
+            `🚪 Исключение ${targetUser.getDisplayName()}\n\n` +
+            '📝 Введите причину исключения (она будет отправлена пользователю):',
+            { reply_markup: { inline_keyboard: [[{ text: '↩️ Отмена', callback_data: 'member_kick_cancel' }]] } }
+        );
+    }
+
+    /**
+     * Отменить исключение
+     * @param {Object} callbackQuery - Callback query от Telegram
+     */
+    async handleKickCancel(callbackQuery) {
+        this.kickSessions.delete(callbackQuery.from.id);
+
+        await this.bot.answerCallbackQuery(callbackQuery.id, { text: 'Исключение отменено' });
+        await this.bot.editMessageText('↩️ Исключение отменено', {
+            chat_id: callbackQuery.message.chat.id,
+            message_id: callbackQuery.message.message_id
+        });
+    }
+
+    /**
+     * Обработать причину исключения, введенную администратором
+     * @param {Object} msg - Сообщение от Telegram
+     */
+    async handleKickReason(msg) {
+        const chatId = msg.chat.id;
+        const session = this.getKickSession(msg.from.id);
+        const reason = (msg.text || '').trim();
+
+        if (!reason) {
+            await this.bot.sendMessage(chatId, '📝 Введите причину исключения текстом.');
+            return;
+        }
+
+        this.kickSessions.delete(msg.from.id);
+
+        try {
+            const targetUser = await User.findByTelegramId(session.targetTelegramId);
+            if (!targetUser) {
+                throw new Error('Пользователь не найден');
+            }
+
+            const result = await this.kick(targetUser, msg.from.id, reason);
+
+            let text = `✅ ${targetUser.getDisplayName()} исключен из семьи.\n📝 Причина: ${reason}`;
+            if (result.invalidatedRequests > 0) {
+                text += `\n🔧 Аннулировано заявок гаража: ${result.invalidatedRequests}`;
+            }
+            if (result.closedReservations > 0) {
+                text += `\n🔑 Закрыто броней автомобилей: ${result.closedReservations}`;
+            }
+            await this.bot.sendMessage(chatId, text);
+
+        } catch (error) {
+            console.error('Ошибка исключения пользователя:', error);
+            await this.bot.sendMessage(chatId, `❌ ${error.message}`);
+        }
+    }
+
+    /**
+     * Обработать команду /leave - запросить подтверждение выхода
+     * @param {Object} msg - Сообщение от Telegram
+     */
+    async handleLeaveCommand(msg) {
+        const user = await User.findByTelegramId(msg.from.id);
+        if (!user || !user.isAuthorized()) {
+            await this.bot.sendMessage(msg.chat.id, 'ℹ️ Вы не состоите в семье.');
+            return;
+        }
+
+        await this.bot.sendMessage(msg.chat.id,
+            '🚪 Вы уверены, что хотите покинуть семью?\n\n' +
+            'Доступ к боту будет закрыт, а ожидающие заявки гаража аннулированы.',
+            {
+                reply_markup: {
+                    inline_keyboard: [[
+                        { text: '✅ Да, выйти', callback_data: 'member_leave_confirm' },
+                        { text: '↩️ Отмена', callback_data: 'member_leave_cancel' }
+                    ]]
+                }
+            }
+        );
+    }
+
+    /**
+     * Подтвердить выход из семьи
+     * @param {Object} callbackQuery - Callback query от Telegram
+     */
+    async handleLeaveConfirm(callbackQuery) {
+        const { message } = callbackQuery;
+
+        try {
+            const user = await User.findByTelegramId(callbackQuery.from.id);
+            if (!user) {
+                throw new Error('Вы не состоите в семье');
+            }
+
+            await this.leave(user);
+
+            await this.bot.answerCallbackQuery(callbackQuery.id);
+            await this.bot.editMessageText(
+                '🚪 Вы покинули семью.\n\nЧтобы вернуться, подайте заявку через /start.',
+                { chat_id: message.chat.id, message_id: message.message_id }
+            );
+
+        } catch (error) {
+            console.error('Ошибка выхода из семьи:', error);
+            await this.bot.answerCallbackQuery(callbackQuery.id, {
+                text: error.message,
+                show_alert: true
+            });
+        }
+    }
+
+    /**
+     * Отменить выход из семьи
+     * @param {Object} callbackQuery - Callback query от Telegram
+     */
+    async handleLeaveCancel(callbackQuery) {
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.bot.editMessageText('↩️ Вы остаетесь в семье.', {
+            chat_id: callbackQuery.message.chat.id,
+            message_id: callbackQuery.message.message_id
+        });
+    }
+}
+
+MembershipManager.KICK_STATES = KICK_STATES;
+MembershipManager.GARAGE_INVALIDATION_COMMENT = GARAGE_INVALIDATION_COMMENT;
+
+module.exports = MembershipManager;
\ No newline at end of file
@@ -3,8 +3,15 @@
  * Создает красивые меню с эмодзи и интерактивными кнопками
  */
 
+const { i18n } = require('../i18n');
+const { LOCALE_TITLES } = require('../../config/i18n');
+
 class MenuBuilder {
-    constructor() {
+    /**
+     * @param {I18n} localizer - Каталог текстов (по умолчанию общий)
+     */
+    constructor(localizer = i18n) {
+        this.i18n = localizer;
         this.emojis = {
             // Статусы
             admin: '👑',
@@ -45,48 +52,26 @@ class MenuBuilder {
      * @returns {Object} - Сообщение и клавиатура
      */
     buildAdminMenu(user) {
-        const text = `${this.emojis.palace} ПАНЕЛЬ АДМИНИСТРАТОРА ${this.emojis.admin}
-
-Добро пожаловать в панель управления ботом!
-
-┌─── ${this.emojis.users} УПРАВЛЕНИЕ ───┐
-│ • Заявки на авторизацию     │
-│ • Список пользователей      │
-│ • Заблокированные           │
-└─────────────────────────┘
-
-┌─── ${this.emojis.stats} АНАЛИТИКА ───┐
-│ • Статистика бота           │
-│ • Активность пользователей  │
-│ • Отчеты                    │
-└─────────────────────────┘
-
-┌─── ${this.emojis.settings} НАСТРОЙКИ ───┐
-│ • Конфигурация бота         │
-│ • Сообщения и тексты        │
-│ • Резервное копирование     │
-└─────────────────────────┘
-
-${this.emojis.support} Экстренная помощь: /emergency
-${this.emojis.contacts} Техподдержка: @admin_username`;
+        const t = this.i18n.translator(user);
+        const text = t('menu.admin.text');
 
         const keyboard = {
             inline_keyboard: [
                 [
-                    { text: `${this.emojis.users} Пользователи`, callback_data: 'help_admin_users' },
-                    { text: `${this.emojis.stats} Статистика`, callback_data: 'help_admin_stats' }
+                    { text: `${this.emojis.users} ${t('menu.admin.users')}`, callback_data: 'help_admin_users' },
+                    { text: `${this.emojis.stats} ${t('menu.admin.stats')}`, callback_data: 'help_admin_stats' }
                 ],
                 [
-                    { text: `${this.emojis.settings} Настройки`, callback_data: 'help_admin_settings' },
-                    { text: `${this.emojis.notifications} Уведомления`, callback_data: 'help_admin_notifications' }
+                    { text: `${this.emojis.settings} ${t('menu.admin.settings')}`, callback_data: 'help_admin_settings' },
+                    { text: `${this.emojis.notifications} ${t('menu.admin.notifications')}`, callback_data: 'help_admin_notifications' }
                 ],
                 [
-                    { text: `${this.emojis.info} Заявки`, callback_data: 'help_admin_requests' },
-                    { text: `🚫 Блокировка`, callback_data: 'help_admin_blocks' }
+                    { text: `${this.emojis.info} ${t('menu.admin.requests')}`, callback_data: 'help_admin_requests' },
+                    { text: `🚫 ${t('menu.admin.blocks')}`, callback_data: 'help_admin_blocks' }
                 ],
                 [
-                    { text: `${this.emojis.backup} Бэкап`, callback_data: 'help_admin_backup' },
-                    { text: `${this.emojis.refresh} Обновить`, callback_data: 'help_main' }
+                    { text: `${this.emojis.backup} ${t('menu.admin.backup')}`, callback_data: 'help_admin_backup' },
+                    { text: `${this.emojis.refresh} ${t('menu.buttons.refresh')}`, callback_data: 'help_main' }
                 ]
             ]
         };
@@ -100,53 +85,32 @@ ${this.emojis.contacts} Техподдержка: @admin_username`;
      * @returns {Object} - Сообщение и клавиатура
      */
     buildUserMenu(user) {
-        const greeting = user.first_name ? `${user.first_name}` : 'пользователь';
+        const locale = this.i18n.resolveLocale(user);
+        const t = (key, params) => this.i18n.t(locale, key, params);
+        const greeting = user.first_name ? `${user.first_name}` : t('common.user');
         const lastSeen = user.updated_at ? 
-            new Date(user.updated_at).toLocaleDateString('ru-RU') : 
-            'неизвестно';
+            new Date(user.updated_at).toLocaleDateString(t('common.date_locale')) : 
+            t('common.unknown');
 
-        const text = `${this.emojis.target} ДОБРО ПОЖАЛОВАТЬ! ${this.emojis.sparkle}
-
-Привет, ${greeting}! Вы успешно авторизованы в системе!
-
-┌─── ${this.emojis.game} ОСНОВНЫЕ ФУНКЦИИ ───┐
-│ • Мой профиль               │
-│ • Настройки уведомлений     │
-│ • История активности        │
-└────────────────────────────┘
-
-┌─── ${this.emojis.info} ИНФОРМАЦИЯ ───┐
-│ • Правила использования     │
-│ • Часто задаваемые вопросы  │
-│ • Новости и обновления      │
-└────────────────────────────┘
-
-┌─── ${this.emojis.support} ПОДДЕРЖКА ───┐
-│ • Связаться с админом       │
-│ • Сообщить о проблеме       │
-│ • Предложить улучшение      │
-└────────────────────────────┘
-
-📅 Последний вход: ${lastSeen}
-${this.emojis.trophy} Статус: Авторизованный пользователь`;
+        const text = t('menu.user.text', { name: greeting, last_seen: lastSeen });
 
         const keyboard = {
             inline_keyboard: [
                 [
-                    { text: `${this.emojis.profile} Профиль`, callback_data: 'help_user_profile' },
-                    { text: `${this.emojis.settings} Настройки`, callback_data: 'help_user_settings' }
+                    { text: `${this.emojis.profile} ${t('menu.user.profile')}`, callback_data: 'help_user_profile' },
+                    { text: `${this.emojis.settings} ${t('menu.user.settings')}`, callback_data: 'help_user_settings' }
                 ],
                 [
-                    { text: `📋 История`, callback_data: 'help_user_history' },
-                    { text: `📢 Новости`, callback_data: 'help_user_news' }
+                    { text: `📋 ${t('menu.user.history')}`, callback_data: 'help_user_history' },
+                    { text: `📢 ${t('menu.user.news')}`, callback_data: 'help_user_news' }
                 ],
                 [
-                    { text: `❓ FAQ`, callback_data: 'help_user_faq' },
-                    { text: `${this.emojis.support} Поддержка`, callback_data: 'help_user_support' }
+                    { text: `❓ ${t('menu.user.faq')}`, callback_data: 'help_user_faq' },
+                    { text: `${this.emojis.support} ${t('menu.user.support')}`, callback_data: 'help_user_support' }
                 ],
                 [
-                    { text: `${this.emojis.refresh} Обновить`, callback_data: 'help_main' },
-                    { text: `${this.emojis.home} Главная`, callback_data: 'help_main' }
+                    { text: `${this.emojis.refresh} ${t('menu.buttons.refresh')}`, callback_data: 'help_main' },
+                    { text: `${this.emojis.home} ${t('menu.buttons.home')}`, callback_data: 'help_main' }
                 ]
             ]
         };
@@ -161,61 +125,36 @@ ${this.emojis.trophy} Статус: Авторизованный пользов
      * @returns {Object} - Сообщение и клавиатура
      */
     buildGuestMenu(user, authRequest = null) {
+        const t = this.i18n.translator(user);
+
         let statusText = '';
         if (authRequest) {
             if (authRequest.status === 'pending') {
-                statusText = `⏳ Ваша заявка находится на рассмотрении
-📅 Подана: ${authRequest.getFormattedSubmissionDate()}`;
+                statusText = `${t('content.auth_pending')}\n${t('content.auth_submitted', { date: authRequest.getFormattedSubmissionDate() })}`;
             } else if (authRequest.status === 'rejected') {
-                statusText = `❌ Ваша заявка была отклонена
-💡 Вы можете подать новую заявку`;
+                statusText = `${t('content.auth_rejected')}\n${t('content.auth_rejected_hint')}`;
             }
         }
 
-        const text = `${this.emojis.door} ДОБРО ПОЖАЛОВАТЬ В СИСТЕМУ! ${this.emojis.star}
-
-Вы пока не авторизованы. Получите доступ ко всем функциям!
-
-┌─── ${this.emojis.unauthorized} АВТОРИЗАЦИЯ ───┐
-│ • Как получить доступ       │
-│ • Требования к заявке       │
-│ • Статус моей заявки        │
-└────────────────────────────┘
-
-┌─── ${this.emojis.info} ИНФОРМАЦИЯ ───┐
-│ • О проекте                 │
-│ • Возможности системы       │
-│ • Правила сообщества        │
-└────────────────────────────┘
-
-┌─── ${this.emojis.contacts} КОНТАКТЫ ───┐
-│ • Связаться с админом       │
-│ • Техническая поддержка     │
-│ • Социальные сети           │
-└────────────────────────────┘
-
-${statusText}
-
-⏱️ Среднее время рассмотрения: 24 часа
-${this.emojis.authorized} Процент одобренных заявок: 85%`;
+        const text = t('menu.guest.text', { status: statusText });
 
         const keyboard = {
             inline_keyboard: [
                 [
-                    { text: `${this.emojis.unauthorized} Авторизоваться`, callback_data: 'start_authorization' },
-                    { text: `📋 Моя заявка`, callback_data: 'help_guest_check_request' }
+                    { text: `${this.emojis.unauthorized} ${t('menu.guest.authorize')}`, callback_data: 'start_authorization' },
+                    { text: `📋 ${t('menu.guest.my_request')}`, callback_data: 'help_guest_check_request' }
                 ],
                 [
-                    { text: `${this.emojis.info} О системе`, callback_data: 'help_guest_about' },
-                    { text: `${this.emojis.rules} Правила`, callback_data: 'help_guest_rules' }
+                    { text: `${this.emojis.info} ${t('menu.guest.about')}`, callback_data: 'help_guest_about' },
+                    { text: `${this.emojis.rules} ${t('menu.guest.rules')}`, callback_data: 'help_guest_rules' }
                 ],
                 [
-                    { text: `${this.emojis.contacts} Контакты`, callback_data: 'help_guest_contacts' },
-                    { text: `❓ Помощь`, callback_data: 'help_guest_faq' }
+                    { text: `${this.emojis.contacts} ${t('menu.guest.contacts')}`, callback_data: 'help_guest_contacts' },
+                    { text: `❓ ${t('menu.guest.help')}`, callback_data: 'help_guest_faq' }
                 ],
                 [
-                    { text: `${this.emojis.refresh} Обновить`, callback_data: 'help_main' },
-                    { text: `${this.emojis.back} Назад`, callback_data: 'help_main' }
+                    { text: `${this.emojis.refresh} ${t('menu.buttons.refresh')}`, callback_data: 'help_main' },
+                    { text: `${this.emojis.back} ${t('menu.buttons.back')}`, callback_data: 'help_main' }
                 ]
             ]
         };
@@ -270,27 +209,30 @@ ${pendingRequests.length > 0 ?
      * @returns {Object} - Сообщение и клавиатура
      */
     buildUserProfileMenu(user) {
-        const text = `${this.emojis.profile} МОЙ ПРОФИЛЬ
-
-👤 Имя: ${user.getFullName()}
-🆔 ID: ${user.telegram_id}
-📅 Регистрация: ${new Date(user.created_at).toLocaleDateString('ru-RU')}
-🌐 Язык: ${user.language_code || 'не указан'}
-${this.emojis.authorized} Статус: Авторизован
+        const locale = this.i18n.resolveLocale(user);
+        const t = (key, params) => this.i18n.t(locale, key, params);
 
-🔧 Доступные действия:`;
+        const text = t('menu.profile.text', {
+            name: user.getFullName(),
+            telegram_id: user.telegram_id,
+            registered: new Date(user.created_at).toLocaleDateString(t('common.date_locale')),
+            language: LOCALE_TITLES[locale]
+        });
 
         const keyboard = {
             inline_keyboard: [
                 [
-                    { text: `✏️ Редактировать профиль`, callback_data: 'help_user_edit_profile' },
-                    { text: `📜 История активности`, callback_data: 'help_user_activity' }
+                    { text: `✏️ ${t('menu.profile.edit')}`, callback_data: 'help_user_edit_profile' },
+                    { text: `📜 ${t('menu.profile.activity')}`, callback_data: 'help_user_activity' }
                 ],
                 [
-                    { text: `🔔 Настройки уведомлений`, callback_data: 'help_user_notifications' }
+                    { text: `🔔 ${t('menu.profile.notifications')}`, callback_data: 'help_user_notifications' }
                 ],
                 [
-                    { text: `${this.emojis.back} Назад`, callback_data: 'help_main' }
+                    { text: `🌐 ${t('menu.profile.language')}`, callback_data: 'language' }
+                ],
+                [
+                    { text: `${this.emojis.back} ${t('menu.buttons.back')}`, callback_data: 'help_main' }
                 ]
             ]
         };
@@ -544,8 +486,14 @@ support@example.com
 
         const text = `✅ АВТОРИЗОВАННЫЕ\n\n• Авторизованных: ${totalUsers}\n\n${usersList}`;
 
+        // Кнопки исключения для показанных пользователей
+        const kickButtons = users.slice(0, 8).map(user => ([
+            { text: `🚪 Исключить ${user.getDisplayName()}`, callback_data: `member_kick_${user.telegram_id}` }
+        ]));
+
         const keyboard = {
             inline_keyboard: [
+                ...kickButtons,
                 [
                     { text: `📋 Полный список`, callback_data: 'help_admin_full_authorized_list' }
                 ],
@@ -558,9 +506,26 @@ support@example.com
         return { text, keyboard };
     }
 
-    buildBlockedUsersMenu(users) {
-        const totalUsers = users.length;
-        const text = `🚫 ЗАБЛОКИРОВАННЫЕ\n\n• Заблокированных: ${totalUsers}\n\n✅ Нет заблокированных пользователей`;
+    buildBlockedUsersMenu(bans) {
+        const totalBans = bans.length;
+        let bansList = '';
+        
+        if (totalBans === 0) {
+            bansList = '✅ Нет заблокированных пользователей';
+        } else {
+            bans.slice(0, 8).forEach((ban, index) => {
+                const until = ban.expires_at
+                    ? new Date(ban.expires_at).toLocaleDateString('ru-RU')
+                    : 'бессрочно';
+                bansList += `${index + 1}️⃣ ID: ${ban.telegram_id}\n   ⏳ До: ${until}\n`;
+                if (ban.reason) {
+                    bansList += `   📝 ${ban.reason}\n`;
+                }
+                bansList += '\n';
+            });
+        }
+
+        const text = `🚫 ЗАБЛОКИРОВАННЫЕ\n\n• Заблокированных: ${totalBans}\n\n${bansList}`;
 
         const keyboard = {
             inline_keyboard: [
@@ -3,11 +3,20 @@
  * Обрабатывает callback запросы и управляет переходами между разделами
  */
 
+const User = require('../database/models/user');
+const HelpMetrics = require('../database/models/helpMetrics');
+const UserBan = require('../database/models/userBan');
+
 class NavigationManager {
-    constructor(menuBuilder, userTypeDetector, contentProvider) {
+    constructor(menuBuilder, userTypeDetector, contentProvider, requestHistory = null, backupManager = null, broadcastManager = null, notificationSettings = null, textTemplates = null) {
         this.menuBuilder = menuBuilder;
         this.userTypeDetector = userTypeDetector;
         this.contentProvider = contentProvider;
+        this.requestHistory = requestHistory; // История заявок гаража (RequestHistoryManager)
+        this.backupManager = backupManager; // Резервные копии (BackupManager)
+        this.broadcastManager = broadcastManager; // Рассылки и новости (BroadcastManager)
+        this.notificationSettings = notificationSettings; // Настройки уведомлений (NotificationSettingsManager)
+        this.textTemplates = textTemplates; // Тексты бота (TextTemplateManager)
         
         // Карта callback обработчиков
         this.callbackHandlers = {
@@ -33,6 +42,7 @@ class NavigationManager {
             // Пользовательские функции
             'help_user_profile': this.handleUserProfile.bind(this),
             'help_user_settings': this.handleUserSettings.bind(this),
+            'help_user_notifications': this.handleUserSettings.bind(this),
             'help_user_history': this.handleUserHistory.bind(this),
             'help_user_news': this.handleUserNews.bind(this),
             'help_user_faq': this.handleUserFAQ.bind(this),
@@ -51,6 +61,27 @@ class NavigationManager {
         };
     }
 
+    /**
+     * Зарегистрировать маршруты меню помощи
+     * @param {Router} router - Маршрутизатор бота
+     */
+    registerRoutes(router) {
+        router.callback('help_:section(any)', async (ctx) => {
+            const user = await User.findByTelegramId(ctx.telegramId);
+
+            // Записываем метрику навигации
+            const userType = this.userTypeDetector.detectUserType(ctx.telegramId, user);
+            await HelpMetrics.record({
+                telegram_id: ctx.telegramId,
+                user_type: userType,
+                menu_section: ctx.data,
+                action: 'click'
+            });
+
+            await this.handleCallback(ctx.callbackQuery, user, ctx.bot);
+        });
+    }
+
     /**
      * Обработать callback запрос
      * @param {Object} callbackQuery - Callback query объект
@@ -402,8 +433,22 @@ ${stats.popular_sections.slice(0, 5).map((item, index) =>
     }
 
     // Заглушки для остальных обработчиков
+    /**
+     * Обработчик настроек администратора - редактор текстов бота
+     */
     async handleAdminSettings(callbackQuery, user, userType, bot) {
-        return this.createPlaceholderHandler('Настройки администратора')(callbackQuery, user, userType, bot);
+        if (!this.textTemplates) {
+            return this.createPlaceholderHandler('Настройки администратора')(callbackQuery, user, userType, bot);
+        }
+
+        const list = this.textTemplates.buildListFor(user);
+        await bot.editMessageText(list.text, {
+            chat_id: callbackQuery.message.chat.id,
+            message_id: callbackQuery.message.message_id,
+            reply_markup: { inline_keyboard: list.keyboard }
+        });
+
+        return { notificationText: 'Тексты бота' };
     }
 
     async handleAdminNotifications(callbackQuery, user, userType, bot) {
@@ -415,23 +460,81 @@ ${stats.popular_sections.slice(0, 5).map((item, index) =>
     }
 
     async handleAdminBlocks(callbackQuery, user, userType, bot) {
-        return this.createPlaceholderHandler('Управление блокировками')(callbackQuery, user, userType, bot);
+        return this.handleAdminBlocked(callbackQuery, user, userType, bot);
     }
 
+    /**
+     * Обработчик панели резервного копирования
+     */
     async handleAdminBackup(callbackQuery, user, userType, bot) {
-        return this.createPlaceholderHandler('Резервное копирование')(callbackQuery, user, userType, bot);
+        if (!this.backupManager) {
+            return this.createPlaceholderHandler('Резервное копирование')(callbackQuery, user, userType, bot);
+        }
+
+        const panel = await this.backupManager.buildPanel();
+        await bot.editMessageText(panel.text, {
+            chat_id: callbackQuery.message.chat.id,
+            message_id: callbackQuery.message.message_id,
+            reply_markup: { inline_keyboard: panel.keyboard }
+        });
+
+        return { notificationText: 'Резервное копирование' };
     }
 
+    /**
+     * Обработчик настроек пользователя - настройки уведомлений
+     */
     async handleUserSettings(callbackQuery, user, userType, bot) {
-        return this.createPlaceholderHandler('Настройки пользователя')(callbackQuery, user, userType, bot);
+        if (!this.notificationSettings) {
+            return this.createPlaceholderHandler('Настройки пользователя')(callbackQuery, user, userType, bot);
+        }
+
+        const panel = await this.notificationSettings.buildPanelFor(callbackQuery.from.id);
+        await bot.editMessageText(panel.text, {
+            chat_id: callbackQuery.message.chat.id,
+            message_id: callbackQuery.message.message_id,
+            reply_markup: { inline_keyboard: panel.keyboard }
+        });
+
+        return { notificationText: 'Настройки уведомлений' };
     }
 
+    /**
+     * Обработчик истории активности - заявки гаража пользователя
+     */
     async handleUserHistory(callbackQuery, user, userType, bot) {
-        return this.createPlaceholderHandler('История активности')(callbackQuery, user, userType, bot);
+        if (!this.requestHistory) {
+            return this.createPlaceholderHandler('История активности')(callbackQuery, user, userType, bot);
+        }
+
+        const list = await this.requestHistory.buildList(callbackQuery.from.id);
+        list.keyboard.push([{ text: '🏠 Главное меню', callback_data: 'help_main' }]);
+
+        await bot.editMessageText(list.text, {
+            chat_id: callbackQuery.message.chat.id,
+            message_id: callbackQuery.message.message_id,
+            reply_markup: { inline_keyboard: list.keyboard }
+        });
+
+        return { notificationText: 'История заявок' };
     }
 
+    /**
+     * Обработчик новостей - опубликованные рассылки для аудитории пользователя
+     */
     async handleUserNews(callbackQuery, user, userType, bot) {
-        return this.createPlaceholderHandler('Новости')(callbackQuery, user, userType, bot);
+        if (!this.broadcastManager) {
+            return this.createPlaceholderHandler('Новости')(callbackQuery, user, userType, bot);
+        }
+
+        const news = await this.broadcastManager.buildNewsPage(callbackQuery.from.id, user);
+        await bot.editMessageText(news.text, {
+            chat_id: callbackQuery.message.chat.id,
+            message_id: callbackQuery.message.message_id,
+            reply_markup: { inline_keyboard: news.keyboard }
+        });
+
+        return { notificationText: 'Новости' };
     }
 
     async handleUserFAQ(callbackQuery, user, userType, bot) {
@@ -540,8 +643,7 @@ ${stats.popular_sections.slice(0, 5).map((item, index) =>
         const messageId = callbackQuery.message.message_id;
         
         try {
-            // Пока нет поля blocked в базе, показываем пустой список
-            const blockedUsers = [];
+            const blockedUsers = await UserBan.findActive();
             
             const menuData = this.menuBuilder.buildBlockedUsersMenu(blockedUsers);
 
@@ -0,0 +1,178 @@
+const NotificationPreference = require('../database/models/notificationPreference');
+const NotificationDigestItem = require('../database/models/notificationDigestItem');
+const notificationConfig = require('../../config/notifications');
+
+const { NOTIFICATION_TITLES, NOTIFICATION_ICONS } = notificationConfig;
+
+/**
+ * NotificationService - доставка уведомлений пользователям с учетом их настроек
+ * Отключенные категории не отправляются, в режиме сводки уведомления копятся
+ * до ежедневной отправки, в тихие часы сообщение ждет в очереди до их конца
+ */
+class NotificationService {
+    /**
+     * @param {OutboundQueue} outbound - Очередь исходящих сообщений
+     * @param {Object} options - Настройки (по умолчанию из config/notifications)
+     */
+    constructor(outbound, options = {}) {
+        this.outbound = outbound;
+        this.digestMaxLength = options.digestMaxLength || notificationConfig.digestMaxLength;
+    }
+
+    /**
+     * Доставка без учета настроек - для компонентов, созданных без сервиса уведомлений
+     * @param {OutboundQueue|TelegramBot} outbound - Очередь или бот
+     * @returns {{notify: Function}}
+     */
+    static direct(outbound) {
+        return {
+            notify: (telegramId, category, text, ...options) => outbound.sendMessage(telegramId, text, ...options)
+        };
+    }
+
+    /**
+     * Настройки уведомлений пользователя
+     * @param {number|string} telegramId - Telegram ID
+     * @returns {Promise<NotificationPreference>}
+     */
+    async getPreferences(telegramId) {
+        return NotificationPreference.findByTelegramId(telegramId);
+    }
+
+    /**
+     * Как доставить уведомление категории
+     * @param {NotificationPreference} preferences - Настройки пользователя
+     * @param {string} category - Категория уведомления
+     * @param {Date} now - Текущий момент
+     * @returns {string} disabled, digest, quiet или instant
+     */
+    plan(preferences, category, now = new Date()) {
+        if (!preferences.isEnabled(category)) {
+            return 'disabled';
+        }
+        if (preferences.isDigest()) {
+            return 'digest';
+        }
+        return preferences.isQuietAt(now) ? 'quiet' : 'instant';
+    }
+
+    /**
+     * Отправить уведомление пользователю
+     * Уведомление с клавиатурой в сводку не попадает - кнопки в ней потерялись бы,
+     * поэтому оно доставляется сразу (с учетом тихих часов)
+     * @param {number|string} telegramId - Telegram ID получателя
+     * @param {string} category - Категория уведомления
+     * @param {string} text - Текст
+     * @param {...Object} options - Параметры sendMessage
+     * @returns {Promise<boolean>} Принято ли уведомление к доставке
+     */
+    async notify(telegramId, category, text, ...options) {
+        const now = new Date();
+        let preferences;
+        try {
+            preferences = await this.getPreferences(telegramId);
+        } catch (error) {
+            console.error(`Error loading notification preferences for ${telegramId}:`, error.message);
+            return this.outbound.sendMessage(telegramId, text, ...options);
+        }
+
+        let delivery = this.plan(preferences, category, now);
+        if (delivery === 'digest' && NotificationService.hasKeyboard(options)) {
+            delivery = preferences.isQuietAt(now) ? 'quiet' : 'instant';
+        }
+
+        switch (delivery) {
+        case 'disabled':
+            return false;
+        case 'digest':
+            await NotificationDigestItem.add(telegramId, category, text);
+            return true;
+        case 'quiet':
+            return this.outbound.notify('sendMessage', telegramId, [text, ...options], {
+                notBefore: preferences.getQuietEnd(now)
+            });
+        default:
+            return this.outbound.sendMessage(telegramId, text, ...options);
+        }
+    }
+
+    /**
+     * Есть ли в параметрах сообщения клавиатура
+     * @param {Array<Object>} options - Параметры sendMessage
+     * @returns {boolean}
+     */
+    static hasKeyboard(options) {
+        return options.some(option => option && option.reply_markup);
+    }
+
+    /**
+     * Оставить пользователей, не отключивших категорию
+     * @param {Array<User>} users - Пользователи
+     * @param {string} category - Категория уведомлений
+     * @returns {Promise<Array<User>>}
+     */
+    async filterSubscribed(users, category) {
+        const disabled = new Set(await NotificationPreference.findDisabled(category));
+        return users.filter(user => !disabled.has(String(user.telegram_id)));
+    }
+
+    /**
+     * Разбить сводку на сообщения допустимой длины
+     * @param {Array<NotificationDigestItem>} items - Уведомления пользователя
+     * @param {number} maxLength - Максимальная длина сообщения
+     * @returns {Array<string>}
+     */
+    static formatDigest(items, maxLength) {
+        const header = '📬 СВОДКА УВЕДОМЛЕНИЙ';
+        const messages = [];
+        let current = header;
+
+        for (const item of items) {
+            let entry = `${NOTIFICATION_ICONS[item.category] || '🔔'} ${NOTIFICATION_TITLES[item.category] || item.category}\n${item.text}`;
+            if (header.length + 2 + entry.length > maxLength) {
+                entry = entry.slice(0, maxLength - header.length - 3) + '…';
+            }
+            if (current.length + 2 + entry.length > maxLength) {
+                messages.push(current);
+                current = header;
+            }
+            current += `\n\n${entry}`;
+        }
+
+        messages.push(current);
+        return messages;
+    }
+
+    /**
+     * Отправить накопленные сводки
+     * Сводка уходит, даже если пользователь уже вернулся к мгновенной доставке
+     * @param {Date} now - Текущий момент
+     * @returns {Promise<number>} Число пользователей, получивших сводку
+     */
+    async sendDigests(now = new Date()) {
+        const groups = await NotificationDigestItem.findGrouped();
+        let sent = 0;
+
+        for (const [telegramId, items] of groups) {
+            try {
+                const preferences = await this.getPreferences(telegramId);
+                const notBefore = preferences.isQuietAt(now) ? preferences.getQuietEnd(now) : null;
+
+                for (const text of NotificationService.formatDigest(items, this.digestMaxLength)) {
+                    await this.outbound.notify('sendMessage', telegramId, [text], { notBefore });
+                }
+                await NotificationDigestItem.deleteByIds(items.map(item => item.id));
+                sent++;
+            } catch (error) {
+                console.error(`Error sending notification digest to ${telegramId}:`, error.message);
+            }
+        }
+
+        if (sent > 0) {
+            console.log(`📬 Отправлено сводок уведомлений: ${sent}`);
+        }
+        return sent;
+    }
+}
+
+module.exports = NotificationService;
\ No newline at end of file
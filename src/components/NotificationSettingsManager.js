@@ -0,0 +1,300 @@
+const NotificationPreference = require('../database/models/notificationPreference');
+const SessionStore = require('./SessionStore');
+const notificationConfig = require('../../config/notifications');
+
+const { NOTIFICATION_CATEGORIES, NOTIFICATION_TITLES, NOTIFICATION_ICONS } = notificationConfig;
+
+const SETTINGS_STATES = {
+    AWAITING_QUIET_HOURS: 'awaiting_quiet_hours'
+};
+
+/**
+ * NotificationSettingsManager - центр настроек уведомлений пользователя
+ * /notifications, кнопка «Уведомления» в профиле и раздел «Настройки» меню помощи:
+ * категории уведомлений, сводка вместо мгновенной доставки и тихие часы
+ */
+class NotificationSettingsManager {
+    /**
+     * @param {TelegramBot} bot - Экземпляр бота
+     * @param {Object} options - Настройки (по умолчанию из config/notifications)
+     */
+    constructor(bot, options = notificationConfig) {
+        this.bot = bot;
+        this.quietHoursPresets = options.quietHoursPresets;
+        this.STATES = SETTINGS_STATES;
+
+        // Пользователи, вводящие свои тихие часы
+        this.sessions = new SessionStore('notification_settings', { ttl: 10 * 60 * 1000 });
+    }
+
+    /**
+     * Зарегистрировать маршруты настроек уведомлений
+     * @param {Router} router - Маршрутизатор бота
+     */
+    registerRoutes(router) {
+        const options = {
+            errorMessage: '❌ Не удалось сохранить настройки уведомлений. Попробуйте позже.'
+        };
+
+        router
+            .command('notifications', (ctx) => this.handleCommand(ctx.msg), options)
+            .callback('notifications', (ctx) => this.handleProfileCallback(ctx.callbackQuery), options)
+            .callback('notif_menu', (ctx) => this.handleMenuCallback(ctx.callbackQuery), options)
+            .callback('notif_toggle_:category(any)', (ctx) => this.handleToggleCallback(ctx.callbackQuery, ctx.params.category), options)
+            .callback('notif_mode_:mode(string)', (ctx) => this.handleModeCallback(ctx.callbackQuery, ctx.params.mode), options)
+            .callback('notif_quiet', (ctx) => this.handleQuietCallback(ctx.callbackQuery), options)
+            .callback('notif_quiet_set_:start(int)_:end(int)', (ctx) => this.handleQuietSetCallback(ctx.callbackQuery, ctx.params.start, ctx.params.end), options)
+            .callback('notif_quiet_off', (ctx) => this.handleQuietOffCallback(ctx.callbackQuery), options)
+            .callback('notif_quiet_custom', (ctx) => this.handleQuietCustomCallback(ctx.callbackQuery), options);
+    }
+
+    /**
+     * Получить сессию ввода тихих часов
+     * @param {number} telegramId - Telegram ID пользователя
+     * @returns {Object|null}
+     */
+    getSession(telegramId) {
+        return this.sessions.get(telegramId) || null;
+    }
+
+    /**
+     * Разобрать тихие часы, введенные пользователем
+     * @param {string} text - Например, 22-8 или 22:00-08:00
+     * @returns {{start: number, end: number}|null}
+     */
+    static parseQuietHours(text) {
+        const match = /^(\d{1,2})(?::00)?\s*[-–—]\s*(\d{1,2})(?::00)?$/.exec(text.trim());
+        if (!match) {
+            return null;
+        }
+
+        const start = Number(match[1]);
+        const end = Number(match[2]);
+        if (start > 23 || end > 23 || start === end) {
+            return null;
+        }
+        return { start, end };
+    }
+
+    /**
+     * Панель настроек уведомлений
+     * @param {NotificationPreference} preferences - Настройки пользователя
+     * @returns {{text: string, keyboard: Array}}
+     */
+    buildPanel(preferences) {
+        let text = '🔔 НАСТРОЙКИ УВЕДОМЛЕНИЙ\n\n';
+        for (const category of NOTIFICATION_CATEGORIES) {
+            const state = preferences.isEnabled(category) ? '✅ включены' : '🚫 отключены';
+            text += `${NOTIFICATION_ICONS[category]} ${NOTIFICATION_TITLES[category]}: ${state}\n`;
+        }
+        text += `\n📬 Доставка: ${preferences.isDigest() ? 'ежедневной сводкой' : 'сразу'}\n`;
+        text += `🌙 Тихие часы: ${preferences.getQuietHoursText() || 'не заданы'}\n\n`;
+        text += '💡 В тихие часы уведомления ждут их окончания, сводка приходит раз в день.';
+
+        const keyboard = NOTIFICATION_CATEGORIES.map(category => [{
+            text: `${preferences.isEnabled(category) ? '✅' : '🚫'} ${NOTIFICATION_TITLES[category]}`,
+            callback_data: `notif_toggle_${category}`
+        }]);
+        keyboard.push([preferences.isDigest()
+            ? { text: '⚡ Присылать сразу', callback_data: 'notif_mode_instant' }
+            : { text: '📬 Собирать в сводку', callback_data: 'notif_mode_digest' }]);
+        keyboard.push([{ text: '🌙 Тихие часы', callback_data: 'notif_quiet' }]);
+        keyboard.push([{ text: '🏠 Главное меню', callback_data: 'help_main' }]);
+
+        return { text, keyboard };
+    }
+
+    /**
+     * Панель настроек пользователя
+     * @param {number} telegramId - Telegram ID
+     * @returns {Promise<{text: string, keyboard: Array}>}
+     */
+    async buildPanelFor(telegramId) {
+        return this.buildPanel(await NotificationPreference.findByTelegramId(telegramId));
+    }
+
+    /**
+     * Обработать команду /notifications
+     * @param {Object} msg - Сообщение от Telegram
+     */
+    async handleCommand(msg) {
+        this.sessions.delete(msg.from.id);
+        await this.sendPanel(msg.chat.id, msg.from.id);
+    }
+
+    /**
+     * Кнопка «Уведомления» в профиле - панель отдельным сообщением под фото профиля
+     * @param {Object} callbackQuery - Callback query от Telegram
+     */
+    async handleProfileCallback(callbackQuery) {
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.sendPanel(callbackQuery.message.chat.id, callbackQuery.from.id);
+    }
+
+    /**
+     * Вернуться к панели настроек
+     * @param {Object} callbackQuery - Callback query от Telegram
+     */
+    async handleMenuCallback(callbackQuery) {
+        this.sessions.delete(callbackQuery.from.id);
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.editPanel(callbackQuery, await this.buildPanelFor(callbackQuery.from.id));
+    }
+
+    /**
+     * Включить или отключить категорию уведомлений
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {string} category - Категория
+     */
+    async handleToggleCallback(callbackQuery, category) {
+        if (!NOTIFICATION_CATEGORIES.includes(category)) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: 'Неизвестная категория', show_alert: true });
+            return;
+        }
+
+        const current = await NotificationPreference.findByTelegramId(callbackQuery.from.id);
+        const enabled = !current.isEnabled(category);
+        const preferences = await NotificationPreference.update(callbackQuery.from.id, { [category]: enabled ? 1 : 0 });
+
+        await this.bot.answerCallbackQuery(callbackQuery.id, {
+            text: `${NOTIFICATION_TITLES[category]}: ${enabled ? 'включены' : 'отключены'}`
+        });
+        await this.editPanel(callbackQuery, this.buildPanel(preferences));
+    }
+
+    /**
+     * Сменить способ доставки
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {string} mode - instant или digest
+     */
+    async handleModeCallback(callbackQuery, mode) {
+        if (!notificationConfig.DELIVERY_MODES.includes(mode)) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: 'Неизвестный способ доставки', show_alert: true });
+            return;
+        }
+
+        const preferences = await NotificationPreference.update(callbackQuery.from.id, { delivery_mode: mode });
+
+        await this.bot.answerCallbackQuery(callbackQuery.id, {
+            text: mode === 'digest' ? '📬 Уведомления будут приходить сводкой' : '⚡ Уведомления будут приходить сразу'
+        });
+        await this.editPanel(callbackQuery, this.buildPanel(preferences));
+    }
+
+    /**
+     * Показать выбор тихих часов
+     * @param {Object} callbackQuery - Callback query от Telegram
+     */
+    async handleQuietCallback(callbackQuery) {
+        const preferences = await NotificationPreference.findByTelegramId(callbackQuery.from.id);
+        const format = hour => `${String(hour).padStart(2, '0')}:00`;
+
+        const keyboard = this.quietHoursPresets.map(([start, end]) => [{
+            text: `🌙 ${format(start)}–${format(end)}`,
+            callback_data: `notif_quiet_set_${start}_${end}`
+        }]);
+        keyboard.push([{ text: '✏️ Свое время', callback_data: 'notif_quiet_custom' }]);
+        if (preferences.hasQuietHours()) {
+            keyboard.push([{ text: '🔕 Отключить тихие часы', callback_data: 'notif_quiet_off' }]);
+        }
+        keyboard.push([{ text: '🔙 Назад', callback_data: 'notif_menu' }]);
+
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.editPanel(callbackQuery, {
+            text: '🌙 ТИХИЕ ЧАСЫ\n\n' +
+                `Сейчас: ${preferences.getQuietHoursText() || 'не заданы'}\n\n` +
+                'Уведомления, пришедшие в тихие часы, будут доставлены после их окончания.',
+            keyboard
+        });
+    }
+
+    /**
+     * Установить тихие часы из предложенных
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} start - Час начала
+     * @param {number} end - Час окончания
+     */
+    async handleQuietSetCallback(callbackQuery, start, end) {
+        if (start > 23 || end > 23 || start === end) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: 'Неверные тихие часы', show_alert: true });
+            return;
+        }
+
+        const preferences = await NotificationPreference.update(callbackQuery.from.id, { quiet_start: start, quiet_end: end });
+
+        await this.bot.answerCallbackQuery(callbackQuery.id, { text: `🌙 Тихие часы: ${preferences.getQuietHoursText()}` });
+        await this.editPanel(callbackQuery, this.buildPanel(preferences));
+    }
+
+    /**
+     * Отключить тихие часы
+     * @param {Object} callbackQuery - Callback query от Telegram
+     */
+    async handleQuietOffCallback(callbackQuery) {
+        const preferences = await NotificationPreference.update(callbackQuery.from.id, { quiet_start: null, quiet_end: null });
+
+        await this.bot.answerCallbackQuery(callbackQuery.id, { text: '🔔 Тихие часы отключены' });
+        await this.editPanel(callbackQuery, this.buildPanel(preferences));
+    }
+
+    /**
+     * Запросить свои тихие часы
+     * @param {Object} callbackQuery - Callback query от Telegram
+     */
+    async handleQuietCustomCallback(callbackQuery) {
+        this.sessions.set(callbackQuery.from.id, { state: SETTINGS_STATES.AWAITING_QUIET_HOURS });
+
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.editPanel(callbackQuery, {
+            text: '🌙 ТИХИЕ ЧАСЫ\n\n' +
+                'Введите начало и конец в часах, например:\n' +
+                '• 22-8\n' +
+                '• 23:00-07:00',
+            keyboard: [[{ text: '🔙 Назад', callback_data: 'notif_menu' }]]
+        });
+    }
+
+    /**
+     * Обработать введенные тихие часы
+     * @param {Object} msg - Сообщение от Telegram
+     */
+    async handleTextInput(msg) {
+        const hours = NotificationSettingsManager.parseQuietHours(msg.text || '');
+        if (!hours) {
+            await this.bot.sendMessage(msg.chat.id,
+                '❌ Не удалось разобрать время. Введите часы начала и конца, например 22-8.');
+            return;
+        }
+
+        this.sessions.delete(msg.from.id);
+        await NotificationPreference.update(msg.from.id, { quiet_start: hours.start, quiet_end: hours.end });
+        await this.sendPanel(msg.chat.id, msg.from.id);
+    }
+
+    /**
+     * Отправить панель настроек новым сообщением
+     * @param {number} chatId - ID чата
+     * @param {number} telegramId - Telegram ID пользователя
+     */
+    async sendPanel(chatId, telegramId) {
+        const panel = await this.buildPanelFor(telegramId);
+        await this.bot.sendMessage(chatId, panel.text, {
+            reply_markup: { inline_keyboard: panel.keyboard }
+        });
+    }
+
+    /**
+     * Показать панель в сообщении с нажатой кнопкой
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {{text: string, keyboard: Array}} panel - Панель
+     */
+    async editPanel(callbackQuery, panel) {
+        await this.bot.editMessageText(panel.text, {
+            chat_id: callbackQuery.message.chat.id,
+            message_id: callbackQuery.message.message_id,
+            reply_markup: { inline_keyboard: panel.keyboard }
+        });
+    }
+}
+
+module.exports = NotificationSettingsManager;
\ No newline at end of file
@@ -0,0 +1,498 @@
+const OutboundMessage = require('../database/models/outboundMessage');
+const User = require('../database/models/user');
+const BanManager = require('./BanManager');
+const outboundConfig = require('../../config/outbound');
+
+// Ответы Telegram, после которых писать пользователю бесполезно
+const UNREACHABLE_ERRORS = [
+    'bot was blocked by the user',
+    'user is deactivated',
+    'chat not found',
+    'bot can\'t initiate conversation'
+];
+
+// Код ошибки для сообщений пользователю, уже отмеченному недоступным
+const UNREACHABLE_CODE = 'EUNREACHABLE';
+
+// Методы бота, сообщения которых сохраняются в базе до доставки
+const PERSISTENT_METHODS = ['sendMessage', 'sendPhoto'];
+
+/**
+ * OutboundQueue - очередь исходящих сообщений
+ * Между сообщениями выдерживается общий лимит бота и пауза для каждого чата.
+ * На 429 вся очередь ждет retry_after, прочие ошибки повторяются с растущей паузой.
+ * Уведомления хранятся в outbound_messages до доставки и отправляются после
+ * перезапуска. Пользователь, заблокировавший бота, отмечается недоступным
+ * и снова получает сообщения, когда напишет боту.
+ *
+ * sendMessage и sendPhoto повторяют сигнатуру бота, поэтому компоненты принимают
+ * очередь вместо бота для уведомлений
+ */
+class OutboundQueue {
+    /**
+     * @param {TelegramBot} bot - Экземпляр бота
+     * @param {Object} options - Настройки (по умолчанию из config/outbound)
+     * @param {Function} options.sleep - Ожидание в мс (подменяется в тестах)
+     */
+    constructor(bot, options = {}) {
+        this.bot = bot;
+        this.intervalMs = 1000 / (options.messagesPerSecond || outboundConfig.messagesPerSecond);
+        this.chatIntervalMs = options.chatIntervalMs !== undefined ? options.chatIntervalMs : outboundConfig.chatIntervalMs;
+        this.maxAttempts = options.maxAttempts || outboundConfig.maxAttempts;
+        this.retryDelayMs = options.retryDelayMs !== undefined ? options.retryDelayMs : outboundConfig.retryDelayMs;
+        this.retentionDays = options.retentionDays || outboundConfig.retentionDays;
+        this.sleep = options.sleep || (ms => new Promise(resolve => {
+            this.timer = setTimeout(resolve, ms);
+        }));
+
+        this.jobs = [];
+        this.nextSendAt = 0;
+        this.chatNextSendAt = new Map();
+        this.unreachable = new Set();
+        this.draining = null;
+        this.wake = null;
+        this.timer = null;
+        this.stopped = false;
+    }
+
+    /**
+     * Загрузить недоступных пользователей и недоставленные уведомления
+     * @returns {Promise<number>} Число восстановленных уведомлений
+     */
+    async start() {
+        const [users, messages] = await Promise.all([
+            User.findUnreachable(),
+            OutboundMessage.findPending()
+        ]);
+
+        users.forEach(user => this.unreachable.add(String(user.telegram_id)));
+
+        for (const message of messages) {
+            this.push({
+                method: message.method,
+                chatId: message.chat_id,
+                key: message.chat_id,
+                args: message.getArgs(),
+                attempts: message.attempts,
+                notBefore: message.next_attempt_at ? Date.parse(message.next_attempt_at) : 0,
+                record: message
+            });
+        }
+
+        return messages.length;
+    }
+
+    /**
+     * Поставить текстовое уведомление в очередь
+     * @param {number|string} chatId - Чат получателя
+     * @param {string} text - Текст сообщения
+     * @param {Object} [options] - Параметры sendMessage
+     * @returns {Promise<boolean>} False, если получатель недоступен
+     */
+    async sendMessage(chatId, text, ...options) {
+        return this.notify('sendMessage', chatId, [text, ...options]);
+    }
+
+    /**
+     * Поставить фото в очередь
+     * Путь к файлу или file_id сохраняется до доставки, буфер - только в памяти
+     * @param {number|string} chatId - Чат получателя
+     * @param {string|Buffer} photo - Путь, file_id или буфер
+     * @param {Object} [options] - Параметры sendPhoto
+     * @returns {Promise<boolean>} False, если получатель недоступен
+     */
+    async sendPhoto(chatId, photo, ...options) {
+        return this.notify('sendPhoto', chatId, [photo, ...options]);
+    }
+
+    /**
+     * Поставить уведомление в очередь, не дожидаясь доставки
+     * @param {string} method - Метод бота
+     * @param {number|string} chatId - Чат получателя
+     * @param {Array} args - Аргументы метода после chat_id
+     * @param {Object} options - { notBefore } - не отправлять раньше этого момента
+     * @returns {Promise<boolean>}
+     */
+    async notify(method, chatId, args, { notBefore = null } = {}) {
+        const id = String(chatId);
+        if (this.unreachable.has(id)) {
+            console.log(`📭 Уведомление для ${id} пропущено: пользователь недоступен`);
+            return false;
+        }
+
+        const job = { method, chatId, key: id, args, attempts: 0, notBefore: notBefore ? notBefore.getTime() : 0, record: null };
+        if (PERSISTENT_METHODS.includes(method) && typeof args[0] === 'string') {
+            job.record = await OutboundMessage.create({ chat_id: id, method, args, next_attempt_at: notBefore });
+        }
+
+        this.push(job);
+        return true;
+    }
+
+    /**
+     * Отправить сообщение через очередь и дождаться результата
+     * Лимиты и 429 обрабатывает очередь, остальные ошибки получает вызывающий
+     * после первой же попытки - повторами он управляет сам (например, рассылки)
+     * @param {string} method - Метод бота
+     * @param {number|string} chatId - Чат получателя
+     * @param {...*} args - Аргументы метода после chat_id
+     * @returns {Promise<Object>} Ответ Telegram
+     */
+    async deliver(method, chatId, ...args) {
+        const id = String(chatId);
+        if (this.unreachable.has(id)) {
+            throw OutboundQueue.unreachableError(id);
+        }
+        if (this.stopped) {
+            throw new Error('Очередь сообщений остановлена');
+        }
+
+        return new Promise((resolve, reject) => {
+            this.push({ method, chatId, key: id, args, attempts: 0, notBefore: 0, record: null, maxAttempts: 1, resolve, reject });
+        });
+    }
+
+    /**
+     * Добавить задание и запустить обработку
+     * @param {Object} job - Задание очереди
+     */
+    push(job) {
+        this.jobs.push(job);
+        if (this.wake) {
+            this.wake();
+        }
+        this.run();
+    }
+
+    /**
+     * Запустить обработку очереди, если она еще не идет
+     */
+    run() {
+        if (this.draining || this.stopped) {
+            return;
+        }
+
+        this.draining = this.drain()
+            .catch(error => {
+                console.error('❌ Ошибка обработки очереди сообщений:', error);
+            })
+            .finally(() => {
+                this.draining = null;
+                if (this.jobs.length > 0) {
+                    this.run();
+                }
+            });
+    }
+
+    /**
+     * Отправлять сообщения, пока очередь не опустеет
+     * @returns {Promise<void>}
+     */
+    async drain() {
+        while (this.jobs.length > 0 && !this.stopped) {
+            const job = this.jobs.reduce((next, candidate) => (this.readyAt(candidate) < this.readyAt(next) ? candidate : next));
+            const wait = this.readyAt(job) - Date.now();
+
+            // Новое сообщение может оказаться готовым раньше - тогда выбираем заново
+            if (wait > 0 && await this.wait(wait)) {
+                continue;
+            }
+            if (this.stopped) {
+                break;
+            }
+
+            this.jobs.splice(this.jobs.indexOf(job), 1);
+            await this.attempt(job);
+        }
+
+        const now = Date.now();
+        for (const [key, time] of this.chatNextSendAt) {
+            if (time <= now) {
+                this.chatNextSendAt.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Момент, когда задание можно отправить
+     * @param {Object} job - Задание очереди
+     * @returns {number} Время в мс
+     */
+    readyAt(job) {
+        return Math.max(job.notBefore, this.nextSendAt, this.chatNextSendAt.get(job.key) || 0);
+    }
+
+    /**
+     * Подождать указанное время или до появления нового сообщения
+     * @param {number} ms - Время ожидания
+     * @returns {Promise<boolean>} True, если ожидание прервано новым сообщением
+     */
+    async wait(ms) {
+        const woken = await new Promise(resolve => {
+            this.wake = () => {
+                clearTimeout(this.timer);
+                resolve(true);
+            };
+            this.sleep(ms).then(() => resolve(false));
+        });
+        this.wake = null;
+        return woken;
+    }
+
+    /**
+     * Выполнить одну попытку отправки
+     * @param {Object} job - Задание очереди
+     * @returns {Promise<void>}
+     */
+    async attempt(job) {
+        const now = Date.now();
+        this.nextSendAt = now + this.intervalMs;
+        this.chatNextSendAt.set(job.key, now + this.chatIntervalMs);
+
+        let result;
+        try {
+            result = await this.bot[job.method](job.chatId, ...job.args);
+        } catch (error) {
+            await this.handleFailure(job, error);
+            return;
+        }
+
+        if (job.record) {
+            await job.record.complete().catch(error => {
+                console.error(`❌ Ошибка удаления сообщения #${job.record.id} из очереди:`, error.message);
+            });
+        }
+        if (job.resolve) {
+            job.resolve(result);
+        }
+    }
+
+    /**
+     * Обработать неудачную попытку: подождать лимит, повторить или отказаться
+     * @param {Object} job - Задание очереди
+     * @param {Error} error - Ошибка отправки
+     * @returns {Promise<void>}
+     */
+    async handleFailure(job, error) {
+        const retryAfter = OutboundQueue.getRetryAfter(error);
+        if (retryAfter !== null) {
+            // Лимит Telegram: ждем всей очередью и повторяем, попытка не засчитывается
+            console.warn(`⏳ Telegram ограничил отправку на ${retryAfter} с`);
+            await this.sleep(retryAfter * 1000);
+            this.jobs.unshift(job);
+            return;
+        }
+
+        const description = OutboundQueue.describeError(error);
+        if (OutboundQueue.isUnreachable(error)) {
+            await this.giveUp(job, 'unreachable', error);
+            await this.markUnreachable(job.key, description);
+            return;
+        }
+
+        job.attempts++;
+        if (job.attempts >= (job.maxAttempts || this.maxAttempts)) {
+            await this.giveUp(job, 'failed', error);
+            return;
+        }
+
+        job.notBefore = Date.now() + this.retryDelayMs * 2 ** (job.attempts - 1);
+        if (job.record) {
+            await job.record.reschedule(job.attempts, new Date(job.notBefore), description).catch(saveError => {
+                console.error(`❌ Ошибка сохранения попытки сообщения #${job.record.id}:`, saveError.message);
+            });
+        }
+        this.jobs.push(job);
+    }
+
+    /**
+     * Отказаться от доставки задания
+     * @param {Object} job - Задание очереди
+     * @param {string} status - failed или unreachable
+     * @param {Error} error - Последняя ошибка
+     * @returns {Promise<void>}
+     */
+    async giveUp(job, status, error) {
+        const description = OutboundQueue.describeError(error);
+
+        if (job.record) {
+            await job.record.fail(status, job.attempts, description).catch(saveError => {
+                console.error(`❌ Ошибка сохранения сообщения #${job.record.id}:`, saveError.message);
+            });
+        }
+
+        if (job.reject) {
+            job.reject(error);
+        } else if (status === 'failed') {
+            console.error(`❌ Уведомление для ${job.chatId} не доставлено после ${job.attempts} попыток: ${description}`);
+        }
+    }
+
+    /**
+     * Отметить пользователя недоступным и снять его сообщения из очереди
+     * @param {number|string} chatId - Чат пользователя
+     * @param {string} reason - Причина для журнала
+     * @returns {Promise<void>}
+     */
+    async markUnreachable(chatId, reason) {
+        const id = String(chatId);
+        this.unreachable.add(id);
+        console.log(`🚫 Пользователь ${id} недоступен: ${reason}`);
+
+        const dropped = this.jobs.filter(job => job.key === id);
+        this.jobs = this.jobs.filter(job => job.key !== id);
+        for (const job of dropped) {
+            await this.giveUp(job, 'unreachable', OutboundQueue.unreachableError(id));
+        }
+
+        try {
+            await User.markUnreachable(id);
+        } catch (error) {
+            console.error(`❌ Ошибка отметки пользователя ${id} недоступным:`, error.message);
+        }
+    }
+
+    /**
+     * Снять отметку недоступности, когда пользователь снова пишет боту
+     * @param {number|string} chatId - Чат пользователя
+     * @returns {Promise<boolean>} False, если пользователь не был отмечен
+     */
+    async markReachable(chatId) {
+        const id = String(chatId);
+        if (!this.unreachable.delete(id)) {
+            return false;
+        }
+
+        await User.clearUnreachable(id);
+        return true;
+    }
+
+    /**
+     * Следить за доступностью пользователей по входящим обновлениям
+     * Остановка бота пользователем приходит как my_chat_member со статусом kicked
+     */
+    attach() {
+        const processUpdate = this.bot.processUpdate.bind(this.bot);
+
+        this.bot.processUpdate = (update) => {
+            this.trackUpdate(update).catch(error => {
+                console.error('❌ Ошибка обновления доступности пользователя:', error);
+            });
+            return processUpdate(update);
+        };
+    }
+
+    /**
+     * Обновить доступность отправителя обновления
+     * @param {Object} update - Обновление Telegram
+     * @returns {Promise<void>}
+     */
+    async trackUpdate(update) {
+        const member = update.my_chat_member;
+        if (member) {
+            if (member.chat.type !== 'private') {
+                return;
+            }
+            if (member.new_chat_member.status === 'kicked') {
+                await this.markUnreachable(member.chat.id, 'бот остановлен пользователем');
+            } else {
+                await this.markReachable(member.chat.id);
+            }
+            return;
+        }
+
+        const sender = BanManager.getUpdateSender(update);
+        if (sender) {
+            await this.markReachable(sender.id);
+        }
+    }
+
+    /**
+     * Дождаться, пока очередь опустеет
+     * @returns {Promise<void>}
+     */
+    async idle() {
+        while (this.draining) {
+            await this.draining;
+        }
+    }
+
+    /**
+     * Остановить отправку; сохраненные уведомления уйдут после перезапуска
+     */
+    stop() {
+        this.stopped = true;
+        if (this.wake) {
+            this.wake();
+        }
+
+        const waiting = this.jobs.filter(job => job.reject);
+        this.jobs = this.jobs.filter(job => !job.reject);
+        waiting.forEach(job => job.reject(new Error('Очередь сообщений остановлена')));
+    }
+
+    /**
+     * Удалить старые записи о недоставленных уведомлениях
+     * @returns {Promise<number>}
+     */
+    async cleanup() {
+        return OutboundMessage.cleanup(this.retentionDays);
+    }
+
+    /**
+     * Состояние очереди
+     * @returns {{queued: number, unreachable: number}}
+     */
+    getStats() {
+        return { queued: this.jobs.length, unreachable: this.unreachable.size };
+    }
+
+    /**
+     * Ошибка для сообщения пользователю, отмеченному недоступным
+     * @param {string} chatId - Чат пользователя
+     * @returns {Error}
+     */
+    static unreachableError(chatId) {
+        const error = new Error(`Пользователь ${chatId} недоступен: бот заблокирован или аккаунт удален`);
+        error.code = UNREACHABLE_CODE;
+        return error;
+    }
+
+    /**
+     * Пауза, которую Telegram просит выдержать после 429
+     * @param {Error} error - Ошибка отправки
+     * @returns {number|null} Секунды или null, если это не 429
+     */
+    static getRetryAfter(error) {
+        const body = error.response && error.response.body;
+        if (body && body.error_code === 429) {
+            return (body.parameters && body.parameters.retry_after) || 1;
+        }
+        return null;
+    }
+
+    /**
+     * Проверить, что пользователь недоступен (заблокировал бота, удалил аккаунт)
+     * @param {Error} error - Ошибка отправки
+     * @returns {boolean}
+     */
+    static isUnreachable(error) {
+        if (error.code === UNREACHABLE_CODE) {
+            return true;
+        }
+        const description = OutboundQueue.describeError(error).toLowerCase();
+        return UNREACHABLE_ERRORS.some(text => description.includes(text));
+    }
+
+    /**
+     * Текст ошибки Telegram
+     * @param {Error} error - Ошибка отправки
+     * @returns {string}
+     */
+    static describeError(error) {
+        const body = error.response && error.response.body;
+        return (body && body.description) || error.message;
+    }
+}
+
+module.exports = OutboundQueue;
\ No newline at end of file
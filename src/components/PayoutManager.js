@@ -0,0 +1,174 @@
+const User = require('../database/models/user');
+const Payout = require('../database/models/payout');
+const RequestProcessor = require('./RequestProcessor');
+const NotificationService = require('./NotificationService');
+
+// Сколько невыплаченных выплат показывать кнопками в отчете
+const REPORT_BUTTONS_LIMIT = 10;
+
+/**
+ * PayoutManager - журнал выплат вознаграждений за заявки гаража
+ * Отметка выплаты казначеем, баланс участника и отчет /payouts
+ */
+class PayoutManager {
+    /**
+     * @param {TelegramBot} bot - Экземпляр бота
+     * @param {RoleManager} roleManager - Менеджер ролей
+     * @param {OutboundQueue} outbound - Очередь уведомлений (по умолчанию сообщения отправляет бот)
+     * @param {NotificationService} notifications - Уведомления с учетом настроек пользователя
+     */
+    constructor(bot, roleManager, outbound = null, notifications = null) {
+        this.bot = bot;
+        this.outbound = outbound || bot;
+        this.notifications = notifications || NotificationService.direct(this.outbound);
+        this.roleManager = roleManager;
+        this.requestProcessor = new RequestProcessor();
+    }
+
+    /**
+     * Зарегистрировать маршруты выплат
+     * @param {Router} router - Маршрутизатор бота
+     */
+    registerRoutes(router) {
+        router
+            .callback('garage_payout_paid_:payoutId(int)', (ctx) => this.handleMarkPaid(ctx.callbackQuery, ctx.params.payoutId), {
+                guard: 'canManagePayouts',
+                deniedMessage: 'У вас нет прав для отметки выплат'
+            })
+            .command('payouts', (ctx) => this.handlePayoutsCommand(ctx.msg));
+    }
+
+    /**
+     * Отметить выплату как произведенную
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} payoutId - ID выплаты
+     */
+    async handleMarkPaid(callbackQuery, payoutId) {
+        const { message } = callbackQuery;
+
+        try {
+            const admin = await User.findByTelegramId(callbackQuery.from.id);
+            if (!admin) {
+                throw new Error('Администратор не найден в базе данных');
+            }
+
+            const result = await this.requestProcessor.processPayout(payoutId, admin.id);
+            const paidLine = `💸 Выплачено: ${new Date().toLocaleString('ru-RU')} (${admin.getDisplayName()})`;
+
+            // Сообщение о заявке дополняем строкой о выплате, отчет строим заново
+            if (message.caption) {
+                await this.bot.editMessageCaption(`${message.caption}\n${paidLine}`, {
+                    chat_id: message.chat.id,
+                    message_id: message.message_id,
+                    reply_markup: { inline_keyboard: [] }
+                });
+            } else {
+                const report = await this.buildReport();
+                await this.bot.editMessageText(report.text, {
+                    chat_id: message.chat.id,
+                    message_id: message.message_id,
+                    reply_markup: report.keyboard
+                });
+            }
+
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: '💸 Выплата отмечена' });
+
+            if (result.user) {
+                await this.notifications.notify(result.user.telegram_id, 'payouts',
+                    '💸 ВЫПЛАТА ПРОИЗВЕДЕНА\n\n' +
+                    `📋 Заявка: #${result.payout.request_id}\n` +
+                    `💰 Сумма: ${result.payout.getFormattedAmount()}`
+                ).catch(error => {
+                    console.error('❌ Ошибка уведомления пользователя о выплате:', error.message);
+                });
+            }
+
+        } catch (error) {
+            console.error(`❌ Ошибка отметки выплаты #${payoutId}:`, error);
+            await this.bot.answerCallbackQuery(callbackQuery.id, {
+                text: `Ошибка: ${error.message}`,
+                show_alert: true
+            });
+        }
+    }
+
+    /**
+     * Обработать команду /payouts
+     * Казначею - отчет по невыплаченным вознаграждениям, участнику - его баланс
+     * @param {Object} msg - Сообщение от Telegram
+     */
+    async handlePayoutsCommand(msg) {
+        const chatId = msg.chat.id;
+
+        try {
+            if (this.roleManager.hasPermission(msg.from.id, 'canManagePayouts')) {
+                const report = await this.buildReport();
+                await this.bot.sendMessage(chatId, report.text, { reply_markup: report.keyboard });
+                return;
+            }
+
+            const user = await User.findByTelegramId(msg.from.id);
+            if (!user || !user.isAuthorized()) {
+                await this.bot.sendMessage(chatId, '❌ Команда доступна только участникам семьи.');
+                return;
+            }
+
+            await this.bot.sendMessage(chatId, await this.buildBalanceText(user));
+
+        } catch (error) {
+            console.error('❌ Ошибка обработки команды /payouts:', error);
+            await this.bot.sendMessage(chatId, '❌ Ошибка загрузки выплат.');
+        }
+    }
+
+    /**
+     * Сформировать баланс участника
+     * @param {User} user - Пользователь
+     * @returns {Promise<string>}
+     */
+    async buildBalanceText(user) {
+        const balance = await Payout.getBalance(user.id);
+
+        return '💰 ВАШИ ВЫПЛАТЫ\n\n' +
+            `⏳ Ожидает выплаты: ${Payout.formatAmount(balance.outstanding)} (${balance.outstandingCount})\n` +
+            `✅ Выплачено: ${Payout.formatAmount(balance.paid)} (${balance.paidCount})`;
+    }
+
+    /**
+     * Сформировать отчет по выплатам для казначея
+     * @returns {Promise<Object>} { text, keyboard }
+     */
+    async buildReport() {
+        const [totals, byUser, outstanding] = await Promise.all([
+            Payout.getTotals(),
+            Payout.getOutstandingByUser(),
+            Payout.findOutstanding(REPORT_BUTTONS_LIMIT)
+        ]);
+
+        let text = '💰 ОТЧЕТ ПО ВЫПЛАТАМ\n\n' +
+            `⏳ К выплате: ${Payout.formatAmount(totals.outstanding)} (${totals.outstandingCount})\n` +
+            `✅ Выплачено всего: ${Payout.formatAmount(totals.paid)} (${totals.paidCount})\n`;
+
+        if (byUser.length === 0) {
+            text += '\n✅ Все вознаграждения выплачены';
+        } else {
+            text += '\n👥 Задолженность по участникам:\n';
+            for (const row of byUser) {
+                const user = await User.findById(row.user_id);
+                const name = user ? user.getDisplayName() : `ID ${row.telegram_id}`;
+                text += `• ${name}: ${Payout.formatAmount(row.amount)} (${row.count})\n`;
+            }
+        }
+
+        const keyboard = {
+            inline_keyboard: outstanding.map(payout => ([{
+                text: `💸 #${payout.request_id} - ${payout.getFormattedAmount()}`,
+                callback_data: `garage_payout_paid_${payout.id}`
+            }]))
+        };
+
+        return { text: text.trim(), keyboard };
+    }
+}
+
+module.exports = PayoutManager;
\ No newline at end of file
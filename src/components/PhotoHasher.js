@@ -0,0 +1,490 @@
+const crypto = require('crypto');
+
+// Размер difference hash: 9x8 точек дают 64 бита сравнений соседей
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+const MARKERS = {
+    SOI: 0xD8,
+    EOI: 0xD9,
+    SOF_BASELINE: 0xC0,
+    SOF_EXTENDED: 0xC1,
+    SOF_PROGRESSIVE: 0xC2,
+    DHT: 0xC4,
+    SOS: 0xDA,
+    DRI: 0xDD
+};
+
+// Прочие SOF (lossless, арифметическое кодирование) не поддерживаются
+const UNSUPPORTED_FRAMES = [0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF];
+
+/**
+ * PhotoHasher - отпечатки фотографий для поиска повторных отправок
+ * Точный отпечаток - SHA-256 файла. Перцептивный - difference hash по
+ * уменьшенной яркости JPEG: берутся только DC-коэффициенты блоков 8x8,
+ * поэтому полное декодирование изображения не требуется.
+ * Перцептивный хэш устойчив к пересжатию и изменению размера
+ */
+class PhotoHasher {
+    /**
+     * Точный отпечаток содержимого файла
+     * @param {Buffer} buffer - Содержимое файла
+     * @returns {string} SHA-256 в hex
+     */
+    static sha256(buffer) {
+        return crypto.createHash('sha256').update(buffer).digest('hex');
+    }
+
+    /**
+     * Перцептивный хэш JPEG
+     * @param {Buffer} buffer - Содержимое файла
+     * @returns {string|null} 64 бита в hex или null, если формат не поддерживается
+     */
+    static perceptualHash(buffer) {
+        const image = PhotoHasher.decodeLuma(buffer);
+        return image ? PhotoHasher.differenceHash(image) : null;
+    }
+
+    /**
+     * Число отличающихся битов двух хэшей
+     * @param {string} a - Хэш в hex
+     * @param {string} b - Хэш в hex
+     * @returns {number}
+     */
+    static hammingDistance(a, b) {
+        if (a.length !== b.length) {
+            throw new Error('Ошибка сравнения хэшей: разная длина');
+        }
+
+        let distance = 0;
+        for (let i = 0; i < a.length; i++) {
+            let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+            while (diff) {
+                distance += diff & 1;
+                diff >>= 1;
+            }
+        }
+        return distance;
+    }
+
+    /**
+     * Difference hash: каждая точка сравнивается с соседом справа
+     * @param {Object} image - { width, height, pixels }
+     * @returns {string} 64 бита в hex
+     */
+    static differenceHash(image) {
+        const small = PhotoHasher.resize(image, HASH_WIDTH, HASH_HEIGHT);
+
+        let hash = '';
+        let nibble = 0;
+        let bits = 0;
+        for (let y = 0; y < HASH_HEIGHT; y++) {
+            for (let x = 0; x < HASH_WIDTH - 1; x++) {
+                const index = y * HASH_WIDTH + x;
+                nibble = (nibble << 1) | (small[index] < small[index + 1] ? 1 : 0);
+                bits++;
+                if (bits === 4) {
+                    hash += nibble.toString(16);
+                    nibble = 0;
+                    bits = 0;
+                }
+            }
+        }
+        return hash;
+    }
+
+    /**
+     * Уменьшить изображение усреднением областей
+     * @param {Object} image - { width, height, pixels }
+     * @param {number} width - Новая ширина
+     * @param {number} height - Новая высота
+     * @returns {Array<number>} Точки построчно
+     */
+    static resize(image, width, height) {
+        const result = [];
+        for (let y = 0; y < height; y++) {
+            const top = Math.floor(y * image.height / height);
+            const bottom = Math.max(Math.floor((y + 1) * image.height / height), top + 1);
+            for (let x = 0; x < width; x++) {
+                const left = Math.floor(x * image.width / width);
+                const right = Math.max(Math.floor((x + 1) * image.width / width), left + 1);
+
+                let sum = 0;
+                for (let sy = top; sy < bottom; sy++) {
+                    for (let sx = left; sx < right; sx++) {
+                        sum += image.pixels[sy * image.width + sx];
+                    }
+                }
+                result.push(sum / ((bottom - top) * (right - left)));
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Получить яркость JPEG в масштабе 1:8 (по DC-коэффициенту каждого блока)
+     * Поддерживаются baseline и progressive JPEG с кодированием Хаффмана
+     * @param {Buffer} buffer - Содержимое файла
+     * @returns {Object|null} { width, height, pixels } или null для других форматов
+     */
+    static decodeLuma(buffer) {
+        if (buffer.length < 4 || buffer[0] !== 0xFF || buffer[1] !== MARKERS.SOI) {
+            return null;
+        }
+
+        const huffmanTables = {};
+        let frame = null;
+        let restartInterval = 0;
+        let pos = 2;
+
+        while (pos + 4 <= buffer.length) {
+            if (buffer[pos] !== 0xFF) {
+                throw new Error('Ошибка разбора JPEG: ожидался маркер');
+            }
+
+            const marker = buffer[pos + 1];
+            if (marker === 0xFF) {
+                pos++;
+                continue;
+            }
+            if (marker === MARKERS.EOI) {
+                break;
+            }
+
+            const length = buffer.readUInt16BE(pos + 2);
+            const segment = buffer.subarray(pos + 4, pos + 2 + length);
+            pos += 2 + length;
+
+            if (UNSUPPORTED_FRAMES.includes(marker)) {
+                return null;
+            }
+
+            if (marker === MARKERS.SOF_BASELINE || marker === MARKERS.SOF_EXTENDED || marker === MARKERS.SOF_PROGRESSIVE) {
+                frame = PhotoHasher.parseFrame(segment, marker === MARKERS.SOF_PROGRESSIVE);
+            } else if (marker === MARKERS.DHT) {
+                PhotoHasher.parseHuffmanTables(segment, huffmanTables);
+            } else if (marker === MARKERS.DRI) {
+                restartInterval = segment.readUInt16BE(0);
+            } else if (marker === MARKERS.SOS) {
+                if (!frame) {
+                    throw new Error('Ошибка разбора JPEG: скан до заголовка кадра');
+                }
+
+                const scan = PhotoHasher.parseScan(segment, frame);
+                const luma = frame.components[0];
+                const decodable = scan.components.includes(luma) &&
+                    (!frame.progressive || (scan.spectralStart === 0 && scan.approximationHigh === 0));
+
+                if (decodable) {
+                    PhotoHasher.decodeScan(buffer, pos, frame, scan, huffmanTables, restartInterval);
+                    return {
+                        width: luma.blocksPerLine,
+                        height: luma.blocksPerColumn,
+                        pixels: PhotoHasher.cropBlocks(luma)
+                    };
+                }
+
+                pos = PhotoHasher.skipEntropyData(buffer, pos);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Разобрать заголовок кадра (SOF)
+     * @param {Buffer} segment - Данные сегмента
+     * @param {boolean} progressive - Прогрессивный JPEG
+     * @returns {Object} Кадр с компонентами
+     */
+    static parseFrame(segment, progressive) {
+        const height = segment.readUInt16BE(1);
+        const width = segment.readUInt16BE(3);
+        const components = [];
+
+        for (let i = 0; i < segment[5]; i++) {
+            const offset = 6 + i * 3;
+            components.push({
+                id: segment[offset],
+                h: segment[offset + 1] >> 4,
+                v: segment[offset + 1] & 15
+            });
+        }
+
+        if (width === 0 || height === 0 || components.length === 0) {
+            throw new Error('Ошибка разбора JPEG: неверный размер кадра');
+        }
+
+        const maxH = Math.max(...components.map(component => component.h));
+        const maxV = Math.max(...components.map(component => component.v));
+        const mcusPerLine = Math.ceil(width / (8 * maxH));
+        const mcusPerColumn = Math.ceil(height / (8 * maxV));
+
+        for (const component of components) {
+            component.blocksPerLine = Math.ceil(Math.ceil(width * component.h / maxH) / 8);
+            component.blocksPerColumn = Math.ceil(Math.ceil(height * component.v / maxV) / 8);
+            // С запасом до целого числа MCU: чередующийся скан заполняет и краевые блоки
+            component.stride = mcusPerLine * component.h;
+            component.blocks = new Float64Array(component.stride * mcusPerColumn * component.v);
+        }
+
+        return { progressive, width, height, mcusPerLine, mcusPerColumn, components };
+    }
+
+    /**
+     * Разобрать таблицы Хаффмана (DHT)
+     * @param {Buffer} segment - Данные сегмента
+     * @param {Object} tables - Таблицы по ключу `${класс}${номер}`
+     */
+    static parseHuffmanTables(segment, tables) {
+        let offset = 0;
+        while (offset < segment.length) {
+            const key = `${segment[offset] >> 4}${segment[offset] & 15}`;
+            const counts = segment.subarray(offset + 1, offset + 17);
+            const total = counts.reduce((sum, count) => sum + count, 0);
+            const symbols = segment.subarray(offset + 17, offset + 17 + total);
+
+            // Канонические коды: для каждой длины - первый код и индекс первого символа
+            const minCode = [];
+            const maxCode = [];
+            const firstSymbol = [];
+            let code = 0;
+            let index = 0;
+            for (let length = 1; length <= 16; length++) {
+                const count = counts[length - 1];
+                minCode[length] = code;
+                firstSymbol[length] = index;
+                maxCode[length] = count > 0 ? code + count - 1 : -1;
+                code = (code + count) << 1;
+                index += count;
+            }
+
+            tables[key] = { minCode, maxCode, firstSymbol, symbols };
+            offset += 17 + total;
+        }
+    }
+
+    /**
+     * Разобрать заголовок скана (SOS)
+     * @param {Buffer} segment - Данные сегмента
+     * @param {Object} frame - Кадр
+     * @returns {Object} Скан
+     */
+    static parseScan(segment, frame) {
+        const count = segment[0];
+        const components = [];
+        const tables = [];
+
+        for (let i = 0; i < count; i++) {
+            const id = segment[1 + i * 2];
+            const component = frame.components.find(item => item.id === id);
+            if (!component) {
+                throw new Error(`Ошибка разбора JPEG: неизвестный компонент ${id}`);
+            }
+            components.push(component);
+            tables.push({ dc: `0${segment[2 + i * 2] >> 4}`, ac: `1${segment[2 + i * 2] & 15}` });
+        }
+
+        const offset = 1 + count * 2;
+        return {
+            components,
+            tables,
+            spectralStart: segment[offset],
+            spectralEnd: segment[offset + 1],
+            approximationHigh: segment[offset + 2] >> 4
+        };
+    }
+
+    /**
+     * Декодировать DC-коэффициенты скана; AC-коэффициенты baseline пропускаются
+     * @param {Buffer} buffer - Содержимое файла
+     * @param {number} start - Начало данных скана
+     * @param {Object} frame - Кадр
+     * @param {Object} scan - Скан
+     * @param {Object} huffmanTables - Таблицы Хаффмана
+     * @param {number} restartInterval - Интервал маркеров RST (в MCU)
+     */
+    static decodeScan(buffer, start, frame, scan, huffmanTables, restartInterval) {
+        const reader = new BitReader(buffer, start);
+        const tables = scan.tables.map(({ dc, ac }) => {
+            if (!huffmanTables[dc] || (!frame.progressive && !huffmanTables[ac])) {
+                throw new Error('Ошибка разбора JPEG: отсутствует таблица Хаффмана');
+            }
+            return { dc: huffmanTables[dc], ac: huffmanTables[ac] };
+        });
+        const predictors = scan.components.map(() => 0);
+        const single = scan.components.length === 1;
+
+        const decodeBlock = (componentIndex, row, col) => {
+            const component = scan.components[componentIndex];
+            const { dc, ac } = tables[componentIndex];
+
+            const size = reader.decode(dc);
+            predictors[componentIndex] += size === 0 ? 0 : reader.receiveExtend(size);
+            component.blocks[row * component.stride + col] = predictors[componentIndex];
+
+            if (!frame.progressive) {
+                for (let k = 1; k < 64;) {
+                    const symbol = reader.decode(ac);
+                    const skip = symbol >> 4;
+                    const bits = symbol & 15;
+                    if (bits === 0) {
+                        if (skip !== 15) {
+                            break;
+                        }
+                        k += 16;
+                    } else {
+                        reader.receive(bits);
+                        k += skip + 1;
+                    }
+                }
+            }
+        };
+
+        // Нечередующийся скан идет по блокам компонента, чередующийся - по MCU
+        const totalMcus = single
+            ? scan.components[0].blocksPerLine * scan.components[0].blocksPerColumn
+            : frame.mcusPerLine * frame.mcusPerColumn;
+
+        for (let mcu = 0; mcu < totalMcus; mcu++) {
+            if (restartInterval > 0 && mcu > 0 && mcu % restartInterval === 0) {
+                reader.restart();
+                predictors.fill(0);
+            }
+
+            if (single) {
+                const perLine = scan.components[0].blocksPerLine;
+                decodeBlock(0, Math.floor(mcu / perLine), mcu % perLine);
+                continue;
+            }
+
+            const mcuRow = Math.floor(mcu / frame.mcusPerLine);
+            const mcuCol = mcu % frame.mcusPerLine;
+            scan.components.forEach((component, index) => {
+                for (let v = 0; v < component.v; v++) {
+                    for (let h = 0; h < component.h; h++) {
+                        decodeBlock(index, mcuRow * component.v + v, mcuCol * component.h + h);
+                    }
+                }
+            });
+        }
+    }
+
+    /**
+     * Вырезать видимую часть блоков компонента
+     * @param {Object} component - Компонент кадра
+     * @returns {Array<number>} DC-значения построчно
+     */
+    static cropBlocks(component) {
+        const pixels = [];
+        for (let row = 0; row < component.blocksPerColumn; row++) {
+            for (let col = 0; col < component.blocksPerLine; col++) {
+                pixels.push(component.blocks[row * component.stride + col]);
+            }
+        }
+        return pixels;
+    }
+
+    /**
+     * Пропустить энтропийно-кодированные данные до следующего маркера
+     * @param {Buffer} buffer - Содержимое файла
+     * @param {number} pos - Начало данных скана
+     * @returns {number} Позиция маркера
+     */
+    static skipEntropyData(buffer, pos) {
+        while (pos < buffer.length - 1) {
+            // 0xFF00 - экранированный байт, 0xFFD0-0xFFD7 - маркеры RST внутри скана
+            if (buffer[pos] === 0xFF && buffer[pos + 1] !== 0 && (buffer[pos + 1] < 0xD0 || buffer[pos + 1] > 0xD7)) {
+                return pos;
+            }
+            pos++;
+        }
+        return buffer.length;
+    }
+}
+
+/**
+ * Чтение битов энтропийно-кодированных данных JPEG
+ */
+class BitReader {
+    constructor(buffer, pos) {
+        this.buffer = buffer;
+        this.pos = pos;
+        this.byte = 0;
+        this.bitsLeft = 0;
+    }
+
+    /**
+     * Прочитать один бит; после маркера возвращаются нули
+     * @returns {number}
+     */
+    readBit() {
+        if (this.bitsLeft === 0) {
+            this.byte = 0;
+            if (this.pos < this.buffer.length) {
+                const value = this.buffer[this.pos];
+                if (value === 0xFF && this.buffer[this.pos + 1] !== 0) {
+                    // Маркер: данные скана закончились
+                } else {
+                    this.byte = value;
+                    this.pos += value === 0xFF ? 2 : 1;
+                }
+            }
+            this.bitsLeft = 8;
+        }
+
+        this.bitsLeft--;
+        return (this.byte >> this.bitsLeft) & 1;
+    }
+
+    /**
+     * Прочитать беззнаковое число из нескольких битов
+     * @param {number} count - Число битов
+     * @returns {number}
+     */
+    receive(count) {
+        let value = 0;
+        for (let i = 0; i < count; i++) {
+            value = (value << 1) | this.readBit();
+        }
+        return value;
+    }
+
+    /**
+     * Прочитать число со знаком в представлении JPEG
+     * @param {number} size - Число битов
+     * @returns {number}
+     */
+    receiveExtend(size) {
+        const value = this.receive(size);
+        return value < (1 << (size - 1)) ? value - (1 << size) + 1 : value;
+    }
+
+    /**
+     * Декодировать символ по таблице Хаффмана
+     * @param {Object} table - Таблица Хаффмана
+     * @returns {number}
+     */
+    decode(table) {
+        let code = 0;
+        for (let length = 1; length <= 16; length++) {
+            code = (code << 1) | this.readBit();
+            if (code <= table.maxCode[length]) {
+                return table.symbols[table.firstSymbol[length] + code - table.minCode[length]];
+            }
+        }
+        throw new Error('Ошибка разбора JPEG: неверный код Хаффмана');
+    }
+
+    /**
+     * Перейти к данным после маркера RST
+     */
+    restart() {
+        this.bitsLeft = 0;
+        if (this.buffer[this.pos] === 0xFF && this.buffer[this.pos + 1] >= 0xD0 && this.buffer[this.pos + 1] <= 0xD7) {
+            this.pos += 2;
+        }
+    }
+}
+
+module.exports = PhotoHasher;
\ No newline at end of file
@@ -0,0 +1,55 @@
+const GarageRequest = require('../database/models/garageRequest');
+const AuthRequest = require('../database/models/authRequest');
+const { photoStorage } = require('../storage/photoStorage');
+const storageConfig = require('../../config/photoStorage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * PhotoRetentionService - срок хранения фотографий заявок
+ * Фото нерассмотренных заявок хранятся всегда, рассмотренных - заданное число дней.
+ * Все остальные файлы хранилища (просроченные, от удаленных заявок, брошенные загрузки)
+ * удаляются, кроме совсем свежих: их заявка могла еще не сохраниться
+ */
+class PhotoRetentionService {
+    /**
+     * @param {PhotoStorage} storage - Хранилище фотографий
+     * @param {Object} options - Настройки (retentionDays, orphanGraceMs)
+     */
+    constructor(storage = photoStorage, options = storageConfig) {
+        this.storage = storage;
+        this.retentionDays = options.retentionDays;
+        this.orphanGraceMs = options.orphanGraceMs;
+    }
+
+    /**
+     * Получить фото, которые еще нужно хранить
+     * @param {Date} now - Текущий момент
+     * @returns {Promise<Set<string>>}
+     */
+    async getPhotosToKeep(now = new Date()) {
+        const since = (days) => new Date(now.getTime() - days * DAY_MS).toISOString();
+
+        const [garagePhotos, authPhotos] = await Promise.all([
+            GarageRequest.findPhotoPathsInUse(since(this.retentionDays.garage_requests)),
+            AuthRequest.findPhotoPathsInUse(since(this.retentionDays.auth_requests))
+        ]);
+
+        return new Set([...garagePhotos, ...authPhotos]);
+    }
+
+    /**
+     * Удалить фото с истекшим сроком хранения и файлы без заявок
+     * @param {Date} now - Текущий момент
+     * @returns {Promise<number>} Число удаленных файлов
+     */
+    async sweep(now = new Date()) {
+        const keep = await this.getPhotosToKeep(now);
+        const removed = await this.storage.sweep(keep, { now, graceMs: this.orphanGraceMs });
+
+        console.log(`🧹 Хранилище фото: удалено файлов ${removed}, сохранено ${keep.size}`);
+        return removed;
+    }
+}
+
+module.exports = PhotoRetentionService;
\ No newline at end of file
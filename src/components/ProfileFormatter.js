@@ -89,7 +89,7 @@ class ProfileFormatter {
     formatPersonalInformation(profileData) {
         const username = this.getUsername(profileData);
         const fullName = this.getFullName(profileData);
-        const language = this.getLanguageDisplay(profileData.language_code);
+        const language = this.getLanguageDisplay(profileData.locale || profileData.language_code);
         const memberSince = profileData.memberSince;
 
         return [
@@ -171,13 +171,30 @@ class ProfileFormatter {
      */
     formatUnauthorizedInfo(authRequest) {
         const requestStatus = this.formatAuthRequestStatus(authRequest);
-        
-        return [
+        const lines = [
             `${this.emojis.lock} <b>Статус авторизации</b>`,
             `${this.emojis.branch} Ограниченный доступ`,
-            `${this.emojis.branch} Подача заявки: ${requestStatus}`,
-            `${this.emojis.lastBranch} Необходима авторизация`
-        ].join('\n');
+            `${this.emojis.branch} Подача заявки: ${requestStatus}`
+        ];
+        
+        if (authRequest.hasRequest && authRequest.status === 'rejected' && authRequest.rejectionReason) {
+            lines.push(`${this.emojis.branch} Причина отказа: ${this.escapeHtml(authRequest.rejectionReason)}`);
+        }
+        
+        lines.push(`${this.emojis.lastBranch} Необходима авторизация`);
+        return lines.join('\n');
+    }
+
+    /**
+     * Escape text for HTML parse mode
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
     }
 
     /**
@@ -8,9 +8,10 @@ const ImageSelector = require('./ImageSelector');
 const ProfileFormatter = require('./ProfileFormatter');
 
 class ProfileHandler {
-    constructor(adminId) {
+    constructor(adminId, roleManager = null) {
         this.adminId = adminId;
-        this.userDataRetriever = new UserDataRetriever(adminId);
+        this.roleManager = roleManager;
+        this.userDataRetriever = new UserDataRetriever(adminId, roleManager);
         this.imageSelector = new ImageSelector();
         this.profileFormatter = new ProfileFormatter();
         
@@ -18,6 +19,33 @@ class ProfileHandler {
         this.validateComponents();
     }
 
+    /**
+     * Check whether the user belongs to the family staff
+     * @param {number} telegramId - Telegram user ID
+     * @returns {boolean}
+     */
+    isAdmin(telegramId) {
+        if (this.roleManager) {
+            return this.roleManager.isStaff(telegramId);
+        }
+
+        return telegramId === this.adminId;
+    }
+
+    /**
+     * Register profile command and callback routes
+     * @param {Router} router - Bot router
+     */
+    registerRoutes(router) {
+        router.command('profile', (ctx) => this.handleProfileCommand(ctx.msg, ctx.bot), {
+            errorMessage: 'Произошла ошибка при загрузке профиля. Попробуйте позже.'
+        });
+
+        ['refresh_profile', 'edit_profile', 'my_stats'].forEach(callback => {
+            router.callback(callback, (ctx) => this.handleProfileCallback(ctx.callbackQuery, ctx.bot));
+        });
+    }
+
     /**
      * Validate all components are properly initialized
      */
@@ -156,7 +184,7 @@ class ProfileHandler {
                     // Create minimal profile data
                     const minimalProfileData = {
                         ...basicUserData,
-                        statusInfo: this.userDataRetriever.getStatusInfo(basicUserData, telegramId === this.adminId),
+                        statusInfo: this.userDataRetriever.getStatusInfo(basicUserData, this.isAdmin(telegramId)),
                         memberSince: this.userDataRetriever.formatMemberSince(basicUserData.created_at),
                         lastActivity: 'Неизвестно'
                     };
@@ -210,7 +238,7 @@ class ProfileHandler {
                 statusEmoji: profileData.statusInfo.emoji,
                 level: profileData.statusInfo.level,
                 isAuthorized: profileData.authorized === 1,
-                isAdmin: telegramId === this.adminId
+                isAdmin: this.isAdmin(telegramId)
             };
         } catch (error) {
             console.error(`Error getting profile preview for user ${telegramId}:`, error);
@@ -291,13 +319,6 @@ class ProfileHandler {
                     });
                     return true;
 
-                case 'notifications':
-                    await bot.answerCallbackQuery(callbackQuery.id, {
-                        text: 'Настройки уведомлений в разработке',
-                        show_alert: true
-                    });
-                    return true;
-
                 default:
                     return false;
             }
@@ -329,8 +350,7 @@ class ProfileHandler {
                 overall: imageHealth.overall,
                 components: {
                     userDataRetriever: {
-                        status: 'healthy',
-                        adminId: this.adminId
+                        status: 'healthy'
                     },
                     imageSelector: imageHealth,
                     profileFormatter: {
@@ -0,0 +1,243 @@
+const { QUESTIONNAIRE_STEPS } = require('../../config/questionnaire');
+const { i18n } = require('../i18n');
+
+const STEP_TYPES = ['text', 'photo', 'choice', 'number'];
+
+// Ключи подсказок по умолчанию, если в шаге не задан текст ошибки
+const DEFAULT_ERRORS = {
+    text: 'questionnaire.errors.text',
+    photo: 'questionnaire.errors.photo',
+    choice: 'questionnaire.errors.choice',
+    number: 'questionnaire.errors.number'
+};
+
+// Без переводчика пользователя тексты берутся на языке по умолчанию
+const defaultTranslator = (key, params) => i18n.t(i18n.defaultLocale, key, params);
+
+const SKIP_CALLBACK = 'auth_skip';
+const CHOICE_CALLBACK_PREFIX = 'auth_choice_';
+
+/**
+ * Questionnaire - анкета для заявки на авторизацию
+ * Хранит порядок шагов из конфигурации, проверяет ответы
+ * и готовит их для сохранения и показа администратору.
+ * Вопросы и ошибки в шагах - ключи каталога сообщений, переводятся
+ * функцией t пользователя (i18n.translator)
+ */
+class Questionnaire {
+    /**
+     * @param {Array<Object>} steps - Шаги анкеты (см. config/questionnaire.js)
+     */
+    constructor(steps = QUESTIONNAIRE_STEPS) {
+        Questionnaire.validateSteps(steps);
+        this.steps = steps.map(step => ({
+            ...step,
+            regex: step.pattern ? new RegExp(step.pattern) : null
+        }));
+    }
+
+    /**
+     * Проверить корректность конфигурации анкеты
+     * @param {Array<Object>} steps - Шаги анкеты
+     */
+    static validateSteps(steps) {
+        if (!Array.isArray(steps) || steps.length === 0) {
+            throw new Error('Анкета должна содержать хотя бы один шаг');
+        }
+
+        const keys = new Set();
+        for (const step of steps) {
+            if (!step.key || keys.has(step.key)) {
+                throw new Error(`Ключ шага анкеты отсутствует или повторяется: ${step.key}`);
+            }
+            keys.add(step.key);
+
+            if (!STEP_TYPES.includes(step.type)) {
+                throw new Error(`Неизвестный тип шага анкеты ${step.key}: ${step.type}`);
+            }
+
+            if (step.type === 'choice' && (!Array.isArray(step.options) || step.options.length === 0)) {
+                throw new Error(`Шаг анкеты ${step.key} должен содержать варианты ответа`);
+            }
+        }
+
+        const nicknameStep = steps.find(step => step.requestField === 'nickname');
+        if (!nicknameStep || nicknameStep.optional) {
+            throw new Error('Анкета должна содержать обязательный шаг с requestField: nickname');
+        }
+    }
+
+    /**
+     * Количество шагов
+     * @returns {number}
+     */
+    get length() {
+        return this.steps.length;
+    }
+
+    /**
+     * Получить шаг по индексу
+     * @param {number} index - Индекс шага
+     * @returns {Object|null}
+     */
+    getStep(index) {
+        return this.steps[index] || null;
+    }
+
+    /**
+     * Является ли шаг последним
+     * @param {number} index - Индекс шага
+     * @returns {boolean}
+     */
+    isLastStep(index) {
+        return index >= this.steps.length - 1;
+    }
+
+    /**
+     * Сформировать вопрос для пользователя
+     * @param {number} index - Индекс шага
+     * @param {Function} t - Переводчик пользователя
+     * @returns {Object} { text, options }
+     */
+    buildPrompt(index, t = defaultTranslator) {
+        const step = this.getStep(index);
+        const keyboard = [];
+
+        if (step.type === 'choice') {
+            step.options.forEach((option, optionIndex) => {
+                keyboard.push([{ text: option, callback_data: `${CHOICE_CALLBACK_PREFIX}${optionIndex}` }]);
+            });
+        }
+
+        if (step.optional) {
+            keyboard.push([{ text: t('questionnaire.skip'), callback_data: SKIP_CALLBACK }]);
+        }
+
+        const progress = t('questionnaire.progress', { current: index + 1, total: this.steps.length });
+        const options = keyboard.length > 0 ? { reply_markup: { inline_keyboard: keyboard } } : {};
+
+        return { text: `${t(step.prompt)}\n\n${progress}`, options };
+    }
+
+    /**
+     * Проверить ответ пользователя, пришедший сообщением
+     * Для фото возвращается file_id - сохранение файла выполняет вызывающий код
+     * @param {number} index - Индекс шага
+     * @param {Object} msg - Сообщение Telegram
+     * @param {Function} t - Переводчик пользователя
+     * @returns {Object} { valid, value, fileId, error }
+     */
+    parseMessage(index, msg, t = defaultTranslator) {
+        const step = this.getStep(index);
+        const invalid = () => ({ valid: false, error: t(step.error || DEFAULT_ERRORS[step.type]) });
+
+        switch (step.type) {
+        case 'text': {
+            const text = msg.text ? msg.text.trim() : '';
+            if (!text || (step.regex && !step.regex.test(text))) {
+                return invalid();
+            }
+            return { valid: true, value: text };
+        }
+
+        case 'number': {
+            const text = msg.text ? msg.text.trim().replace(',', '.') : '';
+            const value = Number(text);
+            if (!text || !Number.isFinite(value) ||
+                (step.integer && !Number.isInteger(value)) ||
+                (step.min !== undefined && value < step.min) ||
+                (step.max !== undefined && value > step.max)) {
+                return invalid();
+            }
+            return { valid: true, value };
+        }
+
+        case 'photo':
+            if (!msg.photo || msg.photo.length === 0) {
+                return invalid();
+            }
+            return { valid: true, fileId: msg.photo[msg.photo.length - 1].file_id };
+
+        default:
+            // Вариант выбирается только кнопкой
+            return invalid();
+        }
+    }
+
+    /**
+     * Проверить выбор варианта кнопкой
+     * @param {number} index - Индекс шага
+     * @param {number} optionIndex - Индекс варианта
+     * @param {Function} t - Переводчик пользователя
+     * @returns {Object} { valid, value, error }
+     */
+    parseChoice(index, optionIndex, t = defaultTranslator) {
+        const step = this.getStep(index);
+        if (step.type !== 'choice' || !step.options[optionIndex]) {
+            return { valid: false, error: t(step.error || DEFAULT_ERRORS.choice) };
+        }
+        return { valid: true, value: step.options[optionIndex] };
+    }
+
+    /**
+     * Можно ли пропустить шаг
+     * @param {number} index - Индекс шага
+     * @returns {boolean}
+     */
+    canSkip(index) {
+        const step = this.getStep(index);
+        return Boolean(step && step.optional);
+    }
+
+    /**
+     * Подготовить ответы для сохранения в auth_request_answers
+     * @param {Object} answers - Ответы { ключ шага: значение }
+     * @returns {Array<Object>}
+     */
+    buildAnswerRecords(answers) {
+        return this.steps
+            .filter(step => answers[step.key] !== undefined && answers[step.key] !== null)
+            .map(step => ({
+                step_key: step.key,
+                step_type: step.type,
+                label: step.label || step.key,
+                value: answers[step.key]
+            }));
+    }
+
+    /**
+     * Получить значения полей auth_requests из ответов
+     * @param {Object} answers - Ответы { ключ шага: значение }
+     * @returns {Object} { nickname, photo_path }
+     */
+    getRequestFields(answers) {
+        const fields = { nickname: null, photo_path: '' };
+        for (const step of this.steps) {
+            if (step.requestField && answers[step.key] !== undefined && answers[step.key] !== null) {
+                fields[step.requestField] = answers[step.key];
+            }
+        }
+        return fields;
+    }
+
+    /**
+     * Сформировать текст ответов для администратора (фото отправляются отдельно)
+     * @param {Array<Object>} records - Ответы из auth_request_answers
+     * @returns {string}
+     */
+    static formatAnswers(records) {
+        return records
+            .filter(record => record.step_type !== 'photo')
+            .map(record => {
+                const value = String(record.value);
+                const shortValue = value.length > 200 ? `${value.slice(0, 197)}...` : value;
+                return `▫️ ${record.label || record.step_key}: ${shortValue}`;
+            })
+            .join('\n');
+    }
+}
+
+Questionnaire.SKIP_CALLBACK = SKIP_CALLBACK;
+Questionnaire.CHOICE_CALLBACK_PREFIX = CHOICE_CALLBACK_PREFIX;
+
+module.exports = Questionnaire;
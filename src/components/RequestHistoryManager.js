@@ -0,0 +1,298 @@
+const GarageRequest = require('../database/models/garageRequest');
+const Garage = require('../database/models/garage');
+const Payout = require('../database/models/payout');
+const User = require('../database/models/user');
+const RequestProcessor = require('./RequestProcessor');
+
+const PAGE_SIZE = 5;
+
+// Фильтры списка заявок: ключ callback_data -> статусы заявки
+const FILTERS = {
+    all: { label: 'Все', statuses: null },
+    pending: { label: '⏳ На проверке', statuses: ['Не выплачено', 'Производится оплата'] },
+    approved: { label: '✅ Принятые', statuses: ['Принято'] },
+    rejected: { label: '❌ Отклоненные', statuses: ['Отклонено'] }
+};
+
+const PAYOUT_STATES = {
+    pending: '⏳ Ожидает выплаты',
+    paid: '💸 Выплачено',
+    cancelled: '🚫 Выплата отменена'
+};
+
+/**
+ * RequestHistoryManager - история заявок гаража для участников
+ * Команда /myrequests: список своих заявок с фильтром и пагинацией,
+ * карточка заявки с фото и состоянием выплаты, отмена нерассмотренной заявки
+ */
+class RequestHistoryManager {
+    /**
+     * @param {TelegramBot} bot - Экземпляр бота
+     */
+    constructor(bot) {
+        this.bot = bot;
+        this.requestProcessor = new RequestProcessor();
+    }
+
+    /**
+     * Зарегистрировать маршруты истории заявок
+     * @param {Router} router - Маршрутизатор бота
+     */
+    registerRoutes(router) {
+        router
+            .command('myrequests', (ctx) => this.handleMyRequestsCommand(ctx.msg))
+            .callback('myreq_list_:filter(string)_:page(int)', (ctx) => this.handleListCallback(ctx.callbackQuery, ctx.params.filter, ctx.params.page))
+            .callback('myreq_view_:requestId(int)', (ctx) => this.handleViewCallback(ctx.callbackQuery, ctx.params.requestId))
+            .callback('myreq_photo_:requestId(int)', (ctx) => this.handlePhotoCallback(ctx.callbackQuery, ctx.params.requestId))
+            .callback('myreq_cancel_:requestId(int)', (ctx) => this.handleCancelCallback(ctx.callbackQuery, ctx.params.requestId))
+            .callback('myreq_cancel_confirm_:requestId(int)', (ctx) => this.handleCancelConfirm(ctx.callbackQuery, ctx.params.requestId));
+    }
+
+    /**
+     * Обработать команду /myrequests
+     * @param {Object} msg - Сообщение от Telegram
+     */
+    async handleMyRequestsCommand(msg) {
+        const user = await User.findByTelegramId(msg.from.id);
+        if (!user || !user.isAuthorized()) {
+            await this.bot.sendMessage(msg.chat.id, '❌ Команда доступна только участникам семьи.');
+            return;
+        }
+
+        const list = await this.buildList(msg.from.id);
+        await this.bot.sendMessage(msg.chat.id, list.text, { reply_markup: { inline_keyboard: list.keyboard } });
+    }
+
+    /**
+     * Показать страницу списка заявок
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {string} filter - Ключ фильтра
+     * @param {number} page - Номер страницы
+     */
+    async handleListCallback(callbackQuery, filter, page) {
+        const list = await this.buildList(callbackQuery.from.id, filter, page);
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.editMessage(callbackQuery.message, list);
+    }
+
+    /**
+     * Показать карточку заявки
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} requestId - ID заявки
+     */
+    async handleViewCallback(callbackQuery, requestId) {
+        const request = await this.findOwnRequest(callbackQuery, requestId);
+        if (!request) {
+            return;
+        }
+
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.editMessage(callbackQuery.message, await this.buildDetail(request));
+    }
+
+    /**
+     * Отправить фото заявки
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} requestId - ID заявки
+     */
+    async handlePhotoCallback(callbackQuery, requestId) {
+        const request = await this.findOwnRequest(callbackQuery, requestId);
+        if (!request) {
+            return;
+        }
+
+        const photoPath = await request.getPhotoPath();
+        if (!photoPath) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: '🖼 Фото заявки не найдено', show_alert: true });
+            return;
+        }
+
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.bot.sendPhoto(callbackQuery.message.chat.id, photoPath, {
+            caption: `📋 Заявка #${request.id}`
+        });
+    }
+
+    /**
+     * Запросить подтверждение отмены заявки
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} requestId - ID заявки
+     */
+    async handleCancelCallback(callbackQuery, requestId) {
+        const request = await this.findOwnRequest(callbackQuery, requestId);
+        if (!request) {
+            return;
+        }
+
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.editMessage(callbackQuery.message, {
+            text: `⚠️ Отменить заявку #${request.id}?\n\nЗаявку нельзя будет восстановить, вознаграждение за нее не начислится.`,
+            keyboard: [[
+                { text: '✅ Да, отменить', callback_data: `myreq_cancel_confirm_${request.id}` },
+                { text: '⬅️ Нет', callback_data: `myreq_view_${request.id}` }
+            ]]
+        });
+    }
+
+    /**
+     * Отменить заявку после подтверждения
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} requestId - ID заявки
+     */
+    async handleCancelConfirm(callbackQuery, requestId) {
+        const request = await this.findOwnRequest(callbackQuery, requestId);
+        if (!request) {
+            return;
+        }
+
+        try {
+            await request.cancel();
+            console.log(`🚫 Заявка #${request.id} отменена участником ${callbackQuery.from.id}`);
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: '🚫 Заявка отменена' });
+        } catch (error) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, {
+                text: '❌ Заявку уже рассмотрели, отменить ее нельзя',
+                show_alert: true
+            });
+        }
+
+        await this.editMessage(callbackQuery.message, await this.buildDetail(await GarageRequest.findById(requestId)));
+    }
+
+    /**
+     * Найти заявку текущего пользователя, иначе ответить об ошибке
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} requestId - ID заявки
+     * @returns {Promise<GarageRequest|null>}
+     */
+    async findOwnRequest(callbackQuery, requestId) {
+        const request = await GarageRequest.findById(requestId);
+        if (!request || String(request.telegram_id) !== String(callbackQuery.from.id)) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: '❌ Заявка не найдена', show_alert: true });
+            return null;
+        }
+        return request;
+    }
+
+    /**
+     * Сформировать страницу списка заявок пользователя
+     * @param {number} telegramId - Telegram ID пользователя
+     * @param {string} filter - Ключ фильтра
+     * @param {number} page - Номер страницы
+     * @returns {Promise<Object>} { text, keyboard }
+     */
+    async buildList(telegramId, filter = 'all', page = 0) {
+        const filterKey = FILTERS[filter] ? filter : 'all';
+        const { requests, pagination } = await GarageRequest.findByTelegramIdPaginated(telegramId, {
+            statuses: FILTERS[filterKey].statuses,
+            page,
+            pageSize: PAGE_SIZE
+        });
+        const carNames = await this.getCarNames();
+
+        let text = `📋 МОИ ЗАЯВКИ (${FILTERS[filterKey].label.toLowerCase()})\n\n`;
+        if (requests.length === 0) {
+            text += filterKey === 'all'
+                ? 'У вас пока нет заявок. Обслужите автомобиль через /takecar.'
+                : 'Заявок с таким статусом нет.';
+        } else {
+            text += requests.map(request =>
+                `#${request.id} ${carNames.get(request.car_id) || `Авто #${request.car_id}`} - ` +
+                `${request.getFormattedStatus()} (${request.getFormattedSubmissionDate()})`
+            ).join('\n');
+            if (pagination.totalPages > 1) {
+                text += `\n\nСтраница ${pagination.currentPage + 1} из ${pagination.totalPages}`;
+            }
+        }
+
+        const keyboard = requests.map(request => [{
+            text: `#${request.id} ${carNames.get(request.car_id) || ''}`.trim(),
+            callback_data: `myreq_view_${request.id}`
+        }]);
+
+        const navigation = [];
+        if (pagination.hasPrev) {
+            navigation.push({ text: '⬅️', callback_data: `myreq_list_${filterKey}_${page - 1}` });
+        }
+        if (pagination.hasNext) {
+            navigation.push({ text: '➡️', callback_data: `myreq_list_${filterKey}_${page + 1}` });
+        }
+        if (navigation.length > 0) {
+            keyboard.push(navigation);
+        }
+
+        keyboard.push(Object.keys(FILTERS)
+            .filter(key => key !== filterKey)
+            .map(key => ({ text: FILTERS[key].label, callback_data: `myreq_list_${key}_0` })));
+
+        return { text, keyboard };
+    }
+
+    /**
+     * Сформировать карточку заявки
+     * @param {GarageRequest} request - Заявка
+     * @returns {Promise<Object>} { text, keyboard }
+     */
+    async buildDetail(request) {
+        const [car, payout] = await Promise.all([
+            Garage.findById(request.car_id),
+            Payout.findByRequestId(request.id)
+        ]);
+
+        const lines = [
+            `📋 ЗАЯВКА #${request.id}`,
+            '',
+            `🚗 Автомобиль: ${car ? car.car_name : `#${request.car_id}`}`,
+            `📅 Подана: ${request.getFormattedSubmissionDate()}`,
+            `📊 Статус: ${request.isCancelledByOwner() ? '🚫 Отменена вами' : request.getFormattedStatus()}`,
+            `💰 Вознаграждение: ${Payout.formatAmount(this.requestProcessor.getRewardAmount(request))}`
+        ];
+
+        if (request.processed_at) {
+            lines.push(`🕒 Рассмотрена: ${new Date(request.processed_at).toLocaleString('ru-RU')}`);
+        }
+        if (request.admin_comment && !request.isCancelledByOwner()) {
+            lines.push(`💬 Комментарий: ${request.admin_comment}`);
+        }
+        if (payout) {
+            const paidAt = payout.paid_at ? ` ${new Date(payout.paid_at).toLocaleDateString('ru-RU')}` : '';
+            lines.push(`💸 Выплата: ${PAYOUT_STATES[payout.status] || payout.status}${paidAt} (${payout.getFormattedAmount()})`);
+        }
+
+        const actions = [{ text: '🖼 Фото', callback_data: `myreq_photo_${request.id}` }];
+        if (request.payment_status === 'Не выплачено') {
+            actions.push({ text: '🚫 Отменить', callback_data: `myreq_cancel_${request.id}` });
+        }
+
+        return {
+            text: lines.join('\n'),
+            keyboard: [actions, [{ text: '⬅️ К списку', callback_data: 'myreq_list_all_0' }]]
+        };
+    }
+
+    /**
+     * Получить названия автомобилей по ID
+     * @returns {Promise<Map<number, string>>}
+     */
+    async getCarNames() {
+        const cars = await Garage.getAllCars();
+        return new Map(cars.map(car => [car.car_id, car.car_name]));
+    }
+
+    /**
+     * Заменить содержимое сообщения
+     * @param {Object} message - Сообщение Telegram
+     * @param {Object} view - { text, keyboard }
+     */
+    async editMessage(message, view) {
+        await this.bot.editMessageText(view.text, {
+            chat_id: message.chat.id,
+            message_id: message.message_id,
+            reply_markup: { inline_keyboard: view.keyboard }
+        });
+    }
+}
+
+RequestHistoryManager.FILTERS = FILTERS;
+
+module.exports = RequestHistoryManager;
\ No newline at end of file
@@ -1,6 +1,10 @@
+const database = require('../database/connection');
+const QueryBuilder = require('../database/queryBuilder');
 const GarageRequest = require('../database/models/garageRequest');
 const Garage = require('../database/models/garage');
 const User = require('../database/models/user');
+const Payout = require('../database/models/payout');
+const { photoStorage } = require('../storage/photoStorage');
 
 /**
  * RequestProcessor - компонент для обработки заявок на замену масла
@@ -17,7 +21,7 @@ class RequestProcessor {
 
         // Настройки автоматических выплат
         this.PAYMENT_SETTINGS = {
-            REWARD_AMOUNT: 3000000,    // 3 млн игровой валюты
+            REWARD_AMOUNT: 3000000,    // 3 млн для заявок, поданных до правил вознаграждения
             AUTO_PAYMENT_DELAY: 5000   // 5 секунд задержки перед автовыплатой
         };
 
@@ -58,20 +62,33 @@ class RequestProcessor {
      */
     async processApproval(requestId, adminId) {
         try {
-            const request = await GarageRequest.findById(requestId);
-            if (!request) {
-                throw new Error('Заявка не найдена');
-            }
+            // Статус заявки, состояние автомобиля и выплата меняются вместе или не меняются вовсе
+            const { request, payout } = await database.withTransaction(async () => {
+                const request = await GarageRequest.findById(requestId);
+                if (!request) {
+                    throw new Error('Заявка не найдена');
+                }
 
-            if (request.payment_status !== 'Не выплачено') {
-                throw new Error(`Заявка уже обработана. Статус: ${request.payment_status}`);
-            }
+                if (request.payment_status !== 'Не выплачено') {
+                    throw new Error(`Заявка уже обработана. Статус: ${request.payment_status}`);
+                }
+
+                // Одобряем заявку (это также обновит статус автомобиля)
+                await request.approve(adminId);
 
-            // Одобряем заявку (это также обновит статус автомобиля)
-            await request.approve(adminId);
+                // Устанавливаем статус "Производится оплата"
+                await request.updatePaymentStatus('Производится оплата');
 
-            // Устанавливаем статус "Производится оплата"
-            await request.updatePaymentStatus('Производится оплата');
+                // Записываем вознаграждение в журнал выплат
+                const payout = await Payout.create({
+                    request_id: request.id,
+                    user_id: request.user_id,
+                    telegram_id: request.telegram_id,
+                    amount: this.getRewardAmount(request)
+                });
+
+                return { request, payout };
+            });
 
             // Получаем данные для уведомления
             const [car, user] = await Promise.all([
@@ -84,6 +101,7 @@ class RequestProcessor {
             return {
                 success: true,
                 request,
+                payout,
                 car,
                 user,
                 message: 'Заявка одобрена! Начинается процесс выплаты.'
@@ -95,6 +113,16 @@ class RequestProcessor {
         }
     }
 
+    /**
+     * Получить вознаграждение по заявке
+     * Сумма рассчитывается по правилам при подаче и хранится в заявке
+     * @param {GarageRequest} request - Заявка
+     * @returns {number}
+     */
+    getRewardAmount(request) {
+        return request.reward_amount || this.PAYMENT_SETTINGS.REWARD_AMOUNT;
+    }
+
     /**
      * Обработать отклонение заявки администратором
      * @param {number} requestId - ID заявки
@@ -143,6 +171,52 @@ class RequestProcessor {
         }
     }
 
+    /**
+     * Отметить выплату вознаграждения как произведенную
+     * @param {number} payoutId - ID выплаты
+     * @param {number} adminId - ID администратора (казначея)
+     * @returns {Promise<Object>}
+     */
+    async processPayout(payoutId, adminId) {
+        try {
+            const { payout, request } = await database.withTransaction(async () => {
+                const payout = await Payout.findById(payoutId);
+                if (!payout) {
+                    throw new Error('Выплата не найдена');
+                }
+
+                if (!payout.isPending()) {
+                    throw new Error('Выплата уже отмечена');
+                }
+
+                await payout.markPaid(adminId);
+
+                // Заявка полностью закрыта
+                const request = await GarageRequest.findById(payout.request_id);
+                if (request) {
+                    await request.updatePaymentStatus('Принято');
+                }
+
+                return { payout, request };
+            });
+
+            const user = await User.findById(payout.user_id);
+
+            console.log(`💸 Выплата #${payoutId} по заявке #${payout.request_id} отмечена администратором ${adminId}`);
+
+            return {
+                success: true,
+                payout,
+                request,
+                user
+            };
+
+        } catch (error) {
+            console.error(`❌ Ошибка отметки выплаты #${payoutId}:`, error);
+            throw error;
+        }
+    }
+
     /**
      * Обновить статус оплаты заявки
      * @param {number} requestId - ID заявки
@@ -194,7 +268,7 @@ class RequestProcessor {
             if (carId) {
                 const user = await User.findByTelegramId(parseInt(telegramId));
                 if (user) {
-                    const carDailyCount = await this.countUserCarRequests(user.id, carId, 24);
+                    const carDailyCount = await GarageRequest.countRecentByUserCar(user.id, carId, 24);
                     if (carDailyCount >= this.SPAM_LIMITS.PER_CAR_DAILY_LIMIT) {
                         throw new Error(`Превышен лимит заявок для этого автомобиля (${this.SPAM_LIMITS.PER_CAR_DAILY_LIMIT} в день).`);
                     }
@@ -208,30 +282,6 @@ class RequestProcessor {
         }
     }
 
-    /**
-     * Подсчитать заявки пользователя для конкретного автомобиля
-     * @param {number} userId - ID пользователя
-     * @param {number} carId - ID автомобиля
-     * @param {number} hours - Количество часов назад
-     * @returns {Promise<number>}
-     */
-    async countUserCarRequests(userId, carId, hours) {
-        try {
-            const sql = `
-                SELECT COUNT(*) as count 
-                FROM garage_requests 
-                WHERE user_id = ? AND car_id = ? 
-                AND submitted_at > datetime('now', '-${hours} hours')
-            `;
-            
-            const database = require('../database/connection');
-            const result = await database.get(sql, [userId, carId]);
-            return result.count || 0;
-        } catch (error) {
-            throw new Error(`Ошибка подсчета заявок пользователя: ${error.message}`);
-        }
-    }
-
     /**
      * Валидация данных заявки
      * @param {Object} requestData - Данные заявки
@@ -273,9 +323,8 @@ class RequestProcessor {
                 throw new Error('Пользователь не авторизован');
             }
 
-            // Проверка существования файла фотографии
-            const fs = require('fs');
-            if (!fs.existsSync(requestData.photo_path)) {
+            // Проверка наличия фотографии в хранилище
+            if (!(await photoStorage.exists(requestData.photo_path))) {
                 throw new Error('Файл фотографии не найден');
             }
 
@@ -331,7 +380,6 @@ class RequestProcessor {
 
             sql += ' GROUP BY payment_status';
 
-            const database = require('../database/connection');
             const rows = await database.all(sql, params);
 
             const stats = {
@@ -441,21 +489,29 @@ class RequestProcessor {
 
     /**
      * Автоматическая очистка старых заявок
+     * Заявки с выплатами не удаляются, иначе вместе с ними пропал бы журнал выплат
      * @param {number} daysOld - Возраст заявок в днях
      * @returns {Promise<number>}
      */
     async cleanupOldRequests(daysOld = 30) {
         try {
-            const sql = `
-                DELETE FROM garage_requests 
-                WHERE (payment_status = 'Принято' OR payment_status = 'Отклонено')
-                AND processed_at < datetime('now', '-${daysOld} days')
-            `;
-
-            const database = require('../database/connection');
-            const result = await database.run(sql);
+            const oldRequests = () => QueryBuilder.table('garage_requests')
+                .where('payment_status = ? OR payment_status = ?', 'Принято', 'Отклонено')
+                .where('processed_at < datetime(\'now\', ?)', QueryBuilder.interval(daysOld, 'days'))
+                .where('id NOT IN (SELECT request_id FROM garage_payouts)');
+
+            const rows = await oldRequests().select('DISTINCT photo_path').all();
+            const result = await oldRequests().delete();
+
+            // Фото удаляются вместе с заявками, если на них не ссылаются оставшиеся заявки
+            let removedPhotos = 0;
+            for (const { photo_path: photoPath } of rows) {
+                if (!(await GarageRequest.isPhotoInUse(photoPath)) && await photoStorage.remove(photoPath)) {
+                    removedPhotos++;
+                }
+            }
             
-            console.log(`🧹 Очищено ${result.changes} старых заявок (старше ${daysOld} дней)`);
+            console.log(`🧹 Очищено ${result.changes} старых заявок (старше ${daysOld} дней), фото: ${removedPhotos}`);
             return result.changes;
         } catch (error) {
             throw new Error(`Ошибка очистки старых заявок: ${error.message}`);
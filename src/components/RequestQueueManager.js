@@ -0,0 +1,342 @@
+const User = require('../database/models/user');
+const Payout = require('../database/models/payout');
+const SessionStore = require('./SessionStore');
+
+const ACCESS_OPTIONS = {
+    guard: 'canApproveRequests',
+    deniedMessage: 'У вас нет прав для обработки заявок'
+};
+
+/**
+ * RequestQueueManager - очередь заявок гаража на рассмотрении
+ * Одно сообщение с фото листает ожидающие заявки (дольше всех ждущие первыми),
+ * позволяет одобрять и отклонять их на месте, в том числе все заявки участника сразу.
+ * Решения проходят через RequestProcessor и уведомления AdminNotifier
+ */
+class RequestQueueManager {
+    /**
+     * @param {TelegramBot} bot - Экземпляр бота
+     * @param {AdminNotifier} adminNotifier - Уведомления о решениях по заявкам
+     */
+    constructor(bot, adminNotifier) {
+        this.bot = bot;
+        this.adminNotifier = adminNotifier;
+        this.requestProcessor = adminNotifier.requestProcessor;
+        this.rejectSessions = new SessionStore('queue_reject', { ttl: 10 * 60 * 1000 });
+    }
+
+    /**
+     * Зарегистрировать маршруты очереди заявок
+     * @param {Router} router - Маршрутизатор бота
+     */
+    registerRoutes(router) {
+        router
+            .command('queue', (ctx) => this.showQueue(ctx.chatId, 0), ACCESS_OPTIONS)
+            .callback('admin_requests', (ctx) => this.handleOpen(ctx.callbackQuery), ACCESS_OPTIONS)
+            .callback('queue_show_:index(int)', (ctx) => this.handleShow(ctx.callbackQuery, ctx.params.index), ACCESS_OPTIONS)
+            .callback('queue_approve_:requestId(int)_:index(int)', (ctx) => this.handleApprove(ctx.callbackQuery, ctx.params.requestId, ctx.params.index), ACCESS_OPTIONS)
+            .callback('queue_reject_:requestId(int)_:index(int)', (ctx) => this.handleReject(ctx.callbackQuery, [ctx.params.requestId], ctx.params.index), ACCESS_OPTIONS)
+            .callback('queue_approve_user_:userId(int)_:index(int)', (ctx) => this.handleApproveUser(ctx.callbackQuery, ctx.params.userId, ctx.params.index), ACCESS_OPTIONS)
+            .callback('queue_reject_user_:userId(int)_:index(int)', (ctx) => this.handleRejectUser(ctx.callbackQuery, ctx.params.userId, ctx.params.index), ACCESS_OPTIONS);
+    }
+
+    /**
+     * Открыть очередь из админ-панели гаража
+     * @param {Object} callbackQuery - Callback query от Telegram
+     */
+    async handleOpen(callbackQuery) {
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.showQueue(callbackQuery.message.chat.id, 0);
+    }
+
+    /**
+     * Перелистнуть очередь
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} index - Позиция в очереди
+     */
+    async handleShow(callbackQuery, index) {
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.showQueue(callbackQuery.message.chat.id, index, callbackQuery.message);
+    }
+
+    /**
+     * Одобрить заявку из очереди
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} requestId - ID заявки
+     * @param {number} index - Позиция в очереди
+     */
+    async handleApprove(callbackQuery, requestId, index) {
+        try {
+            const admin = await this.getAdmin(callbackQuery.from.id);
+            await this.approve(requestId, admin);
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: `✅ Заявка #${requestId} одобрена` });
+        } catch (error) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: `Ошибка: ${error.message}`, show_alert: true });
+        }
+
+        await this.showQueue(callbackQuery.message.chat.id, index, callbackQuery.message);
+    }
+
+    /**
+     * Одобрить все ожидающие заявки участника
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} userId - ID участника
+     * @param {number} index - Позиция в очереди
+     */
+    async handleApproveUser(callbackQuery, userId, index) {
+        try {
+            const admin = await this.getAdmin(callbackQuery.from.id);
+            const requests = (await this.getQueue()).filter(item => item.request.user_id === userId);
+
+            let approved = 0;
+            for (const item of requests) {
+                try {
+                    await this.approve(item.request.id, admin);
+                    approved++;
+                } catch (error) {
+                    console.error(`❌ Ошибка одобрения заявки #${item.request.id} из очереди:`, error.message);
+                }
+            }
+
+            await this.bot.answerCallbackQuery(callbackQuery.id, {
+                text: `✅ Одобрено заявок: ${approved} из ${requests.length}`,
+                show_alert: approved < requests.length
+            });
+        } catch (error) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: `Ошибка: ${error.message}`, show_alert: true });
+        }
+
+        await this.showQueue(callbackQuery.message.chat.id, index, callbackQuery.message);
+    }
+
+    /**
+     * Отклонить все ожидающие заявки участника (после ввода причины)
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} userId - ID участника
+     * @param {number} index - Позиция в очереди
+     */
+    async handleRejectUser(callbackQuery, userId, index) {
+        const requestIds = (await this.getQueue())
+            .filter(item => item.request.user_id === userId)
+            .map(item => item.request.id);
+
+        await this.handleReject(callbackQuery, requestIds, index);
+    }
+
+    /**
+     * Запросить причину отклонения заявок
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {Array<number>} requestIds - ID отклоняемых заявок
+     * @param {number} index - Позиция в очереди
+     */
+    async handleReject(callbackQuery, requestIds, index) {
+        if (requestIds.length === 0) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: 'Заявки уже обработаны', show_alert: true });
+            return;
+        }
+
+        this.rejectSessions.set(callbackQuery.from.id, {
+            requestIds,
+            index,
+            chatId: callbackQuery.message.chat.id,
+            messageId: callbackQuery.message.message_id
+        });
+
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.bot.sendMessage(callbackQuery.message.chat.id,
+            `❌ Отклонение ${requestIds.length > 1 ? `заявок ${requestIds.map(id => `#${id}`).join(', ')}` : `заявки #${requestIds[0]}`}\n\n` +
+            '📝 Введите причину отклонения (она будет отправлена участнику):'
+        );
+    }
+
+    /**
+     * Получить сессию ввода причины отклонения
+     * @param {number} telegramId - Telegram ID администратора
+     * @returns {Object|null}
+     */
+    getRejectSession(telegramId) {
+        return this.rejectSessions.get(telegramId) || null;
+    }
+
+    /**
+     * Обработать причину отклонения и вернуться к очереди
+     * @param {Object} msg - Сообщение с причиной
+     */
+    async handleRejectReason(msg) {
+        const session = this.getRejectSession(msg.from.id);
+        if (!session) {
+            return;
+        }
+
+        const reason = msg.text.trim();
+        if (!reason) {
+            await this.bot.sendMessage(msg.chat.id, '📝 Причина не может быть пустой. Введите причину отклонения:');
+            return;
+        }
+
+        this.rejectSessions.delete(msg.from.id);
+
+        const admin = await this.getAdmin(msg.from.id);
+        const rejected = [];
+        const failed = [];
+
+        for (const requestId of session.requestIds) {
+            try {
+                const result = await this.requestProcessor.processRejection(requestId, admin.id, reason);
+                await this.adminNotifier.notifyUserRejection(result);
+                rejected.push(requestId);
+            } catch (error) {
+                failed.push(`#${requestId}: ${error.message}`);
+            }
+        }
+
+        await this.bot.sendMessage(msg.chat.id,
+            `❌ Отклонено заявок: ${rejected.length}\n📝 Причина: ${reason}` +
+            (failed.length > 0 ? `\n\n⚠️ Не удалось:\n${failed.join('\n')}` : '')
+        );
+
+        await this.showQueue(session.chatId, session.index, { chat: { id: session.chatId }, message_id: session.messageId });
+    }
+
+    /**
+     * Одобрить заявку и уведомить участника
+     * @param {number} requestId - ID заявки
+     * @param {User} admin - Администратор
+     * @returns {Promise<Object>} Результат одобрения
+     */
+    async approve(requestId, admin) {
+        const result = await this.requestProcessor.processApproval(requestId, admin.id);
+        await this.adminNotifier.notifyUserApproval(result);
+        return result;
+    }
+
+    /**
+     * Найти администратора в базе данных
+     * @param {number} telegramId - Telegram ID администратора
+     * @returns {Promise<User>}
+     */
+    async getAdmin(telegramId) {
+        const admin = await User.findByTelegramId(telegramId);
+        if (!admin) {
+            throw new Error('Администратор не найден в базе данных');
+        }
+        return admin;
+    }
+
+    /**
+     * Получить ожидающие заявки: дольше всех ждущие первыми
+     * @returns {Promise<Array<Object>>} { request, car, user, waitingTime }
+     */
+    async getQueue() {
+        const queue = await this.requestProcessor.getPendingRequests();
+        return queue.sort((a, b) => b.waitingTime.totalMinutes - a.waitingTime.totalMinutes);
+    }
+
+    /**
+     * Показать заявку из очереди, заменив предыдущее сообщение очереди
+     * @param {number} chatId - ID чата
+     * @param {number} index - Позиция в очереди
+     * @param {Object|null} message - Текущее сообщение очереди
+     */
+    async showQueue(chatId, index, message = null) {
+        const queue = await this.getQueue();
+        const view = await this.buildView(queue, index);
+        const options = { reply_markup: { inline_keyboard: view.keyboard } };
+
+        // Фото листаем в том же сообщении, иначе сообщение пересоздается
+        if (message && message.photo && view.photoPath) {
+            try {
+                await this.bot.editMessageMedia(
+                    { type: 'photo', media: `attach://${view.photoPath}`, caption: view.text },
+                    { chat_id: chatId, message_id: message.message_id, ...options }
+                );
+                return;
+            } catch (error) {
+                console.error('❌ Ошибка обновления фото очереди:', error.message);
+            }
+        }
+
+        if (message) {
+            await this.bot.deleteMessage(chatId, message.message_id).catch(() => {
+                // Сообщение могло быть уже удалено
+            });
+        }
+
+        if (view.photoPath) {
+            await this.bot.sendPhoto(chatId, view.photoPath, { caption: view.text, ...options });
+        } else {
+            await this.bot.sendMessage(chatId, view.text, options);
+        }
+    }
+
+    /**
+     * Сформировать карточку заявки в очереди
+     * @param {Array<Object>} queue - Очередь заявок
+     * @param {number} index - Запрошенная позиция
+     * @returns {Promise<Object>} { text, keyboard, photoPath }
+     */
+    async buildView(queue, index) {
+        if (queue.length === 0) {
+            return {
+                text: '📥 ОЧЕРЕДЬ ЗАЯВОК\n\n✅ Все заявки рассмотрены',
+                keyboard: [[
+                    { text: '🔄 Обновить', callback_data: 'queue_show_0' },
+                    { text: '⬅️ Админ-панель', callback_data: 'admin_menu' }
+                ]],
+                photoPath: null
+            };
+        }
+
+        const position = Math.min(Math.max(index, 0), queue.length - 1);
+        const { request, car, user, waitingTime } = queue[position];
+        const fromUser = queue.filter(item => item.request.user_id === request.user_id).length;
+        const userName = user ? `${user.getFullName()}${user.username ? ` @${user.username}` : ''}` : `#${request.user_id}`;
+
+        let text =
+            `📥 ОЧЕРЕДЬ ЗАЯВОК: ${position + 1} из ${queue.length}\n\n` +
+            `📋 Заявка #${request.id}\n` +
+            `👤 Участник: ${userName}\n` +
+            `🚗 Автомобиль: ${car ? car.car_name : `#${request.car_id}`}\n` +
+            `⏰ Ждет: ${waitingTime.formatted} (подана ${request.getFormattedSubmissionDate()})\n` +
+            `💰 Вознаграждение: ${Payout.formatAmount(this.requestProcessor.getRewardAmount(request))}`;
+
+        if (fromUser > 1) {
+            text += `\n📨 Заявок этого участника в очереди: ${fromUser}`;
+        }
+
+        const photoPath = await request.getPhotoPath();
+        if (!photoPath) {
+            text += '\n\n❌ Фото недоступно';
+        }
+
+        const navigation = [];
+        if (position > 0) {
+            navigation.push({ text: '⬅️', callback_data: `queue_show_${position - 1}` });
+        }
+        navigation.push({ text: '🔄', callback_data: `queue_show_${position}` });
+        if (position < queue.length - 1) {
+            navigation.push({ text: '➡️', callback_data: `queue_show_${position + 1}` });
+        }
+
+        const keyboard = [
+            [
+                { text: '✅ Принять', callback_data: `queue_approve_${request.id}_${position}` },
+                { text: '❌ Отклонить', callback_data: `queue_reject_${request.id}_${position}` }
+            ],
+            navigation
+        ];
+
+        if (fromUser > 1) {
+            keyboard.push([
+                { text: `✅ Принять все (${fromUser})`, callback_data: `queue_approve_user_${request.user_id}_${position}` },
+                { text: `❌ Отклонить все (${fromUser})`, callback_data: `queue_reject_user_${request.user_id}_${position}` }
+            ]);
+        }
+
+        keyboard.push([{ text: '⬅️ Админ-панель', callback_data: 'admin_menu' }]);
+
+        return { text, keyboard, photoPath };
+    }
+}
+
+module.exports = RequestQueueManager;
\ No newline at end of file
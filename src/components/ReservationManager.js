@@ -0,0 +1,422 @@
+const CarReservation = require('../database/models/carReservation');
+const Garage = require('../database/models/garage');
+const User = require('../database/models/user');
+
+// Длительности брони, предлагаемые кнопками (часы)
+const DURATION_OPTIONS = [1, 2, 4, 8];
+const MAX_DURATION_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * ReservationManager - выдача автомобилей гаража на время
+ * Бронь на интервал с проверкой пересечений, возврат,
+ * напоминания о просрочке и доска "у кого что" для администраторов
+ */
+class ReservationManager {
+    /**
+     * @param {TelegramBot} bot - Экземпляр бота
+     * @param {RoleManager} roleManager - Менеджер ролей
+     * @param {OutboundQueue} outbound - Очередь уведомлений (по умолчанию сообщения отправляет бот)
+     */
+    constructor(bot, roleManager, outbound = null) {
+        this.bot = bot;
+        this.outbound = outbound || bot;
+        this.roleManager = roleManager;
+    }
+
+    /**
+     * Зарегистрировать маршруты бронирования
+     * @param {Router} router - Маршрутизатор бота
+     */
+    registerRoutes(router) {
+        router
+            .callback('reserve_car_:carId(int)', (ctx) => this.handleReserveMenu(ctx.callbackQuery, ctx.params.carId))
+            .callback('reserve_car_:carId(int)_:hours(int)', (ctx) => this.handleReserveCallback(ctx.callbackQuery, ctx.params.carId, ctx.params.hours))
+            .callback('reserve_return_:reservationId(int)', (ctx) => this.handleReturnCallback(ctx.callbackQuery, ctx.params.reservationId))
+            .command('reserve', (ctx) => this.handleReserveCommand(ctx.msg, ctx.args))
+            .command('mycar', (ctx) => this.handleMyCarCommand(ctx.msg))
+            .command('reservations', (ctx) => this.handleBoardCommand(ctx.msg), {
+                guard: 'canManageGarage',
+                deniedMessage: '❌ Доступ запрещен! Эта команда доступна только администраторам.'
+            });
+    }
+
+    /**
+     * Забронировать автомобиль
+     * @param {User} user - Пользователь
+     * @param {Garage} car - Автомобиль
+     * @param {Date} startsAt - Начало брони
+     * @param {number} hours - Длительность в часах
+     * @returns {Promise<CarReservation>}
+     */
+    async reserve(user, car, startsAt, hours) {
+        if (!Number.isInteger(hours) || hours < 1 || hours > MAX_DURATION_HOURS) {
+            throw new Error(`Длительность брони - от 1 до ${MAX_DURATION_HOURS} часов`);
+        }
+
+        const endsAt = new Date(startsAt.getTime() + hours * HOUR_MS);
+        const conflicts = await CarReservation.findConflicts(car.car_id, startsAt.toISOString(), endsAt.toISOString());
+        if (conflicts.length > 0) {
+            const holder = await User.findById(conflicts[0].user_id);
+            throw new Error(
+                `${car.car_name} уже забронирован` +
+                (holder ? ` (${holder.getDisplayName()})` : '') +
+                `: ${conflicts[0].getFormattedPeriod()}`
+            );
+        }
+
+        const reservation = await CarReservation.create({
+            car_id: car.car_id,
+            user_id: user.id,
+            telegram_id: user.telegram_id,
+            starts_at: startsAt.toISOString(),
+            ends_at: endsAt.toISOString()
+        });
+
+        console.log(`🔑 ${car.car_name} забронирован пользователем ${user.telegram_id}: ${reservation.getFormattedPeriod()}`);
+        return reservation;
+    }
+
+    /**
+     * Вернуть автомобиль (или отменить будущую бронь)
+     * Владелец брони или администратор гаража
+     * @param {number} reservationId - ID брони
+     * @param {number} actorTelegramId - Telegram ID инициатора
+     * @returns {Promise<CarReservation>}
+     */
+    async returnReservation(reservationId, actorTelegramId) {
+        const reservation = await CarReservation.findById(reservationId);
+        if (!reservation) {
+            throw new Error('Бронь не найдена');
+        }
+
+        const isOwner = String(reservation.telegram_id) === String(actorTelegramId);
+        if (!isOwner && !this.roleManager.hasPermission(actorTelegramId, 'canManageGarage')) {
+            throw new Error('Это не ваша бронь');
+        }
+
+        await reservation.close();
+
+        // Администратор вернул чужую бронь - сообщаем владельцу
+        if (!isOwner) {
+            const car = await Garage.findById(reservation.car_id);
+            await this.outbound.sendMessage(reservation.telegram_id,
+                `🔑 Администратор закрыл вашу бронь ${car ? car.car_name : `#${reservation.car_id}`} (${reservation.getFormattedPeriod()})`
+            ).catch(error => {
+                console.error('❌ Ошибка уведомления о закрытии брони:', error.message);
+            });
+        }
+
+        return reservation;
+    }
+
+    /**
+     * Напомнить о просроченных возвратах (по одному напоминанию на бронь)
+     * @returns {Promise<number>} Количество отправленных напоминаний
+     */
+    async remindOverdue() {
+        let reminded = 0;
+
+        try {
+            const overdue = await CarReservation.findOverdueUnreminded();
+
+            for (const reservation of overdue) {
+                const car = await Garage.findById(reservation.car_id);
+                try {
+                    const sent = await this.outbound.sendMessage(reservation.telegram_id,
+                        '⏰ ПРОСРОЧЕН ВОЗВРАТ АВТОМОБИЛЯ\n\n' +
+                        `🚗 ${car ? car.car_name : `#${reservation.car_id}`}\n` +
+                        `🕒 Бронь: ${reservation.getFormattedPeriod()}\n\n` +
+                        'Пожалуйста, верните автомобиль.',
+                        { reply_markup: { inline_keyboard: [[{ text: '✅ Вернуть', callback_data: `reserve_return_${reservation.id}` }]] } }
+                    );
+                    if (sent) {
+                        reminded++;
+                    }
+                } catch (sendError) {
+                    console.error(`❌ Ошибка напоминания о брони #${reservation.id}:`, sendError.message);
+                }
+                await reservation.markReminded();
+            }
+        } catch (error) {
+            console.error('❌ Ошибка проверки просроченных броней:', error);
+        }
+
+        return reminded;
+    }
+
+    /**
+     * Показать выбор длительности брони
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} carId - ID автомобиля
+     */
+    async handleReserveMenu(callbackQuery, carId) {
+        const car = await Garage.findById(carId);
+        if (!car) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: 'Автомобиль не найден', show_alert: true });
+            return;
+        }
+
+        const keyboard = [
+            DURATION_OPTIONS.map(hours => ({ text: `${hours} ч`, callback_data: `reserve_car_${carId}_${hours}` })),
+            [{ text: '⬅️ К гаражу', callback_data: 'garage_page_0' }]
+        ];
+
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.bot.sendMessage(callbackQuery.message.chat.id,
+            `🔑 На сколько взять ${car.car_name}?\n\n` +
+            'Бронь начнется сейчас. Забронировать на другое время: /reserve <ID авто> <часы> [ЧЧ:ММ]',
+            { reply_markup: { inline_keyboard: keyboard } }
+        );
+    }
+
+    /**
+     * Забронировать автомобиль с текущего момента
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} carId - ID автомобиля
+     * @param {number} hours - Длительность в часах
+     */
+    async handleReserveCallback(callbackQuery, carId, hours) {
+        try {
+            const { user, car } = await this.resolveReservation(callbackQuery.from.id, carId);
+            const reservation = await this.reserve(user, car, new Date(), hours);
+
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: `🔑 ${car.car_name} ваш` });
+            await this.bot.editMessageText(this.formatReservationConfirmation(car, reservation), {
+                chat_id: callbackQuery.message.chat.id,
+                message_id: callbackQuery.message.message_id,
+                reply_markup: { inline_keyboard: [[{ text: '✅ Вернуть', callback_data: `reserve_return_${reservation.id}` }]] }
+            });
+
+        } catch (error) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: `❌ ${error.message}`, show_alert: true });
+        }
+    }
+
+    /**
+     * Обработать команду /reserve <ID авто> <часы> [ЧЧ:ММ]
+     * @param {Object} msg - Сообщение от Telegram
+     * @param {string} args - Аргументы команды
+     */
+    async handleReserveCommand(msg, args) {
+        const chatId = msg.chat.id;
+        const [carArg, hoursArg, timeArg] = (args || '').split(/\s+/);
+        const carId = parseInt(carArg);
+        const hours = parseInt(hoursArg);
+
+        if (!carId || !hours) {
+            await this.bot.sendMessage(chatId,
+                '🔑 Использование: /reserve <ID авто> <часы> [ЧЧ:ММ]\n\n' +
+                'Без времени бронь начнется сейчас. Прошедшее время означает завтра.'
+            );
+            return;
+        }
+
+        try {
+            const startsAt = timeArg ? ReservationManager.parseStartTime(timeArg) : new Date();
+            if (!startsAt) {
+                throw new Error('Время начала укажите в формате ЧЧ:ММ');
+            }
+
+            const { user, car } = await this.resolveReservation(msg.from.id, carId);
+            const reservation = await this.reserve(user, car, startsAt, hours);
+
+            await this.bot.sendMessage(chatId, this.formatReservationConfirmation(car, reservation), {
+                reply_markup: { inline_keyboard: [[{ text: '✅ Вернуть', callback_data: `reserve_return_${reservation.id}` }]] }
+            });
+
+        } catch (error) {
+            await this.bot.sendMessage(chatId, `❌ ${error.message}`);
+        }
+    }
+
+    /**
+     * Вернуть автомобиль по кнопке
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} reservationId - ID брони
+     */
+    async handleReturnCallback(callbackQuery, reservationId) {
+        try {
+            const reservation = await this.returnReservation(reservationId, callbackQuery.from.id);
+            const text = reservation.status === 'returned' ? '✅ Автомобиль возвращен' : '✅ Бронь отменена';
+
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text });
+            await this.bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+                chat_id: callbackQuery.message.chat.id,
+                message_id: callbackQuery.message.message_id
+            }).catch(() => {});
+            await this.bot.sendMessage(callbackQuery.message.chat.id, text);
+
+        } catch (error) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: `❌ ${error.message}`, show_alert: true });
+        }
+    }
+
+    /**
+     * Обработать команду /mycar - брони пользователя
+     * @param {Object} msg - Сообщение от Telegram
+     */
+    async handleMyCarCommand(msg) {
+        const chatId = msg.chat.id;
+
+        try {
+            const reservations = await CarReservation.findActiveByTelegramId(msg.from.id);
+            if (reservations.length === 0) {
+                await this.bot.sendMessage(chatId, '🔑 У вас нет броней. Взять автомобиль: /takecar');
+                return;
+            }
+
+            const carNames = await this.getCarNames();
+            let text = '🔑 ВАШИ БРОНИ\n\n';
+            const keyboard = [];
+
+            for (const reservation of reservations) {
+                const carName = carNames.get(reservation.car_id) || `#${reservation.car_id}`;
+                text += `${reservation.isOverdue() ? '⏰' : '🚗'} ${carName}: ${reservation.getFormattedPeriod()}\n`;
+                keyboard.push([{
+                    text: `${reservation.isStarted() ? '✅ Вернуть' : '❌ Отменить'} ${carName}`,
+                    callback_data: `reserve_return_${reservation.id}`
+                }]);
+            }
+
+            await this.bot.sendMessage(chatId, text.trim(), { reply_markup: { inline_keyboard: keyboard } });
+
+        } catch (error) {
+            console.error('❌ Ошибка обработки команды /mycar:', error);
+            await this.bot.sendMessage(chatId, '❌ Ошибка загрузки броней.');
+        }
+    }
+
+    /**
+     * Обработать команду /reservations - доска "у кого что"
+     * @param {Object} msg - Сообщение от Telegram
+     */
+    async handleBoardCommand(msg) {
+        const chatId = msg.chat.id;
+
+        try {
+            const board = await this.buildBoard();
+            await this.bot.sendMessage(chatId, board.text, { reply_markup: { inline_keyboard: board.keyboard } });
+        } catch (error) {
+            console.error('❌ Ошибка обработки команды /reservations:', error);
+            await this.bot.sendMessage(chatId, '❌ Ошибка загрузки броней.');
+        }
+    }
+
+    /**
+     * Сформировать доску броней для администраторов
+     * @returns {Promise<Object>} { text, keyboard }
+     */
+    async buildBoard() {
+        const [reservations, carNames] = await Promise.all([
+            CarReservation.findActive(),
+            this.getCarNames()
+        ]);
+
+        if (reservations.length === 0) {
+            return { text: '🔑 Все автомобили в гараже, броней нет', keyboard: [] };
+        }
+
+        const current = reservations.filter(reservation => reservation.isStarted());
+        const upcoming = reservations.filter(reservation => !reservation.isStarted());
+        const keyboard = [];
+
+        const formatLine = async (reservation) => {
+            const holder = await User.findById(reservation.user_id);
+            const carName = carNames.get(reservation.car_id) || `#${reservation.car_id}`;
+            return `${reservation.isOverdue() ? '⏰' : '•'} ${carName} - ${holder ? holder.getDisplayName() : reservation.telegram_id}: ${reservation.getFormattedPeriod()}\n`;
+        };
+
+        let text = '🔑 АВТОМОБИЛИ НА РУКАХ\n\n';
+        if (current.length === 0) {
+            text += 'Сейчас все автомобили в гараже\n';
+        }
+        for (const reservation of current) {
+            text += await formatLine(reservation);
+            keyboard.push([{
+                text: `✅ Закрыть: ${carNames.get(reservation.car_id) || `#${reservation.car_id}`}`,
+                callback_data: `reserve_return_${reservation.id}`
+            }]);
+        }
+
+        if (upcoming.length > 0) {
+            text += '\n📅 Предстоящие брони:\n';
+            for (const reservation of upcoming) {
+                text += await formatLine(reservation);
+            }
+        }
+
+        const overdueCount = current.filter(reservation => reservation.isOverdue()).length;
+        if (overdueCount > 0) {
+            text += `\n⏰ Просрочено возвратов: ${overdueCount}`;
+        }
+
+        return { text: text.trim(), keyboard };
+    }
+
+    /**
+     * Получить пользователя и автомобиль для брони с проверкой доступа
+     * @param {number} telegramId - Telegram ID пользователя
+     * @param {number} carId - ID автомобиля
+     * @returns {Promise<Object>} { user, car }
+     */
+    async resolveReservation(telegramId, carId) {
+        const user = await User.findByTelegramId(telegramId);
+        if (!user || !user.isAuthorized()) {
+            throw new Error('Бронирование доступно только участникам семьи');
+        }
+
+        const car = await Garage.findById(carId);
+        if (!car) {
+            throw new Error('Автомобиль не найден');
+        }
+
+        return { user, car };
+    }
+
+    /**
+     * Получить названия автомобилей по ID
+     * @returns {Promise<Map<number, string>>}
+     */
+    async getCarNames() {
+        const cars = await Garage.getAllCars();
+        return new Map(cars.map(car => [car.car_id, car.car_name]));
+    }
+
+    /**
+     * Сформировать подтверждение брони
+     * @param {Garage} car - Автомобиль
+     * @param {CarReservation} reservation - Бронь
+     * @returns {string}
+     */
+    formatReservationConfirmation(car, reservation) {
+        return '🔑 АВТОМОБИЛЬ ЗАБРОНИРОВАН\n\n' +
+            `🚗 ${car.car_name}\n` +
+            `🕒 ${reservation.getFormattedPeriod()}\n\n` +
+            'Не забудьте вернуть автомобиль вовремя. Ваши брони: /mycar';
+    }
+
+    /**
+     * Разобрать время начала ЧЧ:ММ - сегодня или завтра, если время прошло
+     * @param {string} value - Время
+     * @param {Date} now - Текущий момент
+     * @returns {Date|null}
+     */
+    static parseStartTime(value, now = new Date()) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+        if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+            return null;
+        }
+
+        const startsAt = new Date(now);
+        startsAt.setHours(parseInt(match[1]), parseInt(match[2]), 0, 0);
+        if (startsAt < now) {
+            startsAt.setDate(startsAt.getDate() + 1);
+        }
+        return startsAt;
+    }
+}
+
+ReservationManager.DURATION_OPTIONS = DURATION_OPTIONS;
+
+module.exports = ReservationManager;
\ No newline at end of file
@@ -0,0 +1,267 @@
+const RewardRule = require('../database/models/rewardRule');
+const Payout = require('../database/models/payout');
+
+// Вознаграждение, если базовое правило отсутствует
+const DEFAULT_REWARD_AMOUNT = 3000000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const AMOUNT_UNITS = {
+    'млн': 1000000,
+    'м': 1000000,
+    'm': 1000000,
+    'тыс': 1000,
+    'к': 1000,
+    'k': 1000
+};
+
+const STATUS_ICONS = {
+    'Хорошее': '🟢',
+    'Среднее': '🟡',
+    'Плохое': '🔴'
+};
+
+/**
+ * RewardCalculator - расчет вознаграждения за замену масла по правилам
+ * Порядок: базовая сумма (или сумма автомобиля) + надбавки за состояние и
+ * давность ТО, затем множители выходных и событий
+ */
+class RewardCalculator {
+    /**
+     * Рассчитать вознаграждение для автомобиля по действующим правилам
+     * @param {Garage} car - Автомобиль
+     * @param {Date} date - Момент расчета
+     * @returns {Promise<Object>} { amount, breakdown }
+     */
+    async calculate(car, date = new Date()) {
+        const rules = await RewardRule.findActive();
+        return RewardCalculator.apply(rules, car, date);
+    }
+
+    /**
+     * Применить правила к автомобилю
+     * @param {Array<RewardRule>} rules - Действующие правила
+     * @param {Garage} car - Автомобиль
+     * @param {Date} date - Момент расчета
+     * @returns {Object} { amount, breakdown: [строки расшифровки] }
+     */
+    static apply(rules, car, date = new Date()) {
+        const breakdown = [];
+
+        const baseRule = rules.find(rule => rule.rule_type === 'base');
+        const carRule = rules.find(rule => rule.rule_type === 'car' && rule.car_id === car.car_id);
+
+        let amount = baseRule ? baseRule.amount : DEFAULT_REWARD_AMOUNT;
+        if (carRule) {
+            amount = carRule.amount;
+            breakdown.push(`🚗 Ставка ${car.car_name}: ${Payout.formatAmount(amount)}`);
+        } else {
+            breakdown.push(`💰 Базовое: ${Payout.formatAmount(amount)}`);
+        }
+
+        for (const rule of rules.filter(item => item.rule_type === 'status' && item.status === car.status)) {
+            amount += rule.amount;
+            breakdown.push(`${STATUS_ICONS[rule.status] || '📊'} ${rule.status} состояние: +${Payout.formatAmount(rule.amount)}`);
+        }
+
+        // Из правил давности ТО действует одно - с наибольшим порогом
+        const daysSinceMaintenance = RewardCalculator.getDaysSinceMaintenance(car, date);
+        const maintenanceRule = rules
+            .filter(rule => rule.rule_type === 'maintenance' && rule.min_days <= daysSinceMaintenance)
+            .sort((a, b) => b.min_days - a.min_days)[0];
+        if (maintenanceRule) {
+            amount += maintenanceRule.amount;
+            breakdown.push(`🔧 Без ТО ${maintenanceRule.min_days}+ дн.: +${Payout.formatAmount(maintenanceRule.amount)}`);
+        }
+
+        let multiplier = 1;
+        const isWeekend = date.getDay() === 0 || date.getDay() === 6;
+        for (const rule of rules) {
+            if ((rule.rule_type === 'weekend' && isWeekend) ||
+                (rule.rule_type === 'event' && RewardCalculator.isEventActive(rule, date))) {
+                multiplier *= rule.multiplier;
+                breakdown.push(`${rule.rule_type === 'weekend' ? '📅 Выходные' : `🎉 ${rule.title || 'Событие'}`}: ×${RewardCalculator.formatMultiplier(rule.multiplier)}`);
+            }
+        }
+
+        return {
+            amount: Math.round(amount * multiplier),
+            breakdown
+        };
+    }
+
+    /**
+     * Получить число дней с последнего ТО
+     * Автомобиль без ТО считается обслуженным бесконечно давно
+     * @param {Garage} car - Автомобиль
+     * @param {Date} date - Момент расчета
+     * @returns {number}
+     */
+    static getDaysSinceMaintenance(car, date = new Date()) {
+        if (!car.last_maintenance) {
+            return Infinity;
+        }
+        return Math.floor((date.getTime() - new Date(car.last_maintenance).getTime()) / DAY_MS);
+    }
+
+    /**
+     * Проверить, идет ли событие
+     * @param {RewardRule} rule - Правило события
+     * @param {Date} date - Момент проверки
+     * @returns {boolean}
+     */
+    static isEventActive(rule, date = new Date()) {
+        const now = date.toISOString();
+        return (!rule.starts_at || rule.starts_at <= now) && (!rule.ends_at || rule.ends_at >= now);
+    }
+
+    /**
+     * Разобрать сумму: 3000000, 3м, 1.5млн, 500к
+     * @param {string} value - Текст суммы
+     * @returns {number|null} Сумма или null, если это не сумма
+     */
+    static parseAmount(value) {
+        const match = /^(\d+(?:[.,]\d+)?)\s*(млн|м|m|тыс|к|k)?$/i.exec((value || '').trim());
+        if (!match) {
+            return null;
+        }
+        const unit = match[2] ? AMOUNT_UNITS[match[2].toLowerCase()] : 1;
+        return Math.round(parseFloat(match[1].replace(',', '.')) * unit);
+    }
+
+    /**
+     * Разобрать множитель: 1.5, x2, ×1,5
+     * @param {string} value - Текст множителя
+     * @returns {number|null} Множитель или null, если это не множитель
+     */
+    static parseMultiplier(value) {
+        const match = /^[x×]?\s*(\d+(?:[.,]\d+)?)$/i.exec((value || '').trim());
+        if (!match) {
+            return null;
+        }
+        const multiplier = parseFloat(match[1].replace(',', '.'));
+        return multiplier > 0 ? multiplier : null;
+    }
+
+    /**
+     * Разобрать дату ДД.ММ.ГГГГ
+     * @param {string} value - Текст даты
+     * @param {boolean} endOfDay - Взять конец дня вместо начала
+     * @returns {Date|null}
+     */
+    static parseDate(value, endOfDay = false) {
+        const match = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/.exec(value || '');
+        if (!match) {
+            return null;
+        }
+        const date = endOfDay
+            ? new Date(parseInt(match[3]), parseInt(match[2]) - 1, parseInt(match[1]), 23, 59, 59, 999)
+            : new Date(parseInt(match[3]), parseInt(match[2]) - 1, parseInt(match[1]));
+        return isNaN(date.getTime()) || date.getDate() !== parseInt(match[1]) ? null : date;
+    }
+
+    /**
+     * Разобрать новое правило из текстовой строки администратора
+     *   car <ID авто> <сумма>
+     *   status <Хорошее|Среднее|Плохое> <надбавка>
+     *   maintenance <дней без ТО> <надбавка>
+     *   weekend <множитель>
+     *   event <ДД.ММ.ГГГГ> <ДД.ММ.ГГГГ> <множитель> [название]
+     * @param {string} text - Строка правила
+     * @returns {Object} Данные правила для RewardRule.create
+     */
+    static parseRule(text) {
+        const [type, ...args] = (text || '').trim().split(/\s+/);
+        const ruleType = (type || '').toLowerCase();
+
+        switch (ruleType) {
+        case 'car': {
+            const carId = parseInt(args[0]);
+            const amount = RewardCalculator.parseAmount(args[1]);
+            if (!carId || amount === null) {
+                throw new Error('Формат: car <ID авто> <сумма>');
+            }
+            return { rule_type: 'car', car_id: carId, amount };
+        }
+        case 'status': {
+            const amount = RewardCalculator.parseAmount(args[1]);
+            if (!STATUS_ICONS[args[0]] || amount === null) {
+                throw new Error('Формат: status <Хорошее|Среднее|Плохое> <надбавка>');
+            }
+            return { rule_type: 'status', status: args[0], amount };
+        }
+        case 'maintenance': {
+            const minDays = parseInt(args[0]);
+            const amount = RewardCalculator.parseAmount(args[1]);
+            if (!minDays || minDays < 1 || amount === null) {
+                throw new Error('Формат: maintenance <дней без ТО> <надбавка>');
+            }
+            return { rule_type: 'maintenance', min_days: minDays, amount };
+        }
+        case 'weekend': {
+            const multiplier = RewardCalculator.parseMultiplier(args[0]);
+            if (multiplier === null) {
+                throw new Error('Формат: weekend <множитель>');
+            }
+            return { rule_type: 'weekend', multiplier };
+        }
+        case 'event': {
+            const startsAt = RewardCalculator.parseDate(args[0]);
+            const endsAt = RewardCalculator.parseDate(args[1], true);
+            const multiplier = RewardCalculator.parseMultiplier(args[2]);
+            if (!startsAt || !endsAt || endsAt < startsAt || multiplier === null) {
+                throw new Error('Формат: event <ДД.ММ.ГГГГ> <ДД.ММ.ГГГГ> <множитель> [название]');
+            }
+            return {
+                rule_type: 'event',
+                starts_at: startsAt.toISOString(),
+                ends_at: endsAt.toISOString(),
+                multiplier,
+                title: args.slice(3).join(' ') || null
+            };
+        }
+        default:
+            throw new Error('Неизвестный тип правила. Доступны: car, status, maintenance, weekend, event');
+        }
+    }
+
+    /**
+     * Описать правило для админ-панели
+     * @param {RewardRule} rule - Правило
+     * @param {string|null} carName - Название автомобиля для правила car
+     * @returns {string}
+     */
+    static describeRule(rule, carName = null) {
+        switch (rule.rule_type) {
+        case 'base':
+            return `💰 Базовое: ${Payout.formatAmount(rule.amount)}`;
+        case 'car':
+            return `🚗 ${carName || `Авто #${rule.car_id}`}: ${Payout.formatAmount(rule.amount)}`;
+        case 'status':
+            return `${STATUS_ICONS[rule.status] || '📊'} ${rule.status}: +${Payout.formatAmount(rule.amount)}`;
+        case 'maintenance':
+            return `🔧 Без ТО ${rule.min_days}+ дн.: +${Payout.formatAmount(rule.amount)}`;
+        case 'weekend':
+            return `📅 Выходные: ×${RewardCalculator.formatMultiplier(rule.multiplier)}`;
+        default: {
+            const period = [rule.starts_at, rule.ends_at]
+                .map(value => new Date(value).toLocaleDateString('ru-RU'))
+                .join('–');
+            return `🎉 ${rule.title || 'Событие'} (${period}): ×${RewardCalculator.formatMultiplier(rule.multiplier)}`;
+        }
+        }
+    }
+
+    /**
+     * Форматировать множитель: 1.5 -> "1,5"
+     * @param {number} multiplier - Множитель
+     * @returns {string}
+     */
+    static formatMultiplier(multiplier) {
+        return multiplier.toLocaleString('ru-RU');
+    }
+}
+
+RewardCalculator.DEFAULT_AMOUNT = DEFAULT_REWARD_AMOUNT;
+
+module.exports = RewardCalculator;
\ No newline at end of file
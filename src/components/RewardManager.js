@@ -0,0 +1,287 @@
+const RewardRule = require('../database/models/rewardRule');
+const Garage = require('../database/models/garage');
+const User = require('../database/models/user');
+const SessionStore = require('./SessionStore');
+const RewardCalculator = require('./RewardCalculator');
+
+const EDIT_STATES = {
+    AWAITING_VALUE: 'awaiting_reward_value',
+    AWAITING_RULE: 'awaiting_reward_rule'
+};
+
+const RULE_FORMAT_HELP =
+    'car <ID авто> <сумма> - своя ставка автомобиля\n' +
+    'status <Хорошее|Среднее|Плохое> <надбавка>\n' +
+    'maintenance <дней без ТО> <надбавка>\n' +
+    'weekend <множитель>\n' +
+    'event <ДД.ММ.ГГГГ> <ДД.ММ.ГГГГ> <множитель> [название]\n\n' +
+    'Суммы: 3000000, 3м, 1.5млн, 500к. Множители: 1.5, x2';
+
+/**
+ * RewardManager - правила вознаграждения в админ-панели гаража
+ * Просмотр, изменение, включение/отключение и добавление правил
+ */
+class RewardManager {
+    /**
+     * @param {TelegramBot} bot - Экземпляр бота
+     * @param {RoleManager} roleManager - Менеджер ролей
+     */
+    constructor(bot, roleManager) {
+        this.bot = bot;
+        this.roleManager = roleManager;
+        this.EDIT_STATES = EDIT_STATES;
+
+        // Администраторы, вводящие значение или новое правило
+        this.editSessions = new SessionStore('reward_admin', { ttl: 10 * 60 * 1000 });
+    }
+
+    /**
+     * Получить сессию редактирования администратора
+     * @param {number} telegramId - Telegram ID администратора
+     * @returns {Object|null}
+     */
+    getEditSession(telegramId) {
+        return this.editSessions.get(telegramId) || null;
+    }
+
+    /**
+     * Зарегистрировать маршруты правил вознаграждения
+     * @param {Router} router - Маршрутизатор бота
+     */
+    registerRoutes(router) {
+        const adminOptions = {
+            guard: 'canManageGarage',
+            deniedMessage: '❌ Доступ запрещен! Эта команда доступна только администраторам.'
+        };
+
+        router
+            .callback('admin_rewards', (ctx) => this.handleRulesList(ctx.callbackQuery), adminOptions)
+            .callback('admin_reward_add', (ctx) => this.handleAddRule(ctx.callbackQuery), adminOptions)
+            .callback('admin_reward_:ruleId(int)', (ctx) => this.handleRuleView(ctx.callbackQuery, ctx.params.ruleId), adminOptions)
+            .callback('admin_reward_value_:ruleId(int)', (ctx) => this.handleEditValue(ctx.callbackQuery, ctx.params.ruleId), adminOptions)
+            .callback('admin_reward_toggle_:ruleId(int)', (ctx) => this.handleToggleRule(ctx.callbackQuery, ctx.params.ruleId), adminOptions)
+            .callback('admin_reward_delete_:ruleId(int)', (ctx) => this.handleDeleteRule(ctx.callbackQuery, ctx.params.ruleId), adminOptions);
+    }
+
+    /**
+     * Показать список правил
+     * @param {Object} callbackQuery - Callback query от Telegram
+     */
+    async handleRulesList(callbackQuery) {
+        this.editSessions.delete(callbackQuery.from.id);
+
+        const { text, keyboard } = await this.buildRulesList();
+
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.bot.editMessageText(text, {
+            chat_id: callbackQuery.message.chat.id,
+            message_id: callbackQuery.message.message_id,
+            reply_markup: { inline_keyboard: keyboard }
+        });
+    }
+
+    /**
+     * Сформировать список правил
+     * @returns {Promise<Object>} { text, keyboard }
+     */
+    async buildRulesList() {
+        const [rules, cars] = await Promise.all([
+            RewardRule.findAll(),
+            Garage.getAllCars()
+        ]);
+        const carNames = new Map(cars.map(car => [car.car_id, car.car_name]));
+
+        let text = '💰 ПРАВИЛА ВОЗНАГРАЖДЕНИЯ\n\n';
+        const keyboard = [];
+
+        for (const rule of rules) {
+            const description = RewardCalculator.describeRule(rule, carNames.get(rule.car_id));
+            text += `${rule.isActive() ? '' : '⏸ '}${description}\n`;
+            keyboard.push([{ text: description, callback_data: `admin_reward_${rule.id}` }]);
+        }
+
+        text += '\nНадбавки складываются с базой, множители применяются к итогу.';
+
+        keyboard.push([
+            { text: '➕ Добавить правило', callback_data: 'admin_reward_add' },
+            { text: '⬅️ Назад', callback_data: 'admin_menu' }
+        ]);
+
+        return { text, keyboard };
+    }
+
+    /**
+     * Показать карточку правила
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} ruleId - ID правила
+     */
+    async handleRuleView(callbackQuery, ruleId) {
+        const rule = await RewardRule.findById(ruleId);
+        if (!rule) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: 'Правило не найдено', show_alert: true });
+            return;
+        }
+
+        const car = rule.car_id ? await Garage.findById(rule.car_id) : null;
+
+        const text =
+            '💰 ПРАВИЛО ВОЗНАГРАЖДЕНИЯ\n\n' +
+            `${RewardCalculator.describeRule(rule, car ? car.car_name : null)}\n` +
+            `Состояние: ${rule.isActive() ? '✅ Действует' : '⏸ Отключено'}`;
+
+        const keyboard = [[{ text: '✏️ Изменить значение', callback_data: `admin_reward_value_${rule.id}` }]];
+        if (rule.rule_type !== 'base') {
+            keyboard.push([
+                { text: rule.isActive() ? '⏸ Отключить' : '▶️ Включить', callback_data: `admin_reward_toggle_${rule.id}` },
+                { text: '🗑️ Удалить', callback_data: `admin_reward_delete_${rule.id}` }
+            ]);
+        }
+        keyboard.push([{ text: '⬅️ Назад к правилам', callback_data: 'admin_rewards' }]);
+
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.bot.editMessageText(text, {
+            chat_id: callbackQuery.message.chat.id,
+            message_id: callbackQuery.message.message_id,
+            reply_markup: { inline_keyboard: keyboard }
+        });
+    }
+
+    /**
+     * Запросить новое значение правила
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} ruleId - ID правила
+     */
+    async handleEditValue(callbackQuery, ruleId) {
+        const rule = await RewardRule.findById(ruleId);
+        if (!rule) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: 'Правило не найдено', show_alert: true });
+            return;
+        }
+
+        this.editSessions.set(callbackQuery.from.id, {
+            state: EDIT_STATES.AWAITING_VALUE,
+            ruleId: rule.id
+        });
+
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.bot.sendMessage(callbackQuery.message.chat.id,
+            rule.usesMultiplier()
+                ? '📝 Введите новый множитель (например, 1.5):'
+                : '📝 Введите новую сумму (например, 3м или 500к):',
+            { reply_markup: { inline_keyboard: [[{ text: '❌ Отмена', callback_data: 'admin_rewards' }]] } }
+        );
+    }
+
+    /**
+     * Запросить строку нового правила
+     * @param {Object} callbackQuery - Callback query от Telegram
+     */
+    async handleAddRule(callbackQuery) {
+        this.editSessions.set(callbackQuery.from.id, { state: EDIT_STATES.AWAITING_RULE });
+
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.bot.sendMessage(callbackQuery.message.chat.id,
+            `📝 Введите правило одной строкой:\n\n${RULE_FORMAT_HELP}`,
+            { reply_markup: { inline_keyboard: [[{ text: '❌ Отмена', callback_data: 'admin_rewards' }]] } }
+        );
+    }
+
+    /**
+     * Обработать введенное значение или правило
+     * @param {Object} msg - Сообщение от Telegram
+     */
+    async handleTextInput(msg) {
+        const chatId = msg.chat.id;
+        const session = this.getEditSession(msg.from.id);
+        const text = (msg.text || '').trim();
+
+        try {
+            if (session.state === EDIT_STATES.AWAITING_VALUE) {
+                const rule = await RewardRule.findById(session.ruleId);
+                if (!rule) {
+                    throw new Error('Правило не найдено');
+                }
+
+                const value = rule.usesMultiplier()
+                    ? RewardCalculator.parseMultiplier(text)
+                    : RewardCalculator.parseAmount(text);
+                if (value === null) {
+                    await this.bot.sendMessage(chatId, '❌ Не удалось распознать значение. Попробуйте снова:');
+                    return;
+                }
+
+                await rule.setValue(value);
+            } else {
+                let ruleData;
+                try {
+                    ruleData = RewardCalculator.parseRule(text);
+                } catch (parseError) {
+                    await this.bot.sendMessage(chatId, `❌ ${parseError.message}\n\nПопробуйте снова:`);
+                    return;
+                }
+
+                if (ruleData.car_id && !(await Garage.findById(ruleData.car_id))) {
+                    await this.bot.sendMessage(chatId, `❌ Автомобиль #${ruleData.car_id} не найден. Попробуйте снова:`);
+                    return;
+                }
+
+                const admin = await User.findByTelegramId(msg.from.id);
+                await RewardRule.create({ ...ruleData, created_by: admin ? admin.id : null });
+            }
+
+            this.editSessions.delete(msg.from.id);
+
+            const { text: listText, keyboard } = await this.buildRulesList();
+            await this.bot.sendMessage(chatId, `✅ Правила обновлены\n\n${listText}`, {
+                reply_markup: { inline_keyboard: keyboard }
+            });
+
+        } catch (error) {
+            console.error('Ошибка изменения правил вознаграждения:', error);
+            this.editSessions.delete(msg.from.id);
+            await this.bot.sendMessage(chatId, `❌ Произошла ошибка: ${error.message}`);
+        }
+    }
+
+    /**
+     * Включить или отключить правило
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} ruleId - ID правила
+     */
+    async handleToggleRule(callbackQuery, ruleId) {
+        try {
+            const rule = await RewardRule.findById(ruleId);
+            if (!rule) {
+                throw new Error('Правило не найдено');
+            }
+
+            await rule.setActive(!rule.isActive());
+            await this.handleRuleView(callbackQuery, ruleId);
+
+        } catch (error) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: error.message, show_alert: true });
+        }
+    }
+
+    /**
+     * Удалить правило
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} ruleId - ID правила
+     */
+    async handleDeleteRule(callbackQuery, ruleId) {
+        try {
+            const rule = await RewardRule.findById(ruleId);
+            if (!rule) {
+                throw new Error('Правило не найдено');
+            }
+
+            await rule.delete();
+            await this.handleRulesList(callbackQuery);
+
+        } catch (error) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: error.message, show_alert: true });
+        }
+    }
+}
+
+module.exports = RewardManager;
\ No newline at end of file
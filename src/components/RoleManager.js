@@ -0,0 +1,420 @@
+const User = require('../database/models/user');
+const UserRole = require('../database/models/userRole');
+const {
+    ROLES,
+    STAFF_ROLES,
+    ROLE_TITLES,
+    ROLE_ICONS,
+    ROLE_PERMISSIONS
+} = require('../../config/roles');
+
+/**
+ * RoleManager - управление ролями семьи (лидер, заместители, модераторы)
+ * Хранит роли в таблице user_roles и обрабатывает команды /promote, /demote, /roles
+ */
+class RoleManager {
+    constructor(bot, leaderId, outbound = null) {
+        this.bot = bot;
+        this.outbound = outbound || bot; // Очередь исходящих сообщений для уведомлений
+        this.leaderId = leaderId;
+
+        // Кэш назначенных ролей: telegramId -> role
+        this.roles = new Map();
+    }
+
+    /**
+     * Загрузить назначенные роли из базы данных
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const assignedRoles = await UserRole.findAll();
+
+        this.roles.clear();
+        assignedRoles.forEach(assigned => {
+            this.roles.set(Number(assigned.telegram_id), assigned.role);
+        });
+
+        console.log(`🎖️ Загружено ролей: ${this.roles.size}`);
+    }
+
+    /**
+     * Убедиться, что лидер из конфигурации записан в таблицу ролей
+     * @param {User} leaderUser - Пользователь-лидер
+     * @returns {Promise<void>}
+     */
+    async ensureLeader(leaderUser) {
+        if (this.roles.get(Number(leaderUser.telegram_id)) === 'leader') {
+            return;
+        }
+
+        await UserRole.assign({
+            user_id: leaderUser.id,
+            telegram_id: leaderUser.telegram_id,
+            role: 'leader',
+            assigned_by: null
+        });
+        this.roles.set(Number(leaderUser.telegram_id), 'leader');
+    }
+
+    /**
+     * Получить роль пользователя
+     * @param {number} telegramId - Telegram ID пользователя
+     * @param {Object} user - Объект пользователя из БД (опционально)
+     * @returns {string} - Роль пользователя
+     */
+    getRole(telegramId, user = null) {
+        if (this.leaderId && telegramId === this.leaderId) {
+            return 'leader';
+        }
+
+        const assignedRole = this.roles.get(Number(telegramId));
+        if (assignedRole && STAFF_ROLES.includes(assignedRole)) {
+            return assignedRole;
+        }
+
+        if (user && typeof user.isAuthorized === 'function' && user.isAuthorized()) {
+            return 'member';
+        }
+
+        return assignedRole === 'member' ? 'member' : 'guest';
+    }
+
+    /**
+     * Получить ранг роли (чем больше, тем выше)
+     * @param {string} role - Роль
+     * @returns {number}
+     */
+    getRoleRank(role) {
+        return ROLES.indexOf(role);
+    }
+
+    /**
+     * Проверить, является ли пользователь членом руководства
+     * @param {number} telegramId - Telegram ID пользователя
+     * @returns {boolean}
+     */
+    isStaff(telegramId) {
+        return STAFF_ROLES.includes(this.getRole(telegramId));
+    }
+
+    /**
+     * Получить права роли
+     * @param {string} role - Роль
+     * @returns {Object}
+     */
+    getRolePermissions(role) {
+        return ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS.guest;
+    }
+
+    /**
+     * Проверить наличие права у пользователя
+     * @param {number} telegramId - Telegram ID пользователя
+     * @param {string} permission - Название права
+     * @returns {boolean}
+     */
+    hasPermission(telegramId, permission) {
+        const permissions = this.getRolePermissions(this.getRole(telegramId));
+        return permissions[permission] || false;
+    }
+
+    /**
+     * Получить Telegram ID всех пользователей с указанным правом
+     * @param {string} permission - Название права
+     * @returns {Array<number>}
+     */
+    getRecipients(permission) {
+        const recipients = [];
+
+        if (this.leaderId && this.getRolePermissions('leader')[permission]) {
+            recipients.push(this.leaderId);
+        }
+
+        for (const [telegramId, role] of this.roles.entries()) {
+            if (this.getRolePermissions(role)[permission] && !recipients.includes(telegramId)) {
+                recipients.push(telegramId);
+            }
+        }
+
+        return recipients;
+    }
+
+    /**
+     * Получить название роли
+     * @param {string} role - Роль
+     * @returns {string}
+     */
+    getRoleTitle(role) {
+        return ROLE_TITLES[role] || 'Неизвестно';
+    }
+
+    /**
+     * Получить иконку роли
+     * @param {string} role - Роль
+     * @returns {string}
+     */
+    getRoleIcon(role) {
+        return ROLE_ICONS[role] || '❓';
+    }
+
+    /**
+     * Назначить роль пользователю
+     * @param {User} targetUser - Пользователь, которому меняется роль
+     * @param {string} newRole - Новая роль
+     * @param {number} actorTelegramId - Telegram ID инициатора
+     * @returns {Promise<Object>} - { oldRole, newRole }
+     */
+    async setRole(targetUser, newRole, actorTelegramId) {
+        if (!ROLES.includes(newRole)) {
+            throw new Error(`Неизвестная роль: ${newRole}`);
+        }
+
+        const actorRole = this.getRole(actorTelegramId);
+        if (!this.getRolePermissions(actorRole).canManageRoles) {
+            throw new Error('У вас нет прав для управления ролями');
+        }
+
+        const targetTelegramId = Number(targetUser.telegram_id);
+        if (targetTelegramId === actorTelegramId) {
+            throw new Error('Нельзя изменить собственную роль');
+        }
+
+        const oldRole = this.getRole(targetTelegramId, targetUser);
+        const actorRank = this.getRoleRank(actorRole);
+
+        if (this.getRoleRank(oldRole) >= actorRank) {
+            throw new Error('Нельзя изменить роль пользователя с равным или более высоким рангом');
+        }
+
+        if (this.getRoleRank(newRole) >= actorRank) {
+            throw new Error(`Вы не можете назначить роль «${this.getRoleTitle(newRole)}»`);
+        }
+
+        if (this.getRoleRank(newRole) < this.getRoleRank('member')) {
+            throw new Error('Понизить ниже участника нельзя');
+        }
+
+        if (!targetUser.isAuthorized()) {
+            throw new Error('Роль можно назначить только авторизованному пользователю');
+        }
+
+        if (newRole === 'member') {
+            // Участник - роль по умолчанию для авторизованных, запись не нужна
+            await UserRole.remove(targetTelegramId);
+            this.roles.delete(targetTelegramId);
+        } else {
+            const actor = await User.findByTelegramId(actorTelegramId);
+            await UserRole.assign({
+                user_id: targetUser.id,
+                telegram_id: targetTelegramId,
+                role: newRole,
+                assigned_by: actor ? actor.id : null
+            });
+            this.roles.set(targetTelegramId, newRole);
+        }
+
+        console.log(`🎖️ Роль пользователя ${targetTelegramId} изменена: ${oldRole} → ${newRole} (инициатор ${actorTelegramId})`);
+
+        return { oldRole, newRole };
+    }
+
+    /**
+     * Повысить пользователя (на одну ступень или до указанной роли)
+     * @param {User} targetUser - Пользователь
+     * @param {number} actorTelegramId - Telegram ID инициатора
+     * @param {string|null} role - Целевая роль (опционально)
+     * @returns {Promise<Object>}
+     */
+    async promote(targetUser, actorTelegramId, role = null) {
+        const currentRole = this.getRole(Number(targetUser.telegram_id), targetUser);
+        const newRole = role || ROLES[this.getRoleRank(currentRole) + 1];
+
+        if (!newRole || this.getRoleRank(newRole) <= this.getRoleRank(currentRole)) {
+            throw new Error('Пользователь уже имеет эту или более высокую роль');
+        }
+
+        return this.setRole(targetUser, newRole, actorTelegramId);
+    }
+
+    /**
+     * Понизить пользователя на одну ступень
+     * @param {User} targetUser - Пользователь
+     * @param {number} actorTelegramId - Telegram ID инициатора
+     * @returns {Promise<Object>}
+     */
+    async demote(targetUser, actorTelegramId) {
+        const currentRole = this.getRole(Number(targetUser.telegram_id), targetUser);
+        const newRole = ROLES[this.getRoleRank(currentRole) - 1];
+
+        if (!newRole || !STAFF_ROLES.includes(currentRole)) {
+            throw new Error('Пользователь не входит в руководство');
+        }
+
+        return this.setRole(targetUser, newRole, actorTelegramId);
+    }
+
+    /**
+     * Найти пользователя по аргументу команды или ответу на сообщение
+     * @param {Object} msg - Сообщение от Telegram
+     * @param {string} arg - @username или Telegram ID
+     * @returns {Promise<User|null>}
+     */
+    async resolveTargetUser(msg, arg) {
+        if (arg) {
+            if (arg.startsWith('@')) {
+                return User.findByUsername(arg.slice(1));
+            }
+
+            const telegramId = parseInt(arg);
+            return isNaN(telegramId) ? null : User.findByTelegramId(telegramId);
+        }
+
+        if (msg.reply_to_message && msg.reply_to_message.from) {
+            return User.findByTelegramId(msg.reply_to_message.from.id);
+        }
+
+        return null;
+    }
+
+    /**
+     * Зарегистрировать команды управления ролями
+     * @param {Router} router - Маршрутизатор бота
+     */
+    registerRoutes(router) {
+        router
+            .command('promote', (ctx) => this.handlePromoteCommand(ctx.msg))
+            .command('demote', (ctx) => this.handleDemoteCommand(ctx.msg))
+            .command('roles', (ctx) => this.handleRolesCommand(ctx.msg));
+    }
+
+    /**
+     * Обработать команду /promote <@username|id> [роль]
+     * @param {Object} msg - Сообщение от Telegram
+     */
+    async handlePromoteCommand(msg) {
+        const chatId = msg.chat.id;
+        const telegramId = msg.from.id;
+        const [, targetArg, roleArg] = (msg.text || '').trim().split(/\s+/);
+
+        try {
+            if (!this.hasPermission(telegramId, 'canManageRoles')) {
+                await this.bot.sendMessage(chatId, '❌ У вас нет прав для управления ролями.');
+                return;
+            }
+
+            const targetUser = await this.resolveTargetUser(msg, targetArg);
+            if (!targetUser) {
+                await this.bot.sendMessage(chatId,
+                    '❌ Пользователь не найден.\n\n' +
+                    'Использование: /promote <@username|ID> [moderator|deputy]'
+                );
+                return;
+            }
+
+            const role = roleArg ? roleArg.toLowerCase() : null;
+            const result = await this.promote(targetUser, telegramId, role);
+
+            await this.bot.sendMessage(chatId,
+                `✅ ${targetUser.getDisplayName()}: ` +
+                `${this.getRoleTitle(result.oldRole)} → ${this.getRoleIcon(result.newRole)} ${this.getRoleTitle(result.newRole)}`
+            );
+            await this.notifyRoleChange(targetUser, result);
+
+        } catch (error) {
+            console.error('Ошибка обработки команды /promote:', error);
+            await this.bot.sendMessage(chatId, `❌ ${error.message}`);
+        }
+    }
+
+    /**
+     * Обработать команду /demote <@username|id>
+     * @param {Object} msg - Сообщение от Telegram
+     */
+    async handleDemoteCommand(msg) {
+        const chatId = msg.chat.id;
+        const telegramId = msg.from.id;
+        const [, targetArg] = (msg.text || '').trim().split(/\s+/);
+
+        try {
+            if (!this.hasPermission(telegramId, 'canManageRoles')) {
+                await this.bot.sendMessage(chatId, '❌ У вас нет прав для управления ролями.');
+                return;
+            }
+
+            const targetUser = await this.resolveTargetUser(msg, targetArg);
+            if (!targetUser) {
+                await this.bot.sendMessage(chatId,
+                    '❌ Пользователь не найден.\n\n' +
+                    'Использование: /demote <@username|ID>'
+                );
+                return;
+            }
+
+            const result = await this.demote(targetUser, telegramId);
+
+            await this.bot.sendMessage(chatId,
+                `✅ ${targetUser.getDisplayName()}: ` +
+                `${this.getRoleTitle(result.oldRole)} → ${this.getRoleIcon(result.newRole)} ${this.getRoleTitle(result.newRole)}`
+            );
+            await this.notifyRoleChange(targetUser, result);
+
+        } catch (error) {
+            console.error('Ошибка обработки команды /demote:', error);
+            await this.bot.sendMessage(chatId, `❌ ${error.message}`);
+        }
+    }
+
+    /**
+     * Обработать команду /roles - список руководства семьи
+     * @param {Object} msg - Сообщение от Telegram
+     */
+    async handleRolesCommand(msg) {
+        const chatId = msg.chat.id;
+
+        try {
+            if (!this.isStaff(msg.from.id)) {
+                await this.bot.sendMessage(chatId, '❌ Команда доступна только руководству семьи.');
+                return;
+            }
+
+            const staff = await UserRole.findByRoles(STAFF_ROLES);
+            staff.sort((a, b) => this.getRoleRank(b.role) - this.getRoleRank(a.role));
+
+            let messageText = '🎖️ РУКОВОДСТВО СЕМЬИ\n\n';
+            for (const assigned of staff) {
+                const user = await User.findById(assigned.user_id);
+                const name = user ? user.getDisplayName() : `ID ${assigned.telegram_id}`;
+                messageText += `${this.getRoleIcon(assigned.role)} ${this.getRoleTitle(assigned.role)}: ${name}\n`;
+            }
+
+            if (staff.length === 0) {
+                messageText += 'Роли пока не назначены.';
+            }
+
+            await this.bot.sendMessage(chatId, messageText);
+
+        } catch (error) {
+            console.error('Ошибка обработки команды /roles:', error);
+            await this.bot.sendMessage(chatId, '❌ Ошибка загрузки списка ролей.');
+        }
+    }
+
+    /**
+     * Уведомить пользователя об изменении роли
+     * @param {User} targetUser - Пользователь
+     * @param {Object} result - { oldRole, newRole }
+     */
+    async notifyRoleChange(targetUser, result) {
+        try {
+            const isPromotion = this.getRoleRank(result.newRole) > this.getRoleRank(result.oldRole);
+            const messageText = isPromotion
+                ? `🎉 Вы назначены на роль ${this.getRoleIcon(result.newRole)} ${this.getRoleTitle(result.newRole)}!`
+                : `ℹ️ Ваша роль изменена на ${this.getRoleIcon(result.newRole)} ${this.getRoleTitle(result.newRole)}.`;
+
+            await this.outbound.sendMessage(targetUser.telegram_id, messageText);
+        } catch (error) {
+            console.error('❌ Ошибка уведомления об изменении роли:', error);
+        }
+    }
+}
+
+module.exports = RoleManager;
\ No newline at end of file
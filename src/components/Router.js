@@ -0,0 +1,416 @@
+/**
+ * Router - маршрутизатор команд и callback запросов бота
+ * Компоненты объявляют свои маршруты через registerRoutes(router),
+ * параметры маршрутов разбираются по типам, доступ проверяется guard'ами,
+ * общая логика (ошибки, метрики, ограничение частоты) выносится в middleware
+ */
+
+// Типы параметров маршрута: регулярное выражение и преобразование значения
+const PARAM_TYPES = {
+    int: { pattern: '\\d+', parse: value => parseInt(value, 10) },
+    string: { pattern: '[^_]+', parse: value => value },
+    any: { pattern: '.+', parse: value => value }
+};
+
+const ROUTER_MESSAGES = {
+    UNKNOWN_CALLBACK: '❓ Неизвестная команда',
+    ACCESS_DENIED: '❌ У вас нет прав для выполнения этого действия',
+    ERROR_OCCURRED: 'Произошла ошибка',
+    RATE_LIMITED: '⏳ Слишком много запросов. Подождите немного'
+};
+
+class Router {
+    /**
+     * @param {Object} bot - Экземпляр Telegram бота
+     * @param {Object} options - Настройки
+     * @param {Object} options.roleManager - Менеджер ролей для guard'ов по правам
+     */
+    constructor(bot, options = {}) {
+        this.bot = bot;
+        this.roleManager = options.roleManager || null;
+        this.middlewares = [];
+        this.callbackRoutes = [];
+        this.commandRoutes = new Map();
+        this.stats = new Map();
+    }
+
+    /**
+     * Добавить глобальный middleware
+     * @param {Function} middleware - async (ctx, next) => {}
+     * @returns {Router}
+     */
+    use(middleware) {
+        this.middlewares.push(middleware);
+        return this;
+    }
+
+    /**
+     * Объявить маршрут callback запроса
+     * Шаблон: 'garage_approve_:id(int)', 'help_:section(any)', 'admin_menu'
+     * @param {string} pattern - Шаблон callback_data
+     * @param {Function} handler - async (ctx) => {}
+     * @param {Object} options - Настройки маршрута
+     * @param {string|Function} options.guard - Право из ROLE_PERMISSIONS или функция (ctx) => boolean
+     * @param {Array<Function>} options.middleware - Middleware только для этого маршрута
+     * @param {string} options.deniedMessage - Текст при отказе в доступе
+     * @param {string} options.errorMessage - Текст при ошибке обработчика
+     * @returns {Router}
+     */
+    callback(pattern, handler, options = {}) {
+        const compiled = Router.compile(pattern);
+
+        const duplicate = this.callbackRoutes.find(route => route.pattern === pattern);
+        if (duplicate) {
+            throw new Error(`Маршрут ${pattern} уже зарегистрирован`);
+        }
+
+        this.callbackRoutes.push({
+            type: 'callback',
+            pattern,
+            regex: compiled.regex,
+            params: compiled.params,
+            isStatic: compiled.params.length === 0,
+            handler,
+            options
+        });
+        return this;
+    }
+
+    /**
+     * Объявить маршрут команды
+     * @param {string} name - Имя команды без слеша
+     * @param {Function} handler - async (ctx) => {}
+     * @param {Object} options - Настройки маршрута (как у callback)
+     * @returns {Router}
+     */
+    command(name, handler, options = {}) {
+        if (this.commandRoutes.has(name)) {
+            throw new Error(`Команда /${name} уже зарегистрирована`);
+        }
+
+        this.commandRoutes.set(name, {
+            type: 'command',
+            pattern: `/${name}`,
+            handler,
+            options
+        });
+        return this;
+    }
+
+    /**
+     * Найти маршрут для callback_data
+     * Точные маршруты имеют приоритет над маршрутами с параметрами
+     * @param {string} data - callback_data
+     * @returns {Object|null} { route, params }
+     */
+    match(data) {
+        const staticRoute = this.callbackRoutes.find(route => route.isStatic && route.pattern === data);
+        if (staticRoute) {
+            return { route: staticRoute, params: {} };
+        }
+
+        for (const route of this.callbackRoutes) {
+            if (route.isStatic) {
+                continue;
+            }
+
+            const match = route.regex.exec(data);
+            if (match) {
+                const params = {};
+                route.params.forEach((param, index) => {
+                    params[param.name] = PARAM_TYPES[param.type].parse(match[index + 1]);
+                });
+                return { route, params };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Обработать callback запрос
+     * @param {Object} callbackQuery - Callback query объект
+     * @returns {Promise<boolean>} Найден ли маршрут
+     */
+    async handleCallback(callbackQuery) {
+        const matched = this.match(callbackQuery.data || '');
+
+        if (!matched) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, {
+                text: ROUTER_MESSAGES.UNKNOWN_CALLBACK,
+                show_alert: true
+            });
+            return false;
+        }
+
+        const ctx = this.createContext(matched.route, {
+            callbackQuery,
+            data: callbackQuery.data,
+            telegramId: callbackQuery.from.id,
+            chatId: callbackQuery.message ? callbackQuery.message.chat.id : callbackQuery.from.id,
+            params: matched.params
+        });
+
+        await this.dispatch(ctx);
+        return true;
+    }
+
+    /**
+     * Обработать команду
+     * @param {Object} msg - Сообщение Telegram
+     * @returns {Promise<boolean>} Найдена ли команда
+     */
+    async handleCommand(msg) {
+        const parsed = Router.parseCommand(msg.text);
+        const route = parsed ? this.commandRoutes.get(parsed.name) : null;
+
+        if (!route) {
+            return false;
+        }
+
+        const ctx = this.createContext(route, {
+            msg,
+            telegramId: msg.from.id,
+            chatId: msg.chat.id,
+            args: parsed.args,
+            params: {}
+        });
+
+        await this.dispatch(ctx);
+        return true;
+    }
+
+    /**
+     * Подключить маршрутизатор к боту
+     */
+    attach() {
+        this.bot.on('callback_query', (callbackQuery) => this.handleCallback(callbackQuery));
+        this.bot.on('message', (msg) => {
+            if (msg.text && msg.text.startsWith('/')) {
+                return this.handleCommand(msg);
+            }
+        });
+    }
+
+    /**
+     * Получить статистику вызовов маршрутов
+     * @returns {Object} { шаблон: { calls, errors, totalTime } }
+     */
+    getStats() {
+        return Object.fromEntries(this.stats);
+    }
+
+    /**
+     * Создать контекст запроса
+     * @param {Object} route - Найденный маршрут
+     * @param {Object} fields - Поля запроса
+     * @returns {Object}
+     */
+    createContext(route, fields) {
+        return {
+            bot: this.bot,
+            router: this,
+            route,
+            state: {},
+            ...fields,
+
+            /**
+             * Ответить пользователю: всплывающим уведомлением для callback, сообщением для команды
+             * @param {string} text - Текст ответа
+             */
+            reply: async function(text) {
+                if (this.callbackQuery) {
+                    await this.bot.answerCallbackQuery(this.callbackQuery.id, { text, show_alert: true });
+                } else {
+                    await this.bot.sendMessage(this.chatId, text);
+                }
+            }
+        };
+    }
+
+    /**
+     * Выполнить цепочку middleware, guard и обработчик маршрута
+     * @param {Object} ctx - Контекст запроса
+     * @returns {Promise<void>}
+     */
+    async dispatch(ctx) {
+        const { route } = ctx;
+        const chain = [
+            ...this.middlewares,
+            ...(route.options.middleware || []),
+            async (context, next) => {
+                if (!(await this.checkGuard(context))) {
+                    await context.reply(route.options.deniedMessage || ROUTER_MESSAGES.ACCESS_DENIED);
+                    return;
+                }
+                await next();
+            },
+            (context) => route.handler(context)
+        ];
+
+        const run = async (index) => {
+            const middleware = chain[index];
+            if (middleware) {
+                await middleware(ctx, () => run(index + 1));
+            }
+        };
+
+        await run(0);
+    }
+
+    /**
+     * Проверить guard маршрута
+     * @param {Object} ctx - Контекст запроса
+     * @returns {Promise<boolean>}
+     */
+    async checkGuard(ctx) {
+        const { guard } = ctx.route.options;
+
+        if (!guard) {
+            return true;
+        }
+
+        if (typeof guard === 'function') {
+            return Boolean(await guard(ctx));
+        }
+
+        return Boolean(this.roleManager && this.roleManager.hasPermission(ctx.telegramId, guard));
+    }
+
+    /**
+     * Скомпилировать шаблон маршрута в регулярное выражение
+     * @param {string} pattern - Шаблон маршрута
+     * @returns {Object} { regex, params }
+     */
+    static compile(pattern) {
+        const params = [];
+        const paramRegex = /:([A-Za-z]\w*?)(?:\((\w+)\))?(?=_|$)/g;
+        let source = '';
+        let lastIndex = 0;
+        let match;
+
+        while ((match = paramRegex.exec(pattern)) !== null) {
+            const [, name, type = 'string'] = match;
+            if (!PARAM_TYPES[type]) {
+                throw new Error(`Неизвестный тип параметра ${type} в маршруте ${pattern}`);
+            }
+
+            source += Router.escape(pattern.slice(lastIndex, match.index));
+            source += `(${PARAM_TYPES[type].pattern})`;
+            params.push({ name, type });
+            lastIndex = match.index + match[0].length;
+        }
+
+        source += Router.escape(pattern.slice(lastIndex));
+        return { regex: new RegExp(`^${source}$`), params };
+    }
+
+    /**
+     * Экранировать спецсимволы регулярного выражения
+     * @param {string} text - Текст
+     * @returns {string}
+     */
+    static escape(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Разобрать текст команды
+     * @param {string} text - Текст сообщения
+     * @returns {Object|null} { name, args }
+     */
+    static parseCommand(text) {
+        const match = /^\/([A-Za-z0-9_]+)(?:@\w+)?(?:\s+([\s\S]*))?$/.exec((text || '').trim());
+        if (!match) {
+            return null;
+        }
+        return { name: match[1], args: match[2] ? match[2].trim() : '' };
+    }
+
+    /**
+     * Middleware обработки ошибок
+     * @returns {Function}
+     */
+    static errorHandler() {
+        return async (ctx, next) => {
+            try {
+                await next();
+            } catch (error) {
+                console.error(`Error handling route ${ctx.route.pattern}:`, error);
+                try {
+                    await ctx.reply(ctx.route.options.errorMessage || ROUTER_MESSAGES.ERROR_OCCURRED);
+                } catch (replyError) {
+                    console.error('Error sending error reply:', replyError);
+                }
+            }
+        };
+    }
+
+    /**
+     * Middleware ограничения частоты запросов одного пользователя
+     * @param {Object} options - Настройки
+     * @param {number} options.limit - Максимум запросов в окне
+     * @param {number} options.windowMs - Размер окна в миллисекундах
+     * @returns {Function}
+     */
+    static rateLimit({ limit = 20, windowMs = 10 * 1000 } = {}) {
+        const hits = new Map();
+        let lastSweep = Date.now();
+
+        return async (ctx, next) => {
+            const now = Date.now();
+
+            // Раз в окно убираем пользователей без запросов в текущем окне,
+            // иначе Map растет с каждым новым пользователем
+            if (now - lastSweep >= windowMs) {
+                for (const [telegramId, times] of hits) {
+                    if (now - times[times.length - 1] >= windowMs) {
+                        hits.delete(telegramId);
+                    }
+                }
+                lastSweep = now;
+            }
+
+            const recent = (hits.get(ctx.telegramId) || []).filter(time => now - time < windowMs);
+
+            if (recent.length >= limit) {
+                hits.set(ctx.telegramId, recent);
+                await ctx.reply(ROUTER_MESSAGES.RATE_LIMITED);
+                return;
+            }
+
+            recent.push(now);
+            hits.set(ctx.telegramId, recent);
+            await next();
+        };
+    }
+
+    /**
+     * Middleware сбора метрик маршрутов (количество вызовов, ошибки, время)
+     * Статистика доступна через router.getStats()
+     * @returns {Function}
+     */
+    static metrics() {
+        return async (ctx, next) => {
+            const { stats } = ctx.router;
+            const startedAt = Date.now();
+            const entry = stats.get(ctx.route.pattern) || { calls: 0, errors: 0, totalTime: 0 };
+            entry.calls++;
+            stats.set(ctx.route.pattern, entry);
+
+            try {
+                await next();
+            } catch (error) {
+                entry.errors++;
+                throw error;
+            } finally {
+                entry.totalTime += Date.now() - startedAt;
+            }
+        };
+    }
+}
+
+Router.PARAM_TYPES = PARAM_TYPES;
+Router.MESSAGES = ROUTER_MESSAGES;
+
+module.exports = Router;
@@ -0,0 +1,227 @@
+const database = require('../database/connection');
+const ConversationSession = require('../database/models/conversationSession');
+
+const DEFAULT_TTL = 30 * 60 * 1000; // 30 минут
+
+// Все созданные хранилища по имени сценария
+const stores = new Map();
+
+/**
+ * SessionStore - хранилище состояний многошаговых диалогов
+ * Работает как Map с TTL: чтение идет из памяти, каждое изменение
+ * записывается в таблицу conversation_sessions, поэтому после
+ * перезапуска бота незавершенные диалоги восстанавливаются через restore()
+ */
+class SessionStore extends Map {
+    /**
+     * @param {string} scope - Имя сценария (auth, garage, ...)
+     * @param {Object} options - Настройки
+     * @param {number} options.ttl - Время жизни сессии в миллисекундах
+     * @param {Object} options.transitions - Допустимые переходы { состояние: [следующие состояния] }
+     */
+    constructor(scope, options = {}) {
+        super();
+        this.scope = scope;
+        this.ttl = options.ttl || DEFAULT_TTL;
+        this.transitions = options.transitions || null;
+        this.pending = Promise.resolve();
+
+        stores.set(scope, this);
+    }
+
+    /**
+     * Сохранить сессию
+     * @param {number|string} key - Ключ сессии (обычно Telegram ID)
+     * @param {Object} session - Данные сессии
+     * @returns {SessionStore}
+     */
+    set(key, session) {
+        const value = {
+            ...session,
+            startTime: session.startTime || Date.now()
+        };
+
+        super.set(key, value);
+        this.enqueue(() => ConversationSession.save(this.scope, key, value, this.ttl));
+        return this;
+    }
+
+    /**
+     * Получить сессию, если она не истекла
+     * @param {number|string} key - Ключ сессии
+     * @returns {Object|undefined}
+     */
+    get(key) {
+        const session = super.get(key);
+        if (session && this.isExpired(session)) {
+            this.delete(key);
+            return undefined;
+        }
+        return session;
+    }
+
+    /**
+     * Удалить сессию
+     * @param {number|string} key - Ключ сессии
+     * @returns {boolean}
+     */
+    delete(key) {
+        const existed = super.delete(key);
+        if (existed) {
+            this.enqueue(() => ConversationSession.remove(this.scope, key));
+        }
+        return existed;
+    }
+
+    /**
+     * Удалить все сессии сценария
+     */
+    clear() {
+        super.clear();
+        this.enqueue(() => ConversationSession.removeScope(this.scope));
+    }
+
+    /**
+     * Перевести сессию в новое состояние
+     * @param {number|string} key - Ключ сессии
+     * @param {string} nextState - Новое состояние
+     * @param {Object} data - Дополнительные данные сессии
+     * @returns {Object} Обновленная сессия
+     */
+    transition(key, nextState, data = {}) {
+        const session = this.get(key);
+        if (!session) {
+            throw new Error(`Сессия ${this.scope} для ${key} не найдена`);
+        }
+
+        if (this.transitions) {
+            const allowed = this.transitions[session.state] || [];
+            if (!allowed.includes(nextState)) {
+                throw new Error(`Недопустимый переход ${this.scope}: ${session.state} → ${nextState}`);
+            }
+        }
+
+        this.set(key, { ...session, ...data, state: nextState });
+        return super.get(key);
+    }
+
+    /**
+     * Проверить, истекла ли сессия
+     * @param {Object} session - Данные сессии
+     * @param {number} now - Текущее время
+     * @returns {boolean}
+     */
+    isExpired(session, now = Date.now()) {
+        return now - session.startTime > this.ttl;
+    }
+
+    /**
+     * Удалить истекшие сессии
+     * @returns {Array<number|string>} Ключи удаленных сессий
+     */
+    cleanupExpired() {
+        const now = Date.now();
+        const removed = [];
+
+        for (const [key, session] of super.entries()) {
+            if (this.isExpired(session, now)) {
+                super.delete(key);
+                removed.push(key);
+            }
+        }
+
+        this.enqueue(() => ConversationSession.deleteExpired(this.scope, now));
+        return removed;
+    }
+
+    /**
+     * Загрузить незавершенные сессии из базы данных
+     * @returns {Promise<number>} Количество восстановленных сессий
+     */
+    async restore() {
+        if (!database.isConnected()) {
+            return 0;
+        }
+
+        const rows = await ConversationSession.findActiveByScope(this.scope);
+        for (const row of rows) {
+            super.set(SessionStore.parseKey(row.session_key), row.data);
+        }
+        return rows.length;
+    }
+
+    /**
+     * Дождаться записи всех изменений в базу данных
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.pending;
+    }
+
+    /**
+     * Поставить запись в очередь, сохраняя порядок изменений
+     * @param {Function} operation - Операция с базой данных
+     */
+    enqueue(operation) {
+        if (!database.isConnected()) {
+            return;
+        }
+
+        this.pending = this.pending
+            .then(operation)
+            .catch(error => {
+                console.error(`❌ Ошибка сохранения сессии ${this.scope}:`, error.message);
+            });
+    }
+
+    /**
+     * Восстановить числовой ключ (Telegram ID) из строки базы данных
+     * @param {string} key - Ключ из базы данных
+     * @returns {number|string}
+     */
+    static parseKey(key) {
+        return /^-?\d+$/.test(key) ? Number(key) : key;
+    }
+
+    /**
+     * Получить хранилище по имени сценария
+     * @param {string} scope - Имя сценария
+     * @returns {SessionStore|null}
+     */
+    static getStore(scope) {
+        return stores.get(scope) || null;
+    }
+
+    /**
+     * Восстановить сессии всех хранилищ
+     * @returns {Promise<number>} Количество восстановленных сессий
+     */
+    static async restoreAll() {
+        let restored = 0;
+        for (const store of stores.values()) {
+            restored += await store.restore();
+        }
+        return restored;
+    }
+
+    /**
+     * Дождаться записи изменений всех хранилищ
+     * @returns {Promise<void>}
+     */
+    static async flushAll() {
+        await Promise.all([...stores.values()].map(store => store.flush()));
+    }
+
+    /**
+     * Очистить истекшие сессии всех хранилищ
+     */
+    static cleanupAll() {
+        for (const store of stores.values()) {
+            for (const key of store.cleanupExpired()) {
+                console.log(`Очищена истекшая сессия ${store.scope} для ${key}`);
+            }
+        }
+    }
+}
+
+module.exports = SessionStore;
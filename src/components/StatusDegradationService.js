@@ -0,0 +1,197 @@
+const Garage = require('../database/models/garage');
+const User = require('../database/models/user');
+const StatusUpdaterService = require('./StatusUpdaterService');
+const NotificationService = require('./NotificationService');
+const degradationConfig = require('../../config/degradation');
+
+// Порядок состояний от лучшего к худшему
+const STATUS_ORDER = ['Хорошее', 'Среднее', 'Плохое'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SOURCE = 'StatusDegradationService';
+
+/**
+ * StatusDegradationService - естественный износ автомобилей гаража
+ * По расписанию понижает состояние ('Хорошее' → 'Среднее' → 'Плохое')
+ * по числу дней с последнего ТО, записывает переходы через StatusUpdaterService
+ * и сообщает участникам семьи, какие автомобили требуют обслуживания
+ */
+class StatusDegradationService {
+    /**
+     * @param {TelegramBot} bot - Экземпляр бота
+     * @param {StatusUpdaterService} statusUpdater - Служба обновления статусов
+     * @param {OutboundQueue} outbound - Очередь уведомлений (по умолчанию сообщения отправляет бот)
+     * @param {NotificationService} notifications - Уведомления с учетом настроек пользователя
+     */
+    constructor(bot, statusUpdater = new StatusUpdaterService(), outbound = null, notifications = null) {
+        this.bot = bot;
+        this.outbound = outbound || bot;
+        this.notifications = notifications || NotificationService.direct(this.outbound);
+        this.statusUpdater = statusUpdater;
+        this.auditLogger = statusUpdater.auditLogger;
+    }
+
+    /**
+     * Получить интервалы износа автомобиля (собственные или по умолчанию)
+     * @param {Garage} car - Автомобиль
+     * @returns {{mediumDays: number, badDays: number, custom: boolean}}
+     */
+    static getIntervals(car) {
+        if (car.degrade_medium_days && car.degrade_bad_days) {
+            return { mediumDays: car.degrade_medium_days, badDays: car.degrade_bad_days, custom: true };
+        }
+        return {
+            mediumDays: degradationConfig.mediumAfterDays,
+            badDays: degradationConfig.badAfterDays,
+            custom: false
+        };
+    }
+
+    /**
+     * Определить состояние, до которого автомобиль износился к моменту now
+     * Износ только ухудшает состояние: улучшить его может лишь обслуживание
+     * @param {Garage} car - Автомобиль
+     * @param {Date} now - Момент проверки
+     * @returns {string} Новое состояние (или текущее, если износа нет)
+     */
+    static getTargetStatus(car, now = new Date()) {
+        const since = car.last_maintenance || car.created_at;
+        if (!since) {
+            return car.status;
+        }
+
+        const { mediumDays, badDays } = StatusDegradationService.getIntervals(car);
+        const days = (now.getTime() - new Date(since).getTime()) / DAY_MS;
+
+        let target = 'Хорошее';
+        if (days >= badDays) {
+            target = 'Плохое';
+        } else if (days >= mediumDays) {
+            target = 'Среднее';
+        }
+
+        return STATUS_ORDER.indexOf(target) > STATUS_ORDER.indexOf(car.status) ? target : car.status;
+    }
+
+    /**
+     * Разобрать ввод интервалов администратором: "30 60" или "0" для значений по умолчанию
+     * @param {string} text - Введенный текст
+     * @returns {{mediumDays: number|null, badDays: number|null}|null}
+     */
+    static parseIntervals(text) {
+        const parts = String(text).trim().split(/[\s,;/-]+/).filter(Boolean);
+
+        if (parts.length === 1 && parts[0] === '0') {
+            return { mediumDays: null, badDays: null };
+        }
+        if (parts.length !== 2 || !parts.every(part => /^\d+$/.test(part))) {
+            return null;
+        }
+
+        const [mediumDays, badDays] = parts.map(part => parseInt(part, 10));
+        if (mediumDays < 1 || badDays <= mediumDays) {
+            return null;
+        }
+        return { mediumDays, badDays };
+    }
+
+    /**
+     * Проверить все автомобили и применить износ
+     * @param {Date} now - Момент проверки
+     * @returns {Promise<Array<Object>>} Выполненные переходы
+     */
+    async run(now = new Date()) {
+        const startTime = Date.now();
+        const batchId = this.auditLogger.generateBatchId();
+        const transitions = [];
+        const errors = [];
+        let cars;
+
+        try {
+            cars = await Garage.getAllCars();
+        } catch (error) {
+            console.error('❌ Ошибка проверки износа автомобилей:', error);
+            return transitions;
+        }
+
+        const pending = cars
+            .map(car => ({ car, target: StatusDegradationService.getTargetStatus(car, now) }))
+            .filter(({ car, target }) => target !== car.status);
+
+        if (pending.length === 0) {
+            return transitions;
+        }
+
+        await this.auditLogger.logBatchStart({
+            source: SOURCE,
+            operator: 'system',
+            batchId,
+            totalVehicles: pending.length
+        });
+
+        for (const { car, target } of pending) {
+            const { mediumDays, badDays } = StatusDegradationService.getIntervals(car);
+            try {
+                const transition = await this.statusUpdater.applyStatusChange(car, target, {
+                    updateReason: `Износ: ${target === 'Плохое' ? badDays : mediumDays} дн. без обслуживания`,
+                    source: SOURCE,
+                    operator: 'system',
+                    batchId,
+                    resetMaintenance: false
+                });
+                transitions.push(transition);
+            } catch (error) {
+                errors.push({ carId: car.car_id, carName: car.car_name, error: error.message });
+            }
+        }
+
+        await this.auditLogger.logBatchComplete({
+            source: SOURCE,
+            operator: 'system',
+            batchId,
+            success: errors.length === 0,
+            totalVehicles: pending.length,
+            successfulUpdates: transitions.length,
+            failedUpdates: errors.length,
+            processingTime: Date.now() - startTime,
+            errors
+        });
+
+        if (transitions.length > 0) {
+            await this.notifyMembers(transitions);
+        }
+
+        return transitions;
+    }
+
+    /**
+     * Сообщить участникам семьи об автомобилях, требующих обслуживания
+     * @param {Array<Object>} transitions - Выполненные переходы
+     * @returns {Promise<number>} Число отправленных уведомлений (без недоступных и отключивших их пользователей)
+     */
+    async notifyMembers(transitions) {
+        const lines = transitions.map(item => `• ${item.carName}: ${item.oldStatus} → ${item.newStatus}`);
+        const text =
+            '🔧 АВТОМОБИЛИ ТРЕБУЮТ ОБСЛУЖИВАНИЯ\n\n' +
+            `${lines.join('\n')}\n\n` +
+            'Обслужите автомобиль и отправьте отчет через /takecar, чтобы получить вознаграждение.';
+
+        let delivered = 0;
+        const members = await User.findAuthorized();
+
+        for (const member of members) {
+            try {
+                if (await this.notifications.notify(member.telegram_id, 'car_service', text)) {
+                    delivered++;
+                }
+            } catch (error) {
+                console.error(`❌ Ошибка уведомления об износе для ${member.telegram_id}:`, error.message);
+            }
+        }
+
+        return delivered;
+    }
+}
+
+StatusDegradationService.STATUS_ORDER = STATUS_ORDER;
+
+module.exports = StatusDegradationService;
\ No newline at end of file
@@ -1,13 +1,18 @@
 const Garage = require('../database/models/garage');
 const database = require('../database/connection');
+const AuditLogger = require('./AuditLogger');
 
 /**
  * StatusUpdaterService - Служба для обновления статусов автомобилей
  * Обеспечивает централизованное управление обновлениями статусов с валидацией и аудитом
  */
 class StatusUpdaterService {
-    constructor() {
+    /**
+     * @param {AuditLogger} auditLogger - Журнал аудита изменений статусов
+     */
+    constructor(auditLogger = new AuditLogger()) {
         this.validStatuses = ['Хорошее', 'Среднее', 'Плохое'];
+        this.auditLogger = auditLogger;
     }
 
     /**
@@ -169,6 +174,65 @@ class StatusUpdaterService {
         return logEntry;
     }
 
+    /**
+     * Применить переход статуса к найденному автомобилю с записью в журнал аудита
+     * @param {Object} vehicle - Автомобиль (car_id, car_name, status)
+     * @param {string} newStatus - Новый статус
+     * @param {Object} [options]
+     * @param {string} [options.updateReason] - Причина изменения
+     * @param {string} [options.source] - Источник изменения
+     * @param {string} [options.operator] - Кто инициировал изменение
+     * @param {string} [options.batchId] - ID пакета обновлений
+     * @param {boolean} [options.resetMaintenance=true] - Отметить обслуживание автомобиля
+     * @returns {Promise<Object>} Результат перехода
+     */
+    async applyStatusChange(vehicle, newStatus, options = {}) {
+        const startTime = Date.now();
+        const oldStatus = vehicle.status;
+        const auditData = {
+            carId: vehicle.car_id,
+            carName: vehicle.car_name,
+            oldStatus,
+            updateReason: options.updateReason,
+            source: options.source,
+            operator: options.operator,
+            batchId: options.batchId
+        };
+
+        if (!this.validateStatusTransition(oldStatus, newStatus)) {
+            const error = `Недопустимый переход статуса с "${oldStatus}" на "${newStatus}"`;
+            await this.auditLogger.logStatusUpdateError({ ...auditData, attemptedStatus: newStatus, error });
+            throw new Error(error);
+        }
+
+        try {
+            await Garage.updateStatus(vehicle.car_id, newStatus, {
+                resetMaintenance: options.resetMaintenance !== false
+            });
+        } catch (error) {
+            await this.auditLogger.logStatusUpdateError({
+                ...auditData,
+                attemptedStatus: newStatus,
+                error: error.message,
+                processingTime: Date.now() - startTime
+            });
+            throw error;
+        }
+
+        await this.auditLogger.logStatusUpdate({
+            ...auditData,
+            newStatus,
+            processingTime: Date.now() - startTime
+        });
+
+        return {
+            carId: vehicle.car_id,
+            carName: vehicle.car_name,
+            oldStatus,
+            newStatus
+        };
+    }
+
     /**
      * Обновление статуса одного автомобиля
      * @param {string} carName - Название автомобиля
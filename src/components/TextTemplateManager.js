@@ -0,0 +1,453 @@
+const SessionStore = require('./SessionStore');
+const { I18n, i18n } = require('../i18n');
+const { LOCALES, LOCALE_TITLES } = require('../../config/i18n');
+const botTextsConfig = require('../../config/botTexts');
+
+const { EDITABLE_TEXTS, HTML_TAGS } = botTextsConfig;
+
+const TEMPLATE_STATES = {
+    AWAITING_TEXT: 'awaiting_text',
+    CONFIRM: 'confirm'
+};
+
+const CANCEL_BUTTON = { text: '❌ Отмена', callback_data: 'txt_cancel' };
+
+/**
+ * TextTemplateManager - редактирование текстов бота администраторами
+ * /texts и «Настройки» меню администратора: список текстов, предпросмотр
+ * с примерами переменных, изменение и возврат текста по умолчанию.
+ * Измененные тексты хранятся в bot_texts и заменяют тексты каталога
+ */
+class TextTemplateManager {
+    /**
+     * @param {TelegramBot} bot - Экземпляр бота
+     * @param {Object} options - Настройки (по умолчанию из config/botTexts)
+     * @param {I18n} localizer - Каталог сообщений
+     */
+    constructor(bot, options = botTextsConfig, localizer = i18n) {
+        this.bot = bot;
+        this.i18n = localizer;
+        this.texts = options.EDITABLE_TEXTS || EDITABLE_TEXTS;
+        this.keys = Object.keys(this.texts);
+        this.maxTextLength = options.maxTextLength;
+        this.STATES = TEMPLATE_STATES;
+
+        // Администраторы, вводящие новый текст
+        this.sessions = new SessionStore('text_templates', { ttl: 30 * 60 * 1000 });
+    }
+
+    /**
+     * Зарегистрировать маршруты редактора текстов
+     * @param {Router} router - Маршрутизатор бота
+     */
+    registerRoutes(router) {
+        const options = {
+            guard: 'canChangeSettings',
+            deniedMessage: '❌ Доступ запрещен! Тексты бота меняет только руководство.',
+            errorMessage: '❌ Не удалось изменить текст. Попробуйте позже.'
+        };
+
+        router
+            .command('texts', (ctx) => this.handleCommand(ctx.msg), options)
+            .callback('texts_:locale(string)', (ctx) => this.handleListCallback(ctx.callbackQuery, ctx.params.locale), options)
+            .callback('txt_view_:index(int)_:locale(string)', (ctx) => this.handleViewCallback(ctx.callbackQuery, ctx.params.index, ctx.params.locale), options)
+            .callback('txt_preview_:index(int)_:locale(string)', (ctx) => this.handlePreviewCallback(ctx.callbackQuery, ctx.params.index, ctx.params.locale), options)
+            .callback('txt_edit_:index(int)_:locale(string)', (ctx) => this.handleEditCallback(ctx.callbackQuery, ctx.params.index, ctx.params.locale), options)
+            .callback('txt_reset_:index(int)_:locale(string)', (ctx) => this.handleResetCallback(ctx.callbackQuery, ctx.params.index, ctx.params.locale), options)
+            .callback('txt_save', (ctx) => this.handleSaveCallback(ctx.callbackQuery), options)
+            .callback('txt_cancel', (ctx) => this.handleCancelCallback(ctx.callbackQuery), options);
+    }
+
+    /**
+     * Получить сессию ввода текста
+     * @param {number} telegramId - Telegram ID администратора
+     * @returns {Object|null}
+     */
+    getSession(telegramId) {
+        return this.sessions.get(telegramId) || null;
+    }
+
+    /**
+     * Переменные, доступные в тексте: подстановки текстов по умолчанию всех языков
+     * @param {string} key - Ключ текста
+     * @returns {Array<string>}
+     */
+    getVariables(key) {
+        const names = new Set();
+        for (const locale of LOCALES) {
+            I18n.placeholders(this.i18n.getDefault(locale, key) || '').forEach(name => names.add(name));
+        }
+        return [...names];
+    }
+
+    /**
+     * Проверить разметку HTML: только теги Telegram, все теги закрыты, & и < экранированы
+     * @param {string} text - Текст
+     * @returns {Array<string>} Ошибки
+     */
+    static validateHtml(text) {
+        const errors = [];
+        const open = [];
+
+        for (const match of text.matchAll(/<[^<>]*>|<|&[^;\s]*;?/g)) {
+            const token = match[0];
+            if (token.startsWith('&')) {
+                if (!/^&(lt|gt|amp|quot|#\d+|#x[0-9a-fA-F]+);$/.test(token)) {
+                    errors.push(`Символ & нужно писать как &amp; (позиция ${match.index + 1})`);
+                }
+                continue;
+            }
+
+            const tag = /^<(\/?)([a-z-]+)(\s+[a-z-]+="[^"<>]*")*\s*>$/.exec(token);
+            if (!tag) {
+                errors.push(`Символ < нужно писать как &lt; (позиция ${match.index + 1})`);
+                continue;
+            }
+
+            const [, closing, name] = tag;
+            if (!HTML_TAGS.includes(name)) {
+                errors.push(`Тег <${name}> не поддерживается Telegram`);
+            } else if (!closing) {
+                open.push(name);
+            } else if (open[open.length - 1] === name) {
+                open.pop();
+            } else {
+                errors.push(`Лишний закрывающий тег </${name}>`);
+            }
+        }
+
+        open.forEach(name => errors.push(`Тег <${name}> не закрыт`));
+        return errors;
+    }
+
+    /**
+     * Проверить новый текст
+     * @param {string} key - Ключ текста
+     * @param {string} text - Текст администратора
+     * @returns {Array<string>} Ошибки; пустой массив - текст можно сохранить
+     */
+    validate(key, text) {
+        const errors = [];
+        if (!text) {
+            return ['Текст пустой'];
+        }
+        if (text.length > this.maxTextLength) {
+            errors.push(`Текст слишком длинный: ${text.length} символов, максимум ${this.maxTextLength}`);
+        }
+
+        // Скобки вне подстановок {name} - опечатка в имени переменной
+        if (/[{}]/.test(text.replace(/\{\w+\}/g, ''))) {
+            errors.push('Непарная фигурная скобка: переменные пишутся как {name}');
+        }
+
+        const variables = this.getVariables(key);
+        const unknown = I18n.placeholders(text).filter(name => !variables.includes(name));
+        if (unknown.length > 0) {
+            const allowed = variables.length > 0 ? variables.map(name => `{${name}}`).join(', ') : 'нет';
+            errors.push(`Неизвестные переменные: ${unknown.map(name => `{${name}}`).join(', ')}. Доступны: ${allowed}`);
+        }
+
+        if (this.texts[key].html) {
+            errors.push(...TextTemplateManager.validateHtml(text));
+        }
+        return errors;
+    }
+
+    /**
+     * Текст с примерами переменных так, как его увидит пользователь
+     * @param {string} key - Ключ текста
+     * @param {string} template - Текст
+     * @returns {string}
+     */
+    renderSample(key, template) {
+        return this.i18n.render(key, template, this.texts[key].sample);
+    }
+
+    /**
+     * Список редактируемых текстов
+     * @param {string} locale - Язык текстов
+     * @returns {{text: string, keyboard: Array}}
+     */
+    buildList(locale) {
+        const text = '📝 ТЕКСТЫ БОТА\n\n' +
+            `🌐 Язык: ${LOCALE_TITLES[locale]}\n` +
+            '✏️ - изменен администратором, 📄 - текст по умолчанию\n\n' +
+            'Выберите текст:';
+
+        const keyboard = this.keys.map((key, index) => [{
+            text: `${this.i18n.isCustomized(locale, key) ? '✏️' : '📄'} ${this.texts[key].title}`,
+            callback_data: `txt_view_${index}_${locale}`
+        }]);
+        keyboard.push(LOCALES.filter(code => code !== locale).map(code => ({
+            text: LOCALE_TITLES[code],
+            callback_data: `texts_${code}`
+        })));
+        keyboard.push([{ text: '🏠 Главное меню', callback_data: 'help_main' }]);
+
+        return { text, keyboard };
+    }
+
+    /**
+     * Список текстов на языке администратора
+     * @param {Object} subject - Пользователь или объект from от Telegram
+     * @returns {{text: string, keyboard: Array}}
+     */
+    buildListFor(subject) {
+        return this.buildList(this.i18n.resolveLocale(subject));
+    }
+
+    /**
+     * Карточка текста: текущий текст и переменные
+     * @param {number} index - Номер текста в списке
+     * @param {string} locale - Язык текста
+     * @returns {{text: string, keyboard: Array}}
+     */
+    buildView(index, locale) {
+        const key = this.keys[index];
+        const config = this.texts[key];
+        const customized = this.i18n.isCustomized(locale, key);
+        const variables = this.getVariables(key);
+
+        let text = `📝 ${config.title}\n\n` +
+            `🔑 ${key} · ${LOCALE_TITLES[locale]}\n` +
+            `${customized ? '✏️ Изменен администратором' : '📄 Текст по умолчанию'}\n`;
+        if (variables.length > 0) {
+            text += `🔤 Переменные: ${variables.map(name => `{${name}}`).join(', ')}\n`;
+        }
+        if (config.html) {
+            text += '🏷️ Разметка HTML: <b>, <i>, <u>, <s>, <code>, <a href="...">\n';
+        }
+        text += `\n${this.i18n.get(locale, key)}`;
+
+        const keyboard = [
+            [
+                { text: '👁️ Предпросмотр', callback_data: `txt_preview_${index}_${locale}` },
+                { text: '✏️ Изменить', callback_data: `txt_edit_${index}_${locale}` }
+            ]
+        ];
+        if (customized) {
+            keyboard.push([{ text: '↩️ Вернуть текст по умолчанию', callback_data: `txt_reset_${index}_${locale}` }]);
+        }
+        keyboard.push([{ text: '🔙 К списку', callback_data: `texts_${locale}` }]);
+
+        return { text, keyboard };
+    }
+
+    /**
+     * Проверить номер текста и язык из кнопки
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} index - Номер текста
+     * @param {string} locale - Язык
+     * @returns {Promise<boolean>}
+     */
+    async checkTarget(callbackQuery, index, locale) {
+        if (index < this.keys.length && this.i18n.isSupported(locale)) {
+            return true;
+        }
+        await this.bot.answerCallbackQuery(callbackQuery.id, { text: 'Текст не найден', show_alert: true });
+        return false;
+    }
+
+    /**
+     * Обработать команду /texts
+     * @param {Object} msg - Сообщение от Telegram
+     */
+    async handleCommand(msg) {
+        this.sessions.delete(msg.from.id);
+
+        const list = this.buildListFor(msg.from);
+        await this.bot.sendMessage(msg.chat.id, list.text, {
+            reply_markup: { inline_keyboard: list.keyboard }
+        });
+    }
+
+    /**
+     * Показать список текстов на выбранном языке
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {string} locale - Язык текстов
+     */
+    async handleListCallback(callbackQuery, locale) {
+        if (!this.i18n.isSupported(locale)) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: 'Неизвестный язык', show_alert: true });
+            return;
+        }
+
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.editPanel(callbackQuery, this.buildList(locale));
+    }
+
+    /**
+     * Показать карточку текста
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} index - Номер текста
+     * @param {string} locale - Язык текста
+     */
+    async handleViewCallback(callbackQuery, index, locale) {
+        if (!await this.checkTarget(callbackQuery, index, locale)) {
+            return;
+        }
+
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.editPanel(callbackQuery, this.buildView(index, locale));
+    }
+
+    /**
+     * Отправить текущий текст с примерами переменных
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} index - Номер текста
+     * @param {string} locale - Язык текста
+     */
+    async handlePreviewCallback(callbackQuery, index, locale) {
+        if (!await this.checkTarget(callbackQuery, index, locale)) {
+            return;
+        }
+
+        const key = this.keys[index];
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.sendSample(callbackQuery.message.chat.id, key, this.i18n.get(locale, key));
+    }
+
+    /**
+     * Запросить новый текст
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} index - Номер текста
+     * @param {string} locale - Язык текста
+     */
+    async handleEditCallback(callbackQuery, index, locale) {
+        if (!await this.checkTarget(callbackQuery, index, locale)) {
+            return;
+        }
+
+        const key = this.keys[index];
+        this.sessions.set(callbackQuery.from.id, { state: TEMPLATE_STATES.AWAITING_TEXT, index, locale });
+
+        const variables = this.getVariables(key);
+        await this.bot.answerCallbackQuery(callbackQuery.id);
+        await this.bot.sendMessage(callbackQuery.message.chat.id,
+            `✏️ ${this.texts[key].title} · ${LOCALE_TITLES[locale]}\n\n` +
+            '📝 Отправьте новый текст.' +
+            (variables.length > 0 ? `\n🔤 Переменные: ${variables.map(name => `{${name}}`).join(', ')}` : ''),
+            { reply_markup: { inline_keyboard: [[CANCEL_BUTTON]] } }
+        );
+    }
+
+    /**
+     * Принять новый текст и показать предпросмотр
+     * @param {Object} msg - Сообщение от Telegram
+     */
+    async handleTextInput(msg) {
+        const session = this.getSession(msg.from.id);
+        if (session.state !== TEMPLATE_STATES.AWAITING_TEXT) {
+            await this.bot.sendMessage(msg.chat.id, '👆 Сохраните или отмените текст кнопками выше.');
+            return;
+        }
+
+        const key = this.keys[session.index];
+        const text = (msg.text || '').trim();
+        const errors = this.validate(key, text);
+        if (errors.length > 0) {
+            await this.bot.sendMessage(msg.chat.id,
+                `❌ Текст не сохранен:\n${errors.map(error => `• ${error}`).join('\n')}\n\n📝 Отправьте исправленный текст.`,
+                { reply_markup: { inline_keyboard: [[CANCEL_BUTTON]] } }
+            );
+            return;
+        }
+
+        this.sessions.set(msg.from.id, { ...session, state: TEMPLATE_STATES.CONFIRM, text });
+
+        await this.sendSample(msg.chat.id, key, text);
+        await this.bot.sendMessage(msg.chat.id,
+            '👁️ ПРЕДПРОСМОТР\n\n' +
+            'Так текст увидят пользователи (переменные заменены примерами).',
+            {
+                reply_markup: {
+                    inline_keyboard: [
+                        [{ text: '✅ Сохранить', callback_data: 'txt_save' }],
+                        [{ text: '✏️ Изменить', callback_data: `txt_edit_${session.index}_${session.locale}` }],
+                        [CANCEL_BUTTON]
+                    ]
+                }
+            }
+        );
+    }
+
+    /**
+     * Сохранить текст после предпросмотра
+     * @param {Object} callbackQuery - Callback query от Telegram
+     */
+    async handleSaveCallback(callbackQuery) {
+        const session = this.getSession(callbackQuery.from.id);
+        if (!session || session.state !== TEMPLATE_STATES.CONFIRM) {
+            await this.bot.answerCallbackQuery(callbackQuery.id, { text: 'Текст уже сохранен или отменен', show_alert: true });
+            return;
+        }
+
+        const key = this.keys[session.index];
+        await this.i18n.saveText(session.locale, key, session.text, callbackQuery.from.id);
+        this.sessions.delete(callbackQuery.from.id);
+        console.log(`📝 Администратор ${callbackQuery.from.id} изменил текст ${key} (${session.locale})`);
+
+        await this.bot.answerCallbackQuery(callbackQuery.id, { text: '✅ Текст сохранен' });
+        await this.editPanel(callbackQuery, this.buildView(session.index, session.locale));
+    }
+
+    /**
+     * Вернуть текст по умолчанию
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {number} index - Номер текста
+     * @param {string} locale - Язык текста
+     */
+    async handleResetCallback(callbackQuery, index, locale) {
+        if (!await this.checkTarget(callbackQuery, index, locale)) {
+            return;
+        }
+
+        const key = this.keys[index];
+        await this.i18n.resetText(locale, key);
+        console.log(`📝 Администратор ${callbackQuery.from.id} вернул текст ${key} (${locale}) по умолчанию`);
+
+        await this.bot.answerCallbackQuery(callbackQuery.id, { text: '↩️ Восстановлен текст по умолчанию' });
+        await this.editPanel(callbackQuery, this.buildView(index, locale));
+    }
+
+    /**
+     * Отменить изменение текста
+     * @param {Object} callbackQuery - Callback query от Telegram
+     */
+    async handleCancelCallback(callbackQuery) {
+        const session = this.getSession(callbackQuery.from.id);
+        this.sessions.delete(callbackQuery.from.id);
+
+        await this.bot.answerCallbackQuery(callbackQuery.id, { text: 'Изменение отменено' });
+        const panel = session
+            ? this.buildView(session.index, session.locale)
+            : this.buildListFor(callbackQuery.from);
+        await this.editPanel(callbackQuery, panel);
+    }
+
+    /**
+     * Отправить текст с примерами переменных в том виде, в каком его получат пользователи
+     * @param {number} chatId - ID чата администратора
+     * @param {string} key - Ключ текста
+     * @param {string} template - Текст
+     */
+    async sendSample(chatId, key, template) {
+        const options = this.texts[key].html ? { parse_mode: 'HTML' } : {};
+        await this.bot.sendMessage(chatId, this.renderSample(key, template), options);
+    }
+
+    /**
+     * Заменить сообщение панелью редактора
+     * @param {Object} callbackQuery - Callback query от Telegram
+     * @param {{text: string, keyboard: Array}} panel - Панель
+     */
+    async editPanel(callbackQuery, panel) {
+        await this.bot.editMessageText(panel.text, {
+            chat_id: callbackQuery.message.chat.id,
+            message_id: callbackQuery.message.message_id,
+            reply_markup: { inline_keyboard: panel.keyboard }
+        });
+    }
+}
+
+module.exports = TextTemplateManager;
\ No newline at end of file
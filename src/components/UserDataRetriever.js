@@ -7,10 +7,25 @@ const User = require('../database/models/user');
 const TelegramModel = require('../database/models/telegram');
 const AuthRequest = require('../database/models/authRequest');
 const HelpMetrics = require('../database/models/helpMetrics');
+const { i18n } = require('../i18n');
 
 class UserDataRetriever {
-    constructor(adminId) {
+    constructor(adminId, roleManager = null) {
         this.adminId = adminId;
+        this.roleManager = roleManager;
+    }
+
+    /**
+     * Check whether the user belongs to the family staff
+     * @param {number} telegramId - Telegram user ID
+     * @returns {boolean}
+     */
+    isAdmin(telegramId) {
+        if (this.roleManager) {
+            return this.roleManager.isStaff(telegramId);
+        }
+
+        return telegramId === this.adminId;
     }
 
     /**
@@ -26,15 +41,19 @@ class UserDataRetriever {
                 throw new Error('User not found');
             }
 
+            const isAdmin = this.isAdmin(telegramId);
+            const role = this.roleManager ? this.roleManager.getRole(telegramId) : null;
+
             // Get additional profile data
             const profileData = {
                 ...userData,
-                isAdmin: telegramId === this.adminId,
+                isAdmin,
+                role,
                 authRequest: await this.getAuthRequestData(telegramId),
                 lastActivity: await this.getLastActivity(telegramId),
-                memberSince: this.formatMemberSince(userData.created_at),
+                memberSince: this.formatMemberSince(userData.created_at, i18n.resolveLocale(userData)),
                 profileCompleteness: this.calculateProfileCompleteness(userData),
-                statusInfo: this.getStatusInfo(userData, telegramId === this.adminId)
+                statusInfo: this.getStatusInfo(userData, isAdmin, role)
             };
 
             return profileData;
@@ -80,10 +99,12 @@ class UserDataRetriever {
      */
     async getAuthRequestData(telegramId) {
         try {
-            const authRequest = await AuthRequest.findByTelegramId(telegramId, 'pending');
+            // Latest request of any status, so a rejection and its reason stay visible
+            const authRequest = await AuthRequest.findByTelegramId(telegramId);
             return authRequest ? {
                 status: authRequest.status,
                 submittedAt: authRequest.submitted_at,
+                rejectionReason: authRequest.rejection_reason || undefined,
                 hasRequest: true
             } : {
                 status: 'none',
@@ -153,10 +174,21 @@ class UserDataRetriever {
      * Get status information based on user type
      * @param {Object} userData - User data
      * @param {boolean} isAdmin - Whether user is admin
+     * @param {string|null} role - Staff role (deputy, moderator) for non-leader admins
      * @returns {Object} Status information
      */
-    getStatusInfo(userData, isAdmin) {
-        if (isAdmin) {
+    getStatusInfo(userData, isAdmin, role = null) {
+        if (isAdmin && role && role !== 'leader' && this.roleManager) {
+            const title = this.roleManager.getRoleTitle(role);
+            const icon = this.roleManager.getRoleIcon(role);
+            return {
+                type: 'admin',
+                badge: `${icon} ${title}`,
+                emoji: icon,
+                level: title,
+                description: 'Права руководства семьи'
+            };
+        } else if (isAdmin) {
             return {
                 type: 'admin',
                 badge: '👑 Лидер',
@@ -186,10 +218,12 @@ class UserDataRetriever {
     /**
      * Format member since date
      * @param {string} createdAt - User creation timestamp
+     * @param {string} locale - Locale code
      * @returns {string} Formatted date
      */
-    formatMemberSince(createdAt) {
-        if (!createdAt) return 'Неизвестно';
+    formatMemberSince(createdAt, locale = i18n.defaultLocale) {
+        const t = (key, params) => i18n.t(locale, `time.${key}`, params);
+        if (!createdAt) return t('unknown_title');
 
         try {
             const date = new Date(createdAt);
@@ -198,24 +232,21 @@ class UserDataRetriever {
             const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 
             if (diffDays < 1) {
-                return 'Сегодня';
+                return t('today_title');
             } else if (diffDays === 1) {
-                return 'Вчера';
+                return t('yesterday_title');
             } else if (diffDays < 7) {
-                return `${diffDays} дней назад`;
+                return t('days_ago', { count: diffDays });
             } else if (diffDays < 30) {
-                const weeks = Math.floor(diffDays / 7);
-                return `${weeks} ${weeks === 1 ? 'неделю' : 'недель'} назад`;
+                return t('weeks_ago', { count: Math.floor(diffDays / 7) });
             } else if (diffDays < 365) {
-                const months = Math.floor(diffDays / 30);
-                return `${months} ${months === 1 ? 'месяц' : 'месяцев'} назад`;
+                return t('months_ago', { count: Math.floor(diffDays / 30) });
             } else {
-                const years = Math.floor(diffDays / 365);
-                return `${years} ${years === 1 ? 'год' : 'лет'} назад`;
+                return t('years_ago', { count: Math.floor(diffDays / 365) });
             }
         } catch (error) {
             console.error('Error formatting member since date:', error);
-            return 'Неизвестно';
+            return t('unknown_title');
         }
     }
 
@@ -3,9 +3,12 @@
  * Анализирует статус авторизации и права доступа
  */
 
+const { ROLE_PERMISSIONS, ROLE_TITLES } = require('../../config/roles');
+
 class UserTypeDetector {
-    constructor(adminId) {
+    constructor(adminId, roleManager = null) {
         this.adminId = adminId;
+        this.roleManager = roleManager;
     }
 
     /**
@@ -35,9 +38,31 @@ class UserTypeDetector {
      * @returns {boolean}
      */
     isAdmin(telegramId) {
+        if (this.roleManager) {
+            return this.roleManager.isStaff(telegramId);
+        }
+
         return telegramId === this.adminId;
     }
 
+    /**
+     * Определить роль пользователя в семье
+     * @param {number} telegramId - Telegram ID пользователя
+     * @param {Object} user - Объект пользователя из БД
+     * @returns {string} - Роль: 'leader', 'deputy', 'moderator', 'member', 'guest'
+     */
+    getUserRole(telegramId, user) {
+        if (this.roleManager) {
+            return this.roleManager.getRole(telegramId, user);
+        }
+
+        if (telegramId === this.adminId) {
+            return 'leader';
+        }
+
+        return this.isAuthorized(user) ? 'member' : 'guest';
+    }
+
     /**
      * Проверить, является ли пользователь авторизованным
      * @param {Object} user - Объект пользователя из БД
@@ -50,9 +75,10 @@ class UserTypeDetector {
     /**
      * Получить права доступа пользователя
      * @param {string} userType - Тип пользователя
+     * @param {string|null} role - Роль пользователя (уточняет права администраторов)
      * @returns {Object} - Объект с правами доступа
      */
-    getUserPermissions(userType) {
+    getUserPermissions(userType, role = null) {
         const permissions = {
             admin: {
                 canViewAdminPanel: true,
@@ -97,17 +123,28 @@ class UserTypeDetector {
             }
         };
 
-        return permissions[userType] || permissions.unauthorized;
+        const basePermissions = permissions[userType] || permissions.unauthorized;
+
+        if (role && ROLE_PERMISSIONS[role]) {
+            return {
+                ...basePermissions,
+                ...ROLE_PERMISSIONS[role],
+                role
+            };
+        }
+
+        return basePermissions;
     }
 
     /**
      * Проверить доступ к функции
      * @param {string} userType - Тип пользователя
      * @param {string} action - Действие для проверки
+     * @param {string|null} role - Роль пользователя (опционально)
      * @returns {boolean}
      */
-    hasPermission(userType, action) {
-        const permissions = this.getUserPermissions(userType);
+    hasPermission(userType, action, role = null) {
+        const permissions = this.getUserPermissions(userType, role);
         return permissions[action] || false;
     }
 
@@ -165,6 +202,15 @@ class UserTypeDetector {
         return levelNames[userType] || 'Неизвестный';
     }
 
+    /**
+     * Получить название роли
+     * @param {string} role - Роль пользователя
+     * @returns {string} - Человекочитаемое название роли
+     */
+    getRoleName(role) {
+        return ROLE_TITLES[role] || 'Неизвестно';
+    }
+
     /**
      * Получить иконку для типа пользователя
      * @param {string} userType - Тип пользователя
@@ -0,0 +1,226 @@
+const http = require('http');
+const crypto = require('crypto');
+
+const SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+const MAX_BODY_SIZE = 1024 * 1024; // 1 МБ
+
+/**
+ * WebhookServer - HTTP сервер для приема обновлений Telegram в режиме webhook
+ * Проверяет секретный заголовок, передает обновления боту
+ * и отдает /healthz со статусом компонентов (подробности пишутся только в лог)
+ */
+class WebhookServer {
+    /**
+     * @param {Object} options - Настройки
+     * @param {string} options.path - Путь webhook (например /telegram/webhook)
+     * @param {string} options.secretToken - Секрет из заголовка X-Telegram-Bot-Api-Secret-Token
+     * @param {Function} options.onUpdate - Обработчик обновления (обычно bot.processUpdate)
+     * @param {Object} options.healthChecks - Проверки { имя: () => результат }
+     */
+    constructor(options = {}) {
+        this.path = options.path || '/telegram/webhook';
+        this.secretToken = options.secretToken || '';
+        this.onUpdate = options.onUpdate || (() => {});
+        this.healthChecks = options.healthChecks || {};
+        this.server = null;
+    }
+
+    /**
+     * Запустить сервер
+     * @param {number} port - Порт (0 - любой свободный)
+     * @param {string} host - Адрес
+     * @returns {Promise<number>} Фактический порт
+     */
+    start(port = 3000, host = '0.0.0.0') {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.handleRequest(req, res));
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                const address = this.server.address();
+                console.log(`Webhook server listening on ${host}:${address.port}`);
+                resolve(address.port);
+            });
+        });
+    }
+
+    /**
+     * Остановить сервер
+     * @returns {Promise<void>}
+     */
+    stop() {
+        return new Promise((resolve, reject) => {
+            if (!this.server) {
+                resolve();
+                return;
+            }
+
+            this.server.close((error) => {
+                this.server = null;
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Обработать HTTP запрос
+     * @param {http.IncomingMessage} req - Запрос
+     * @param {http.ServerResponse} res - Ответ
+     */
+    async handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        try {
+            if (url.pathname === '/healthz') {
+                if (req.method !== 'GET') {
+                    this.sendJson(res, 405, { error: 'Method not allowed' });
+                    return;
+                }
+
+                const health = await this.checkHealth();
+                this.sendJson(res, health.status === 'ok' ? 200 : 503, health);
+                return;
+            }
+
+            if (url.pathname === this.path) {
+                await this.handleWebhook(req, res);
+                return;
+            }
+
+            this.sendJson(res, 404, { error: 'Not found' });
+        } catch (error) {
+            console.error('Webhook server error:', error);
+            if (!res.headersSent) {
+                this.sendJson(res, 500, { error: 'Internal server error' });
+            }
+        }
+    }
+
+    /**
+     * Принять обновление Telegram
+     * @param {http.IncomingMessage} req - Запрос
+     * @param {http.ServerResponse} res - Ответ
+     */
+    async handleWebhook(req, res) {
+        if (req.method !== 'POST') {
+            this.sendJson(res, 405, { error: 'Method not allowed' });
+            return;
+        }
+
+        if (!this.isValidSecret(req.headers[SECRET_HEADER])) {
+            console.warn('Rejected webhook request with invalid secret token');
+            this.sendJson(res, 401, { error: 'Unauthorized' });
+            return;
+        }
+
+        let update;
+        try {
+            update = JSON.parse(await this.readBody(req));
+        } catch (error) {
+            this.sendJson(res, 400, { error: 'Invalid update payload' });
+            return;
+        }
+
+        // Telegram ждет быстрый ответ, поэтому обновление обрабатывается после ответа
+        this.sendJson(res, 200, { ok: true });
+
+        try {
+            await this.onUpdate(update);
+        } catch (error) {
+            console.error(`Error processing update ${update.update_id}:`, error);
+        }
+    }
+
+    /**
+     * Сравнить секретный заголовок за постоянное время
+     * @param {string} token - Значение заголовка
+     * @returns {boolean}
+     */
+    isValidSecret(token) {
+        if (!this.secretToken) {
+            return true;
+        }
+
+        if (typeof token !== 'string') {
+            return false;
+        }
+
+        const expected = Buffer.from(this.secretToken);
+        const actual = Buffer.from(token);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * Прочитать тело запроса
+     * @param {http.IncomingMessage} req - Запрос
+     * @returns {Promise<string>}
+     */
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            req.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > MAX_BODY_SIZE) {
+                    reject(new Error('Request body too large'));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Собрать состояние всех проверок
+     * Проверка может вернуть boolean или объект с полем overall.
+     * Наружу отдается только статус компонента: /healthz открыт без авторизации,
+     * поэтому подробности неудачных проверок уходят в лог
+     * @returns {Promise<Object>}
+     */
+    async checkHealth() {
+        const checks = {};
+        let healthy = true;
+
+        for (const [name, check] of Object.entries(this.healthChecks)) {
+            try {
+                const result = await check();
+                const ok = typeof result === 'boolean' ? result : Boolean(result && result.overall);
+                if (!ok) {
+                    console.warn(`Health check ${name} failed:`, JSON.stringify(result));
+                }
+                checks[name] = { status: ok ? 'ok' : 'failed' };
+                healthy = healthy && ok;
+            } catch (error) {
+                console.error(`Health check ${name} error:`, error.message);
+                checks[name] = { status: 'failed' };
+                healthy = false;
+            }
+        }
+
+        return {
+            status: healthy ? 'ok' : 'degraded',
+            checks,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Отправить JSON ответ
+     * @param {http.ServerResponse} res - Ответ
+     * @param {number} statusCode - HTTP статус
+     * @param {Object} body - Тело ответа
+     */
+    sendJson(res, statusCode, body) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(body));
+    }
+}
+
+module.exports = WebhookServer;
@@ -1,11 +1,14 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
 
 class Database {
     constructor() {
         this.db = null;
         this.dbPath = process.env.DATABASE_PATH || './data/bot.sqlite';
+        this.transactionScope = new AsyncLocalStorage();
+        this.activeTransaction = null;
     }
 
     /**
@@ -63,18 +66,8 @@ class Database {
      * @returns {Promise<Object>}
      */
     async run(sql, params = []) {
-        return new Promise((resolve, reject) => {
-            this.db.run(sql, params, function(err) {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve({
-                        id: this.lastID,
-                        changes: this.changes
-                    });
-                }
-            });
-        });
+        await this.waitForTransaction();
+        return this.execute('run', sql, params);
     }
 
     /**
@@ -84,15 +77,8 @@ class Database {
      * @returns {Promise<Object|undefined>}
      */
     async get(sql, params = []) {
-        return new Promise((resolve, reject) => {
-            this.db.get(sql, params, (err, row) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(row);
-                }
-            });
-        });
+        await this.waitForTransaction();
+        return this.execute('get', sql, params);
     }
 
     /**
@@ -102,58 +88,108 @@ class Database {
      * @returns {Promise<Array>}
      */
     async all(sql, params = []) {
+        await this.waitForTransaction();
+        return this.execute('all', sql, params);
+    }
+
+    /**
+     * Send a statement to sqlite3
+     * @param {string} method - 'run', 'get' or 'all'
+     * @param {string} sql - SQL query
+     * @param {Array} params - Query parameters
+     * @returns {Promise<*>}
+     */
+    execute(method, sql, params = []) {
         return new Promise((resolve, reject) => {
-            this.db.all(sql, params, (err, rows) => {
+            this.db[method](sql, params, function(err, result) {
                 if (err) {
                     reject(err);
+                } else if (method === 'run') {
+                    resolve({
+                        id: this.lastID,
+                        changes: this.changes
+                    });
                 } else {
-                    resolve(rows);
+                    resolve(result);
                 }
             });
         });
     }
 
+    /**
+     * Wait until a transaction started elsewhere finishes
+     * All queries share one connection, so a query issued outside the running
+     * transaction would otherwise become part of it
+     * @returns {Promise<void>}
+     */
+    async waitForTransaction() {
+        while (this.activeTransaction && this.transactionScope.getStore() !== this.activeTransaction) {
+            await this.activeTransaction.finished;
+        }
+    }
+
+    /**
+     * Run a function inside a transaction
+     * Everything the function awaits runs in the transaction; it is committed when the
+     * function resolves and rolled back when it throws. Nested calls use savepoints,
+     * so an inner failure can be caught without losing the outer work.
+     * @param {Function} fn - Async function
+     * @returns {Promise<*>} Result of the function
+     */
+    async withTransaction(fn) {
+        const current = this.transactionScope.getStore();
+        if (current && current === this.activeTransaction) {
+            const savepoint = `sp_${++current.savepoints}`;
+            await this.execute('run', `SAVEPOINT ${savepoint}`);
+            try {
+                const result = await fn();
+                await this.execute('run', `RELEASE ${savepoint}`);
+                return result;
+            } catch (error) {
+                await this.execute('run', `ROLLBACK TO ${savepoint}`);
+                await this.execute('run', `RELEASE ${savepoint}`);
+                throw error;
+            }
+        }
+
+        // No await between the check and taking the slot, so two callers cannot both take it
+        while (this.activeTransaction) {
+            await this.activeTransaction.finished;
+        }
+
+        let finish;
+        const transaction = {
+            savepoints: 0,
+            finished: new Promise(resolve => { finish = resolve; })
+        };
+        this.activeTransaction = transaction;
+
+        try {
+            await this.execute('run', 'BEGIN IMMEDIATE');
+            const result = await this.transactionScope.run(transaction, fn);
+            await this.execute('run', 'COMMIT');
+            return result;
+        } catch (error) {
+            await this.execute('run', 'ROLLBACK').catch(() => {});
+            throw error;
+        } finally {
+            this.activeTransaction = null;
+            finish();
+        }
+    }
+
     /**
      * Execute multiple SQL statements in a transaction
      * @param {Array<Object>} statements - Array of {sql, params} objects
      * @returns {Promise<Array>}
      */
     async transaction(statements) {
-        return new Promise((resolve, reject) => {
-            this.db.serialize(() => {
-                this.db.run('BEGIN TRANSACTION');
-                
-                const results = [];
-                let completed = 0;
-                let hasError = false;
-
-                statements.forEach((stmt, index) => {
-                    this.db.run(stmt.sql, stmt.params || [], function(err) {
-                        if (err && !hasError) {
-                            hasError = true;
-                            this.db.run('ROLLBACK');
-                            reject(err);
-                            return;
-                        }
-
-                        results[index] = {
-                            id: this.lastID,
-                            changes: this.changes
-                        };
-
-                        completed++;
-                        if (completed === statements.length && !hasError) {
-                            this.db.run('COMMIT', (err) => {
-                                if (err) {
-                                    reject(err);
-                                } else {
-                                    resolve(results);
-                                }
-                            });
-                        }
-                    });
-                });
-            });
+        return this.withTransaction(async () => {
+            const results = [];
+            for (const stmt of statements) {
+                results.push(await this.run(stmt.sql, stmt.params || []));
+            }
+            return results;
         });
     }
 
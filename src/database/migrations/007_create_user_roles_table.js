@@ -0,0 +1,37 @@
+/**
+ * Create user_roles table for the family role hierarchy
+ * Stores explicitly assigned roles (leader, deputy, moderator, member, guest)
+ */
+
+module.exports = {
+    version: '007',
+    description: 'Create user_roles table for multi-admin role system',
+
+    up: [
+        // Create user_roles table
+        `
+            CREATE TABLE IF NOT EXISTS user_roles (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                telegram_id BIGINT UNIQUE NOT NULL,
+                role TEXT NOT NULL DEFAULT 'member',
+                assigned_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (assigned_by) REFERENCES users(id) ON DELETE SET NULL,
+                CHECK (role IN ('leader', 'deputy', 'moderator', 'member', 'guest'))
+            )
+        `,
+
+        // Create indexes for better performance
+        'CREATE INDEX IF NOT EXISTS idx_user_roles_user_id ON user_roles (user_id)',
+        'CREATE INDEX IF NOT EXISTS idx_user_roles_role ON user_roles (role)'
+    ],
+
+    down: [
+        'DROP INDEX IF EXISTS idx_user_roles_role',
+        'DROP INDEX IF EXISTS idx_user_roles_user_id',
+        'DROP TABLE IF EXISTS user_roles'
+    ]
+};
\ No newline at end of file
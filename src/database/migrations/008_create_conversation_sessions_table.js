@@ -0,0 +1,33 @@
+/**
+ * Create conversation_sessions table
+ * Persists multi-step conversation state so flows survive bot restarts
+ */
+
+module.exports = {
+    version: '008',
+    description: 'Create conversation_sessions table for persistent conversation state',
+
+    up: [
+        // Create conversation_sessions table
+        `
+            CREATE TABLE IF NOT EXISTS conversation_sessions (
+                scope TEXT NOT NULL,
+                session_key TEXT NOT NULL,
+                state TEXT,
+                data TEXT NOT NULL DEFAULT '{}',
+                started_at INTEGER NOT NULL,
+                expires_at INTEGER NOT NULL,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (scope, session_key)
+            )
+        `,
+
+        // Create index for expiry cleanup
+        'CREATE INDEX IF NOT EXISTS idx_conversation_sessions_expires_at ON conversation_sessions (expires_at)'
+    ],
+
+    down: [
+        'DROP INDEX IF EXISTS idx_conversation_sessions_expires_at',
+        'DROP TABLE IF EXISTS conversation_sessions'
+    ]
+};
\ No newline at end of file
@@ -0,0 +1,36 @@
+/**
+ * Create auth_request_answers table for the authorization questionnaire
+ * Stores every questionnaire answer linked to its auth request
+ */
+
+module.exports = {
+    version: '009',
+    description: 'Create auth_request_answers table for questionnaire answers',
+
+    up: [
+        // Create auth_request_answers table
+        `
+            CREATE TABLE IF NOT EXISTS auth_request_answers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                auth_request_id INTEGER NOT NULL,
+                step_key TEXT NOT NULL,
+                step_type TEXT NOT NULL,
+                label TEXT,
+                value TEXT,
+                position INTEGER NOT NULL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (auth_request_id) REFERENCES auth_requests(id) ON DELETE CASCADE,
+                UNIQUE (auth_request_id, step_key),
+                CHECK (step_type IN ('text', 'photo', 'choice', 'number'))
+            )
+        `,
+
+        // Create index for lookups by request
+        'CREATE INDEX IF NOT EXISTS idx_auth_request_answers_request_id ON auth_request_answers (auth_request_id)'
+    ],
+
+    down: [
+        'DROP INDEX IF EXISTS idx_auth_request_answers_request_id',
+        'DROP TABLE IF EXISTS auth_request_answers'
+    ]
+};
\ No newline at end of file
@@ -0,0 +1,17 @@
+/**
+ * Add rejection_reason column to auth_requests
+ * Stores the reason an admin gave when rejecting an authorization request
+ */
+
+module.exports = {
+    version: '010',
+    description: 'Add rejection_reason to auth_requests',
+
+    up: [
+        'ALTER TABLE auth_requests ADD COLUMN rejection_reason TEXT'
+    ],
+
+    down: [
+        'ALTER TABLE auth_requests DROP COLUMN rejection_reason'
+    ]
+};
\ No newline at end of file
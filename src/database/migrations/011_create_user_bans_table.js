@@ -0,0 +1,40 @@
+/**
+ * Create user_bans table for the ban subsystem
+ * Keeps every ban with its reason, issuing admin, optional expiry and revocation
+ */
+
+module.exports = {
+    version: '011',
+    description: 'Create user_bans table for user blocking',
+
+    up: [
+        // Create user_bans table
+        `
+            CREATE TABLE IF NOT EXISTS user_bans (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                telegram_id BIGINT NOT NULL,
+                user_id INTEGER,
+                reason TEXT,
+                banned_by INTEGER,
+                expires_at DATETIME,
+                notified_at DATETIME,
+                revoked_at DATETIME,
+                revoked_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+                FOREIGN KEY (banned_by) REFERENCES users(id) ON DELETE SET NULL,
+                FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL
+            )
+        `,
+
+        // Create indexes for better performance
+        'CREATE INDEX IF NOT EXISTS idx_user_bans_telegram_id ON user_bans (telegram_id)',
+        'CREATE INDEX IF NOT EXISTS idx_user_bans_revoked_at ON user_bans (revoked_at)'
+    ],
+
+    down: [
+        'DROP INDEX IF EXISTS idx_user_bans_revoked_at',
+        'DROP INDEX IF EXISTS idx_user_bans_telegram_id',
+        'DROP TABLE IF EXISTS user_bans'
+    ]
+};
\ No newline at end of file
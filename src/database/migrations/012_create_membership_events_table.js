@@ -0,0 +1,37 @@
+/**
+ * Create membership_events table for the membership lifecycle
+ * Records when a user joined, was kicked, left or was re-admitted to the family
+ */
+
+module.exports = {
+    version: '012',
+    description: 'Create membership_events table for membership history',
+
+    up: [
+        // Create membership_events table
+        `
+            CREATE TABLE IF NOT EXISTS membership_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                telegram_id BIGINT NOT NULL,
+                event TEXT NOT NULL,
+                reason TEXT,
+                actor_id INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL,
+                CHECK (event IN ('joined', 'kicked', 'left', 'readmitted'))
+            )
+        `,
+
+        // Create indexes for better performance
+        'CREATE INDEX IF NOT EXISTS idx_membership_events_user_id ON membership_events (user_id)',
+        'CREATE INDEX IF NOT EXISTS idx_membership_events_telegram_id ON membership_events (telegram_id)'
+    ],
+
+    down: [
+        'DROP INDEX IF EXISTS idx_membership_events_telegram_id',
+        'DROP INDEX IF EXISTS idx_membership_events_user_id',
+        'DROP TABLE IF EXISTS membership_events'
+    ]
+};
\ No newline at end of file
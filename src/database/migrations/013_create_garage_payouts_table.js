@@ -0,0 +1,41 @@
+/**
+ * Create garage_payouts table for the payout ledger
+ * One payout per approved garage request, tracked until the treasurer marks it paid
+ */
+
+module.exports = {
+    version: '013',
+    description: 'Create garage_payouts table for the payout ledger',
+
+    up: [
+        // Create garage_payouts table
+        `
+            CREATE TABLE IF NOT EXISTS garage_payouts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                request_id INTEGER NOT NULL UNIQUE,
+                user_id INTEGER NOT NULL,
+                telegram_id TEXT NOT NULL,
+                amount INTEGER NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                paid_by INTEGER,
+                paid_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (request_id) REFERENCES garage_requests(id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                FOREIGN KEY (paid_by) REFERENCES users(id) ON DELETE SET NULL,
+                CHECK (status IN ('pending', 'paid', 'cancelled')),
+                CHECK (amount > 0)
+            )
+        `,
+
+        // Create indexes for better performance
+        'CREATE INDEX IF NOT EXISTS idx_garage_payouts_user_id ON garage_payouts (user_id)',
+        'CREATE INDEX IF NOT EXISTS idx_garage_payouts_status ON garage_payouts (status)'
+    ],
+
+    down: [
+        'DROP INDEX IF EXISTS idx_garage_payouts_status',
+        'DROP INDEX IF EXISTS idx_garage_payouts_user_id',
+        'DROP TABLE IF EXISTS garage_payouts'
+    ]
+};
\ No newline at end of file
@@ -0,0 +1,55 @@
+/**
+ * Create reward_rules table and store the computed reward on garage requests
+ * Rules adjust the oil change reward by car, condition, maintenance age and date
+ */
+
+module.exports = {
+    version: '014',
+    description: 'Create reward_rules table and add reward_amount to garage_requests',
+
+    up: [
+        // Create reward_rules table
+        `
+            CREATE TABLE IF NOT EXISTS reward_rules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                rule_type TEXT NOT NULL,
+                car_id INTEGER,
+                status TEXT,
+                min_days INTEGER,
+                amount INTEGER,
+                multiplier REAL,
+                starts_at DATETIME,
+                ends_at DATETIME,
+                title TEXT,
+                is_active INTEGER NOT NULL DEFAULT 1,
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (car_id) REFERENCES garage(car_id) ON DELETE CASCADE,
+                FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+                CHECK (rule_type IN ('base', 'car', 'status', 'maintenance', 'weekend', 'event')),
+                CHECK (amount IS NULL OR amount >= 0),
+                CHECK (multiplier IS NULL OR multiplier > 0)
+            )
+        `,
+
+        // Create indexes for better performance
+        'CREATE INDEX IF NOT EXISTS idx_reward_rules_type ON reward_rules (rule_type, is_active)',
+
+        // Seed the base reward that used to be hard-coded
+        `
+            INSERT INTO reward_rules (rule_type, amount, title)
+            SELECT 'base', 3000000, 'Базовое вознаграждение'
+            WHERE NOT EXISTS (SELECT 1 FROM reward_rules WHERE rule_type = 'base')
+        `,
+
+        // Reward computed for the request at submission time
+        'ALTER TABLE garage_requests ADD COLUMN reward_amount INTEGER'
+    ],
+
+    down: [
+        'ALTER TABLE garage_requests DROP COLUMN reward_amount',
+        'DROP INDEX IF EXISTS idx_reward_rules_type',
+        'DROP TABLE IF EXISTS reward_rules'
+    ]
+};
\ No newline at end of file
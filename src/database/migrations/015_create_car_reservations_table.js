@@ -0,0 +1,41 @@
+/**
+ * Create car_reservations table for checking garage cars out
+ * A reservation holds a car for a time window until the member returns it
+ */
+
+module.exports = {
+    version: '015',
+    description: 'Create car_reservations table',
+
+    up: [
+        // Create car_reservations table
+        `
+            CREATE TABLE IF NOT EXISTS car_reservations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                car_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                telegram_id TEXT NOT NULL,
+                starts_at DATETIME NOT NULL,
+                ends_at DATETIME NOT NULL,
+                status TEXT NOT NULL DEFAULT 'active',
+                returned_at DATETIME,
+                reminded_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (car_id) REFERENCES garage(car_id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                CHECK (status IN ('active', 'returned', 'cancelled')),
+                CHECK (ends_at > starts_at)
+            )
+        `,
+
+        // Create indexes for better performance
+        'CREATE INDEX IF NOT EXISTS idx_car_reservations_car ON car_reservations (car_id, status)',
+        'CREATE INDEX IF NOT EXISTS idx_car_reservations_telegram_id ON car_reservations (telegram_id, status)'
+    ],
+
+    down: [
+        'DROP INDEX IF EXISTS idx_car_reservations_telegram_id',
+        'DROP INDEX IF EXISTS idx_car_reservations_car',
+        'DROP TABLE IF EXISTS car_reservations'
+    ]
+};
\ No newline at end of file
@@ -0,0 +1,19 @@
+/**
+ * Add per-car degradation intervals to garage
+ * NULL means the car uses the defaults from config/degradation.js
+ */
+
+module.exports = {
+    version: '016',
+    description: 'Add degradation intervals to garage',
+
+    up: [
+        'ALTER TABLE garage ADD COLUMN degrade_medium_days INTEGER',
+        'ALTER TABLE garage ADD COLUMN degrade_bad_days INTEGER'
+    ],
+
+    down: [
+        'ALTER TABLE garage DROP COLUMN degrade_bad_days',
+        'ALTER TABLE garage DROP COLUMN degrade_medium_days'
+    ]
+};
\ No newline at end of file
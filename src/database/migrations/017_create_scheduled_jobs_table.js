@@ -0,0 +1,34 @@
+/**
+ * Create scheduled_jobs table for the in-process job scheduler
+ * Keeps last/next run times so schedules survive bot restarts
+ */
+
+module.exports = {
+    version: '017',
+    description: 'Create scheduled_jobs table',
+
+    up: [
+        // Create scheduled_jobs table
+        `
+            CREATE TABLE IF NOT EXISTS scheduled_jobs (
+                name TEXT PRIMARY KEY,
+                schedule TEXT NOT NULL,
+                is_enabled INTEGER NOT NULL DEFAULT 1,
+                last_run_at DATETIME,
+                next_run_at DATETIME,
+                last_status TEXT,
+                last_error TEXT,
+                last_duration_ms INTEGER,
+                run_count INTEGER NOT NULL DEFAULT 0,
+                failure_count INTEGER NOT NULL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                CHECK (last_status IS NULL OR last_status IN ('success', 'failed'))
+            )
+        `
+    ],
+
+    down: [
+        'DROP TABLE IF EXISTS scheduled_jobs'
+    ]
+};
\ No newline at end of file
@@ -0,0 +1,35 @@
+/**
+ * Create photo_fingerprints table for duplicate photo detection
+ * Stores exact and perceptual hashes of garage and authorization photos
+ */
+
+module.exports = {
+    version: '018',
+    description: 'Create photo_fingerprints table',
+
+    up: [
+        // Create photo_fingerprints table
+        `
+            CREATE TABLE IF NOT EXISTS photo_fingerprints (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                source TEXT NOT NULL,
+                request_id INTEGER NOT NULL,
+                telegram_id TEXT NOT NULL,
+                car_id INTEGER,
+                file_path TEXT NOT NULL,
+                sha256 TEXT NOT NULL,
+                phash TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                CHECK (source IN ('garage', 'auth'))
+            )
+        `,
+        'CREATE INDEX IF NOT EXISTS idx_photo_fingerprints_sha256 ON photo_fingerprints (sha256)',
+        'CREATE INDEX IF NOT EXISTS idx_photo_fingerprints_request ON photo_fingerprints (source, request_id)'
+    ],
+
+    down: [
+        'DROP INDEX IF EXISTS idx_photo_fingerprints_request',
+        'DROP INDEX IF EXISTS idx_photo_fingerprints_sha256',
+        'DROP TABLE IF EXISTS photo_fingerprints'
+    ]
+};
\ No newline at end of file
@@ -0,0 +1,52 @@
+/**
+ * Create broadcasts and broadcast_deliveries tables for admin announcements
+ * Deliveries record the outcome for every recipient, so an interrupted
+ * broadcast resumes where it stopped
+ */
+
+module.exports = {
+    version: '019',
+    description: 'Create broadcasts and broadcast_deliveries tables',
+
+    up: [
+        // Create broadcasts table
+        `
+            CREATE TABLE IF NOT EXISTS broadcasts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                author_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+                text TEXT NOT NULL,
+                audience TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'scheduled',
+                scheduled_at DATETIME NOT NULL,
+                started_at DATETIME,
+                completed_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                CHECK (status IN ('scheduled', 'sending', 'sent', 'cancelled'))
+            )
+        `,
+        'CREATE INDEX IF NOT EXISTS idx_broadcasts_status ON broadcasts (status, scheduled_at)',
+
+        // Create broadcast_deliveries table
+        `
+            CREATE TABLE IF NOT EXISTS broadcast_deliveries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                broadcast_id INTEGER NOT NULL REFERENCES broadcasts (id) ON DELETE CASCADE,
+                telegram_id TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                attempts INTEGER NOT NULL DEFAULT 0,
+                error TEXT,
+                sent_at DATETIME,
+                UNIQUE (broadcast_id, telegram_id),
+                CHECK (status IN ('pending', 'sent', 'failed', 'blocked'))
+            )
+        `,
+        'CREATE INDEX IF NOT EXISTS idx_broadcast_deliveries_status ON broadcast_deliveries (broadcast_id, status)'
+    ],
+
+    down: [
+        'DROP INDEX IF EXISTS idx_broadcast_deliveries_status',
+        'DROP TABLE IF EXISTS broadcast_deliveries',
+        'DROP INDEX IF EXISTS idx_broadcasts_status',
+        'DROP TABLE IF EXISTS broadcasts'
+    ]
+};
\ No newline at end of file
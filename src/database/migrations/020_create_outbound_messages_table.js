@@ -0,0 +1,40 @@
+/**
+ * Create outbound_messages table for the outgoing notification queue
+ * and mark users who blocked the bot
+ * Undelivered notifications survive a restart; delivered ones are removed
+ */
+
+module.exports = {
+    version: '020',
+    description: 'Create outbound_messages table and add unreachable_at to users',
+
+    up: [
+        // Create outbound_messages table
+        `
+            CREATE TABLE IF NOT EXISTS outbound_messages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                chat_id TEXT NOT NULL,
+                method TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                attempts INTEGER NOT NULL DEFAULT 0,
+                next_attempt_at DATETIME,
+                error TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                CHECK (method IN ('sendMessage', 'sendPhoto')),
+                CHECK (status IN ('pending', 'failed', 'unreachable'))
+            )
+        `,
+        'CREATE INDEX IF NOT EXISTS idx_outbound_messages_status ON outbound_messages (status, id)',
+
+        // Users who blocked the bot or deleted their account
+        'ALTER TABLE users ADD COLUMN unreachable_at DATETIME'
+    ],
+
+    down: [
+        'ALTER TABLE users DROP COLUMN unreachable_at',
+        'DROP INDEX IF EXISTS idx_outbound_messages_status',
+        'DROP TABLE IF EXISTS outbound_messages'
+    ]
+};
\ No newline at end of file
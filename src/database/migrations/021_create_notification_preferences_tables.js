@@ -0,0 +1,49 @@
+/**
+ * Create notification_preferences and notification_digest_items tables
+ * Users without a preferences row get every notification at once;
+ * digest items wait for the daily digest job
+ */
+
+module.exports = {
+    version: '021',
+    description: 'Create notification_preferences and notification_digest_items tables',
+
+    up: [
+        // Create notification_preferences table
+        `
+            CREATE TABLE IF NOT EXISTS notification_preferences (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                telegram_id BIGINT UNIQUE NOT NULL REFERENCES users (telegram_id) ON DELETE CASCADE,
+                request_decisions INTEGER NOT NULL DEFAULT 1,
+                payouts INTEGER NOT NULL DEFAULT 1,
+                car_service INTEGER NOT NULL DEFAULT 1,
+                announcements INTEGER NOT NULL DEFAULT 1,
+                delivery_mode TEXT NOT NULL DEFAULT 'instant',
+                quiet_start INTEGER,
+                quiet_end INTEGER,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                CHECK (delivery_mode IN ('instant', 'digest')),
+                CHECK (quiet_start IS NULL OR quiet_start BETWEEN 0 AND 23),
+                CHECK (quiet_end IS NULL OR quiet_end BETWEEN 0 AND 23)
+            )
+        `,
+
+        // Create notification_digest_items table
+        `
+            CREATE TABLE IF NOT EXISTS notification_digest_items (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                telegram_id BIGINT NOT NULL,
+                category TEXT NOT NULL,
+                text TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `,
+        'CREATE INDEX IF NOT EXISTS idx_notification_digest_items_telegram_id ON notification_digest_items (telegram_id)'
+    ],
+
+    down: [
+        'DROP INDEX IF EXISTS idx_notification_digest_items_telegram_id',
+        'DROP TABLE IF EXISTS notification_digest_items',
+        'DROP TABLE IF EXISTS notification_preferences'
+    ]
+};
\ No newline at end of file
@@ -0,0 +1,17 @@
+/**
+ * Add the interface language chosen by the user
+ * NULL means the bot follows the Telegram language_code
+ */
+
+module.exports = {
+    version: '022',
+    description: 'Add locale to users',
+
+    up: [
+        'ALTER TABLE users ADD COLUMN locale TEXT'
+    ],
+
+    down: [
+        'ALTER TABLE users DROP COLUMN locale'
+    ]
+};
\ No newline at end of file
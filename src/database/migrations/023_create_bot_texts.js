@@ -0,0 +1,28 @@
+/**
+ * Create bot_texts table
+ * Texts edited by admins replace catalog texts with the same key and locale;
+ * deleting a row returns the catalog default
+ */
+
+module.exports = {
+    version: '023',
+    description: 'Create bot_texts table',
+
+    up: [
+        `
+            CREATE TABLE IF NOT EXISTS bot_texts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                text_key TEXT NOT NULL,
+                locale TEXT NOT NULL,
+                text TEXT NOT NULL,
+                updated_by BIGINT,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (text_key, locale)
+            )
+        `
+    ],
+
+    down: [
+        'DROP TABLE IF EXISTS bot_texts'
+    ]
+};
\ No newline at end of file
@@ -0,0 +1,414 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const database = require('./connection');
+const dbConfig = require('../../config/database');
+
+const FILE_PATTERN = /^(\d{3})_[\w-]+\.js$/;
+
+/**
+ * Quote an SQLite identifier
+ * @param {string} name - Table or column name
+ * @returns {string}
+ */
+function quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Database handle passed to migrations
+ * Logs every statement and provides schema helpers SQLite lacks
+ */
+class MigrationContext {
+    /**
+     * @param {Object} db - Database connection
+     * @param {Function} log - Logger
+     */
+    constructor(db, log) {
+        this.db = db;
+        this.log = log;
+    }
+
+    async run(sql, params = []) {
+        const result = await this.db.run(sql, params);
+        this.log(`✓ Executed: ${sql.trim().split('\n')[0].trim()}`);
+        return result;
+    }
+
+    async get(sql, params = []) {
+        return this.db.get(sql, params);
+    }
+
+    async all(sql, params = []) {
+        return this.db.all(sql, params);
+    }
+
+    /**
+     * Rebuild a table with a new definition (SQLite's way to drop or alter columns)
+     * Rows are copied into a table created from the new definition, the old table is
+     * dropped and the new one renamed; indexes and triggers are recreated afterwards.
+     * @param {string} table - Table name
+     * @param {string} definition - Column and constraint definitions of the new table
+     * @param {Object} options - { columns: { newColumn: 'SQL expression over old columns' }, skip: [index or trigger names] }
+     */
+    async rebuildTable(table, definition, options = {}) {
+        const rebuiltName = `${table}_rebuild`;
+        const skip = options.skip || [];
+
+        const dependents = await this.all(
+            'SELECT name, sql FROM sqlite_master WHERE tbl_name = ? AND type IN (\'index\', \'trigger\') AND sql IS NOT NULL',
+            [table]
+        );
+        const oldColumns = (await this.all(`PRAGMA table_info(${quoteIdentifier(table)})`)).map(column => column.name);
+        if (oldColumns.length === 0) {
+            throw new Error(`Table ${table} does not exist`);
+        }
+
+        await this.run(`CREATE TABLE ${quoteIdentifier(rebuiltName)} (${definition})`);
+        const newColumns = (await this.all(`PRAGMA table_info(${quoteIdentifier(rebuiltName)})`)).map(column => column.name);
+
+        const mapping = {};
+        for (const column of newColumns) {
+            if (oldColumns.includes(column)) {
+                mapping[column] = quoteIdentifier(column);
+            }
+        }
+        Object.assign(mapping, options.columns || {});
+
+        const targets = Object.keys(mapping);
+        await this.run(
+            `INSERT INTO ${quoteIdentifier(rebuiltName)} (${targets.map(quoteIdentifier).join(', ')}) ` +
+            `SELECT ${targets.map(column => mapping[column]).join(', ')} FROM ${quoteIdentifier(table)}`
+        );
+        await this.run(`DROP TABLE ${quoteIdentifier(table)}`);
+        await this.run(`ALTER TABLE ${quoteIdentifier(rebuiltName)} RENAME TO ${quoteIdentifier(table)}`);
+
+        for (const dependent of dependents) {
+            if (!skip.includes(dependent.name)) {
+                await this.run(dependent.sql);
+            }
+        }
+    }
+}
+
+/**
+ * Versioned migration runner
+ *
+ * A migration is a file NNN_name.js exporting { version: 'NNN', description, up, down },
+ * where up/down are either arrays of SQL statements or async functions receiving a
+ * MigrationContext. An optional legacyTables array names the tables the migration
+ * creates, for files the old runner applied without recording them. The runner records applied versions with a checksum of the file,
+ * applies each migration in its own transaction and refuses to run when an applied
+ * migration file was edited afterwards.
+ */
+class Migrator {
+    /**
+     * @param {Object} db - Database connection
+     * @param {Object} options - { directory, tableName, log }
+     */
+    constructor(db = database, options = {}) {
+        this.db = db;
+        this.directory = options.directory || dbConfig.migrations.directory;
+        this.tableName = options.tableName || dbConfig.migrations.tableName;
+        this.log = options.log || console.log;
+    }
+
+    /**
+     * Load and validate migration files
+     * @returns {Array<Object>} Migrations sorted by version
+     */
+    loadMigrations() {
+        const files = fs.readdirSync(this.directory).filter(file => file.endsWith('.js')).sort();
+        const migrations = [];
+
+        for (const file of files) {
+            const match = FILE_PATTERN.exec(file);
+            if (!match) {
+                throw new Error(`Migration file name must look like 001_description.js: ${file}`);
+            }
+
+            const filePath = path.join(this.directory, file);
+            const migration = require(filePath);
+            const isStep = step => Array.isArray(step) || typeof step === 'function';
+
+            if (migration.version !== match[1]) {
+                throw new Error(`Migration ${file} must declare version '${match[1]}'`);
+            }
+            if (!migration.description || !isStep(migration.up) || !isStep(migration.down)) {
+                throw new Error(`Migration ${file} must export description, up and down`);
+            }
+            if (migrations.some(existing => existing.version === migration.version)) {
+                throw new Error(`Duplicate migration version ${migration.version}`);
+            }
+
+            const source = fs.readFileSync(filePath, 'utf8').replace(/\r\n/g, '\n');
+            migrations.push({
+                ...migration,
+                file,
+                checksum: crypto.createHash('sha256').update(source).digest('hex')
+            });
+        }
+
+        return migrations;
+    }
+
+    /**
+     * Create the migrations table, upgrading the legacy one without checksums
+     * The old runner re-ran every file on each start, so on a legacy database
+     * every migration up to the newest recorded version has already run.
+     * Files the old runner executed without recording them declare legacyTables;
+     * they are marked as applied when all of those tables already exist.
+     * @param {Array<Object>} migrations - Loaded migrations
+     */
+    async ensureTable(migrations) {
+        const table = quoteIdentifier(this.tableName);
+        await this.db.run(`
+            CREATE TABLE IF NOT EXISTS ${table} (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                version TEXT UNIQUE NOT NULL,
+                description TEXT,
+                checksum TEXT,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        const columns = await this.db.all(`PRAGMA table_info(${table})`);
+        if (columns.some(column => column.name === 'checksum')) {
+            return;
+        }
+
+        await this.db.run(`ALTER TABLE ${table} ADD COLUMN checksum TEXT`);
+
+        const newest = await this.db.get(`SELECT MAX(version) as version FROM ${table}`);
+        const existingTables = (await this.db.all('SELECT name FROM sqlite_master WHERE type = \'table\''))
+            .map(row => row.name);
+        const recorded = [];
+
+        for (const migration of migrations) {
+            const ranBefore = newest && newest.version && migration.version <= newest.version;
+            const hasLegacySchema = Array.isArray(migration.legacyTables) &&
+                migration.legacyTables.every(name => existingTables.includes(name));
+
+            if (ranBefore || hasLegacySchema) {
+                await this.db.run(
+                    `INSERT OR IGNORE INTO ${table} (version, description) VALUES (?, ?)`,
+                    [migration.version, migration.description]
+                );
+                recorded.push(migration.version);
+            }
+        }
+
+        if (recorded.length > 0) {
+            this.log(`📋 Upgraded ${this.tableName} table; migrations ${recorded.join(', ')} marked as applied`);
+        }
+    }
+
+    /**
+     * Get applied migrations
+     * @returns {Promise<Map<string, Object>>} Rows by version
+     */
+    async getApplied() {
+        const rows = await this.db.all(`SELECT version, description, checksum, applied_at FROM ${quoteIdentifier(this.tableName)} ORDER BY version`);
+        return new Map(rows.map(row => [row.version, row]));
+    }
+
+    /**
+     * Check applied migrations against the files
+     * Rows recorded before checksums existed adopt the current file checksum.
+     * @param {Array<Object>} migrations - Loaded migrations
+     * @param {Map<string, Object>} applied - Applied rows
+     */
+    async verify(migrations, applied) {
+        const problems = [];
+
+        for (const row of applied.values()) {
+            const migration = migrations.find(candidate => candidate.version === row.version);
+            if (!migration) {
+                problems.push(`${row.version}: applied but the file is missing`);
+            } else if (!row.checksum) {
+                await this.db.run(
+                    `UPDATE ${quoteIdentifier(this.tableName)} SET checksum = ? WHERE version = ?`,
+                    [migration.checksum, row.version]
+                );
+                row.checksum = migration.checksum;
+            } else if (row.checksum !== migration.checksum) {
+                problems.push(`${row.version}: file changed after it was applied (${migration.file})`);
+            }
+        }
+
+        if (problems.length > 0) {
+            throw new Error(`Applied migrations do not match their files; add a new migration instead of editing one:\n${problems.join('\n')}`);
+        }
+    }
+
+    /**
+     * Build the list of steps that bring the schema to a version
+     * @param {Array<Object>} migrations - Loaded migrations
+     * @param {Map<string, Object>} applied - Applied rows
+     * @param {string} [target] - Target version; latest by default, '000' rolls everything back
+     * @returns {Array<Object>} { migration, direction }
+     */
+    plan(migrations, applied, target) {
+        const targetVersion = target === undefined || target === null
+            ? (migrations.length > 0 ? migrations[migrations.length - 1].version : '000')
+            : String(target).padStart(3, '0');
+
+        if (targetVersion !== '000' && !migrations.some(migration => migration.version === targetVersion)) {
+            throw new Error(`Unknown migration version: ${target}`);
+        }
+
+        const down = migrations
+            .filter(migration => migration.version > targetVersion && applied.has(migration.version))
+            .reverse()
+            .map(migration => ({ migration, direction: 'down' }));
+        const up = migrations
+            .filter(migration => migration.version <= targetVersion && !applied.has(migration.version))
+            .map(migration => ({ migration, direction: 'up' }));
+
+        return [...down, ...up];
+    }
+
+    /**
+     * Migrate the schema to a version
+     * In dry-run mode every step is executed inside one transaction that is rolled back.
+     * @param {Object} options - { target, dryRun }
+     * @returns {Promise<Array<Object>>} Executed steps
+     */
+    async migrate({ target, dryRun = false } = {}) {
+        const migrations = this.loadMigrations();
+
+        await this.db.run('PRAGMA foreign_keys = OFF');
+        await this.db.run('BEGIN');
+        let inTransaction = true;
+
+        try {
+            await this.ensureTable(migrations);
+            const applied = await this.getApplied();
+            await this.verify(migrations, applied);
+            const steps = this.plan(migrations, applied, target);
+
+            if (!dryRun) {
+                await this.db.run('COMMIT');
+                inTransaction = false;
+            }
+
+            for (const step of steps) {
+                await this.applyStep(step, dryRun);
+            }
+
+            if (dryRun) {
+                await this.db.run('ROLLBACK');
+                inTransaction = false;
+            }
+            return steps;
+        } catch (error) {
+            if (inTransaction) {
+                await this.db.run('ROLLBACK').catch(() => {});
+            }
+            throw error;
+        } finally {
+            await this.db.run('PRAGMA foreign_keys = ON');
+        }
+    }
+
+    /**
+     * Roll back the most recently applied migrations
+     * @param {Object} options - { steps, dryRun }
+     * @returns {Promise<Array<Object>>} Executed steps
+     */
+    async rollback({ steps = 1, dryRun = false } = {}) {
+        const applied = await this.db.all(`SELECT version FROM ${quoteIdentifier(this.tableName)} ORDER BY version`)
+            .then(rows => rows.map(row => row.version))
+            .catch(() => []);
+        if (applied.length === 0) {
+            return [];
+        }
+
+        const target = applied.length > steps ? applied[applied.length - steps - 1] : '000';
+        return this.migrate({ target, dryRun });
+    }
+
+    /**
+     * Apply one step; outside dry-run it runs in its own transaction
+     * Foreign keys are checked before commit because enforcement is off during migrations.
+     * @param {Object} step - { migration, direction }
+     * @param {boolean} dryRun - Whether the surrounding transaction is rolled back
+     */
+    async applyStep({ migration, direction }, dryRun) {
+        const context = new MigrationContext(this.db, this.log);
+        const table = quoteIdentifier(this.tableName);
+        const label = `${migration.version} - ${migration.description}`;
+
+        this.log(`\n📦 ${direction === 'up' ? 'Applying' : 'Rolling back'} migration: ${label}`);
+
+        if (!dryRun) {
+            await this.db.run('BEGIN');
+        }
+
+        try {
+            const step = migration[direction];
+            if (Array.isArray(step)) {
+                for (const sql of step) {
+                    await context.run(sql);
+                }
+            } else {
+                await step.call(migration, context);
+            }
+
+            if (direction === 'up') {
+                await this.db.run(
+                    `INSERT INTO ${table} (version, description, checksum) VALUES (?, ?, ?)`,
+                    [migration.version, migration.description, migration.checksum]
+                );
+            } else {
+                await this.db.run(`DELETE FROM ${table} WHERE version = ?`, [migration.version]);
+            }
+
+            const violations = await this.db.all('PRAGMA foreign_key_check');
+            if (violations.length > 0) {
+                const tables = [...new Set(violations.map(violation => violation.table))].join(', ');
+                throw new Error(`foreign key violations in ${tables}`);
+            }
+
+            if (!dryRun) {
+                await this.db.run('COMMIT');
+            }
+        } catch (error) {
+            if (!dryRun) {
+                await this.db.run('ROLLBACK').catch(() => {});
+            }
+            throw new Error(`Migration ${migration.version} (${direction}) failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Describe every migration and whether it is applied
+     * @returns {Promise<Array<Object>>} { version, description, applied, appliedAt, modified }
+     */
+    async status() {
+        const migrations = this.loadMigrations();
+        await this.ensureTable(migrations);
+        const applied = await this.getApplied();
+
+        const rows = migrations.map(migration => {
+            const row = applied.get(migration.version);
+            return {
+                version: migration.version,
+                description: migration.description,
+                applied: Boolean(row),
+                appliedAt: row ? row.applied_at : null,
+                modified: Boolean(row && row.checksum && row.checksum !== migration.checksum)
+            };
+        });
+
+        for (const row of applied.values()) {
+            if (!migrations.some(migration => migration.version === row.version)) {
+                rows.push({ version: row.version, description: row.description, applied: true, appliedAt: row.applied_at, missing: true });
+            }
+        }
+
+        return rows;
+    }
+}
+
+module.exports = { Migrator, MigrationContext };
\ No newline at end of file
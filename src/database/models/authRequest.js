@@ -1,6 +1,5 @@
 const database = require('../connection');
-const fs = require('fs');
-const path = require('path');
+const { photoStorage } = require('../../storage/photoStorage');
 
 class AuthRequest {
     constructor(data = {}) {
@@ -13,6 +12,7 @@ class AuthRequest {
         this.admin_id = data.admin_id || null;
         this.submitted_at = data.submitted_at || null;
         this.processed_at = data.processed_at || null;
+        this.rejection_reason = data.rejection_reason || null;
     }
 
     /**
@@ -167,14 +167,52 @@ class AuthRequest {
     }
 
     /**
-     * Check if photo file exists
-     * @returns {boolean}
+     * Reject the request with a reason shown to the applicant
+     * @param {number} adminId - Admin user ID (database ID)
+     * @param {string} reason - Rejection reason
+     * @returns {Promise<AuthRequest>}
      */
-    photoExists() {
-        if (!this.photo_path) {
-            return false;
+    async reject(adminId, reason) {
+        const sql = `
+            UPDATE auth_requests 
+            SET status = 'rejected', admin_id = ?, rejection_reason = ?, processed_at = CURRENT_TIMESTAMP 
+            WHERE id = ? AND status = 'pending'
+        `;
+
+        try {
+            const result = await database.run(sql, [adminId, reason, this.id]);
+            if (result.changes === 0) {
+                throw new Error('request is not pending');
+            }
+
+            this.status = 'rejected';
+            this.admin_id = adminId;
+            this.rejection_reason = reason;
+            this.processed_at = new Date().toISOString();
+            return this;
+        } catch (error) {
+            throw new Error(`Failed to reject auth request: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check if photo is stored
+     * @returns {Promise<boolean>}
+     */
+    async photoExists() {
+        return photoStorage.exists(this.photo_path);
+    }
+
+    /**
+     * Get a local path of the photo for sending it to Telegram
+     * @returns {Promise<string|null>}
+     */
+    async getPhotoPath() {
+        try {
+            return await photoStorage.getLocalPath(this.photo_path);
+        } catch (error) {
+            throw new Error(`Failed to get photo file: ${error.message}`);
         }
-        return fs.existsSync(this.photo_path);
     }
 
     /**
@@ -182,12 +220,8 @@ class AuthRequest {
      * @returns {Promise<Buffer|null>}
      */
     async getPhotoBuffer() {
-        if (!this.photoExists()) {
-            return null;
-        }
-
         try {
-            return fs.readFileSync(this.photo_path);
+            return await photoStorage.read(this.photo_path);
         } catch (error) {
             throw new Error(`Failed to read photo file: ${error.message}`);
         }
@@ -198,19 +232,45 @@ class AuthRequest {
      * @returns {Promise<boolean>}
      */
     async deletePhoto() {
-        if (!this.photo_path) {
+        try {
+            return await photoStorage.remove(this.photo_path);
+        } catch (error) {
+            console.error(`Failed to delete photo file: ${error.message}`);
             return false;
         }
+    }
 
+    /**
+     * Check whether any request references a stored photo
+     * @param {string} photoPath - Photo storage reference
+     * @returns {Promise<boolean>}
+     */
+    static async isPhotoInUse(photoPath) {
+        const sql = 'SELECT COUNT(*) as count FROM auth_requests WHERE photo_path = ?';
         try {
-            if (fs.existsSync(this.photo_path)) {
-                fs.unlinkSync(this.photo_path);
-                return true;
-            }
-            return false;
+            const row = await database.get(sql, [photoPath]);
+            return Boolean(row && row.count > 0);
         } catch (error) {
-            console.error(`Failed to delete photo file: ${error.message}`);
-            return false;
+            throw new Error(`Failed to check photo usage: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get photos that must be kept: pending requests and requests processed after the given date
+     * @param {string} since - Retention boundary (ISO)
+     * @returns {Promise<Array<string>>}
+     */
+    static async findPhotoPathsInUse(since) {
+        const sql = `
+            SELECT DISTINCT photo_path FROM auth_requests
+            WHERE status = 'pending'
+               OR datetime(COALESCE(processed_at, submitted_at)) >= datetime(?)
+        `;
+        try {
+            const rows = await database.all(sql, [since]);
+            return rows.map(row => row.photo_path);
+        } catch (error) {
+            throw new Error(`Failed to get request photos: ${error.message}`);
         }
     }
 
@@ -221,11 +281,13 @@ class AuthRequest {
     async delete() {
         const sql = 'DELETE FROM auth_requests WHERE id = ?';
         try {
-            // Delete photo file first
-            await this.deletePhoto();
-            
             // Delete database record
             const result = await database.run(sql, [this.id]);
+            
+            // Identical photos share one stored file: delete it once nothing references it
+            if (result.changes > 0 && !(await AuthRequest.isPhotoInUse(this.photo_path))) {
+                await this.deletePhoto();
+            }
             return result.changes > 0;
         } catch (error) {
             throw new Error(`Failed to delete auth request: ${error.message}`);
@@ -319,7 +381,8 @@ class AuthRequest {
             status: this.status,
             admin_id: this.admin_id,
             submitted_at: this.submitted_at,
-            processed_at: this.processed_at
+            processed_at: this.processed_at,
+            rejection_reason: this.rejection_reason
         };
     }
 }
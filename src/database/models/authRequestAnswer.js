@@ -0,0 +1,77 @@
+const database = require('../connection');
+
+class AuthRequestAnswer {
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.auth_request_id = data.auth_request_id;
+        this.step_key = data.step_key;
+        this.step_type = data.step_type;
+        this.label = data.label || null;
+        this.value = data.value !== undefined ? data.value : null;
+        this.position = data.position || 0;
+        this.created_at = data.created_at || null;
+    }
+
+    /**
+     * Save questionnaire answers of an auth request
+     * @param {number} authRequestId - Auth request ID
+     * @param {Array<Object>} answers - Answers (step_key, step_type, label, value)
+     * @returns {Promise<Array<AuthRequestAnswer>>}
+     */
+    static async createMany(authRequestId, answers) {
+        const sql = `
+            INSERT INTO auth_request_answers (auth_request_id, step_key, step_type, label, value, position)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `;
+
+        try {
+            for (const [index, answer] of answers.entries()) {
+                await database.run(sql, [
+                    authRequestId,
+                    answer.step_key,
+                    answer.step_type,
+                    answer.label || null,
+                    answer.value !== undefined && answer.value !== null ? String(answer.value) : null,
+                    index
+                ]);
+            }
+            return await AuthRequestAnswer.findByAuthRequestId(authRequestId);
+        } catch (error) {
+            throw new Error(`Failed to save questionnaire answers: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find answers of an auth request in questionnaire order
+     * @param {number} authRequestId - Auth request ID
+     * @returns {Promise<Array<AuthRequestAnswer>>}
+     */
+    static async findByAuthRequestId(authRequestId) {
+        const sql = 'SELECT * FROM auth_request_answers WHERE auth_request_id = ? ORDER BY position ASC';
+        try {
+            const rows = await database.all(sql, [authRequestId]);
+            return rows.map(row => new AuthRequestAnswer(row));
+        } catch (error) {
+            throw new Error(`Failed to find questionnaire answers: ${error.message}`);
+        }
+    }
+
+    /**
+     * Convert to JSON
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            auth_request_id: this.auth_request_id,
+            step_key: this.step_key,
+            step_type: this.step_type,
+            label: this.label,
+            value: this.value,
+            position: this.position,
+            created_at: this.created_at
+        };
+    }
+}
+
+module.exports = AuthRequestAnswer;
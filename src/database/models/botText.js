@@ -0,0 +1,92 @@
+const database = require('../connection');
+const QueryBuilder = require('../queryBuilder');
+
+/**
+ * BotText Model
+ * Тексты бота, измененные администраторами вместо текстов каталога
+ */
+class BotText {
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.text_key = data.text_key;
+        this.locale = data.locale;
+        this.text = data.text;
+        this.updated_by = data.updated_by || null;
+        this.updated_at = data.updated_at || null;
+    }
+
+    /**
+     * Все измененные тексты
+     * @returns {Promise<Array<BotText>>}
+     */
+    static async findAll() {
+        try {
+            const rows = await QueryBuilder.table('bot_texts').orderBy('text_key ASC').orderBy('locale ASC').all();
+            return rows.map(row => new BotText(row));
+        } catch (error) {
+            throw new Error(`Ошибка получения текстов бота: ${error.message}`);
+        }
+    }
+
+    /**
+     * Найти измененный текст
+     * @param {string} key - Ключ текста
+     * @param {string} locale - Код языка
+     * @returns {Promise<BotText|null>}
+     */
+    static async find(key, locale) {
+        try {
+            const row = await QueryBuilder.table('bot_texts')
+                .where({ text_key: key, locale })
+                .get();
+            return row ? new BotText(row) : null;
+        } catch (error) {
+            throw new Error(`Ошибка получения текста бота: ${error.message}`);
+        }
+    }
+
+    /**
+     * Сохранить текст вместо текста по умолчанию
+     * @param {string} key - Ключ текста
+     * @param {string} locale - Код языка
+     * @param {string} text - Новый текст
+     * @param {number} updatedBy - Telegram ID администратора
+     * @returns {Promise<BotText>}
+     */
+    static async save(key, locale, text, updatedBy) {
+        const sql = `
+            INSERT INTO bot_texts (text_key, locale, text, updated_by)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT (text_key, locale) DO UPDATE SET
+                text = excluded.text,
+                updated_by = excluded.updated_by,
+                updated_at = CURRENT_TIMESTAMP
+        `;
+
+        try {
+            await database.run(sql, [key, locale, text, updatedBy]);
+            return await BotText.find(key, locale);
+        } catch (error) {
+            throw new Error(`Ошибка сохранения текста бота: ${error.message}`);
+        }
+    }
+
+    /**
+     * Удалить измененный текст, вернув текст по умолчанию
+     * @param {string} key - Ключ текста
+     * @param {string} locale - Код языка
+     * @returns {Promise<boolean>} Был ли текст изменен
+     */
+    static async remove(key, locale) {
+        try {
+            const result = await QueryBuilder.table('bot_texts')
+                .where({ text_key: key, locale })
+                .delete();
+            return result.changes > 0;
+        } catch (error) {
+            throw new Error(`Ошибка удаления текста бота: ${error.message}`);
+        }
+    }
+}
+
+module.exports = BotText;
\ No newline at end of file
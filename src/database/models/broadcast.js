@@ -0,0 +1,194 @@
+const QueryBuilder = require('../queryBuilder');
+
+const BROADCAST_STATUSES = ['scheduled', 'sending', 'sent', 'cancelled'];
+
+/**
+ * Broadcast Model
+ * Рассылки администраторов: текст, аудитория и время отправки.
+ * Отправленные рассылки публикуются в разделе «Новости»
+ */
+class Broadcast {
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.author_id = data.author_id || null;
+        this.text = data.text;
+        this.audience = data.audience;
+        this.status = data.status || 'scheduled';
+        this.scheduled_at = data.scheduled_at;
+        this.started_at = data.started_at || null;
+        this.completed_at = data.completed_at || null;
+        this.created_at = data.created_at || null;
+    }
+
+    /**
+     * Создать рассылку
+     * @param {Object} broadcastData - Данные рассылки (author_id, text, audience, scheduled_at)
+     * @returns {Promise<Broadcast>}
+     */
+    static async create(broadcastData) {
+        try {
+            const result = await QueryBuilder.table('broadcasts').insert({
+                author_id: broadcastData.author_id || null,
+                text: broadcastData.text,
+                audience: broadcastData.audience,
+                scheduled_at: broadcastData.scheduled_at
+            });
+            return await Broadcast.findById(result.id);
+        } catch (error) {
+            throw new Error(`Ошибка создания рассылки: ${error.message}`);
+        }
+    }
+
+    /**
+     * Найти рассылку по ID
+     * @param {number} id - ID рассылки
+     * @returns {Promise<Broadcast|null>}
+     */
+    static async findById(id) {
+        try {
+            const row = await QueryBuilder.table('broadcasts').where({ id }).get();
+            return row ? new Broadcast(row) : null;
+        } catch (error) {
+            throw new Error(`Ошибка поиска рассылки: ${error.message}`);
+        }
+    }
+
+    /**
+     * Рассылки, которые пора отправлять: запланированные на прошедшее время
+     * и прерванные во время отправки (например, перезапуском бота)
+     * @param {string} now - Текущий момент (ISO)
+     * @returns {Promise<Array<Broadcast>>}
+     */
+    static async findDue(now) {
+        try {
+            const rows = await QueryBuilder.table('broadcasts')
+                .where('status = \'sending\' OR (status = \'scheduled\' AND scheduled_at <= ?)', now)
+                .orderBy('scheduled_at ASC')
+                .orderBy('id ASC')
+                .all();
+            return rows.map(row => new Broadcast(row));
+        } catch (error) {
+            throw new Error(`Ошибка получения рассылок к отправке: ${error.message}`);
+        }
+    }
+
+    /**
+     * Последние рассылки (новые первыми)
+     * @param {number} limit - Лимит записей
+     * @returns {Promise<Array<Broadcast>>}
+     */
+    static async findRecent(limit = 10) {
+        try {
+            const rows = await QueryBuilder.table('broadcasts')
+                .orderBy('id DESC')
+                .limit(limit)
+                .all();
+            return rows.map(row => new Broadcast(row));
+        } catch (error) {
+            throw new Error(`Ошибка получения рассылок: ${error.message}`);
+        }
+    }
+
+    /**
+     * Опубликованные рассылки для указанных аудиторий (новые первыми)
+     * @param {Array<string>} audiences - Аудитории, в которые входит читатель
+     * @param {Object} options - { limit, offset }
+     * @returns {Promise<Array<Broadcast>>}
+     */
+    static async findPublished(audiences, { limit = 5, offset = 0 } = {}) {
+        try {
+            const rows = await QueryBuilder.table('broadcasts')
+                .where({ status: 'sent' })
+                .whereIn('audience', audiences)
+                .orderBy('completed_at DESC')
+                .orderBy('id DESC')
+                .limit(limit)
+                .offset(offset)
+                .all();
+            return rows.map(row => new Broadcast(row));
+        } catch (error) {
+            throw new Error(`Ошибка получения новостей: ${error.message}`);
+        }
+    }
+
+    /**
+     * Подсчитать опубликованные рассылки для указанных аудиторий
+     * @param {Array<string>} audiences - Аудитории, в которые входит читатель
+     * @returns {Promise<number>}
+     */
+    static async countPublished(audiences) {
+        try {
+            return await QueryBuilder.table('broadcasts')
+                .where({ status: 'sent' })
+                .whereIn('audience', audiences)
+                .count();
+        } catch (error) {
+            throw new Error(`Ошибка подсчета новостей: ${error.message}`);
+        }
+    }
+
+    /**
+     * Перевести рассылку в новый статус
+     * @param {string} status - Новый статус
+     * @param {Array<string>} fromStatuses - Допустимые текущие статусы
+     * @param {Object} fields - Дополнительные поля
+     * @returns {Promise<boolean>} False, если статус уже другой
+     */
+    async transition(status, fromStatuses, fields = {}) {
+        if (!BROADCAST_STATUSES.includes(status)) {
+            throw new Error(`Неизвестный статус рассылки: ${status}`);
+        }
+
+        try {
+            const result = await QueryBuilder.table('broadcasts')
+                .where({ id: this.id })
+                .whereIn('status', fromStatuses)
+                .update({ status, ...fields });
+            if (result.changes === 0) {
+                return false;
+            }
+            Object.assign(this, { status }, fields);
+            return true;
+        } catch (error) {
+            throw new Error(`Ошибка изменения статуса рассылки: ${error.message}`);
+        }
+    }
+
+    /**
+     * Начать отправку
+     * @returns {Promise<boolean>}
+     */
+    async markSending() {
+        return this.transition('sending', ['scheduled', 'sending'], {
+            started_at: this.started_at || new Date().toISOString()
+        });
+    }
+
+    /**
+     * Отметить рассылку отправленной (опубликовать в новостях)
+     * @returns {Promise<boolean>}
+     */
+    async markSent() {
+        return this.transition('sent', ['sending'], { completed_at: new Date().toISOString() });
+    }
+
+    /**
+     * Отменить запланированную рассылку
+     * @returns {Promise<boolean>} False, если отправка уже началась
+     */
+    async cancel() {
+        return this.transition('cancelled', ['scheduled']);
+    }
+
+    /**
+     * Проверить, ожидает ли рассылка отправки
+     * @returns {boolean}
+     */
+    isScheduled() {
+        return this.status === 'scheduled';
+    }
+}
+
+Broadcast.STATUSES = BROADCAST_STATUSES;
+
+module.exports = Broadcast;
\ No newline at end of file
@@ -0,0 +1,117 @@
+const database = require('../connection');
+const QueryBuilder = require('../queryBuilder');
+
+const DELIVERY_STATUSES = ['pending', 'sent', 'failed', 'blocked'];
+
+/**
+ * BroadcastDelivery Model
+ * Результат доставки рассылки каждому получателю
+ */
+class BroadcastDelivery {
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.broadcast_id = data.broadcast_id;
+        this.telegram_id = data.telegram_id;
+        this.status = data.status || 'pending';
+        this.attempts = data.attempts || 0;
+        this.error = data.error || null;
+        this.sent_at = data.sent_at || null;
+    }
+
+    /**
+     * Добавить получателей рассылки; уже добавленные пропускаются
+     * @param {number} broadcastId - ID рассылки
+     * @param {Array<string|number>} telegramIds - Telegram ID получателей
+     * @returns {Promise<number>} Число добавленных получателей
+     */
+    static async addRecipients(broadcastId, telegramIds) {
+        const sql = 'INSERT OR IGNORE INTO broadcast_deliveries (broadcast_id, telegram_id) VALUES (?, ?)';
+
+        try {
+            return await database.withTransaction(async () => {
+                let added = 0;
+                for (const telegramId of telegramIds) {
+                    const result = await database.run(sql, [broadcastId, String(telegramId)]);
+                    added += result.changes;
+                }
+                return added;
+            });
+        } catch (error) {
+            throw new Error(`Ошибка добавления получателей рассылки: ${error.message}`);
+        }
+    }
+
+    /**
+     * Получить недоставленные сообщения рассылки
+     * @param {number} broadcastId - ID рассылки
+     * @param {number} limit - Лимит записей
+     * @returns {Promise<Array<BroadcastDelivery>>}
+     */
+    static async findPending(broadcastId, limit = 100) {
+        try {
+            const rows = await QueryBuilder.table('broadcast_deliveries')
+                .where({ broadcast_id: broadcastId, status: 'pending' })
+                .orderBy('id ASC')
+                .limit(limit)
+                .all();
+            return rows.map(row => new BroadcastDelivery(row));
+        } catch (error) {
+            throw new Error(`Ошибка получения доставок рассылки: ${error.message}`);
+        }
+    }
+
+    /**
+     * Подсчитать доставки рассылки по статусам
+     * @param {number} broadcastId - ID рассылки
+     * @returns {Promise<Object>} { total, pending, sent, failed, blocked }
+     */
+    static async countByStatus(broadcastId) {
+        try {
+            const rows = await QueryBuilder.table('broadcast_deliveries')
+                .select('status', 'COUNT(*) as count')
+                .where({ broadcast_id: broadcastId })
+                .groupBy('status')
+                .all();
+
+            const counts = { total: 0, pending: 0, sent: 0, failed: 0, blocked: 0 };
+            for (const row of rows) {
+                counts[row.status] = row.count;
+                counts.total += row.count;
+            }
+            return counts;
+        } catch (error) {
+            throw new Error(`Ошибка подсчета доставок рассылки: ${error.message}`);
+        }
+    }
+
+    /**
+     * Сохранить результат попытки доставки
+     * @param {string} status - Новый статус
+     * @param {string|null} errorMessage - Текст ошибки
+     * @returns {Promise<BroadcastDelivery>}
+     */
+    async record(status, errorMessage = null) {
+        if (!DELIVERY_STATUSES.includes(status)) {
+            throw new Error(`Неизвестный статус доставки: ${status}`);
+        }
+
+        const fields = {
+            status,
+            attempts: this.attempts + 1,
+            error: errorMessage,
+            sent_at: status === 'sent' ? new Date().toISOString() : null
+        };
+
+        try {
+            await QueryBuilder.table('broadcast_deliveries').where({ id: this.id }).update(fields);
+            Object.assign(this, fields);
+            return this;
+        } catch (error) {
+            throw new Error(`Ошибка записи доставки рассылки: ${error.message}`);
+        }
+    }
+}
+
+BroadcastDelivery.STATUSES = DELIVERY_STATUSES;
+
+module.exports = BroadcastDelivery;
\ No newline at end of file
@@ -0,0 +1,267 @@
+const database = require('../connection');
+
+const RESERVATION_STATUSES = ['active', 'returned', 'cancelled'];
+
+// Пересечение с окном [?, ?): просроченная бронь занимает автомобиль до возврата
+const OVERLAP_CONDITION = `
+    status = 'active'
+    AND starts_at < ?
+    AND (ends_at > ? OR ends_at <= ?)
+`;
+
+/**
+ * CarReservation Model
+ * Бронирование (выдача) автомобилей гаража на интервал времени
+ */
+class CarReservation {
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.car_id = data.car_id;
+        this.user_id = data.user_id;
+        this.telegram_id = data.telegram_id;
+        this.starts_at = data.starts_at;
+        this.ends_at = data.ends_at;
+        this.status = data.status || 'active';
+        this.returned_at = data.returned_at || null;
+        this.reminded_at = data.reminded_at || null;
+        this.created_at = data.created_at || null;
+    }
+
+    /**
+     * Создать бронь, если автомобиль свободен на весь интервал
+     * Проверка и вставка выполняются одним запросом
+     * @param {Object} reservationData - Данные брони (car_id, user_id, telegram_id, starts_at, ends_at)
+     * @returns {Promise<CarReservation>}
+     */
+    static async create(reservationData) {
+        const sql = `
+            INSERT INTO car_reservations (car_id, user_id, telegram_id, starts_at, ends_at)
+            SELECT ?, ?, ?, ?, ?
+            WHERE NOT EXISTS (
+                SELECT 1 FROM car_reservations WHERE car_id = ? AND ${OVERLAP_CONDITION}
+            )
+        `;
+
+        const params = [
+            reservationData.car_id,
+            reservationData.user_id,
+            String(reservationData.telegram_id),
+            reservationData.starts_at,
+            reservationData.ends_at,
+            reservationData.car_id,
+            reservationData.ends_at,
+            reservationData.starts_at,
+            new Date().toISOString()
+        ];
+
+        let result;
+        try {
+            result = await database.run(sql, params);
+        } catch (error) {
+            throw new Error(`Ошибка бронирования: ${error.message}`);
+        }
+
+        if (result.changes === 0) {
+            throw new Error('Ошибка бронирования: автомобиль уже занят на это время');
+        }
+        return CarReservation.findById(result.id);
+    }
+
+    /**
+     * Найти бронь по ID
+     * @param {number} id - ID брони
+     * @returns {Promise<CarReservation|null>}
+     */
+    static async findById(id) {
+        const sql = 'SELECT * FROM car_reservations WHERE id = ?';
+        try {
+            const row = await database.get(sql, [id]);
+            return row ? new CarReservation(row) : null;
+        } catch (error) {
+            throw new Error(`Ошибка поиска брони: ${error.message}`);
+        }
+    }
+
+    /**
+     * Найти брони автомобиля, пересекающиеся с интервалом
+     * @param {number} carId - ID автомобиля
+     * @param {string} startsAt - Начало (ISO)
+     * @param {string} endsAt - Конец (ISO)
+     * @returns {Promise<Array<CarReservation>>}
+     */
+    static async findConflicts(carId, startsAt, endsAt) {
+        const sql = `SELECT * FROM car_reservations WHERE car_id = ? AND ${OVERLAP_CONDITION} ORDER BY starts_at ASC`;
+        try {
+            const rows = await database.all(sql, [carId, endsAt, startsAt, new Date().toISOString()]);
+            return rows.map(row => new CarReservation(row));
+        } catch (error) {
+            throw new Error(`Ошибка проверки пересечений брони: ${error.message}`);
+        }
+    }
+
+    /**
+     * Получить брони, по которым автомобили сейчас на руках
+     * @returns {Promise<Array<CarReservation>>}
+     */
+    static async findCurrent() {
+        const sql = `
+            SELECT * FROM car_reservations
+            WHERE status = 'active' AND starts_at <= ?
+            ORDER BY ends_at ASC
+        `;
+        try {
+            const rows = await database.all(sql, [new Date().toISOString()]);
+            return rows.map(row => new CarReservation(row));
+        } catch (error) {
+            throw new Error(`Ошибка получения текущих броней: ${error.message}`);
+        }
+    }
+
+    /**
+     * Получить все действующие брони (текущие и будущие)
+     * @returns {Promise<Array<CarReservation>>}
+     */
+    static async findActive() {
+        const sql = `
+            SELECT * FROM car_reservations
+            WHERE status = 'active'
+            ORDER BY starts_at ASC
+        `;
+        try {
+            const rows = await database.all(sql);
+            return rows.map(row => new CarReservation(row));
+        } catch (error) {
+            throw new Error(`Ошибка получения броней: ${error.message}`);
+        }
+    }
+
+    /**
+     * Получить действующие брони пользователя
+     * @param {string|number} telegramId - Telegram ID пользователя
+     * @returns {Promise<Array<CarReservation>>}
+     */
+    static async findActiveByTelegramId(telegramId) {
+        const sql = `
+            SELECT * FROM car_reservations
+            WHERE telegram_id = ? AND status = 'active'
+            ORDER BY starts_at ASC
+        `;
+        try {
+            const rows = await database.all(sql, [String(telegramId)]);
+            return rows.map(row => new CarReservation(row));
+        } catch (error) {
+            throw new Error(`Ошибка получения броней пользователя: ${error.message}`);
+        }
+    }
+
+    /**
+     * Получить просроченные брони без отправленного напоминания
+     * @returns {Promise<Array<CarReservation>>}
+     */
+    static async findOverdueUnreminded() {
+        const sql = `
+            SELECT * FROM car_reservations
+            WHERE status = 'active' AND ends_at < ? AND reminded_at IS NULL
+            ORDER BY ends_at ASC
+        `;
+        try {
+            const rows = await database.all(sql, [new Date().toISOString()]);
+            return rows.map(row => new CarReservation(row));
+        } catch (error) {
+            throw new Error(`Ошибка получения просроченных броней: ${error.message}`);
+        }
+    }
+
+    /**
+     * Завершить бронь: вернуть автомобиль или отменить еще не начавшуюся бронь
+     * @returns {Promise<CarReservation>}
+     */
+    async close() {
+        const status = this.isStarted() ? 'returned' : 'cancelled';
+        const sql = `
+            UPDATE car_reservations
+            SET status = ?, returned_at = ?
+            WHERE id = ? AND status = 'active'
+        `;
+
+        try {
+            const returnedAt = new Date().toISOString();
+            const result = await database.run(sql, [status, returnedAt, this.id]);
+            if (result.changes === 0) {
+                throw new Error('бронь уже завершена');
+            }
+            this.status = status;
+            this.returned_at = returnedAt;
+            return this;
+        } catch (error) {
+            throw new Error(`Ошибка завершения брони: ${error.message}`);
+        }
+    }
+
+    /**
+     * Отметить отправку напоминания о просрочке
+     * @returns {Promise<void>}
+     */
+    async markReminded() {
+        const sql = 'UPDATE car_reservations SET reminded_at = ? WHERE id = ?';
+        try {
+            this.reminded_at = new Date().toISOString();
+            await database.run(sql, [this.reminded_at, this.id]);
+        } catch (error) {
+            throw new Error(`Ошибка отметки напоминания: ${error.message}`);
+        }
+    }
+
+    /**
+     * Проверить, началась ли бронь
+     * @returns {boolean}
+     */
+    isStarted() {
+        return this.starts_at <= new Date().toISOString();
+    }
+
+    /**
+     * Проверить, просрочен ли возврат
+     * @returns {boolean}
+     */
+    isOverdue() {
+        return this.status === 'active' && this.ends_at < new Date().toISOString();
+    }
+
+    /**
+     * Получить интервал брони для отображения
+     * @returns {string}
+     */
+    getFormattedPeriod() {
+        const format = (value) => new Date(value).toLocaleString('ru-RU', {
+            day: '2-digit',
+            month: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        return `${format(this.starts_at)} – ${format(this.ends_at)}`;
+    }
+
+    /**
+     * Преобразовать в JSON
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            car_id: this.car_id,
+            user_id: this.user_id,
+            telegram_id: this.telegram_id,
+            starts_at: this.starts_at,
+            ends_at: this.ends_at,
+            status: this.status,
+            returned_at: this.returned_at,
+            reminded_at: this.reminded_at,
+            created_at: this.created_at
+        };
+    }
+}
+
+CarReservation.STATUSES = RESERVATION_STATUSES;
+
+module.exports = CarReservation;
\ No newline at end of file
@@ -0,0 +1,146 @@
+const database = require('../connection');
+
+class ConversationSession {
+    constructor(data = {}) {
+        this.scope = data.scope;
+        this.session_key = data.session_key;
+        this.state = data.state || null;
+        this.data = typeof data.data === 'string' ? JSON.parse(data.data) : (data.data || {});
+        this.started_at = data.started_at;
+        this.expires_at = data.expires_at;
+        this.updated_at = data.updated_at || null;
+    }
+
+    /**
+     * Insert or replace the session stored under scope and key
+     * @param {string} scope - Conversation flow name
+     * @param {string|number} key - Session key (usually Telegram ID)
+     * @param {Object} session - Session data (must contain startTime)
+     * @param {number} ttl - Session lifetime in milliseconds
+     * @returns {Promise<void>}
+     */
+    static async save(scope, key, session, ttl) {
+        const sql = `
+            INSERT INTO conversation_sessions (scope, session_key, state, data, started_at, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(scope, session_key) DO UPDATE SET
+                state = excluded.state,
+                data = excluded.data,
+                started_at = excluded.started_at,
+                expires_at = excluded.expires_at,
+                updated_at = CURRENT_TIMESTAMP
+        `;
+
+        const params = [
+            scope,
+            String(key),
+            session.state || null,
+            JSON.stringify(session),
+            session.startTime,
+            session.startTime + ttl
+        ];
+
+        try {
+            await database.run(sql, params);
+        } catch (error) {
+            throw new Error(`Failed to save conversation session: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find a session by scope and key
+     * @param {string} scope - Conversation flow name
+     * @param {string|number} key - Session key
+     * @returns {Promise<ConversationSession|null>}
+     */
+    static async find(scope, key) {
+        const sql = 'SELECT * FROM conversation_sessions WHERE scope = ? AND session_key = ?';
+        try {
+            const row = await database.get(sql, [scope, String(key)]);
+            return row ? new ConversationSession(row) : null;
+        } catch (error) {
+            throw new Error(`Failed to find conversation session: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find all sessions of a scope that have not expired yet
+     * @param {string} scope - Conversation flow name
+     * @param {number} now - Current timestamp in milliseconds
+     * @returns {Promise<Array<ConversationSession>>}
+     */
+    static async findActiveByScope(scope, now = Date.now()) {
+        const sql = 'SELECT * FROM conversation_sessions WHERE scope = ? AND expires_at > ? ORDER BY started_at ASC';
+        try {
+            const rows = await database.all(sql, [scope, now]);
+            return rows.map(row => new ConversationSession(row));
+        } catch (error) {
+            throw new Error(`Failed to find conversation sessions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove a session
+     * @param {string} scope - Conversation flow name
+     * @param {string|number} key - Session key
+     * @returns {Promise<boolean>}
+     */
+    static async remove(scope, key) {
+        const sql = 'DELETE FROM conversation_sessions WHERE scope = ? AND session_key = ?';
+        try {
+            const result = await database.run(sql, [scope, String(key)]);
+            return result.changes > 0;
+        } catch (error) {
+            throw new Error(`Failed to remove conversation session: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove all sessions of a scope
+     * @param {string} scope - Conversation flow name
+     * @returns {Promise<number>} Number of removed sessions
+     */
+    static async removeScope(scope) {
+        const sql = 'DELETE FROM conversation_sessions WHERE scope = ?';
+        try {
+            const result = await database.run(sql, [scope]);
+            return result.changes;
+        } catch (error) {
+            throw new Error(`Failed to remove conversation sessions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove expired sessions of a scope
+     * @param {string} scope - Conversation flow name
+     * @param {number} now - Current timestamp in milliseconds
+     * @returns {Promise<number>} Number of removed sessions
+     */
+    static async deleteExpired(scope, now = Date.now()) {
+        const sql = 'DELETE FROM conversation_sessions WHERE scope = ? AND expires_at <= ?';
+        try {
+            const result = await database.run(sql, [scope, now]);
+            return result.changes;
+        } catch (error) {
+            throw new Error(`Failed to delete expired conversation sessions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Convert to JSON
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            scope: this.scope,
+            session_key: this.session_key,
+            state: this.state,
+            data: this.data,
+            started_at: this.started_at,
+            expires_at: this.expires_at,
+            updated_at: this.updated_at
+        };
+    }
+}
+
+module.exports = ConversationSession;
@@ -1,4 +1,5 @@
 const database = require('../connection');
+const QueryBuilder = require('../queryBuilder');
 
 /**
  * Garage Model
@@ -10,6 +11,8 @@ class Garage {
         this.car_name = data.car_name || null;
         this.status = data.status || 'Хорошее';
         this.last_maintenance = data.last_maintenance || null;
+        this.degrade_medium_days = data.degrade_medium_days || null;
+        this.degrade_bad_days = data.degrade_bad_days || null;
         this.created_at = data.created_at || null;
         this.updated_at = data.updated_at || null;
     }
@@ -84,22 +87,24 @@ class Garage {
      * Обновить статус автомобиля
      * @param {number} carId - ID автомобиля
      * @param {string} status - Новый статус ('Среднее', 'Хорошее', 'Плохое')
+     * @param {Object} [options]
+     * @param {boolean} [options.resetMaintenance=true] - Отметить обслуживание (false для естественного износа)
      * @returns {Promise<void>}
      */
-    static async updateStatus(carId, status) {
+    static async updateStatus(carId, status, { resetMaintenance = true } = {}) {
         const validStatuses = ['Среднее', 'Хорошее', 'Плохое'];
         if (!validStatuses.includes(status)) {
             throw new Error(`Недопустимый статус: ${status}. Допустимые: ${validStatuses.join(', ')}`);
         }
 
-        const sql = `
-            UPDATE garage 
-            SET status = ?, last_maintenance = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-            WHERE car_id = ?
-        `;
-
         try {
-            const result = await database.run(sql, [status, carId]);
+            const result = await QueryBuilder.table('garage')
+                .where({ car_id: carId })
+                .update({
+                    status,
+                    last_maintenance: resetMaintenance ? QueryBuilder.raw('CURRENT_TIMESTAMP') : undefined,
+                    updated_at: QueryBuilder.raw('CURRENT_TIMESTAMP')
+                });
             if (result.changes === 0) {
                 throw new Error(`Автомобиль с ID ${carId} не найден`);
             }
@@ -241,28 +246,23 @@ class Garage {
      */
     async update(updateData) {
         const allowedFields = ['car_name', 'status', 'last_maintenance'];
-        const updates = [];
-        const params = [];
+        const updates = {};
 
         Object.keys(updateData).forEach(key => {
             if (allowedFields.includes(key)) {
-                updates.push(`${key} = ?`);
-                params.push(updateData[key]);
+                updates[key] = updateData[key];
                 this[key] = updateData[key];
             }
         });
 
-        if (updates.length === 0) {
+        if (Object.keys(updates).length === 0) {
             return this;
         }
 
-        updates.push('updated_at = CURRENT_TIMESTAMP');
-        params.push(this.car_id);
-
-        const sql = `UPDATE garage SET ${updates.join(', ')} WHERE car_id = ?`;
-
         try {
-            await database.run(sql, params);
+            await QueryBuilder.table('garage')
+                .where({ car_id: this.car_id })
+                .update({ ...updates, updated_at: QueryBuilder.raw('CURRENT_TIMESTAMP') });
             this.updated_at = new Date().toISOString();
             return this;
         } catch (error) {
@@ -404,6 +404,37 @@ class Garage {
             throw new Error(`Ошибка обновления названия автомобиля: ${error.message}`);
         }
     }
+
+    /**
+     * Задать интервалы износа автомобиля (null - значения по умолчанию)
+     * @param {number} carId - ID автомобиля
+     * @param {number|null} mediumDays - Дней после ТО до состояния 'Среднее'
+     * @param {number|null} badDays - Дней после ТО до состояния 'Плохое'
+     * @returns {Promise<void>}
+     */
+    static async updateDegradationIntervals(carId, mediumDays, badDays) {
+        if ((mediumDays === null) !== (badDays === null)) {
+            throw new Error('Интервалы износа задаются вместе');
+        }
+        if (mediumDays !== null && !(mediumDays > 0 && badDays > mediumDays)) {
+            throw new Error('Интервал до состояния \'Плохое\' должен быть больше интервала до \'Среднее\'');
+        }
+
+        const sql = `
+            UPDATE garage 
+            SET degrade_medium_days = ?, degrade_bad_days = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE car_id = ?
+        `;
+
+        try {
+            const result = await database.run(sql, [mediumDays, badDays, carId]);
+            if (result.changes === 0) {
+                throw new Error(`Автомобиль с ID ${carId} не найден`);
+            }
+        } catch (error) {
+            throw new Error(`Ошибка обновления интервалов износа: ${error.message}`);
+        }
+    }
 }
 
 module.exports = Garage;
\ No newline at end of file
@@ -1,6 +1,6 @@
 const database = require('../connection');
-const fs = require('fs');
-const path = require('path');
+const QueryBuilder = require('../queryBuilder');
+const { photoStorage } = require('../../storage/photoStorage');
 const User = require('./user');
 const Garage = require('./garage');
 
@@ -16,6 +16,7 @@ class GarageRequest {
         this.telegram_id = data.telegram_id;
         this.photo_path = data.photo_path;
         this.payment_status = data.payment_status || 'Не выплачено';
+        this.reward_amount = data.reward_amount || null;
         this.admin_comment = data.admin_comment || null;
         this.admin_id = data.admin_id || null;
         this.submitted_at = data.submitted_at || null;
@@ -31,8 +32,8 @@ class GarageRequest {
      */
     static async create(requestData) {
         const sql = `
-            INSERT INTO garage_requests (car_id, user_id, telegram_id, photo_path, payment_status)
-            VALUES (?, ?, ?, ?, ?)
+            INSERT INTO garage_requests (car_id, user_id, telegram_id, photo_path, payment_status, reward_amount)
+            VALUES (?, ?, ?, ?, ?, ?)
         `;
         
         const params = [
@@ -40,7 +41,8 @@ class GarageRequest {
             requestData.user_id,
             requestData.telegram_id,
             requestData.photo_path,
-            requestData.payment_status || 'Не выплачено'
+            requestData.payment_status || 'Не выплачено',
+            requestData.reward_amount || null
         ];
 
         try {
@@ -144,20 +146,34 @@ class GarageRequest {
      * @returns {Promise<number>}
      */
     static async countRecentByUser(telegramId, hours = 1) {
-        const sql = `
-            SELECT COUNT(*) as count 
-            FROM garage_requests 
-            WHERE telegram_id = ? AND submitted_at > datetime('now', '-${hours} hours')
-        `;
-        
         try {
-            const result = await database.get(sql, [telegramId]);
-            return result.count || 0;
+            return await QueryBuilder.table('garage_requests')
+                .where('telegram_id = ?', telegramId)
+                .where('submitted_at > datetime(\'now\', ?)', QueryBuilder.interval(hours, 'hours'))
+                .count();
         } catch (error) {
             throw new Error(`Ошибка подсчета недавних заявок: ${error.message}`);
         }
     }
 
+    /**
+     * Подсчитать заявки пользователя на автомобиль за последние часы (анти-спам)
+     * @param {number} userId - ID пользователя
+     * @param {number} carId - ID автомобиля
+     * @param {number} hours - Количество часов назад
+     * @returns {Promise<number>}
+     */
+    static async countRecentByUserCar(userId, carId, hours = 24) {
+        try {
+            return await QueryBuilder.table('garage_requests')
+                .where({ user_id: userId, car_id: carId })
+                .where('submitted_at > datetime(\'now\', ?)', QueryBuilder.interval(hours, 'hours'))
+                .count();
+        } catch (error) {
+            throw new Error(`Ошибка подсчета заявок пользователя: ${error.message}`);
+        }
+    }
+
     /**
      * Получить заявки пользователя
      * @param {string} telegramId - Telegram ID пользователя
@@ -180,6 +196,67 @@ class GarageRequest {
         }
     }
 
+    /**
+     * Получить заявки пользователя с пагинацией и фильтром по статусу
+     * @param {string} telegramId - Telegram ID пользователя
+     * @param {Object} options - Параметры выборки
+     * @param {Array<string>|null} options.statuses - Статусы для фильтрации (null - все)
+     * @param {number} options.page - Номер страницы (начиная с 0)
+     * @param {number} options.pageSize - Размер страницы
+     * @returns {Promise<Object>} - Объект с заявками и информацией о пагинации
+     */
+    static async findByTelegramIdPaginated(telegramId, { statuses = null, page = 0, pageSize = 5 } = {}) {
+        const query = QueryBuilder.table('garage_requests').where('telegram_id = ?', String(telegramId));
+
+        if (statuses && statuses.length > 0) {
+            query.whereIn('payment_status', statuses);
+        }
+
+        query.orderBy('submitted_at DESC').orderBy('id DESC').limit(pageSize).offset(page * pageSize);
+
+        try {
+            const [rows, total] = await Promise.all([query.all(), query.count()]);
+
+            const totalPages = Math.ceil(total / pageSize);
+
+            return {
+                requests: rows.map(row => new GarageRequest(row)),
+                pagination: {
+                    currentPage: page,
+                    pageSize,
+                    total,
+                    totalPages,
+                    hasNext: page < totalPages - 1,
+                    hasPrev: page > 0
+                }
+            };
+        } catch (error) {
+            throw new Error(`Ошибка получения заявок пользователя: ${error.message}`);
+        }
+    }
+
+    /**
+     * Отклонить все ожидающие заявки пользователя (например, при исключении из семьи)
+     * @param {string} telegramId - Telegram ID пользователя
+     * @param {number|null} adminId - ID администратора
+     * @param {string} comment - Комментарий причины отклонения
+     * @returns {Promise<number>} Количество отклоненных заявок
+     */
+    static async rejectPendingByTelegramId(telegramId, adminId, comment) {
+        const sql = `
+            UPDATE garage_requests 
+            SET payment_status = 'Отклонено', admin_id = ?, admin_comment = ?, processed_at = CURRENT_TIMESTAMP 
+            WHERE telegram_id = ? AND payment_status = 'Не выплачено'
+        `;
+
+        try {
+            const result = await database.run(sql, [adminId, comment, telegramId]);
+            return result.changes;
+        } catch (error) {
+            throw new Error(`Ошибка отклонения заявок пользователя: ${error.message}`);
+        }
+    }
+
     /**
      * Одобрить заявку
      * @param {number} adminId - ID администратора
@@ -229,6 +306,41 @@ class GarageRequest {
         }
     }
 
+    /**
+     * Отменить заявку по просьбе участника
+     * Отменить можно только заявку, которую еще не рассмотрели
+     * @returns {Promise<void>}
+     */
+    async cancel() {
+        const sql = `
+            UPDATE garage_requests 
+            SET payment_status = 'Отклонено', admin_comment = ?, processed_at = CURRENT_TIMESTAMP 
+            WHERE id = ? AND payment_status = 'Не выплачено'
+        `;
+
+        let result;
+        try {
+            result = await database.run(sql, [GarageRequest.CANCELLED_COMMENT, this.id]);
+        } catch (error) {
+            throw new Error(`Ошибка отмены заявки: ${error.message}`);
+        }
+
+        if (result.changes === 0) {
+            throw new Error('Ошибка отмены заявки: заявка уже рассмотрена');
+        }
+        this.payment_status = 'Отклонено';
+        this.admin_comment = GarageRequest.CANCELLED_COMMENT;
+        this.processed_at = new Date().toISOString();
+    }
+
+    /**
+     * Проверить, отменена ли заявка самим участником
+     * @returns {boolean}
+     */
+    isCancelledByOwner() {
+        return this.payment_status === 'Отклонено' && !this.admin_id && this.admin_comment === GarageRequest.CANCELLED_COMMENT;
+    }
+
     /**
      * Обновить статус оплаты
      * @param {string} status - Новый статус оплаты
@@ -251,14 +363,23 @@ class GarageRequest {
     }
 
     /**
-     * Проверить, существует ли файл фотографии
-     * @returns {boolean}
+     * Проверить, сохранено ли фото заявки
+     * @returns {Promise<boolean>}
+     */
+    async photoExists() {
+        return photoStorage.exists(this.photo_path);
+    }
+
+    /**
+     * Получить путь к локальной копии фото для отправки в Telegram
+     * @returns {Promise<string|null>}
      */
-    photoExists() {
-        if (!this.photo_path) {
-            return false;
+    async getPhotoPath() {
+        try {
+            return await photoStorage.getLocalPath(this.photo_path);
+        } catch (error) {
+            throw new Error(`Ошибка получения фотографии: ${error.message}`);
         }
-        return fs.existsSync(this.photo_path);
     }
 
     /**
@@ -266,12 +387,8 @@ class GarageRequest {
      * @returns {Promise<Buffer|null>}
      */
     async getPhotoBuffer() {
-        if (!this.photoExists()) {
-            return null;
-        }
-
         try {
-            return fs.readFileSync(this.photo_path);
+            return await photoStorage.read(this.photo_path);
         } catch (error) {
             throw new Error(`Ошибка чтения файла фотографии: ${error.message}`);
         }
@@ -282,13 +399,8 @@ class GarageRequest {
      * @returns {Promise<boolean>}
      */
     async deletePhoto() {
-        if (!this.photoExists()) {
-            return false;
-        }
-
         try {
-            fs.unlinkSync(this.photo_path);
-            return true;
+            return await photoStorage.remove(this.photo_path);
         } catch (error) {
             throw new Error(`Ошибка удаления файла фотографии: ${error.message}`);
         }
@@ -391,6 +503,40 @@ class GarageRequest {
         }
     }
 
+    /**
+     * Проверить, ссылается ли на фото хотя бы одна заявка
+     * @param {string} photoPath - Ссылка на фото в хранилище
+     * @returns {Promise<boolean>}
+     */
+    static async isPhotoInUse(photoPath) {
+        const sql = 'SELECT COUNT(*) as count FROM garage_requests WHERE photo_path = ?';
+        try {
+            const row = await database.get(sql, [photoPath]);
+            return Boolean(row && row.count > 0);
+        } catch (error) {
+            throw new Error(`Ошибка проверки использования фото: ${error.message}`);
+        }
+    }
+
+    /**
+     * Получить фото, которые нужно хранить: нерассмотренные заявки и заявки, обработанные после указанной даты
+     * @param {string} since - Граница срока хранения (ISO)
+     * @returns {Promise<Array<string>>}
+     */
+    static async findPhotoPathsInUse(since) {
+        const sql = `
+            SELECT DISTINCT photo_path FROM garage_requests
+            WHERE payment_status IN ('Не выплачено', 'Производится оплата')
+               OR datetime(COALESCE(processed_at, submitted_at)) >= datetime(?)
+        `;
+        try {
+            const rows = await database.all(sql, [since]);
+            return rows.map(row => row.photo_path);
+        } catch (error) {
+            throw new Error(`Ошибка получения фото заявок: ${error.message}`);
+        }
+    }
+
     /**
      * Удалить заявку
      * @returns {Promise<boolean>}
@@ -398,10 +544,12 @@ class GarageRequest {
     async delete() {
         const sql = 'DELETE FROM garage_requests WHERE id = ?';
         try {
-            // Сначала удаляем фото, если оно есть
-            await this.deletePhoto();
-            
             const result = await database.run(sql, [this.id]);
+
+            // Одинаковые фото хранятся одним файлом: удаляем, только если он больше не нужен
+            if (result.changes > 0 && !(await GarageRequest.isPhotoInUse(this.photo_path))) {
+                await this.deletePhoto();
+            }
             return result.changes > 0;
         } catch (error) {
             throw new Error(`Ошибка удаления заявки: ${error.message}`);
@@ -409,4 +557,7 @@ class GarageRequest {
     }
 }
 
+// Статус 'Отклонено' с этим комментарием и без администратора означает отмену участником
+GarageRequest.CANCELLED_COMMENT = 'Отменена участником';
+
 module.exports = GarageRequest;
\ No newline at end of file
@@ -1,4 +1,5 @@
 const database = require('../connection');
+const QueryBuilder = require('../queryBuilder');
 
 class HelpMetrics {
     constructor(data = {}) {
@@ -80,43 +81,39 @@ class HelpMetrics {
      */
     static async getUsageStats(options = {}) {
         const timeRange = options.timeRange || '7 days';
-        
+
         try {
+            const since = QueryBuilder.interval(timeRange);
+            const metrics = () => QueryBuilder.table('help_metrics')
+                .where('created_at >= datetime(\'now\', ?)', since);
+
             // Total usage count
-            const totalUsageSql = `
-                SELECT COUNT(*) as total_usage 
-                FROM help_metrics 
-                WHERE action = 'view' AND created_at >= datetime('now', '-${timeRange}')
-            `;
-            const totalUsage = await database.get(totalUsageSql);
+            const totalUsage = await metrics()
+                .select('COUNT(*) as total_usage')
+                .where({ action: 'view' })
+                .get();
 
             // Usage by user type
-            const userTypeSql = `
-                SELECT user_type, COUNT(*) as count 
-                FROM help_metrics 
-                WHERE action = 'view' AND created_at >= datetime('now', '-${timeRange}')
-                GROUP BY user_type
-            `;
-            const userTypeStats = await database.all(userTypeSql);
+            const userTypeStats = await metrics()
+                .select('user_type', 'COUNT(*) as count')
+                .where({ action: 'view' })
+                .groupBy('user_type')
+                .all();
 
             // Most popular sections
-            const sectionsSql = `
-                SELECT menu_section, COUNT(*) as count 
-                FROM help_metrics 
-                WHERE action = 'click' AND created_at >= datetime('now', '-${timeRange}')
-                GROUP BY menu_section 
-                ORDER BY count DESC 
-                LIMIT 10
-            `;
-            const popularSections = await database.all(sectionsSql);
+            const popularSections = await metrics()
+                .select('menu_section', 'COUNT(*) as count')
+                .where({ action: 'click' })
+                .groupBy('menu_section')
+                .orderBy('count DESC')
+                .limit(10)
+                .all();
 
             // Average response time
-            const responseSql = `
-                SELECT AVG(response_time) as avg_response_time 
-                FROM help_metrics 
-                WHERE response_time IS NOT NULL AND created_at >= datetime('now', '-${timeRange}')
-            `;
-            const responseTime = await database.get(responseSql);
+            const responseTime = await metrics()
+                .select('AVG(response_time) as avg_response_time')
+                .where('response_time IS NOT NULL')
+                .get();
 
             return {
                 total_usage: totalUsage.total_usage || 0,
@@ -143,20 +140,14 @@ class HelpMetrics {
      * @returns {Promise<Array>}
      */
     static async getDailyTrend(days = 30) {
-        const sql = `
-            SELECT 
-                DATE(created_at) as date, 
-                COUNT(*) as usage_count,
-                user_type
-            FROM help_metrics 
-            WHERE action = 'view' AND created_at >= datetime('now', '-${days} days')
-            GROUP BY DATE(created_at), user_type
-            ORDER BY date DESC
-        `;
-
         try {
-            const rows = await database.all(sql);
-            return rows;
+            return await QueryBuilder.table('help_metrics')
+                .select('DATE(created_at) as date', 'COUNT(*) as usage_count', 'user_type')
+                .where({ action: 'view' })
+                .where('created_at >= datetime(\'now\', ?)', QueryBuilder.interval(days, 'days'))
+                .groupBy('DATE(created_at)', 'user_type')
+                .orderBy('date DESC')
+                .all();
         } catch (error) {
             console.error(`Failed to get daily trend: ${error.message}`);
             return [];
@@ -0,0 +1,96 @@
+const database = require('../connection');
+
+const MEMBERSHIP_EVENTS = ['joined', 'kicked', 'left', 'readmitted'];
+
+class MembershipEvent {
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.user_id = data.user_id;
+        this.telegram_id = data.telegram_id;
+        this.event = data.event;
+        this.reason = data.reason || null;
+        this.actor_id = data.actor_id || null;
+        this.created_at = data.created_at || null;
+    }
+
+    /**
+     * Record a membership event
+     * @param {Object} eventData - Event data (user_id, telegram_id, event, reason, actor_id)
+     * @returns {Promise<MembershipEvent>}
+     */
+    static async create(eventData) {
+        if (!MEMBERSHIP_EVENTS.includes(eventData.event)) {
+            throw new Error(`Failed to record membership event: unknown event ${eventData.event}`);
+        }
+
+        const sql = `
+            INSERT INTO membership_events (user_id, telegram_id, event, reason, actor_id)
+            VALUES (?, ?, ?, ?, ?)
+        `;
+
+        const params = [
+            eventData.user_id,
+            eventData.telegram_id,
+            eventData.event,
+            eventData.reason || null,
+            eventData.actor_id || null
+        ];
+
+        try {
+            const result = await database.run(sql, params);
+            return new MembershipEvent({ id: result.id, ...eventData });
+        } catch (error) {
+            throw new Error(`Failed to record membership event: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get membership history of a user, oldest first
+     * @param {number} userId - User ID
+     * @returns {Promise<Array<MembershipEvent>>}
+     */
+    static async findByUserId(userId) {
+        const sql = 'SELECT * FROM membership_events WHERE user_id = ? ORDER BY created_at ASC, id ASC';
+        try {
+            const rows = await database.all(sql, [userId]);
+            return rows.map(row => new MembershipEvent(row));
+        } catch (error) {
+            throw new Error(`Failed to find membership events: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the latest membership event of a user
+     * @param {number} userId - User ID
+     * @returns {Promise<MembershipEvent|null>}
+     */
+    static async findLastByUserId(userId) {
+        const sql = 'SELECT * FROM membership_events WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT 1';
+        try {
+            const row = await database.get(sql, [userId]);
+            return row ? new MembershipEvent(row) : null;
+        } catch (error) {
+            throw new Error(`Failed to find last membership event: ${error.message}`);
+        }
+    }
+
+    /**
+     * Convert to JSON
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            user_id: this.user_id,
+            telegram_id: this.telegram_id,
+            event: this.event,
+            reason: this.reason,
+            actor_id: this.actor_id,
+            created_at: this.created_at
+        };
+    }
+}
+
+MembershipEvent.EVENTS = MEMBERSHIP_EVENTS;
+
+module.exports = MembershipEvent;
\ No newline at end of file
@@ -0,0 +1,80 @@
+const QueryBuilder = require('../queryBuilder');
+
+/**
+ * NotificationDigestItem Model
+ * Уведомления, ожидающие ежедневной сводки
+ */
+class NotificationDigestItem {
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.telegram_id = data.telegram_id;
+        this.category = data.category;
+        this.text = data.text;
+        this.created_at = data.created_at || null;
+    }
+
+    /**
+     * Отложить уведомление до сводки
+     * @param {number|string} telegramId - Telegram ID получателя
+     * @param {string} category - Категория уведомления
+     * @param {string} text - Текст уведомления
+     * @returns {Promise<NotificationDigestItem>}
+     */
+    static async add(telegramId, category, text) {
+        try {
+            const result = await QueryBuilder.table('notification_digest_items').insert({
+                telegram_id: telegramId,
+                category,
+                text
+            });
+            return new NotificationDigestItem({ id: result.id, telegram_id: telegramId, category, text });
+        } catch (error) {
+            throw new Error(`Ошибка сохранения уведомления для сводки: ${error.message}`);
+        }
+    }
+
+    /**
+     * Все ожидающие уведомления, сгруппированные по получателям
+     * @returns {Promise<Map<string, Array<NotificationDigestItem>>>}
+     */
+    static async findGrouped() {
+        try {
+            const rows = await QueryBuilder.table('notification_digest_items')
+                .orderBy('telegram_id ASC')
+                .orderBy('id ASC')
+                .all();
+
+            const groups = new Map();
+            for (const row of rows) {
+                const key = String(row.telegram_id);
+                if (!groups.has(key)) {
+                    groups.set(key, []);
+                }
+                groups.get(key).push(new NotificationDigestItem(row));
+            }
+            return groups;
+        } catch (error) {
+            throw new Error(`Ошибка получения уведомлений для сводки: ${error.message}`);
+        }
+    }
+
+    /**
+     * Удалить отправленные уведомления
+     * @param {Array<number>} ids - ID записей
+     * @returns {Promise<number>}
+     */
+    static async deleteByIds(ids) {
+        if (ids.length === 0) {
+            return 0;
+        }
+
+        try {
+            const result = await QueryBuilder.table('notification_digest_items').whereIn('id', ids).delete();
+            return result.changes;
+        } catch (error) {
+            throw new Error(`Ошибка удаления уведомлений сводки: ${error.message}`);
+        }
+    }
+}
+
+module.exports = NotificationDigestItem;
\ No newline at end of file
@@ -0,0 +1,183 @@
+const database = require('../connection');
+const QueryBuilder = require('../queryBuilder');
+const { NOTIFICATION_CATEGORIES, DELIVERY_MODES } = require('../../../config/notifications');
+
+/**
+ * NotificationPreference Model
+ * Настройки уведомлений пользователя: категории, способ доставки и тихие часы.
+ * Пользователь без записи получает все уведомления сразу
+ */
+class NotificationPreference {
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.telegram_id = data.telegram_id;
+        for (const category of NOTIFICATION_CATEGORIES) {
+            this[category] = data[category] !== undefined && data[category] !== null ? data[category] : 1;
+        }
+        this.delivery_mode = data.delivery_mode || 'instant';
+        this.quiet_start = data.quiet_start !== undefined ? data.quiet_start : null;
+        this.quiet_end = data.quiet_end !== undefined ? data.quiet_end : null;
+        this.updated_at = data.updated_at || null;
+    }
+
+    /**
+     * Найти настройки пользователя (или настройки по умолчанию)
+     * @param {number|string} telegramId - Telegram ID
+     * @returns {Promise<NotificationPreference>}
+     */
+    static async findByTelegramId(telegramId) {
+        try {
+            const row = await QueryBuilder.table('notification_preferences').where({ telegram_id: telegramId }).get();
+            return new NotificationPreference(row || { telegram_id: telegramId });
+        } catch (error) {
+            throw new Error(`Ошибка получения настроек уведомлений: ${error.message}`);
+        }
+    }
+
+    /**
+     * Telegram ID пользователей, отключивших категорию
+     * @param {string} category - Категория уведомлений
+     * @returns {Promise<Array<string>>}
+     */
+    static async findDisabled(category) {
+        NotificationPreference.assertCategory(category);
+
+        try {
+            const rows = await QueryBuilder.table('notification_preferences')
+                .select('telegram_id')
+                .where({ [category]: 0 })
+                .all();
+            return rows.map(row => String(row.telegram_id));
+        } catch (error) {
+            throw new Error(`Ошибка получения настроек уведомлений: ${error.message}`);
+        }
+    }
+
+    /**
+     * Сохранить изменения настроек пользователя
+     * @param {number|string} telegramId - Telegram ID
+     * @param {Object} fields - Категории (0/1), delivery_mode, quiet_start, quiet_end
+     * @returns {Promise<NotificationPreference>}
+     */
+    static async update(telegramId, fields) {
+        const preference = new NotificationPreference({
+            ...(await NotificationPreference.findByTelegramId(telegramId)),
+            ...fields
+        });
+        preference.validate();
+
+        const columns = [...NOTIFICATION_CATEGORIES, 'delivery_mode', 'quiet_start', 'quiet_end'];
+        const sql = `
+            INSERT INTO notification_preferences (telegram_id, ${columns.join(', ')})
+            VALUES (?, ${columns.map(() => '?').join(', ')})
+            ON CONFLICT (telegram_id) DO UPDATE SET
+                ${columns.map(column => `${column} = excluded.${column}`).join(', ')},
+                updated_at = CURRENT_TIMESTAMP
+        `;
+
+        try {
+            await database.run(sql, [telegramId, ...columns.map(column => preference[column])]);
+            return await NotificationPreference.findByTelegramId(telegramId);
+        } catch (error) {
+            throw new Error(`Ошибка сохранения настроек уведомлений: ${error.message}`);
+        }
+    }
+
+    /**
+     * Проверить категорию уведомлений
+     * @param {string} category - Категория
+     */
+    static assertCategory(category) {
+        if (!NOTIFICATION_CATEGORIES.includes(category)) {
+            throw new Error(`Неизвестная категория уведомлений: ${category}`);
+        }
+    }
+
+    /**
+     * Проверить значения настроек
+     */
+    validate() {
+        if (!DELIVERY_MODES.includes(this.delivery_mode)) {
+            throw new Error(`Неизвестный способ доставки: ${this.delivery_mode}`);
+        }
+
+        for (const hour of [this.quiet_start, this.quiet_end]) {
+            if (hour !== null && !(Number.isInteger(hour) && hour >= 0 && hour <= 23)) {
+                throw new Error(`Неверный час тихого режима: ${hour}`);
+            }
+        }
+        if ((this.quiet_start === null) !== (this.quiet_end === null)) {
+            throw new Error('Тихие часы задаются началом и концом');
+        }
+    }
+
+    /**
+     * Включена ли категория уведомлений
+     * @param {string} category - Категория
+     * @returns {boolean}
+     */
+    isEnabled(category) {
+        NotificationPreference.assertCategory(category);
+        return this[category] !== 0;
+    }
+
+    /**
+     * Собирать ли уведомления в сводку
+     * @returns {boolean}
+     */
+    isDigest() {
+        return this.delivery_mode === 'digest';
+    }
+
+    /**
+     * Заданы ли тихие часы
+     * @returns {boolean}
+     */
+    hasQuietHours() {
+        return this.quiet_start !== null && this.quiet_end !== null && this.quiet_start !== this.quiet_end;
+    }
+
+    /**
+     * Попадает ли момент в тихие часы (время сервера)
+     * @param {Date} date - Момент
+     * @returns {boolean}
+     */
+    isQuietAt(date) {
+        if (!this.hasQuietHours()) {
+            return false;
+        }
+
+        const hour = date.getHours();
+        return this.quiet_start < this.quiet_end
+            ? hour >= this.quiet_start && hour < this.quiet_end
+            : hour >= this.quiet_start || hour < this.quiet_end;
+    }
+
+    /**
+     * Ближайший конец тихих часов после указанного момента
+     * @param {Date} date - Момент
+     * @returns {Date}
+     */
+    getQuietEnd(date) {
+        const end = new Date(date);
+        end.setHours(this.quiet_end, 0, 0, 0);
+        if (end <= date) {
+            end.setDate(end.getDate() + 1);
+        }
+        return end;
+    }
+
+    /**
+     * Тихие часы для отображения
+     * @returns {string|null} Например, 23:00–08:00
+     */
+    getQuietHoursText() {
+        if (!this.hasQuietHours()) {
+            return null;
+        }
+        const format = hour => `${String(hour).padStart(2, '0')}:00`;
+        return `${format(this.quiet_start)}–${format(this.quiet_end)}`;
+    }
+}
+
+module.exports = NotificationPreference;
\ No newline at end of file
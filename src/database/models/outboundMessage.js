@@ -0,0 +1,148 @@
+const QueryBuilder = require('../queryBuilder');
+
+const OUTBOUND_STATUSES = ['pending', 'failed', 'unreachable'];
+
+/**
+ * OutboundMessage Model
+ * Уведомления в очереди исходящих сообщений. Запись живет, пока сообщение
+ * не доставлено: после доставки она удаляется, недоставленные остаются
+ * со статусом и текстом ошибки
+ */
+class OutboundMessage {
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.chat_id = data.chat_id;
+        this.method = data.method;
+        this.payload = data.payload;
+        this.status = data.status || 'pending';
+        this.attempts = data.attempts || 0;
+        this.next_attempt_at = data.next_attempt_at || null;
+        this.error = data.error || null;
+        this.created_at = data.created_at || null;
+    }
+
+    /**
+     * Поставить сообщение в очередь
+     * @param {Object} messageData - Данные сообщения (chat_id, method, args, next_attempt_at)
+     * @returns {Promise<OutboundMessage>}
+     */
+    static async create(messageData) {
+        const record = {
+            chat_id: String(messageData.chat_id),
+            method: messageData.method,
+            payload: JSON.stringify(messageData.args),
+            next_attempt_at: messageData.next_attempt_at ? messageData.next_attempt_at.toISOString() : null
+        };
+
+        try {
+            const result = await QueryBuilder.table('outbound_messages').insert(record);
+            return new OutboundMessage({ id: result.id, ...record });
+        } catch (error) {
+            throw new Error(`Ошибка добавления сообщения в очередь: ${error.message}`);
+        }
+    }
+
+    /**
+     * Недоставленные сообщения в порядке постановки в очередь
+     * @returns {Promise<Array<OutboundMessage>>}
+     */
+    static async findPending() {
+        try {
+            const rows = await QueryBuilder.table('outbound_messages')
+                .where({ status: 'pending' })
+                .orderBy('id ASC')
+                .all();
+            return rows.map(row => new OutboundMessage(row));
+        } catch (error) {
+            throw new Error(`Ошибка получения очереди сообщений: ${error.message}`);
+        }
+    }
+
+    /**
+     * Удалить недоставленные сообщения старше указанного срока
+     * @param {number} days - Срок хранения в днях
+     * @returns {Promise<number>} Число удаленных записей
+     */
+    static async cleanup(days) {
+        try {
+            const result = await QueryBuilder.table('outbound_messages')
+                .whereIn('status', ['failed', 'unreachable'])
+                .where('updated_at < datetime(\'now\', ?)', QueryBuilder.interval(days, 'days'))
+                .delete();
+            return result.changes;
+        } catch (error) {
+            throw new Error(`Ошибка очистки очереди сообщений: ${error.message}`);
+        }
+    }
+
+    /**
+     * Аргументы метода бота после chat_id
+     * @returns {Array}
+     */
+    getArgs() {
+        return JSON.parse(this.payload);
+    }
+
+    /**
+     * Сохранить неудачную попытку и время следующей
+     * @param {number} attempts - Число попыток
+     * @param {Date} nextAttemptAt - Время следующей попытки
+     * @param {string|null} errorMessage - Текст ошибки
+     * @returns {Promise<OutboundMessage>}
+     */
+    async reschedule(attempts, nextAttemptAt, errorMessage = null) {
+        return this.save({
+            attempts,
+            next_attempt_at: nextAttemptAt.toISOString(),
+            error: errorMessage
+        });
+    }
+
+    /**
+     * Отказаться от доставки
+     * @param {string} status - failed или unreachable
+     * @param {number} attempts - Число попыток
+     * @param {string|null} errorMessage - Текст ошибки
+     * @returns {Promise<OutboundMessage>}
+     */
+    async fail(status, attempts, errorMessage = null) {
+        if (!OUTBOUND_STATUSES.includes(status)) {
+            throw new Error(`Неизвестный статус сообщения: ${status}`);
+        }
+        return this.save({ status, attempts, error: errorMessage });
+    }
+
+    /**
+     * Удалить доставленное сообщение из очереди
+     * @returns {Promise<boolean>}
+     */
+    async complete() {
+        try {
+            const result = await QueryBuilder.table('outbound_messages').where({ id: this.id }).delete();
+            return result.changes > 0;
+        } catch (error) {
+            throw new Error(`Ошибка удаления сообщения из очереди: ${error.message}`);
+        }
+    }
+
+    /**
+     * Обновить поля записи
+     * @param {Object} fields - Новые значения
+     * @returns {Promise<OutboundMessage>}
+     */
+    async save(fields) {
+        try {
+            await QueryBuilder.table('outbound_messages')
+                .where({ id: this.id })
+                .update({ ...fields, updated_at: QueryBuilder.raw('CURRENT_TIMESTAMP') });
+            Object.assign(this, fields);
+            return this;
+        } catch (error) {
+            throw new Error(`Ошибка обновления сообщения в очереди: ${error.message}`);
+        }
+    }
+}
+
+OutboundMessage.STATUSES = OUTBOUND_STATUSES;
+
+module.exports = OutboundMessage;
\ No newline at end of file
@@ -0,0 +1,234 @@
+const database = require('../connection');
+
+const PAYOUT_STATUSES = ['pending', 'paid', 'cancelled'];
+
+/**
+ * Payout Model
+ * Журнал выплат вознаграждений по одобренным заявкам гаража
+ */
+class Payout {
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.request_id = data.request_id;
+        this.user_id = data.user_id;
+        this.telegram_id = data.telegram_id;
+        this.amount = data.amount || 0;
+        this.status = data.status || 'pending';
+        this.paid_by = data.paid_by || null;
+        this.paid_at = data.paid_at || null;
+        this.created_at = data.created_at || null;
+    }
+
+    /**
+     * Создать выплату по одобренной заявке
+     * @param {Object} payoutData - Данные выплаты (request_id, user_id, telegram_id, amount)
+     * @returns {Promise<Payout>}
+     */
+    static async create(payoutData) {
+        const sql = `
+            INSERT INTO garage_payouts (request_id, user_id, telegram_id, amount)
+            VALUES (?, ?, ?, ?)
+        `;
+
+        const params = [
+            payoutData.request_id,
+            payoutData.user_id,
+            String(payoutData.telegram_id),
+            payoutData.amount
+        ];
+
+        try {
+            const result = await database.run(sql, params);
+            return await Payout.findById(result.id);
+        } catch (error) {
+            throw new Error(`Ошибка создания выплаты: ${error.message}`);
+        }
+    }
+
+    /**
+     * Найти выплату по ID
+     * @param {number} id - ID выплаты
+     * @returns {Promise<Payout|null>}
+     */
+    static async findById(id) {
+        const sql = 'SELECT * FROM garage_payouts WHERE id = ?';
+        try {
+            const row = await database.get(sql, [id]);
+            return row ? new Payout(row) : null;
+        } catch (error) {
+            throw new Error(`Ошибка поиска выплаты: ${error.message}`);
+        }
+    }
+
+    /**
+     * Найти выплату по заявке
+     * @param {number} requestId - ID заявки
+     * @returns {Promise<Payout|null>}
+     */
+    static async findByRequestId(requestId) {
+        const sql = 'SELECT * FROM garage_payouts WHERE request_id = ?';
+        try {
+            const row = await database.get(sql, [requestId]);
+            return row ? new Payout(row) : null;
+        } catch (error) {
+            throw new Error(`Ошибка поиска выплаты по заявке: ${error.message}`);
+        }
+    }
+
+    /**
+     * Получить невыплаченные выплаты (старые первыми)
+     * @param {number} limit - Лимит записей
+     * @returns {Promise<Array<Payout>>}
+     */
+    static async findOutstanding(limit = 50) {
+        const sql = `
+            SELECT * FROM garage_payouts
+            WHERE status = 'pending'
+            ORDER BY created_at ASC, id ASC
+            LIMIT ?
+        `;
+        try {
+            const rows = await database.all(sql, [limit]);
+            return rows.map(row => new Payout(row));
+        } catch (error) {
+            throw new Error(`Ошибка получения невыплаченных выплат: ${error.message}`);
+        }
+    }
+
+    /**
+     * Получить задолженность по пользователям (крупные первыми)
+     * @returns {Promise<Array<Object>>} [{ user_id, telegram_id, count, amount }]
+     */
+    static async getOutstandingByUser() {
+        const sql = `
+            SELECT user_id, telegram_id, COUNT(*) as count, SUM(amount) as amount
+            FROM garage_payouts
+            WHERE status = 'pending'
+            GROUP BY user_id, telegram_id
+            ORDER BY amount DESC
+        `;
+        try {
+            return await database.all(sql);
+        } catch (error) {
+            throw new Error(`Ошибка расчета задолженности: ${error.message}`);
+        }
+    }
+
+    /**
+     * Получить баланс пользователя
+     * @param {number} userId - ID пользователя
+     * @returns {Promise<Object>} { outstanding, outstandingCount, paid, paidCount }
+     */
+    static async getBalance(userId) {
+        const sql = `
+            SELECT
+                COALESCE(SUM(CASE WHEN status = 'pending' THEN amount END), 0) as outstanding,
+                COUNT(CASE WHEN status = 'pending' THEN 1 END) as outstandingCount,
+                COALESCE(SUM(CASE WHEN status = 'paid' THEN amount END), 0) as paid,
+                COUNT(CASE WHEN status = 'paid' THEN 1 END) as paidCount
+            FROM garage_payouts
+            WHERE user_id = ?
+        `;
+        try {
+            return await database.get(sql, [userId]);
+        } catch (error) {
+            throw new Error(`Ошибка получения баланса: ${error.message}`);
+        }
+    }
+
+    /**
+     * Получить итоги по журналу выплат
+     * @returns {Promise<Object>} { outstanding, outstandingCount, paid, paidCount }
+     */
+    static async getTotals() {
+        const sql = `
+            SELECT
+                COALESCE(SUM(CASE WHEN status = 'pending' THEN amount END), 0) as outstanding,
+                COUNT(CASE WHEN status = 'pending' THEN 1 END) as outstandingCount,
+                COALESCE(SUM(CASE WHEN status = 'paid' THEN amount END), 0) as paid,
+                COUNT(CASE WHEN status = 'paid' THEN 1 END) as paidCount
+            FROM garage_payouts
+        `;
+        try {
+            return await database.get(sql);
+        } catch (error) {
+            throw new Error(`Ошибка получения итогов выплат: ${error.message}`);
+        }
+    }
+
+    /**
+     * Отметить выплату как произведенную
+     * @param {number} adminId - ID администратора (казначея)
+     * @returns {Promise<Payout>}
+     */
+    async markPaid(adminId) {
+        const sql = `
+            UPDATE garage_payouts
+            SET status = 'paid', paid_by = ?, paid_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'pending'
+        `;
+
+        try {
+            const result = await database.run(sql, [adminId, this.id]);
+            if (result.changes === 0) {
+                throw new Error('выплата уже обработана');
+            }
+            this.status = 'paid';
+            this.paid_by = adminId;
+            this.paid_at = new Date().toISOString();
+            return this;
+        } catch (error) {
+            throw new Error(`Ошибка отметки выплаты: ${error.message}`);
+        }
+    }
+
+    /**
+     * Проверить, ожидает ли выплата перевода
+     * @returns {boolean}
+     */
+    isPending() {
+        return this.status === 'pending';
+    }
+
+    /**
+     * Получить форматированную сумму
+     * @returns {string}
+     */
+    getFormattedAmount() {
+        return Payout.formatAmount(this.amount);
+    }
+
+    /**
+     * Форматировать сумму игровой валюты: 3000000 -> "3 млн"
+     * @param {number} amount - Сумма
+     * @returns {string}
+     */
+    static formatAmount(amount) {
+        if (amount >= 1000000 && amount % 100000 === 0) {
+            return `${(amount / 1000000).toLocaleString('ru-RU')} млн`;
+        }
+        return amount.toLocaleString('ru-RU');
+    }
+
+    /**
+     * Преобразовать в JSON
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            request_id: this.request_id,
+            user_id: this.user_id,
+            telegram_id: this.telegram_id,
+            amount: this.amount,
+            status: this.status,
+            paid_by: this.paid_by,
+            paid_at: this.paid_at,
+            created_at: this.created_at
+        };
+    }
+}
+
+Payout.STATUSES = PAYOUT_STATUSES;
+
+module.exports = Payout;
\ No newline at end of file
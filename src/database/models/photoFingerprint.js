@@ -0,0 +1,118 @@
+const database = require('../connection');
+
+const SOURCES = ['garage', 'auth'];
+
+/**
+ * PhotoFingerprint Model
+ * Отпечатки фотографий заявок гаража и авторизации для поиска повторных отправок
+ */
+class PhotoFingerprint {
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.source = data.source;
+        this.request_id = data.request_id;
+        this.telegram_id = data.telegram_id;
+        this.car_id = data.car_id || null;
+        this.file_path = data.file_path;
+        this.sha256 = data.sha256;
+        this.phash = data.phash || null;
+        this.created_at = data.created_at || null;
+    }
+
+    /**
+     * Сохранить отпечаток фотографии
+     * @param {Object} fingerprintData - Данные (source, request_id, telegram_id, car_id, file_path, sha256, phash)
+     * @returns {Promise<PhotoFingerprint>}
+     */
+    static async create(fingerprintData) {
+        if (!SOURCES.includes(fingerprintData.source)) {
+            throw new Error(`Ошибка сохранения отпечатка фото: неизвестный источник ${fingerprintData.source}`);
+        }
+
+        const sql = `
+            INSERT INTO photo_fingerprints (source, request_id, telegram_id, car_id, file_path, sha256, phash)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `;
+
+        try {
+            const result = await database.run(sql, [
+                fingerprintData.source,
+                fingerprintData.request_id,
+                String(fingerprintData.telegram_id),
+                fingerprintData.car_id || null,
+                fingerprintData.file_path,
+                fingerprintData.sha256,
+                fingerprintData.phash || null
+            ]);
+            return await PhotoFingerprint.findById(result.id);
+        } catch (error) {
+            throw new Error(`Ошибка сохранения отпечатка фото: ${error.message}`);
+        }
+    }
+
+    /**
+     * Найти отпечаток по ID
+     * @param {number} id - ID отпечатка
+     * @returns {Promise<PhotoFingerprint|null>}
+     */
+    static async findById(id) {
+        const sql = 'SELECT * FROM photo_fingerprints WHERE id = ?';
+        try {
+            const row = await database.get(sql, [id]);
+            return row ? new PhotoFingerprint(row) : null;
+        } catch (error) {
+            throw new Error(`Ошибка поиска отпечатка фото: ${error.message}`);
+        }
+    }
+
+    /**
+     * Найти самую раннюю отправку того же файла
+     * @param {string} sha256 - Точный отпечаток
+     * @returns {Promise<PhotoFingerprint|null>}
+     */
+    static async findFirstBySha256(sha256) {
+        const sql = 'SELECT * FROM photo_fingerprints WHERE sha256 = ? ORDER BY id ASC LIMIT 1';
+        try {
+            const row = await database.get(sql, [sha256]);
+            return row ? new PhotoFingerprint(row) : null;
+        } catch (error) {
+            throw new Error(`Ошибка поиска отпечатка фото: ${error.message}`);
+        }
+    }
+
+    /**
+     * Получить все отпечатки с перцептивным хэшем (от ранних к поздним)
+     * @returns {Promise<Array<PhotoFingerprint>>}
+     */
+    static async findWithPerceptualHash() {
+        const sql = 'SELECT * FROM photo_fingerprints WHERE phash IS NOT NULL ORDER BY id ASC';
+        try {
+            const rows = await database.all(sql);
+            return rows.map(row => new PhotoFingerprint(row));
+        } catch (error) {
+            throw new Error(`Ошибка получения отпечатков фото: ${error.message}`);
+        }
+    }
+
+    /**
+     * Преобразовать в JSON
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            source: this.source,
+            request_id: this.request_id,
+            telegram_id: this.telegram_id,
+            car_id: this.car_id,
+            file_path: this.file_path,
+            sha256: this.sha256,
+            phash: this.phash,
+            created_at: this.created_at
+        };
+    }
+}
+
+PhotoFingerprint.SOURCES = SOURCES;
+
+module.exports = PhotoFingerprint;
\ No newline at end of file
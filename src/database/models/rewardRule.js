@@ -0,0 +1,209 @@
+const database = require('../connection');
+const QueryBuilder = require('../queryBuilder');
+
+// base - базовая сумма, car - своя базовая сумма для автомобиля,
+// status и maintenance - надбавки, weekend и event - множители
+const RULE_TYPES = ['base', 'car', 'status', 'maintenance', 'weekend', 'event'];
+const MULTIPLIER_TYPES = ['weekend', 'event'];
+
+/**
+ * RewardRule Model
+ * Правила расчета вознаграждения за замену масла
+ */
+class RewardRule {
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.rule_type = data.rule_type;
+        this.car_id = data.car_id || null;
+        this.status = data.status || null;
+        this.min_days = data.min_days || null;
+        this.amount = data.amount !== undefined ? data.amount : null;
+        this.multiplier = data.multiplier || null;
+        this.starts_at = data.starts_at || null;
+        this.ends_at = data.ends_at || null;
+        this.title = data.title || null;
+        this.is_active = data.is_active !== undefined ? data.is_active : 1;
+        this.created_by = data.created_by || null;
+        this.created_at = data.created_at || null;
+        this.updated_at = data.updated_at || null;
+    }
+
+    /**
+     * Создать правило вознаграждения
+     * @param {Object} ruleData - Данные правила
+     * @returns {Promise<RewardRule>}
+     */
+    static async create(ruleData) {
+        if (!RULE_TYPES.includes(ruleData.rule_type)) {
+            throw new Error(`Ошибка создания правила: неизвестный тип ${ruleData.rule_type}`);
+        }
+
+        const sql = `
+            INSERT INTO reward_rules (rule_type, car_id, status, min_days, amount, multiplier, starts_at, ends_at, title, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+
+        const params = [
+            ruleData.rule_type,
+            ruleData.car_id || null,
+            ruleData.status || null,
+            ruleData.min_days || null,
+            ruleData.amount !== undefined ? ruleData.amount : null,
+            ruleData.multiplier || null,
+            ruleData.starts_at || null,
+            ruleData.ends_at || null,
+            ruleData.title || null,
+            ruleData.created_by || null
+        ];
+
+        try {
+            const result = await database.run(sql, params);
+            return await RewardRule.findById(result.id);
+        } catch (error) {
+            throw new Error(`Ошибка создания правила: ${error.message}`);
+        }
+    }
+
+    /**
+     * Найти правило по ID
+     * @param {number} id - ID правила
+     * @returns {Promise<RewardRule|null>}
+     */
+    static async findById(id) {
+        const sql = 'SELECT * FROM reward_rules WHERE id = ?';
+        try {
+            const row = await database.get(sql, [id]);
+            return row ? new RewardRule(row) : null;
+        } catch (error) {
+            throw new Error(`Ошибка поиска правила: ${error.message}`);
+        }
+    }
+
+    /**
+     * Получить все правила в порядке применения
+     * @returns {Promise<Array<RewardRule>>}
+     */
+    static async findAll() {
+        const sql = `
+            SELECT * FROM reward_rules
+            ORDER BY CASE rule_type
+                WHEN 'base' THEN 0 WHEN 'car' THEN 1 WHEN 'status' THEN 2
+                WHEN 'maintenance' THEN 3 WHEN 'weekend' THEN 4 ELSE 5
+            END, id ASC
+        `;
+        try {
+            const rows = await database.all(sql);
+            return rows.map(row => new RewardRule(row));
+        } catch (error) {
+            throw new Error(`Ошибка получения правил: ${error.message}`);
+        }
+    }
+
+    /**
+     * Получить действующие правила
+     * @returns {Promise<Array<RewardRule>>}
+     */
+    static async findActive() {
+        const rules = await RewardRule.findAll();
+        return rules.filter(rule => rule.isActive());
+    }
+
+    /**
+     * Изменить значение правила (сумму или множитель)
+     * @param {number} value - Новое значение
+     * @returns {Promise<RewardRule>}
+     */
+    async setValue(value) {
+        const column = this.usesMultiplier() ? 'multiplier' : 'amount';
+
+        try {
+            await QueryBuilder.table('reward_rules')
+                .where({ id: this.id })
+                .update({ [column]: value, updated_at: QueryBuilder.raw('CURRENT_TIMESTAMP') });
+            this[column] = value;
+            return this;
+        } catch (error) {
+            throw new Error(`Ошибка изменения правила: ${error.message}`);
+        }
+    }
+
+    /**
+     * Включить или выключить правило
+     * @param {boolean} isActive - Действует ли правило
+     * @returns {Promise<RewardRule>}
+     */
+    async setActive(isActive) {
+        if (this.rule_type === 'base' && !isActive) {
+            throw new Error('Ошибка изменения правила: базовое правило нельзя отключить');
+        }
+
+        const sql = 'UPDATE reward_rules SET is_active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+        try {
+            await database.run(sql, [isActive ? 1 : 0, this.id]);
+            this.is_active = isActive ? 1 : 0;
+            return this;
+        } catch (error) {
+            throw new Error(`Ошибка изменения правила: ${error.message}`);
+        }
+    }
+
+    /**
+     * Удалить правило
+     * @returns {Promise<boolean>}
+     */
+    async delete() {
+        if (this.rule_type === 'base') {
+            throw new Error('Ошибка удаления правила: базовое правило нельзя удалить');
+        }
+
+        try {
+            const result = await database.run('DELETE FROM reward_rules WHERE id = ?', [this.id]);
+            return result.changes > 0;
+        } catch (error) {
+            throw new Error(`Ошибка удаления правила: ${error.message}`);
+        }
+    }
+
+    /**
+     * Проверить, действует ли правило
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.is_active === 1;
+    }
+
+    /**
+     * Проверить, задает ли правило множитель вместо суммы
+     * @returns {boolean}
+     */
+    usesMultiplier() {
+        return MULTIPLIER_TYPES.includes(this.rule_type);
+    }
+
+    /**
+     * Преобразовать в JSON
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            rule_type: this.rule_type,
+            car_id: this.car_id,
+            status: this.status,
+            min_days: this.min_days,
+            amount: this.amount,
+            multiplier: this.multiplier,
+            starts_at: this.starts_at,
+            ends_at: this.ends_at,
+            title: this.title,
+            is_active: this.is_active,
+            created_by: this.created_by,
+            created_at: this.created_at,
+            updated_at: this.updated_at
+        };
+    }
+}
+
+RewardRule.TYPES = RULE_TYPES;
+
+module.exports = RewardRule;
\ No newline at end of file
@@ -0,0 +1,202 @@
+const database = require('../connection');
+
+/**
+ * ScheduledJob Model
+ * Состояние фоновых задач планировщика: расписание, последний и следующий запуск
+ */
+class ScheduledJob {
+    constructor(data = {}) {
+        this.name = data.name;
+        this.schedule = data.schedule;
+        this.is_enabled = data.is_enabled === undefined ? 1 : data.is_enabled;
+        this.last_run_at = data.last_run_at || null;
+        this.next_run_at = data.next_run_at || null;
+        this.last_status = data.last_status || null;
+        this.last_error = data.last_error || null;
+        this.last_duration_ms = data.last_duration_ms || null;
+        this.run_count = data.run_count || 0;
+        this.failure_count = data.failure_count || 0;
+        this.created_at = data.created_at || null;
+        this.updated_at = data.updated_at || null;
+    }
+
+    /**
+     * Зарегистрировать задачу или обновить ее расписание
+     * Сохраненный следующий запуск сохраняется, пока расписание не изменилось
+     * @param {string} name - Имя задачи
+     * @param {string} schedule - Расписание
+     * @param {string} nextRunAt - Следующий запуск по расписанию (ISO)
+     * @returns {Promise<ScheduledJob>}
+     */
+    static async register(name, schedule, nextRunAt) {
+        const sql = `
+            INSERT INTO scheduled_jobs (name, schedule, next_run_at)
+            VALUES (?, ?, ?)
+            ON CONFLICT(name) DO UPDATE SET
+                next_run_at = CASE
+                    WHEN scheduled_jobs.schedule = excluded.schedule AND scheduled_jobs.next_run_at IS NOT NULL
+                    THEN scheduled_jobs.next_run_at
+                    ELSE excluded.next_run_at
+                END,
+                schedule = excluded.schedule,
+                updated_at = CURRENT_TIMESTAMP
+        `;
+
+        try {
+            await database.run(sql, [name, schedule, nextRunAt]);
+            return await ScheduledJob.findByName(name);
+        } catch (error) {
+            throw new Error(`Ошибка регистрации задачи: ${error.message}`);
+        }
+    }
+
+    /**
+     * Найти задачу по имени
+     * @param {string} name - Имя задачи
+     * @returns {Promise<ScheduledJob|null>}
+     */
+    static async findByName(name) {
+        const sql = 'SELECT * FROM scheduled_jobs WHERE name = ?';
+        try {
+            const row = await database.get(sql, [name]);
+            return row ? new ScheduledJob(row) : null;
+        } catch (error) {
+            throw new Error(`Ошибка поиска задачи: ${error.message}`);
+        }
+    }
+
+    /**
+     * Получить все задачи
+     * @returns {Promise<Array<ScheduledJob>>}
+     */
+    static async findAll() {
+        const sql = 'SELECT * FROM scheduled_jobs ORDER BY name ASC';
+        try {
+            const rows = await database.all(sql);
+            return rows.map(row => new ScheduledJob(row));
+        } catch (error) {
+            throw new Error(`Ошибка получения задач: ${error.message}`);
+        }
+    }
+
+    /**
+     * Записать успешный запуск
+     * @param {number} durationMs - Длительность выполнения
+     * @param {string} nextRunAt - Следующий запуск (ISO)
+     * @returns {Promise<ScheduledJob>}
+     */
+    async recordSuccess(durationMs, nextRunAt) {
+        return this.recordRun({
+            last_status: 'success',
+            last_error: null,
+            last_duration_ms: durationMs,
+            failure_count: 0,
+            next_run_at: nextRunAt
+        });
+    }
+
+    /**
+     * Записать неудачный запуск
+     * @param {string} errorMessage - Текст ошибки
+     * @param {number} durationMs - Длительность выполнения
+     * @param {string} nextRunAt - Следующий запуск или повтор (ISO)
+     * @returns {Promise<ScheduledJob>}
+     */
+    async recordFailure(errorMessage, durationMs, nextRunAt) {
+        return this.recordRun({
+            last_status: 'failed',
+            last_error: errorMessage,
+            last_duration_ms: durationMs,
+            failure_count: this.failure_count + 1,
+            next_run_at: nextRunAt
+        });
+    }
+
+    /**
+     * Сохранить результат запуска
+     * @param {Object} result - Поля результата
+     * @returns {Promise<ScheduledJob>}
+     */
+    async recordRun(result) {
+        const sql = `
+            UPDATE scheduled_jobs
+            SET last_run_at = ?, last_status = ?, last_error = ?, last_duration_ms = ?,
+                failure_count = ?, next_run_at = ?, run_count = run_count + 1,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE name = ?
+        `;
+
+        try {
+            const lastRunAt = new Date().toISOString();
+            await database.run(sql, [
+                lastRunAt,
+                result.last_status,
+                result.last_error,
+                result.last_duration_ms,
+                result.failure_count,
+                result.next_run_at,
+                this.name
+            ]);
+            Object.assign(this, result, { last_run_at: lastRunAt, run_count: this.run_count + 1 });
+            return this;
+        } catch (error) {
+            throw new Error(`Ошибка сохранения запуска задачи: ${error.message}`);
+        }
+    }
+
+    /**
+     * Включить или приостановить задачу
+     * @param {boolean} enabled - Включена ли задача
+     * @returns {Promise<ScheduledJob>}
+     */
+    async setEnabled(enabled) {
+        const sql = 'UPDATE scheduled_jobs SET is_enabled = ?, updated_at = CURRENT_TIMESTAMP WHERE name = ?';
+        try {
+            this.is_enabled = enabled ? 1 : 0;
+            await database.run(sql, [this.is_enabled, this.name]);
+            return this;
+        } catch (error) {
+            throw new Error(`Ошибка изменения задачи: ${error.message}`);
+        }
+    }
+
+    /**
+     * Проверить, включена ли задача
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return Boolean(this.is_enabled);
+    }
+
+    /**
+     * Проверить, пора ли запускать задачу
+     * @param {Date} now - Текущий момент
+     * @returns {boolean}
+     */
+    isDue(now = new Date()) {
+        return this.isEnabled() && (!this.next_run_at || this.next_run_at <= now.toISOString());
+    }
+
+    /**
+     * Преобразовать в JSON
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            schedule: this.schedule,
+            is_enabled: this.is_enabled,
+            last_run_at: this.last_run_at,
+            next_run_at: this.next_run_at,
+            last_status: this.last_status,
+            last_error: this.last_error,
+            last_duration_ms: this.last_duration_ms,
+            run_count: this.run_count,
+            failure_count: this.failure_count,
+            created_at: this.created_at,
+            updated_at: this.updated_at
+        };
+    }
+}
+
+module.exports = ScheduledJob;
\ No newline at end of file
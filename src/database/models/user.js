@@ -1,4 +1,5 @@
 const database = require('../connection');
+const QueryBuilder = require('../queryBuilder');
 
 class User {
     constructor(data = {}) {
@@ -8,8 +9,10 @@ class User {
         this.first_name = data.first_name || null;
         this.last_name = data.last_name || null;
         this.language_code = data.language_code || null;
+        this.locale = data.locale || null;
         this.is_bot = data.is_bot || false;
         this.authorized = data.authorized || 0;
+        this.unreachable_at = data.unreachable_at || null;
         this.created_at = data.created_at || null;
         this.updated_at = data.updated_at || null;
     }
@@ -123,28 +126,23 @@ class User {
      */
     async update(updateData) {
         const allowedFields = ['username', 'first_name', 'last_name', 'language_code', 'authorized'];
-        const updates = [];
-        const params = [];
+        const updates = {};
 
         Object.keys(updateData).forEach(key => {
             if (allowedFields.includes(key)) {
-                updates.push(`${key} = ?`);
-                params.push(updateData[key]);
+                updates[key] = updateData[key];
                 this[key] = updateData[key];
             }
         });
 
-        if (updates.length === 0) {
+        if (Object.keys(updates).length === 0) {
             return this;
         }
 
-        updates.push('updated_at = CURRENT_TIMESTAMP');
-        params.push(this.id);
-
-        const sql = `UPDATE users SET ${updates.join(', ')} WHERE id = ?`;
-
         try {
-            await database.run(sql, params);
+            await QueryBuilder.table('users')
+                .where({ id: this.id })
+                .update({ ...updates, updated_at: QueryBuilder.raw('CURRENT_TIMESTAMP') });
             this.updated_at = new Date().toISOString();
             return this;
         } catch (error) {
@@ -270,6 +268,88 @@ class User {
         }
     }
 
+    /**
+     * Check if the bot can no longer message the user (blocked the bot or deleted the account)
+     * @returns {boolean}
+     */
+    isUnreachable() {
+        return this.unreachable_at !== null;
+    }
+
+    /**
+     * Mark a user as unreachable after Telegram refused a message
+     * @param {number|string} telegramId - Telegram user ID
+     * @returns {Promise<boolean>} False if the user was already marked or is unknown
+     */
+    static async markUnreachable(telegramId) {
+        const sql = 'UPDATE users SET unreachable_at = CURRENT_TIMESTAMP WHERE telegram_id = ? AND unreachable_at IS NULL';
+        try {
+            const result = await database.run(sql, [telegramId]);
+            return result.changes > 0;
+        } catch (error) {
+            throw new Error(`Failed to mark user as unreachable: ${error.message}`);
+        }
+    }
+
+    /**
+     * Clear the unreachable mark once the user contacts the bot again
+     * @param {number|string} telegramId - Telegram user ID
+     * @returns {Promise<boolean>} False if the user was not marked
+     */
+    static async clearUnreachable(telegramId) {
+        const sql = 'UPDATE users SET unreachable_at = NULL WHERE telegram_id = ? AND unreachable_at IS NOT NULL';
+        try {
+            const result = await database.run(sql, [telegramId]);
+            return result.changes > 0;
+        } catch (error) {
+            throw new Error(`Failed to clear unreachable mark: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find all users the bot cannot message
+     * @returns {Promise<Array<User>>}
+     */
+    static async findUnreachable() {
+        const sql = 'SELECT * FROM users WHERE unreachable_at IS NOT NULL ORDER BY unreachable_at DESC';
+        try {
+            const rows = await database.all(sql);
+            return rows.map(row => new User(row));
+        } catch (error) {
+            throw new Error(`Failed to find unreachable users: ${error.message}`);
+        }
+    }
+
+    /**
+     * Save the interface language chosen by the user
+     * @param {number|string} telegramId - Telegram user ID
+     * @param {string|null} locale - Locale code, null to follow the Telegram language
+     * @returns {Promise<boolean>} False if the user is unknown
+     */
+    static async setLocale(telegramId, locale) {
+        const sql = 'UPDATE users SET locale = ?, updated_at = CURRENT_TIMESTAMP WHERE telegram_id = ?';
+        try {
+            const result = await database.run(sql, [locale, telegramId]);
+            return result.changes > 0;
+        } catch (error) {
+            throw new Error(`Failed to set user locale: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find users who chose an interface language
+     * @returns {Promise<Array<User>>}
+     */
+    static async findWithLocale() {
+        const sql = 'SELECT * FROM users WHERE locale IS NOT NULL';
+        try {
+            const rows = await database.all(sql);
+            return rows.map(row => new User(row));
+        } catch (error) {
+            throw new Error(`Failed to find users with a locale: ${error.message}`);
+        }
+    }
+
     /**
      * Convert to JSON
      * @returns {Object}
@@ -282,8 +362,10 @@ class User {
             first_name: this.first_name,
             last_name: this.last_name,
             language_code: this.language_code,
+            locale: this.locale,
             is_bot: this.is_bot,
             authorized: this.authorized,
+            unreachable_at: this.unreachable_at,
             created_at: this.created_at,
             updated_at: this.updated_at
         };
@@ -0,0 +1,171 @@
+const database = require('../connection');
+
+class UserBan {
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.telegram_id = data.telegram_id;
+        this.user_id = data.user_id || null;
+        this.reason = data.reason || null;
+        this.banned_by = data.banned_by || null;
+        this.expires_at = data.expires_at || null;
+        this.notified_at = data.notified_at || null;
+        this.revoked_at = data.revoked_at || null;
+        this.revoked_by = data.revoked_by || null;
+        this.created_at = data.created_at || null;
+    }
+
+    /**
+     * Create a new ban
+     * @param {Object} banData - Ban data (telegram_id, user_id, reason, banned_by, expires_at)
+     * @returns {Promise<UserBan>}
+     */
+    static async create(banData) {
+        const sql = `
+            INSERT INTO user_bans (telegram_id, user_id, reason, banned_by, expires_at)
+            VALUES (?, ?, ?, ?, ?)
+        `;
+
+        const params = [
+            banData.telegram_id,
+            banData.user_id || null,
+            banData.reason || null,
+            banData.banned_by || null,
+            banData.expires_at || null
+        ];
+
+        try {
+            const result = await database.run(sql, params);
+            return await UserBan.findById(result.id);
+        } catch (error) {
+            throw new Error(`Failed to create ban: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find ban by ID
+     * @param {number} id - Ban ID
+     * @returns {Promise<UserBan|null>}
+     */
+    static async findById(id) {
+        const sql = 'SELECT * FROM user_bans WHERE id = ?';
+        try {
+            const row = await database.get(sql, [id]);
+            return row ? new UserBan(row) : null;
+        } catch (error) {
+            throw new Error(`Failed to find ban by ID: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find active (not revoked and not expired) ban of a user
+     * @param {number} telegramId - Telegram user ID
+     * @returns {Promise<UserBan|null>}
+     */
+    static async findActiveByTelegramId(telegramId) {
+        const sql = `
+            SELECT * FROM user_bans
+            WHERE telegram_id = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+            ORDER BY created_at DESC, id DESC LIMIT 1
+        `;
+        try {
+            const row = await database.get(sql, [telegramId, new Date().toISOString()]);
+            return row ? new UserBan(row) : null;
+        } catch (error) {
+            throw new Error(`Failed to find active ban: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get all active bans, newest first
+     * @returns {Promise<Array<UserBan>>}
+     */
+    static async findActive() {
+        const sql = `
+            SELECT * FROM user_bans
+            WHERE revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+            ORDER BY created_at DESC, id DESC
+        `;
+        try {
+            const rows = await database.all(sql, [new Date().toISOString()]);
+            return rows.map(row => new UserBan(row));
+        } catch (error) {
+            throw new Error(`Failed to find active bans: ${error.message}`);
+        }
+    }
+
+    /**
+     * Revoke all active bans of a user
+     * @param {number} telegramId - Telegram user ID
+     * @param {number} revokedBy - Admin user ID
+     * @returns {Promise<boolean>} Whether an active ban was revoked
+     */
+    static async revoke(telegramId, revokedBy) {
+        const sql = `
+            UPDATE user_bans
+            SET revoked_at = CURRENT_TIMESTAMP, revoked_by = ?
+            WHERE telegram_id = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+        `;
+        try {
+            const result = await database.run(sql, [revokedBy || null, telegramId, new Date().toISOString()]);
+            return result.changes > 0;
+        } catch (error) {
+            throw new Error(`Failed to revoke ban: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remember that the banned user has been notified
+     * @returns {Promise<UserBan>}
+     */
+    async markNotified() {
+        const sql = 'UPDATE user_bans SET notified_at = CURRENT_TIMESTAMP WHERE id = ?';
+        try {
+            await database.run(sql, [this.id]);
+            this.notified_at = new Date().toISOString();
+            return this;
+        } catch (error) {
+            throw new Error(`Failed to mark ban as notified: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check if ban is still in effect
+     * @param {Date} now - Current time
+     * @returns {boolean}
+     */
+    isActive(now = new Date()) {
+        if (this.revoked_at) {
+            return false;
+        }
+        return !this.expires_at || new Date(this.expires_at) > now;
+    }
+
+    /**
+     * Check if ban has no expiry
+     * @returns {boolean}
+     */
+    isPermanent() {
+        return !this.expires_at;
+    }
+
+    /**
+     * Convert to JSON
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            telegram_id: this.telegram_id,
+            user_id: this.user_id,
+            reason: this.reason,
+            banned_by: this.banned_by,
+            expires_at: this.expires_at,
+            notified_at: this.notified_at,
+            revoked_at: this.revoked_at,
+            revoked_by: this.revoked_by,
+            created_at: this.created_at
+        };
+    }
+}
+
+module.exports = UserBan;
\ No newline at end of file
@@ -0,0 +1,125 @@
+const database = require('../connection');
+
+class UserRole {
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.user_id = data.user_id;
+        this.telegram_id = data.telegram_id;
+        this.role = data.role || 'member';
+        this.assigned_by = data.assigned_by || null;
+        this.created_at = data.created_at || null;
+        this.updated_at = data.updated_at || null;
+    }
+
+    /**
+     * Assign a role to a user (insert or replace existing role)
+     * @param {Object} roleData - Role data (user_id, telegram_id, role, assigned_by)
+     * @returns {Promise<UserRole>}
+     */
+    static async assign(roleData) {
+        const sql = `
+            INSERT INTO user_roles (user_id, telegram_id, role, assigned_by)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(telegram_id) DO UPDATE SET
+                role = excluded.role,
+                assigned_by = excluded.assigned_by,
+                updated_at = CURRENT_TIMESTAMP
+        `;
+
+        const params = [
+            roleData.user_id,
+            roleData.telegram_id,
+            roleData.role,
+            roleData.assigned_by || null
+        ];
+
+        try {
+            await database.run(sql, params);
+            return await UserRole.findByTelegramId(roleData.telegram_id);
+        } catch (error) {
+            throw new Error(`Failed to assign role: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find role by Telegram ID
+     * @param {number} telegramId - Telegram user ID
+     * @returns {Promise<UserRole|null>}
+     */
+    static async findByTelegramId(telegramId) {
+        const sql = 'SELECT * FROM user_roles WHERE telegram_id = ?';
+        try {
+            const row = await database.get(sql, [telegramId]);
+            return row ? new UserRole(row) : null;
+        } catch (error) {
+            throw new Error(`Failed to find role by Telegram ID: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get all assigned roles
+     * @returns {Promise<Array<UserRole>>}
+     */
+    static async findAll() {
+        const sql = 'SELECT * FROM user_roles ORDER BY created_at ASC';
+        try {
+            const rows = await database.all(sql);
+            return rows.map(row => new UserRole(row));
+        } catch (error) {
+            throw new Error(`Failed to find roles: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find users holding any of the given roles
+     * @param {Array<string>} roles - Role names
+     * @returns {Promise<Array<UserRole>>}
+     */
+    static async findByRoles(roles) {
+        if (!roles || roles.length === 0) {
+            return [];
+        }
+
+        const placeholders = roles.map(() => '?').join(', ');
+        const sql = `SELECT * FROM user_roles WHERE role IN (${placeholders}) ORDER BY created_at ASC`;
+        try {
+            const rows = await database.all(sql, roles);
+            return rows.map(row => new UserRole(row));
+        } catch (error) {
+            throw new Error(`Failed to find users by roles: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove explicitly assigned role (user falls back to default role)
+     * @param {number} telegramId - Telegram user ID
+     * @returns {Promise<boolean>}
+     */
+    static async remove(telegramId) {
+        const sql = 'DELETE FROM user_roles WHERE telegram_id = ?';
+        try {
+            const result = await database.run(sql, [telegramId]);
+            return result.changes > 0;
+        } catch (error) {
+            throw new Error(`Failed to remove role: ${error.message}`);
+        }
+    }
+
+    /**
+     * Convert to JSON
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            user_id: this.user_id,
+            telegram_id: this.telegram_id,
+            role: this.role,
+            assigned_by: this.assigned_by,
+            created_at: this.created_at,
+            updated_at: this.updated_at
+        };
+    }
+}
+
+module.exports = UserRole;
\ No newline at end of file
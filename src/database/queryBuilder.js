@@ -0,0 +1,305 @@
+const database = require('./connection');
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const INTERVAL_UNITS = ['minutes', 'hours', 'days', 'months', 'years'];
+
+/**
+ * SQL fragment inserted as is (e.g. CURRENT_TIMESTAMP in update values)
+ */
+class RawSql {
+    constructor(sql) {
+        this.sql = sql;
+    }
+}
+
+/**
+ * Check a column name taken from an object key
+ * @param {string} name - Column name
+ * @returns {string}
+ */
+function identifier(name) {
+    if (!IDENTIFIER.test(name)) {
+        throw new Error(`Invalid column name: ${name}`);
+    }
+    return name;
+}
+
+/**
+ * Small parameterized query builder
+ * Values always travel as bound parameters; only table names, column names and
+ * expressions written in the code end up in the SQL text.
+ *
+ * @example
+ * await QueryBuilder.table('garage_requests')
+ *     .where('telegram_id = ?', telegramId)
+ *     .where('submitted_at > datetime(\'now\', ?)', QueryBuilder.interval(hours, 'hours'))
+ *     .count();
+ */
+class QueryBuilder {
+    /**
+     * @param {string} table - Table name, optionally with an alias
+     * @param {Object} db - Database connection
+     */
+    constructor(table, db = database) {
+        this.tableName = table;
+        this.db = db;
+        this.columns = ['*'];
+        this.conditions = [];
+        this.params = [];
+        this.groups = [];
+        this.orders = [];
+        this.limitValue = null;
+        this.offsetValue = null;
+    }
+
+    /**
+     * Start a query on a table
+     * @param {string} table - Table name
+     * @returns {QueryBuilder}
+     */
+    static table(table) {
+        return new QueryBuilder(table);
+    }
+
+    /**
+     * Mark an SQL fragment to be used as a value without binding
+     * @param {string} sql - SQL fragment written in the code
+     * @returns {RawSql}
+     */
+    static raw(sql) {
+        return new RawSql(sql);
+    }
+
+    /**
+     * Build a datetime() modifier for "N units ago"
+     * @param {number|string} amount - Number of units, or a string like '7 days'
+     * @param {string} [unit] - minutes, hours, days, months or years
+     * @returns {string} Modifier such as '-24 hours'
+     */
+    static interval(amount, unit) {
+        let value = amount;
+        let name = unit;
+
+        if (unit === undefined) {
+            const match = /^\s*(\d+)\s+([a-z]+?)s?\s*$/i.exec(String(amount));
+            if (!match) {
+                throw new Error(`Invalid interval: ${amount}`);
+            }
+            [, value, name] = match;
+        }
+
+        const normalizedUnit = `${String(name).toLowerCase().replace(/s$/, '')}s`;
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 0 || !INTERVAL_UNITS.includes(normalizedUnit)) {
+            throw new Error(`Invalid interval: ${amount} ${unit || ''}`.trim());
+        }
+
+        return `-${number} ${normalizedUnit}`;
+    }
+
+    /**
+     * Choose selected columns or expressions
+     * @param {...string} columns - Columns or expressions
+     * @returns {QueryBuilder}
+     */
+    select(...columns) {
+        this.columns = columns;
+        return this;
+    }
+
+    /**
+     * Add a condition joined with AND
+     * @param {string|Object} condition - SQL with ? placeholders, or { column: value }
+     * @param {...*} params - Placeholder values
+     * @returns {QueryBuilder}
+     */
+    where(condition, ...params) {
+        if (typeof condition === 'object') {
+            for (const [column, value] of Object.entries(condition)) {
+                if (value === null) {
+                    this.conditions.push(`${identifier(column)} IS NULL`);
+                } else {
+                    this.conditions.push(`${identifier(column)} = ?`);
+                    this.params.push(value);
+                }
+            }
+            return this;
+        }
+
+        this.conditions.push(`(${condition})`);
+        this.params.push(...params);
+        return this;
+    }
+
+    /**
+     * Add a column IN (...) condition; an empty list matches nothing
+     * @param {string} column - Column name
+     * @param {Array} values - Allowed values
+     * @returns {QueryBuilder}
+     */
+    whereIn(column, values) {
+        if (values.length === 0) {
+            this.conditions.push('0 = 1');
+            return this;
+        }
+
+        this.conditions.push(`${identifier(column)} IN (${values.map(() => '?').join(', ')})`);
+        this.params.push(...values);
+        return this;
+    }
+
+    /**
+     * @param {...string} columns - Grouping columns or expressions
+     * @returns {QueryBuilder}
+     */
+    groupBy(...columns) {
+        this.groups.push(...columns);
+        return this;
+    }
+
+    /**
+     * @param {string} expression - Ordering expression, e.g. 'submitted_at DESC'
+     * @returns {QueryBuilder}
+     */
+    orderBy(expression) {
+        this.orders.push(expression);
+        return this;
+    }
+
+    /**
+     * @param {number} limit - Maximum number of rows
+     * @returns {QueryBuilder}
+     */
+    limit(limit) {
+        this.limitValue = limit;
+        return this;
+    }
+
+    /**
+     * @param {number} offset - Number of rows to skip
+     * @returns {QueryBuilder}
+     */
+    offset(offset) {
+        this.offsetValue = offset;
+        return this;
+    }
+
+    /**
+     * @returns {string} WHERE clause or an empty string
+     */
+    buildWhere() {
+        return this.conditions.length > 0 ? ` WHERE ${this.conditions.join(' AND ')}` : '';
+    }
+
+    /**
+     * Build the SELECT statement
+     * @returns {Object} { sql, params }
+     */
+    toSQL() {
+        let sql = `SELECT ${this.columns.join(', ')} FROM ${this.tableName}${this.buildWhere()}`;
+        const params = [...this.params];
+
+        if (this.groups.length > 0) {
+            sql += ` GROUP BY ${this.groups.join(', ')}`;
+        }
+        if (this.orders.length > 0) {
+            sql += ` ORDER BY ${this.orders.join(', ')}`;
+        }
+        if (this.limitValue !== null || this.offsetValue !== null) {
+            sql += ' LIMIT ?';
+            params.push(this.limitValue !== null ? this.limitValue : -1);
+        }
+        if (this.offsetValue !== null) {
+            sql += ' OFFSET ?';
+            params.push(this.offsetValue);
+        }
+
+        return { sql, params };
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} All matching rows
+     */
+    async all() {
+        const { sql, params } = this.toSQL();
+        return this.db.all(sql, params);
+    }
+
+    /**
+     * @returns {Promise<Object|undefined>} First matching row
+     */
+    async get() {
+        const { sql, params } = this.toSQL();
+        return this.db.get(sql, params);
+    }
+
+    /**
+     * Count matching rows; grouping, ordering and paging are ignored
+     * @returns {Promise<number>}
+     */
+    async count() {
+        const row = await this.db.get(`SELECT COUNT(*) as count FROM ${this.tableName}${this.buildWhere()}`, this.params);
+        return row ? row.count || 0 : 0;
+    }
+
+    /**
+     * Split { column: value } into SQL fragments and parameters
+     * @param {Object} data - Column values
+     * @returns {Object} { columns, values, params }
+     */
+    static assignments(data) {
+        const columns = [];
+        const values = [];
+        const params = [];
+
+        for (const [column, value] of Object.entries(data)) {
+            if (value === undefined) {
+                continue;
+            }
+            columns.push(identifier(column));
+            if (value instanceof RawSql) {
+                values.push(value.sql);
+            } else {
+                values.push('?');
+                params.push(value);
+            }
+        }
+
+        return { columns, values, params };
+    }
+
+    /**
+     * Insert a row
+     * @param {Object} data - Column values (undefined values are skipped)
+     * @returns {Promise<Object>} { id, changes }
+     */
+    async insert(data) {
+        const { columns, values, params } = QueryBuilder.assignments(data);
+        return this.db.run(`INSERT INTO ${this.tableName} (${columns.join(', ')}) VALUES (${values.join(', ')})`, params);
+    }
+
+    /**
+     * Update matching rows
+     * @param {Object} data - Column values (undefined values are skipped)
+     * @returns {Promise<Object>} { id, changes }
+     */
+    async update(data) {
+        const { columns, values, params } = QueryBuilder.assignments(data);
+        if (columns.length === 0) {
+            return { id: null, changes: 0 };
+        }
+
+        const assignments = columns.map((column, index) => `${column} = ${values[index]}`).join(', ');
+        return this.db.run(`UPDATE ${this.tableName} SET ${assignments}${this.buildWhere()}`, [...params, ...this.params]);
+    }
+
+    /**
+     * Delete matching rows
+     * @returns {Promise<Object>} { id, changes }
+     */
+    async delete() {
+        return this.db.run(`DELETE FROM ${this.tableName}${this.buildWhere()}`, this.params);
+    }
+}
+
+module.exports = QueryBuilder;
\ No newline at end of file
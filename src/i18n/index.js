@@ -0,0 +1,361 @@
+const User = require('../database/models/user');
+const BotText = require('../database/models/botText');
+const i18nConfig = require('../../config/i18n');
+const { EDITABLE_TEXTS } = require('../../config/botTexts');
+const ru = require('./locales/ru');
+const en = require('./locales/en');
+
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+/**
+ * Message catalog
+ * Texts are looked up by dotted keys (menu.user.title) in the user's locale
+ * and fall back to the default locale. Placeholders use {name}; a value with
+ * plural forms ({ one, few, many, other }) is chosen by the count parameter
+ * with the locale's plural rules. Texts edited by admins replace catalog
+ * texts; values substituted into HTML texts are escaped.
+ */
+class I18n {
+    /**
+     * @param {Object} bundles - Texts by locale
+     * @param {Object} options - { defaultLocale, htmlKeys }
+     */
+    constructor(bundles, options = {}) {
+        this.bundles = new Map(Object.entries(bundles).map(([locale, bundle]) => [locale, I18n.flatten(bundle)]));
+        this.locales = [...this.bundles.keys()];
+        this.defaultLocale = options.defaultLocale || this.locales[0];
+        if (!this.bundles.has(this.defaultLocale)) {
+            throw new Error(`Unsupported default locale: ${this.defaultLocale}`);
+        }
+
+        // Texts sent with parse_mode HTML
+        this.htmlKeys = new Set(options.htmlKeys || []);
+
+        // Locales chosen with /language, by Telegram ID
+        this.overrides = new Map();
+        // Texts edited by admins, by locale and key
+        this.customTexts = new Map(this.locales.map(locale => [locale, new Map()]));
+        this.pluralRules = new Map();
+    }
+
+    /**
+     * Check whether a value holds plural forms
+     * @param {*} value - Catalog value
+     * @returns {boolean}
+     */
+    static isPlural(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+            Object.prototype.hasOwnProperty.call(value, 'other') &&
+            Object.keys(value).every(key => PLURAL_CATEGORIES.includes(key));
+    }
+
+    /**
+     * Flatten a nested bundle into dotted keys
+     * @param {Object} bundle - Nested texts
+     * @param {string} prefix - Key prefix
+     * @param {Map} entries - Accumulator
+     * @returns {Map<string, *>}
+     */
+    static flatten(bundle, prefix = '', entries = new Map()) {
+        for (const [key, value] of Object.entries(bundle)) {
+            const path = prefix ? `${prefix}.${key}` : key;
+            if (value !== null && typeof value === 'object' && !Array.isArray(value) && !I18n.isPlural(value)) {
+                I18n.flatten(value, path, entries);
+            } else {
+                entries.set(path, value);
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Substitute {name} placeholders
+     * @param {string} template - Text with placeholders
+     * @param {Object} params - Values
+     * @returns {string}
+     */
+    static format(template, params = {}) {
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) => (
+            params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder
+        ));
+    }
+
+    /**
+     * Escape text for parse_mode HTML
+     * @param {*} value - Text
+     * @returns {string}
+     */
+    static escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Placeholder names used in a text
+     * @param {string} template - Text with placeholders
+     * @returns {Array<string>}
+     */
+    static placeholders(template) {
+        return [...new Set([...template.matchAll(/\{(\w+)\}/g)].map(match => match[1]))];
+    }
+
+    /**
+     * Check whether a locale has a bundle
+     * @param {string} locale - Locale code
+     * @returns {boolean}
+     */
+    isSupported(locale) {
+        return this.bundles.has(locale);
+    }
+
+    /**
+     * Keys defined in a locale
+     * @param {string} locale - Locale code
+     * @returns {Array<string>}
+     */
+    keys(locale) {
+        return [...(this.bundles.get(locale) || new Map()).keys()];
+    }
+
+    /**
+     * Catalog value without admin edits
+     * @param {string} locale - Locale code
+     * @param {string} key - Dotted key
+     * @returns {*} undefined if the key is missing
+     */
+    getDefault(locale, key) {
+        const bundle = this.bundles.get(locale);
+        return bundle ? bundle.get(key) : undefined;
+    }
+
+    /**
+     * Raw value: the admin's text or the catalog one
+     * @param {string} locale - Locale code
+     * @param {string} key - Dotted key
+     * @returns {*} undefined if the key is missing
+     */
+    get(locale, key) {
+        const custom = this.customTexts.get(locale);
+        if (custom && custom.has(key)) {
+            return custom.get(key);
+        }
+        return this.getDefault(locale, key);
+    }
+
+    /**
+     * Check whether an admin replaced a text
+     * @param {string} locale - Locale code
+     * @param {string} key - Dotted key
+     * @returns {boolean}
+     */
+    isCustomized(locale, key) {
+        const custom = this.customTexts.get(locale);
+        return Boolean(custom && custom.has(key));
+    }
+
+    /**
+     * Substitute values into a text of a key, escaping them for HTML texts
+     * @param {string} key - Dotted key
+     * @param {string} template - Text with placeholders
+     * @param {Object} params - Values
+     * @returns {string}
+     */
+    render(key, template, params = {}) {
+        if (!this.htmlKeys.has(key)) {
+            return I18n.format(template, params);
+        }
+
+        const escaped = {};
+        for (const [name, value] of Object.entries(params)) {
+            escaped[name] = value !== undefined && value !== null ? I18n.escapeHtml(value) : value;
+        }
+        return I18n.format(template, escaped);
+    }
+
+    /**
+     * Pick a plural form
+     * @param {string} locale - Locale code
+     * @param {number} count - Number
+     * @param {Object} forms - { one, few, many, other }
+     * @returns {string}
+     */
+    plural(locale, count, forms) {
+        if (!this.pluralRules.has(locale)) {
+            this.pluralRules.set(locale, new Intl.PluralRules(locale));
+        }
+        const category = this.pluralRules.get(locale).select(count);
+        return forms[category] !== undefined ? forms[category] : forms.other;
+    }
+
+    /**
+     * Translate a key
+     * @param {string} locale - Locale code
+     * @param {string} key - Dotted key
+     * @param {Object} params - Placeholder values; count selects the plural form
+     * @returns {string|Array<string>} The key itself if no bundle defines it
+     */
+    t(locale, key, params = {}) {
+        let resolvedLocale = this.isSupported(locale) ? locale : this.defaultLocale;
+        let value = this.get(resolvedLocale, key);
+        if (value === undefined && resolvedLocale !== this.defaultLocale) {
+            resolvedLocale = this.defaultLocale;
+            value = this.get(resolvedLocale, key);
+        }
+        if (value === undefined) {
+            console.warn(`Missing translation: ${key}`);
+            return key;
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(item => this.render(key, item, params));
+        }
+        if (I18n.isPlural(value)) {
+            value = this.plural(resolvedLocale, Number(params.count), value);
+        }
+        return this.render(key, value, params);
+    }
+
+    /**
+     * Locale from a Telegram language code (en-US -> en)
+     * @param {string|null} languageCode - Telegram language_code
+     * @returns {string|null}
+     */
+    fromLanguageCode(languageCode) {
+        if (!languageCode) {
+            return null;
+        }
+        const locale = String(languageCode).toLowerCase().split(/[-_]/)[0];
+        return this.isSupported(locale) ? locale : null;
+    }
+
+    /**
+     * Locale of a user: own choice, then Telegram language, then the default
+     * @param {Object|null} subject - User model, Telegram `from` object or { id }
+     * @returns {string}
+     */
+    resolveLocale(subject) {
+        if (!subject) {
+            return this.defaultLocale;
+        }
+
+        const telegramId = subject.telegram_id !== undefined ? subject.telegram_id : subject.id;
+        const chosen = this.getChosenLocale(telegramId) || subject.locale;
+        if (chosen && this.isSupported(chosen)) {
+            return chosen;
+        }
+        return this.fromLanguageCode(subject.language_code) || this.defaultLocale;
+    }
+
+    /**
+     * Locale chosen by a user with /language
+     * @param {number|string} telegramId - Telegram user ID
+     * @returns {string|null} null if the user follows the Telegram language
+     */
+    getChosenLocale(telegramId) {
+        return this.overrides.get(String(telegramId)) || null;
+    }
+
+    /**
+     * Translation function bound to a user's locale
+     * @param {Object|null} subject - User model, Telegram `from` object or { id }
+     * @returns {Function} (key, params) => string
+     */
+    translator(subject) {
+        const locale = this.resolveLocale(subject);
+        return (key, params) => this.t(locale, key, params);
+    }
+
+    /**
+     * Load locales chosen by users
+     * @returns {Promise<number>} Number of users with a chosen locale
+     */
+    async load() {
+        this.overrides.clear();
+        for (const user of await User.findWithLocale()) {
+            this.overrides.set(String(user.telegram_id), user.locale);
+        }
+        return this.overrides.size;
+    }
+
+    /**
+     * Load texts edited by admins; edits of keys no longer in the catalog are skipped
+     * @returns {Promise<number>} Number of edited texts
+     */
+    async loadTexts() {
+        let loaded = 0;
+        this.customTexts.forEach(custom => custom.clear());
+        for (const text of await BotText.findAll()) {
+            if (typeof this.getDefault(text.locale, text.text_key) === 'string') {
+                this.customTexts.get(text.locale).set(text.text_key, text.text);
+                loaded++;
+            }
+        }
+        return loaded;
+    }
+
+    /**
+     * Replace a catalog text
+     * @param {string} locale - Locale code
+     * @param {string} key - Dotted key of a text
+     * @param {string} text - New text
+     * @param {number} updatedBy - Telegram ID of the admin
+     * @returns {Promise<BotText>}
+     */
+    async saveText(locale, key, text, updatedBy) {
+        if (typeof this.getDefault(locale, key) !== 'string') {
+            throw new Error(`Unknown text: ${locale}/${key}`);
+        }
+
+        const saved = await BotText.save(key, locale, text, updatedBy);
+        this.customTexts.get(locale).set(key, text);
+        return saved;
+    }
+
+    /**
+     * Return a text to the catalog default
+     * @param {string} locale - Locale code
+     * @param {string} key - Dotted key
+     * @returns {Promise<boolean>} False if the text was not edited
+     */
+    async resetText(locale, key) {
+        const removed = await BotText.remove(key, locale);
+        const custom = this.customTexts.get(locale);
+        if (custom) {
+            custom.delete(key);
+        }
+        return removed;
+    }
+
+    /**
+     * Save a user's locale; null returns to the Telegram language
+     * @param {number|string} telegramId - Telegram user ID
+     * @param {string|null} locale - Locale code
+     * @returns {Promise<boolean>} False if the user is unknown
+     */
+    async setLocale(telegramId, locale) {
+        if (locale !== null && !this.isSupported(locale)) {
+            throw new Error(`Unsupported locale: ${locale}`);
+        }
+
+        const updated = await User.setLocale(telegramId, locale);
+        if (updated) {
+            if (locale) {
+                this.overrides.set(String(telegramId), locale);
+            } else {
+                this.overrides.delete(String(telegramId));
+            }
+        }
+        return updated;
+    }
+}
+
+// Shared catalog with the bundled locales
+const i18n = new I18n({ ru, en }, {
+    defaultLocale: i18nConfig.defaultLocale,
+    htmlKeys: Object.keys(EDITABLE_TEXTS).filter(key => EDITABLE_TEXTS[key].html)
+});
+
+module.exports = { I18n, i18n, PLURAL_CATEGORIES };
\ No newline at end of file
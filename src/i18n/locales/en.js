@@ -0,0 +1,387 @@
+/**
+ * English texts
+ * Keys must match src/i18n/locales/ru.js (checked by tests/i18n.test.js)
+ */
+
+module.exports = {
+    common: {
+        date_locale: 'en-GB',
+        unknown: 'unknown',
+        not_specified: 'not specified',
+        user: 'user',
+        try_later: 'Please try again later',
+        error: 'An error occurred. Please try again later.'
+    },
+
+    time: {
+        just_now: 'just now',
+        hours_ago: '{count} h ago',
+        yesterday: 'yesterday',
+        today_title: 'Today',
+        yesterday_title: 'Yesterday',
+        unknown_title: 'Unknown',
+        days_ago: {
+            one: '{count} day ago',
+            other: '{count} days ago'
+        },
+        weeks_ago: {
+            one: '{count} week ago',
+            other: '{count} weeks ago'
+        },
+        months_ago: {
+            one: '{count} month ago',
+            other: '{count} months ago'
+        },
+        years_ago: {
+            one: '{count} year ago',
+            other: '{count} years ago'
+        }
+    },
+
+    language: {
+        title: '🌐 INTERFACE LANGUAGE',
+        current: 'Current: {language}',
+        auto: 'same as Telegram ({language})',
+        choose: 'Choose the language of bot messages:',
+        auto_button: '🔄 Same as Telegram',
+        changed: '✅ Interface language: {language}',
+        reset: '✅ The language will follow Telegram',
+        unknown_user: '❌ Please send /start first',
+        unsupported: 'Unknown language'
+    },
+
+    content: {
+        welcome_admin: '🏛️ ADMIN PANEL 👑',
+        welcome_user: '🎯 WELCOME! ✨',
+        welcome_guest: '🚪 WELCOME TO THE SYSTEM! 🌟',
+        admin_greeting: 'Welcome back, {first_name}!',
+        user_greeting: 'Hi, {first_name}!',
+        last_seen: 'Last seen: {formatted_date}',
+        member_since: 'Member since {registration_date}',
+        auth_pending: '⏳ Your request is under review',
+        auth_submitted: '📅 Submitted: {date}',
+        auth_rejected: '❌ Your request was rejected',
+        auth_rejected_hint: '💡 You can submit a new request',
+        auth_approved: '✅ You are authorized',
+        error_db: '⚠️ Temporary maintenance',
+        error_general: '🔄 Let\'s try again...',
+        loading: '📝 Setting up your profile...',
+        timeout: '⚡ Quick help menu',
+
+        fallback: {
+            admin: 'Welcome, administrator!',
+            user: 'Welcome, user!',
+            guest: 'Welcome! Get authorized for full access.'
+        },
+
+        stats: {
+            admin: '📊 System statistics:\n' +
+                '• Total users: {total_users}\n' +
+                '• Authorized: {authorized_users}\n' +
+                '• Pending requests: {pending_requests}\n' +
+                '• Active today: {active_today}',
+            unauthorized: '📈 About the system:\n' +
+                '⏱️ Average review time: 24 hours\n' +
+                '✅ Approval rate: 85%\n' +
+                '👥 Active users: {active_users}+'
+        },
+
+        errors: {
+            database: 'Please try again later or contact an administrator.',
+            network: 'Check your internet connection.',
+            timeout: 'The system is busy, showing the basic menu.',
+            permission: '🚫 You do not have access to this feature.\n\nContact an administrator for help.',
+            not_found: '❓ The requested information was not found.\n\nIt may have been deleted.',
+            general: 'If the problem persists, contact an administrator.',
+            context: 'Context: {context}'
+        },
+
+        commands: {
+            start: 'Start using the bot and get authorized',
+            help: 'Show this help menu',
+            notifications: 'Notification settings: categories, digest and quiet hours',
+            language: 'Choose the interface language',
+            emergency: 'Emergency contact with an administrator (critical issues only)',
+            admin: 'Admin panel',
+            stats: 'System statistics',
+            backup: 'Create a backup',
+            broadcast: 'Send an announcement to users',
+            broadcasts: 'Recent broadcasts and delivery results',
+            texts: 'Edit bot texts',
+            not_found: 'Command not found'
+        },
+
+        links: {
+            channel: 'Official channel',
+            support: 'Support',
+            monitoring: 'Monitoring dashboard',
+            logs: 'System logs',
+            docs: 'Documentation',
+            faq: 'FAQ'
+        },
+
+        motivation: {
+            admin: [
+                '🌟 Great job running the community!',
+                '💪 Your leadership makes the system better!',
+                '🎯 Keep growing the project!'
+            ],
+            authorized: [
+                '🎉 Glad to see you in our community!',
+                '✨ Make the most of the system!',
+                '🚀 Grow together with us!'
+            ],
+            unauthorized: [
+                '🌟 Join our community!',
+                '🔓 Authorization unlocks new features!',
+                '💫 We are waiting for you on our team!'
+            ]
+        },
+
+        tips: {
+            admin: [
+                '💡 Use /stats for a quick look at the statistics',
+                '🔔 Set up notifications about new requests',
+                '💾 Create backups regularly'
+            ],
+            authorized: [
+                '📱 Set up notifications in "Settings"',
+                '👤 Keep your profile up to date',
+                '📋 Check the FAQ for answers'
+            ],
+            unauthorized: [
+                '📝 Prepare a nickname in the Name_Surname format',
+                '📷 Take screenshots of the /fam and /time commands',
+                '⏰ Requests are reviewed within 24 hours'
+            ]
+        }
+    },
+
+    menu: {
+        buttons: {
+            refresh: 'Refresh',
+            home: 'Home',
+            back: 'Back'
+        },
+
+        admin: {
+            text: '🏛️ ADMIN PANEL 👑\n\n' +
+                'Welcome to the bot control panel!\n\n' +
+                '┌─── 👥 MANAGEMENT ───┐\n' +
+                '│ • Authorization requests    │\n' +
+                '│ • User list                 │\n' +
+                '│ • Blocked users             │\n' +
+                '└─────────────────────────┘\n\n' +
+                '┌─── 📊 ANALYTICS ───┐\n' +
+                '│ • Bot statistics            │\n' +
+                '│ • User activity             │\n' +
+                '│ • Reports                   │\n' +
+                '└─────────────────────────┘\n\n' +
+                '┌─── ⚙️ SETTINGS ───┐\n' +
+                '│ • Bot configuration         │\n' +
+                '│ • Messages and texts        │\n' +
+                '│ • Backups                   │\n' +
+                '└─────────────────────────┘\n\n' +
+                '🆘 Emergency help: /emergency\n' +
+                '📞 Support: @admin_username',
+            users: 'Users',
+            stats: 'Statistics',
+            settings: 'Settings',
+            notifications: 'Notifications',
+            requests: 'Requests',
+            blocks: 'Blocking',
+            backup: 'Backup'
+        },
+
+        user: {
+            text: '🎯 WELCOME! ✨\n\n' +
+                'Hi, {name}! You are authorized in the system!\n\n' +
+                '┌─── 🎮 MAIN FEATURES ───┐\n' +
+                '│ • My profile                │\n' +
+                '│ • Notification settings     │\n' +
+                '│ • Activity history          │\n' +
+                '└────────────────────────────┘\n\n' +
+                '┌─── ℹ️ INFORMATION ───┐\n' +
+                '│ • Rules of use              │\n' +
+                '│ • Frequently asked questions│\n' +
+                '│ • News and updates          │\n' +
+                '└────────────────────────────┘\n\n' +
+                '┌─── 🆘 SUPPORT ───┐\n' +
+                '│ • Contact an admin          │\n' +
+                '│ • Report a problem          │\n' +
+                '│ • Suggest an improvement    │\n' +
+                '└────────────────────────────┘\n\n' +
+                '📅 Last seen: {last_seen}\n' +
+                '🏆 Status: Authorized user',
+            profile: 'Profile',
+            settings: 'Settings',
+            history: 'History',
+            news: 'News',
+            faq: 'FAQ',
+            support: 'Support'
+        },
+
+        guest: {
+            text: '🚪 WELCOME TO THE SYSTEM! 🌟\n\n' +
+                'You are not authorized yet. Get access to all features!\n\n' +
+                '┌─── 🔒 AUTHORIZATION ───┐\n' +
+                '│ • How to get access         │\n' +
+                '│ • Request requirements      │\n' +
+                '│ • My request status         │\n' +
+                '└────────────────────────────┘\n\n' +
+                '┌─── ℹ️ INFORMATION ───┐\n' +
+                '│ • About the project         │\n' +
+                '│ • System features           │\n' +
+                '│ • Community rules           │\n' +
+                '└────────────────────────────┘\n\n' +
+                '┌─── 📞 CONTACTS ───┐\n' +
+                '│ • Contact an admin          │\n' +
+                '│ • Technical support         │\n' +
+                '│ • Social networks           │\n' +
+                '└────────────────────────────┘\n\n' +
+                '{status}\n\n' +
+                '⏱️ Average review time: 24 hours\n' +
+                '✅ Approval rate: 85%',
+            authorize: 'Get authorized',
+            my_request: 'My request',
+            about: 'About',
+            rules: 'Rules',
+            contacts: 'Contacts',
+            help: 'Help'
+        },
+
+        profile: {
+            text: '👤 MY PROFILE\n\n' +
+                '👤 Name: {name}\n' +
+                '🆔 ID: {telegram_id}\n' +
+                '📅 Registered: {registered}\n' +
+                '🌐 Language: {language}\n' +
+                '✅ Status: Authorized\n\n' +
+                '🔧 Available actions:',
+            edit: 'Edit profile',
+            activity: 'Activity history',
+            notifications: 'Notification settings',
+            language: 'Interface language'
+        }
+    },
+
+    car_manager: {
+        access_denied: '❌ Access denied! This command is available to administrators only.',
+        main_menu: '🔧 GARAGE ADMIN PANEL',
+        car_added: '✅ Car "{name}" added!',
+        car_deleted: '🗑️ Car "{name}" deleted!',
+        status_updated: '✅ Status of car "{name}" changed to {status}',
+        name_updated: '✅ Car renamed to "{name}"',
+        enter_car_name: '📝 Enter the name of the new car:',
+        select_status: '🎨 Choose the initial car status:',
+        confirm_delete: '⚠️ Are you sure you want to delete car "{name}"?',
+        enter_new_name: '📝 Enter a new name for car "{name}":',
+        enter_intervals: '⏳ Enter, separated by a space, how many days after maintenance car "{name}" becomes "Среднее" and "Плохое" (for example: 30 60).\nSend 0 to restore the defaults.',
+        intervals_updated: '✅ Wear intervals of car "{name}": {intervals}',
+        invalid_intervals: '❌ Invalid format. Enter two numbers of days, the second greater than the first (for example: 30 60), or 0:',
+        car_not_found: '❌ Car not found',
+        error_occurred: '❌ An error occurred: {error}'
+    },
+
+    garage_request: {
+        new_request: '🚨 NEW REQUEST #{id}\n\n' +
+            '👤 User: {user}\n' +
+            '🚗 Car: {car}\n' +
+            '📊 Oil status: {status}\n' +
+            '⏰ Submitted: {submitted}\n' +
+            '💰 Reward: {reward}',
+        photo_unavailable: '❌ Photo unavailable',
+        approve: '✅ Approve',
+        reject: '❌ Reject',
+        details: '📊 Details',
+        approved: '✅ REQUEST APPROVED!\n\n' +
+            '🚗 Car: {car}\n' +
+            '💰 Reward: {amount} in-game currency\n' +
+            '📋 Request number: #{id}\n\n' +
+            '💸 Payment is being processed...\n' +
+            'The money will arrive shortly.',
+        rejected: '❌ REQUEST REJECTED\n\n' +
+            '🚗 Car: {car}\n' +
+            '📋 Request number: #{id}\n\n' +
+            '📝 Reason:\n{comment}\n\n' +
+            '💡 You can submit a new request taking the remarks into account.'
+    },
+
+    roles: {
+        leader: 'Leader',
+        deputy: 'Deputy',
+        moderator: 'Moderator',
+        member: 'Member',
+        guest: 'Guest'
+    },
+
+    start: {
+        admin: 'Welcome, {role}! {icon}',
+        authorized: 'Welcome back! You are authorized ✅',
+        guest: 'Welcome! You are not authorized yet 🔒',
+        authorize_button: 'Authorization'
+    },
+
+    questionnaire: {
+        progress: 'Step {current} of {total}',
+        skip: '⏭️ Skip',
+        errors: {
+            text: '📝 Please send your answer as text.',
+            photo: '📷 Please send a photo.',
+            choice: '👆 Please choose one of the options with a button.',
+            number: '🔢 Please send a number.'
+        },
+        steps: {
+            nickname: {
+                prompt: '📝 Enter your nickname in the Name_Surname format\n\nExample: Ivan_Petrov',
+                error: '❌ Invalid nickname format!\n\nUse the format: Name_Surname\nExample: Ivan_Petrov'
+            },
+            screenshot: {
+                prompt: '✅ Nickname accepted!\n\n📷 Now send a photo (compressed by Telegram)\n\n' +
+                    '📝 Instructions: type /fam, then /time and send the screenshot to the bot'
+            }
+        }
+    },
+
+    auth: {
+        approved: '✅ Congratulations! Your request has been approved!\n\n🎉 You are now authorized in the system!',
+        rejected: '❌ Unfortunately, your request was rejected.\n\n📝 Reason: {reason}\n\nYou can apply again.',
+        reapply: 'Apply again',
+        pending_exists: 'You already have a pending request',
+        questionnaire_missing: 'Questionnaire not found. Please start the authorization again',
+        step_required: 'This step cannot be skipped',
+        submitted: '✅ Your data has been sent for review!\n\n🕰️ Please wait for the administrator\'s decision...',
+        submit_failed: 'An error occurred while sending your request. Please try again later.',
+        reasons: {
+            unreadable_screenshot: 'The screenshot is unreadable or does not show /fam and /time',
+            nickname_format: 'The nickname does not match the Name_Surname format',
+            not_in_family: 'You are not a member of the family'
+        },
+        admin: {
+            new_request: '📝 New request from {nickname}\n\n' +
+                '🆔 Telegram ID: {telegram_id}\n' +
+                '👤 Username: {username}\n' +
+                '📅 Date: {date}',
+            answers: '📋 Questionnaire:\n{answers}',
+            approve_button: 'Approve',
+            reject_button: 'Reject',
+            approved_label: '✅ APPROVED',
+            rejected_label: '❌ REJECTED\n📝 Reason: {reason}',
+            not_found: 'Request not found',
+            already_processed: 'Request has already been processed',
+            processed_by_other: '⚠️ The request has already been processed by another administrator',
+            approved: 'Request approved!',
+            approve_failed: 'Error while approving',
+            reject_prompt: '❌ Rejecting the request from {nickname}\n\n' +
+                '📝 Choose a reason or send your own as a message (it will be sent to the user):',
+            reject_cancel_button: '↩️ Cancel',
+            reject_failed: 'Error while rejecting',
+            rejection_not_found: 'Rejection not found. Press «Reject» again',
+            rejection_cancelled: 'Rejection cancelled',
+            rejection_cancelled_message: '↩️ Rejection cancelled',
+            enter_reason: '📝 Enter the rejection reason as text.',
+            rejected: '✅ The request from {nickname} has been rejected.\n📝 Reason: {reason}',
+            reject_error: '❌ Error while rejecting: {error}'
+        }
+    }
+};
\ No newline at end of file
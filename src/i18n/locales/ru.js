@@ -0,0 +1,395 @@
+/**
+ * Russian texts
+ * Keys must match src/i18n/locales/en.js (checked by tests/i18n.test.js)
+ */
+
+module.exports = {
+    common: {
+        date_locale: 'ru-RU',
+        unknown: 'неизвестно',
+        not_specified: 'не указан',
+        user: 'пользователь',
+        try_later: 'Попробуйте позже',
+        error: 'Произошла ошибка. Попробуйте позже.'
+    },
+
+    time: {
+        just_now: 'только что',
+        hours_ago: '{count} ч. назад',
+        yesterday: 'вчера',
+        today_title: 'Сегодня',
+        yesterday_title: 'Вчера',
+        unknown_title: 'Неизвестно',
+        days_ago: {
+            one: '{count} день назад',
+            few: '{count} дня назад',
+            many: '{count} дней назад',
+            other: '{count} дня назад'
+        },
+        weeks_ago: {
+            one: '{count} неделю назад',
+            few: '{count} недели назад',
+            many: '{count} недель назад',
+            other: '{count} недели назад'
+        },
+        months_ago: {
+            one: '{count} месяц назад',
+            few: '{count} месяца назад',
+            many: '{count} месяцев назад',
+            other: '{count} месяца назад'
+        },
+        years_ago: {
+            one: '{count} год назад',
+            few: '{count} года назад',
+            many: '{count} лет назад',
+            other: '{count} года назад'
+        }
+    },
+
+    language: {
+        title: '🌐 ЯЗЫК ИНТЕРФЕЙСА',
+        current: 'Сейчас: {language}',
+        auto: 'как в Telegram ({language})',
+        choose: 'Выберите язык сообщений бота:',
+        auto_button: '🔄 Как в Telegram',
+        changed: '✅ Язык интерфейса: {language}',
+        reset: '✅ Язык будет как в Telegram',
+        unknown_user: '❌ Сначала отправьте /start',
+        unsupported: 'Неизвестный язык'
+    },
+
+    content: {
+        welcome_admin: '🏛️ ПАНЕЛЬ АДМИНИСТРАТОРА 👑',
+        welcome_user: '🎯 ДОБРО ПОЖАЛОВАТЬ! ✨',
+        welcome_guest: '🚪 ДОБРО ПОЖАЛОВАТЬ В СИСТЕМУ! 🌟',
+        admin_greeting: 'Добро пожаловать обратно, {first_name}!',
+        user_greeting: 'Привет, {first_name}!',
+        last_seen: 'Последний вход: {formatted_date}',
+        member_since: 'С нами с {registration_date}',
+        auth_pending: '⏳ Ваша заявка находится на рассмотрении',
+        auth_submitted: '📅 Подана: {date}',
+        auth_rejected: '❌ Ваша заявка была отклонена',
+        auth_rejected_hint: '💡 Вы можете подать новую заявку',
+        auth_approved: '✅ Вы успешно авторизованы',
+        error_db: '⚠️ Временные технические работы',
+        error_general: '🔄 Попробуем еще раз...',
+        loading: '📝 Инициализация профиля...',
+        timeout: '⚡ Быстрое меню помощи',
+
+        fallback: {
+            admin: 'Добро пожаловать, администратор!',
+            user: 'Добро пожаловать, пользователь!',
+            guest: 'Добро пожаловать! Пройдите авторизацию для полного доступа.'
+        },
+
+        stats: {
+            admin: '📊 Статистика системы:\n' +
+                '• Всего пользователей: {total_users}\n' +
+                '• Авторизованных: {authorized_users}\n' +
+                '• Ожидающих заявок: {pending_requests}\n' +
+                '• Активных сегодня: {active_today}',
+            unauthorized: '📈 Информация о системе:\n' +
+                '⏱️ Среднее время рассмотрения: 24 часа\n' +
+                '✅ Процент одобренных заявок: 85%\n' +
+                '👥 Активных пользователей: {active_users}+'
+        },
+
+        errors: {
+            database: 'Попробуйте позже или обратитесь к администратору.',
+            network: 'Проверьте подключение к интернету.',
+            timeout: 'Система перегружена, показываем базовое меню.',
+            permission: '🚫 У вас нет доступа к этой функции.\n\nОбратитесь к администратору за помощью.',
+            not_found: '❓ Запрашиваемая информация не найдена.\n\nВозможно, данные были удалены.',
+            general: 'Если проблема повторяется, обратитесь к администратору.',
+            context: 'Контекст: {context}'
+        },
+
+        commands: {
+            start: 'Начать работу с ботом и пройти авторизацию',
+            help: 'Показать это меню помощи',
+            notifications: 'Настройки уведомлений: категории, сводка и тихие часы',
+            language: 'Выбрать язык интерфейса',
+            emergency: 'Экстренная связь с администратором (только для критических ситуаций)',
+            admin: 'Панель администратора',
+            stats: 'Статистика системы',
+            backup: 'Создать резервную копию',
+            broadcast: 'Отправить объявление пользователям',
+            broadcasts: 'Последние рассылки и итоги доставки',
+            texts: 'Изменить тексты бота',
+            not_found: 'Команда не найдена'
+        },
+
+        links: {
+            channel: 'Официальный канал',
+            support: 'Техподдержка',
+            monitoring: 'Панель мониторинга',
+            logs: 'Логи системы',
+            docs: 'Документация',
+            faq: 'FAQ'
+        },
+
+        motivation: {
+            admin: [
+                '🌟 Отличная работа в управлении сообществом!',
+                '💪 Ваше лидерство делает систему лучше!',
+                '🎯 Продолжайте развивать проект!'
+            ],
+            authorized: [
+                '🎉 Рады видеть вас в нашем сообществе!',
+                '✨ Используйте все возможности системы!',
+                '🚀 Развивайтесь вместе с нами!'
+            ],
+            unauthorized: [
+                '🌟 Присоединяйтесь к нашему сообществу!',
+                '🔓 Авторизация откроет новые возможности!',
+                '💫 Мы ждем вас в нашей команде!'
+            ]
+        },
+
+        tips: {
+            admin: [
+                '💡 Используйте /stats для быстрого просмотра статистики',
+                '🔔 Настройте уведомления о новых заявках',
+                '💾 Регулярно создавайте резервные копии'
+            ],
+            authorized: [
+                '📱 Настройте уведомления в разделе "Настройки"',
+                '👤 Обновите информацию в профиле',
+                '📋 Изучите раздел FAQ для ответов на вопросы'
+            ],
+            unauthorized: [
+                '📝 Подготовьте никнейм в формате Name_Surname',
+                '📷 Сделайте скриншот команд /fam и /time',
+                '⏰ Заявки рассматриваются в течение 24 часов'
+            ]
+        }
+    },
+
+    menu: {
+        buttons: {
+            refresh: 'Обновить',
+            home: 'Главная',
+            back: 'Назад'
+        },
+
+        admin: {
+            text: '🏛️ ПАНЕЛЬ АДМИНИСТРАТОРА 👑\n\n' +
+                'Добро пожаловать в панель управления ботом!\n\n' +
+                '┌─── 👥 УПРАВЛЕНИЕ ───┐\n' +
+                '│ • Заявки на авторизацию     │\n' +
+                '│ • Список пользователей      │\n' +
+                '│ • Заблокированные           │\n' +
+                '└─────────────────────────┘\n\n' +
+                '┌─── 📊 АНАЛИТИКА ───┐\n' +
+                '│ • Статистика бота           │\n' +
+                '│ • Активность пользователей  │\n' +
+                '│ • Отчеты                    │\n' +
+                '└─────────────────────────┘\n\n' +
+                '┌─── ⚙️ НАСТРОЙКИ ───┐\n' +
+                '│ • Конфигурация бота         │\n' +
+                '│ • Сообщения и тексты        │\n' +
+                '│ • Резервное копирование     │\n' +
+                '└─────────────────────────┘\n\n' +
+                '🆘 Экстренная помощь: /emergency\n' +
+                '📞 Техподдержка: @admin_username',
+            users: 'Пользователи',
+            stats: 'Статистика',
+            settings: 'Настройки',
+            notifications: 'Уведомления',
+            requests: 'Заявки',
+            blocks: 'Блокировка',
+            backup: 'Бэкап'
+        },
+
+        user: {
+            text: '🎯 ДОБРО ПОЖАЛОВАТЬ! ✨\n\n' +
+                'Привет, {name}! Вы успешно авторизованы в системе!\n\n' +
+                '┌─── 🎮 ОСНОВНЫЕ ФУНКЦИИ ───┐\n' +
+                '│ • Мой профиль               │\n' +
+                '│ • Настройки уведомлений     │\n' +
+                '│ • История активности        │\n' +
+                '└────────────────────────────┘\n\n' +
+                '┌─── ℹ️ ИНФОРМАЦИЯ ───┐\n' +
+                '│ • Правила использования     │\n' +
+                '│ • Часто задаваемые вопросы  │\n' +
+                '│ • Новости и обновления      │\n' +
+                '└────────────────────────────┘\n\n' +
+                '┌─── 🆘 ПОДДЕРЖКА ───┐\n' +
+                '│ • Связаться с админом       │\n' +
+                '│ • Сообщить о проблеме       │\n' +
+                '│ • Предложить улучшение      │\n' +
+                '└────────────────────────────┘\n\n' +
+                '📅 Последний вход: {last_seen}\n' +
+                '🏆 Статус: Авторизованный пользователь',
+            profile: 'Профиль',
+            settings: 'Настройки',
+            history: 'История',
+            news: 'Новости',
+            faq: 'FAQ',
+            support: 'Поддержка'
+        },
+
+        guest: {
+            text: '🚪 ДОБРО ПОЖАЛОВАТЬ В СИСТЕМУ! 🌟\n\n' +
+                'Вы пока не авторизованы. Получите доступ ко всем функциям!\n\n' +
+                '┌─── 🔒 АВТОРИЗАЦИЯ ───┐\n' +
+                '│ • Как получить доступ       │\n' +
+                '│ • Требования к заявке       │\n' +
+                '│ • Статус моей заявки        │\n' +
+                '└────────────────────────────┘\n\n' +
+                '┌─── ℹ️ ИНФОРМАЦИЯ ───┐\n' +
+                '│ • О проекте                 │\n' +
+                '│ • Возможности системы       │\n' +
+                '│ • Правила сообщества        │\n' +
+                '└────────────────────────────┘\n\n' +
+                '┌─── 📞 КОНТАКТЫ ───┐\n' +
+                '│ • Связаться с админом       │\n' +
+                '│ • Техническая поддержка     │\n' +
+                '│ • Социальные сети           │\n' +
+                '└────────────────────────────┘\n\n' +
+                '{status}\n\n' +
+                '⏱️ Среднее время рассмотрения: 24 часа\n' +
+                '✅ Процент одобренных заявок: 85%',
+            authorize: 'Авторизоваться',
+            my_request: 'Моя заявка',
+            about: 'О системе',
+            rules: 'Правила',
+            contacts: 'Контакты',
+            help: 'Помощь'
+        },
+
+        profile: {
+            text: '👤 МОЙ ПРОФИЛЬ\n\n' +
+                '👤 Имя: {name}\n' +
+                '🆔 ID: {telegram_id}\n' +
+                '📅 Регистрация: {registered}\n' +
+                '🌐 Язык: {language}\n' +
+                '✅ Статус: Авторизован\n\n' +
+                '🔧 Доступные действия:',
+            edit: 'Редактировать профиль',
+            activity: 'История активности',
+            notifications: 'Настройки уведомлений',
+            language: 'Язык интерфейса'
+        }
+    },
+
+    car_manager: {
+        access_denied: '❌ Доступ запрещен! Эта команда доступна только администраторам.',
+        main_menu: '🔧 АДМИН ПАНЕЛЬ ГАРАЖА',
+        car_added: '✅ Автомобиль "{name}" успешно добавлен!',
+        car_deleted: '🗑️ Автомобиль "{name}" успешно удален!',
+        status_updated: '✅ Статус автомобиля "{name}" изменен на {status}',
+        name_updated: '✅ Название автомобиля изменено на "{name}"',
+        enter_car_name: '📝 Введите название нового автомобиля:',
+        select_status: '🎨 Выберите начальный статус автомобиля:',
+        confirm_delete: '⚠️ Вы уверены, что хотите удалить автомобиль "{name}"?',
+        enter_new_name: '📝 Введите новое название для автомобиля "{name}":',
+        enter_intervals: '⏳ Введите через пробел, через сколько дней после ТО автомобиль "{name}" станет "Среднее" и "Плохое" (например: 30 60).\nОтправьте 0, чтобы вернуть значения по умолчанию.',
+        intervals_updated: '✅ Интервалы износа автомобиля "{name}": {intervals}',
+        invalid_intervals: '❌ Неверный формат. Введите два числа дней, второе больше первого (например: 30 60), или 0:',
+        car_not_found: '❌ Автомобиль не найден',
+        error_occurred: '❌ Произошла ошибка: {error}'
+    },
+
+    garage_request: {
+        new_request: '🚨 НОВАЯ ЗАЯВКА #{id}\n\n' +
+            '👤 Пользователь: {user}\n' +
+            '🚗 Автомобиль: {car}\n' +
+            '📊 Статус масла: {status}\n' +
+            '⏰ Подано: {submitted}\n' +
+            '💰 Вознаграждение: {reward}',
+        photo_unavailable: '❌ Фото недоступно',
+        approve: '✅ Принять',
+        reject: '❌ Отклонить',
+        details: '📊 Подробности',
+        approved: '✅ ЗАЯВКА ОДОБРЕНА!\n\n' +
+            '🚗 Автомобиль: {car}\n' +
+            '💰 Вознаграждение: {amount} игровой валюты\n' +
+            '📋 Номер заявки: #{id}\n\n' +
+            '💸 Производится оплата...\n' +
+            'Средства будут зачислены в ближайшее время.',
+        rejected: '❌ ЗАЯВКА ОТКЛОНЕНА\n\n' +
+            '🚗 Автомобиль: {car}\n' +
+            '📋 Номер заявки: #{id}\n\n' +
+            '📝 Причина отклонения:\n{comment}\n\n' +
+            '💡 Вы можете подать новую заявку с учетом замечаний.'
+    },
+
+    roles: {
+        leader: 'Лидер',
+        deputy: 'Заместитель',
+        moderator: 'Модератор',
+        member: 'Участник',
+        guest: 'Гость'
+    },
+
+    start: {
+        admin: 'Добро пожаловать, {role}! {icon}',
+        authorized: 'Добро пожаловать обратно! Вы авторизованы ✅',
+        guest: 'Добро пожаловать! Вы пока не авторизованы 🔒',
+        authorize_button: 'Авторизация'
+    },
+
+    questionnaire: {
+        progress: 'Шаг {current} из {total}',
+        skip: '⏭️ Пропустить',
+        errors: {
+            text: '📝 Пожалуйста, отправьте ответ текстом.',
+            photo: '📷 Пожалуйста, отправьте фотографию.',
+            choice: '👆 Пожалуйста, выберите один из вариантов кнопкой.',
+            number: '🔢 Пожалуйста, отправьте число.'
+        },
+        steps: {
+            nickname: {
+                prompt: '📝 Введите ваш никнейм в формате Name_Surname\n\nПример: Ivan_Petrov',
+                error: '❌ Неверный формат никнейма!\n\nИспользуйте формат: Name_Surname\nПример: Ivan_Petrov'
+            },
+            screenshot: {
+                prompt: '✅ Никнейм принят!\n\n📷 Теперь отправьте фотографию (сжатую для Telegram)\n\n' +
+                    '📝 Инструкция: напишите /fam, затем /time и отправьте скриншот боту'
+            }
+        }
+    },
+
+    auth: {
+        approved: '✅ Поздравляем! Ваша заявка одобрена!\n\n🎉 Теперь вы авторизованы в системе!',
+        rejected: '❌ К сожалению, ваша заявка отклонена.\n\n📝 Причина: {reason}\n\nВы можете подать заявку повторно.',
+        reapply: 'Подать заявку повторно',
+        pending_exists: 'У вас уже есть ожидающая заявка',
+        questionnaire_missing: 'Анкета не найдена. Начните авторизацию заново',
+        step_required: 'Этот шаг нельзя пропустить',
+        submitted: '✅ Данные отправлены на проверку!\n\n🕰️ Ожидайте решения администратора...',
+        submit_failed: 'Произошла ошибка при отправке заявки. Попробуйте позже.',
+        reasons: {
+            unreadable_screenshot: 'Скриншот не читается или не содержит /fam и /time',
+            nickname_format: 'Никнейм не соответствует формату Name_Surname',
+            not_in_family: 'Вы не состоите в семье'
+        },
+        admin: {
+            new_request: '📝 Новая заявка от {nickname}\n\n' +
+                '🆔 Telegram ID: {telegram_id}\n' +
+                '👤 Username: {username}\n' +
+                '📅 Дата: {date}',
+            answers: '📋 Анкета:\n{answers}',
+            approve_button: 'Принять',
+            reject_button: 'Отказать',
+            approved_label: '✅ ОДОБРЕНО',
+            rejected_label: '❌ ОТКЛОНЕНО\n📝 Причина: {reason}',
+            not_found: 'Заявка не найдена',
+            already_processed: 'Заявка уже обработана',
+            processed_by_other: '⚠️ Заявка уже обработана другим администратором',
+            approved: 'Заявка одобрена!',
+            approve_failed: 'Ошибка при одобрении',
+            reject_prompt: '❌ Отклонение заявки от {nickname}\n\n' +
+                '📝 Выберите причину или отправьте свою сообщением (она будет отправлена пользователю):',
+            reject_cancel_button: '↩️ Отмена',
+            reject_failed: 'Ошибка при отклонении',
+            rejection_not_found: 'Отклонение не найдено. Нажмите «Отказать» еще раз',
+            rejection_cancelled: 'Отклонение отменено',
+            rejection_cancelled_message: '↩️ Отклонение отменено',
+            enter_reason: '📝 Введите причину отклонения текстом.',
+            rejected: '✅ Заявка от {nickname} отклонена.\n📝 Причина: {reason}',
+            reject_error: '❌ Ошибка при отклонении: {error}'
+        }
+    }
+};
\ No newline at end of file
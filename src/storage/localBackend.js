@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local filesystem photo backend
+ * Keys are relative paths under the root directory
+ */
+class LocalBackend {
+    /**
+     * @param {Object} options - { rootDir }
+     */
+    constructor(options) {
+        this.rootDir = path.resolve(options.rootDir);
+    }
+
+    /**
+     * Resolve a key to a file path inside the root directory
+     * @param {string} key - Storage key
+     * @returns {string}
+     */
+    resolve(key) {
+        const filePath = path.resolve(this.rootDir, key);
+        if (!filePath.startsWith(this.rootDir + path.sep)) {
+            throw new Error(`Invalid photo key: ${key}`);
+        }
+        return filePath;
+    }
+
+    /**
+     * Store an object; the file appears atomically
+     * @param {string} key - Storage key
+     * @param {Buffer} buffer - File contents
+     */
+    async put(key, buffer) {
+        const filePath = this.resolve(key);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, buffer);
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    /**
+     * Read an object
+     * @param {string} key - Storage key
+     * @returns {Promise<Buffer|null>} Contents or null if missing
+     */
+    async get(key) {
+        try {
+            return await fs.promises.readFile(this.resolve(key));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether an object exists
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>}
+     */
+    async exists(key) {
+        return fs.existsSync(this.resolve(key));
+    }
+
+    /**
+     * Delete an object
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} False if it did not exist
+     */
+    async remove(key) {
+        try {
+            await fs.promises.unlink(this.resolve(key));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * List objects directly under a prefix
+     * @param {string} prefix - Key prefix (category directory)
+     * @returns {Promise<Array<Object>>} { key, modifiedAt }
+     */
+    async list(prefix) {
+        const dir = this.resolve(prefix);
+
+        let names;
+        try {
+            names = await fs.promises.readdir(dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const objects = [];
+        for (const name of names) {
+            if (name.endsWith('.tmp')) {
+                continue;
+            }
+
+            const stat = await fs.promises.stat(path.join(dir, name));
+            if (stat.isFile()) {
+                objects.push({ key: `${prefix}/${name}`, modifiedAt: stat.mtime });
+            }
+        }
+        return objects;
+    }
+
+    /**
+     * Path of the stored file, usable directly for Telegram uploads
+     * @param {string} key - Storage key
+     * @returns {Promise<string|null>} Null if missing
+     */
+    async getLocalPath(key) {
+        const filePath = this.resolve(key);
+        return fs.existsSync(filePath) ? filePath : null;
+    }
+}
+
+module.exports = LocalBackend;
\ No newline at end of file
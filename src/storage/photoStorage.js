@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const LocalBackend = require('./localBackend');
+const S3Backend = require('./s3Backend');
+const storageConfig = require('../../config/photoStorage');
+
+const CATEGORIES = ['garage_requests', 'auth_requests'];
+
+/**
+ * Photo storage for request photos
+ * New photos get content-addressed keys (<category>/<sha256>.jpg), so a photo
+ * submitted twice is stored once. Rows created before the storage existed keep
+ * absolute file paths; those are still read and deleted directly from disk.
+ */
+class PhotoStorage {
+    /**
+     * @param {Object} backend - LocalBackend or S3Backend
+     * @param {Object} options - { cacheDir, localRoot }
+     */
+    constructor(backend, options = {}) {
+        this.backend = backend;
+        this.cacheDir = options.cacheDir;
+        this.localRoot = options.localRoot ? path.resolve(options.localRoot) : null;
+    }
+
+    /**
+     * Create the backend selected in config
+     * @param {Object} config - Photo storage config
+     * @returns {Object}
+     */
+    static createBackend(config) {
+        switch (config.backend) {
+        case 'local':
+            return new LocalBackend(config.local);
+        case 's3':
+            return new S3Backend(config.s3);
+        default:
+            throw new Error(`Unknown photo storage backend: ${config.backend}`);
+        }
+    }
+
+    /**
+     * Build the content-addressed key of a photo
+     * @param {string} category - Photo category
+     * @param {Buffer} buffer - Photo contents
+     * @returns {string}
+     */
+    static buildKey(category, buffer) {
+        if (!CATEGORIES.includes(category)) {
+            throw new Error(`Unknown photo category: ${category}`);
+        }
+        return `${category}/${crypto.createHash('sha256').update(buffer).digest('hex')}.jpg`;
+    }
+
+    /**
+     * Check whether a reference is a legacy absolute file path
+     * @param {string} ref - Stored photo reference
+     * @returns {boolean}
+     */
+    static isLegacyPath(ref) {
+        return path.isAbsolute(ref);
+    }
+
+    /**
+     * Store a photo; identical contents are uploaded once
+     * @param {string} category - Photo category
+     * @param {Buffer} buffer - Photo contents
+     * @returns {Promise<string>} Storage key to save in the request row
+     */
+    async save(category, buffer) {
+        const key = PhotoStorage.buildKey(category, buffer);
+        if (!(await this.backend.exists(key))) {
+            await this.backend.put(key, buffer);
+        }
+        return key;
+    }
+
+    /**
+     * Download a photo from Telegram and store it
+     * @param {TelegramBot} bot - Bot instance
+     * @param {string} fileId - Telegram file ID
+     * @param {string} category - Photo category
+     * @returns {Promise<string>} Storage key
+     */
+    async saveFromTelegram(bot, fileId, category) {
+        const incomingDir = path.join(this.cacheDir, 'incoming');
+        fs.mkdirSync(incomingDir, { recursive: true });
+
+        const downloadedPath = await bot.downloadFile(fileId, incomingDir);
+        try {
+            return await this.save(category, fs.readFileSync(downloadedPath));
+        } finally {
+            fs.rmSync(downloadedPath, { force: true });
+        }
+    }
+
+    /**
+     * Read a photo
+     * @param {string} ref - Stored photo reference
+     * @returns {Promise<Buffer|null>} Contents or null if missing
+     */
+    async read(ref) {
+        if (!ref) {
+            return null;
+        }
+        if (PhotoStorage.isLegacyPath(ref)) {
+            return fs.existsSync(ref) ? fs.readFileSync(ref) : null;
+        }
+        return this.backend.get(ref);
+    }
+
+    /**
+     * Check whether a photo is stored
+     * @param {string} ref - Stored photo reference
+     * @returns {Promise<boolean>}
+     */
+    async exists(ref) {
+        if (!ref) {
+            return false;
+        }
+        if (PhotoStorage.isLegacyPath(ref)) {
+            return fs.existsSync(ref);
+        }
+        return this.backend.exists(ref);
+    }
+
+    /**
+     * Delete a photo
+     * @param {string} ref - Stored photo reference
+     * @returns {Promise<boolean>} False if it did not exist
+     */
+    async remove(ref) {
+        if (!ref) {
+            return false;
+        }
+        if (PhotoStorage.isLegacyPath(ref)) {
+            if (!fs.existsSync(ref)) {
+                return false;
+            }
+            fs.unlinkSync(ref);
+            return true;
+        }
+        return this.backend.remove(ref);
+    }
+
+    /**
+     * Get a local file path for a photo (Telegram uploads and media edits need one)
+     * Remote photos are copied to the cache; keys are content-addressed, so cached copies never go stale
+     * @param {string} ref - Stored photo reference
+     * @returns {Promise<string|null>} Null if missing
+     */
+    async getLocalPath(ref) {
+        if (!ref) {
+            return null;
+        }
+        if (PhotoStorage.isLegacyPath(ref)) {
+            return fs.existsSync(ref) ? ref : null;
+        }
+        if (this.backend.getLocalPath) {
+            return this.backend.getLocalPath(ref);
+        }
+
+        const cachedPath = path.join(this.cacheDir, ref);
+        if (fs.existsSync(cachedPath)) {
+            return cachedPath;
+        }
+
+        const buffer = await this.backend.get(ref);
+        if (!buffer) {
+            return null;
+        }
+
+        fs.mkdirSync(path.dirname(cachedPath), { recursive: true });
+        fs.writeFileSync(cachedPath, buffer);
+        return cachedPath;
+    }
+
+    /**
+     * Convert a reference to its storage key; legacy paths under the local root map to keys
+     * @param {string} ref - Stored photo reference
+     * @returns {string}
+     */
+    toKey(ref) {
+        if (this.localRoot && PhotoStorage.isLegacyPath(ref)) {
+            const relative = path.relative(this.localRoot, path.resolve(ref));
+            if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+                return relative.split(path.sep).join('/');
+            }
+        }
+        return ref;
+    }
+
+    /**
+     * Delete stored photos that no request keeps any more
+     * @param {Set<string>} keepRefs - References still in use
+     * @param {Object} options - { now, graceMs } - younger files are kept
+     * @returns {Promise<number>} Number of deleted photos
+     */
+    async sweep(keepRefs, { now = new Date(), graceMs = 0 } = {}) {
+        const keep = new Set([...keepRefs].map(ref => this.toKey(ref)));
+        let removed = 0;
+
+        for (const category of CATEGORIES) {
+            for (const object of await this.backend.list(category)) {
+                if (keep.has(object.key) || now - object.modifiedAt < graceMs) {
+                    continue;
+                }
+                if (await this.backend.remove(object.key)) {
+                    removed++;
+                }
+            }
+        }
+
+        this.cleanupCache(now, graceMs);
+        return removed;
+    }
+
+    /**
+     * Delete cached copies and stale downloads older than the grace period
+     * @param {Date} now - Current time
+     * @param {number} graceMs - Minimum age
+     */
+    cleanupCache(now, graceMs) {
+        if (!this.cacheDir || !fs.existsSync(this.cacheDir)) {
+            return;
+        }
+
+        for (const dir of [...CATEGORIES, 'incoming']) {
+            const dirPath = path.join(this.cacheDir, dir);
+            if (!fs.existsSync(dirPath)) {
+                continue;
+            }
+            for (const name of fs.readdirSync(dirPath)) {
+                const filePath = path.join(dirPath, name);
+                if (now - fs.statSync(filePath).mtime >= graceMs) {
+                    fs.rmSync(filePath, { force: true });
+                }
+            }
+        }
+    }
+}
+
+// Shared instance configured from config/photoStorage.js
+const photoStorage = new PhotoStorage(PhotoStorage.createBackend(storageConfig), {
+    cacheDir: storageConfig.cacheDir,
+    localRoot: storageConfig.local.rootDir
+});
+
+module.exports = { PhotoStorage, photoStorage, CATEGORIES };
\ No newline at end of file
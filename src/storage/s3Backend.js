@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const SERVICE = 's3';
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+
+/**
+ * URI-encode a string as required by AWS Signature Version 4
+ * @param {string} value - Raw value
+ * @returns {string}
+ */
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Decode XML entities in ListObjectsV2 responses
+ * @param {string} value - Escaped value
+ * @returns {string}
+ */
+function decodeXml(value) {
+    return value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * S3-compatible photo backend (AWS S3, MinIO, Yandex Object Storage, ...)
+ * Uses path-style URLs and Signature Version 4 over plain http(s),
+ * so no SDK is required
+ */
+class S3Backend {
+    /**
+     * @param {Object} options - { endpoint, region, bucket, accessKeyId, secretAccessKey }
+     */
+    constructor(options) {
+        if (!options.bucket || !options.accessKeyId || !options.secretAccessKey) {
+            throw new Error('S3 photo storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+        }
+
+        this.endpoint = new URL(options.endpoint);
+        this.region = options.region;
+        this.bucket = options.bucket;
+        this.accessKeyId = options.accessKeyId;
+        this.secretAccessKey = options.secretAccessKey;
+    }
+
+    /**
+     * Store an object
+     * @param {string} key - Storage key
+     * @param {Buffer} buffer - File contents
+     */
+    async put(key, buffer) {
+        await this.request('PUT', key, { body: buffer, headers: { 'content-type': 'image/jpeg' } });
+    }
+
+    /**
+     * Read an object
+     * @param {string} key - Storage key
+     * @returns {Promise<Buffer|null>} Contents or null if missing
+     */
+    async get(key) {
+        const response = await this.request('GET', key, { allowNotFound: true });
+        return response.statusCode === 404 ? null : response.body;
+    }
+
+    /**
+     * Check whether an object exists
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>}
+     */
+    async exists(key) {
+        const response = await this.request('HEAD', key, { allowNotFound: true });
+        return response.statusCode !== 404;
+    }
+
+    /**
+     * Delete an object
+     * S3 answers 204 for missing keys too, so existence is checked first
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} False if it did not exist
+     */
+    async remove(key) {
+        if (!(await this.exists(key))) {
+            return false;
+        }
+
+        await this.request('DELETE', key);
+        return true;
+    }
+
+    /**
+     * List objects under a prefix (ListObjectsV2, all pages)
+     * @param {string} prefix - Key prefix (category)
+     * @returns {Promise<Array<Object>>} { key, modifiedAt }
+     */
+    async list(prefix) {
+        const objects = [];
+        let continuationToken = null;
+
+        do {
+            const query = { 'list-type': '2', prefix: `${prefix}/` };
+            if (continuationToken) {
+                query['continuation-token'] = continuationToken;
+            }
+
+            const response = await this.request('GET', '', { query });
+            const xml = response.body.toString('utf8');
+
+            for (const entry of xml.match(/<Contents>[\s\S]*?<\/Contents>/g) || []) {
+                const key = /<Key>([\s\S]*?)<\/Key>/.exec(entry);
+                const modified = /<LastModified>([\s\S]*?)<\/LastModified>/.exec(entry);
+                if (key) {
+                    objects.push({
+                        key: decodeXml(key[1]),
+                        modifiedAt: modified ? new Date(modified[1]) : new Date(0)
+                    });
+                }
+            }
+
+            const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml);
+            const token = /<NextContinuationToken>([\s\S]*?)<\/NextContinuationToken>/.exec(xml);
+            continuationToken = truncated && token ? decodeXml(token[1]) : null;
+        } while (continuationToken);
+
+        return objects;
+    }
+
+    /**
+     * Send a signed request to the bucket
+     * @param {string} method - HTTP method
+     * @param {string} key - Object key ('' for bucket operations)
+     * @param {Object} options - { query, body, headers, allowNotFound }
+     * @returns {Promise<Object>} { statusCode, body }
+     */
+    request(method, key, options = {}) {
+        const body = options.body || Buffer.alloc(0);
+        const path = `${this.endpoint.pathname.replace(/\/$/, '')}/${this.bucket}` +
+            (key ? `/${key.split('/').map(encodeRfc3986).join('/')}` : '/');
+        const queryString = Object.keys(options.query || {})
+            .sort()
+            .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(options.query[name])}`)
+            .join('&');
+
+        const headers = {
+            ...(options.headers || {}),
+            host: this.endpoint.host,
+            'x-amz-content-sha256': sha256Hex(body),
+            'x-amz-date': new Date().toISOString().replace(/[:-]|\.\d{3}/g, ''),
+            'content-length': body.length
+        };
+        headers.authorization = this.sign(method, path, queryString, headers);
+
+        const transport = this.endpoint.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request({
+                method,
+                protocol: this.endpoint.protocol,
+                hostname: this.endpoint.hostname,
+                port: this.endpoint.port || undefined,
+                path: queryString ? `${path}?${queryString}` : path,
+                headers
+            }, (res) => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => {
+                    const response = { statusCode: res.statusCode, body: Buffer.concat(chunks) };
+                    if (res.statusCode < 300 || (res.statusCode === 404 && options.allowNotFound)) {
+                        resolve(response);
+                    } else {
+                        reject(new Error(`S3 ${method} ${key || this.bucket} failed with status ${res.statusCode}`));
+                    }
+                });
+            });
+
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+
+    /**
+     * Build the Signature Version 4 authorization header
+     * @param {string} method - HTTP method
+     * @param {string} path - Encoded request path
+     * @param {string} queryString - Canonical query string
+     * @param {Object} headers - Request headers (host and x-amz-* included)
+     * @returns {string}
+     */
+    sign(method, path, queryString, headers) {
+        const amzDate = headers['x-amz-date'];
+        const date = amzDate.slice(0, 8);
+        const scope = `${date}/${this.region}/${SERVICE}/aws4_request`;
+
+        const signedNames = ['host', 'x-amz-content-sha256', 'x-amz-date'];
+        const canonicalRequest = [
+            method,
+            path,
+            queryString,
+            signedNames.map(name => `${name}:${headers[name]}\n`).join(''),
+            signedNames.join(';'),
+            headers['x-amz-content-sha256']
+        ].join('\n');
+
+        const stringToSign = [ALGORITHM, amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+        const signingKey = [date, this.region, SERVICE, 'aws4_request']
+            .reduce((key, part) => hmac(key, part), `AWS4${this.secretAccessKey}`);
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        return `${ALGORITHM} Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedNames.join(';')}, Signature=${signature}`;
+    }
+}
+
+module.exports = S3Backend;
\ No newline at end of file
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+
+const BLOCK_SIZE = 512;
+
+/**
+ * Write a string into a header field, NUL-padded
+ * @param {Buffer} header - Header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @param {string} value - Field value
+ */
+function writeField(header, offset, length, value) {
+    header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+}
+
+/**
+ * Write a number as a zero-padded octal field
+ * @param {Buffer} header - Header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @param {number} value - Field value
+ */
+function writeOctal(header, offset, length, value) {
+    writeField(header, offset, length, `${value.toString(8).padStart(length - 1, '0')}\0`);
+}
+
+/**
+ * Read a NUL-terminated string field
+ * @param {Buffer} header - Header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {string}
+ */
+function readField(header, offset, length) {
+    const field = header.subarray(offset, offset + length);
+    const end = field.indexOf(0);
+    return field.toString('utf8', 0, end === -1 ? length : end);
+}
+
+/**
+ * Split a long entry name into the ustar prefix and name fields
+ * @param {string} name - Entry name
+ * @returns {Object} { prefix, name }
+ */
+function splitName(name) {
+    if (Buffer.byteLength(name) <= 100) {
+        return { prefix: '', name };
+    }
+
+    const slash = name.lastIndexOf('/', 155);
+    if (slash <= 0 || Buffer.byteLength(name.slice(slash + 1)) > 100) {
+        throw new Error(`Archive entry name is too long: ${name}`);
+    }
+    return { prefix: name.slice(0, slash), name: name.slice(slash + 1) };
+}
+
+/**
+ * Build a ustar header block for a regular file
+ * @param {string} name - Entry name
+ * @param {number} size - Content size in bytes
+ * @param {Date} mtime - Modification time
+ * @returns {Buffer}
+ */
+function buildHeader(name, size, mtime) {
+    const header = Buffer.alloc(BLOCK_SIZE);
+    const parts = splitName(name);
+
+    writeField(header, 0, 100, parts.name);
+    writeOctal(header, 100, 8, 0o644);
+    writeOctal(header, 108, 8, 0);
+    writeOctal(header, 116, 8, 0);
+    writeOctal(header, 124, 12, size);
+    writeOctal(header, 136, 12, Math.floor(mtime.getTime() / 1000));
+    header.fill(' ', 148, 156);
+    header.write('0', 156);
+    writeField(header, 257, 6, 'ustar\0');
+    writeField(header, 263, 2, '00');
+    writeField(header, 345, 155, parts.prefix);
+
+    let checksum = 0;
+    for (const byte of header) {
+        checksum += byte;
+    }
+    writeField(header, 148, 8, `${checksum.toString(8).padStart(6, '0')}\0 `);
+
+    return header;
+}
+
+/**
+ * Zero bytes that pad content up to a whole block
+ * @param {number} size - Content size
+ * @returns {Buffer}
+ */
+function padding(size) {
+    return Buffer.alloc((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE);
+}
+
+/**
+ * Streaming writer of .tar.gz archives
+ * Entries are appended one at a time, so large archives never sit in memory.
+ * The output is a plain ustar archive readable by the standard tar tool.
+ */
+class TarWriter {
+    /**
+     * @param {string} filePath - Archive path
+     */
+    constructor(filePath) {
+        this.gzip = zlib.createGzip();
+        this.done = pipeline(this.gzip, fs.createWriteStream(filePath));
+    }
+
+    /**
+     * Write a chunk, waiting when the stream is full
+     * @param {Buffer} chunk - Data
+     * @returns {Promise<void>}
+     */
+    async write(chunk) {
+        if (!this.gzip.write(chunk)) {
+            await once(this.gzip, 'drain');
+        }
+    }
+
+    /**
+     * Append a file
+     * @param {string} name - Entry name (relative, '/'-separated)
+     * @param {Buffer} buffer - File contents
+     * @param {Date} mtime - Modification time
+     * @returns {Promise<void>}
+     */
+    async add(name, buffer, mtime = new Date()) {
+        await this.write(buildHeader(name, buffer.length, mtime));
+        await this.write(buffer);
+        await this.write(padding(buffer.length));
+    }
+
+    /**
+     * Write the end-of-archive marker and close the file
+     * @returns {Promise<void>}
+     */
+    async finish() {
+        this.gzip.end(Buffer.alloc(BLOCK_SIZE * 2));
+        await this.done;
+    }
+}
+
+/**
+ * Read the entries of a .tar.gz archive
+ * The archive is unpacked to a temporary .tar file first, then entries are read
+ * from it one by one.
+ * @param {string} filePath - Archive path
+ * @returns {AsyncGenerator<Object>} { name, size, mtime, buffer }
+ */
+async function* readArchive(filePath) {
+    const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tgai-tar-'));
+    const tarPath = path.join(tempDir, 'archive.tar');
+
+    try {
+        await pipeline(fs.createReadStream(filePath), zlib.createGunzip(), fs.createWriteStream(tarPath));
+
+        const handle = await fs.promises.open(tarPath, 'r');
+        try {
+            const { size: total } = await handle.stat();
+            const header = Buffer.alloc(BLOCK_SIZE);
+            let position = 0;
+
+            while (position + BLOCK_SIZE <= total) {
+                await handle.read(header, 0, BLOCK_SIZE, position);
+                position += BLOCK_SIZE;
+
+                if (header.every(byte => byte === 0)) {
+                    return;
+                }
+
+                const stored = parseInt(readField(header, 148, 8).trim(), 8);
+                header.fill(' ', 148, 156);
+                const checksum = header.reduce((sum, byte) => sum + byte, 0);
+                if (stored !== checksum) {
+                    throw new Error(`Corrupted archive header at offset ${position - BLOCK_SIZE}`);
+                }
+
+                const prefix = readField(header, 345, 155);
+                const baseName = readField(header, 0, 100);
+                const size = parseInt(readField(header, 124, 12).trim(), 8) || 0;
+                const type = String.fromCharCode(header[156] || 48);
+
+                if (position + size > total) {
+                    throw new Error(`Archive is truncated: ${baseName}`);
+                }
+
+                const buffer = Buffer.alloc(size);
+                await handle.read(buffer, 0, size, position);
+                position += size + padding(size).length;
+
+                if (type === '0') {
+                    yield {
+                        name: prefix ? `${prefix}/${baseName}` : baseName,
+                        size,
+                        mtime: new Date(parseInt(readField(header, 136, 12).trim(), 8) * 1000),
+                        buffer
+                    };
+                }
+            }
+
+            throw new Error('Archive is truncated: end marker is missing');
+        } finally {
+            await handle.close();
+        }
+    } finally {
+        await fs.promises.rm(tempDir, { recursive: true, force: true });
+    }
+}
+
+module.exports = { TarWriter, readArchive };
\ No newline at end of file
@@ -188,6 +188,33 @@ describe('AuthRequest Model', () => {
             expect(authRequest.admin_id).toBe(999);
         });
 
+        test('should reject request with reason', async () => {
+            const authRequest = new AuthRequest({
+                id: 1,
+                status: 'pending'
+            });
+
+            database.run.mockResolvedValue({ changes: 1 });
+
+            await authRequest.reject(999, 'Wrong nickname format');
+
+            expect(database.run).toHaveBeenCalledWith(
+                expect.stringContaining('rejection_reason = ?'),
+                [999, 'Wrong nickname format', 1]
+            );
+            expect(authRequest.status).toBe('rejected');
+            expect(authRequest.rejection_reason).toBe('Wrong nickname format');
+        });
+
+        test('should not reject already processed request', async () => {
+            const authRequest = new AuthRequest({ id: 1, status: 'pending' });
+
+            database.run.mockResolvedValue({ changes: 0 });
+
+            await expect(authRequest.reject(999, 'Reason')).rejects.toThrow('request is not pending');
+            expect(authRequest.status).toBe('pending');
+        });
+
         test('should throw error for invalid status', async () => {
             const authRequest = new AuthRequest({ id: 1 });
 
@@ -198,23 +225,23 @@ describe('AuthRequest Model', () => {
     });
 
     describe('Photo File Management', () => {
-        test('should check if photo exists', () => {
+        test('should check if photo exists', async () => {
             const authRequest = new AuthRequest({
                 photo_path: '/path/to/photo.jpg'
             });
 
             fs.existsSync.mockReturnValue(true);
 
-            expect(authRequest.photoExists()).toBe(true);
+            expect(await authRequest.photoExists()).toBe(true);
             expect(fs.existsSync).toHaveBeenCalledWith('/path/to/photo.jpg');
         });
 
-        test('should return false if photo path is null', () => {
+        test('should return false if photo path is null', async () => {
             const authRequest = new AuthRequest({
                 photo_path: null
             });
 
-            expect(authRequest.photoExists()).toBe(false);
+            expect(await authRequest.photoExists()).toBe(false);
         });
 
         test('should get photo buffer', async () => {
@@ -373,7 +400,8 @@ describe('AuthRequest Model', () => {
                 status: 'pending',
                 admin_id: null,
                 submitted_at: '2023-01-01T00:00:00.000Z',
-                processed_at: null
+                processed_at: null,
+                rejection_reason: null
             });
         });
     });
@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const database = require('../src/database/connection');
+const LocalBackend = require('../src/storage/localBackend');
+const { PhotoStorage } = require('../src/storage/photoStorage');
+const { TarWriter, readArchive } = require('../src/storage/tarArchive');
+const BackupService = require('../src/components/BackupService');
+const BackupManager = require('../src/components/BackupManager');
+
+const KEEP = { daily: 7, weekly: 4, monthly: 6 };
+
+/**
+ * Отдельное подключение к базе в памяти
+ */
+const createDatabase = async () => {
+    const db = new database.constructor();
+    db.dbPath = ':memory:';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await db.connect();
+    console.log.mockRestore();
+    await db.run('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT NOT NULL)');
+    return db;
+};
+
+const readEntries = async (archivePath) => {
+    const entries = {};
+    for await (const entry of readArchive(archivePath)) {
+        entries[entry.name] = entry.buffer;
+    }
+    return entries;
+};
+
+describe('tarArchive', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tar-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('должен записывать и читать файлы, включая длинные имена и пустые файлы', async () => {
+        const archivePath = path.join(dir, 'test.tar.gz');
+        const longName = `photos/${'a'.repeat(60)}/${'b'.repeat(70)}.jpg`;
+
+        const writer = new TarWriter(archivePath);
+        await writer.add('first.txt', Buffer.from('hello'));
+        await writer.add(longName, Buffer.alloc(1500, 7));
+        await writer.add('empty', Buffer.alloc(0));
+        await writer.finish();
+
+        const entries = await readEntries(archivePath);
+        expect(Object.keys(entries)).toEqual(['first.txt', longName, 'empty']);
+        expect(entries['first.txt'].toString()).toBe('hello');
+        expect(entries[longName].equals(Buffer.alloc(1500, 7))).toBe(true);
+        expect(entries.empty).toHaveLength(0);
+    });
+
+    test('должен отклонять поврежденный архив', async () => {
+        const archivePath = path.join(dir, 'broken.tar.gz');
+        fs.writeFileSync(archivePath, 'not a gzip archive');
+
+        await expect(readEntries(archivePath)).rejects.toThrow();
+    });
+});
+
+describe('BackupService', () => {
+    let db;
+    let dir;
+    let backend;
+    let service;
+
+    beforeEach(async () => {
+        db = await createDatabase();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-test-'));
+        backend = new LocalBackend({ rootDir: path.join(dir, 'photos') });
+        service = new BackupService(db, new PhotoStorage(backend), {
+            directory: path.join(dir, 'backups'),
+            includePhotos: true,
+            keep: KEEP
+        });
+
+        await db.run('INSERT INTO items (name) VALUES (?)', ['wheel']);
+        await backend.put('garage_requests/one.jpg', Buffer.from('photo one'));
+        await backend.put('auth_requests/two.jpg', Buffer.from('photo two'));
+    });
+
+    afterEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await db.close();
+        console.log.mockRestore();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const names = async () => (await db.all('SELECT name FROM items ORDER BY id')).map(row => row.name);
+
+    test('должен упаковывать снимок базы, фото и манифест в архив', async () => {
+        const backup = await service.create({ now: new Date('2024-03-05T03:00:00Z') });
+
+        expect(backup.file).toBe('backup-20240305-030000.tar.gz');
+        expect(backup.photos).toBe(2);
+
+        const entries = await readEntries(backup.path);
+        expect(Object.keys(entries).sort()).toEqual([
+            'database.sqlite',
+            'manifest.json',
+            'photos/auth_requests/two.jpg',
+            'photos/garage_requests/one.jpg'
+        ]);
+
+        const manifest = JSON.parse(entries['manifest.json']);
+        expect(manifest.files.find(file => file.name === 'photos/garage_requests/one.jpg').sha256).toMatch(/^[0-9a-f]{64}$/);
+
+        expect(await service.list()).toEqual([expect.objectContaining({ file: backup.file, size: backup.size })]);
+        expect(await service.verify(backup.file)).toMatchObject({ files: 3, photos: 2 });
+    });
+
+    test('должен восстанавливать базу и недостающие фото', async () => {
+        const backup = await service.create({ now: new Date('2024-03-05T03:00:00Z') });
+
+        await db.run('DELETE FROM items');
+        await db.run('INSERT INTO items (name) VALUES (?)', ['changed']);
+        await backend.remove('garage_requests/one.jpg');
+
+        const result = await service.restore(backup.file);
+
+        expect(result.photos).toBe(1);
+        expect(await names()).toEqual(['wheel']);
+        expect((await backend.get('garage_requests/one.jpg')).toString()).toBe('photo one');
+    });
+
+    test('должен отказываться восстанавливать архив с неверной контрольной суммой', async () => {
+        const backup = await service.create({ now: new Date('2024-03-05T03:00:00Z') });
+        const entries = await readEntries(backup.path);
+
+        // Пересобираем архив с подмененным фото, манифест остается прежним
+        const tamperedPath = path.join(dir, 'tampered.tar.gz');
+        const writer = new TarWriter(tamperedPath);
+        for (const [name, buffer] of Object.entries(entries)) {
+            await writer.add(name, name === 'photos/garage_requests/one.jpg' ? Buffer.from('other') : buffer);
+        }
+        await writer.finish();
+
+        await db.run('INSERT INTO items (name) VALUES (?)', ['after backup']);
+
+        await expect(service.verify(tamperedPath)).rejects.toThrow('контрольная сумма не совпадает: photos/garage_requests/one.jpg');
+        await expect(service.restore(tamperedPath)).rejects.toThrow('Ошибка восстановления из резервной копии');
+        expect(await names()).toEqual(['wheel', 'after backup']);
+    });
+
+    test('должен отклонять архив с поврежденной базой', async () => {
+        const corrupted = Buffer.alloc(8192, 1);
+        const writer = new TarWriter(path.join(dir, 'corrupted.tar.gz'));
+        await writer.add('database.sqlite', corrupted);
+        await writer.add('manifest.json', Buffer.from(JSON.stringify({
+            format: 1,
+            createdAt: new Date().toISOString(),
+            database: 'database.sqlite',
+            files: [{ name: 'database.sqlite', size: corrupted.length, sha256: crypto.createHash('sha256').update(corrupted).digest('hex') }]
+        })));
+        await writer.finish();
+
+        await expect(service.verify(path.join(dir, 'corrupted.tar.gz'))).rejects.toThrow('Ошибка проверки резервной копии');
+    });
+
+    test('должен пропускать фото, если они отключены', async () => {
+        const backup = await service.create({ includePhotos: false });
+
+        expect(backup.photos).toBe(0);
+        expect(Object.keys(await readEntries(backup.path)).sort()).toEqual(['database.sqlite', 'manifest.json']);
+    });
+
+    test('должен удалять копии вне ротации', async () => {
+        const backups = path.join(dir, 'backups');
+        fs.mkdirSync(backups);
+        for (const day of ['01', '02', '03', '04']) {
+            fs.writeFileSync(path.join(backups, `backup-202403${day}-030000.tar.gz`), '');
+        }
+        fs.writeFileSync(path.join(backups, 'notes.txt'), '');
+        service.keep = { daily: 2, weekly: 0, monthly: 0 };
+
+        expect(await service.rotate()).toBe(2);
+        expect(fs.readdirSync(backups).sort()).toEqual([
+            'backup-20240303-030000.tar.gz',
+            'backup-20240304-030000.tar.gz',
+            'notes.txt'
+        ]);
+    });
+
+    describe('selectToKeep', () => {
+        test('должен оставлять новейшую копию каждого дня, недели и месяца', () => {
+            // Ежедневные копии с 1 января по 31 марта 2024 года, новые первыми
+            const backups = [];
+            for (let day = 90; day >= 0; day--) {
+                const createdAt = new Date(Date.UTC(2024, 0, 1 + day, 3));
+                backups.push({ file: BackupService.buildFileName(createdAt), createdAt });
+            }
+
+            const kept = [...BackupService.selectToKeep(backups, { daily: 3, weekly: 2, monthly: 3 })].sort();
+
+            expect(kept).toEqual([
+                'backup-20240131-030000.tar.gz',
+                'backup-20240229-030000.tar.gz',
+                'backup-20240324-030000.tar.gz',
+                'backup-20240329-030000.tar.gz',
+                'backup-20240330-030000.tar.gz',
+                'backup-20240331-030000.tar.gz'
+            ]);
+        });
+    });
+});
+
+describe('BackupManager', () => {
+    const createBot = () => ({
+        answerCallbackQuery: jest.fn().mockResolvedValue(true),
+        sendMessage: jest.fn().mockResolvedValue({}),
+        sendDocument: jest.fn().mockResolvedValue({})
+    });
+
+    const callbackQuery = { id: 'cb', from: { id: 1 }, message: { chat: { id: 10 }, message_id: 5 } };
+
+    test('должен присылать последнюю копию документом', async () => {
+        const bot = createBot();
+        const backup = { file: 'backup-20240305-030000.tar.gz', path: '/backups/backup-20240305-030000.tar.gz', size: 2048, createdAt: new Date() };
+        const manager = new BackupManager(bot, { latest: jest.fn().mockResolvedValue(backup) }, { maxDocumentBytes: 4096 });
+
+        await manager.handleSendLatest(callbackQuery);
+
+        expect(bot.sendDocument).toHaveBeenCalledWith(10, backup.path, expect.objectContaining({ caption: expect.stringContaining('2 КБ') }), {
+            filename: backup.file,
+            contentType: 'application/gzip'
+        });
+    });
+
+    test('должен сообщать путь вместо отправки слишком большого файла', async () => {
+        const bot = createBot();
+        const backup = { file: 'big.tar.gz', path: '/backups/big.tar.gz', size: 8192, createdAt: new Date() };
+        const manager = new BackupManager(bot, { latest: jest.fn().mockResolvedValue(backup) }, { maxDocumentBytes: 4096 });
+
+        await manager.handleSendLatest(callbackQuery);
+
+        expect(bot.sendDocument).not.toHaveBeenCalled();
+        expect(bot.sendMessage).toHaveBeenCalledWith(10, expect.stringContaining('/backups/big.tar.gz'));
+    });
+
+    test('должен предупреждать, когда копий еще нет', async () => {
+        const bot = createBot();
+        const manager = new BackupManager(bot, { latest: jest.fn().mockResolvedValue(null) }, { maxDocumentBytes: 4096 });
+
+        await manager.handleSendLatest(callbackQuery);
+
+        expect(bot.answerCallbackQuery).toHaveBeenCalledWith('cb', expect.objectContaining({ show_alert: true }));
+        expect(bot.sendDocument).not.toHaveBeenCalled();
+    });
+});
\ No newline at end of file
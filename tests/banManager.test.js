@@ -0,0 +1,259 @@
+const BanManager = require('../src/components/BanManager');
+const RoleManager = require('../src/components/RoleManager');
+const UserBan = require('../src/database/models/userBan');
+const UserRole = require('../src/database/models/userRole');
+const User = require('../src/database/models/user');
+const CarReservation = require('../src/database/models/carReservation');
+
+// Mock модулей
+jest.mock('../src/database/models/userRole');
+jest.mock('../src/database/models/user');
+
+const LEADER_ID = 111111111;
+const DEPUTY_ID = 222222222;
+const MODERATOR_ID = 333333333;
+const MEMBER_ID = 444444444;
+
+const createUser = (telegramId) => ({
+    id: telegramId % 1000,
+    telegram_id: telegramId,
+    isAuthorized: () => true,
+    getDisplayName: () => `@user${telegramId}`
+});
+
+const createMessage = (text, fromId = LEADER_ID, extra = {}) => ({
+    text,
+    from: { id: fromId },
+    chat: { id: fromId },
+    ...extra
+});
+
+describe('BanManager', () => {
+    let banManager;
+    let mockBot;
+    let processUpdate;
+    let auditLogger;
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+
+        processUpdate = jest.fn();
+        mockBot = {
+            sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }),
+            processUpdate
+        };
+        auditLogger = { logModerationAction: jest.fn().mockResolvedValue({}) };
+
+        UserRole.findAll.mockResolvedValue([
+            { telegram_id: DEPUTY_ID, role: 'deputy' },
+            { telegram_id: MODERATOR_ID, role: 'moderator' }
+        ]);
+        User.findByTelegramId.mockImplementation(async (telegramId) => createUser(telegramId));
+
+        jest.spyOn(UserBan, 'findActive').mockResolvedValue([]);
+        jest.spyOn(UserBan, 'create').mockImplementation(async (data) => new UserBan({ id: 1, ...data }));
+        jest.spyOn(UserBan, 'revoke').mockResolvedValue(true);
+        jest.spyOn(CarReservation, 'findActiveByTelegramId').mockResolvedValue([]);
+        jest.spyOn(UserBan.prototype, 'markNotified').mockImplementation(function() {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(console, 'log').mockImplementation();
+
+        const roleManager = new RoleManager(mockBot, LEADER_ID);
+        await roleManager.load();
+
+        banManager = new BanManager(mockBot, roleManager, auditLogger);
+        await banManager.load();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('parseDuration', () => {
+        test('должен разбирать срок блокировки', () => {
+            expect(BanManager.parseDuration('30m')).toBe(30 * 60 * 1000);
+            expect(BanManager.parseDuration('12h')).toBe(12 * 60 * 60 * 1000);
+            expect(BanManager.parseDuration('7d')).toBe(7 * 24 * 60 * 60 * 1000);
+            expect(BanManager.parseDuration('2W')).toBe(2 * 7 * 24 * 60 * 60 * 1000);
+        });
+
+        test('должен возвращать null для не-срока', () => {
+            expect(BanManager.parseDuration('спам')).toBeNull();
+            expect(BanManager.parseDuration('0d')).toBeNull();
+            expect(BanManager.parseDuration(undefined)).toBeNull();
+        });
+    });
+
+    describe('ban', () => {
+        test('должен создавать блокировку со сроком и писать аудит', async () => {
+            const target = { telegramId: MEMBER_ID, user: createUser(MEMBER_ID) };
+
+            const ban = await banManager.ban(target, LEADER_ID, { reason: 'Спам', duration: 60 * 60 * 1000 });
+
+            expect(UserBan.create).toHaveBeenCalledWith(expect.objectContaining({
+                telegram_id: MEMBER_ID,
+                user_id: MEMBER_ID % 1000,
+                reason: 'Спам',
+                banned_by: LEADER_ID % 1000
+            }));
+            expect(ban.isPermanent()).toBe(false);
+            expect(banManager.isBanned(MEMBER_ID)).toBe(true);
+            expect(auditLogger.logModerationAction).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'user_ban',
+                targetTelegramId: MEMBER_ID,
+                reason: 'Спам'
+            }));
+        });
+
+        test('должен закрывать брони автомобилей заблокированного', async () => {
+            const reservation = { close: jest.fn().mockResolvedValue() };
+            CarReservation.findActiveByTelegramId.mockResolvedValue([reservation]);
+
+            await banManager.ban({ telegramId: MEMBER_ID, user: createUser(MEMBER_ID) }, LEADER_ID);
+
+            expect(CarReservation.findActiveByTelegramId).toHaveBeenCalledWith(MEMBER_ID);
+            expect(reservation.close).toHaveBeenCalled();
+        });
+
+        test('должен сохранять блокировку и аудит, если брони закрыть не удалось', async () => {
+            const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+            CarReservation.findActiveByTelegramId.mockRejectedValue(new Error('SQLITE_BUSY'));
+
+            const ban = await banManager.ban({ telegramId: MEMBER_ID, user: createUser(MEMBER_ID) }, LEADER_ID);
+
+            expect(ban.telegram_id).toBe(MEMBER_ID);
+            expect(banManager.isBanned(MEMBER_ID)).toBe(true);
+            expect(auditLogger.logModerationAction).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'user_ban',
+                targetTelegramId: MEMBER_ID
+            }));
+            expect(consoleSpy).toHaveBeenCalled();
+        });
+
+        test('должен запрещать блокировку без права canBlockUsers', async () => {
+            await expect(banManager.ban({ telegramId: MEMBER_ID }, MODERATOR_ID))
+                .rejects.toThrow('нет прав');
+        });
+
+        test('должен запрещать блокировку себя и старших по рангу', async () => {
+            await expect(banManager.ban({ telegramId: DEPUTY_ID }, DEPUTY_ID))
+                .rejects.toThrow('самого себя');
+            await expect(banManager.ban({ telegramId: LEADER_ID }, DEPUTY_ID))
+                .rejects.toThrow('более высоким рангом');
+        });
+
+        test('должен запрещать повторную блокировку', async () => {
+            await banManager.ban({ telegramId: MEMBER_ID }, LEADER_ID);
+
+            await expect(banManager.ban({ telegramId: MEMBER_ID }, LEADER_ID))
+                .rejects.toThrow('уже заблокирован');
+        });
+    });
+
+    describe('unban', () => {
+        test('должен снимать блокировку и писать аудит', async () => {
+            await banManager.ban({ telegramId: MEMBER_ID }, LEADER_ID);
+
+            const revoked = await banManager.unban(MEMBER_ID, LEADER_ID);
+
+            expect(revoked).toBe(true);
+            expect(UserBan.revoke).toHaveBeenCalledWith(MEMBER_ID, LEADER_ID % 1000);
+            expect(banManager.isBanned(MEMBER_ID)).toBe(false);
+            expect(auditLogger.logModerationAction).toHaveBeenLastCalledWith(expect.objectContaining({
+                action: 'user_unban',
+                targetTelegramId: MEMBER_ID
+            }));
+        });
+    });
+
+    describe('isBanned', () => {
+        test('должен игнорировать истекшие блокировки', async () => {
+            UserBan.findActive.mockResolvedValue([
+                new UserBan({ id: 2, telegram_id: MEMBER_ID, expires_at: new Date(Date.now() - 1000).toISOString() })
+            ]);
+            await banManager.load();
+
+            expect(banManager.isBanned(MEMBER_ID)).toBe(false);
+            expect(banManager.bans.size).toBe(0);
+        });
+    });
+
+    describe('attach', () => {
+        beforeEach(async () => {
+            banManager.attach();
+            await banManager.ban({ telegramId: MEMBER_ID }, LEADER_ID, { reason: 'Флуд' });
+        });
+
+        test('должен пропускать обновления незаблокированных пользователей', () => {
+            const update = { update_id: 1, message: createMessage('/start', DEPUTY_ID) };
+
+            mockBot.processUpdate(update);
+
+            expect(processUpdate).toHaveBeenCalledWith(update);
+        });
+
+        test('должен отбрасывать обновления заблокированного и уведомлять один раз', async () => {
+            mockBot.processUpdate({ update_id: 1, message: createMessage('привет', MEMBER_ID) });
+            mockBot.processUpdate({
+                update_id: 2,
+                callback_query: { id: 'q', from: { id: MEMBER_ID }, data: 'garage_page_1' }
+            });
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(processUpdate).not.toHaveBeenCalled();
+            expect(mockBot.sendMessage).toHaveBeenCalledTimes(1);
+            expect(mockBot.sendMessage).toHaveBeenCalledWith(MEMBER_ID, expect.stringContaining('Причина: Флуд'));
+            expect(UserBan.prototype.markNotified).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('handleBanCommand', () => {
+        test('должен разбирать цель, срок и причину', async () => {
+            await banManager.handleBanCommand(createMessage(`/ban ${MEMBER_ID} 7d Нарушение правил`));
+
+            expect(UserBan.create).toHaveBeenCalledWith(expect.objectContaining({
+                telegram_id: MEMBER_ID,
+                reason: 'Нарушение правил'
+            }));
+            expect(mockBot.sendMessage).toHaveBeenCalledWith(LEADER_ID, expect.stringContaining('заблокирован до'));
+        });
+
+        test('должен брать цель из ответа на сообщение', async () => {
+            const msg = createMessage('/ban Спам', LEADER_ID, {
+                reply_to_message: { from: { id: MEMBER_ID } }
+            });
+
+            await banManager.handleBanCommand(msg);
+
+            expect(UserBan.create).toHaveBeenCalledWith(expect.objectContaining({
+                telegram_id: MEMBER_ID,
+                reason: 'Спам',
+                expires_at: null
+            }));
+            expect(mockBot.sendMessage).toHaveBeenCalledWith(LEADER_ID, expect.stringContaining('бессрочно'));
+        });
+
+        test('должен подсказывать использование без цели', async () => {
+            await banManager.handleBanCommand(createMessage('/ban'));
+
+            expect(UserBan.create).not.toHaveBeenCalled();
+            expect(mockBot.sendMessage).toHaveBeenCalledWith(LEADER_ID, expect.stringContaining('Использование: /ban'));
+        });
+    });
+
+    describe('handleBansCommand', () => {
+        test('должен выводить список активных блокировок', async () => {
+            UserBan.findActive.mockResolvedValue([
+                new UserBan({ id: 1, telegram_id: MEMBER_ID, reason: 'Спам' })
+            ]);
+
+            await banManager.handleBansCommand(createMessage('/bans'));
+
+            const text = mockBot.sendMessage.mock.calls[0][1];
+            expect(text).toContain('ЗАБЛОКИРОВАННЫЕ (1)');
+            expect(text).toContain(`ID ${MEMBER_ID} (${MEMBER_ID}) - бессрочно`);
+            expect(text).toContain('📝 Спам');
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,231 @@
+const database = require('../src/database/connection');
+const { Migrator } = require('../src/database/migrator');
+const User = require('../src/database/models/user');
+const Broadcast = require('../src/database/models/broadcast');
+const BroadcastDelivery = require('../src/database/models/broadcastDelivery');
+const BroadcastService = require('../src/components/BroadcastService');
+const BroadcastManager = require('../src/components/BroadcastManager');
+const SessionStore = require('../src/components/SessionStore');
+
+/**
+ * Ошибка Telegram в формате node-telegram-bot-api
+ */
+const telegramError = (errorCode, description, parameters) => {
+    const error = new Error(`ETELEGRAM: ${errorCode} ${description}`);
+    error.code = 'ETELEGRAM';
+    error.response = { body: { ok: false, error_code: errorCode, description, parameters } };
+    return error;
+};
+
+describe('Рассылки', () => {
+    let bot;
+    let service;
+    let sleep;
+    let authorId;
+
+    // Лидер 100, заместитель 101, участник 102, гость 103
+    const roles = { 100: 'leader', 101: 'deputy' };
+    const roleManager = {
+        getRole: (telegramId, user) => roles[telegramId] || (user && user.isAuthorized() ? 'member' : 'guest')
+    };
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        database.dbPath = ':memory:';
+        await database.connect();
+        await new Migrator(database, { log: () => {} }).migrate();
+
+        authorId = (await database.run('INSERT INTO users (telegram_id, first_name, authorized) VALUES (100, \'Leader\', 1)')).id;
+        await database.run('INSERT INTO users (telegram_id, first_name, authorized) VALUES (101, \'Deputy\', 1)');
+        await database.run('INSERT INTO users (telegram_id, first_name, authorized) VALUES (102, \'Member\', 1)');
+        await database.run('INSERT INTO users (telegram_id, first_name, authorized) VALUES (103, \'Guest\', 0)');
+        console.log.mockRestore();
+    });
+
+    afterAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await SessionStore.flushAll();
+        await database.close();
+        console.log.mockRestore();
+    });
+
+    beforeEach(async () => {
+        await database.run('DELETE FROM broadcasts');
+        bot = {
+            sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }),
+            editMessageText: jest.fn().mockResolvedValue(true),
+            answerCallbackQuery: jest.fn().mockResolvedValue(true)
+        };
+        sleep = jest.fn().mockResolvedValue();
+        service = new BroadcastService(bot, roleManager, { messagesPerSecond: 1000, maxAttempts: 2, sleep });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const recipientsOf = async (audience) => (await service.resolveRecipients(audience)).map(user => user.telegram_id).sort();
+
+    test('должен выбирать получателей по аудитории', async () => {
+        expect(await recipientsOf('all')).toEqual([100, 101, 102, 103]);
+        expect(await recipientsOf('authorized')).toEqual([100, 101, 102]);
+        expect(await recipientsOf('unauthorized')).toEqual([103]);
+        expect(await recipientsOf('role:deputy')).toEqual([101]);
+        expect(await recipientsOf('role:member')).toEqual([102]);
+        await expect(service.resolveRecipients('role:admin')).rejects.toThrow('Неизвестная аудитория');
+    });
+
+    test('должен доставлять рассылку и записывать статус каждого получателя', async () => {
+        bot.sendMessage.mockImplementation(async (chatId) => {
+            if (chatId === '102') {
+                throw telegramError(403, 'Forbidden: bot was blocked by the user');
+            }
+            if (chatId === '103') {
+                throw telegramError(400, 'Bad Request: message is too long');
+            }
+            return { message_id: 1 };
+        });
+
+        const broadcast = await service.schedule({ authorId, text: 'Сбор в 20:00', audience: 'all' });
+        const counts = await service.deliver(broadcast);
+
+        expect(counts).toEqual({ total: 4, pending: 0, sent: 2, failed: 1, blocked: 1 });
+        expect(bot.sendMessage).toHaveBeenCalledWith('101', '📢 Объявление\n\nСбор в 20:00');
+        // Ошибка 400 повторяется до maxAttempts, заблокировавшему бота больше не пишем
+        expect(bot.sendMessage.mock.calls.filter(call => call[0] === '103')).toHaveLength(2);
+        expect(bot.sendMessage.mock.calls.filter(call => call[0] === '102')).toHaveLength(1);
+
+        expect((await Broadcast.findById(broadcast.id)).status).toBe('sent');
+        // Итог автору уходит уведомлением через очередь
+        await service.outbound.idle();
+        expect(bot.sendMessage).toHaveBeenLastCalledWith(100, expect.stringContaining('✅ Доставлено: 2 из 4'));
+    });
+
+    test('должен ждать retry_after при ответе 429 и повторять отправку', async () => {
+        bot.sendMessage
+            .mockRejectedValueOnce(telegramError(429, 'Too Many Requests: retry after 7', { retry_after: 7 }))
+            .mockResolvedValue({ message_id: 1 });
+
+        const broadcast = await service.schedule({ text: 'Тест', audience: 'role:deputy' });
+        const counts = await service.deliver(broadcast);
+
+        expect(sleep).toHaveBeenCalledWith(7000);
+        expect(counts.sent).toBe(1);
+        expect(bot.sendMessage).toHaveBeenCalledTimes(2);
+    });
+
+    test('должен соблюдать паузу между сообщениями', async () => {
+        const throttled = new BroadcastService(bot, roleManager, { messagesPerSecond: 1, sleep });
+        jest.spyOn(Date, 'now').mockReturnValue(1000000);
+
+        await throttled.deliver(await throttled.schedule({ text: 'Тест', audience: 'authorized' }));
+
+        // Время стоит на месте, поэтому перед каждым сообщением, кроме первого, ждем полную секунду
+        expect(sleep.mock.calls).toEqual([[1000], [1000]]);
+    });
+
+    test('должен продолжать прерванную рассылку с неотправленных получателей', async () => {
+        const broadcast = await service.schedule({ text: 'Тест', audience: 'authorized' });
+        await broadcast.markSending();
+        await BroadcastDelivery.addRecipients(broadcast.id, [100, 101, 102]);
+        await (await BroadcastDelivery.findPending(broadcast.id, 1))[0].record('sent');
+
+        expect(await service.dispatch()).toBe(1);
+
+        expect(bot.sendMessage.mock.calls.map(call => call[0])).toEqual(['101', '102']);
+        expect(await BroadcastDelivery.countByStatus(broadcast.id)).toMatchObject({ total: 3, sent: 3 });
+    });
+
+    test('должен отправлять только рассылки, время которых пришло', async () => {
+        const due = await service.schedule({ text: 'Сейчас', audience: 'role:leader', scheduledAt: new Date(Date.now() - 1000) });
+        const later = await service.schedule({ text: 'Потом', audience: 'role:leader', scheduledAt: new Date(Date.now() + 3600 * 1000) });
+
+        await service.dispatch();
+
+        expect((await Broadcast.findById(due.id)).status).toBe('sent');
+        expect((await Broadcast.findById(later.id)).status).toBe('scheduled');
+        expect(await later.cancel()).toBe(true);
+        expect(await due.cancel()).toBe(false);
+    });
+
+    describe('BroadcastManager', () => {
+        let manager;
+
+        const callback = (data, from = 100) => ({ id: 'cb', data, from: { id: from }, message: { chat: { id: from }, message_id: 9 } });
+        const message = (text, from = 100) => ({ text, from: { id: from }, chat: { id: from } });
+
+        beforeEach(() => {
+            manager = new BroadcastManager(bot, service, { maxTextLength: 50, newsPageSize: 2 });
+            jest.spyOn(service, 'dispatch').mockResolvedValue(0);
+        });
+
+        test('должен показывать предпросмотр и создавать рассылку после подтверждения', async () => {
+            await manager.handleAudienceCallback(callback('bc_audience_authorized'), 'authorized');
+            await manager.handleTextInput(message('Сбор в 20:00'));
+
+            expect(bot.sendMessage).toHaveBeenCalledWith(100, '📢 Объявление\n\nСбор в 20:00');
+            expect(bot.sendMessage).toHaveBeenLastCalledWith(100, expect.stringContaining('Получателей сейчас: 3'), expect.any(Object));
+
+            await manager.handleSendCallback(callback('bc_send'));
+
+            const [broadcast] = await Broadcast.findRecent(1);
+            expect(broadcast).toMatchObject({ text: 'Сбор в 20:00', audience: 'authorized', status: 'scheduled', author_id: authorId });
+            expect(service.dispatch).toHaveBeenCalled();
+            expect(manager.getSession(100)).toBeNull();
+        });
+
+        test('должен отклонять слишком длинный текст и планировать рассылку на указанное время', async () => {
+            await manager.handleAudienceCallback(callback('bc_audience_all'), 'all');
+            await manager.handleTextInput(message('x'.repeat(51)));
+            expect(bot.sendMessage).toHaveBeenLastCalledWith(100, expect.stringContaining('слишком длинное'));
+
+            await manager.handleTextInput(message('Короткий текст'));
+            await manager.handleScheduleCallback(callback('bc_schedule'));
+            await manager.handleTextInput(message('31.12.2099 18:30'));
+
+            const [broadcast] = await Broadcast.findRecent(1);
+            expect(broadcast.status).toBe('scheduled');
+            expect(new Date(broadcast.scheduled_at)).toEqual(new Date(2099, 11, 31, 18, 30));
+            expect(service.dispatch).not.toHaveBeenCalled();
+        });
+
+        test('должен показывать в новостях только рассылки для аудитории читателя', async () => {
+            for (const [text, audience] of [['Всем', 'all'], ['Гостям', 'unauthorized'], ['Замам', 'role:deputy'], ['Участникам', 'authorized']]) {
+                await service.deliver(await service.schedule({ text, audience }));
+            }
+
+            const guest = await User.findByTelegramId(103);
+            const guestNews = await manager.buildNewsPage(103, guest);
+            expect(guestNews.text).toContain('Гостям');
+            expect(guestNews.text).toContain('Всем');
+            expect(guestNews.text).not.toContain('Участникам');
+
+            const deputy = await User.findByTelegramId(101);
+            const firstPage = await manager.buildNewsPage(101, deputy);
+            expect(firstPage.text).toContain('(1/2)');
+            expect(firstPage.keyboard[0]).toEqual([{ text: 'Старше ▶️', callback_data: 'news_page_1' }]);
+
+            const secondPage = await manager.buildNewsPage(101, deputy, 1);
+            expect(secondPage.text).toContain('Всем');
+            expect(secondPage.text).not.toContain('Гостям');
+        });
+    });
+
+    describe('parseScheduleTime', () => {
+        const now = new Date(2024, 2, 5, 12, 0);
+
+        test('должен понимать время сегодня, завтра и полную дату', () => {
+            expect(BroadcastManager.parseScheduleTime('18:30', now)).toEqual(new Date(2024, 2, 5, 18, 30));
+            expect(BroadcastManager.parseScheduleTime('9:15', now)).toEqual(new Date(2024, 2, 6, 9, 15));
+            expect(BroadcastManager.parseScheduleTime('08.03 10:00', now)).toEqual(new Date(2024, 2, 8, 10, 0));
+            expect(BroadcastManager.parseScheduleTime('01.01.2025 00:00', now)).toEqual(new Date(2025, 0, 1, 0, 0));
+        });
+
+        test('должен отклонять неверные значения', () => {
+            expect(BroadcastManager.parseScheduleTime('25:00', now)).toBeNull();
+            expect(BroadcastManager.parseScheduleTime('31.02 10:00', now)).toBeNull();
+            expect(BroadcastManager.parseScheduleTime('завтра', now)).toBeNull();
+        });
+    });
+});
\ No newline at end of file
@@ -99,15 +99,17 @@ describe('CarManager', () => {
         test('должен построить клавиатуру администратора', () => {
             const keyboard = carManager.buildAdminKeyboard(5);
 
-            expect(keyboard).toHaveLength(3);
+            expect(keyboard).toHaveLength(4);
             expect(keyboard[0]).toHaveLength(2); // Статистика и Управление
             expect(keyboard[1]).toHaveLength(2); // Добавить авто и Заявки
-            expect(keyboard[2]).toHaveLength(1); // Главное меню
+            expect(keyboard[2]).toHaveLength(1); // Вознаграждения
+            expect(keyboard[3]).toHaveLength(1); // Главное меню
 
             expect(keyboard[0][0].text).toBe('📊 Статистика');
             expect(keyboard[0][1].text).toBe('🔧 Управление');
             expect(keyboard[1][0].text).toBe('➕ Добавить авто');
             expect(keyboard[1][1].text).toBe('📋 Заявки (5)');
+            expect(keyboard[2][0].callback_data).toBe('admin_rewards');
         });
 
         test('должен показать заявки без числа, если их нет', () => {
@@ -0,0 +1,162 @@
+const CarReservation = require('../src/database/models/carReservation');
+const User = require('../src/database/models/user');
+const database = require('../src/database/connection');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Момент относительно текущего времени в ISO
+ */
+const hoursFromNow = (hours) => new Date(Date.now() + hours * HOUR_MS).toISOString();
+
+describe('CarReservation Model', () => {
+    let testUser;
+    let otherUser;
+
+    const reserve = (user, startHours, endHours) => CarReservation.create({
+        car_id: 1,
+        user_id: user.id,
+        telegram_id: user.telegram_id,
+        starts_at: hoursFromNow(startHours),
+        ends_at: hoursFromNow(endHours)
+    });
+
+    beforeAll(async () => {
+        await database.connect();
+
+        await database.run(`
+            CREATE TABLE IF NOT EXISTS users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                telegram_id INTEGER NOT NULL UNIQUE,
+                username TEXT,
+                first_name TEXT,
+                last_name TEXT,
+                language_code TEXT,
+                is_bot INTEGER DEFAULT 0,
+                authorized INTEGER DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await database.run(`
+            CREATE TABLE IF NOT EXISTS garage (
+                car_id INTEGER PRIMARY KEY,
+                car_name TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'Хорошее',
+                last_maintenance DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await database.run(`
+            CREATE TABLE IF NOT EXISTS car_reservations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                car_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                telegram_id TEXT NOT NULL,
+                starts_at DATETIME NOT NULL,
+                ends_at DATETIME NOT NULL,
+                status TEXT NOT NULL DEFAULT 'active',
+                returned_at DATETIME,
+                reminded_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (car_id) REFERENCES garage (car_id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users (id),
+                CHECK (status IN ('active', 'returned', 'cancelled')),
+                CHECK (ends_at > starts_at)
+            )
+        `);
+    });
+
+    beforeEach(async () => {
+        await database.run('DELETE FROM car_reservations');
+        await database.run('DELETE FROM users');
+        await database.run('DELETE FROM garage');
+
+        testUser = await User.create({ telegram_id: 123456789, username: 'driver', first_name: 'Driver', authorized: 1 });
+        otherUser = await User.create({ telegram_id: 987654321, username: 'other', first_name: 'Other', authorized: 1 });
+        await database.run('INSERT INTO garage (car_id, car_name, status) VALUES (1, \'TestCar\', \'Хорошее\')');
+    });
+
+    afterAll(async () => {
+        await database.run('DELETE FROM car_reservations');
+        await database.run('DELETE FROM users');
+        await database.run('DELETE FROM garage');
+        await database.close();
+    });
+
+    describe('create', () => {
+        test('должен создать активную бронь', async () => {
+            const reservation = await reserve(testUser, 0, 2);
+
+            expect(reservation).toBeInstanceOf(CarReservation);
+            expect(reservation.status).toBe('active');
+            expect(reservation.telegram_id).toBe(String(testUser.telegram_id));
+            expect(reservation.isStarted()).toBe(true);
+            expect(reservation.isOverdue()).toBe(false);
+        });
+
+        test('не должен бронировать пересекающийся интервал', async () => {
+            await reserve(testUser, 0, 2);
+
+            await expect(reserve(otherUser, 1, 3)).rejects.toThrow('автомобиль уже занят');
+            expect(await CarReservation.findConflicts(1, hoursFromNow(1), hoursFromNow(3))).toHaveLength(1);
+        });
+
+        test('должен разрешать бронь сразу после окончания предыдущей', async () => {
+            const first = await reserve(testUser, 1, 2);
+
+            const second = await CarReservation.create({
+                car_id: 1,
+                user_id: otherUser.id,
+                telegram_id: otherUser.telegram_id,
+                starts_at: first.ends_at,
+                ends_at: hoursFromNow(4)
+            });
+
+            expect(second.id).not.toBe(first.id);
+        });
+
+        test('просроченная бронь занимает автомобиль до возврата', async () => {
+            const overdue = await reserve(testUser, -3, -1);
+
+            await expect(reserve(otherUser, 0, 2)).rejects.toThrow('автомобиль уже занят');
+
+            await overdue.close();
+            await expect(reserve(otherUser, 0, 2)).resolves.toBeInstanceOf(CarReservation);
+        });
+    });
+
+    describe('close', () => {
+        test('должен возвращать начавшуюся и отменять будущую бронь', async () => {
+            const current = await reserve(testUser, 0, 1);
+            const future = await reserve(otherUser, 5, 6);
+
+            await current.close();
+            await future.close();
+
+            expect((await CarReservation.findById(current.id)).status).toBe('returned');
+            expect((await CarReservation.findById(future.id)).status).toBe('cancelled');
+            await expect(current.close()).rejects.toThrow('бронь уже завершена');
+        });
+    });
+
+    describe('queries', () => {
+        test('должен находить текущие, пользовательские и просроченные брони', async () => {
+            await reserve(otherUser, 5, 6);
+            const overdue = await reserve(testUser, -3, -1);
+
+            expect((await CarReservation.findCurrent()).map(item => item.id)).toEqual([overdue.id]);
+            expect(await CarReservation.findActive()).toHaveLength(2);
+            expect(await CarReservation.findActiveByTelegramId(otherUser.telegram_id)).toHaveLength(1);
+
+            const unreminded = await CarReservation.findOverdueUnreminded();
+            expect(unreminded.map(item => item.id)).toEqual([overdue.id]);
+
+            await unreminded[0].markReminded();
+            expect(await CarReservation.findOverdueUnreminded()).toHaveLength(0);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,126 @@
+const path = require('path');
+const DuplicatePhotoDetector = require('../src/components/DuplicatePhotoDetector');
+const PhotoHasher = require('../src/components/PhotoHasher');
+const PhotoFingerprint = require('../src/database/models/photoFingerprint');
+const GarageRequest = require('../src/database/models/garageRequest');
+const Garage = require('../src/database/models/garage');
+
+// Mock модулей
+jest.mock('../src/database/models/photoFingerprint');
+jest.mock('../src/database/models/garageRequest');
+jest.mock('../src/database/models/authRequest');
+jest.mock('../src/database/models/garage');
+
+const ORIGINAL_PHOTO = path.join(__dirname, '..', 'photos', 'garage_requests', '1756029937564_6677130873_car1.jpg');
+
+const createFingerprint = (data) => ({
+    id: 5,
+    source: 'garage',
+    request_id: 3,
+    telegram_id: '555555555',
+    car_id: 2,
+    file_path: ORIGINAL_PHOTO,
+    phash: 'ffff0000ffff0000',
+    created_at: '2025-10-18 12:00:00',
+    ...data
+});
+
+describe('DuplicatePhotoDetector', () => {
+    let detector;
+    let mockBot;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockBot = {
+            sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }),
+            sendPhoto: jest.fn().mockResolvedValue({ message_id: 2 }),
+            answerCallbackQuery: jest.fn().mockResolvedValue(true)
+        };
+
+        jest.spyOn(PhotoHasher, 'sha256').mockReturnValue('a'.repeat(64));
+        jest.spyOn(PhotoHasher, 'perceptualHash').mockReturnValue('ffff0000ffff0003');
+        PhotoFingerprint.findFirstBySha256.mockResolvedValue(null);
+        PhotoFingerprint.findWithPerceptualHash.mockResolvedValue([]);
+        PhotoFingerprint.create.mockResolvedValue({});
+        jest.spyOn(console, 'log').mockImplementation();
+        jest.spyOn(console, 'error').mockImplementation();
+
+        detector = new DuplicatePhotoDetector(mockBot, { maxDistance: 6 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('registerPhoto', () => {
+        const submission = { requestId: 9, telegramId: 444444444, carId: 1, photoPath: ORIGINAL_PHOTO };
+
+        test('должен находить точную копию и сохранять отпечаток новой заявки', async () => {
+            const original = createFingerprint();
+            PhotoFingerprint.findFirstBySha256.mockResolvedValue(original);
+
+            const duplicate = await detector.registerPhoto('garage', submission);
+
+            expect(duplicate).toEqual({ original, distance: 0, exact: true });
+            expect(PhotoFingerprint.create).toHaveBeenCalledWith({
+                source: 'garage',
+                request_id: 9,
+                telegram_id: 444444444,
+                car_id: 1,
+                file_path: ORIGINAL_PHOTO,
+                sha256: 'a'.repeat(64),
+                phash: 'ffff0000ffff0003'
+            });
+        });
+
+        test('должен выбирать ближайшее похожее фото в пределах порога', async () => {
+            PhotoFingerprint.findWithPerceptualHash.mockResolvedValue([
+                createFingerprint({ id: 1, phash: '0000ffff0000ffff' }),
+                createFingerprint({ id: 2, phash: 'ffff0000ffff000f' }),
+                createFingerprint({ id: 3, phash: 'ffff0000ffff0001' })
+            ]);
+
+            const duplicate = await detector.registerPhoto('auth', submission);
+
+            expect(duplicate.original.id).toBe(3);
+            expect(duplicate).toMatchObject({ distance: 1, exact: false });
+        });
+
+        test('не должен прерывать подачу заявки при ошибке', async () => {
+            const missing = { ...submission, photoPath: path.join(__dirname, 'missing.jpg') };
+
+            await expect(detector.registerPhoto('garage', missing)).resolves.toBeNull();
+            expect(PhotoFingerprint.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('formatWarning', () => {
+        test('должен описывать оригинал и степень совпадения', () => {
+            const original = createFingerprint();
+
+            expect(detector.formatWarning({ original, distance: 0, exact: true }))
+                .toBe('⚠️ Возможный дубликат: заявка гаража #3 от 555555555 (точная копия)');
+            expect(detector.formatWarning({ original: createFingerprint({ source: 'auth' }), distance: 4, exact: false }))
+                .toContain('заявка на вступление #3 от 555555555 (похожее фото, отличие 4 из 64)');
+            expect(detector.buildButton({ original })).toEqual({ text: '🔍 Оригинал #3', callback_data: 'dup_photo_5' });
+        });
+    });
+
+    describe('handleShowOriginal', () => {
+        test('должен отправлять фото оригинала с описанием заявки', async () => {
+            PhotoFingerprint.findById.mockResolvedValue(createFingerprint());
+            GarageRequest.findById.mockResolvedValue({ getFormattedStatus: () => '✅ Принято' });
+            Garage.findById.mockResolvedValue({ car_name: 'Infernus' });
+
+            await detector.handleShowOriginal({ id: 'cb1', message: { chat: { id: 42 } } }, 5);
+
+            expect(mockBot.sendPhoto).toHaveBeenCalledWith(42, ORIGINAL_PHOTO, {
+                caption: expect.stringContaining('🔍 ОРИГИНАЛ: заявка гаража #3')
+            });
+            const { caption } = mockBot.sendPhoto.mock.calls[0][2];
+            expect(caption).toContain('🚗 Автомобиль: Infernus');
+            expect(caption).toContain('📊 Статус: ✅ Принято');
+        });
+    });
+});
\ No newline at end of file
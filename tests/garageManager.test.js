@@ -2,6 +2,8 @@ const GarageManager = require('../src/components/GarageManager');
 const Garage = require('../src/database/models/garage');
 const GarageRequest = require('../src/database/models/garageRequest');
 const User = require('../src/database/models/user');
+const RewardRule = require('../src/database/models/rewardRule');
+const CarReservation = require('../src/database/models/carReservation');
 
 // Mock бота
 const mockBot = {
@@ -17,7 +19,9 @@ const mockBot = {
 jest.mock('../src/database/models/garage');
 jest.mock('../src/database/models/garageRequest');
 jest.mock('../src/database/models/user');
-jest.mock('fs');
+jest.mock('../src/database/models/rewardRule');
+jest.mock('../src/database/models/carReservation');
+jest.mock('../src/database/connection');
 
 describe('GarageManager', () => {
     let garageManager;
@@ -26,6 +30,8 @@ describe('GarageManager', () => {
     beforeEach(() => {
         garageManager = new GarageManager(mockBot, ADMIN_ID);
         jest.clearAllMocks();
+        RewardRule.findActive.mockResolvedValue([]);
+        CarReservation.findCurrent.mockResolvedValue([]);
     });
 
     describe('constructor', () => {
@@ -123,7 +129,7 @@ describe('GarageManager', () => {
 
             const keyboard = garageManager.buildGarageKeyboard(cars, pagination);
 
-            expect(keyboard).toHaveLength(3); // 2 ряда с машинами + навигация + главное меню
+            expect(keyboard).toHaveLength(4); // 2 ряда с машинами + навигация + главное меню
             expect(keyboard[0]).toHaveLength(2); // Первый ряд: 2 машины
             expect(keyboard[1]).toHaveLength(1); // Второй ряд: 1 машина
             expect(keyboard[2]).toHaveLength(1); // Навигация: только "Далее"
@@ -133,6 +139,20 @@ describe('GarageManager', () => {
             expect(keyboard[0][1].callback_data).toBe('select_car_2');
             expect(keyboard[1][0].callback_data).toBe('select_car_3');
         });
+
+        test('должен помечать автомобили на руках', () => {
+            const cars = [
+                { car_id: 1, car_name: 'Infernus' },
+                { car_id: 2, car_name: 'Cheetah' }
+            ];
+            const pagination = { currentPage: 0, hasNext: false, hasPrev: false };
+
+            const keyboard = garageManager.buildGarageKeyboard(cars, pagination, new Set([2]));
+
+            expect(keyboard[0][0].text).toBe('🚗 Infernus');
+            expect(keyboard[0][1].text).toBe('🔒 Cheetah');
+            expect(keyboard[0][1].callback_data).toBe('select_car_2');
+        });
     });
 
     describe('handleCarSelection', () => {
@@ -164,6 +184,39 @@ describe('GarageManager', () => {
             );
         });
 
+        test('должен показать и запомнить вознаграждение по правилам', async () => {
+            const callbackQuery = {
+                message: { chat: { id: 12345 } },
+                from: { id: 67890 },
+                data: 'select_car_1',
+                id: 'callback123'
+            };
+
+            GarageRequest.countRecentByUser.mockResolvedValue(0);
+            Garage.findById.mockResolvedValue({
+                car_id: 1,
+                car_name: 'Infernus',
+                status: 'Плохое',
+                last_maintenance: new Date().toISOString(),
+                getDisplayName: () => '🔴 Infernus: Плохое'
+            });
+            User.findByTelegramId.mockResolvedValue({ id: 1 });
+            GarageRequest.findByUserAndCar.mockResolvedValue(null);
+            RewardRule.findActive.mockResolvedValue([
+                { rule_type: 'base', amount: 3000000 },
+                { rule_type: 'status', status: 'Плохое', amount: 1000000 }
+            ]);
+
+            await garageManager.handleCarSelection(callbackQuery);
+
+            expect(garageManager.getUserSession(67890).rewardAmount).toBe(4000000);
+            expect(mockBot.sendMessage).toHaveBeenCalledWith(
+                12345,
+                expect.stringContaining('Вознаграждение: 4 млн'),
+                expect.any(Object)
+            );
+        });
+
         test('должен отклонить при превышении лимита заявок', async () => {
             const callbackQuery = {
                 message: { chat: { id: 12345 } },
@@ -310,14 +363,72 @@ describe('GarageManager', () => {
                 expect.objectContaining({
                     car_id: 1,
                     user_id: 1,
-                    telegram_id: '67890'
+                    telegram_id: '67890',
+                    reward_amount: 3000000
                 })
             );
             expect(mockBot.sendMessage).toHaveBeenCalledWith(
                 12345,
                 expect.stringContaining('✅ Заявка подана!')
             );
-            expect(garageManager.notifyAdmins).toHaveBeenCalledWith(mockRequest);
+            expect(garageManager.notifyAdmins).toHaveBeenCalledWith(mockRequest, null);
+        });
+
+        test('должен сверять фото с прежними отправками и передавать дубликат администраторам', async () => {
+            const duplicate = { original: { id: 5, source: 'garage', request_id: 3 }, distance: 0, exact: true };
+            const duplicateDetector = { registerPhoto: jest.fn().mockResolvedValue(duplicate) };
+            garageManager = new GarageManager(mockBot, ADMIN_ID, null, duplicateDetector);
+            garageManager.setUserSession(67890, {
+                state: garageManager.STATES.AWAITING_PHOTO,
+                carId: 1,
+                carName: 'Infernus'
+            });
+
+            User.findByTelegramId.mockResolvedValue({ id: 1, telegram_id: 67890 });
+            GarageRequest.create.mockResolvedValue({ id: 7 });
+            garageManager.savePhotoFile = jest.fn().mockResolvedValue('/path/to/photo.jpg');
+            garageManager.notifyAdmins = jest.fn().mockResolvedValue();
+
+            await garageManager.handlePhotoUpload({ chat: { id: 12345 }, from: { id: 67890 }, photo: [{ file_id: 'file123' }] });
+
+            expect(duplicateDetector.registerPhoto).toHaveBeenCalledWith('garage', {
+                requestId: 7,
+                telegramId: 67890,
+                carId: 1,
+                photoPath: '/path/to/photo.jpg'
+            });
+            expect(garageManager.notifyAdmins).toHaveBeenCalledWith({ id: 7 }, duplicate);
+        });
+
+        test('должен добавлять предупреждение о дубликате в уведомление администратору', async () => {
+            const duplicate = { original: { id: 5, source: 'garage', request_id: 3 }, distance: 0, exact: true };
+            const duplicateDetector = {
+                formatWarning: jest.fn().mockReturnValue('⚠️ Фото уже отправлялось'),
+                buildButton: jest.fn().mockReturnValue({ text: '🔍 Оригинал', callback_data: 'dup_show_5' })
+            };
+            garageManager = new GarageManager(mockBot, ADMIN_ID, null, duplicateDetector);
+            const request = {
+                id: 7,
+                getCar: jest.fn().mockResolvedValue({ car_name: 'Infernus' }),
+                getUser: jest.fn().mockResolvedValue({ first_name: 'Иван', username: 'ivan' }),
+                getFormattedSubmissionDate: () => '05.03.2026',
+                getPhotoPath: jest.fn().mockResolvedValue(null)
+            };
+
+            await garageManager.notifyAdmins(request, duplicate);
+
+            expect(duplicateDetector.formatWarning).toHaveBeenCalledWith(duplicate);
+            expect(mockBot.sendMessage).toHaveBeenCalledWith(
+                ADMIN_ID,
+                expect.stringContaining('⚠️ Фото уже отправлялось'),
+                { reply_markup: { inline_keyboard: [
+                    [
+                        { text: '✅ Принять', callback_data: 'garage_approve_7' },
+                        { text: '❌ Отклонить', callback_data: 'garage_reject_7' }
+                    ],
+                    [{ text: '🔍 Оригинал', callback_data: 'dup_show_5' }]
+                ] } }
+            );
         });
 
         test('должен игнорировать фото без активной сессии', async () => {
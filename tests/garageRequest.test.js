@@ -48,6 +48,7 @@ describe('GarageRequest Model', () => {
                 telegram_id TEXT NOT NULL,
                 photo_path TEXT NOT NULL,
                 payment_status TEXT NOT NULL DEFAULT 'Не выплачено',
+                reward_amount INTEGER,
                 admin_comment TEXT,
                 admin_id INTEGER,
                 submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -265,19 +266,59 @@ describe('GarageRequest Model', () => {
         });
     });
 
+    describe('findByTelegramIdPaginated', () => {
+        test('должен возвращать страницу заявок пользователя с фильтром по статусу', async () => {
+            const create = () => GarageRequest.create({
+                car_id: testCar.car_id,
+                user_id: testUser.id,
+                telegram_id: testUser.telegram_id.toString(),
+                photo_path: path.join(__dirname, 'test_photo.jpg')
+            });
+            const first = await create();
+            await create();
+            await create();
+            await first.reject(null, 'Нет фото');
+
+            const page = await GarageRequest.findByTelegramIdPaginated(testUser.telegram_id, { page: 1, pageSize: 2 });
+            expect(page.requests).toHaveLength(1);
+            expect(page.pagination).toEqual(expect.objectContaining({ total: 3, totalPages: 2, hasPrev: true, hasNext: false }));
+
+            const rejected = await GarageRequest.findByTelegramIdPaginated(testUser.telegram_id, { statuses: ['Отклонено'] });
+            expect(rejected.requests.map(request => request.id)).toEqual([first.id]);
+        });
+    });
+
+    describe('cancel', () => {
+        test('должен отменять только нерассмотренную заявку', async () => {
+            const request = await GarageRequest.create({
+                car_id: testCar.car_id,
+                user_id: testUser.id,
+                telegram_id: testUser.telegram_id.toString(),
+                photo_path: path.join(__dirname, 'test_photo.jpg')
+            });
+
+            await request.cancel();
+
+            const saved = await GarageRequest.findById(request.id);
+            expect(saved.payment_status).toBe('Отклонено');
+            expect(saved.isCancelledByOwner()).toBe(true);
+            await expect(request.cancel()).rejects.toThrow('заявка уже рассмотрена');
+        });
+    });
+
     describe('Instance methods', () => {
-        test('photoExists должен корректно проверять существование файла', () => {
+        test('photoExists должен корректно проверять существование файла', async () => {
             const request = new GarageRequest({
                 photo_path: path.join(__dirname, 'test_photo.jpg')
             });
 
-            expect(request.photoExists()).toBe(true);
+            expect(await request.photoExists()).toBe(true);
 
             const requestWithoutPhoto = new GarageRequest({
                 photo_path: 'nonexistent.jpg'
             });
 
-            expect(requestWithoutPhoto.photoExists()).toBe(false);
+            expect(await requestWithoutPhoto.photoExists()).toBe(false);
         });
 
         test('getFormattedStatus должен вернуть статус с эмодзи', () => {
@@ -0,0 +1,163 @@
+const database = require('../src/database/connection');
+const { Migrator } = require('../src/database/migrator');
+const User = require('../src/database/models/user');
+const { I18n, i18n } = require('../src/i18n');
+const LanguageManager = require('../src/components/LanguageManager');
+const SessionStore = require('../src/components/SessionStore');
+const ru = require('../src/i18n/locales/ru');
+const en = require('../src/i18n/locales/en');
+const { AUTH_REJECTION_REASONS } = require('../config/rejectionReasons');
+const { QUESTIONNAIRE_STEPS } = require('../config/questionnaire');
+
+// Формы множественного числа, которые должен задавать каждый язык
+const REQUIRED_PLURAL_FORMS = {
+    ru: ['one', 'few', 'many', 'other'],
+    en: ['one', 'other']
+};
+
+const placeholders = (value) => {
+    const texts = Array.isArray(value) ? value : (I18n.isPlural(value) ? Object.values(value) : [value]);
+    return [...new Set(texts.join(' ').match(/\{\w+\}/g) || [])].sort();
+};
+
+describe('Локализация', () => {
+    describe('Каталоги', () => {
+        const bundles = { ru: I18n.flatten(ru), en: I18n.flatten(en) };
+
+        test.each([['ru', 'en'], ['en', 'ru']])('в каталоге %s должны быть все ключи каталога %s', (locale, other) => {
+            const missing = [...bundles[other].keys()].filter(key => !bundles[locale].has(key));
+            expect(missing).toEqual([]);
+        });
+
+        test('значения с одним ключом должны иметь один тип и одни подстановки', () => {
+            for (const [key, value] of bundles.ru) {
+                const translation = bundles.en.get(key);
+                expect([key, Array.isArray(translation), I18n.isPlural(translation)])
+                    .toEqual([key, Array.isArray(value), I18n.isPlural(value)]);
+                expect([key, placeholders(translation)]).toEqual([key, placeholders(value)]);
+            }
+        });
+
+        test('ключи из конфигурации должны быть в каталогах', () => {
+            const configKeys = [
+                ...AUTH_REJECTION_REASONS,
+                ...QUESTIONNAIRE_STEPS.flatMap(step => [step.prompt, step.error].filter(Boolean))
+            ];
+            for (const locale of Object.keys(bundles)) {
+                expect([locale, configKeys.filter(key => !bundles[locale].has(key))]).toEqual([locale, []]);
+            }
+        });
+
+        test('формы множественного числа должны быть заданы для каждого языка', () => {
+            for (const [locale, forms] of Object.entries(REQUIRED_PLURAL_FORMS)) {
+                for (const [key, value] of bundles[locale]) {
+                    if (I18n.isPlural(value)) {
+                        expect([locale, key, Object.keys(value).sort()]).toEqual([locale, key, [...forms].sort()]);
+                    }
+                }
+            }
+        });
+    });
+
+    describe('Перевод', () => {
+        test('должен выбирать русские формы множественного числа', () => {
+            const days = (count) => i18n.t('ru', 'time.days_ago', { count });
+
+            expect(days(1)).toBe('1 день назад');
+            expect(days(3)).toBe('3 дня назад');
+            expect(days(5)).toBe('5 дней назад');
+            expect(days(11)).toBe('11 дней назад');
+            expect(days(21)).toBe('21 день назад');
+            expect(i18n.t('en', 'time.days_ago', { count: 1 })).toBe('1 day ago');
+            expect(i18n.t('en', 'time.days_ago', { count: 3 })).toBe('3 days ago');
+        });
+
+        test('должен подставлять параметры и возвращаться к языку по умолчанию', () => {
+            const catalog = new I18n({ ru: { hello: 'Привет, {name}!', only_ru: 'Только по-русски' }, en: { hello: 'Hi, {name}!' } });
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+            expect(catalog.t('en', 'hello', { name: 'Alex' })).toBe('Hi, Alex!');
+            expect(catalog.t('en', 'hello')).toBe('Hi, {name}!');
+            expect(catalog.t('en', 'only_ru')).toBe('Только по-русски');
+            expect(catalog.t('de', 'hello', { name: 'Alex' })).toBe('Привет, Alex!');
+            expect(catalog.t('en', 'missing.key')).toBe('missing.key');
+            expect(console.warn).toHaveBeenCalledWith('Missing translation: missing.key');
+
+            console.warn.mockRestore();
+        });
+
+        test('должен определять язык пользователя', () => {
+            const catalog = new I18n({ ru, en }, { defaultLocale: 'ru' });
+            catalog.overrides.set('7', 'ru');
+
+            expect(catalog.resolveLocale(null)).toBe('ru');
+            expect(catalog.resolveLocale({ id: 5, language_code: 'en-US' })).toBe('en');
+            expect(catalog.resolveLocale({ id: 5, language_code: 'de' })).toBe('ru');
+            expect(catalog.resolveLocale({ telegram_id: 5, locale: 'en', language_code: 'ru' })).toBe('en');
+            expect(catalog.resolveLocale({ id: 7, language_code: 'en' })).toBe('ru');
+        });
+    });
+
+    describe('Выбор языка', () => {
+        let bot;
+        let manager;
+        const from = { id: 400, language_code: 'ru' };
+        const callbackQuery = (data) => ({
+            id: 'cb',
+            data,
+            from,
+            message: { chat: { id: 400 }, message_id: 10 }
+        });
+
+        beforeAll(async () => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            database.dbPath = ':memory:';
+            await database.connect();
+            await new Migrator(database, { log: () => {} }).migrate();
+            await database.run('INSERT INTO users (telegram_id, first_name, language_code) VALUES (400, \'Reader\', \'ru\')');
+            console.log.mockRestore();
+        });
+
+        afterAll(async () => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            await SessionStore.flushAll();
+            await database.close();
+            console.log.mockRestore();
+        });
+
+        beforeEach(() => {
+            bot = {
+                sendMessage: jest.fn().mockResolvedValue({ message_id: 11 }),
+                editMessageText: jest.fn().mockResolvedValue(true),
+                answerCallbackQuery: jest.fn().mockResolvedValue(true)
+            };
+            manager = new LanguageManager(bot);
+        });
+
+        test('должен сохранять выбранный язык вместо языка Telegram', async () => {
+            await manager.handleSetCallback(callbackQuery('lang_set_en'), 'en');
+
+            expect((await User.findByTelegramId(400)).locale).toBe('en');
+            expect(i18n.resolveLocale(from)).toBe('en');
+            expect(bot.answerCallbackQuery).toHaveBeenCalledWith('cb', { text: '✅ Interface language: 🇬🇧 English' });
+            expect(bot.editMessageText.mock.calls[0][0]).toContain('🌐 INTERFACE LANGUAGE');
+
+            i18n.overrides.clear();
+            expect(await i18n.load()).toBe(1);
+            expect(i18n.resolveLocale(from)).toBe('en');
+        });
+
+        test('должен возвращать язык Telegram и отклонять неизвестные языки', async () => {
+            await manager.handleAutoCallback(callbackQuery('lang_auto'));
+
+            expect((await User.findByTelegramId(400)).locale).toBeNull();
+            expect(i18n.resolveLocale(from)).toBe('ru');
+            expect(bot.answerCallbackQuery).toHaveBeenCalledWith('cb', { text: '✅ Язык будет как в Telegram' });
+
+            await manager.handleSetCallback(callbackQuery('lang_set_de'), 'de');
+            expect(bot.answerCallbackQuery).toHaveBeenLastCalledWith('cb', { text: 'Неизвестный язык', show_alert: true });
+            await expect(i18n.setLocale(400, 'de')).rejects.toThrow('Unsupported locale');
+            expect(await i18n.setLocale(999, 'en')).toBe(false);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,185 @@
+const JobScheduler = require('../src/components/JobScheduler');
+const ScheduledJob = require('../src/database/models/scheduledJob');
+
+// Mock модулей
+jest.mock('../src/database/models/scheduledJob');
+
+const createState = (data) => ({
+    name: 'cleanup',
+    schedule: '0 4 * * *',
+    failure_count: 0,
+    next_run_at: null,
+    isEnabled: () => true,
+    isDue: () => true,
+    recordSuccess: jest.fn().mockResolvedValue(),
+    recordFailure: jest.fn().mockResolvedValue(),
+    ...data
+});
+
+describe('JobScheduler', () => {
+    let scheduler;
+    let mockBot;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockBot = {
+            sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }),
+            answerCallbackQuery: jest.fn().mockResolvedValue(true),
+            editMessageText: jest.fn().mockResolvedValue(true)
+        };
+        jest.spyOn(console, 'error').mockImplementation();
+
+        scheduler = new JobScheduler(mockBot, { retryDelayMs: 60000, maxRetries: 2 });
+    });
+
+    afterEach(() => {
+        scheduler.stop();
+        jest.restoreAllMocks();
+    });
+
+    describe('getNextRun', () => {
+        test('должен находить ближайший запуск по интервалу минут', () => {
+            const from = new Date(2025, 9, 18, 12, 7, 30);
+
+            expect(JobScheduler.getNextRun('*/5 * * * *', from)).toEqual(new Date(2025, 9, 18, 12, 10));
+            expect(JobScheduler.getNextRun('0 * * * *', from)).toEqual(new Date(2025, 9, 18, 13, 0));
+        });
+
+        test('должен переходить на следующий день и учитывать день недели', () => {
+            const saturday = new Date(2025, 9, 18, 12, 0);
+
+            expect(JobScheduler.getNextRun('30 3 * * *', saturday)).toEqual(new Date(2025, 9, 19, 3, 30));
+            expect(JobScheduler.getNextRun('0 5 * * 1', saturday)).toEqual(new Date(2025, 9, 20, 5, 0));
+            expect(JobScheduler.getNextRun('0 0 1 1 *', saturday)).toEqual(new Date(2026, 0, 1, 0, 0));
+        });
+
+        test('должен отклонять неверное расписание', () => {
+            expect(() => JobScheduler.parseCron('* * * *')).toThrow('ожидается 5 полей');
+            expect(() => JobScheduler.parseCron('61 * * * *')).toThrow('поле minute');
+            expect(() => scheduler.register('broken', 'каждый час', jest.fn())).toThrow('Неверное расписание');
+        });
+    });
+
+    describe('runJob', () => {
+        test('должен записывать успешный запуск и следующий запуск по расписанию', async () => {
+            const handler = jest.fn().mockResolvedValue();
+            const state = createState();
+            scheduler.register('cleanup', '0 4 * * *', handler);
+
+            const result = await scheduler.runJob('cleanup', state);
+
+            expect(result).toEqual({ success: true });
+            expect(handler).toHaveBeenCalled();
+            expect(state.recordSuccess).toHaveBeenCalledWith(expect.any(Number), expect.any(String));
+            expect(new Date(state.recordSuccess.mock.calls[0][1]).getHours()).toBe(4);
+        });
+
+        test('должен повторять упавшую задачу с нарастающей задержкой', async () => {
+            scheduler.register('cleanup', '0 4 * * *', jest.fn().mockRejectedValue(new Error('database is locked')));
+            const state = createState({ failure_count: 1 });
+            const before = Date.now();
+
+            const result = await scheduler.runJob('cleanup', state);
+
+            expect(result).toEqual({ success: false, error: 'database is locked' });
+            const [error, , nextRunAt] = state.recordFailure.mock.calls[0];
+            expect(error).toBe('database is locked');
+            expect(new Date(nextRunAt).getTime() - before).toBeGreaterThanOrEqual(120000);
+            expect(new Date(nextRunAt).getTime() - before).toBeLessThan(125000);
+        });
+
+        test('после исчерпания повторов должен ждать запуска по расписанию', async () => {
+            scheduler.register('cleanup', '0 4 * * *', jest.fn().mockRejectedValue(new Error('boom')));
+            const state = createState({ failure_count: 2 });
+
+            await scheduler.runJob('cleanup', state);
+
+            const nextRunAt = new Date(state.recordFailure.mock.calls[0][2]);
+            expect(nextRunAt.getHours()).toBe(4);
+            expect(nextRunAt.getMinutes()).toBe(0);
+        });
+    });
+
+    describe('tick', () => {
+        test('должен запускать только зарегистрированные, включенные и подошедшие задачи', async () => {
+            const due = jest.fn().mockResolvedValue();
+            const notDue = jest.fn().mockResolvedValue();
+            scheduler.register('due', '*/5 * * * *', due);
+            scheduler.register('later', '*/5 * * * *', notDue);
+            ScheduledJob.findAll.mockResolvedValue([
+                createState({ name: 'due' }),
+                createState({ name: 'later', isDue: () => false }),
+                createState({ name: 'removed' })
+            ]);
+
+            const started = await scheduler.tick();
+
+            expect(started).toBe(1);
+            expect(due).toHaveBeenCalled();
+            expect(notDue).not.toHaveBeenCalled();
+        });
+
+        test('должен пропускать проверку, пока выполняется предыдущая', async () => {
+            let finish;
+            const slow = jest.fn()
+                .mockImplementationOnce(() => new Promise(resolve => { finish = resolve; }))
+                .mockResolvedValue();
+            const quick = jest.fn().mockResolvedValue();
+            scheduler.register('slow', '* * * * *', slow);
+            scheduler.register('quick', '* * * * *', quick);
+            ScheduledJob.findAll.mockResolvedValue([
+                createState({ name: 'slow' }),
+                createState({ name: 'quick' })
+            ]);
+
+            const first = scheduler.tick();
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(await scheduler.tick()).toBe(0);
+            expect(quick).not.toHaveBeenCalled();
+
+            finish();
+            expect(await first).toBe(2);
+            expect(quick).toHaveBeenCalledTimes(1);
+            expect(await scheduler.tick()).toBe(2);
+        });
+    });
+
+    describe('start', () => {
+        test('должен сохранять задачи в базе при запуске', async () => {
+            scheduler.register('cleanup', '0 4 * * *', jest.fn());
+            ScheduledJob.register.mockResolvedValue(createState());
+            ScheduledJob.findAll.mockResolvedValue([]);
+            jest.spyOn(console, 'log').mockImplementation();
+
+            await scheduler.start();
+
+            expect(ScheduledJob.register).toHaveBeenCalledWith('cleanup', '0 4 * * *', expect.any(String));
+        });
+    });
+
+    describe('buildBoard', () => {
+        test('должен показывать состояние задач и кнопки запуска', async () => {
+            scheduler.register('cleanup', '0 4 * * *', jest.fn(), 'Очистка');
+            ScheduledJob.findAll.mockResolvedValue([
+                createState({
+                    last_status: 'failed',
+                    last_error: 'database is locked',
+                    failure_count: 2,
+                    last_run_at: new Date().toISOString(),
+                    last_duration_ms: 15
+                })
+            ]);
+
+            const board = await scheduler.buildBoard();
+
+            expect(board.text).toContain('❌ cleanup (0 4 * * *)');
+            expect(board.text).toContain('Ошибка (2 подряд): database is locked');
+            expect(board.keyboard[0]).toEqual([
+                { text: '▶️ cleanup', callback_data: 'job_run_cleanup' },
+                { text: '⏸️', callback_data: 'job_toggle_cleanup' }
+            ]);
+        });
+    });
+});
\ No newline at end of file
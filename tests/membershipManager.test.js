@@ -0,0 +1,209 @@
+const MembershipManager = require('../src/components/MembershipManager');
+const RoleManager = require('../src/components/RoleManager');
+const User = require('../src/database/models/user');
+const UserRole = require('../src/database/models/userRole');
+const MembershipEvent = require('../src/database/models/membershipEvent');
+const GarageRequest = require('../src/database/models/garageRequest');
+const CarReservation = require('../src/database/models/carReservation');
+
+// Mock модулей
+jest.mock('../src/database/models/user');
+jest.mock('../src/database/models/userRole');
+jest.mock('../src/database/models/membershipEvent');
+jest.mock('../src/database/models/garageRequest');
+jest.mock('../src/database/models/carReservation');
+jest.mock('../src/database/connection', () => ({
+    isConnected: () => false,
+    withTransaction: jest.fn(fn => fn())
+}));
+
+const LEADER_ID = 111111111;
+const DEPUTY_ID = 222222222;
+const MODERATOR_ID = 333333333;
+const MEMBER_ID = 444444444;
+
+const createUser = (telegramId, authorized = true) => ({
+    id: telegramId % 1000,
+    telegram_id: telegramId,
+    authorized: authorized ? 1 : 0,
+    isAuthorized() {
+        return this.authorized === 1;
+    },
+    setAuthorized: jest.fn(async function(value) {
+        this.authorized = value;
+        return this;
+    }),
+    getDisplayName: () => `@user${telegramId}`
+});
+
+describe('MembershipManager', () => {
+    let membershipManager;
+    let roleManager;
+    let mockBot;
+    let users;
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+
+        mockBot = {
+            sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }),
+            answerCallbackQuery: jest.fn().mockResolvedValue(true),
+            editMessageText: jest.fn().mockResolvedValue(true)
+        };
+
+        users = {
+            [LEADER_ID]: createUser(LEADER_ID),
+            [DEPUTY_ID]: createUser(DEPUTY_ID),
+            [MODERATOR_ID]: createUser(MODERATOR_ID),
+            [MEMBER_ID]: createUser(MEMBER_ID)
+        };
+
+        UserRole.findAll.mockResolvedValue([
+            { telegram_id: DEPUTY_ID, role: 'deputy' },
+            { telegram_id: MODERATOR_ID, role: 'moderator' }
+        ]);
+        UserRole.remove.mockResolvedValue(true);
+        User.findByTelegramId.mockImplementation(async (telegramId) => users[telegramId] || null);
+        MembershipEvent.create.mockImplementation(async (data) => ({ id: 1, ...data }));
+        MembershipEvent.findLastByUserId.mockResolvedValue(null);
+        GarageRequest.rejectPendingByTelegramId.mockResolvedValue(2);
+        CarReservation.findActiveByTelegramId.mockResolvedValue([]);
+        jest.spyOn(console, 'log').mockImplementation();
+
+        roleManager = new RoleManager(mockBot, LEADER_ID);
+        await roleManager.load();
+
+        membershipManager = new MembershipManager(mockBot, roleManager);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('recordAdmission', () => {
+        test('должен записывать первое вступление', async () => {
+            await MembershipManager.recordAdmission(users[MEMBER_ID], 111);
+
+            expect(MembershipEvent.create).toHaveBeenCalledWith({
+                user_id: MEMBER_ID % 1000,
+                telegram_id: MEMBER_ID,
+                event: 'joined',
+                actor_id: 111
+            });
+        });
+
+        test('должен записывать повторный прием при наличии истории', async () => {
+            MembershipEvent.findLastByUserId.mockResolvedValue({ event: 'kicked' });
+
+            await MembershipManager.recordAdmission(users[MEMBER_ID], 111);
+
+            expect(MembershipEvent.create).toHaveBeenCalledWith(expect.objectContaining({ event: 'readmitted' }));
+        });
+    });
+
+    describe('kick', () => {
+        test('должен снимать доступ, записывать событие, аннулировать заявки и уведомлять', async () => {
+            const result = await membershipManager.kick(users[MEMBER_ID], LEADER_ID, 'Неактивность');
+
+            expect(users[MEMBER_ID].setAuthorized).toHaveBeenCalledWith(0);
+            expect(UserRole.remove).toHaveBeenCalledWith(MEMBER_ID);
+            expect(MembershipEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+                event: 'kicked',
+                reason: 'Неактивность',
+                actor_id: LEADER_ID % 1000
+            }));
+            expect(GarageRequest.rejectPendingByTelegramId).toHaveBeenCalledWith(
+                String(MEMBER_ID),
+                LEADER_ID % 1000,
+                MembershipManager.GARAGE_INVALIDATION_COMMENT
+            );
+            expect(result.invalidatedRequests).toBe(2);
+            expect(mockBot.sendMessage).toHaveBeenCalledWith(
+                MEMBER_ID,
+                expect.stringContaining('Причина: Неактивность'),
+                expect.any(Object)
+            );
+        });
+
+        test('должен закрывать брони автомобилей исключенного', async () => {
+            const reservations = [{ close: jest.fn().mockResolvedValue() }, { close: jest.fn().mockResolvedValue() }];
+            CarReservation.findActiveByTelegramId.mockResolvedValue(reservations);
+
+            const result = await membershipManager.kick(users[MEMBER_ID], LEADER_ID, 'Неактивность');
+
+            expect(CarReservation.findActiveByTelegramId).toHaveBeenCalledWith(MEMBER_ID);
+            reservations.forEach(reservation => expect(reservation.close).toHaveBeenCalled());
+            expect(result.closedReservations).toBe(2);
+        });
+
+        test('должен снимать роль руководства с исключенного', async () => {
+            await membershipManager.kick(users[MODERATOR_ID], LEADER_ID, 'Нарушение');
+
+            expect(roleManager.getRole(MODERATOR_ID)).toBe('guest');
+        });
+
+        test('должен требовать право canManageUsers', async () => {
+            await expect(membershipManager.kick(users[MEMBER_ID], MODERATOR_ID, 'x'))
+                .rejects.toThrow('нет прав');
+        });
+
+        test('должен запрещать исключение равных и старших по рангу', async () => {
+            await expect(membershipManager.kick(users[LEADER_ID], DEPUTY_ID, 'x'))
+                .rejects.toThrow('более высоким рангом');
+        });
+
+        test('должен отклонять исключение неавторизованного пользователя', async () => {
+            users[MEMBER_ID].authorized = 0;
+
+            await expect(membershipManager.kick(users[MEMBER_ID], LEADER_ID, 'x'))
+                .rejects.toThrow('не состоит в семье');
+            expect(MembershipEvent.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('leave', () => {
+        test('должен записывать добровольный выход', async () => {
+            await membershipManager.leave(users[MEMBER_ID]);
+
+            expect(users[MEMBER_ID].setAuthorized).toHaveBeenCalledWith(0);
+            expect(MembershipEvent.create).toHaveBeenCalledWith(expect.objectContaining({ event: 'left' }));
+            expect(GarageRequest.rejectPendingByTelegramId).toHaveBeenCalled();
+            expect(CarReservation.findActiveByTelegramId).toHaveBeenCalledWith(MEMBER_ID);
+        });
+
+        test('лидер не может покинуть семью', async () => {
+            await expect(membershipManager.leave(users[LEADER_ID])).rejects.toThrow('Лидер');
+        });
+    });
+
+    describe('kick flow', () => {
+        test('должен запрашивать причину и исключать после ввода текста', async () => {
+            await membershipManager.handleKickCallback({
+                id: 'q1',
+                from: { id: LEADER_ID },
+                message: { chat: { id: LEADER_ID }, message_id: 5 }
+            }, MEMBER_ID);
+
+            expect(membershipManager.getKickSession(LEADER_ID)).toEqual(expect.objectContaining({
+                state: MembershipManager.KICK_STATES.AWAITING_REASON,
+                targetTelegramId: MEMBER_ID
+            }));
+
+            await membershipManager.handleKickReason({
+                text: 'Долгое отсутствие',
+                from: { id: LEADER_ID },
+                chat: { id: LEADER_ID }
+            });
+
+            expect(membershipManager.getKickSession(LEADER_ID)).toBeNull();
+            expect(MembershipEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+                event: 'kicked',
+                reason: 'Долгое отсутствие'
+            }));
+            expect(mockBot.sendMessage).toHaveBeenLastCalledWith(
+                LEADER_ID,
+                expect.stringContaining('Аннулировано заявок гаража: 2')
+            );
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,258 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const database = require('../src/database/connection');
+const { Migrator, MigrationContext } = require('../src/database/migrator');
+
+const REAL_MIGRATIONS = path.join(__dirname, '../src/database/migrations');
+
+/**
+ * Отдельное подключение к базе в памяти
+ */
+const createDatabase = async () => {
+    const db = new database.constructor();
+    db.dbPath = ':memory:';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await db.connect();
+    console.log.mockRestore();
+    return db;
+};
+
+const writeMigration = (dir, file, body) => {
+    fs.writeFileSync(path.join(dir, file), `module.exports = ${body};`);
+};
+
+describe('Migrator', () => {
+    let db;
+    let dir;
+    let migrator;
+
+    beforeEach(async () => {
+        db = await createDatabase();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrator-test-'));
+
+        writeMigration(dir, '001_create_items.js', `{
+            version: '001',
+            description: 'Create items',
+            up: ['CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT NOT NULL, legacy TEXT)', 'CREATE INDEX idx_items_name ON items (name)'],
+            down: ['DROP TABLE items']
+        }`);
+        writeMigration(dir, '002_create_tags.js', `{
+            version: '002',
+            description: 'Create tags',
+            async up(db) {
+                await db.run('CREATE TABLE tags (id INTEGER PRIMARY KEY, item_id INTEGER REFERENCES items (id))');
+            },
+            down: ['DROP TABLE tags']
+        }`);
+
+        migrator = new Migrator(db, { directory: dir, tableName: 'migrations', log: () => {} });
+    });
+
+    afterEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await db.close();
+        console.log.mockRestore();
+        fs.rmSync(dir, { recursive: true, force: true });
+        jest.resetModules();
+    });
+
+    const tables = async () => (await db.all('SELECT name FROM sqlite_master WHERE type = \'table\' AND name IN (\'items\', \'tags\') ORDER BY name'))
+        .map(row => row.name);
+
+    test('должен применять миграции по порядку и записывать контрольные суммы', async () => {
+        const steps = await migrator.migrate();
+
+        expect(steps.map(step => `${step.migration.version}:${step.direction}`)).toEqual(['001:up', '002:up']);
+        expect(await tables()).toEqual(['items', 'tags']);
+
+        const rows = await db.all('SELECT version, checksum FROM migrations ORDER BY version');
+        expect(rows.map(row => row.version)).toEqual(['001', '002']);
+        expect(rows[0].checksum).toMatch(/^[0-9a-f]{64}$/);
+
+        expect(await migrator.migrate()).toEqual([]);
+    });
+
+    test('должен мигрировать вверх и вниз до указанной версии', async () => {
+        await migrator.migrate({ target: '001' });
+        expect(await tables()).toEqual(['items']);
+
+        await migrator.migrate();
+        await migrator.migrate({ target: '000' });
+        expect(await tables()).toEqual([]);
+        expect(await db.all('SELECT version FROM migrations')).toEqual([]);
+
+        await expect(migrator.migrate({ target: '007' })).rejects.toThrow('Unknown migration version');
+    });
+
+    test('должен откатывать последние миграции', async () => {
+        await migrator.migrate();
+
+        await migrator.rollback();
+        expect(await tables()).toEqual(['items']);
+
+        await migrator.rollback({ steps: 5 });
+        expect(await tables()).toEqual([]);
+        expect(await migrator.rollback()).toEqual([]);
+    });
+
+    test('должен ничего не менять в режиме dry-run', async () => {
+        const steps = await migrator.migrate({ dryRun: true });
+
+        expect(steps).toHaveLength(2);
+        expect(await tables()).toEqual([]);
+        expect(await db.all('SELECT name FROM sqlite_master WHERE name = \'migrations\'')).toEqual([]);
+    });
+
+    test('должен откатывать упавшую миграцию целиком', async () => {
+        writeMigration(dir, '003_broken.js', `{
+            version: '003',
+            description: 'Broken',
+            up: ['CREATE TABLE half_done (id INTEGER)', 'INSERT INTO missing_table VALUES (1)'],
+            down: ['DROP TABLE half_done']
+        }`);
+
+        await expect(migrator.migrate()).rejects.toThrow('Migration 003 (up) failed');
+
+        expect(await tables()).toEqual(['items', 'tags']);
+        expect(await db.all('SELECT name FROM sqlite_master WHERE name = \'half_done\'')).toEqual([]);
+        expect((await db.all('SELECT version FROM migrations')).map(row => row.version)).toEqual(['001', '002']);
+        expect((await db.get('PRAGMA foreign_keys')).foreign_keys).toBe(1);
+    });
+
+    test('должен отказываться работать, если примененную миграцию изменили', async () => {
+        await migrator.migrate({ target: '001' });
+        fs.appendFileSync(path.join(dir, '001_create_items.js'), '\n// edited');
+
+        await expect(migrator.migrate()).rejects.toThrow('001: file changed after it was applied');
+        expect(await tables()).toEqual(['items']);
+
+        const status = await migrator.status();
+        expect(status[0]).toMatchObject({ version: '001', applied: true, modified: true });
+    });
+
+    test('должен проверять формат файлов миграций', () => {
+        writeMigration(dir, '003_wrong_version.js', `{
+            version: '004',
+            description: 'Wrong',
+            up: [],
+            down: []
+        }`);
+
+        expect(() => migrator.loadMigrations()).toThrow('must declare version \'003\'');
+    });
+
+    test('должен переносить записи старой таблицы migrations без контрольных сумм', async () => {
+        await db.run('CREATE TABLE migrations (id INTEGER PRIMARY KEY AUTOINCREMENT, version TEXT UNIQUE NOT NULL, description TEXT, applied_at DATETIME DEFAULT CURRENT_TIMESTAMP)');
+        await db.run('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT NOT NULL, legacy TEXT)');
+        await db.run('CREATE TABLE tags (id INTEGER PRIMARY KEY, item_id INTEGER)');
+        await db.run('INSERT INTO migrations (version, description) VALUES (\'002\', \'Create tags\')');
+
+        expect(await migrator.migrate()).toEqual([]);
+
+        const rows = await db.all('SELECT version, checksum FROM migrations ORDER BY version');
+        expect(rows.map(row => row.version)).toEqual(['001', '002']);
+        expect(rows.every(row => /^[0-9a-f]{64}$/.test(row.checksum))).toBe(true);
+    });
+
+    test('должен отмечать незаписанные старым раннером миграции по их таблицам', async () => {
+        writeMigration(dir, '003_create_logs.js', `{
+            version: '003',
+            description: 'Create logs',
+            legacyTables: ['logs'],
+            up: ['CREATE TABLE logs (id INTEGER PRIMARY KEY)'],
+            down: ['DROP TABLE logs']
+        }`);
+        writeMigration(dir, '004_create_notes.js', `{
+            version: '004',
+            description: 'Create notes',
+            legacyTables: ['notes'],
+            up: ['CREATE TABLE notes (id INTEGER PRIMARY KEY)'],
+            down: ['DROP TABLE notes']
+        }`);
+        await db.run('CREATE TABLE migrations (id INTEGER PRIMARY KEY AUTOINCREMENT, version TEXT UNIQUE NOT NULL, description TEXT, applied_at DATETIME DEFAULT CURRENT_TIMESTAMP)');
+        await db.run('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT NOT NULL, legacy TEXT)');
+        await db.run('CREATE TABLE tags (id INTEGER PRIMARY KEY, item_id INTEGER)');
+        await db.run('CREATE TABLE logs (id INTEGER PRIMARY KEY)');
+        await db.run('INSERT INTO migrations (version, description) VALUES (\'002\', \'Create tags\')');
+
+        const steps = await migrator.migrate();
+
+        expect(steps.map(step => `${step.migration.version}:${step.direction}`)).toEqual(['004:up']);
+        const rows = await db.all('SELECT version FROM migrations ORDER BY version');
+        expect(rows.map(row => row.version)).toEqual(['001', '002', '003', '004']);
+    });
+
+    test('должен пересобирать таблицу без колонки, сохраняя данные и индексы', async () => {
+        writeMigration(dir, '003_drop_legacy.js', `{
+            version: '003',
+            description: 'Drop items.legacy',
+            up: async (db) => {
+                await db.rebuildTable('items', 'id INTEGER PRIMARY KEY, name TEXT NOT NULL, title TEXT', {
+                    columns: { title: 'UPPER(name)' }
+                });
+            },
+            down: ['SELECT 1']
+        }`);
+        await migrator.migrate({ target: '002' });
+        await db.run('INSERT INTO items (id, name, legacy) VALUES (1, \'wheel\', \'x\')');
+        await db.run('INSERT INTO tags (id, item_id) VALUES (1, 1)');
+
+        await migrator.migrate();
+
+        const columns = (await db.all('PRAGMA table_info(items)')).map(column => column.name);
+        expect(columns).toEqual(['id', 'name', 'title']);
+        expect(await db.get('SELECT * FROM items')).toEqual({ id: 1, name: 'wheel', title: 'WHEEL' });
+        expect(await db.get('SELECT name FROM sqlite_master WHERE name = \'idx_items_name\'')).toEqual({ name: 'idx_items_name' });
+        expect(await db.all('PRAGMA foreign_key_check')).toEqual([]);
+    });
+
+    test('должен применять и откатывать все миграции проекта', async () => {
+        const projectMigrator = new Migrator(db, { directory: REAL_MIGRATIONS, log: () => {} });
+        const files = fs.readdirSync(REAL_MIGRATIONS).filter(file => file.endsWith('.js'));
+
+        expect(await projectMigrator.migrate()).toHaveLength(files.length);
+
+        await db.run('INSERT INTO users (telegram_id, authorized) VALUES (42, 1)');
+        await projectMigrator.migrate({ target: '001' });
+
+        const userColumns = (await db.all('PRAGMA table_info(users)')).map(column => column.name);
+        expect(userColumns).not.toContain('authorized');
+        expect(await db.get('SELECT telegram_id FROM users')).toEqual({ telegram_id: 42 });
+
+        await projectMigrator.migrate({ target: '000' });
+        expect(await db.all('SELECT name FROM sqlite_master WHERE type = \'table\' AND name NOT IN (\'migrations\', \'sqlite_sequence\')')).toEqual([]);
+
+        expect(await projectMigrator.migrate()).toHaveLength(files.length);
+    });
+
+    test('должен сохранять автомобили базы, размеченной старым раннером', async () => {
+        const projectMigrator = new Migrator(db, { directory: REAL_MIGRATIONS, log: () => {} });
+        await projectMigrator.migrate({ target: '006' });
+        await db.run('UPDATE garage SET status = \'Плохое\', last_maintenance = \'2026-01-15 10:00:00\'');
+
+        // Старый раннер записывал только 001-003 и не знал о контрольных суммах
+        await db.run('DROP TABLE migrations');
+        await db.run('CREATE TABLE migrations (id INTEGER PRIMARY KEY AUTOINCREMENT, version TEXT UNIQUE NOT NULL, description TEXT, applied_at DATETIME DEFAULT CURRENT_TIMESTAMP)');
+        await db.run('INSERT INTO migrations (version, description) VALUES (\'001\', \'a\'), (\'002\', \'b\'), (\'003\', \'c\')');
+
+        const steps = await projectMigrator.migrate();
+
+        expect(steps[0].migration.version).toBe('007');
+        const cars = await db.all('SELECT status, last_maintenance FROM garage');
+        expect(cars).toHaveLength(14);
+        expect(cars.every(car => car.status === 'Плохое' && car.last_maintenance === '2026-01-15 10:00:00')).toBe(true);
+    });
+
+    test('должен пропускать замену автомобилей, если они уже на месте', async () => {
+        const projectMigrator = new Migrator(db, { directory: REAL_MIGRATIONS, log: () => {} });
+        await projectMigrator.migrate({ target: '006' });
+        await db.run('UPDATE garage SET last_maintenance = \'2026-01-15 10:00:00\'');
+
+        const replaceCars = require(path.join(REAL_MIGRATIONS, '006_replace_cars_with_real_models.js'));
+        await replaceCars.up(new MigrationContext(db, () => {}));
+
+        const dates = await db.all('SELECT DISTINCT last_maintenance FROM garage');
+        expect(dates).toEqual([{ last_maintenance: '2026-01-15 10:00:00' }]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,221 @@
+const database = require('../src/database/connection');
+const { Migrator } = require('../src/database/migrator');
+const NotificationPreference = require('../src/database/models/notificationPreference');
+const NotificationDigestItem = require('../src/database/models/notificationDigestItem');
+const NotificationService = require('../src/components/NotificationService');
+const NotificationSettingsManager = require('../src/components/NotificationSettingsManager');
+const AdminNotifier = require('../src/components/AdminNotifier');
+const BroadcastService = require('../src/components/BroadcastService');
+const SessionStore = require('../src/components/SessionStore');
+
+describe('Настройки уведомлений', () => {
+    let outbound;
+    let service;
+
+    // Подменяются только часы: таймеры и колбэки sqlite работают как обычно
+    const setNow = (date) => jest.useFakeTimers({
+        now: date,
+        doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout',
+            'setInterval', 'clearInterval', 'queueMicrotask']
+    });
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        database.dbPath = ':memory:';
+        await database.connect();
+        await new Migrator(database, { log: () => {} }).migrate();
+
+        await database.run('INSERT INTO users (telegram_id, first_name, authorized) VALUES (300, \'Member\', 1)');
+        await database.run('INSERT INTO users (telegram_id, first_name, authorized) VALUES (301, \'Other\', 1)');
+        console.log.mockRestore();
+    });
+
+    afterAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await SessionStore.flushAll();
+        await database.close();
+        console.log.mockRestore();
+    });
+
+    beforeEach(async () => {
+        await database.run('DELETE FROM notification_preferences');
+        await database.run('DELETE FROM notification_digest_items');
+
+        outbound = {
+            sendMessage: jest.fn().mockResolvedValue(true),
+            notify: jest.fn().mockResolvedValue(true)
+        };
+        service = new NotificationService(outbound, { digestMaxLength: 200 });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('должен возвращать настройки по умолчанию и сохранять изменения', async () => {
+        const defaults = await NotificationPreference.findByTelegramId(300);
+        expect(defaults.isEnabled('payouts')).toBe(true);
+        expect(defaults.isDigest()).toBe(false);
+        expect(defaults.hasQuietHours()).toBe(false);
+
+        await NotificationPreference.update(300, { payouts: 0, delivery_mode: 'digest' });
+        const updated = await NotificationPreference.update(300, { quiet_start: 23, quiet_end: 7 });
+
+        expect(updated.isEnabled('payouts')).toBe(false);
+        expect(updated.isDigest()).toBe(true);
+        expect(updated.getQuietHoursText()).toBe('23:00–07:00');
+        expect(await NotificationPreference.findDisabled('payouts')).toEqual(['300']);
+
+        await expect(NotificationPreference.update(300, { quiet_start: 24, quiet_end: 7 })).rejects.toThrow('Неверный час');
+        await expect(NotificationPreference.update(300, { quiet_start: 22, quiet_end: null })).rejects.toThrow('началом и концом');
+        await expect(NotificationPreference.update(300, { delivery_mode: 'weekly' })).rejects.toThrow('способ доставки');
+    });
+
+    test('должен определять тихие часы через полночь и их окончание', () => {
+        const preferences = new NotificationPreference({ telegram_id: 300, quiet_start: 23, quiet_end: 7 });
+
+        expect(preferences.isQuietAt(new Date(2026, 0, 10, 23, 30))).toBe(true);
+        expect(preferences.isQuietAt(new Date(2026, 0, 11, 6, 59))).toBe(true);
+        expect(preferences.isQuietAt(new Date(2026, 0, 11, 7, 0))).toBe(false);
+        expect(preferences.getQuietEnd(new Date(2026, 0, 10, 23, 30))).toEqual(new Date(2026, 0, 11, 7, 0));
+        expect(preferences.getQuietEnd(new Date(2026, 0, 11, 3, 0))).toEqual(new Date(2026, 0, 11, 7, 0));
+    });
+
+    test('должен не отправлять отключенные категории и отправлять остальные сразу', async () => {
+        await NotificationPreference.update(300, { request_decisions: 0 });
+
+        expect(await service.notify(300, 'request_decisions', 'Заявка одобрена')).toBe(false);
+        expect(await service.notify(300, 'payouts', 'Выплата', { parse_mode: 'HTML' })).toBe(true);
+
+        expect(outbound.sendMessage).toHaveBeenCalledTimes(1);
+        expect(outbound.sendMessage).toHaveBeenCalledWith(300, 'Выплата', { parse_mode: 'HTML' });
+    });
+
+    test('должен откладывать уведомление до конца тихих часов', async () => {
+        await NotificationPreference.update(300, { quiet_start: 22, quiet_end: 8 });
+        setNow(new Date(2026, 0, 10, 23, 15));
+
+        expect(await service.notify(300, 'car_service', 'Нужно ТО')).toBe(true);
+
+        expect(outbound.sendMessage).not.toHaveBeenCalled();
+        expect(outbound.notify).toHaveBeenCalledWith('sendMessage', 300, ['Нужно ТО'], {
+            notBefore: new Date(2026, 0, 11, 8, 0)
+        });
+    });
+
+    test('должен собирать уведомления в сводку и отправлять ее частями', async () => {
+        await NotificationPreference.update(300, { delivery_mode: 'digest' });
+        await NotificationPreference.update(301, { delivery_mode: 'digest' });
+
+        await service.notify(300, 'request_decisions', 'Заявка #1 одобрена');
+        await service.notify(300, 'payouts', 'Выплата по заявке #1');
+        await service.notify(300, 'announcements', 'x'.repeat(150));
+        await service.notify(301, 'payouts', 'Выплата по заявке #2');
+        expect(outbound.sendMessage).not.toHaveBeenCalled();
+
+        expect(await service.sendDigests()).toBe(2);
+
+        const toMember = outbound.notify.mock.calls.filter(call => call[1] === '300').map(call => call[2][0]);
+        expect(toMember).toHaveLength(2);
+        expect(toMember[0]).toContain('📬 СВОДКА УВЕДОМЛЕНИЙ');
+        expect(toMember[0]).toContain('📋 Решения по заявкам\nЗаявка #1 одобрена');
+        expect(toMember[0]).toContain('💸 Выплаты\nВыплата по заявке #1');
+        expect(toMember[1]).toContain('📢 Объявления');
+        toMember.forEach(text => expect(text.length).toBeLessThanOrEqual(200));
+
+        expect((await NotificationDigestItem.findGrouped()).size).toBe(0);
+    });
+
+    test('должен отправлять уведомление с кнопками сразу, минуя сводку', async () => {
+        await NotificationPreference.update(300, { delivery_mode: 'digest' });
+        const keyboard = { reply_markup: { inline_keyboard: [[{ text: 'Подать заявку повторно', callback_data: 'start_authorization' }]] } };
+
+        expect(await service.notify(300, 'request_decisions', 'Заявка отклонена', keyboard)).toBe(true);
+
+        expect(outbound.sendMessage).toHaveBeenCalledWith(300, 'Заявка отклонена', keyboard);
+        expect((await NotificationDigestItem.findGrouped()).size).toBe(0);
+    });
+
+    test('должен учитывать настройки в уведомлениях о решениях по заявкам', async () => {
+        await NotificationPreference.update(300, { request_decisions: 0 });
+        const notifier = new AdminNotifier({}, 1, null, outbound, service);
+        const result = {
+            request: { id: 5 },
+            car: { car_name: 'Infernus' },
+            user: { telegram_id: 301 },
+            payout: { getFormattedAmount: () => '$1,000' }
+        };
+
+        await notifier.notifyUserApproval(result);
+        await notifier.notifyUserApproval({ ...result, user: { telegram_id: 300 } });
+
+        expect(outbound.sendMessage).toHaveBeenCalledTimes(1);
+        expect(outbound.sendMessage).toHaveBeenCalledWith(301, expect.stringContaining('ЗАЯВКА ОДОБРЕНА'));
+    });
+
+    test('должен исключать из рассылок отключивших объявления', async () => {
+        await NotificationPreference.update(301, { announcements: 0 });
+        const roleManager = { getRole: () => 'member' };
+        const broadcastService = new BroadcastService({}, roleManager, { outbound, notifications: service });
+
+        const recipients = await broadcastService.resolveRecipients('authorized');
+        expect(recipients.map(user => user.telegram_id)).toEqual([300]);
+    });
+
+    describe('NotificationSettingsManager', () => {
+        let bot;
+        let manager;
+        const callbackQuery = (data) => ({
+            id: 'cb',
+            data,
+            from: { id: 300 },
+            message: { chat: { id: 300 }, message_id: 10 }
+        });
+
+        beforeEach(() => {
+            bot = {
+                sendMessage: jest.fn().mockResolvedValue({ message_id: 11 }),
+                editMessageText: jest.fn().mockResolvedValue(true),
+                answerCallbackQuery: jest.fn().mockResolvedValue(true)
+            };
+            manager = new NotificationSettingsManager(bot);
+        });
+
+        test('должен разбирать тихие часы', () => {
+            expect(NotificationSettingsManager.parseQuietHours('22-8')).toEqual({ start: 22, end: 8 });
+            expect(NotificationSettingsManager.parseQuietHours('23:00 – 07:00')).toEqual({ start: 23, end: 7 });
+            expect(NotificationSettingsManager.parseQuietHours('25-8')).toBeNull();
+            expect(NotificationSettingsManager.parseQuietHours('8-8')).toBeNull();
+            expect(NotificationSettingsManager.parseQuietHours('вечером')).toBeNull();
+        });
+
+        test('должен переключать категорию и способ доставки', async () => {
+            await manager.handleToggleCallback(callbackQuery('notif_toggle_payouts'), 'payouts');
+            await manager.handleModeCallback(callbackQuery('notif_mode_digest'), 'digest');
+
+            const preferences = await NotificationPreference.findByTelegramId(300);
+            expect(preferences.isEnabled('payouts')).toBe(false);
+            expect(preferences.isDigest()).toBe(true);
+
+            const [text, options] = bot.editMessageText.mock.calls[1];
+            expect(text).toContain('💸 Выплаты: 🚫 отключены');
+            expect(text).toContain('Доставка: ежедневной сводкой');
+            expect(options.reply_markup.inline_keyboard).toContainEqual([{ text: '⚡ Присылать сразу', callback_data: 'notif_mode_instant' }]);
+        });
+
+        test('должен сохранять тихие часы, введенные текстом', async () => {
+            await manager.handleQuietCustomCallback(callbackQuery('notif_quiet_custom'));
+            expect(manager.getSession(300)).toMatchObject({ state: manager.STATES.AWAITING_QUIET_HOURS });
+
+            await manager.handleTextInput({ from: { id: 300 }, chat: { id: 300 }, text: 'ночью' });
+            expect(bot.sendMessage).toHaveBeenLastCalledWith(300, expect.stringContaining('Не удалось разобрать'));
+
+            await manager.handleTextInput({ from: { id: 300 }, chat: { id: 300 }, text: '0-9' });
+            expect(manager.getSession(300)).toBeNull();
+            expect((await NotificationPreference.findByTelegramId(300)).getQuietHoursText()).toBe('00:00–09:00');
+            expect(bot.sendMessage).toHaveBeenLastCalledWith(300, expect.stringContaining('Тихие часы: 00:00–09:00'), expect.any(Object));
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,205 @@
+const database = require('../src/database/connection');
+const { Migrator } = require('../src/database/migrator');
+const User = require('../src/database/models/user');
+const OutboundMessage = require('../src/database/models/outboundMessage');
+const OutboundQueue = require('../src/components/OutboundQueue');
+
+/**
+ * Ошибка Telegram в формате node-telegram-bot-api
+ */
+const telegramError = (errorCode, description, parameters) => {
+    const error = new Error(`ETELEGRAM: ${errorCode} ${description}`);
+    error.code = 'ETELEGRAM';
+    error.response = { body: { ok: false, error_code: errorCode, description, parameters } };
+    return error;
+};
+
+describe('OutboundQueue', () => {
+    let bot;
+    let queue;
+    let now;
+    let sleep;
+
+    const createQueue = (options = {}) => new OutboundQueue(bot, {
+        messagesPerSecond: 10,
+        chatIntervalMs: 1000,
+        maxAttempts: 3,
+        retryDelayMs: 5000,
+        sleep,
+        ...options
+    });
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        database.dbPath = ':memory:';
+        await database.connect();
+        await new Migrator(database, { log: () => {} }).migrate();
+
+        await database.run('INSERT INTO users (telegram_id, first_name, authorized) VALUES (200, \'Admin\', 1)');
+        await database.run('INSERT INTO users (telegram_id, first_name, authorized) VALUES (201, \'Member\', 1)');
+        console.log.mockRestore();
+    });
+
+    afterAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await database.close();
+        console.log.mockRestore();
+    });
+
+    beforeEach(async () => {
+        await database.run('DELETE FROM outbound_messages');
+        await database.run('UPDATE users SET unreachable_at = NULL');
+
+        // Часы идут только во время ожидания очереди
+        now = 1000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        sleep = jest.fn(async (ms) => {
+            now += ms;
+        });
+
+        bot = {
+            sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }),
+            sendPhoto: jest.fn().mockResolvedValue({ message_id: 2 })
+        };
+        queue = createQueue();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        queue.stop();
+        jest.restoreAllMocks();
+    });
+
+    test('должен отправлять уведомление и удалять его из очереди после доставки', async () => {
+        expect(await queue.sendMessage(200, 'Новая заявка', { reply_markup: { inline_keyboard: [] } })).toBe(true);
+        await queue.idle();
+
+        expect(bot.sendMessage).toHaveBeenCalledWith(200, 'Новая заявка', { reply_markup: { inline_keyboard: [] } });
+        expect(await OutboundMessage.findPending()).toEqual([]);
+    });
+
+    test('должен соблюдать общий лимит и паузу для одного чата', async () => {
+        const sends = [];
+        bot.sendMessage.mockImplementation(async (chatId) => {
+            sends.push({ chatId, at: now });
+            return { message_id: 1 };
+        });
+
+        await queue.sendMessage(200, 'первое');
+        await queue.sendMessage(200, 'второе');
+        await queue.sendMessage(201, 'третье');
+        await queue.idle();
+
+        expect(sends).toHaveLength(3);
+        for (let i = 1; i < sends.length; i++) {
+            expect(sends[i].at - sends[i - 1].at).toBeGreaterThanOrEqual(100);
+        }
+
+        const [first, second] = sends.filter(send => send.chatId === 200);
+        expect(second.at - first.at).toBeGreaterThanOrEqual(1000);
+    });
+
+    test('должен ждать retry_after при ответе 429 и не засчитывать попытку', async () => {
+        bot.sendMessage
+            .mockRejectedValueOnce(telegramError(429, 'Too Many Requests: retry after 7', { retry_after: 7 }))
+            .mockRejectedValueOnce(telegramError(429, 'Too Many Requests: retry after 3', { retry_after: 3 }));
+
+        const message = await queue.deliver('sendMessage', 200, 'Тест');
+
+        expect(message).toMatchObject({ message_id: 1 });
+        expect(sleep).toHaveBeenCalledWith(7000);
+        expect(sleep).toHaveBeenCalledWith(3000);
+        expect(bot.sendMessage).toHaveBeenCalledTimes(3);
+    });
+
+    test('должен повторять ошибки с растущей паузой и сохранять отказ после последней попытки', async () => {
+        bot.sendMessage.mockRejectedValue(telegramError(400, 'Bad Request: message is too long'));
+
+        await queue.sendMessage(200, 'x');
+        await queue.idle();
+
+        expect(bot.sendMessage).toHaveBeenCalledTimes(3);
+        expect(sleep).toHaveBeenCalledWith(5000);
+        expect(sleep).toHaveBeenCalledWith(10000);
+
+        const row = await database.get('SELECT status, attempts, error FROM outbound_messages');
+        expect(row).toEqual({ status: 'failed', attempts: 3, error: 'Bad Request: message is too long' });
+    });
+
+    test('должен возвращать ошибку deliver после первой неудачной попытки', async () => {
+        bot.sendMessage.mockRejectedValue(telegramError(400, 'Bad Request: chat_id is empty'));
+
+        await expect(queue.deliver('sendMessage', 200, 'x')).rejects.toThrow('chat_id is empty');
+        expect(bot.sendMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('должен отмечать заблокировавших бота и пропускать их уведомления', async () => {
+        bot.sendMessage.mockRejectedValueOnce(telegramError(403, 'Forbidden: bot was blocked by the user'));
+
+        await queue.sendMessage(201, 'первое');
+        await queue.idle();
+
+        expect((await User.findByTelegramId(201)).isUnreachable()).toBe(true);
+        expect(await database.get('SELECT status FROM outbound_messages')).toEqual({ status: 'unreachable' });
+
+        expect(await queue.sendMessage(201, 'второе')).toBe(false);
+        await expect(queue.deliver('sendMessage', 201, 'третье')).rejects.toThrow('недоступен');
+        expect(OutboundQueue.isUnreachable(OutboundQueue.unreachableError(201))).toBe(true);
+        expect(bot.sendMessage).toHaveBeenCalledTimes(1);
+
+        // Пользователь снова написал боту
+        await queue.trackUpdate({ update_id: 1, message: { from: { id: 201 }, chat: { id: 201 }, text: 'привет' } });
+        expect((await User.findByTelegramId(201)).isUnreachable()).toBe(false);
+        expect(await queue.sendMessage(201, 'четвертое')).toBe(true);
+    });
+
+    test('должен отмечать пользователя по my_chat_member и загружать отметку при запуске', async () => {
+        const memberUpdate = (status) => ({
+            update_id: 2,
+            my_chat_member: {
+                chat: { id: 200, type: 'private' },
+                from: { id: 200 },
+                new_chat_member: { status, user: { id: 1, is_bot: true } }
+            }
+        });
+
+        await queue.trackUpdate(memberUpdate('kicked'));
+        expect((await User.findByTelegramId(200)).isUnreachable()).toBe(true);
+
+        const restarted = createQueue();
+        await restarted.start();
+        expect(await restarted.sendMessage(200, 'Тест')).toBe(false);
+
+        await restarted.trackUpdate(memberUpdate('member'));
+        expect((await User.findByTelegramId(200)).isUnreachable()).toBe(false);
+        restarted.stop();
+    });
+
+    test('должен отправлять после перезапуска сохраненные уведомления', async () => {
+        queue.stop();
+        await queue.sendMessage(200, 'Одобрено');
+        await queue.sendPhoto(201, '/photos/garage_requests/a.jpg', { caption: 'Заявка' });
+        expect(bot.sendMessage).not.toHaveBeenCalled();
+
+        const restarted = createQueue();
+        expect(await restarted.start()).toBe(2);
+        await restarted.idle();
+
+        expect(bot.sendMessage).toHaveBeenCalledWith('200', 'Одобрено');
+        expect(bot.sendPhoto).toHaveBeenCalledWith('201', '/photos/garage_requests/a.jpg', { caption: 'Заявка' });
+        expect(await OutboundMessage.findPending()).toEqual([]);
+        restarted.stop();
+    });
+
+    test('должен удалять старые записи о недоставленных уведомлениях', async () => {
+        const message = await OutboundMessage.create({ chat_id: 200, method: 'sendMessage', args: ['x'] });
+        await message.fail('failed', 1, 'ошибка');
+        await database.run('UPDATE outbound_messages SET updated_at = datetime(\'now\', \'-8 days\')');
+        await OutboundMessage.create({ chat_id: 201, method: 'sendMessage', args: ['y'] });
+
+        expect(await queue.cleanup()).toBe(1);
+        expect(await OutboundMessage.findPending()).toHaveLength(1);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,184 @@
+const Payout = require('../src/database/models/payout');
+const User = require('../src/database/models/user');
+const database = require('../src/database/connection');
+
+describe('Payout Model', () => {
+    let testUser;
+    let adminUser;
+
+    /**
+     * Создать заявку гаража для выплаты
+     */
+    const createRequest = async (userId, telegramId) => {
+        const result = await database.run(
+            'INSERT INTO garage_requests (car_id, user_id, telegram_id, photo_path) VALUES (1, ?, ?, ?)',
+            [userId, String(telegramId), '/tmp/photo.jpg']
+        );
+        return result.id;
+    };
+
+    beforeAll(async () => {
+        await database.connect();
+
+        await database.run(`
+            CREATE TABLE IF NOT EXISTS users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                telegram_id INTEGER NOT NULL UNIQUE,
+                username TEXT,
+                first_name TEXT,
+                last_name TEXT,
+                language_code TEXT,
+                is_bot INTEGER DEFAULT 0,
+                authorized INTEGER DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await database.run(`
+            CREATE TABLE IF NOT EXISTS garage (
+                car_id INTEGER PRIMARY KEY,
+                car_name TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'Хорошее',
+                last_maintenance DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await database.run(`
+            CREATE TABLE IF NOT EXISTS garage_requests (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                car_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                telegram_id TEXT NOT NULL,
+                photo_path TEXT NOT NULL,
+                payment_status TEXT NOT NULL DEFAULT 'Не выплачено',
+                reward_amount INTEGER,
+                admin_comment TEXT,
+                admin_id INTEGER,
+                submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                processed_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (car_id) REFERENCES garage (car_id),
+                FOREIGN KEY (user_id) REFERENCES users (id),
+                FOREIGN KEY (admin_id) REFERENCES users (id)
+            )
+        `);
+
+        await database.run(`
+            CREATE TABLE IF NOT EXISTS garage_payouts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                request_id INTEGER NOT NULL UNIQUE,
+                user_id INTEGER NOT NULL,
+                telegram_id TEXT NOT NULL,
+                amount INTEGER NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                paid_by INTEGER,
+                paid_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                CHECK (status IN ('pending', 'paid', 'cancelled')),
+                CHECK (amount > 0),
+                FOREIGN KEY (request_id) REFERENCES garage_requests (id),
+                FOREIGN KEY (user_id) REFERENCES users (id),
+                FOREIGN KEY (paid_by) REFERENCES users (id)
+            )
+        `);
+    });
+
+    beforeEach(async () => {
+        await database.run('DELETE FROM garage_payouts');
+        await database.run('DELETE FROM garage_requests');
+        await database.run('DELETE FROM users');
+        await database.run('DELETE FROM garage');
+
+        testUser = await User.create({ telegram_id: 123456789, username: 'member', first_name: 'Member', authorized: 1 });
+        adminUser = await User.create({ telegram_id: 987654321, username: 'treasurer', first_name: 'Treasurer', authorized: 1 });
+        await database.run('INSERT INTO garage (car_id, car_name, status) VALUES (1, \'TestCar\', \'Среднее\')');
+    });
+
+    afterAll(async () => {
+        await database.run('DELETE FROM garage_payouts');
+        await database.run('DELETE FROM garage_requests');
+        await database.run('DELETE FROM users');
+        await database.run('DELETE FROM garage');
+        await database.close();
+    });
+
+    describe('create', () => {
+        test('должен создать выплату в статусе ожидания', async () => {
+            const requestId = await createRequest(testUser.id, testUser.telegram_id);
+
+            const payout = await Payout.create({
+                request_id: requestId,
+                user_id: testUser.id,
+                telegram_id: testUser.telegram_id,
+                amount: 3000000
+            });
+
+            expect(payout).toBeInstanceOf(Payout);
+            expect(payout.isPending()).toBe(true);
+            expect(payout.amount).toBe(3000000);
+            expect(await Payout.findByRequestId(requestId)).toEqual(payout);
+        });
+
+        test('не должен создавать вторую выплату по той же заявке', async () => {
+            const requestId = await createRequest(testUser.id, testUser.telegram_id);
+            const payoutData = { request_id: requestId, user_id: testUser.id, telegram_id: testUser.telegram_id, amount: 3000000 };
+
+            await Payout.create(payoutData);
+
+            await expect(Payout.create(payoutData)).rejects.toThrow('Ошибка создания выплаты');
+        });
+    });
+
+    describe('markPaid', () => {
+        test('должен отметить выплату и запретить повторную отметку', async () => {
+            const requestId = await createRequest(testUser.id, testUser.telegram_id);
+            const payout = await Payout.create({ request_id: requestId, user_id: testUser.id, telegram_id: testUser.telegram_id, amount: 3000000 });
+
+            await payout.markPaid(adminUser.id);
+
+            const saved = await Payout.findById(payout.id);
+            expect(saved.status).toBe('paid');
+            expect(saved.paid_by).toBe(adminUser.id);
+            expect(saved.paid_at).not.toBeNull();
+
+            await expect(saved.markPaid(adminUser.id)).rejects.toThrow('выплата уже обработана');
+        });
+    });
+
+    describe('balance', () => {
+        test('должен считать задолженность и выплаченное по пользователю', async () => {
+            const payouts = [];
+            for (let i = 0; i < 3; i++) {
+                const requestId = await createRequest(testUser.id, testUser.telegram_id);
+                payouts.push(await Payout.create({ request_id: requestId, user_id: testUser.id, telegram_id: testUser.telegram_id, amount: 3000000 }));
+            }
+            await payouts[0].markPaid(adminUser.id);
+
+            const balance = await Payout.getBalance(testUser.id);
+            expect(balance).toEqual({ outstanding: 6000000, outstandingCount: 2, paid: 3000000, paidCount: 1 });
+
+            const byUser = await Payout.getOutstandingByUser();
+            expect(byUser).toEqual([{ user_id: testUser.id, telegram_id: String(testUser.telegram_id), count: 2, amount: 6000000 }]);
+
+            const outstanding = await Payout.findOutstanding();
+            expect(outstanding.map(payout => payout.id)).toEqual([payouts[1].id, payouts[2].id]);
+        });
+
+        test('должен возвращать нулевой баланс без выплат', async () => {
+            const balance = await Payout.getBalance(testUser.id);
+            expect(balance).toEqual({ outstanding: 0, outstandingCount: 0, paid: 0, paidCount: 0 });
+        });
+    });
+
+    describe('formatAmount', () => {
+        test('должен форматировать суммы в миллионах', () => {
+            expect(Payout.formatAmount(3000000)).toBe('3 млн');
+            expect(Payout.formatAmount(2500000)).toBe('2,5 млн');
+            expect(Payout.formatAmount(0)).toBe('0');
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,82 @@
+const PhotoFingerprint = require('../src/database/models/photoFingerprint');
+const database = require('../src/database/connection');
+
+const createFingerprint = (data) => PhotoFingerprint.create({
+    source: 'garage',
+    request_id: 1,
+    telegram_id: 444444444,
+    car_id: 2,
+    file_path: '/photos/1.jpg',
+    sha256: 'a'.repeat(64),
+    phash: 'ffff0000ffff0000',
+    ...data
+});
+
+describe('PhotoFingerprint Model', () => {
+    beforeAll(async () => {
+        await database.connect();
+
+        await database.run(`
+            CREATE TABLE IF NOT EXISTS photo_fingerprints (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                source TEXT NOT NULL,
+                request_id INTEGER NOT NULL,
+                telegram_id TEXT NOT NULL,
+                car_id INTEGER,
+                file_path TEXT NOT NULL,
+                sha256 TEXT NOT NULL,
+                phash TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                CHECK (source IN ('garage', 'auth'))
+            )
+        `);
+    });
+
+    beforeEach(async () => {
+        await database.run('DELETE FROM photo_fingerprints');
+    });
+
+    afterAll(async () => {
+        await database.run('DELETE FROM photo_fingerprints');
+        await database.close();
+    });
+
+    describe('create', () => {
+        test('должен сохранять отпечаток фото', async () => {
+            const fingerprint = await createFingerprint({ source: 'auth', car_id: null });
+
+            expect(fingerprint.id).toBeDefined();
+            expect(fingerprint.source).toBe('auth');
+            expect(fingerprint.telegram_id).toBe('444444444');
+            expect(fingerprint.car_id).toBeNull();
+        });
+
+        test('должен отклонять неизвестный источник', async () => {
+            await expect(createFingerprint({ source: 'chat' })).rejects.toThrow('неизвестный источник');
+        });
+    });
+
+    describe('findFirstBySha256', () => {
+        test('должен находить самую раннюю отправку файла', async () => {
+            const first = await createFingerprint({ request_id: 1 });
+            await createFingerprint({ request_id: 2 });
+
+            const found = await PhotoFingerprint.findFirstBySha256('a'.repeat(64));
+
+            expect(found.id).toBe(first.id);
+            expect(await PhotoFingerprint.findFirstBySha256('b'.repeat(64))).toBeNull();
+        });
+    });
+
+    describe('findWithPerceptualHash', () => {
+        test('должен пропускать фото без перцептивного хэша', async () => {
+            await createFingerprint({ request_id: 1 });
+            await createFingerprint({ request_id: 2, sha256: 'b'.repeat(64), phash: null });
+
+            const fingerprints = await PhotoFingerprint.findWithPerceptualHash();
+
+            expect(fingerprints).toHaveLength(1);
+            expect(fingerprints[0].request_id).toBe(1);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const PhotoHasher = require('../src/components/PhotoHasher');
+
+const PHOTOS_DIR = path.join(__dirname, '..', 'photos');
+// Прогрессивный JPEG 1017x640 и baseline JPEG 800x147 из сохраненных заявок
+const PROGRESSIVE_PHOTO = path.join(PHOTOS_DIR, 'auth_requests', '1756023174404_6691839351.jpg');
+const BASELINE_PHOTO = path.join(PHOTOS_DIR, 'auth_requests', '1756030564972_6468605689.jpg');
+const GARAGE_PHOTO = path.join(PHOTOS_DIR, 'garage_requests', '1756029937564_6677130873_car1.jpg');
+
+describe('PhotoHasher', () => {
+    describe('decodeLuma', () => {
+        test('должен получать яркость в масштабе 1:8 из baseline и progressive JPEG', () => {
+            const progressive = PhotoHasher.decodeLuma(fs.readFileSync(PROGRESSIVE_PHOTO));
+            const baseline = PhotoHasher.decodeLuma(fs.readFileSync(BASELINE_PHOTO));
+
+            expect(progressive).toMatchObject({ width: 128, height: 80 });
+            expect(progressive.pixels).toHaveLength(128 * 80);
+            expect(baseline).toMatchObject({ width: 100, height: 19 });
+            expect(baseline.pixels).toHaveLength(100 * 19);
+        });
+
+        test('должен возвращать null для других форматов', () => {
+            expect(PhotoHasher.decodeLuma(Buffer.from('\x89PNG\r\n\x1a\n', 'binary'))).toBeNull();
+            expect(PhotoHasher.perceptualHash(Buffer.from('not an image'))).toBeNull();
+        });
+    });
+
+    describe('perceptualHash', () => {
+        test('должен давать одинаковый хэш для копии и разные для разных фото', () => {
+            const hashes = [PROGRESSIVE_PHOTO, BASELINE_PHOTO, GARAGE_PHOTO]
+                .map(photo => PhotoHasher.perceptualHash(fs.readFileSync(photo)));
+            const copy = PhotoHasher.perceptualHash(Buffer.from(fs.readFileSync(GARAGE_PHOTO)));
+
+            hashes.forEach(hash => expect(hash).toMatch(/^[0-9a-f]{16}$/));
+            expect(PhotoHasher.hammingDistance(copy, hashes[2])).toBe(0);
+            expect(PhotoHasher.hammingDistance(hashes[0], hashes[1])).toBeGreaterThan(10);
+            expect(PhotoHasher.hammingDistance(hashes[1], hashes[2])).toBeGreaterThan(10);
+        });
+
+        test('должен почти не меняться при изменении размера изображения', () => {
+            const image = PhotoHasher.decodeLuma(fs.readFileSync(PROGRESSIVE_PHOTO));
+            // Уменьшение вдвое: среднее каждых 2x2 точек
+            const half = { width: image.width / 2, height: image.height / 2, pixels: [] };
+            for (let y = 0; y < half.height; y++) {
+                for (let x = 0; x < half.width; x++) {
+                    const index = y * 2 * image.width + x * 2;
+                    half.pixels.push((image.pixels[index] + image.pixels[index + 1] +
+                        image.pixels[index + image.width] + image.pixels[index + image.width + 1]) / 4);
+                }
+            }
+
+            const distance = PhotoHasher.hammingDistance(
+                PhotoHasher.differenceHash(image),
+                PhotoHasher.differenceHash(half)
+            );
+
+            expect(distance).toBeLessThanOrEqual(6);
+        });
+    });
+
+    describe('hammingDistance', () => {
+        test('должен считать отличающиеся биты', () => {
+            expect(PhotoHasher.hammingDistance('00ff', '00ff')).toBe(0);
+            expect(PhotoHasher.hammingDistance('0000', '000f')).toBe(4);
+            expect(PhotoHasher.hammingDistance('f0f0', '0f0f')).toBe(16);
+            expect(() => PhotoHasher.hammingDistance('00', '000')).toThrow('разная длина');
+        });
+    });
+
+    describe('sha256', () => {
+        test('должен возвращать точный отпечаток файла', () => {
+            expect(PhotoHasher.sha256(Buffer.from('photo'))).toHaveLength(64);
+            expect(PhotoHasher.sha256(Buffer.from('photo'))).not.toBe(PhotoHasher.sha256(Buffer.from('photo2')));
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,265 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+jest.mock('../src/database/models/garageRequest', () => ({ findPhotoPathsInUse: jest.fn() }));
+jest.mock('../src/database/models/authRequest', () => ({ findPhotoPathsInUse: jest.fn() }));
+
+const GarageRequest = require('../src/database/models/garageRequest');
+const AuthRequest = require('../src/database/models/authRequest');
+const LocalBackend = require('../src/storage/localBackend');
+const S3Backend = require('../src/storage/s3Backend');
+const { PhotoStorage } = require('../src/storage/photoStorage');
+const PhotoRetentionService = require('../src/components/PhotoRetentionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Локальная замена S3: объекты в памяти, ListObjectsV2 в XML
+ */
+const createS3StandIn = () => {
+    const objects = new Map();
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers });
+            const url = new URL(req.url, 'http://localhost');
+            const key = decodeURIComponent(url.pathname.replace(/^\/photos\/?/, ''));
+
+            if (req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+                const prefix = url.searchParams.get('prefix') || '';
+                const contents = [...objects.entries()]
+                    .filter(([name]) => name.startsWith(prefix))
+                    .map(([name, object]) => `<Contents><Key>${name}</Key><LastModified>${object.modifiedAt.toISOString()}</LastModified></Contents>`)
+                    .join('');
+                res.end(`<?xml version="1.0"?><ListBucketResult><IsTruncated>false</IsTruncated>${contents}</ListBucketResult>`);
+                return;
+            }
+
+            const object = objects.get(key);
+            switch (req.method) {
+            case 'PUT':
+                objects.set(key, { body: Buffer.concat(chunks), modifiedAt: new Date() });
+                res.end();
+                return;
+            case 'GET':
+            case 'HEAD':
+                res.statusCode = object ? 200 : 404;
+                res.end(req.method === 'GET' && object ? object.body : undefined);
+                return;
+            case 'DELETE':
+                objects.delete(key);
+                res.statusCode = 204;
+                res.end();
+                return;
+            default:
+                res.statusCode = 405;
+                res.end();
+            }
+        });
+    });
+
+    return { server, objects, requests };
+};
+
+describe('PhotoStorage', () => {
+    let tempDir;
+    let storage;
+
+    const photo = Buffer.from('jpeg-photo-contents');
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'photo-storage-test-'));
+        storage = new PhotoStorage(new LocalBackend({ rootDir: path.join(tempDir, 'photos') }), {
+            cacheDir: path.join(tempDir, 'cache'),
+            localRoot: path.join(tempDir, 'photos')
+        });
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('должен сохранять фото под ключом по содержимому', async () => {
+        const key = await storage.save('garage_requests', photo);
+
+        expect(key).toMatch(/^garage_requests\/[0-9a-f]{64}\.jpg$/);
+        expect(await storage.read(key)).toEqual(photo);
+        expect(await storage.exists(key)).toBe(true);
+    });
+
+    test('должен хранить одинаковые фото один раз', async () => {
+        const first = await storage.save('auth_requests', photo);
+        const second = await storage.save('auth_requests', Buffer.from(photo));
+
+        expect(second).toBe(first);
+        expect(fs.readdirSync(path.join(tempDir, 'photos', 'auth_requests'))).toHaveLength(1);
+    });
+
+    test('должен отклонять неизвестную категорию и выход за корень', async () => {
+        await expect(storage.save('profiles', photo)).rejects.toThrow('Unknown photo category');
+        await expect(storage.read('../secret.jpg')).rejects.toThrow('Invalid photo key');
+    });
+
+    test('должен работать со старыми абсолютными путями', async () => {
+        const legacyPath = path.join(tempDir, 'photos', 'garage_requests', '1756029937564_1_car1.jpg');
+        fs.mkdirSync(path.dirname(legacyPath), { recursive: true });
+        fs.writeFileSync(legacyPath, photo);
+
+        expect(await storage.read(legacyPath)).toEqual(photo);
+        expect(await storage.getLocalPath(legacyPath)).toBe(legacyPath);
+        expect(storage.toKey(legacyPath)).toBe('garage_requests/1756029937564_1_car1.jpg');
+        expect(await storage.remove(legacyPath)).toBe(true);
+        expect(await storage.exists(legacyPath)).toBe(false);
+        expect(await storage.remove(legacyPath)).toBe(false);
+    });
+
+    test('должен сохранять фото, загруженное из Telegram, и удалять временный файл', async () => {
+        const bot = {
+            downloadFile: jest.fn(async (fileId, dir) => {
+                const filePath = path.join(dir, `${fileId}.jpg`);
+                fs.writeFileSync(filePath, photo);
+                return filePath;
+            })
+        };
+
+        const key = await storage.saveFromTelegram(bot, 'file_1', 'garage_requests');
+
+        expect(await storage.read(key)).toEqual(photo);
+        expect(fs.readdirSync(path.join(tempDir, 'cache', 'incoming'))).toHaveLength(0);
+    });
+
+    test('должен удалять при очистке только ненужные файлы старше льготного периода', async () => {
+        const now = new Date();
+        const keptKey = await storage.save('garage_requests', Buffer.from('kept'));
+        const orphanKey = await storage.save('garage_requests', Buffer.from('orphan'));
+        const freshKey = await storage.save('auth_requests', Buffer.from('fresh'));
+
+        const old = new Date(now.getTime() - 2 * DAY_MS);
+        fs.utimesSync(path.join(tempDir, 'photos', keptKey), old, old);
+        fs.utimesSync(path.join(tempDir, 'photos', orphanKey), old, old);
+
+        const removed = await storage.sweep(new Set([keptKey]), { now, graceMs: DAY_MS });
+
+        expect(removed).toBe(1);
+        expect(await storage.exists(keptKey)).toBe(true);
+        expect(await storage.exists(orphanKey)).toBe(false);
+        expect(await storage.exists(freshKey)).toBe(true);
+    });
+
+    test('должен учитывать старые абсолютные пути среди используемых при очистке', async () => {
+        const legacyPath = path.join(tempDir, 'photos', 'auth_requests', '1756023174404_1.jpg');
+        fs.mkdirSync(path.dirname(legacyPath), { recursive: true });
+        fs.writeFileSync(legacyPath, photo);
+
+        const removed = await storage.sweep(new Set([legacyPath]), { now: new Date(Date.now() + 2 * DAY_MS), graceMs: DAY_MS });
+
+        expect(removed).toBe(0);
+        expect(fs.existsSync(legacyPath)).toBe(true);
+    });
+});
+
+describe('S3Backend', () => {
+    let standIn;
+    let backend;
+    let storage;
+    let tempDir;
+
+    beforeAll(async () => {
+        standIn = createS3StandIn();
+        await new Promise(resolve => standIn.server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => standIn.server.close(resolve));
+    });
+
+    beforeEach(() => {
+        standIn.objects.clear();
+        standIn.requests.length = 0;
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'photo-storage-s3-test-'));
+        backend = new S3Backend({
+            endpoint: `http://127.0.0.1:${standIn.server.address().port}`,
+            region: 'us-east-1',
+            bucket: 'photos',
+            accessKeyId: 'test-key',
+            secretAccessKey: 'test-secret'
+        });
+        storage = new PhotoStorage(backend, { cacheDir: tempDir });
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('должен требовать бакет и ключи доступа', () => {
+        expect(() => new S3Backend({ endpoint: 'http://127.0.0.1' })).toThrow('S3_BUCKET');
+    });
+
+    test('должен сохранять, читать и удалять объекты с подписью запросов', async () => {
+        const key = await storage.save('garage_requests', Buffer.from('s3-photo'));
+
+        expect(standIn.objects.has(key)).toBe(true);
+        expect(await storage.read(key)).toEqual(Buffer.from('s3-photo'));
+        expect(await storage.remove(key)).toBe(true);
+        expect(await storage.read(key)).toBeNull();
+        expect(await storage.remove(key)).toBe(false);
+
+        const put = standIn.requests.find(request => request.method === 'PUT');
+        expect(put.url).toBe(`/photos/${key}`);
+        expect(put.headers.authorization).toMatch(/^AWS4-HMAC-SHA256 Credential=test-key\/\d{8}\/us-east-1\/s3\/aws4_request, SignedHeaders=host;x-amz-content-sha256;x-amz-date, Signature=[0-9a-f]{64}$/);
+    });
+
+    test('должен кешировать локальную копию для отправки в Telegram', async () => {
+        const key = await storage.save('auth_requests', Buffer.from('s3-photo'));
+
+        const localPath = await storage.getLocalPath(key);
+
+        expect(localPath).toBe(path.join(tempDir, key));
+        expect(fs.readFileSync(localPath)).toEqual(Buffer.from('s3-photo'));
+        expect(await storage.getLocalPath('auth_requests/missing.jpg')).toBeNull();
+    });
+
+    test('должен перечислять объекты категории и удалять ненужные при очистке', async () => {
+        const keptKey = await storage.save('garage_requests', Buffer.from('kept'));
+        const orphanKey = await storage.save('auth_requests', Buffer.from('orphan'));
+
+        expect((await backend.list('garage_requests')).map(object => object.key)).toEqual([keptKey]);
+
+        const removed = await storage.sweep(new Set([keptKey]), { now: new Date(Date.now() + DAY_MS), graceMs: 0 });
+
+        expect(removed).toBe(1);
+        expect([...standIn.objects.keys()]).toEqual([keptKey]);
+        expect(standIn.objects.has(orphanKey)).toBe(false);
+    });
+});
+
+describe('PhotoRetentionService', () => {
+    test('должен сохранять фото нерассмотренных и недавно рассмотренных заявок', async () => {
+        const now = new Date('2026-03-01T00:00:00Z');
+        GarageRequest.findPhotoPathsInUse.mockResolvedValue(['garage_requests/a.jpg']);
+        AuthRequest.findPhotoPathsInUse.mockResolvedValue(['auth_requests/b.jpg', 'garage_requests/a.jpg']);
+        const storage = { sweep: jest.fn().mockResolvedValue(3) };
+        const service = new PhotoRetentionService(storage, {
+            retentionDays: { garage_requests: 10, auth_requests: 20 },
+            orphanGraceMs: DAY_MS
+        });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const removed = await service.sweep(now);
+
+        expect(removed).toBe(3);
+        expect(GarageRequest.findPhotoPathsInUse).toHaveBeenCalledWith('2026-02-19T00:00:00.000Z');
+        expect(AuthRequest.findPhotoPathsInUse).toHaveBeenCalledWith('2026-02-09T00:00:00.000Z');
+        expect(storage.sweep).toHaveBeenCalledWith(
+            new Set(['garage_requests/a.jpg', 'auth_requests/b.jpg']),
+            { now, graceMs: DAY_MS }
+        );
+
+        console.log.mockRestore();
+    });
+});
\ No newline at end of file
@@ -318,6 +318,21 @@ describe('ProfileFormatter', () => {
         });
     });
 
+    describe('formatUnauthorizedInfo', () => {
+        test('should show rejection reason for rejected request', () => {
+            const authRequest = { hasRequest: true, status: 'rejected', rejectionReason: 'Скриншот <нечитаемый>' };
+            const result = profileFormatter.formatUnauthorizedInfo(authRequest);
+            expect(result).toContain('Подача заявки: Отклонена');
+            expect(result).toContain('Причина отказа: Скриншот &lt;нечитаемый&gt;');
+        });
+
+        test('should not show rejection reason for pending request', () => {
+            const authRequest = { hasRequest: true, status: 'pending' };
+            const result = profileFormatter.formatUnauthorizedInfo(authRequest);
+            expect(result).not.toContain('Причина отказа');
+        });
+    });
+
     describe('formatProfileCompleteness', () => {
         test('should format 100% completeness with full progress bar', () => {
             const result = profileFormatter.formatProfileCompleteness(100);
@@ -0,0 +1,98 @@
+const QueryBuilder = require('../src/database/queryBuilder');
+
+const createDb = () => ({
+    all: jest.fn().mockResolvedValue([]),
+    get: jest.fn().mockResolvedValue({ count: 3 }),
+    run: jest.fn().mockResolvedValue({ id: 1, changes: 1 })
+});
+
+describe('QueryBuilder', () => {
+    let db;
+
+    beforeEach(() => {
+        db = createDb();
+    });
+
+    test('должен собирать SELECT с параметрами вместо подстановки значений', () => {
+        const { sql, params } = new QueryBuilder('garage_requests', db)
+            .select('id', 'payment_status')
+            .where('telegram_id = ?', '123')
+            .where('submitted_at > datetime(\'now\', ?)', '-24 hours')
+            .whereIn('payment_status', ['Принято', 'Отклонено'])
+            .orderBy('submitted_at DESC')
+            .limit(5)
+            .offset(10)
+            .toSQL();
+
+        expect(sql).toBe(
+            'SELECT id, payment_status FROM garage_requests WHERE (telegram_id = ?) AND (submitted_at > datetime(\'now\', ?)) ' +
+            'AND payment_status IN (?, ?) ORDER BY submitted_at DESC LIMIT ? OFFSET ?'
+        );
+        expect(params).toEqual(['123', '-24 hours', 'Принято', 'Отклонено', 5, 10]);
+    });
+
+    test('должен превращать объект условий в сравнения и IS NULL', () => {
+        const { sql, params } = new QueryBuilder('garage', db).where({ car_id: 7, status: null }).toSQL();
+
+        expect(sql).toBe('SELECT * FROM garage WHERE car_id = ? AND status IS NULL');
+        expect(params).toEqual([7]);
+    });
+
+    test('должен не находить ничего для пустого списка IN', () => {
+        expect(new QueryBuilder('garage', db).whereIn('car_id', []).toSQL().sql).toBe('SELECT * FROM garage WHERE 0 = 1');
+    });
+
+    test('должен считать строки без сортировки и пагинации', async () => {
+        const count = await new QueryBuilder('garage_requests', db)
+            .where({ user_id: 1 })
+            .orderBy('id DESC')
+            .limit(5)
+            .count();
+
+        expect(count).toBe(3);
+        expect(db.get).toHaveBeenCalledWith('SELECT COUNT(*) as count FROM garage_requests WHERE user_id = ?', [1]);
+    });
+
+    test('должен обновлять строки, пропуская undefined и не связывая raw-фрагменты', async () => {
+        await new QueryBuilder('garage', db)
+            .where({ car_id: 2 })
+            .update({
+                status: 'Хорошее',
+                last_maintenance: undefined,
+                updated_at: QueryBuilder.raw('CURRENT_TIMESTAMP')
+            });
+
+        expect(db.run).toHaveBeenCalledWith(
+            'UPDATE garage SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE car_id = ?',
+            ['Хорошее', 2]
+        );
+    });
+
+    test('должен вставлять и удалять строки', async () => {
+        await new QueryBuilder('reward_rules', db).insert({ rule_type: 'base', amount: 100 });
+        await new QueryBuilder('reward_rules', db).where({ id: 4 }).delete();
+
+        expect(db.run).toHaveBeenNthCalledWith(1, 'INSERT INTO reward_rules (rule_type, amount) VALUES (?, ?)', ['base', 100]);
+        expect(db.run).toHaveBeenNthCalledWith(2, 'DELETE FROM reward_rules WHERE id = ?', [4]);
+    });
+
+    test('должен отклонять недопустимые имена колонок', async () => {
+        await expect(new QueryBuilder('users', db).update({ 'name = 1; --': 'x' })).rejects.toThrow('Invalid column name');
+        expect(() => new QueryBuilder('users', db).where({ 'id OR 1': 1 })).toThrow('Invalid column name');
+    });
+
+    describe('interval', () => {
+        test('должен строить модификатор datetime', () => {
+            expect(QueryBuilder.interval(24, 'hours')).toBe('-24 hours');
+            expect(QueryBuilder.interval('7 days')).toBe('-7 days');
+            expect(QueryBuilder.interval('1 day')).toBe('-1 days');
+            expect(QueryBuilder.interval(30, 'day')).toBe('-30 days');
+        });
+
+        test('должен отклонять произвольный текст', () => {
+            expect(() => QueryBuilder.interval('7 days\')) OR 1=1 --')).toThrow('Invalid interval');
+            expect(() => QueryBuilder.interval('1; DROP TABLE users', 'hours')).toThrow('Invalid interval');
+            expect(() => QueryBuilder.interval(5, 'weeks')).toThrow('Invalid interval');
+        });
+    });
+});
\ No newline at end of file
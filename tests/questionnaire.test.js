@@ -0,0 +1,219 @@
+const Questionnaire = require('../src/components/Questionnaire');
+const { QUESTIONNAIRE_STEPS } = require('../config/questionnaire');
+const { I18n } = require('../src/i18n');
+const ru = require('../src/i18n/locales/ru');
+const en = require('../src/i18n/locales/en');
+
+// Каталог с вопросами тестовой анкеты
+const localizer = new I18n({
+    ru: {
+        ...ru,
+        quiz: {
+            nickname: 'Введите никнейм',
+            nickname_error: 'Неверный никнейм',
+            level: 'Ваш уровень?',
+            server: 'Выберите сервер',
+            about: 'Расскажите о себе',
+            screenshot: 'Отправьте скриншот'
+        }
+    },
+    en: {
+        ...en,
+        quiz: {
+            nickname: 'Enter your nickname',
+            nickname_error: 'Invalid nickname',
+            level: 'Your level?',
+            server: 'Choose a server',
+            about: 'Tell us about yourself',
+            screenshot: 'Send a screenshot'
+        }
+    }
+}, { defaultLocale: 'ru' });
+const ruT = (key, params) => localizer.t('ru', key, params);
+const enT = (key, params) => localizer.t('en', key, params);
+
+const STEPS = [
+    {
+        key: 'nickname',
+        type: 'text',
+        label: 'Никнейм',
+        prompt: 'quiz.nickname',
+        pattern: '^[A-Za-z]+_[A-Za-z]+$',
+        error: 'quiz.nickname_error',
+        requestField: 'nickname'
+    },
+    {
+        key: 'level',
+        type: 'number',
+        label: 'Уровень',
+        prompt: 'quiz.level',
+        integer: true,
+        min: 1,
+        max: 100
+    },
+    {
+        key: 'server',
+        type: 'choice',
+        label: 'Сервер',
+        prompt: 'quiz.server',
+        options: ['Первый', 'Второй']
+    },
+    {
+        key: 'about',
+        type: 'text',
+        label: 'О себе',
+        prompt: 'quiz.about',
+        optional: true
+    },
+    {
+        key: 'screenshot',
+        type: 'photo',
+        label: 'Скриншот',
+        prompt: 'quiz.screenshot',
+        requestField: 'photo_path'
+    }
+];
+
+describe('Questionnaire', () => {
+    let questionnaire;
+
+    beforeEach(() => {
+        questionnaire = new Questionnaire(STEPS);
+    });
+
+    describe('validateSteps', () => {
+        test('конфигурация по умолчанию должна быть корректной', () => {
+            expect(() => new Questionnaire(QUESTIONNAIRE_STEPS)).not.toThrow();
+        });
+
+        test('должен отклонять неизвестный тип шага', () => {
+            expect(() => new Questionnaire([{ ...STEPS[0] }, { key: 'x', type: 'video' }]))
+                .toThrow('Неизвестный тип шага');
+        });
+
+        test('должен отклонять повторяющиеся ключи', () => {
+            expect(() => new Questionnaire([STEPS[0], STEPS[0]])).toThrow('повторяется');
+        });
+
+        test('должен требовать варианты для шага выбора', () => {
+            expect(() => new Questionnaire([STEPS[0], { key: 'server', type: 'choice' }]))
+                .toThrow('варианты ответа');
+        });
+
+        test('должен требовать обязательный шаг никнейма', () => {
+            expect(() => new Questionnaire([STEPS[1]])).toThrow('requestField: nickname');
+            expect(() => new Questionnaire([{ ...STEPS[0], optional: true }])).toThrow('requestField: nickname');
+        });
+    });
+
+    describe('buildPrompt', () => {
+        test('должен показывать прогресс без клавиатуры для текстового шага', () => {
+            const prompt = questionnaire.buildPrompt(0, ruT);
+
+            expect(prompt.text).toContain('Введите никнейм');
+            expect(prompt.text).toContain('Шаг 1 из 5');
+            expect(prompt.options).toEqual({});
+        });
+
+        test('должен добавлять кнопки вариантов', () => {
+            const { options } = questionnaire.buildPrompt(2, ruT);
+
+            expect(options.reply_markup.inline_keyboard).toEqual([
+                [{ text: 'Первый', callback_data: 'auth_choice_0' }],
+                [{ text: 'Второй', callback_data: 'auth_choice_1' }]
+            ]);
+        });
+
+        test('должен добавлять кнопку пропуска для необязательного шага', () => {
+            const { options } = questionnaire.buildPrompt(3, ruT);
+
+            expect(options.reply_markup.inline_keyboard).toEqual([
+                [{ text: '⏭️ Пропустить', callback_data: Questionnaire.SKIP_CALLBACK }]
+            ]);
+            expect(questionnaire.canSkip(3)).toBe(true);
+            expect(questionnaire.canSkip(0)).toBe(false);
+        });
+
+        test('должен задавать вопросы на языке пользователя', () => {
+            const prompt = questionnaire.buildPrompt(3, enT);
+
+            expect(prompt.text).toBe('Tell us about yourself\n\nStep 4 of 5');
+            expect(prompt.options.reply_markup.inline_keyboard).toEqual([
+                [{ text: '⏭️ Skip', callback_data: Questionnaire.SKIP_CALLBACK }]
+            ]);
+            expect(questionnaire.parseMessage(0, { text: 'Ivan Petrov' }, enT).error).toBe('Invalid nickname');
+            expect(questionnaire.parseMessage(1, { text: 'много' }, enT).error).toBe('🔢 Please send a number.');
+            expect(questionnaire.parseChoice(2, 5, enT).error).toBe('👆 Please choose one of the options with a button.');
+        });
+
+        test('анкета по умолчанию должна брать тексты из каталога', () => {
+            const defaults = new Questionnaire(QUESTIONNAIRE_STEPS);
+
+            expect(defaults.buildPrompt(0).text).toBe(`${ru.questionnaire.steps.nickname.prompt}\n\nШаг 1 из 2`);
+            expect(defaults.buildPrompt(1, enT).text).toContain(en.questionnaire.steps.screenshot.prompt);
+            expect(defaults.parseMessage(1, { text: 'нет фото' }, enT).error).toBe(en.questionnaire.errors.photo);
+        });
+    });
+
+    describe('parseMessage', () => {
+        test('должен проверять текст по регулярному выражению', () => {
+            expect(questionnaire.parseMessage(0, { text: ' Ivan_Petrov ' }, ruT)).toEqual({ valid: true, value: 'Ivan_Petrov' });
+            expect(questionnaire.parseMessage(0, { text: 'Ivan Petrov' }, ruT)).toEqual({ valid: false, error: 'Неверный никнейм' });
+            expect(questionnaire.parseMessage(0, { photo: [{}] }, ruT).valid).toBe(false);
+        });
+
+        test('должен проверять число и диапазон', () => {
+            expect(questionnaire.parseMessage(1, { text: '42' }, ruT)).toEqual({ valid: true, value: 42 });
+            expect(questionnaire.parseMessage(1, { text: '4.5' }, ruT).valid).toBe(false);
+            expect(questionnaire.parseMessage(1, { text: '0' }, ruT).valid).toBe(false);
+            expect(questionnaire.parseMessage(1, { text: '101' }, ruT).valid).toBe(false);
+            expect(questionnaire.parseMessage(1, { text: 'много' }, ruT).valid).toBe(false);
+        });
+
+        test('должен принимать выбор только кнопкой', () => {
+            expect(questionnaire.parseMessage(2, { text: 'Первый' }, ruT).valid).toBe(false);
+            expect(questionnaire.parseChoice(2, 1, ruT)).toEqual({ valid: true, value: 'Второй' });
+            expect(questionnaire.parseChoice(2, 5, ruT).valid).toBe(false);
+            expect(questionnaire.parseChoice(0, 0, ruT).valid).toBe(false);
+        });
+
+        test('должен возвращать file_id самого большого фото', () => {
+            const result = questionnaire.parseMessage(4, {
+                photo: [{ file_id: 'small' }, { file_id: 'large' }]
+            }, ruT);
+
+            expect(result).toEqual({ valid: true, fileId: 'large' });
+            expect(questionnaire.parseMessage(4, { text: 'нет фото' }, ruT).valid).toBe(false);
+        });
+    });
+
+    describe('answers', () => {
+        const answers = {
+            nickname: 'Ivan_Petrov',
+            level: 42,
+            server: 'Первый',
+            about: null,
+            screenshot: '/photos/auth_requests/1_123.jpg'
+        };
+
+        test('должен готовить записи ответов без пропущенных шагов', () => {
+            const records = questionnaire.buildAnswerRecords(answers);
+
+            expect(records.map(record => record.step_key)).toEqual(['nickname', 'level', 'server', 'screenshot']);
+            expect(records[1]).toEqual({ step_key: 'level', step_type: 'number', label: 'Уровень', value: 42 });
+        });
+
+        test('должен заполнять поля заявки', () => {
+            expect(questionnaire.getRequestFields(answers)).toEqual({
+                nickname: 'Ivan_Petrov',
+                photo_path: '/photos/auth_requests/1_123.jpg'
+            });
+        });
+
+        test('должен форматировать ответы для администратора без фото', () => {
+            const text = Questionnaire.formatAnswers(questionnaire.buildAnswerRecords(answers));
+
+            expect(text).toBe('▫️ Никнейм: Ivan_Petrov\n▫️ Уровень: 42\n▫️ Сервер: Первый');
+        });
+    });
+});
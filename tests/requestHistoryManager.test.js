@@ -0,0 +1,164 @@
+const RequestHistoryManager = require('../src/components/RequestHistoryManager');
+const GarageRequest = require('../src/database/models/garageRequest');
+const Garage = require('../src/database/models/garage');
+const Payout = require('../src/database/models/payout');
+const User = require('../src/database/models/user');
+
+// Mock модулей
+jest.mock('../src/database/models/garageRequest');
+jest.mock('../src/database/models/garage');
+jest.mock('../src/database/models/payout');
+jest.mock('../src/database/models/user');
+
+const MEMBER_ID = 444444444;
+
+const createRequest = (data) => ({
+    id: 12,
+    car_id: 3,
+    telegram_id: String(MEMBER_ID),
+    payment_status: 'Не выплачено',
+    reward_amount: 3000000,
+    admin_comment: null,
+    processed_at: null,
+    photo_path: '/tmp/photo.jpg',
+    getFormattedStatus() {
+        return `⏳ ${this.payment_status}`;
+    },
+    getFormattedSubmissionDate: () => '18.10.2025, 12:00',
+    isCancelledByOwner: () => false,
+    getPhotoPath: async () => '/tmp/photo.jpg',
+    cancel: jest.fn().mockResolvedValue(),
+    ...data
+});
+
+describe('RequestHistoryManager', () => {
+    let manager;
+    let mockBot;
+    const callbackQuery = (data) => ({
+        id: 'cb1',
+        data,
+        from: { id: MEMBER_ID },
+        message: { chat: { id: MEMBER_ID }, message_id: 7 }
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockBot = {
+            sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }),
+            sendPhoto: jest.fn().mockResolvedValue({ message_id: 2 }),
+            answerCallbackQuery: jest.fn().mockResolvedValue(true),
+            editMessageText: jest.fn().mockResolvedValue(true)
+        };
+
+        Garage.getAllCars.mockResolvedValue([{ car_id: 3, car_name: 'Bullet' }]);
+        Garage.findById.mockResolvedValue({ car_id: 3, car_name: 'Bullet' });
+        Payout.findByRequestId.mockResolvedValue(null);
+        Payout.formatAmount.mockImplementation(amount => `${amount / 1000000} млн`);
+        jest.spyOn(console, 'log').mockImplementation();
+
+        manager = new RequestHistoryManager(mockBot);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('buildList', () => {
+        test('должен показывать страницу заявок с навигацией и фильтрами', async () => {
+            GarageRequest.findByTelegramIdPaginated.mockResolvedValue({
+                requests: [createRequest()],
+                pagination: { currentPage: 1, totalPages: 3, hasPrev: true, hasNext: true }
+            });
+
+            const list = await manager.buildList(MEMBER_ID, 'pending', 1);
+
+            expect(GarageRequest.findByTelegramIdPaginated).toHaveBeenCalledWith(MEMBER_ID, {
+                statuses: ['Не выплачено', 'Производится оплата'],
+                page: 1,
+                pageSize: 5
+            });
+            expect(list.text).toContain('#12 Bullet - ⏳ Не выплачено (18.10.2025, 12:00)');
+            expect(list.text).toContain('Страница 2 из 3');
+            expect(list.keyboard[0]).toEqual([{ text: '#12 Bullet', callback_data: 'myreq_view_12' }]);
+            expect(list.keyboard[1]).toEqual([
+                { text: '⬅️', callback_data: 'myreq_list_pending_0' },
+                { text: '➡️', callback_data: 'myreq_list_pending_2' }
+            ]);
+            expect(list.keyboard[2].map(button => button.callback_data)).toEqual([
+                'myreq_list_all_0', 'myreq_list_approved_0', 'myreq_list_rejected_0'
+            ]);
+        });
+
+        test('должен подсказывать, как подать первую заявку', async () => {
+            GarageRequest.findByTelegramIdPaginated.mockResolvedValue({
+                requests: [],
+                pagination: { currentPage: 0, totalPages: 0, hasPrev: false, hasNext: false }
+            });
+
+            const list = await manager.buildList(MEMBER_ID, 'unknown');
+
+            expect(list.text).toContain('У вас пока нет заявок');
+        });
+    });
+
+    describe('buildDetail', () => {
+        test('должен показывать комментарий администратора и состояние выплаты', async () => {
+            Payout.findByRequestId.mockResolvedValue({
+                status: 'paid',
+                paid_at: '2025-10-18T15:00:00.000Z',
+                getFormattedAmount: () => '3 млн'
+            });
+
+            const detail = await manager.buildDetail(createRequest({
+                payment_status: 'Принято',
+                admin_comment: 'Отлично',
+                processed_at: '2025-10-18T14:00:00.000Z'
+            }));
+
+            expect(detail.text).toContain('🚗 Автомобиль: Bullet');
+            expect(detail.text).toContain('💬 Комментарий: Отлично');
+            expect(detail.text).toContain('💸 Выплата: 💸 Выплачено');
+            expect(detail.keyboard[0]).toEqual([{ text: '🖼 Фото', callback_data: 'myreq_photo_12' }]);
+        });
+
+        test('должен предлагать отмену нерассмотренной заявки', async () => {
+            const detail = await manager.buildDetail(createRequest());
+
+            expect(detail.keyboard[0]).toContainEqual({ text: '🚫 Отменить', callback_data: 'myreq_cancel_12' });
+        });
+    });
+
+    describe('handleCancelConfirm', () => {
+        test('должен отменять свою заявку', async () => {
+            const request = createRequest();
+            GarageRequest.findById.mockResolvedValue(request);
+
+            await manager.handleCancelConfirm(callbackQuery('myreq_cancel_confirm_12'), 12);
+
+            expect(request.cancel).toHaveBeenCalled();
+            expect(mockBot.answerCallbackQuery).toHaveBeenCalledWith('cb1', { text: '🚫 Заявка отменена' });
+        });
+
+        test('не должен давать доступ к чужой заявке', async () => {
+            const request = createRequest({ telegram_id: '555555555' });
+            GarageRequest.findById.mockResolvedValue(request);
+
+            await manager.handleCancelConfirm(callbackQuery('myreq_cancel_confirm_12'), 12);
+
+            expect(request.cancel).not.toHaveBeenCalled();
+            expect(mockBot.answerCallbackQuery).toHaveBeenCalledWith('cb1', expect.objectContaining({ text: '❌ Заявка не найдена' }));
+        });
+    });
+
+    describe('handleMyRequestsCommand', () => {
+        test('должен отказывать неавторизованным пользователям', async () => {
+            User.findByTelegramId.mockResolvedValue({ isAuthorized: () => false });
+
+            await manager.handleMyRequestsCommand({ chat: { id: MEMBER_ID }, from: { id: MEMBER_ID } });
+
+            expect(mockBot.sendMessage).toHaveBeenCalledWith(MEMBER_ID, '❌ Команда доступна только участникам семьи.');
+            expect(GarageRequest.findByTelegramIdPaginated).not.toHaveBeenCalled();
+        });
+    });
+});
\ No newline at end of file
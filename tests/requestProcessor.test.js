@@ -0,0 +1,98 @@
+const database = require('../src/database/connection');
+const { Migrator } = require('../src/database/migrator');
+const RequestProcessor = require('../src/components/RequestProcessor');
+const GarageRequest = require('../src/database/models/garageRequest');
+const Garage = require('../src/database/models/garage');
+const Payout = require('../src/database/models/payout');
+
+describe('RequestProcessor', () => {
+    let processor;
+    let userId;
+    let adminId;
+
+    const createRequest = async (carId) => {
+        const result = await database.run(
+            'INSERT INTO garage_requests (car_id, user_id, telegram_id, photo_path, reward_amount) VALUES (?, ?, ?, ?, ?)',
+            [carId, userId, '555', 'garage_requests/photo.jpg', 2500000]
+        );
+        return result.id;
+    };
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        database.dbPath = ':memory:';
+        await database.connect();
+        await new Migrator(database, { log: () => {} }).migrate();
+
+        userId = (await database.run('INSERT INTO users (telegram_id, first_name) VALUES (555, \'Member\')')).id;
+        adminId = (await database.run('INSERT INTO users (telegram_id, first_name) VALUES (777, \'Admin\')')).id;
+        console.log.mockRestore();
+    });
+
+    afterAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await database.close();
+        console.log.mockRestore();
+    });
+
+    beforeEach(async () => {
+        processor = new RequestProcessor();
+        await database.run('UPDATE garage SET status = \'Плохое\' WHERE car_id = 3');
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('processApproval', () => {
+        test('должен одобрять заявку, обновлять автомобиль и создавать выплату', async () => {
+            const requestId = await createRequest(3);
+
+            const result = await processor.processApproval(requestId, adminId);
+
+            expect(result.success).toBe(true);
+            expect(result.payout.amount).toBe(2500000);
+            expect((await GarageRequest.findById(requestId)).payment_status).toBe('Производится оплата');
+            expect((await Garage.findById(3)).status).toBe('Хорошее');
+        });
+
+        test('должен откатывать статус заявки и автомобиля, если выплату записать не удалось', async () => {
+            const requestId = await createRequest(3);
+            jest.spyOn(Payout, 'create').mockRejectedValue(new Error('payout failed'));
+
+            await expect(processor.processApproval(requestId, adminId)).rejects.toThrow('payout failed');
+
+            const request = await GarageRequest.findById(requestId);
+            expect(request.payment_status).toBe('Не выплачено');
+            expect(request.admin_id).toBeNull();
+            expect((await Garage.findById(3)).status).toBe('Плохое');
+            expect(await Payout.findByRequestId(requestId)).toBeNull();
+        });
+
+        test('должен одобрять заявку только один раз при одновременных нажатиях', async () => {
+            const requestId = await createRequest(3);
+
+            const results = await Promise.allSettled([
+                processor.processApproval(requestId, adminId),
+                processor.processApproval(requestId, adminId)
+            ]);
+
+            expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+            expect(results.find(result => result.status === 'rejected').reason.message).toContain('Заявка уже обработана');
+        });
+    });
+
+    describe('processPayout', () => {
+        test('должен закрывать заявку вместе с отметкой выплаты', async () => {
+            const requestId = await createRequest(3);
+            const { payout } = await processor.processApproval(requestId, adminId);
+
+            await processor.processPayout(payout.id, adminId);
+
+            expect((await Payout.findById(payout.id)).isPending()).toBe(false);
+            expect((await GarageRequest.findById(requestId)).payment_status).toBe('Принято');
+        });
+    });
+});
\ No newline at end of file
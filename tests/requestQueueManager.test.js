@@ -0,0 +1,151 @@
+const RequestQueueManager = require('../src/components/RequestQueueManager');
+const User = require('../src/database/models/user');
+const Payout = require('../src/database/models/payout');
+
+// Mock модулей
+jest.mock('../src/database/models/user');
+jest.mock('../src/database/models/payout');
+
+const ADMIN_ID = 111111111;
+
+const createItem = (id, userId, totalMinutes) => ({
+    request: {
+        id,
+        user_id: userId,
+        car_id: 3,
+        getFormattedSubmissionDate: () => '18.10.2025, 12:00',
+        getPhotoPath: async () => `/tmp/photo_${id}.jpg`
+    },
+    car: { car_name: 'Bullet' },
+    user: { username: 'driver', getFullName: () => `Водитель ${userId}` },
+    waitingTime: { totalMinutes, formatted: `${totalMinutes} мин` }
+});
+
+describe('RequestQueueManager', () => {
+    let manager;
+    let mockBot;
+    let adminNotifier;
+    const callbackQuery = (data) => ({
+        id: 'cb1',
+        data,
+        from: { id: ADMIN_ID },
+        message: { chat: { id: ADMIN_ID }, message_id: 7, photo: [{}] }
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockBot = {
+            sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }),
+            sendPhoto: jest.fn().mockResolvedValue({ message_id: 2 }),
+            deleteMessage: jest.fn().mockResolvedValue(true),
+            editMessageMedia: jest.fn().mockResolvedValue(true),
+            answerCallbackQuery: jest.fn().mockResolvedValue(true)
+        };
+
+        adminNotifier = {
+            requestProcessor: {
+                getPendingRequests: jest.fn().mockResolvedValue([
+                    createItem(10, 1, 30),
+                    createItem(11, 2, 300),
+                    createItem(12, 1, 90)
+                ]),
+                getRewardAmount: jest.fn().mockReturnValue(3000000),
+                processApproval: jest.fn().mockImplementation(async (requestId) => ({ request: { id: requestId } })),
+                processRejection: jest.fn().mockImplementation(async (requestId) => ({ request: { id: requestId } }))
+            },
+            notifyUserApproval: jest.fn().mockResolvedValue(),
+            notifyUserRejection: jest.fn().mockResolvedValue()
+        };
+
+        User.findByTelegramId.mockResolvedValue({ id: 99 });
+        Payout.formatAmount.mockImplementation(amount => `${amount / 1000000} млн`);
+        jest.spyOn(console, 'error').mockImplementation();
+
+        manager = new RequestQueueManager(mockBot, adminNotifier);
+    });
+
+    afterEach(() => {
+        manager.rejectSessions.clear();
+        jest.restoreAllMocks();
+    });
+
+    describe('getQueue', () => {
+        test('должен ставить первыми дольше всех ждущие заявки', async () => {
+            const queue = await manager.getQueue();
+
+            expect(queue.map(item => item.request.id)).toEqual([11, 12, 10]);
+        });
+    });
+
+    describe('buildView', () => {
+        test('должен показывать позицию, навигацию и массовые действия по участнику', async () => {
+            const queue = await manager.getQueue();
+
+            const view = await manager.buildView(queue, 1);
+
+            expect(view.text).toContain('📥 ОЧЕРЕДЬ ЗАЯВОК: 2 из 3');
+            expect(view.text).toContain('📋 Заявка #12');
+            expect(view.text).toContain('👤 Участник: Водитель 1 @driver');
+            expect(view.text).toContain('📨 Заявок этого участника в очереди: 2');
+            expect(view.photoPath).toBe('/tmp/photo_12.jpg');
+            expect(view.keyboard[0]).toEqual([
+                { text: '✅ Принять', callback_data: 'queue_approve_12_1' },
+                { text: '❌ Отклонить', callback_data: 'queue_reject_12_1' }
+            ]);
+            expect(view.keyboard[1].map(button => button.callback_data)).toEqual([
+                'queue_show_0', 'queue_show_1', 'queue_show_2'
+            ]);
+            expect(view.keyboard[2].map(button => button.callback_data)).toEqual([
+                'queue_approve_user_1_1', 'queue_reject_user_1_1'
+            ]);
+        });
+
+        test('должен сообщать о пустой очереди', async () => {
+            const view = await manager.buildView([], 3);
+
+            expect(view.text).toContain('Все заявки рассмотрены');
+            expect(view.photoPath).toBeNull();
+        });
+    });
+
+    describe('showQueue', () => {
+        test('должен листать фото в том же сообщении', async () => {
+            await manager.handleShow(callbackQuery('queue_show_1'), 1);
+
+            expect(mockBot.editMessageMedia).toHaveBeenCalledWith(
+                expect.objectContaining({ type: 'photo', media: 'attach:///tmp/photo_12.jpg' }),
+                expect.objectContaining({ chat_id: ADMIN_ID, message_id: 7 })
+            );
+            expect(mockBot.sendPhoto).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('handleApproveUser', () => {
+        test('должен одобрять все заявки участника и уведомлять его', async () => {
+            await manager.handleApproveUser(callbackQuery('queue_approve_user_1_0'), 1, 0);
+
+            expect(adminNotifier.requestProcessor.processApproval).toHaveBeenCalledTimes(2);
+            expect(adminNotifier.requestProcessor.processApproval).toHaveBeenCalledWith(12, 99);
+            expect(adminNotifier.requestProcessor.processApproval).toHaveBeenCalledWith(10, 99);
+            expect(adminNotifier.notifyUserApproval).toHaveBeenCalledTimes(2);
+            expect(mockBot.answerCallbackQuery).toHaveBeenCalledWith('cb1', expect.objectContaining({
+                text: '✅ Одобрено заявок: 2 из 2'
+            }));
+        });
+    });
+
+    describe('handleRejectReason', () => {
+        test('должен отклонять заявки с введенной причиной', async () => {
+            await manager.handleRejectUser(callbackQuery('queue_reject_user_1_0'), 1, 0);
+            expect(manager.getRejectSession(ADMIN_ID).requestIds).toEqual([12, 10]);
+
+            await manager.handleRejectReason({ chat: { id: ADMIN_ID }, from: { id: ADMIN_ID }, text: 'Фото нечитаемое' });
+
+            expect(adminNotifier.requestProcessor.processRejection).toHaveBeenCalledWith(12, 99, 'Фото нечитаемое');
+            expect(adminNotifier.requestProcessor.processRejection).toHaveBeenCalledWith(10, 99, 'Фото нечитаемое');
+            expect(adminNotifier.notifyUserRejection).toHaveBeenCalledTimes(2);
+            expect(manager.getRejectSession(ADMIN_ID)).toBeNull();
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,167 @@
+const ReservationManager = require('../src/components/ReservationManager');
+const CarReservation = require('../src/database/models/carReservation');
+const Garage = require('../src/database/models/garage');
+const User = require('../src/database/models/user');
+
+// Mock модулей
+jest.mock('../src/database/models/carReservation');
+jest.mock('../src/database/models/garage');
+jest.mock('../src/database/models/user');
+
+const MEMBER_ID = 444444444;
+const OTHER_ID = 555555555;
+const ADMIN_ID = 111111111;
+
+const createReservation = (data) => ({
+    id: 7,
+    car_id: 3,
+    user_id: 2,
+    telegram_id: String(MEMBER_ID),
+    status: 'active',
+    close: jest.fn(async function() {
+        this.status = 'returned';
+        return this;
+    }),
+    markReminded: jest.fn().mockResolvedValue(),
+    isStarted: () => true,
+    isOverdue: () => false,
+    getFormattedPeriod: () => '18.10, 12:00 – 18.10, 14:00',
+    ...data
+});
+
+describe('ReservationManager', () => {
+    let reservationManager;
+    let mockBot;
+    let roleManager;
+    const car = { car_id: 3, car_name: 'Bullet' };
+    const member = { id: 2, telegram_id: MEMBER_ID, isAuthorized: () => true, getDisplayName: () => '@member' };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockBot = {
+            sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }),
+            answerCallbackQuery: jest.fn().mockResolvedValue(true),
+            editMessageText: jest.fn().mockResolvedValue(true),
+            editMessageReplyMarkup: jest.fn().mockResolvedValue(true)
+        };
+        roleManager = {
+            hasPermission: jest.fn((telegramId, permission) => telegramId === ADMIN_ID && permission === 'canManageGarage')
+        };
+
+        Garage.findById.mockResolvedValue(car);
+        User.findById.mockResolvedValue(member);
+        User.findByTelegramId.mockResolvedValue(member);
+        CarReservation.findConflicts.mockResolvedValue([]);
+        CarReservation.create.mockImplementation(async (data) => createReservation(data));
+        jest.spyOn(console, 'log').mockImplementation();
+
+        reservationManager = new ReservationManager(mockBot, roleManager);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('reserve', () => {
+        test('должен бронировать автомобиль на указанное число часов', async () => {
+            const startsAt = new Date(2025, 9, 18, 12, 0);
+
+            await reservationManager.reserve(member, car, startsAt, 2);
+
+            expect(CarReservation.create).toHaveBeenCalledWith({
+                car_id: 3,
+                user_id: 2,
+                telegram_id: MEMBER_ID,
+                starts_at: startsAt.toISOString(),
+                ends_at: new Date(2025, 9, 18, 14, 0).toISOString()
+            });
+        });
+
+        test('должен сообщать, кем занят автомобиль', async () => {
+            CarReservation.findConflicts.mockResolvedValue([createReservation()]);
+
+            await expect(reservationManager.reserve(member, car, new Date(), 2))
+                .rejects.toThrow('Bullet уже забронирован (@member): 18.10, 12:00 – 18.10, 14:00');
+            expect(CarReservation.create).not.toHaveBeenCalled();
+        });
+
+        test('должен ограничивать длительность брони', async () => {
+            await expect(reservationManager.reserve(member, car, new Date(), 48)).rejects.toThrow('от 1 до 24 часов');
+        });
+    });
+
+    describe('returnReservation', () => {
+        test('владелец может вернуть автомобиль', async () => {
+            const reservation = createReservation();
+            CarReservation.findById.mockResolvedValue(reservation);
+
+            await reservationManager.returnReservation(7, MEMBER_ID);
+
+            expect(reservation.close).toHaveBeenCalled();
+            expect(mockBot.sendMessage).not.toHaveBeenCalled();
+        });
+
+        test('администратор может закрыть чужую бронь с уведомлением владельца', async () => {
+            CarReservation.findById.mockResolvedValue(createReservation());
+
+            await reservationManager.returnReservation(7, ADMIN_ID);
+
+            expect(mockBot.sendMessage).toHaveBeenCalledWith(String(MEMBER_ID), expect.stringContaining('Администратор закрыл вашу бронь Bullet'));
+        });
+
+        test('чужую бронь вернуть нельзя', async () => {
+            const reservation = createReservation();
+            CarReservation.findById.mockResolvedValue(reservation);
+
+            await expect(reservationManager.returnReservation(7, OTHER_ID)).rejects.toThrow('Это не ваша бронь');
+            expect(reservation.close).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('remindOverdue', () => {
+        test('должен напоминать о просрочке один раз', async () => {
+            const reservation = createReservation({ isOverdue: () => true });
+            CarReservation.findOverdueUnreminded.mockResolvedValue([reservation]);
+
+            const reminded = await reservationManager.remindOverdue();
+
+            expect(reminded).toBe(1);
+            expect(mockBot.sendMessage).toHaveBeenCalledWith(
+                String(MEMBER_ID),
+                expect.stringContaining('ПРОСРОЧЕН ВОЗВРАТ'),
+                expect.objectContaining({
+                    reply_markup: { inline_keyboard: [[{ text: '✅ Вернуть', callback_data: 'reserve_return_7' }]] }
+                })
+            );
+            expect(reservation.markReminded).toHaveBeenCalled();
+        });
+    });
+
+    describe('buildBoard', () => {
+        test('должен показывать автомобили на руках и предстоящие брони', async () => {
+            Garage.getAllCars.mockResolvedValue([car, { car_id: 5, car_name: 'Comet' }]);
+            CarReservation.findActive.mockResolvedValue([
+                createReservation({ isOverdue: () => true }),
+                createReservation({ id: 8, car_id: 5, isStarted: () => false })
+            ]);
+
+            const board = await reservationManager.buildBoard();
+
+            expect(board.text).toContain('⏰ Bullet - @member');
+            expect(board.text).toContain('📅 Предстоящие брони:\n• Comet - @member');
+            expect(board.text).toContain('Просрочено возвратов: 1');
+            expect(board.keyboard).toEqual([[{ text: '✅ Закрыть: Bullet', callback_data: 'reserve_return_7' }]]);
+        });
+    });
+
+    describe('parseStartTime', () => {
+        test('должен переносить прошедшее время на завтра', () => {
+            const now = new Date(2025, 9, 18, 15, 30);
+
+            expect(ReservationManager.parseStartTime('18:00', now)).toEqual(new Date(2025, 9, 18, 18, 0));
+            expect(ReservationManager.parseStartTime('09:15', now)).toEqual(new Date(2025, 9, 19, 9, 15));
+            expect(ReservationManager.parseStartTime('25:00', now)).toBeNull();
+        });
+    });
+});
\ No newline at end of file
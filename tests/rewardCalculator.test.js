@@ -0,0 +1,124 @@
+const RewardCalculator = require('../src/components/RewardCalculator');
+const RewardRule = require('../src/database/models/rewardRule');
+
+// Mock модулей
+jest.mock('../src/database/models/rewardRule');
+
+// Среда, 15 октября 2025, полдень
+const WEEKDAY = new Date(2025, 9, 15, 12, 0, 0);
+// Суббота, 18 октября 2025, полдень
+const SATURDAY = new Date(2025, 9, 18, 12, 0, 0);
+
+const daysAgo = (date, days) => new Date(date.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('RewardCalculator', () => {
+    const car = {
+        car_id: 3,
+        car_name: 'Bullet',
+        status: 'Хорошее',
+        last_maintenance: daysAgo(WEEKDAY, 2)
+    };
+    const baseRule = { rule_type: 'base', amount: 3000000 };
+
+    describe('apply', () => {
+        test('должен вернуть базовую сумму без других правил', () => {
+            const result = RewardCalculator.apply([baseRule], car, WEEKDAY);
+
+            expect(result.amount).toBe(3000000);
+            expect(result.breakdown).toEqual(['💰 Базовое: 3 млн']);
+        });
+
+        test('должен использовать сумму по умолчанию без базового правила', () => {
+            expect(RewardCalculator.apply([], car, WEEKDAY).amount).toBe(RewardCalculator.DEFAULT_AMOUNT);
+        });
+
+        test('должен заменять базу ставкой автомобиля', () => {
+            const rules = [baseRule, { rule_type: 'car', car_id: 3, amount: 5000000 }, { rule_type: 'car', car_id: 4, amount: 9000000 }];
+
+            expect(RewardCalculator.apply(rules, car, WEEKDAY).amount).toBe(5000000);
+        });
+
+        test('должен добавлять надбавку за состояние автомобиля', () => {
+            const rules = [baseRule, { rule_type: 'status', status: 'Плохое', amount: 1500000 }];
+
+            expect(RewardCalculator.apply(rules, car, WEEKDAY).amount).toBe(3000000);
+            expect(RewardCalculator.apply(rules, { ...car, status: 'Плохое' }, WEEKDAY).amount).toBe(4500000);
+        });
+
+        test('должен применять одно правило давности ТО с наибольшим порогом', () => {
+            const rules = [
+                baseRule,
+                { rule_type: 'maintenance', min_days: 7, amount: 500000 },
+                { rule_type: 'maintenance', min_days: 14, amount: 1000000 }
+            ];
+
+            expect(RewardCalculator.apply(rules, car, WEEKDAY).amount).toBe(3000000);
+            expect(RewardCalculator.apply(rules, { ...car, last_maintenance: daysAgo(WEEKDAY, 10) }, WEEKDAY).amount).toBe(3500000);
+            expect(RewardCalculator.apply(rules, { ...car, last_maintenance: daysAgo(WEEKDAY, 20) }, WEEKDAY).amount).toBe(4000000);
+            expect(RewardCalculator.apply(rules, { ...car, last_maintenance: null }, WEEKDAY).amount).toBe(4000000);
+        });
+
+        test('должен умножать итог в выходные и во время событий', () => {
+            const rules = [
+                baseRule,
+                { rule_type: 'status', status: 'Хорошее', amount: 1000000 },
+                { rule_type: 'weekend', multiplier: 1.5 },
+                {
+                    rule_type: 'event',
+                    title: 'Праздник',
+                    multiplier: 2,
+                    starts_at: new Date(2025, 9, 17).toISOString(),
+                    ends_at: new Date(2025, 9, 19, 23, 59, 59).toISOString()
+                }
+            ];
+
+            expect(RewardCalculator.apply(rules, car, WEEKDAY).amount).toBe(4000000);
+
+            const result = RewardCalculator.apply(rules, car, SATURDAY);
+            expect(result.amount).toBe(12000000);
+            expect(result.breakdown).toContain('📅 Выходные: ×1,5');
+            expect(result.breakdown).toContain('🎉 Праздник: ×2');
+        });
+    });
+
+    describe('calculate', () => {
+        test('должен рассчитывать по действующим правилам из базы', async () => {
+            RewardRule.findActive.mockResolvedValue([{ rule_type: 'base', amount: 2000000 }]);
+
+            const result = await new RewardCalculator().calculate(car, WEEKDAY);
+
+            expect(RewardRule.findActive).toHaveBeenCalled();
+            expect(result.amount).toBe(2000000);
+        });
+    });
+
+    describe('parseAmount', () => {
+        test('должен разбирать суммы с единицами', () => {
+            expect(RewardCalculator.parseAmount('3000000')).toBe(3000000);
+            expect(RewardCalculator.parseAmount('3м')).toBe(3000000);
+            expect(RewardCalculator.parseAmount('1,5 млн')).toBe(1500000);
+            expect(RewardCalculator.parseAmount('500к')).toBe(500000);
+            expect(RewardCalculator.parseAmount('много')).toBeNull();
+        });
+    });
+
+    describe('parseRule', () => {
+        test('должен разбирать правила всех типов', () => {
+            expect(RewardCalculator.parseRule('car 3 5м')).toEqual({ rule_type: 'car', car_id: 3, amount: 5000000 });
+            expect(RewardCalculator.parseRule('status Плохое 1м')).toEqual({ rule_type: 'status', status: 'Плохое', amount: 1000000 });
+            expect(RewardCalculator.parseRule('maintenance 14 500к')).toEqual({ rule_type: 'maintenance', min_days: 14, amount: 500000 });
+            expect(RewardCalculator.parseRule('weekend x1.5')).toEqual({ rule_type: 'weekend', multiplier: 1.5 });
+
+            const event = RewardCalculator.parseRule('event 31.12.2025 02.01.2026 2 Новый год');
+            expect(event).toEqual(expect.objectContaining({ rule_type: 'event', multiplier: 2, title: 'Новый год' }));
+            expect(new Date(event.starts_at).getTime()).toBe(new Date(2025, 11, 31).getTime());
+            expect(new Date(event.ends_at).getTime()).toBe(new Date(2026, 0, 2, 23, 59, 59, 999).getTime());
+        });
+
+        test('должен подсказывать формат при ошибке', () => {
+            expect(() => RewardCalculator.parseRule('status Отличное 1м')).toThrow('Формат: status');
+            expect(() => RewardCalculator.parseRule('event 02.01.2026 31.12.2025 2')).toThrow('Формат: event');
+            expect(() => RewardCalculator.parseRule('bonus 1м')).toThrow('Неизвестный тип правила');
+        });
+    });
+});
\ No newline at end of file
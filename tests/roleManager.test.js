@@ -0,0 +1,172 @@
+const RoleManager = require('../src/components/RoleManager');
+const UserRole = require('../src/database/models/userRole');
+const User = require('../src/database/models/user');
+
+// Mock модулей
+jest.mock('../src/database/models/userRole');
+jest.mock('../src/database/models/user');
+
+// Mock бота
+const mockBot = {
+    sendMessage: jest.fn().mockResolvedValue({ message_id: 1 })
+};
+
+const createUser = (telegramId, authorized = true) => ({
+    id: telegramId % 1000,
+    telegram_id: telegramId,
+    username: `user${telegramId}`,
+    isAuthorized: () => authorized,
+    getDisplayName: () => `@user${telegramId}`
+});
+
+describe('RoleManager', () => {
+    let roleManager;
+    const LEADER_ID = 111111111;
+    const DEPUTY_ID = 222222222;
+    const MODERATOR_ID = 333333333;
+    const MEMBER_ID = 444444444;
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+
+        UserRole.findAll.mockResolvedValue([
+            { telegram_id: LEADER_ID, role: 'leader' },
+            { telegram_id: DEPUTY_ID, role: 'deputy' },
+            { telegram_id: MODERATOR_ID, role: 'moderator' }
+        ]);
+        UserRole.assign.mockResolvedValue({});
+        UserRole.remove.mockResolvedValue(true);
+        User.findByTelegramId.mockResolvedValue(createUser(LEADER_ID));
+
+        roleManager = new RoleManager(mockBot, LEADER_ID);
+        await roleManager.load();
+    });
+
+    describe('getRole', () => {
+        test('должен определять назначенные роли', () => {
+            expect(roleManager.getRole(LEADER_ID)).toBe('leader');
+            expect(roleManager.getRole(DEPUTY_ID)).toBe('deputy');
+            expect(roleManager.getRole(MODERATOR_ID)).toBe('moderator');
+        });
+
+        test('должен считать лидером ID из конфигурации даже без записи в БД', () => {
+            const manager = new RoleManager(mockBot, 555555555);
+            expect(manager.getRole(555555555)).toBe('leader');
+        });
+
+        test('должен выводить роль участника или гостя из авторизации', () => {
+            expect(roleManager.getRole(MEMBER_ID, createUser(MEMBER_ID, true))).toBe('member');
+            expect(roleManager.getRole(MEMBER_ID, createUser(MEMBER_ID, false))).toBe('guest');
+            expect(roleManager.getRole(MEMBER_ID)).toBe('guest');
+        });
+    });
+
+    describe('permissions', () => {
+        test('должен считать руководство администраторами', () => {
+            expect(roleManager.isStaff(LEADER_ID)).toBe(true);
+            expect(roleManager.isStaff(DEPUTY_ID)).toBe(true);
+            expect(roleManager.isStaff(MODERATOR_ID)).toBe(true);
+            expect(roleManager.isStaff(MEMBER_ID)).toBe(false);
+        });
+
+        test('должен проверять права по роли', () => {
+            expect(roleManager.hasPermission(MODERATOR_ID, 'canApproveRequests')).toBe(true);
+            expect(roleManager.hasPermission(MODERATOR_ID, 'canManageRoles')).toBe(false);
+            expect(roleManager.hasPermission(DEPUTY_ID, 'canManageGarage')).toBe(true);
+            expect(roleManager.hasPermission(DEPUTY_ID, 'canAccessBackup')).toBe(false);
+            expect(roleManager.hasPermission(MEMBER_ID, 'canApproveRequests')).toBe(false);
+        });
+
+        test('должен возвращать всех получателей уведомлений с нужным правом', () => {
+            const approvers = roleManager.getRecipients('canApproveRequests');
+            expect(approvers).toEqual([LEADER_ID, DEPUTY_ID, MODERATOR_ID]);
+
+            const roleManagers = roleManager.getRecipients('canManageRoles');
+            expect(roleManagers).toEqual([LEADER_ID, DEPUTY_ID]);
+        });
+    });
+
+    describe('promote/demote', () => {
+        test('лидер может назначить заместителя', async () => {
+            const target = createUser(MEMBER_ID);
+
+            const result = await roleManager.promote(target, LEADER_ID, 'deputy');
+
+            expect(result).toEqual({ oldRole: 'member', newRole: 'deputy' });
+            expect(UserRole.assign).toHaveBeenCalledWith(expect.objectContaining({
+                telegram_id: MEMBER_ID,
+                role: 'deputy'
+            }));
+            expect(roleManager.getRole(MEMBER_ID)).toBe('deputy');
+        });
+
+        test('повышение без роли поднимает на одну ступень', async () => {
+            const result = await roleManager.promote(createUser(MEMBER_ID), LEADER_ID);
+            expect(result.newRole).toBe('moderator');
+        });
+
+        test('заместитель не может назначить заместителя', async () => {
+            await expect(roleManager.promote(createUser(MEMBER_ID), DEPUTY_ID, 'deputy'))
+                .rejects.toThrow('Вы не можете назначить роль');
+        });
+
+        test('модератор не может управлять ролями', async () => {
+            await expect(roleManager.promote(createUser(MEMBER_ID), MODERATOR_ID))
+                .rejects.toThrow('нет прав');
+        });
+
+        test('нельзя назначить роль неавторизованному пользователю', async () => {
+            await expect(roleManager.promote(createUser(MEMBER_ID, false), LEADER_ID, 'moderator'))
+                .rejects.toThrow('авторизованному');
+        });
+
+        test('понижение модератора до участника удаляет запись роли', async () => {
+            const result = await roleManager.demote(createUser(MODERATOR_ID), DEPUTY_ID);
+
+            expect(result).toEqual({ oldRole: 'moderator', newRole: 'member' });
+            expect(UserRole.remove).toHaveBeenCalledWith(MODERATOR_ID);
+            expect(roleManager.isStaff(MODERATOR_ID)).toBe(false);
+        });
+
+        test('нельзя понизить пользователя равного ранга', async () => {
+            const manager = roleManager;
+            manager.roles.set(MEMBER_ID, 'deputy');
+
+            await expect(manager.demote(createUser(MEMBER_ID), DEPUTY_ID))
+                .rejects.toThrow('равным или более высоким');
+        });
+
+        test('нельзя понизить участника', async () => {
+            await expect(roleManager.demote(createUser(MEMBER_ID), LEADER_ID))
+                .rejects.toThrow('не входит в руководство');
+        });
+    });
+
+    describe('handlePromoteCommand', () => {
+        test('должен назначить роль по username и уведомить пользователя', async () => {
+            const target = createUser(MEMBER_ID);
+            User.findByUsername.mockResolvedValue(target);
+
+            await roleManager.handlePromoteCommand({
+                chat: { id: LEADER_ID },
+                from: { id: LEADER_ID },
+                text: '/promote @user444444444 moderator'
+            });
+
+            expect(User.findByUsername).toHaveBeenCalledWith('user444444444');
+            expect(mockBot.sendMessage).toHaveBeenCalledWith(LEADER_ID, expect.stringContaining('Модератор'));
+            expect(mockBot.sendMessage).toHaveBeenCalledWith(MEMBER_ID, expect.stringContaining('Модератор'));
+        });
+
+        test('должен отказать пользователю без прав', async () => {
+            await roleManager.handlePromoteCommand({
+                chat: { id: MEMBER_ID },
+                from: { id: MEMBER_ID },
+                text: '/promote @someone'
+            });
+
+            expect(mockBot.sendMessage).toHaveBeenCalledWith(MEMBER_ID, expect.stringContaining('нет прав'));
+            expect(UserRole.assign).not.toHaveBeenCalled();
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,247 @@
+const Router = require('../src/components/Router');
+
+// Mock бота
+const createBot = () => ({
+    on: jest.fn(),
+    sendMessage: jest.fn().mockResolvedValue({ message_id: 1 }),
+    answerCallbackQuery: jest.fn().mockResolvedValue(true)
+});
+
+const createCallback = (data, telegramId = 123456789) => ({
+    id: 'callback_1',
+    data,
+    from: { id: telegramId },
+    message: { chat: { id: telegramId }, message_id: 10 }
+});
+
+const createMessage = (text, telegramId = 123456789) => ({
+    text,
+    from: { id: telegramId },
+    chat: { id: telegramId }
+});
+
+describe('Router', () => {
+    let bot;
+    let router;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        bot = createBot();
+        router = new Router(bot);
+    });
+
+    describe('compile/match', () => {
+        test('должен разбирать типизированные параметры', () => {
+            const handler = jest.fn();
+            router.callback('garage_approve_:id(int)', handler);
+
+            const matched = router.match('garage_approve_42');
+
+            expect(matched.params).toEqual({ id: 42 });
+            expect(router.match('garage_approve_abc')).toBeNull();
+        });
+
+        test('должен разбирать несколько параметров', () => {
+            router.callback('admin_set_status_:carId(int)_:status', jest.fn());
+
+            expect(router.match('admin_set_status_7_Хорошее').params).toEqual({ carId: 7, status: 'Хорошее' });
+        });
+
+        test('точный маршрут не должен пересекаться с маршрутом по префиксу', () => {
+            const profile = jest.fn();
+            const carAdmin = jest.fn();
+            router.callback('admin_users', profile);
+            router.callback('admin_edit_:carId(int)', carAdmin);
+
+            expect(router.match('admin_users').route.handler).toBe(profile);
+            expect(router.match('admin_edit_3').route.handler).toBe(carAdmin);
+            expect(router.match('admin_unknown')).toBeNull();
+        });
+
+        test('параметр any должен захватывать подчеркивания', () => {
+            router.callback('help_:section(any)', jest.fn());
+
+            expect(router.match('help_admin_all_users').params).toEqual({ section: 'admin_all_users' });
+        });
+
+        test('должен запрещать повторную регистрацию маршрута', () => {
+            router.callback('admin_menu', jest.fn());
+
+            expect(() => router.callback('admin_menu', jest.fn())).toThrow('уже зарегистрирован');
+            expect(() => router.command('start', jest.fn()).command('start', jest.fn())).toThrow('уже зарегистрирована');
+        });
+
+        test('должен отклонять неизвестный тип параметра', () => {
+            expect(() => router.callback('page_:n(float)', jest.fn())).toThrow('Неизвестный тип параметра');
+        });
+    });
+
+    describe('handleCallback', () => {
+        test('должен вызвать обработчик с контекстом', async () => {
+            const handler = jest.fn();
+            router.callback('garage_page_:page(int)', handler);
+
+            await router.handleCallback(createCallback('garage_page_2'));
+
+            expect(handler).toHaveBeenCalledWith(expect.objectContaining({
+                telegramId: 123456789,
+                chatId: 123456789,
+                params: { page: 2 }
+            }));
+        });
+
+        test('должен ответить на неизвестный callback', async () => {
+            const handled = await router.handleCallback(createCallback('unknown'));
+
+            expect(handled).toBe(false);
+            expect(bot.answerCallbackQuery).toHaveBeenCalledWith('callback_1', {
+                text: Router.MESSAGES.UNKNOWN_CALLBACK,
+                show_alert: true
+            });
+        });
+    });
+
+    describe('handleCommand', () => {
+        test('должен находить команду и передавать аргументы', async () => {
+            const handler = jest.fn();
+            router.command('promote', handler);
+
+            await router.handleCommand(createMessage('/promote@family_bot @user moderator'));
+
+            expect(handler).toHaveBeenCalledWith(expect.objectContaining({ args: '@user moderator' }));
+        });
+
+        test('не должен путать команды с общим префиксом', async () => {
+            const garage = jest.fn();
+            router.command('garage', garage);
+
+            const handled = await router.handleCommand(createMessage('/garage_admin'));
+
+            expect(handled).toBe(false);
+            expect(garage).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('guards', () => {
+        test('должен проверять право через менеджер ролей', async () => {
+            const roleManager = { hasPermission: jest.fn().mockReturnValue(false) };
+            const guarded = new Router(bot, { roleManager });
+            const handler = jest.fn();
+            guarded.callback('approve_:id(int)', handler, { guard: 'canApproveRequests' });
+
+            await guarded.handleCallback(createCallback('approve_1'));
+
+            expect(roleManager.hasPermission).toHaveBeenCalledWith(123456789, 'canApproveRequests');
+            expect(handler).not.toHaveBeenCalled();
+            expect(bot.answerCallbackQuery).toHaveBeenCalledWith('callback_1', {
+                text: Router.MESSAGES.ACCESS_DENIED,
+                show_alert: true
+            });
+        });
+
+        test('должен поддерживать guard-функцию и свой текст отказа', async () => {
+            const handler = jest.fn();
+            router.command('garage_admin', handler, {
+                guard: (ctx) => ctx.telegramId === 1,
+                deniedMessage: 'Доступ запрещен'
+            });
+
+            await router.handleCommand(createMessage('/garage_admin'));
+            await router.handleCommand(createMessage('/garage_admin', 1));
+
+            expect(bot.sendMessage).toHaveBeenCalledWith(123456789, 'Доступ запрещен');
+            expect(handler).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('middleware', () => {
+        test('должен выполнять middleware по порядку', async () => {
+            const calls = [];
+            router
+                .use(async (ctx, next) => { calls.push('global'); await next(); })
+                .callback('admin_menu', () => calls.push('handler'), {
+                    middleware: [async (ctx, next) => { calls.push('route'); await next(); }]
+                });
+
+            await router.handleCallback(createCallback('admin_menu'));
+
+            expect(calls).toEqual(['global', 'route', 'handler']);
+        });
+
+        test('errorHandler должен перехватывать ошибки обработчика', async () => {
+            const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+            router.use(Router.errorHandler());
+            router.command('profile', () => { throw new Error('boom'); }, {
+                errorMessage: 'Ошибка профиля'
+            });
+
+            await router.handleCommand(createMessage('/profile'));
+
+            expect(bot.sendMessage).toHaveBeenCalledWith(123456789, 'Ошибка профиля');
+            consoleSpy.mockRestore();
+        });
+
+        test('rateLimit должен ограничивать частоту запросов', async () => {
+            const handler = jest.fn();
+            router.use(Router.rateLimit({ limit: 2, windowMs: 60 * 1000 }));
+            router.callback('admin_menu', handler);
+
+            for (let i = 0; i < 3; i++) {
+                await router.handleCallback(createCallback('admin_menu'));
+            }
+
+            expect(handler).toHaveBeenCalledTimes(2);
+            expect(bot.answerCallbackQuery).toHaveBeenCalledWith('callback_1', {
+                text: Router.MESSAGES.RATE_LIMITED,
+                show_alert: true
+            });
+        });
+
+        test('rateLimit должен забывать пользователей без запросов в окне', async () => {
+            const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(1000);
+            const deleteSpy = jest.spyOn(Map.prototype, 'delete');
+            const handler = jest.fn();
+            router.use(Router.rateLimit({ limit: 1, windowMs: 60 * 1000 }));
+            router.callback('admin_menu', handler);
+
+            await router.handleCallback(createCallback('admin_menu', 111));
+            nowSpy.mockReturnValue(1000 + 60 * 1000);
+            await router.handleCallback(createCallback('admin_menu', 222));
+
+            expect(deleteSpy).toHaveBeenCalledWith(111);
+            expect(deleteSpy).not.toHaveBeenCalledWith(222);
+
+            // Забытый пользователь снова проходит ограничение
+            await router.handleCallback(createCallback('admin_menu', 111));
+            expect(handler).toHaveBeenCalledTimes(3);
+
+            nowSpy.mockRestore();
+            deleteSpy.mockRestore();
+        });
+
+        test('metrics должен считать вызовы и ошибки', async () => {
+            const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+            router.use(Router.errorHandler()).use(Router.metrics());
+            router.callback('admin_menu', jest.fn());
+            router.callback('admin_fail', () => { throw new Error('boom'); });
+
+            await router.handleCallback(createCallback('admin_menu'));
+            await router.handleCallback(createCallback('admin_menu'));
+            await router.handleCallback(createCallback('admin_fail'));
+
+            const stats = router.getStats();
+            expect(stats.admin_menu.calls).toBe(2);
+            expect(stats.admin_fail.errors).toBe(1);
+            consoleSpy.mockRestore();
+        });
+    });
+
+    describe('attach', () => {
+        test('должен подписаться на callback и сообщения', () => {
+            router.attach();
+
+            expect(bot.on).toHaveBeenCalledWith('callback_query', expect.any(Function));
+            expect(bot.on).toHaveBeenCalledWith('message', expect.any(Function));
+        });
+    });
+});
@@ -0,0 +1,86 @@
+const ScheduledJob = require('../src/database/models/scheduledJob');
+const database = require('../src/database/connection');
+
+describe('ScheduledJob Model', () => {
+    beforeAll(async () => {
+        await database.connect();
+
+        await database.run(`
+            CREATE TABLE IF NOT EXISTS scheduled_jobs (
+                name TEXT PRIMARY KEY,
+                schedule TEXT NOT NULL,
+                is_enabled INTEGER NOT NULL DEFAULT 1,
+                last_run_at DATETIME,
+                next_run_at DATETIME,
+                last_status TEXT,
+                last_error TEXT,
+                last_duration_ms INTEGER,
+                run_count INTEGER NOT NULL DEFAULT 0,
+                failure_count INTEGER NOT NULL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    });
+
+    beforeEach(async () => {
+        await database.run('DELETE FROM scheduled_jobs');
+    });
+
+    afterAll(async () => {
+        await database.run('DELETE FROM scheduled_jobs');
+        await database.close();
+    });
+
+    describe('register', () => {
+        test('должен сохранять следующий запуск при перезапуске с тем же расписанием', async () => {
+            await ScheduledJob.register('cleanup', '0 4 * * *', '2025-10-19T04:00:00.000Z');
+            const job = await ScheduledJob.register('cleanup', '0 4 * * *', '2025-10-20T04:00:00.000Z');
+
+            expect(job.next_run_at).toBe('2025-10-19T04:00:00.000Z');
+        });
+
+        test('должен пересчитывать следующий запуск при смене расписания', async () => {
+            await ScheduledJob.register('cleanup', '0 4 * * *', '2025-10-19T04:00:00.000Z');
+            const job = await ScheduledJob.register('cleanup', '0 5 * * *', '2025-10-19T05:00:00.000Z');
+
+            expect(job.schedule).toBe('0 5 * * *');
+            expect(job.next_run_at).toBe('2025-10-19T05:00:00.000Z');
+        });
+    });
+
+    describe('recordRun', () => {
+        test('должен считать ошибки подряд и сбрасывать их после успеха', async () => {
+            const job = await ScheduledJob.register('cleanup', '0 4 * * *', '2025-10-19T04:00:00.000Z');
+
+            await job.recordFailure('database is locked', 12, '2025-10-19T04:01:00.000Z');
+            await job.recordFailure('database is locked', 10, '2025-10-19T04:03:00.000Z');
+
+            let saved = await ScheduledJob.findByName('cleanup');
+            expect(saved.failure_count).toBe(2);
+            expect(saved.last_status).toBe('failed');
+            expect(saved.last_error).toBe('database is locked');
+            expect(saved.next_run_at).toBe('2025-10-19T04:03:00.000Z');
+
+            await job.recordSuccess(8, '2025-10-20T04:00:00.000Z');
+
+            saved = await ScheduledJob.findByName('cleanup');
+            expect(saved.failure_count).toBe(0);
+            expect(saved.last_error).toBeNull();
+            expect(saved.run_count).toBe(3);
+            expect(saved.last_run_at).not.toBeNull();
+        });
+    });
+
+    describe('isDue', () => {
+        test('должен учитывать время и паузу задачи', async () => {
+            const job = await ScheduledJob.register('cleanup', '0 4 * * *', '2025-10-19T04:00:00.000Z');
+
+            expect(job.isDue(new Date('2025-10-19T03:59:00.000Z'))).toBe(false);
+            expect(job.isDue(new Date('2025-10-19T04:00:00.000Z'))).toBe(true);
+
+            await job.setEnabled(false);
+            expect((await ScheduledJob.findByName('cleanup')).isDue(new Date('2025-10-20T00:00:00.000Z'))).toBe(false);
+        });
+    });
+});
\ No newline at end of file
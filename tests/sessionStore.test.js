@@ -0,0 +1,157 @@
+const SessionStore = require('../src/components/SessionStore');
+const ConversationSession = require('../src/database/models/conversationSession');
+const database = require('../src/database/connection');
+
+// Mock модулей
+jest.mock('../src/database/models/conversationSession');
+jest.mock('../src/database/connection', () => ({
+    isConnected: jest.fn()
+}));
+
+describe('SessionStore', () => {
+    const USER_ID = 123456789;
+    const TTL = 10 * 60 * 1000;
+    let store;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        database.isConnected.mockReturnValue(true);
+        ConversationSession.save.mockResolvedValue();
+        ConversationSession.remove.mockResolvedValue(true);
+        ConversationSession.deleteExpired.mockResolvedValue(0);
+
+        store = new SessionStore('test', {
+            ttl: TTL,
+            transitions: {
+                first: ['second'],
+                second: ['third']
+            }
+        });
+    });
+
+    describe('set/get/delete', () => {
+        test('должен хранить сессию в памяти и записывать ее в базу', async () => {
+            store.set(USER_ID, { state: 'first' });
+            await store.flush();
+
+            expect(store.get(USER_ID)).toEqual({ state: 'first', startTime: expect.any(Number) });
+            expect(ConversationSession.save).toHaveBeenCalledWith(
+                'test', USER_ID, expect.objectContaining({ state: 'first' }), TTL
+            );
+        });
+
+        test('должен удалять сессию из базы', async () => {
+            store.set(USER_ID, { state: 'first' });
+            store.delete(USER_ID);
+            await store.flush();
+
+            expect(store.has(USER_ID)).toBe(false);
+            expect(ConversationSession.remove).toHaveBeenCalledWith('test', USER_ID);
+        });
+
+        test('не должен возвращать истекшую сессию', () => {
+            store.set(USER_ID, { state: 'first', startTime: Date.now() - TTL - 1000 });
+
+            expect(store.get(USER_ID)).toBeUndefined();
+            expect(store.has(USER_ID)).toBe(false);
+        });
+
+        test('должен работать только в памяти без подключения к базе', async () => {
+            database.isConnected.mockReturnValue(false);
+
+            store.set(USER_ID, { state: 'first' });
+            await store.flush();
+
+            expect(store.get(USER_ID).state).toBe('first');
+            expect(ConversationSession.save).not.toHaveBeenCalled();
+        });
+
+        test('должен сохранять порядок записей', async () => {
+            const calls = [];
+            ConversationSession.save.mockImplementation(async () => {
+                await new Promise(resolve => setTimeout(resolve, 5));
+                calls.push('save');
+            });
+            ConversationSession.remove.mockImplementation(async () => {
+                calls.push('remove');
+            });
+
+            store.set(USER_ID, { state: 'first' });
+            store.delete(USER_ID);
+            await store.flush();
+
+            expect(calls).toEqual(['save', 'remove']);
+        });
+    });
+
+    describe('transition', () => {
+        test('должен переводить сессию в допустимое состояние', () => {
+            store.set(USER_ID, { state: 'first' });
+
+            const session = store.transition(USER_ID, 'second', { nickname: 'Ivan_Petrov' });
+
+            expect(session.state).toBe('second');
+            expect(session.nickname).toBe('Ivan_Petrov');
+            expect(store.get(USER_ID)).toBe(session);
+        });
+
+        test('должен сохранять время начала сессии', () => {
+            const startTime = Date.now() - 1000;
+            store.set(USER_ID, { state: 'first', startTime });
+
+            expect(store.transition(USER_ID, 'second').startTime).toBe(startTime);
+        });
+
+        test('должен отклонять недопустимый переход', () => {
+            store.set(USER_ID, { state: 'first' });
+
+            expect(() => store.transition(USER_ID, 'third')).toThrow('Недопустимый переход');
+            expect(store.get(USER_ID).state).toBe('first');
+        });
+
+        test('должен отклонять переход без сессии', () => {
+            expect(() => store.transition(USER_ID, 'second')).toThrow('не найдена');
+        });
+    });
+
+    describe('cleanupExpired', () => {
+        test('должен удалять истекшие сессии и возвращать их ключи', async () => {
+            store.set(USER_ID, { state: 'first', startTime: Date.now() - TTL - 1000 });
+            store.set(987654321, { state: 'first' });
+
+            const removed = store.cleanupExpired();
+            await store.flush();
+
+            expect(removed).toEqual([USER_ID]);
+            expect(store.has(987654321)).toBe(true);
+            expect(ConversationSession.deleteExpired).toHaveBeenCalledWith('test', expect.any(Number));
+        });
+    });
+
+    describe('restore', () => {
+        test('должен восстанавливать сессии после перезапуска', async () => {
+            const startTime = Date.now();
+            ConversationSession.findActiveByScope.mockResolvedValue([
+                { session_key: String(USER_ID), data: { state: 'second', nickname: 'Ivan_Petrov', startTime } }
+            ]);
+
+            const restored = await store.restore();
+
+            expect(restored).toBe(1);
+            expect(ConversationSession.findActiveByScope).toHaveBeenCalledWith('test');
+            expect(store.get(USER_ID)).toEqual({ state: 'second', nickname: 'Ivan_Petrov', startTime });
+            expect(ConversationSession.save).not.toHaveBeenCalled();
+        });
+
+        test('restoreAll должен восстанавливать все хранилища', async () => {
+            ConversationSession.findActiveByScope.mockResolvedValue([]);
+            new SessionStore('other');
+
+            await SessionStore.restoreAll();
+
+            expect(ConversationSession.findActiveByScope).toHaveBeenCalledWith('test');
+            expect(ConversationSession.findActiveByScope).toHaveBeenCalledWith('other');
+            expect(SessionStore.getStore('other')).toBeInstanceOf(SessionStore);
+        });
+    });
+});
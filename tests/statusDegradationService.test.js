@@ -0,0 +1,147 @@
+const StatusDegradationService = require('../src/components/StatusDegradationService');
+const StatusUpdaterService = require('../src/components/StatusUpdaterService');
+const Garage = require('../src/database/models/garage');
+const User = require('../src/database/models/user');
+
+// Mock модулей
+jest.mock('../src/database/models/garage');
+jest.mock('../src/database/models/user');
+
+const NOW = new Date(2025, 9, 18, 12, 0, 0);
+
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const createAuditLogger = () => ({
+    generateBatchId: jest.fn().mockReturnValue('batch_test'),
+    logBatchStart: jest.fn().mockResolvedValue(),
+    logBatchComplete: jest.fn().mockResolvedValue(),
+    logStatusUpdate: jest.fn().mockResolvedValue(),
+    logStatusUpdateError: jest.fn().mockResolvedValue()
+});
+
+describe('StatusDegradationService', () => {
+    let mockBot;
+    let auditLogger;
+    let statusUpdater;
+    let service;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockBot = {
+            sendMessage: jest.fn().mockResolvedValue({ message_id: 1 })
+        };
+        auditLogger = createAuditLogger();
+        statusUpdater = new StatusUpdaterService(auditLogger);
+        Garage.updateStatus.mockResolvedValue();
+        User.findAuthorized.mockResolvedValue([{ telegram_id: 111 }, { telegram_id: 222 }]);
+
+        service = new StatusDegradationService(mockBot, statusUpdater);
+    });
+
+    describe('getTargetStatus', () => {
+        test('должен понижать состояние по интервалам по умолчанию', () => {
+            const car = { status: 'Хорошее', last_maintenance: daysAgo(10) };
+
+            expect(StatusDegradationService.getTargetStatus(car, NOW)).toBe('Хорошее');
+            expect(StatusDegradationService.getTargetStatus({ ...car, last_maintenance: daysAgo(30) }, NOW)).toBe('Среднее');
+            expect(StatusDegradationService.getTargetStatus({ ...car, last_maintenance: daysAgo(75) }, NOW)).toBe('Плохое');
+        });
+
+        test('должен учитывать собственные интервалы автомобиля', () => {
+            const car = { status: 'Хорошее', last_maintenance: daysAgo(8), degrade_medium_days: 7, degrade_bad_days: 14 };
+
+            expect(StatusDegradationService.getTargetStatus(car, NOW)).toBe('Среднее');
+            expect(StatusDegradationService.getTargetStatus({ ...car, last_maintenance: daysAgo(14) }, NOW)).toBe('Плохое');
+        });
+
+        test('не должен улучшать состояние', () => {
+            const car = { status: 'Плохое', last_maintenance: daysAgo(1) };
+
+            expect(StatusDegradationService.getTargetStatus(car, NOW)).toBe('Плохое');
+            expect(StatusDegradationService.getTargetStatus({ status: 'Среднее', last_maintenance: daysAgo(40) }, NOW)).toBe('Среднее');
+        });
+    });
+
+    describe('parseIntervals', () => {
+        test('должен разбирать пару чисел и сброс', () => {
+            expect(StatusDegradationService.parseIntervals('10 20')).toEqual({ mediumDays: 10, badDays: 20 });
+            expect(StatusDegradationService.parseIntervals('0')).toEqual({ mediumDays: null, badDays: null });
+            expect(StatusDegradationService.parseIntervals('20 10')).toBeNull();
+            expect(StatusDegradationService.parseIntervals('много')).toBeNull();
+        });
+    });
+
+    describe('run', () => {
+        test('должен записывать переходы через StatusUpdaterService и журнал аудита', async () => {
+            Garage.getAllCars.mockResolvedValue([
+                { car_id: 1, car_name: 'Infernus', status: 'Хорошее', last_maintenance: daysAgo(35) },
+                { car_id: 2, car_name: 'Cheetah', status: 'Среднее', last_maintenance: daysAgo(61) },
+                { car_id: 3, car_name: 'Banshee', status: 'Хорошее', last_maintenance: daysAgo(2) }
+            ]);
+
+            const transitions = await service.run(NOW);
+
+            expect(transitions).toEqual([
+                { carId: 1, carName: 'Infernus', oldStatus: 'Хорошее', newStatus: 'Среднее' },
+                { carId: 2, carName: 'Cheetah', oldStatus: 'Среднее', newStatus: 'Плохое' }
+            ]);
+            expect(Garage.updateStatus).toHaveBeenCalledWith(1, 'Среднее', { resetMaintenance: false });
+            expect(Garage.updateStatus).toHaveBeenCalledWith(2, 'Плохое', { resetMaintenance: false });
+            expect(auditLogger.logStatusUpdate).toHaveBeenCalledWith(expect.objectContaining({
+                carId: 1,
+                oldStatus: 'Хорошее',
+                newStatus: 'Среднее',
+                source: 'StatusDegradationService',
+                batchId: 'batch_test'
+            }));
+            expect(auditLogger.logBatchComplete).toHaveBeenCalledWith(expect.objectContaining({
+                success: true,
+                successfulUpdates: 2,
+                failedUpdates: 0
+            }));
+        });
+
+        test('должен уведомлять участников об автомобилях, требующих обслуживания', async () => {
+            Garage.getAllCars.mockResolvedValue([
+                { car_id: 1, car_name: 'Infernus', status: 'Хорошее', last_maintenance: daysAgo(35) }
+            ]);
+
+            await service.run(NOW);
+
+            expect(mockBot.sendMessage).toHaveBeenCalledTimes(2);
+            expect(mockBot.sendMessage).toHaveBeenCalledWith(111, expect.stringContaining('• Infernus: Хорошее → Среднее'));
+        });
+
+        test('не должен ничего записывать без износа', async () => {
+            Garage.getAllCars.mockResolvedValue([
+                { car_id: 3, car_name: 'Banshee', status: 'Хорошее', last_maintenance: daysAgo(2) }
+            ]);
+
+            expect(await service.run(NOW)).toEqual([]);
+            expect(auditLogger.logBatchStart).not.toHaveBeenCalled();
+            expect(mockBot.sendMessage).not.toHaveBeenCalled();
+        });
+
+        test('должен записывать ошибку обновления в журнал и продолжать', async () => {
+            Garage.getAllCars.mockResolvedValue([
+                { car_id: 1, car_name: 'Infernus', status: 'Хорошее', last_maintenance: daysAgo(35) },
+                { car_id: 2, car_name: 'Cheetah', status: 'Среднее', last_maintenance: daysAgo(61) }
+            ]);
+            Garage.updateStatus.mockRejectedValueOnce(new Error('database is locked'));
+
+            const transitions = await service.run(NOW);
+
+            expect(transitions).toHaveLength(1);
+            expect(auditLogger.logStatusUpdateError).toHaveBeenCalledWith(expect.objectContaining({
+                carId: 1,
+                attemptedStatus: 'Среднее',
+                error: 'database is locked'
+            }));
+            expect(auditLogger.logBatchComplete).toHaveBeenCalledWith(expect.objectContaining({
+                success: false,
+                failedUpdates: 1
+            }));
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,147 @@
+const database = require('../src/database/connection');
+const { Migrator } = require('../src/database/migrator');
+const BotText = require('../src/database/models/botText');
+const { I18n, i18n } = require('../src/i18n');
+const TextTemplateManager = require('../src/components/TextTemplateManager');
+const SessionStore = require('../src/components/SessionStore');
+const botTextsConfig = require('../config/botTexts');
+const ru = require('../src/i18n/locales/ru');
+const en = require('../src/i18n/locales/en');
+
+describe('Тексты бота', () => {
+    let bot;
+    let localizer;
+    let manager;
+    const callbackQuery = (data) => ({
+        id: 'cb',
+        data,
+        from: { id: 500 },
+        message: { chat: { id: 500 }, message_id: 10 }
+    });
+    const message = (text) => ({ from: { id: 500 }, chat: { id: 500 }, text });
+    const userMenu = () => manager.keys.indexOf('menu.user.text');
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        database.dbPath = ':memory:';
+        await database.connect();
+        await new Migrator(database, { log: () => {} }).migrate();
+        console.log.mockRestore();
+    });
+
+    afterAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await SessionStore.flushAll();
+        await database.close();
+        console.log.mockRestore();
+    });
+
+    beforeEach(() => {
+        bot = {
+            sendMessage: jest.fn().mockResolvedValue({ message_id: 11 }),
+            editMessageText: jest.fn().mockResolvedValue(true),
+            answerCallbackQuery: jest.fn().mockResolvedValue(true)
+        };
+        localizer = new I18n({ ru, en }, { defaultLocale: 'ru', htmlKeys: [...i18n.htmlKeys] });
+        manager = new TextTemplateManager(bot, botTextsConfig, localizer);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('тексты по умолчанию должны проходить проверку на всех языках', () => {
+        for (const key of manager.keys) {
+            for (const locale of localizer.locales) {
+                expect([key, locale, manager.validate(key, localizer.getDefault(locale, key))]).toEqual([key, locale, []]);
+            }
+        }
+    });
+
+    test('должен отклонять неизвестные переменные и непарные скобки', () => {
+        expect(manager.validate('menu.user.text', 'Привет, {name}! Был: {last_seen}')).toEqual([]);
+        expect(manager.validate('menu.user.text', 'Привет, {nmae}!')).toEqual([
+            'Неизвестные переменные: {nmae}. Доступны: {name}, {last_seen}'
+        ]);
+        expect(manager.validate('auth.approved', 'Готово, {name}')).toEqual([
+            'Неизвестные переменные: {name}. Доступны: нет'
+        ]);
+        expect(manager.validate('auth.rejected', 'Причина: {reason')).toEqual([
+            'Непарная фигурная скобка: переменные пишутся как {name}'
+        ]);
+        expect(manager.validate('auth.rejected', '')).toEqual(['Текст пустой']);
+        expect(manager.validate('auth.rejected', 'x'.repeat(3501))[0]).toContain('слишком длинный');
+    });
+
+    test('должен проверять разметку HTML', () => {
+        expect(TextTemplateManager.validateHtml('<b>Жирный</b> и <a href="https://t.me/x">ссылка</a> &amp; &lt;3')).toEqual([]);
+        expect(TextTemplateManager.validateHtml('<b>не закрыт')).toEqual(['Тег <b> не закрыт']);
+        expect(TextTemplateManager.validateHtml('<b><i>x</b></i>')).toEqual([
+            'Лишний закрывающий тег </b>',
+            'Тег <b> не закрыт'
+        ]);
+        expect(TextTemplateManager.validateHtml('<div>x</div>')).toEqual([
+            'Тег <div> не поддерживается Telegram',
+            'Тег <div> не поддерживается Telegram'
+        ]);
+        expect(TextTemplateManager.validateHtml('1 < 2 & 3')).toEqual([
+            'Символ < нужно писать как &lt; (позиция 3)',
+            'Символ & нужно писать как &amp; (позиция 7)'
+        ]);
+
+        // В текстах без разметки HTML символы разрешены
+        expect(manager.validate('auth.rejected', 'Причина: {reason} <3 & удачи')).toEqual([]);
+        expect(manager.validate('menu.guest.text', '{status} <3')).toHaveLength(1);
+    });
+
+    test('должен экранировать значения, подставляемые в тексты HTML', () => {
+        const menu = localizer.t('ru', 'menu.user.text', { name: '<b>Иван</b> & Co', last_seen: 'вчера' });
+        expect(menu).toContain('Привет, &lt;b&gt;Иван&lt;/b&gt; &amp; Co!');
+
+        const rejection = localizer.t('ru', 'auth.rejected', { reason: '<не по форме>' });
+        expect(rejection).toContain('<не по форме>');
+    });
+
+    test('должен показывать предпросмотр, сохранять и возвращать текст по умолчанию', async () => {
+        const index = userMenu();
+        await manager.handleEditCallback(callbackQuery(`txt_edit_${index}_en`), index, 'en');
+        expect(manager.getSession(500)).toMatchObject({ state: manager.STATES.AWAITING_TEXT, locale: 'en' });
+
+        await manager.handleTextInput(message('Hello, {username}'));
+        expect(bot.sendMessage).toHaveBeenLastCalledWith(500, expect.stringContaining('Неизвестные переменные: {username}'), expect.any(Object));
+        expect(manager.getSession(500).state).toBe(manager.STATES.AWAITING_TEXT);
+
+        await manager.handleTextInput(message('<b>Hello, {name}!</b>\nLast seen: {last_seen}'));
+        expect(manager.getSession(500).state).toBe(manager.STATES.CONFIRM);
+        expect(bot.sendMessage).toHaveBeenCalledWith(500, '<b>Hello, Иван!</b>\nLast seen: 05.03.2026', { parse_mode: 'HTML' });
+        expect(localizer.isCustomized('en', 'menu.user.text')).toBe(false);
+
+        await manager.handleSaveCallback(callbackQuery('txt_save'));
+        expect(manager.getSession(500)).toBeNull();
+        expect((await BotText.find('menu.user.text', 'en')).updated_by).toBe(500);
+        expect(localizer.t('en', 'menu.user.text', { name: 'A&B', last_seen: 'today' })).toBe('<b>Hello, A&amp;B!</b>\nLast seen: today');
+        expect(localizer.t('ru', 'menu.user.text', { name: 'Иван' })).toContain('Привет, Иван!');
+        expect(bot.editMessageText.mock.calls[0][0]).toContain('✏️ Изменен администратором');
+
+        const restarted = new I18n({ ru, en }, { defaultLocale: 'ru' });
+        expect(await restarted.loadTexts()).toBe(1);
+        expect(restarted.get('en', 'menu.user.text')).toBe('<b>Hello, {name}!</b>\nLast seen: {last_seen}');
+
+        await manager.handleResetCallback(callbackQuery(`txt_reset_${index}_en`), index, 'en');
+        expect(await BotText.find('menu.user.text', 'en')).toBeNull();
+        expect(localizer.get('en', 'menu.user.text')).toBe(en.menu.user.text);
+        expect(bot.answerCallbackQuery).toHaveBeenLastCalledWith('cb', { text: '↩️ Восстановлен текст по умолчанию' });
+    });
+
+    test('должен не сохранять текст без предпросмотра и отклонять неизвестные тексты', async () => {
+        await manager.handleSaveCallback(callbackQuery('txt_save'));
+        expect(bot.answerCallbackQuery).toHaveBeenLastCalledWith('cb', { text: 'Текст уже сохранен или отменен', show_alert: true });
+
+        await manager.handleViewCallback(callbackQuery('txt_view_99_ru'), 99, 'ru');
+        expect(bot.answerCallbackQuery).toHaveBeenLastCalledWith('cb', { text: 'Текст не найден', show_alert: true });
+
+        await expect(localizer.saveText('ru', 'content.motivation.admin', 'x', 500)).rejects.toThrow('Unknown text');
+        expect(await BotText.findAll()).toEqual([]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,129 @@
+const database = require('../src/database/connection');
+
+/**
+ * Отдельное подключение к базе в памяти
+ */
+const createDatabase = async () => {
+    const db = new database.constructor();
+    db.dbPath = ':memory:';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await db.connect();
+    console.log.mockRestore();
+    await db.run('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT NOT NULL)');
+    return db;
+};
+
+describe('Database.withTransaction', () => {
+    let db;
+
+    const names = async () => (await db.all('SELECT name FROM items ORDER BY id')).map(row => row.name);
+
+    beforeEach(async () => {
+        db = await createDatabase();
+    });
+
+    afterEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await db.close();
+        console.log.mockRestore();
+    });
+
+    test('должен фиксировать изменения и возвращать результат функции', async () => {
+        const result = await db.withTransaction(async () => {
+            await db.run('INSERT INTO items (name) VALUES (?)', ['a']);
+            await db.run('INSERT INTO items (name) VALUES (?)', ['b']);
+            return 'done';
+        });
+
+        expect(result).toBe('done');
+        expect(await names()).toEqual(['a', 'b']);
+    });
+
+    test('должен откатывать все изменения при ошибке', async () => {
+        await expect(db.withTransaction(async () => {
+            await db.run('INSERT INTO items (name) VALUES (?)', ['a']);
+            throw new Error('boom');
+        })).rejects.toThrow('boom');
+
+        expect(await names()).toEqual([]);
+    });
+
+    test('должен откатывать только вложенную транзакцию до точки сохранения', async () => {
+        await db.withTransaction(async () => {
+            await db.run('INSERT INTO items (name) VALUES (?)', ['outer']);
+
+            await expect(db.withTransaction(async () => {
+                await db.run('INSERT INTO items (name) VALUES (?)', ['inner']);
+                throw new Error('inner failed');
+            })).rejects.toThrow('inner failed');
+
+            await db.withTransaction(async () => {
+                await db.run('INSERT INTO items (name) VALUES (?)', ['nested']);
+            });
+        });
+
+        expect(await names()).toEqual(['outer', 'nested']);
+    });
+
+    test('должен откатывать вложенную работу вместе с внешней транзакцией', async () => {
+        await expect(db.withTransaction(async () => {
+            await db.withTransaction(async () => {
+                await db.run('INSERT INTO items (name) VALUES (?)', ['inner']);
+            });
+            throw new Error('outer failed');
+        })).rejects.toThrow('outer failed');
+
+        expect(await names()).toEqual([]);
+    });
+
+    test('должен не пускать посторонние запросы внутрь идущей транзакции', async () => {
+        let releaseTransaction;
+        const gate = new Promise(resolve => { releaseTransaction = resolve; });
+
+        const transaction = db.withTransaction(async () => {
+            await db.run('INSERT INTO items (name) VALUES (?)', ['inside']);
+            await gate;
+            throw new Error('rolled back');
+        });
+
+        // Запрос вне транзакции ждет ее завершения и не попадает в откат
+        await new Promise(resolve => setImmediate(resolve));
+        const outside = db.run('INSERT INTO items (name) VALUES (?)', ['outside']);
+
+        releaseTransaction();
+        await expect(transaction).rejects.toThrow('rolled back');
+        await outside;
+
+        expect(await names()).toEqual(['outside']);
+    });
+
+    test('должен выполнять параллельные транзакции по очереди', async () => {
+        const order = [];
+        const work = (name) => db.withTransaction(async () => {
+            order.push(`${name}:start`);
+            await db.run('INSERT INTO items (name) VALUES (?)', [name]);
+            await new Promise(resolve => setImmediate(resolve));
+            order.push(`${name}:end`);
+        });
+
+        await Promise.all([work('a'), work('b'), work('c')]);
+
+        expect(order).toEqual(['a:start', 'a:end', 'b:start', 'b:end', 'c:start', 'c:end']);
+        expect(await names()).toEqual(['a', 'b', 'c']);
+    });
+
+    test('должен выполнять список операторов в transaction()', async () => {
+        const results = await db.transaction([
+            { sql: 'INSERT INTO items (name) VALUES (?)', params: ['a'] },
+            { sql: 'INSERT INTO items (name) VALUES (?)', params: ['b'] }
+        ]);
+
+        expect(results.map(result => result.id)).toEqual([1, 2]);
+
+        await expect(db.transaction([
+            { sql: 'INSERT INTO items (name) VALUES (?)', params: ['c'] },
+            { sql: 'INSERT INTO items (name) VALUES (?)', params: [null] }
+        ])).rejects.toThrow('NOT NULL');
+        expect(await names()).toEqual(['a', 'b']);
+    });
+});
\ No newline at end of file
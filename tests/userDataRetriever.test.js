@@ -241,6 +241,27 @@ describe('UserDataRetriever', () => {
             });
         });
 
+        test('should return rejection reason of the latest rejected request', async () => {
+            const telegramId = 12345;
+            const mockAuthRequest = {
+                status: 'rejected',
+                submitted_at: '2023-12-01T00:00:00Z',
+                rejection_reason: 'Неверный формат никнейма'
+            };
+
+            AuthRequest.findByTelegramId.mockResolvedValue(mockAuthRequest);
+
+            const result = await userDataRetriever.getAuthRequestData(telegramId);
+
+            expect(AuthRequest.findByTelegramId).toHaveBeenCalledWith(telegramId);
+            expect(result).toEqual({
+                status: 'rejected',
+                submittedAt: '2023-12-01T00:00:00Z',
+                rejectionReason: 'Неверный формат никнейма',
+                hasRequest: true
+            });
+        });
+
         test('should return no request data when no request exists', async () => {
             const telegramId = 12345;
             
@@ -421,7 +442,7 @@ describe('UserDataRetriever', () => {
             const threeDaysAgo = new Date();
             threeDaysAgo.setDate(threeDaysAgo.getDate() - 3);
             const result = userDataRetriever.formatMemberSince(threeDaysAgo.toISOString());
-            expect(result).toBe('3 дней назад');
+            expect(result).toBe('3 дня назад');
         });
 
         test('should return "Неизвестно" for invalid date', () => {
@@ -127,6 +127,48 @@ describe('UserTypeDetector', () => {
         });
     });
 
+    describe('role permissions', () => {
+        test('should narrow admin permissions by role', () => {
+            const permissions = userTypeDetector.getUserPermissions('admin', 'moderator');
+
+            expect(permissions.canApproveRequests).toBe(true);
+            expect(permissions.canManageUsers).toBe(false);
+            expect(permissions.canAccessBackup).toBe(false);
+            expect(permissions.role).toBe('moderator');
+            expect(permissions.level).toBe('admin');
+        });
+
+        test('should check permissions with role', () => {
+            expect(userTypeDetector.hasPermission('admin', 'canManageRoles', 'leader')).toBe(true);
+            expect(userTypeDetector.hasPermission('admin', 'canManageRoles', 'moderator')).toBe(false);
+        });
+
+        test('should derive role without role manager', () => {
+            const authorizedUser = { isAuthorized: () => true };
+
+            expect(userTypeDetector.getUserRole(ADMIN_ID, null)).toBe('leader');
+            expect(userTypeDetector.getUserRole(123456789, authorizedUser)).toBe('member');
+            expect(userTypeDetector.getUserRole(123456789, null)).toBe('guest');
+        });
+
+        test('should use role manager to detect staff', () => {
+            const roleManager = {
+                isStaff: jest.fn(telegramId => telegramId === 222222222),
+                getRole: jest.fn(() => 'deputy')
+            };
+            const detector = new UserTypeDetector(ADMIN_ID, roleManager);
+
+            expect(detector.detectUserType(222222222, null)).toBe('admin');
+            expect(detector.getUserRole(222222222, null)).toBe('deputy');
+            expect(detector.isAdmin(123456789)).toBe(false);
+        });
+
+        test('should return role names', () => {
+            expect(userTypeDetector.getRoleName('deputy')).toBe('Заместитель');
+            expect(userTypeDetector.getRoleName('unknown')).toBe('Неизвестно');
+        });
+    });
+
     describe('hasPermission', () => {
         test('should check admin permissions correctly', () => {
             expect(userTypeDetector.hasPermission('admin', 'canManageUsers')).toBe(true);
@@ -0,0 +1,153 @@
+const http = require('http');
+const WebhookServer = require('../src/components/WebhookServer');
+const { buildMessageUpdate, buildCallbackUpdate } = require('../scripts/post_fake_update');
+
+const SECRET = 'test_secret_token';
+const WEBHOOK_PATH = '/telegram/webhook';
+
+/**
+ * Отправить запрос на локальный сервер
+ */
+const request = (port, { method = 'GET', path = '/', headers = {}, body = null } = {}) => new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers }, (res) => {
+        let data = '';
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => resolve({ statusCode: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    if (body) {
+        req.write(body);
+    }
+    req.end();
+});
+
+const postUpdate = (port, update, secret = SECRET) => request(port, {
+    method: 'POST',
+    path: WEBHOOK_PATH,
+    headers: {
+        'Content-Type': 'application/json',
+        'X-Telegram-Bot-Api-Secret-Token': secret
+    },
+    body: typeof update === 'string' ? update : JSON.stringify(update)
+});
+
+describe('WebhookServer', () => {
+    let server;
+    let port;
+    let onUpdate;
+    let healthChecks;
+
+    beforeEach(async () => {
+        onUpdate = jest.fn().mockResolvedValue();
+        healthChecks = {
+            database: jest.fn().mockResolvedValue(true),
+            images: jest.fn().mockReturnValue({ overall: true, images: {} })
+        };
+
+        server = new WebhookServer({ path: WEBHOOK_PATH, secretToken: SECRET, onUpdate, healthChecks });
+        jest.spyOn(console, 'log').mockImplementation();
+        port = await server.start(0, '127.0.0.1');
+    });
+
+    afterEach(async () => {
+        await server.stop();
+        jest.restoreAllMocks();
+    });
+
+    describe('webhook', () => {
+        test('должен передавать обновление сообщения боту', async () => {
+            const update = buildMessageUpdate('/start', 123456789);
+
+            const response = await postUpdate(port, update);
+
+            expect(response.statusCode).toBe(200);
+            expect(onUpdate).toHaveBeenCalledWith(update);
+            expect(update.message.entities[0].type).toBe('bot_command');
+        });
+
+        test('должен передавать callback query боту', async () => {
+            const update = buildCallbackUpdate('garage_page_1', 123456789);
+
+            await postUpdate(port, update);
+
+            expect(onUpdate).toHaveBeenCalledWith(expect.objectContaining({
+                callback_query: expect.objectContaining({ data: 'garage_page_1' })
+            }));
+        });
+
+        test('должен отклонять запрос с неверным секретом', async () => {
+            jest.spyOn(console, 'warn').mockImplementation();
+
+            const response = await postUpdate(port, buildMessageUpdate('/start', 1), 'wrong_secret');
+
+            expect(response.statusCode).toBe(401);
+            expect(onUpdate).not.toHaveBeenCalled();
+        });
+
+        test('должен отклонять некорректное тело запроса', async () => {
+            const response = await postUpdate(port, '{not json');
+
+            expect(response.statusCode).toBe(400);
+            expect(onUpdate).not.toHaveBeenCalled();
+        });
+
+        test('должен принимать только POST', async () => {
+            const response = await request(port, { path: WEBHOOK_PATH });
+            expect(response.statusCode).toBe(405);
+        });
+
+        test('должен возвращать 404 для неизвестного пути', async () => {
+            const response = await request(port, { path: '/unknown' });
+            expect(response.statusCode).toBe(404);
+        });
+
+        test('должен отвечать 200 даже при ошибке обработки обновления', async () => {
+            const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+            onUpdate.mockRejectedValue(new Error('boom'));
+
+            const response = await postUpdate(port, buildMessageUpdate('hello', 1));
+
+            expect(response.statusCode).toBe(200);
+            await new Promise(resolve => setImmediate(resolve));
+            expect(consoleSpy).toHaveBeenCalled();
+        });
+    });
+
+    describe('/healthz', () => {
+        test('должен возвращать 200, когда все проверки успешны', async () => {
+            const response = await request(port, { path: '/healthz' });
+
+            expect(response.statusCode).toBe(200);
+            expect(response.body.status).toBe('ok');
+            expect(response.body.checks).toEqual({ database: { status: 'ok' }, images: { status: 'ok' } });
+        });
+
+        test('должен возвращать 503, если проверка не прошла', async () => {
+            const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
+            healthChecks.images.mockReturnValue({
+                overall: false,
+                images: { start: { valid: false, path: '/srv/bot/images/start.jpg' } }
+            });
+
+            const response = await request(port, { path: '/healthz' });
+
+            expect(response.statusCode).toBe(503);
+            expect(response.body.status).toBe('degraded');
+            expect(response.body.checks.images).toEqual({ status: 'failed' });
+            expect(JSON.stringify(response.body)).not.toContain('/srv/bot');
+            expect(consoleSpy).toHaveBeenCalledWith('Health check images failed:', expect.stringContaining('/srv/bot/images/start.jpg'));
+        });
+
+        test('должен учитывать исключения в проверках', async () => {
+            const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+            healthChecks.database.mockRejectedValue(new Error('SQLITE_CANTOPEN'));
+
+            const response = await request(port, { path: '/healthz' });
+
+            expect(response.statusCode).toBe(503);
+            expect(response.body.checks.database).toEqual({ status: 'failed' });
+            expect(JSON.stringify(response.body)).not.toContain('SQLITE_CANTOPEN');
+            expect(consoleSpy).toHaveBeenCalledWith('Health check database error:', 'SQLITE_CANTOPEN');
+        });
+    });
+});